@@ -83,6 +83,12 @@ const config = {
   // Admin
   adminEmail: process.env.ADMIN_EMAIL,
 
+  // Server-side re-execution of order scripts
+  orderScript: {
+    timeoutMs: parseInt(process.env.ORDER_SCRIPT_TIMEOUT_MS, 10) || 30000,
+    memoryLimitMB: parseInt(process.env.ORDER_SCRIPT_MEMORY_MB, 10) || 512,
+  },
+
   // Storage
   workingFolder: process.env.WORKING_FOLDER,
   uploadFolder: process.env.UPLOAD_FOLDER
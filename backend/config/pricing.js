@@ -0,0 +1,53 @@
+// config/pricing.js - Quote pricing per manufacturing process
+// Material densities and prices come from the Material catalog; machine rates,
+// build volumes and print parameters are set here (machine rates via env).
+
+const rate = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isFinite(value) && value >= 0 ? value : fallback;
+};
+
+export const PROCESS_PRICING = {
+  FDM: {
+    name: 'FDM (Fused Deposition Modeling)',
+    enabled: true,
+    machineRate: rate('MACHINE_RATE_FDM', 5),     // $ per print hour
+    buildVolume: { x: 256, y: 256, z: 256 },      // mm
+    layerHeight: 0.2,                             // mm
+    infill: true,                                 // walls + infill from slices, not solid
+    printSpeed: 45,                               // mm/s, unless the material sets one
+    minWallThickness: 0.8,                        // mm, thinnest wall that prints reliably
+  },
+  SLA: {
+    name: 'SLA (Stereolithography)',
+    enabled: false,
+    machineRate: rate('MACHINE_RATE_SLA', 8),
+    buildVolume: { x: 145, y: 145, z: 175 },
+    layerHeight: 0.05,
+    infill: false,
+    printSpeed: 30,
+    minWallThickness: 0.5,
+  },
+  SLS: {
+    name: 'SLS (Selective Laser Sintering)',
+    enabled: false,
+    machineRate: rate('MACHINE_RATE_SLS', 12),
+    buildVolume: { x: 300, y: 300, z: 300 },
+    layerHeight: 0.1,
+    infill: false,
+    printSpeed: 40,
+    minWallThickness: 0.8,
+  },
+  MJF: {
+    name: 'MJF (Multi Jet Fusion)',
+    enabled: false,
+    machineRate: rate('MACHINE_RATE_MJF', 15),
+    buildVolume: { x: 380, y: 284, z: 380 },
+    layerHeight: 0.08,
+    infill: false,
+    printSpeed: 50,
+    minWallThickness: 0.6,
+  },
+};
+
+export default PROCESS_PRICING;
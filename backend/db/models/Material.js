@@ -28,6 +28,10 @@ const materialSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Quoted print speed; the process default is used when unset
+  'print-speed-mm-s': {
+    type: Number,
+  },
   'is-active': {
     type: Boolean,
     default: true,
@@ -66,15 +70,20 @@ materialSchema.statics.getAllActive = async function() {
   }, {});
 };
 
+// Static: Get an active material for quoting
+materialSchema.statics.findForQuote = function(process, name) {
+  return this.findOne({ process, name, 'is-active': true });
+};
+
 // Seed data helper
 materialSchema.statics.seedDefaults = async function() {
   const defaults = [
     // FDM Materials
-    { process: 'FDM', name: 'PLA', 'display-name': 'PLA', color: 'Various', 'density-g-cm3': 1.24, 'cost-per-gram': 0.025, properties: { strength: 'Medium', flexibility: 'Low', 'heat-resistance': 'Low', 'surface-finish': 'Good' } },
-    { process: 'FDM', name: 'ABS', 'display-name': 'ABS', color: 'Various', 'density-g-cm3': 1.04, 'cost-per-gram': 0.030, properties: { strength: 'High', flexibility: 'Medium', 'heat-resistance': 'Medium', 'surface-finish': 'Good' } },
-    { process: 'FDM', name: 'PETG', 'display-name': 'PETG', color: 'Various', 'density-g-cm3': 1.27, 'cost-per-gram': 0.035, properties: { strength: 'High', flexibility: 'Medium', 'heat-resistance': 'Medium', 'surface-finish': 'Excellent' } },
-    { process: 'FDM', name: 'TPU', 'display-name': 'TPU (Flexible)', color: 'Various', 'density-g-cm3': 1.21, 'cost-per-gram': 0.055, properties: { strength: 'Medium', flexibility: 'Very High', 'heat-resistance': 'Low', 'surface-finish': 'Good' } },
-    { process: 'FDM', name: 'Nylon', 'display-name': 'Nylon', color: 'Natural/Black', 'density-g-cm3': 1.14, 'cost-per-gram': 0.065, properties: { strength: 'Very High', flexibility: 'Medium', 'heat-resistance': 'High', 'surface-finish': 'Good' } },
+    { process: 'FDM', name: 'PLA', 'display-name': 'PLA', color: 'Various', 'density-g-cm3': 1.24, 'cost-per-gram': 0.025, 'print-speed-mm-s': 60, properties: { strength: 'Medium', flexibility: 'Low', 'heat-resistance': 'Low', 'surface-finish': 'Good' } },
+    { process: 'FDM', name: 'ABS', 'display-name': 'ABS', color: 'Various', 'density-g-cm3': 1.04, 'cost-per-gram': 0.030, 'print-speed-mm-s': 45, properties: { strength: 'High', flexibility: 'Medium', 'heat-resistance': 'Medium', 'surface-finish': 'Good' } },
+    { process: 'FDM', name: 'PETG', 'display-name': 'PETG', color: 'Various', 'density-g-cm3': 1.27, 'cost-per-gram': 0.035, 'print-speed-mm-s': 45, properties: { strength: 'High', flexibility: 'Medium', 'heat-resistance': 'Medium', 'surface-finish': 'Excellent' } },
+    { process: 'FDM', name: 'TPU', 'display-name': 'TPU (Flexible)', color: 'Various', 'density-g-cm3': 1.21, 'cost-per-gram': 0.055, 'print-speed-mm-s': 25, properties: { strength: 'Medium', flexibility: 'Very High', 'heat-resistance': 'Low', 'surface-finish': 'Good' } },
+    { process: 'FDM', name: 'Nylon', 'display-name': 'Nylon', color: 'Natural/Black', 'density-g-cm3': 1.14, 'cost-per-gram': 0.065, 'print-speed-mm-s': 35, properties: { strength: 'Very High', flexibility: 'Medium', 'heat-resistance': 'High', 'surface-finish': 'Good' } },
     
     // SLA Materials
     { process: 'SLA', name: 'Standard', 'display-name': 'Standard Resin', color: 'Grey/White/Black', 'density-g-cm3': 1.10, 'cost-per-gram': 0.080, properties: { strength: 'Medium', flexibility: 'Low', 'heat-resistance': 'Low', 'surface-finish': 'Excellent' } },
@@ -20,11 +20,34 @@ const modelFileSchema = new mongoose.Schema({
   data: String,
 }, { _id: false });
 
+// Support the quote was priced with, from the editor's overhang analysis
+const supportSchema = new mongoose.Schema({
+  'build-direction': { type: [Number], default: undefined },
+  'overhang-threshold-deg': { type: Number },
+  'volume-mm3': { type: Number },
+}, { _id: false });
+
+// Print orientation the quote was priced with, applied to the script result
+// with Manifold.rotate (degrees about X, then Y, then Z)
+const orientationSchema = new mongoose.Schema({
+  'rotation-deg': { type: [Number], default: undefined },
+}, { _id: false });
+
+const scriptModuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  source: { type: String, required: true },
+}, { _id: false });
+
 const modelDataSchema = new mongoose.Schema({
   script: {
     type: String,
     required: true,
   },
+  // Library modules the script pulls in with use('name'), dependencies first
+  modules: {
+    type: [scriptModuleSchema],
+    default: [],
+  },
   process: {
     type: String,
     required: true,
@@ -48,6 +71,8 @@ const modelDataSchema = new mongoose.Schema({
     type: Number,
   },
   'bounding-box': boundingBoxSchema,
+  support: supportSchema,
+  orientation: orientationSchema,
   'model-file': modelFileSchema,
 }, { _id: false });
 
@@ -269,7 +294,7 @@ orderSchema.statics.findUserOrders = function(userId, limit = 20) {
   return this.find({ 'user-id': userId })
     .sort({ 'created-at': -1 })
     .limit(limit)
-    .select('-model-data.script -model-data.model-file');
+    .select('-model-data.script -model-data.modules -model-data.model-file');
 };
 
 // Virtual: User email (from user or guest)
@@ -284,6 +309,7 @@ orderSchema.set('toJSON', {
     delete ret.__v;
     if (ret['model-data']) {
       delete ret['model-data'].script;
+      delete ret['model-data'].modules;
       delete ret['model-data']['model-file'];
     }
     return ret;
@@ -7,6 +7,7 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import Module from 'manifold-3d';
 import config from '../config/index.js';
+import { repairMesh } from '../../shared/meshRepair.js';
 
 import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -141,6 +142,16 @@ function meshToManifold(wasm, meshData, tolerance) {
         if (manifold) return manifold;
     }
 
+    // Last resort: the same repair pipeline as editor imports
+    const repaired = repairMesh(meshData.vertProperties, meshData.triVerts, { tolerance });
+    console.log('[Convert] Repaired mesh:', repaired.report);
+    manifold = tryToMakeManifold(wasm, new wasm.Mesh({
+        numProp: 3,
+        vertProperties: repaired.vertProperties,
+        triVerts: repaired.triVerts
+    }));
+    if (manifold) return manifold;
+
     throw new Error('Could not construct valid manifold geometry');
 }
 
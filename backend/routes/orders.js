@@ -4,6 +4,8 @@ import Order from '../db/models/Order.js';
 import stripe from '../services/stripe.js';
 import email from '../services/email.js';
 import { calculateTax } from '../config/taxRates.js';
+import { validateOrderScript, formatValidationErrors } from '../services/scriptValidator.js';
+import { verifyOrderModel } from '../services/orderVerification.js';
 import { requireAuth, requireGuestOrAuth } from '../auth/session.js';
 
 const router = Router();
@@ -24,6 +26,15 @@ router.post('/create', requireGuestOrAuth, async (req, res) => {
     if (!modelData || !modelData.script || !modelData.process || !modelData.material) {
       return res.status(400).json({ error: 'Model data is required' });
     }
+
+    // Order scripts are re-run on the server, so hold them to the editor's rules
+    const validation = validateOrderScript(modelData.script, modelData.modules || []);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Script failed validation',
+        details: formatValidationErrors(validation.errors),
+      });
+    }
     
     if (!quote || typeof quote.subtotal !== 'number') {
       return res.status(400).json({ error: 'Quote data is required' });
@@ -33,12 +44,45 @@ router.post('/create', requireGuestOrAuth, async (req, res) => {
       return res.status(400).json({ error: 'Shipping info is required' });
     }
 
+    // Re-run the script so geometry and price don't rely on the client
+    let verified;
+    try {
+      verified = await verifyOrderModel(modelData, quote, validation);
+    } catch (error) {
+      console.warn('[Orders] Script verification failed:', error.message);
+      return res.status(422).json({
+        error: 'Script could not be verified',
+        details: error.message,
+      });
+    }
+
+    if (verified.mismatches.length > 0) {
+      return res.status(422).json({
+        error: 'Model data does not match the script',
+        details: verified.mismatches.join('; '),
+      });
+    }
+
+    // Never charge a price the customer hasn't seen
+    if (verified.priceChanged) {
+      return res.status(409).json({
+        error: 'Quote is out of date',
+        details: `The current price for this model is $${verified.quote.subtotal.toFixed(2)}. Please review the quote and try again.`,
+        quote: {
+          material: verified.quote.costs.material,
+          machine: verified.quote.costs.machine,
+          subtotal: verified.quote.subtotal,
+        },
+      });
+    }
+    const subtotal = verified.quote.subtotal;
+
     // Get state from address (handle both formats)
     const shippingState = shipping.address.state || shipping.address['state'];
     const shippingCountry = shipping.address.country || shipping.address['country'] || 'US';
     
     // Calculate tax based on shipping state
-    const taxableAmount = quote.subtotal + (quote.shipping || 0);
+    const taxableAmount = subtotal + (quote.shipping || 0);
     const { tax, rate: taxRate } = calculateTax(
       taxableAmount, 
       shippingState,
@@ -46,7 +90,7 @@ router.post('/create', requireGuestOrAuth, async (req, res) => {
     );
     
     // Calculate final total
-    const total = quote.subtotal + (quote.shipping || 0) + tax;
+    const total = subtotal + (quote.shipping || 0) + tax;
 
     // Map address to kebab-case (handle both incoming formats)
     const mappedAddress = {
@@ -64,15 +108,24 @@ router.post('/create', requireGuestOrAuth, async (req, res) => {
     const orderData = {
       'model-data': {
         script: modelData.script,
+        modules: (modelData.modules || []).map(({ name, source }) => ({ name, source })),
         process: modelData.process,
         material: modelData.material,
         infill: modelData.infill || 20,
-        'volume-mm3': modelData.volume || modelData['volume-mm3'],
-        'surface-area-mm2': modelData.surfaceArea || modelData['surface-area-mm2'],
-        'bounding-box': modelData.boundingBox ? {
-          'width-mm': modelData.boundingBox.width || modelData.boundingBox['width-mm'],
-          'height-mm': modelData.boundingBox.height || modelData.boundingBox['height-mm'],
-          'depth-mm': modelData.boundingBox.depth || modelData.boundingBox['depth-mm'],
+        'volume-mm3': verified.quote.volume,
+        'surface-area-mm2': verified.quote.surfaceArea,
+        'bounding-box': {
+          'width-mm': verified.quote.boundingBox.width,
+          'height-mm': verified.quote.boundingBox.height,
+          'depth-mm': verified.quote.boundingBox.depth,
+        },
+        support: modelData.support ? {
+          'build-direction': modelData.support.buildDirection,
+          'overhang-threshold-deg': modelData.support.threshold,
+          'volume-mm3': verified.quote.supportVolume,
+        } : undefined,
+        orientation: modelData.rotation ? {
+          'rotation-deg': modelData.rotation,
         } : undefined,
         'model-file': {
           'content-type': modelData.modelFile.contentType || modelData.modelFile['content-type'],
@@ -81,9 +134,9 @@ router.post('/create', requireGuestOrAuth, async (req, res) => {
         }
       },
       quote: {
-        'material-cost': quote.material || quote['material-cost'],
-        'machine-cost': quote.machine || quote['machine-cost'],
-        subtotal: quote.subtotal,
+        'material-cost': verified.quote.costs.material,
+        'machine-cost': verified.quote.costs.machine,
+        subtotal,
         'shipping-cost': quote.shipping || quote['shipping-cost'] || 0,
         tax,
         'tax-rate': taxRate,
@@ -0,0 +1,126 @@
+// routes/quote.js - Quotes priced from the Material catalog
+import { Router } from 'express';
+import { quoteModel, listProcesses, readSupportVolumes } from '../services/quoting.js';
+import { MAX_LAYERS } from '../../shared/printMetrics.js';
+
+const router = Router();
+
+// Most parts a single quote may contain
+const MAX_PARTS = 200;
+
+const isVector = (value) => {
+  return Array.isArray(value) && value.length === 3 && value.every(v => typeof v === 'number' && isFinite(v));
+};
+
+const isBox = (box) => box && isVector(box.min) && isVector(box.max);
+
+const isNumberList = (value, length) => {
+  return Array.isArray(value) && value.length === length && value.every(v => typeof v === 'number' && isFinite(v) && v >= 0);
+};
+
+// Per-layer slices of a part (see sliceLayers in shared/printMetrics.js)
+const isLayers = (layers) => {
+  if (layers === undefined || layers === null) return true;
+  if (typeof layers.layerHeight !== 'number' || !(layers.layerHeight > 0)) return false;
+  const count = layers.areas?.length;
+  return Number.isInteger(count) && count > 0 && count <= MAX_LAYERS &&
+    isNumberList(layers.areas, count) &&
+    isNumberList(layers.perimeters, count) &&
+    isNumberList(layers.overhangs, count);
+};
+
+/**
+ * Check the geometry metrics sent for a quote
+ * @returns {string|null} What is wrong, or null when valid
+ */
+function checkModel(model) {
+  if (!model || typeof model.volume !== 'number' || !isFinite(model.volume) || model.volume <= 0) {
+    return 'Model volume is required';
+  }
+  if (!isBox(model.boundingBox)) {
+    return 'Model bounding box is required';
+  }
+  if (model.parts !== undefined) {
+    if (!Array.isArray(model.parts) || model.parts.length > MAX_PARTS) {
+      return 'Invalid model parts';
+    }
+    const valid = model.parts.every(part =>
+      part && typeof part.volume === 'number' && isFinite(part.volume) && isBox(part.boundingBox) &&
+      (part.surfaceArea === undefined || (typeof part.surfaceArea === 'number' && isFinite(part.surfaceArea))) &&
+      isLayers(part.layers)
+    );
+    if (!valid) {
+      return 'Invalid model parts';
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /api/quote/materials
+ * Processes with their build volumes and active materials
+ */
+router.get('/materials', async (req, res) => {
+  try {
+    const processes = await listProcesses();
+    return res.json({ success: true, processes });
+  } catch (error) {
+    console.error('[Quote] Materials error:', error);
+    return res.status(500).json({
+      error: 'Failed to load materials',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/quote
+ * Price a model from its geometry metrics ({ volume, boundingBox, parts }),
+ * see measurePrintMetrics in shared/printMetrics.js, with optional support
+ * volumes by part name from the editor's overhang analysis
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { model, process, material, infill } = req.body;
+
+    if (!process || !material) {
+      return res.status(400).json({ error: 'Process and material are required' });
+    }
+
+    const modelError = checkModel(model);
+    if (modelError) {
+      return res.status(400).json({ error: modelError });
+    }
+
+    const supportVolumes = readSupportVolumes(req.body.supportVolumes);
+    if (!supportVolumes) {
+      return res.status(400).json({ error: 'Invalid support volumes' });
+    }
+
+    const parts = model.parts?.map(part => ({
+      name: String(part.name ?? 'Part').slice(0, 100),
+      volume: part.volume,
+      surfaceArea: part.surfaceArea,
+      boundingBox: part.boundingBox,
+      layers: part.layers || null,
+    }));
+
+    const { quote, error } = await quoteModel(
+      { volume: model.volume, boundingBox: model.boundingBox, parts },
+      { process, material, infill, supportVolumes }
+    );
+    if (error) {
+      return res.status(422).json({ error });
+    }
+
+    return res.json({ success: true, quote });
+  } catch (error) {
+    console.error('[Quote] Error:', error);
+    return res.status(500).json({
+      error: 'Failed to calculate quote',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
@@ -6,6 +6,7 @@ import helmet from 'helmet';
 // Config and DB
 import config from './config/index.js';
 import { connectDB } from './db/connection.js';
+import Material from './db/models/Material.js';
 
 // Auth
 import { initializePassport } from './auth/passport.js';
@@ -18,6 +19,7 @@ import shippingRoutes from './routes/shipping.js';
 import orderRoutes from './routes/orders.js';
 import webhookRoutes from './routes/webhooks.js';
 import convertRoutes from './routes/convert.js';
+import quoteRoutes from './routes/quote.js';
 
 // CAD and AI 
 import { SYSTEM_PROMPT } from './systemPrompt.js';
@@ -43,6 +45,8 @@ app.use(cors({
 app.use('/api/webhooks', webhookRoutes);
 
 // ============ Body Parsing ============
+// Orders carry the meshes their script imports, so they get a larger limit
+app.use('/api/orders/create', express.json({ limit: '50mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -59,6 +63,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/shipping', shippingRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/convert', convertRoutes);
+app.use('/api/quote', quoteRoutes);
 
 const MODEL_CONFIG = {
   model: 'meta-llama/llama-4-scout-17b-16e-instruct',
@@ -111,6 +116,14 @@ app.get('/api/health', (req, res) => {
 
 // ============ Error Handler ============
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    console.warn(`[Server] Rejected ${req.method} ${req.path}: body of ${err.length} bytes`);
+    return res.status(413).json({
+      error: 'Request too large',
+      details: `Requests to ${req.path} are limited to ${Math.round(err.limit / (1024 * 1024))} MB`,
+    });
+  }
+
   console.error('[Server] Unhandled error:', err);
   res.status(500).json({ 
     error: 'Internal server error',
@@ -125,6 +138,11 @@ async function startServer() {
   try {
     // Connect to MongoDB
     await connectDB();
+
+    // Quotes are priced from the catalog, so make sure it isn't empty
+    if (await Material.countDocuments() === 0) {
+      await Material.seedDefaults();
+    }
     
     app.listen(PORT, () => {
       console.log(`[Server] Running on port ${PORT}`);
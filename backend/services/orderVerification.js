@@ -0,0 +1,99 @@
+// services/orderVerification.js - Check an order's model and price against its script
+import { runOrderScript } from './scriptRunner.js';
+import { quoteModel, getSliceLayerHeight, readSupportVolumes } from './quoting.js';
+import { isRotation } from '../../shared/orientation.js';
+
+// Client values are rounded to 0.1 and may come from a different Manifold build
+const VOLUME_TOLERANCE = 0.01;     // relative
+const SIZE_TOLERANCE_MM = 0.2;     // absolute, per axis
+const PRICE_TOLERANCE_CENTS = 1;   // client and server estimators may round apart
+
+const isFiniteNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+
+const differs = (claimed, actual, tolerance) => {
+  return typeof claimed !== 'number' || !isFinite(claimed) || Math.abs(claimed - actual) > tolerance;
+};
+
+// Prices are compared in whole cents, since dollar floats like 0.1 + 0.2 aren't exact
+const toCents = (dollars) => Math.round(dollars * 100);
+
+/**
+ * Re-run an order's script and price the result from the Material catalog
+ *
+ * @param {Object} modelData - Order model data from the client, with the
+ *   overhang analysis support (modelData.support) and print orientation
+ *   (modelData.rotation) the quote was priced with
+ * @param {Object} quote - Client quote ({ subtotal, ... })
+ * @param {Object} validation - Result of validateOrderScript (uses and modules)
+ * @returns {Promise<{metrics: Object, quote: Object, mismatches: string[], priceChanged: boolean}>}
+ *   metrics: geometry of the script result; quote: the server's estimate;
+ *   mismatches: client geometry values that don't match the script
+ */
+export async function verifyOrderModel(modelData, quote, validation) {
+  const support = modelData.support;
+  const supportVolumes = readSupportVolumes(support?.volumes);
+  if (!supportVolumes || (support && (!isVector(support.buildDirection) || !isFiniteNumber(support.threshold)))) {
+    throw new Error('Invalid support analysis');
+  }
+
+  const rotation = modelData.rotation ?? null;
+  if (rotation !== null && !isRotation(rotation)) {
+    throw new Error('Invalid print orientation');
+  }
+
+  const metrics = await runOrderScript({
+    script: modelData.script,
+    modules: validation.modules,
+    uses: validation.uses,
+    importedModels: modelData.importedModels,
+    layerHeight: getSliceLayerHeight(modelData.process),
+    rotation,
+  });
+
+  const { quote: serverQuote, error } = await quoteModel(metrics, {
+    process: modelData.process,
+    material: modelData.material,
+    infill: modelData.infill || 20,
+    supportVolumes,
+  });
+  if (error) {
+    throw new Error(error);
+  }
+
+  const mismatches = [];
+
+  const claimedVolume = modelData.volume ?? modelData['volume-mm3'];
+  if (differs(claimedVolume, metrics.volume, Math.max(metrics.volume * VOLUME_TOLERANCE, 0.1))) {
+    mismatches.push(`volume ${claimedVolume} mm³ (script: ${metrics.volume.toFixed(1)} mm³)`);
+  }
+
+  const box = modelData.boundingBox;
+  if (box) {
+    const axes = [
+      ['width', box.width ?? box['width-mm']],
+      ['height', box.height ?? box['height-mm']],
+      ['depth', box.depth ?? box['depth-mm']],
+    ];
+    axes.forEach(([axis, claimed], i) => {
+      const actual = metrics.boundingBox.max[i] - metrics.boundingBox.min[i];
+      if (differs(claimed, actual, SIZE_TOLERANCE_MM)) {
+        mismatches.push(`${axis} ${claimed} mm (script: ${actual.toFixed(1)} mm)`);
+      }
+    });
+  }
+
+  const priceChanged = !isFiniteNumber(quote.subtotal) ||
+    differs(toCents(quote.subtotal), toCents(serverQuote.subtotal), PRICE_TOLERANCE_CENTS);
+
+  console.log(`[OrderVerification] Volume ${metrics.volume.toFixed(1)} mm³, ` +
+    `subtotal $${serverQuote.subtotal} (client $${quote.subtotal})` +
+    (mismatches.length > 0 ? `, ${mismatches.length} mismatch(es)` : ''));
+
+  return { metrics, quote: serverQuote, mismatches, priceChanged };
+}
+
+export default {
+  verifyOrderModel,
+};
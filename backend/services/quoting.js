@@ -0,0 +1,118 @@
+// services/quoting.js - Price models from the Material catalog
+import Material from '../db/models/Material.js';
+import { PROCESS_PRICING } from '../config/pricing.js';
+import { estimateQuote } from '../../shared/quoteEstimator.js';
+
+/**
+ * Look up the rates for a process and material
+ * @param {string} process - Process code (FDM, SLA, SLS, MJF)
+ * @param {string} materialName - Material name in the catalog
+ * @returns {Promise<Object|null>} Pricing for estimateQuote, or null when the
+ *   process or material isn't available
+ */
+export async function getPricing(process, materialName) {
+  const processPricing = PROCESS_PRICING[process];
+  if (!processPricing || !processPricing.enabled) return null;
+
+  const material = await Material.findForQuote(process, materialName);
+  if (!material) return null;
+
+  return {
+    machineRate: processPricing.machineRate,
+    buildVolume: processPricing.buildVolume,
+    infill: processPricing.infill,
+    layerHeight: processPricing.layerHeight,
+    material: {
+      density: material['density-g-cm3'],
+      costPerGram: material['cost-per-gram'],
+      printSpeed: material['print-speed-mm-s'] || processPricing.printSpeed,
+    },
+  };
+}
+
+/**
+ * Layer height parts are sliced at for a process, or null when the process
+ * is priced from volume alone
+ * @param {string} process - Process code
+ * @returns {number|null}
+ */
+export function getSliceLayerHeight(process) {
+  const processPricing = PROCESS_PRICING[process];
+  return processPricing?.infill ? processPricing.layerHeight : null;
+}
+
+// Most parts a support estimate may list
+const MAX_SUPPORT_PARTS = 200;
+
+/**
+ * Read the support estimate from the editor's overhang analysis
+ * @param {*} value - Support volumes in mm³ by part name, or nothing
+ * @returns {Object<string, number>|null} The volumes ({} when none were sent),
+ *   or null when the value is malformed
+ */
+export function readSupportVolumes(value) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const entries = Object.entries(value);
+  const valid = entries.length <= MAX_SUPPORT_PARTS && entries.every(([, volume]) =>
+    typeof volume === 'number' && isFinite(volume) && volume >= 0
+  );
+  return valid ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Price a model from its geometry metrics
+ * @param {{volume: number, boundingBox: Object, parts?: Array}} model - Geometry metrics
+ * @param {{process: string, material: string, infill: number, supportVolumes?: Object}} options -
+ *   supportVolumes as returned by readSupportVolumes
+ * @returns {Promise<{quote: Object|null, error: string|null}>} The quote (see
+ *   estimateQuote), or why the model can't be quoted (unavailable material,
+ *   part too large, ...)
+ */
+export async function quoteModel(model, options) {
+  const infill = Math.max(10, Math.min(100, Number(options.infill) || 20));
+
+  const pricing = await getPricing(options.process, options.material);
+  if (!pricing) {
+    return { quote: null, error: `${options.material} is not available for ${options.process}` };
+  }
+
+  try {
+    return { quote: estimateQuote(model, { ...options, infill }, pricing), error: null };
+  } catch (error) {
+    return { quote: null, error: error.message };
+  }
+}
+
+/**
+ * List processes with their active materials, for the quote form
+ * @returns {Promise<Array>}
+ */
+export async function listProcesses() {
+  const materials = await Material.getAllActive();
+
+  return Object.entries(PROCESS_PRICING).map(([code, process]) => ({
+    code,
+    name: process.name,
+    enabled: process.enabled,
+    buildVolume: process.buildVolume,
+    infill: process.infill,
+    sliceLayerHeight: getSliceLayerHeight(code),
+    minWallThickness: process.minWallThickness,
+    materials: (materials[code] || []).map(material => ({
+      name: material.name,
+      displayName: material['display-name'] || material.name,
+      color: material.color,
+      properties: material.properties,
+    })),
+  }));
+}
+
+export default {
+  getPricing,
+  readSupportVolumes,
+  getSliceLayerHeight,
+  quoteModel,
+  listProcesses,
+};
@@ -0,0 +1,137 @@
+// services/scriptRunner.js - Run order scripts in an isolated child process
+import { fork } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RUNNER_PATH = path.join(__dirname, 'scriptRunnerProcess.js');
+
+// All the child may read: its own code, the shared runtime and Manifold
+const READABLE_PATHS = [
+  RUNNER_PATH,
+  path.join(__dirname, '../../shared'),
+  path.dirname(fileURLToPath(import.meta.resolve('manifold-3d'))),
+];
+
+// The permission model is experimental in Node 20 and stable from Node 22
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+const QUIET_FLAGS = process.allowedNodeEnvironmentFlags.has('--disable-warning')
+  ? ['--disable-warning=ExperimentalWarning']
+  : [];
+
+// How often the child's resident memory is checked
+const MEMORY_POLL_MS = 200;
+
+/**
+ * Resident memory of a process in MB, where /proc is available
+ */
+async function getResidentMemoryMB(pid) {
+  try {
+    const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+    const match = /^VmRSS:\s+(\d+)\s+kB/m.exec(status);
+    return match ? Number(match[1]) / 1024 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Execute a script with manifold-3d and measure the result
+ *
+ * The script runs in a fresh child process without the server's environment,
+ * with a heap limit, a resident memory limit and a timeout. It is killed when
+ * it exceeds any of them. The child runs under Node's permission model: it can
+ * read only the files in READABLE_PATHS, and can't write files or start
+ * processes or workers, so a script that gets past the validator still can't
+ * reach the server. Scripts are refused on Node versions without it.
+ *
+ * @param {Object} job
+ * @param {string} job.script - Main script (already validated)
+ * @param {Array<{name: string, source: string, uses: string[]}>} [job.modules] - Modules, dependencies first
+ * @param {string[]} [job.uses] - Modules the script uses directly
+ * @param {Object} [job.importedModels] - Imported mesh data by filename, plain or encoded by shared/meshEncoding.js
+ * @param {number|null} [job.layerHeight] - Slice parts at this layer height
+ * @param {number[]|null} [job.rotation] - Print orientation, degrees about X, Y and Z
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.memoryLimitMB]
+ * @returns {Promise<{volume: number, surfaceArea: number, boundingBox: Object, parts: Array}>}
+ *   Print metrics of the result (see measurePrintMetrics)
+ */
+export function runOrderScript(job, options = {}) {
+  const timeoutMs = options.timeoutMs || config.orderScript.timeoutMs;
+  const memoryLimitMB = options.memoryLimitMB || config.orderScript.memoryLimitMB;
+
+  if (!PERMISSION_FLAG) {
+    return Promise.reject(new Error('Order scripts need Node.js 20 or later to run isolated'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = fork(RUNNER_PATH, [], {
+      execArgv: [
+        `--max-old-space-size=${memoryLimitMB}`,
+        PERMISSION_FLAG,
+        ...READABLE_PATHS.map(readable => `--allow-fs-read=${readable}`),
+        ...QUIET_FLAGS,
+      ],
+      env: { NODE_ENV: process.env.NODE_ENV },
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc'],
+    });
+
+    let settled = false;
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutId);
+      clearInterval(memoryInterval);
+      if (child.exitCode === null) {
+        child.kill('SIGKILL');
+      }
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const timeoutId = setTimeout(() => {
+      finish(new Error(`Script timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+
+    const memoryInterval = setInterval(async () => {
+      const usedMB = await getResidentMemoryMB(child.pid);
+      if (usedMB !== null && usedMB > memoryLimitMB) {
+        finish(new Error(`Memory limit exceeded: ${usedMB.toFixed(1)}MB > ${memoryLimitMB}MB`));
+      }
+    }, MEMORY_POLL_MS);
+
+    child.on('message', ({ type, payload }) => {
+      if (type === 'result') {
+        finish(null, payload);
+      } else {
+        const error = new Error(payload.message);
+        error.location = payload.location;
+        finish(error);
+      }
+    });
+
+    child.on('error', (error) => finish(error));
+
+    child.on('exit', (code, signal) => {
+      finish(new Error(`Script runner exited unexpectedly (${signal || `code ${code}`})`));
+    });
+
+    child.send({
+      script: job.script,
+      modules: job.modules || [],
+      uses: job.uses || [],
+      importedModels: job.importedModels || {},
+      layerHeight: job.layerHeight || null,
+      rotation: job.rotation || null,
+    });
+  });
+}
+
+export default {
+  runOrderScript,
+};
@@ -0,0 +1,96 @@
+// services/scriptRunnerProcess.js - Child process that runs a single order script
+// Started by services/scriptRunner.js. Receives { script, modules, uses, importedModels,
+// layerHeight, rotation } over IPC, replies with the print metrics of the result
+// in its print orientation and exits.
+//
+// The process runs under Node's permission model (see scriptRunner.js), which is
+// what keeps scripts away from files, child processes and workers. Everything
+// below only narrows what scripts can name; none of it relies on the validator.
+import Module from 'manifold-3d';
+import {
+  initScriptRuntime,
+  executeScript,
+  normalizeResult,
+  combineParts,
+} from '../../shared/scriptRuntime.js';
+import { SCRIPT_GLOBALS } from '../../shared/scriptValidator.js';
+import { measurePrintMetrics } from '../../shared/printMetrics.js';
+import { orientParts } from '../../shared/orientation.js';
+
+// Host access a script could use to escape, replaced for the whole process.
+// Buffer goes last: Node 22 loads WebSocket lazily, with Buffer.
+const BLOCKED_GLOBALS = [
+  'process',
+  'fetch',
+  'WebSocket',
+  'EventSource',
+  'setImmediate',
+  'eval',
+  'Buffer',
+];
+
+// Keep what the process itself needs before scripts lose access to it
+const send = process.send.bind(process);
+const exit = process.exit.bind(process);
+const permission = process.permission;
+
+/**
+ * Whether the permission model is on and denies writing files, starting
+ * processes and starting workers
+ */
+const isIsolated = () => Boolean(permission) &&
+  !permission.has('fs.write') && !permission.has('child') && !permission.has('worker');
+
+/**
+ * Block host globals by replacing them with getters that throw
+ */
+const lockdownGlobals = () => {
+  for (const name of BLOCKED_GLOBALS) {
+    if (!(name in globalThis)) continue;
+
+    try {
+      Object.defineProperty(globalThis, name, {
+        get() {
+          throw new Error(`Access to '${name}' is not allowed in scripts`);
+        },
+        configurable: false,
+      });
+    } catch (error) {
+      // Non-configurable globals can't be replaced; scripts still see them as undefined
+      console.warn(`[ScriptRunner] Could not block ${name}:`, error.message);
+    }
+  }
+};
+
+process.once('message', async ({ script, modules, uses, importedModels, layerHeight, rotation }) => {
+  try {
+    if (!isIsolated()) {
+      throw new Error('Script runner must run under the permission model without file writes, child processes or workers');
+    }
+
+    const wasm = await Module();
+    wasm.setup();
+    // Every host global that isn't a plain JavaScript built-in reads as undefined in scripts
+    initScriptRuntime(wasm, {
+      hiddenGlobals: Object.getOwnPropertyNames(globalThis).filter(name => !SCRIPT_GLOBALS.includes(name)),
+    });
+
+    lockdownGlobals();
+
+    const parts = orientParts(normalizeResult(executeScript(script, importedModels, modules, uses)), rotation);
+    const result = combineParts(parts);
+
+    send({
+      type: 'result',
+      payload: measurePrintMetrics(parts, result, layerHeight),
+    }, () => exit(0));
+  } catch (error) {
+    send({
+      type: 'error',
+      payload: {
+        message: error?.message || String(error),
+        location: error?.location || null,
+      },
+    }, () => exit(1));
+  }
+});
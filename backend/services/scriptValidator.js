@@ -0,0 +1,51 @@
+// services/scriptValidator.js - Server-side validation of order scripts
+// Uses the same AST validator as the editor (shared/scriptValidator.js).
+import { parse } from 'acorn';
+import {
+  createScriptValidator,
+  formatValidationErrors,
+} from '../../shared/scriptValidator.js';
+
+const validator = createScriptValidator(parse);
+
+// Limits on the modules sent along with an order
+const MAX_MODULES = 50;
+const MODULE_NAME_PATTERN = /^[A-Za-z_][\w-]{0,63}$/;
+
+/**
+ * Validate an order's script together with the modules it uses
+ *
+ * @param {string} script - Main script
+ * @param {Array<{name: string, source: string}>} [modules] - Used modules, dependencies first
+ * @returns {{valid: boolean, errors: Array, uses?: string[], modules?: Array}}
+ *   When valid, uses and modules (with their own uses) are ready for execution
+ */
+export function validateOrderScript(script, modules = []) {
+  if (typeof script !== 'string') {
+    return { valid: false, errors: [{ message: 'Script must be a string', line: null }] };
+  }
+
+  if (!Array.isArray(modules) || modules.length > MAX_MODULES) {
+    return { valid: false, errors: [{ message: 'Invalid modules', line: null }] };
+  }
+
+  const invalidModule = modules.find(module =>
+    !module || !MODULE_NAME_PATTERN.test(module.name) || typeof module.source !== 'string'
+  );
+  if (invalidModule) {
+    return { valid: false, errors: [{ message: `Invalid module '${invalidModule?.name}'`, line: null }] };
+  }
+
+  const result = validator.validateScriptWithModules(script, modules);
+  if (!result.valid) {
+    console.warn(`[ScriptValidator] Rejected order script: ${result.errors.length} problem(s)`);
+  }
+  return result;
+}
+
+export { formatValidationErrors };
+
+export default {
+  validateOrderScript,
+  formatValidationErrors,
+};
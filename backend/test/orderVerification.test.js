@@ -0,0 +1,132 @@
+// test/orderVerification.test.js
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Material from '../db/models/Material.js';
+import { verifyOrderModel } from '../services/orderVerification.js';
+import { encodeMeshData } from '../../shared/meshEncoding.js';
+
+const VALIDATION = { modules: [], uses: [] };
+
+const CUBE = {
+  script: 'return Manifold.cube([20, 20, 20]);',
+  process: 'FDM',
+  material: 'PLA',
+  infill: 20,
+  volume: 8000,
+  boundingBox: { width: 20, height: 20, depth: 20 },
+};
+
+const verify = (modelData, subtotal) => verifyOrderModel({ ...CUBE, ...modelData }, { subtotal }, VALIDATION);
+
+const PLA = { name: 'PLA', 'density-g-cm3': 1.24, 'cost-per-gram': 0.05 };
+
+// Prices come from the Material catalog, without a database here.
+// The estimator and verification log every order they check.
+before(() => {
+  mock.method(Material, 'findForQuote', async (process, name) => (name === PLA.name ? PLA : null));
+  mock.method(console, 'log', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('verifyOrderModel', () => {
+  let serverSubtotal;
+
+  before(async () => {
+    serverSubtotal = (await verify({}, 0)).quote.subtotal;
+  });
+
+  test('re-runs the script and prices the result', async () => {
+    const { metrics, quote, mismatches, priceChanged } = await verify({}, serverSubtotal);
+    assert.equal(metrics.volume, 8000);
+    assert.ok(quote.subtotal > 0);
+    assert.deepEqual(mismatches, []);
+    assert.equal(priceChanged, false);
+  });
+
+  test('prices are compared in whole cents', async () => {
+    // Dollar amounts that aren't exact in binary still match
+    assert.equal((await verify({}, serverSubtotal - 0.1 + 0.1)).priceChanged, false);
+    assert.equal((await verify({}, serverSubtotal + 0.01)).priceChanged, false);
+    assert.equal((await verify({}, serverSubtotal - 0.01)).priceChanged, false);
+    assert.equal((await verify({}, serverSubtotal + 0.02)).priceChanged, true);
+    assert.equal((await verify({}, serverSubtotal - 0.5)).priceChanged, true);
+  });
+
+  test('a missing client price counts as changed', async () => {
+    assert.equal((await verify({}, undefined)).priceChanged, true);
+    assert.equal((await verify({}, NaN)).priceChanged, true);
+    assert.equal((await verify({}, '2.10')).priceChanged, true);
+  });
+
+  test('reports client geometry that does not match the script', async () => {
+    const { mismatches } = await verify({
+      volume: 9000,
+      boundingBox: { width: 20, height: 25, depth: 20.1 },
+    }, serverSubtotal);
+    assert.deepEqual(mismatches, [
+      'volume 9000 mm³ (script: 8000.0 mm³)',
+      'height 25 mm (script: 20.0 mm)',
+    ]);
+  });
+
+  test('runs scripts with encoded imported models', async () => {
+    const meshData = {
+      numProp: 3,
+      vertProperties: new Float32Array([0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]),
+      triVerts: new Uint32Array([0, 2, 1, 0, 1, 3, 1, 2, 3, 0, 3, 2]),
+    };
+    const { metrics } = await verify({
+      script: "return window.__importedManifolds['tetra.stl'];",
+      importedModels: { 'tetra.stl': encodeMeshData(meshData) },
+      volume: 1000 / 6,
+      boundingBox: { width: 10, height: 10, depth: 10 },
+    }, serverSubtotal);
+    assert.ok(Math.abs(metrics.volume - 1000 / 6) < 0.01);
+  });
+
+  test('rejects materials that are not available', async () => {
+    await assert.rejects(verify({ material: 'Unobtainium' }, serverSubtotal),
+      /^Error: Unobtainium is not available for FDM$/);
+  });
+
+  test('prices the support from the overhang analysis', async () => {
+    const support = { volumes: { Model: 5000 }, buildDirection: [0, 0, 1], threshold: 45 };
+    const { quote } = await verify({ support }, serverSubtotal);
+    assert.equal(quote.supportVolume, 5000);
+    assert.ok(quote.subtotal > serverSubtotal);
+  });
+
+  test('rejects malformed support analyses', async () => {
+    const support = { volumes: { Model: 5000 }, buildDirection: [0, 0, 1], threshold: 45 };
+    for (const invalid of [
+      { ...support, volumes: { Model: -1 } },
+      { ...support, volumes: [5000] },
+      { ...support, buildDirection: [0, 1] },
+      { ...support, threshold: '45' },
+    ]) {
+      await assert.rejects(verify({ support: invalid }, serverSubtotal), /^Error: Invalid support analysis$/);
+    }
+  });
+
+  test('measures the part in its print orientation', async () => {
+    const { metrics } = await verify({
+      script: 'return Manifold.cube([10, 20, 30]);',
+      volume: 6000,
+      boundingBox: { width: 10, height: 20, depth: 30 },
+      rotation: [90, 0, 0],
+    }, serverSubtotal);
+    assert.equal(metrics.volume, 6000);
+    const size = metrics.parts[0].boundingBox.max.map((max, i) => max - metrics.parts[0].boundingBox.min[i]);
+    assert.deepEqual(size.map(Math.round), [10, 30, 20]);
+  });
+
+  test('rejects malformed print orientations', async () => {
+    for (const rotation of [[90, 0], [90, 0, '0'], 'x', [NaN, 0, 0]]) {
+      await assert.rejects(verify({ rotation }, serverSubtotal), /^Error: Invalid print orientation$/);
+    }
+  });
+
+  test('rejects scripts that fail', async () => {
+    await assert.rejects(verify({ script: 'throw new Error("broken");' }, serverSubtotal), /broken/);
+  });
+});
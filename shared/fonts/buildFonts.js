@@ -0,0 +1,162 @@
+// shared/fonts/buildFonts.js
+// Converts the DejaVu TTFs into the glyph outline modules text() builds
+// geometry from. Run it after adding a font or changing the character set:
+//
+//   npm run fonts
+//
+// The app never touches the network for fonts: the generated modules are
+// committed and shipped, and scripts only read them. The TTFs themselves are
+// not committed. This script takes them from shared/fonts/ttf (git-ignored)
+// and downloads any that are missing from one pinned npm release. Both the
+// tarball and each TTF are checked against the checksums below, so every run
+// converts byte-identical sources. To regenerate offline, copy the same files
+// from dejavu-fonts-ttf 2.37.3 into shared/fonts/ttf first.
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { gunzipSync } from 'node:zlib';
+import opentype from 'three/examples/jsm/libs/opentype.module.js';
+
+const FONTS_DIR = dirname(fileURLToPath(import.meta.url));
+const TTF_DIR = join(FONTS_DIR, 'ttf');
+
+// Pinned release of the DejaVu TTFs on the npm registry, with its npm integrity
+const FONT_PACKAGE = {
+  url: 'https://registry.npmjs.org/dejavu-fonts-ttf/-/dejavu-fonts-ttf-2.37.3.tgz',
+  integrity: 'sha512-f1hd7jJbeQa1VWcw+K2KrTXS50zTMaHpVC4XIKJpNcDeYR5ajMtj/iLlQDYNvLOKamUB3ARVVCf79lNwNVztSQ==',
+};
+
+// Output module, source file and source SHA-256 of each bundled font
+const FONT_SOURCES = [
+  { module: 'dejavuSans.js', file: 'DejaVuSans.ttf', sha256: '7da195a74c55bef988d0d48f9508bd5d849425c1770dba5d7bfc6ce9ed848954' },
+  { module: 'dejavuSansBold.js', file: 'DejaVuSans-Bold.ttf', sha256: 'e6476c1b80502924294eed40894c5b18e06c181444ca953e5334262df9c27724' },
+  { module: 'dejavuSansMono.js', file: 'DejaVuSansMono.ttf', sha256: 'b4a6c3e4faab8773f4ff761d56451646409f29abedd68f05d38c2df667d3c582' },
+];
+
+/**
+ * Files of an uncompressed tar archive, by path
+ * @returns {Map<string, Buffer>}
+ */
+function readTar(archive) {
+  const files = new Map();
+  const field = (header, start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+  let offset = 0;
+  while (offset + 512 <= archive.length) {
+    const header = archive.subarray(offset, offset + 512);
+    const name = field(header, 0, 100);
+    if (!name) break;
+    const prefix = field(header, 345, 155);
+    const size = parseInt(field(header, 124, 12), 8) || 0;
+    offset += 512;
+    files.set(prefix ? `${prefix}/${name}` : name, archive.subarray(offset, offset + size));
+    offset += Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+/**
+ * Download the TTFs that aren't in shared/fonts/ttf yet
+ */
+async function downloadFonts() {
+  const missing = FONT_SOURCES.filter(({ file }) => !existsSync(join(TTF_DIR, file)));
+  if (missing.length === 0) return;
+
+  console.log(`[Fonts] Downloading ${FONT_PACKAGE.url}`);
+  const response = await fetch(FONT_PACKAGE.url);
+  if (!response.ok) {
+    throw new Error(`Font download failed: ${response.status} ${response.statusText}`);
+  }
+  const tarball = Buffer.from(await response.arrayBuffer());
+  const integrity = `sha512-${createHash('sha512').update(tarball).digest('base64')}`;
+  if (integrity !== FONT_PACKAGE.integrity) {
+    throw new Error('Font download failed: the package checksum does not match');
+  }
+
+  const files = readTar(gunzipSync(tarball));
+  mkdirSync(TTF_DIR, { recursive: true });
+  missing.forEach(({ file }) => {
+    const data = files.get(`package/ttf/${file}`);
+    if (!data) throw new Error(`Font download failed: ${file} is not in the package`);
+    writeFileSync(join(TTF_DIR, file), data);
+  });
+}
+
+const codeRange = (first, last) =>
+  Array.from({ length: last - first + 1 }, (_, i) => String.fromCharCode(first + i));
+
+// Printable ASCII and Latin-1, plus typographic punctuation and the symbols
+// that turn up on parts
+const ASCII = codeRange(0x20, 0x7e);
+const CHARACTERS = [...ASCII, ...codeRange(0xa0, 0xff), ...'–—‘’“”•…€Ω≤≥≈∅→'];
+
+/**
+ * SVG-style outline of a glyph in font units, y up: M, L, Q, C and Z
+ * commands with integer coordinates
+ */
+function glyphOutline(glyph) {
+  return glyph.path.commands.map(command => {
+    const points = command.type === 'Q' ? [command.x1, command.y1, command.x, command.y]
+      : command.type === 'C' ? [command.x1, command.y1, command.x2, command.y2, command.x, command.y]
+      : command.type === 'Z' ? []
+      : [command.x, command.y];
+    return command.type + points.map(Math.round).join(' ');
+  }).join('');
+}
+
+function convertFont({ module, file, sha256 }) {
+  const data = readFileSync(join(TTF_DIR, file));
+  if (createHash('sha256').update(data).digest('hex') !== sha256) {
+    throw new Error(`${file} is not the pinned DejaVu 2.37.3 file; delete it to download it again`);
+  }
+  const font = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+
+  const glyphs = {};
+  for (const character of CHARACTERS) {
+    const glyph = font.charToGlyph(character);
+    if (glyph.index === 0) continue;
+    glyphs[character] = [Math.round(glyph.advanceWidth), glyphOutline(glyph)];
+  }
+
+  // Pair kerning (GPOS, or the older kern table) between ASCII characters
+  const kerningTables = font.position.getKerningTables('latn');
+  const kerning = {};
+  for (const left of ASCII) {
+    for (const right of ASCII) {
+      const leftIndex = font.charToGlyph(left).index;
+      const rightIndex = font.charToGlyph(right).index;
+      const value = kerningTables
+        ? font.position.getKerningValue(kerningTables, leftIndex, rightIndex)
+        : font.getKerningValue(leftIndex, rightIndex);
+      if (value) kerning[left + right] = value;
+    }
+  }
+
+  const capHeight = font.tables.os2.sCapHeight || font.charToGlyph('H').getBoundingBox().y2;
+  const outline = {
+    family: font.names.fontFamily.en,
+    style: font.names.fontSubfamily.en,
+    unitsPerEm: font.unitsPerEm,
+    ascender: font.ascender,
+    descender: font.descender,
+    lineGap: font.tables.hhea.lineGap,
+    capHeight,
+    glyphs,
+    kerning,
+  };
+
+  const source = [
+    `// shared/fonts/${module}`,
+    `// Generated by shared/fonts/buildFonts.js from ttf/${file}; don't edit.`,
+    `// ${font.names.copyright.en.trim().split('\n').join('\n// ')}`,
+    '',
+    `export default ${JSON.stringify(outline, null, 0)};`,
+    '',
+  ].join('\n');
+  writeFileSync(join(FONTS_DIR, module), source);
+  console.log(`[Fonts] ${module}: ${Object.keys(glyphs).length} glyphs, ${Object.keys(kerning).length} kerning pairs`);
+}
+
+await downloadFonts();
+FONT_SOURCES.forEach(convertFont);
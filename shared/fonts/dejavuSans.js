@@ -0,0 +1,7 @@
+// shared/fonts/dejavuSans.js
+// Generated by shared/fonts/buildFonts.js from ttf/DejaVuSans.ttf; don't edit.
+// Copyright (c) 2003 by Bitstream, Inc. All Rights Reserved.
+// Copyright (c) 2006 by Tavmjong Bah. All Rights Reserved.
+// DejaVu changes are in public domain
+
+export default {"family":"DejaVu Sans","style":"Book","unitsPerEm":2048,"ascender":1901,"descender":-483,"lineGap":0,"capHeight":1493,"glyphs":{"0":[1303,"M651 1360L651 1360Q495 1360 417 1207Q338 1053 338 745L338 745Q338 438 417 285Q495 131 651 131L651 131Q808 131 887 285Q965 438 965 745L965 745Q965 1053 887 1207Q808 1360 651 1360ZM651 1520L651 1520Q902 1520 1035 1322Q1167 1123 1167 745L1167 745Q1167 368 1035 170Q902 -29 651 -29L651 -29Q400 -29 268 170Q135 368 135 745L135 745Q135 1123 268 1322Q400 1520 651 1520Z"],"1":[1303,"M254 0L254 170L584 170L584 1309L225 1237L225 1421L582 1493L784 1493L784 170L1114 170L1114 0L254 0Z"],"2":[1303,"M393 170L393 170L1098 170L1098 0L150 0L150 170Q265 289 464 490Q662 690 713 748L713 748Q810 857 849 933Q887 1008 887 1081L887 1081Q887 1200 804 1275Q720 1350 586 1350L586 1350Q491 1350 386 1317Q280 1284 160 1217L160 1217L160 1421Q282 1470 388 1495Q494 1520 582 1520L582 1520Q814 1520 952 1404Q1090 1288 1090 1094L1090 1094Q1090 1002 1056 920Q1021 837 930 725L930 725Q905 696 771 558Q637 419 393 170Z"],"3":[1303,"M831 805L831 805Q976 774 1058 676Q1139 578 1139 434L1139 434Q1139 213 987 92Q835 -29 555 -29L555 -29Q461 -29 362 -10Q262 8 156 45L156 45L156 240Q240 191 340 166Q440 141 549 141L549 141Q739 141 839 216Q938 291 938 434L938 434Q938 566 846 641Q753 715 588 715L588 715L414 715L414 881L596 881Q745 881 824 941Q903 1000 903 1112L903 1112Q903 1227 822 1289Q740 1350 588 1350L588 1350Q505 1350 410 1332Q315 1314 201 1276L201 1276L201 1456Q316 1488 417 1504Q517 1520 606 1520L606 1520Q836 1520 970 1416Q1104 1311 1104 1133L1104 1133Q1104 1009 1033 924Q962 838 831 805Z"],"4":[1303,"M774 520L774 1317L264 520L774 520ZM100 547L721 1493L975 1493L975 520L1188 520L1188 352L975 352L975 0L774 0L774 352L100 352L100 547Z"],"5":[1303,"M221 743L221 1493L1014 1493L1014 1323L406 1323L406 957Q450 972 494 980Q538 987 582 987L582 987Q832 987 978 850Q1124 713 1124 479L1124 479Q1124 238 974 105Q824 -29 551 -29L551 -29Q457 -29 360 -13Q262 3 158 35L158 35L158 238Q248 189 344 165Q440 141 547 141L547 141Q720 141 821 232Q922 323 922 479L922 479Q922 635 821 726Q720 817 547 817L547 817Q466 817 386 799Q305 781 221 743L221 743Z"],"6":[1303,"M676 827L676 827Q540 827 461 734Q381 641 381 479L381 479Q381 318 461 225Q540 131 676 131L676 131Q812 131 892 225Q971 318 971 479L971 479Q971 641 892 734Q812 827 676 827ZM1077 1460L1077 1460L1077 1276Q1001 1312 924 1331Q846 1350 770 1350L770 1350Q570 1350 465 1215Q359 1080 344 807L344 807Q403 894 492 941Q581 987 688 987L688 987Q913 987 1044 851Q1174 714 1174 479L1174 479Q1174 249 1038 110Q902 -29 676 -29L676 -29Q417 -29 280 170Q143 368 143 745L143 745Q143 1099 311 1310Q479 1520 762 1520L762 1520Q838 1520 916 1505Q993 1490 1077 1460Z"],"7":[1303,"M168 1323L168 1493L1128 1493L1128 1407L586 0L375 0L885 1323L168 1323Z"],"8":[1303,"M651 709L651 709Q507 709 425 632Q342 555 342 420L342 420Q342 285 425 208Q507 131 651 131L651 131Q795 131 878 209Q961 286 961 420L961 420Q961 555 879 632Q796 709 651 709ZM449 795L449 795Q319 827 247 916Q174 1005 174 1133L174 1133Q174 1312 302 1416Q429 1520 651 1520L651 1520Q874 1520 1001 1416Q1128 1312 1128 1133L1128 1133Q1128 1005 1056 916Q983 827 854 795L854 795Q1000 761 1082 662Q1163 563 1163 420L1163 420Q1163 203 1031 87Q898 -29 651 -29L651 -29Q404 -29 272 87Q139 203 139 420L139 420Q139 563 221 662Q303 761 449 795ZM375 1114L375 1114Q375 998 448 933Q520 868 651 868L651 868Q781 868 855 933Q928 998 928 1114L928 1114Q928 1230 855 1295Q781 1360 651 1360L651 1360Q520 1360 448 1295Q375 1230 375 1114Z"],"9":[1303,"M225 31L225 31L225 215Q301 179 379 160Q457 141 532 141L532 141Q732 141 838 276Q943 410 958 684L958 684Q900 598 811 552Q722 506 614 506L614 506Q390 506 260 642Q129 777 129 1012L129 1012Q129 1242 265 1381Q401 1520 627 1520L627 1520Q886 1520 1023 1322Q1159 1123 1159 745L1159 745Q1159 392 992 182Q824 -29 541 -29L541 -29Q465 -29 387 -14Q309 1 225 31ZM627 664L627 664Q763 664 843 757Q922 850 922 1012L922 1012Q922 1173 843 1267Q763 1360 627 1360L627 1360Q491 1360 412 1267Q332 1173 332 1012L332 1012Q332 850 412 757Q491 664 627 664Z"]," ":[651,""],"!":[821,"M309 0L309 254L512 254L512 0L309 0ZM309 838L309 1493L512 1493L512 838L492 481L330 481L309 838Z"],"\"":[942,"M197 1493L367 1493L367 938L197 938L197 1493ZM575 1493L745 1493L745 938L575 938L575 1493Z"],"#":[1716,"M965 567L1047 901L756 901L672 567L965 567ZM735 1470L897 1470L793 1055L1085 1055L1190 1470L1350 1470L1247 1055L1559 1055L1559 901L1208 901L1126 567L1444 567L1444 414L1087 414L983 0L823 0L926 414L633 414L530 0L369 0L473 414L158 414L158 567L510 567L594 901L272 901L272 1055L633 1055L735 1470Z"],"$":[1303,"M692 2L692 -301L592 -301L591 0Q486 2 381 25Q276 47 170 92L170 92L170 272Q272 208 377 176Q481 143 592 142L592 142L592 598Q371 634 271 720Q170 806 170 956L170 956Q170 1119 279 1213Q388 1307 592 1321L592 1321L592 1556L692 1556L692 1324Q785 1320 872 1305Q959 1289 1042 1262L1042 1262L1042 1087Q959 1129 872 1152Q784 1175 692 1179L692 1179L692 752Q919 717 1026 627Q1133 537 1133 381L1133 381Q1133 212 1020 115Q906 17 692 2L692 2ZM592 770L592 770L592 1180Q476 1167 415 1114Q354 1061 354 973L354 973Q354 887 411 839Q467 791 592 770ZM692 578L692 578L692 145Q819 162 884 217Q948 272 948 362L948 362Q948 450 887 502Q825 554 692 578Z"],"%":[1946,"M1489 657L1489 657Q1402 657 1353 583Q1303 509 1303 377L1303 377Q1303 247 1353 173Q1402 98 1489 98L1489 98Q1574 98 1624 173Q1673 247 1673 377L1673 377Q1673 508 1624 583Q1574 657 1489 657ZM1489 784L1489 784Q1647 784 1740 674Q1833 564 1833 377L1833 377Q1833 190 1740 81Q1646 -29 1489 -29L1489 -29Q1329 -29 1236 81Q1143 190 1143 377L1143 377Q1143 565 1237 675Q1330 784 1489 784ZM457 1393L457 1393Q371 1393 322 1319Q272 1244 272 1114L272 1114Q272 982 321 908Q370 834 457 834L457 834Q544 834 594 908Q643 982 643 1114L643 1114Q643 1243 593 1318Q543 1393 457 1393ZM426 -29L1360 1520L1520 1520L586 -29L426 -29ZM457 1520L457 1520Q615 1520 709 1411Q803 1301 803 1114L803 1114Q803 925 710 816Q616 707 457 707L457 707Q298 707 206 817Q113 926 113 1114L113 1114Q113 1300 206 1410Q299 1520 457 1520Z"],"&":[1597,"M1028 260L498 803Q407 722 365 642Q322 561 322 473L322 473Q322 327 428 230Q534 133 694 133L694 133Q789 133 872 165Q955 196 1028 260L1028 260ZM639 915L639 915L1147 395Q1206 484 1239 586Q1272 687 1278 801L1278 801L1464 801Q1452 669 1400 540Q1348 411 1255 285L1255 285L1534 0L1282 0L1139 147Q1035 58 921 15Q807 -29 676 -29L676 -29Q435 -29 282 109Q129 246 129 461L129 461Q129 589 196 702Q263 814 397 913L397 913Q349 976 324 1039Q299 1101 299 1161L299 1161Q299 1323 410 1422Q521 1520 705 1520L705 1520Q788 1520 871 1502Q953 1484 1038 1448L1038 1448L1038 1266Q951 1313 872 1338Q793 1362 725 1362L725 1362Q620 1362 555 1307Q489 1251 489 1163L489 1163Q489 1112 519 1061Q548 1009 639 915Z"],"'":[563,"M197 1493L367 1493L367 938L197 938L197 1493Z"],"(":[799,"M475 1554L635 1554Q501 1324 436 1099Q371 874 371 643L371 643Q371 412 437 186Q502 -41 635 -270L635 -270L475 -270Q325 -35 251 192Q176 419 176 643L176 643Q176 866 250 1092Q324 1318 475 1554L475 1554Z"],")":[799,"M164 1554L164 1554L324 1554Q474 1318 549 1092Q623 866 623 643L623 643Q623 419 549 192Q474 -35 324 -270L324 -270L164 -270Q297 -41 363 186Q428 412 428 643L428 643Q428 874 363 1099Q297 1324 164 1554Z"],"*":[1024,"M905 1346L963 1247L604 1053L963 858L905 760L569 963L569 586L455 586L455 963L119 760L61 858L420 1053L61 1247L119 1346L455 1143L455 1520L569 1520L569 1143L905 1346Z"],"+":[1716,"M774 1284L942 1284L942 727L1499 727L1499 557L942 557L942 0L774 0L774 557L217 557L217 727L774 727L774 1284Z"],",":[651,"M240 82L240 254L451 254L451 82L287 -238L158 -238L240 82Z"],"-":[739,"M100 479L100 643L639 643L639 479L100 479Z"],".":[651,"M219 0L219 254L430 254L430 0L219 0Z"],"/":[690,"M0 -190L520 1493L690 1493L170 -190L0 -190Z"],":":[690,"M240 0L240 254L451 254L451 0L240 0ZM240 805L240 1059L451 1059L451 805L240 805Z"],";":[690,"M240 805L240 1059L451 1059L451 805L240 805ZM240 82L240 254L451 254L451 82L287 -238L158 -238L240 82Z"],"<":[1716,"M1499 1190L1499 1008L467 641L1499 276L1499 94L217 559L217 725L1499 1190Z"],"=":[1716,"M217 762L217 930L1499 930L1499 762L217 762ZM217 352L217 522L1499 522L1499 352L217 352Z"],">":[1716,"M1247 641L217 1008L217 1190L1499 725L1499 559L217 94L217 276L1247 641Z"],"?":[1087,"M391 0L391 254L594 254L594 0L391 0ZM588 524L588 401L397 401L397 555Q397 656 425 721Q453 786 543 872L543 872L633 961Q690 1014 716 1061Q741 1108 741 1157L741 1157Q741 1246 676 1301Q610 1356 502 1356L502 1356Q423 1356 334 1321Q244 1286 147 1219L147 1219L147 1407Q241 1464 338 1492Q434 1520 537 1520L537 1520Q721 1520 833 1423Q944 1326 944 1167L944 1167Q944 1091 908 1023Q872 954 782 868L782 868L694 782Q647 735 628 709Q608 682 600 657L600 657Q594 636 591 606Q588 576 588 524L588 524Z"],"@":[2048,"M762 537L762 537Q762 394 833 313Q904 231 1028 231L1028 231Q1151 231 1222 313Q1292 395 1292 537L1292 537Q1292 677 1220 760Q1148 842 1026 842L1026 842Q905 842 834 760Q762 678 762 537ZM1307 84L1307 238Q1247 161 1170 125Q1092 88 989 88L989 88Q817 88 710 213Q602 337 602 537L602 537Q602 737 710 862Q818 987 989 987L989 987Q1092 987 1170 950Q1248 912 1307 836L1307 836L1307 967L1450 967L1450 231Q1596 253 1679 365Q1761 476 1761 653L1761 653Q1761 760 1730 854Q1698 948 1634 1028L1634 1028Q1530 1159 1381 1229Q1231 1298 1055 1298L1055 1298Q932 1298 819 1266Q706 1233 610 1169L610 1169Q453 1067 365 902Q276 736 276 543L276 543Q276 384 334 245Q391 106 500 0L500 0Q605 -104 743 -158Q881 -213 1038 -213L1038 -213Q1167 -213 1292 -169Q1416 -126 1520 -45L1520 -45L1610 -156Q1485 -253 1338 -304Q1190 -356 1038 -356L1038 -356Q853 -356 689 -290Q525 -225 397 -100L397 -100Q269 25 202 190Q135 354 135 543L135 543Q135 725 203 890Q271 1055 397 1180L397 1180Q526 1307 695 1375Q864 1442 1053 1442L1053 1442Q1265 1442 1447 1355Q1628 1268 1751 1108L1751 1108Q1826 1010 1866 895Q1905 780 1905 657L1905 657Q1905 394 1746 242Q1587 90 1307 84L1307 84Z"],"A":[1401,"M975 551L700 1294L426 551L975 551ZM16 0L586 1493L815 1493L1384 0L1174 0L1038 383L365 383L229 0L16 0Z"],"B":[1405,"M727 713L403 713L403 166L727 166Q890 166 969 234Q1047 301 1047 440L1047 440Q1047 580 969 647Q890 713 727 713L727 713ZM702 1327L403 1327L403 877L702 877Q850 877 923 933Q995 988 995 1102L995 1102Q995 1215 923 1271Q850 1327 702 1327L702 1327ZM201 0L201 1493L717 1493Q948 1493 1073 1397Q1198 1301 1198 1124L1198 1124Q1198 987 1134 906Q1070 825 946 805L946 805Q1095 773 1178 672Q1260 570 1260 418L1260 418Q1260 218 1124 109Q988 0 737 0L737 0L201 0Z"],"C":[1430,"M1319 1378L1319 1378L1319 1165Q1217 1260 1102 1307Q986 1354 856 1354L856 1354Q600 1354 464 1198Q328 1041 328 745L328 745Q328 450 464 294Q600 137 856 137L856 137Q986 137 1102 184Q1217 231 1319 326L1319 326L1319 115Q1213 43 1095 7Q976 -29 844 -29L844 -29Q505 -29 310 179Q115 386 115 745L115 745Q115 1105 310 1313Q505 1520 844 1520L844 1520Q978 1520 1097 1485Q1215 1449 1319 1378Z"],"D":[1577,"M647 1327L403 1327L403 166L647 166Q956 166 1100 306Q1243 446 1243 748L1243 748Q1243 1048 1100 1188Q956 1327 647 1327L647 1327ZM201 0L201 1493L616 1493Q1050 1493 1253 1313Q1456 1132 1456 748L1456 748Q1456 362 1252 181Q1048 0 616 0L616 0L201 0Z"],"E":[1294,"M201 0L201 1493L1145 1493L1145 1323L403 1323L403 881L1114 881L1114 711L403 711L403 170L1163 170L1163 0L201 0Z"],"F":[1178,"M201 0L201 1493L1059 1493L1059 1323L403 1323L403 883L995 883L995 713L403 713L403 0L201 0Z"],"G":[1587,"M1219 213L1219 213L1219 614L889 614L889 780L1419 780L1419 139Q1302 56 1161 14Q1020 -29 860 -29L860 -29Q510 -29 313 176Q115 380 115 745L115 745Q115 1111 313 1316Q510 1520 860 1520L860 1520Q1006 1520 1138 1484Q1269 1448 1380 1378L1380 1378L1380 1163Q1268 1258 1142 1306Q1016 1354 877 1354L877 1354Q603 1354 466 1201Q328 1048 328 745L328 745Q328 443 466 290Q603 137 877 137L877 137Q984 137 1068 156Q1152 174 1219 213Z"],"H":[1540,"M201 0L201 1493L403 1493L403 881L1137 881L1137 1493L1339 1493L1339 0L1137 0L1137 711L403 711L403 0L201 0Z"],"I":[604,"M201 0L201 1493L403 1493L403 0L201 0Z"],"J":[604,"M201 104L201 1493L403 1493L403 104Q403 -166 301 -288Q198 -410 -29 -410L-29 -410L-106 -410L-106 -240L-43 -240Q91 -240 146 -165Q201 -90 201 104L201 104Z"],"K":[1343,"M201 0L201 1493L403 1493L403 862L1073 1493L1333 1493L592 797L1386 0L1120 0L403 719L403 0L201 0Z"],"L":[1141,"M201 0L201 1493L403 1493L403 170L1130 170L1130 0L201 0Z"],"M":[1767,"M201 0L201 1493L502 1493L883 477L1266 1493L1567 1493L1567 0L1370 0L1370 1311L985 287L782 287L397 1311L397 0L201 0Z"],"N":[1532,"M201 0L201 1493L473 1493L1135 244L1135 1493L1331 1493L1331 0L1059 0L397 1249L397 0L201 0Z"],"O":[1612,"M807 1356L807 1356Q587 1356 458 1192Q328 1028 328 745L328 745Q328 463 458 299Q587 135 807 135L807 135Q1027 135 1156 299Q1284 463 1284 745L1284 745Q1284 1028 1156 1192Q1027 1356 807 1356ZM807 1520L807 1520Q1121 1520 1309 1310Q1497 1099 1497 745L1497 745Q1497 392 1309 182Q1121 -29 807 -29L807 -29Q492 -29 304 181Q115 391 115 745L115 745Q115 1099 304 1310Q492 1520 807 1520Z"],"P":[1235,"M657 1327L403 1327L403 766L657 766Q798 766 875 839Q952 912 952 1047L952 1047Q952 1181 875 1254Q798 1327 657 1327L657 1327ZM201 0L201 1493L657 1493Q908 1493 1037 1380Q1165 1266 1165 1047L1165 1047Q1165 826 1037 713Q908 600 657 600L657 600L403 600L403 0L201 0Z"],"Q":[1612,"M807 1356L807 1356Q587 1356 458 1192Q328 1028 328 745L328 745Q328 463 458 299Q587 135 807 135L807 135Q1027 135 1156 299Q1284 463 1284 745L1284 745Q1284 1028 1156 1192Q1027 1356 807 1356ZM1090 27L1090 27L1356 -264L1112 -264L891 -25Q858 -27 841 -28Q823 -29 807 -29L807 -29Q492 -29 304 182Q115 392 115 745L115 745Q115 1099 304 1310Q492 1520 807 1520L807 1520Q1121 1520 1309 1310Q1497 1099 1497 745L1497 745Q1497 485 1393 300Q1288 115 1090 27Z"],"R":[1423,"M909 700L909 700Q974 678 1036 606Q1097 534 1159 408L1159 408L1364 0L1147 0L956 383Q882 533 813 582Q743 631 623 631L623 631L403 631L403 0L201 0L201 1493L657 1493Q913 1493 1039 1386Q1165 1279 1165 1063L1165 1063Q1165 922 1100 829Q1034 736 909 700ZM657 1327L403 1327L403 797L657 797Q803 797 878 865Q952 932 952 1063L952 1063Q952 1194 878 1261Q803 1327 657 1327L657 1327Z"],"S":[1300,"M1096 1444L1096 1444L1096 1247Q981 1302 879 1329Q777 1356 682 1356L682 1356Q517 1356 428 1292Q338 1228 338 1110L338 1110Q338 1011 398 961Q457 910 623 879L623 879L745 854Q971 811 1079 703Q1186 594 1186 412L1186 412Q1186 195 1041 83Q895 -29 614 -29L614 -29Q508 -29 389 -5Q269 19 141 66L141 66L141 274Q264 205 382 170Q500 135 614 135L614 135Q787 135 881 203Q975 271 975 397L975 397Q975 507 908 569Q840 631 686 662L686 662L563 686Q337 731 236 827Q135 923 135 1094L135 1094Q135 1292 275 1406Q414 1520 659 1520L659 1520Q764 1520 873 1501Q982 1482 1096 1444Z"],"T":[1251,"M-6 1323L-6 1493L1257 1493L1257 1323L727 1323L727 0L524 0L524 1323L-6 1323Z"],"U":[1499,"M178 561L178 1493L381 1493L381 586Q381 346 468 241Q555 135 750 135L750 135Q944 135 1031 241Q1118 346 1118 586L1118 586L1118 1493L1321 1493L1321 561Q1321 269 1177 120Q1032 -29 750 -29L750 -29Q467 -29 323 120Q178 269 178 561L178 561Z"],"V":[1401,"M815 0L586 0L16 1493L227 1493L700 236L1174 1493L1384 1493L815 0Z"],"W":[2025,"M442 0L68 1493L272 1493L586 231L899 1493L1126 1493L1440 231L1753 1493L1958 1493L1583 0L1329 0L1014 1296L696 0L442 0Z"],"X":[1403,"M594 797L129 1493L346 1493L717 938L1090 1493L1307 1493L827 776L1339 0L1122 0L702 635L279 0L61 0L594 797Z"],"Y":[1251,"M524 711L-4 1493L213 1493L627 879L1038 1493L1255 1493L727 711L727 0L524 0L524 711Z"],"Z":[1403,"M115 1323L115 1493L1288 1493L1288 1339L344 170L1311 170L1311 0L92 0L92 154L1036 1323L115 1323Z"],"[":[799,"M176 -270L176 1556L600 1556L600 1413L360 1413L360 -127L600 -127L600 -270L176 -270Z"],"\\":[690,"M0 1493L170 1493L690 -190L520 -190L0 1493Z"],"]":[799,"M199 1556L623 1556L623 -270L199 -270L199 -127L438 -127L438 1413L199 1413L199 1556Z"],"^":[1716,"M760 1493L956 1493L1499 936L1298 936L858 1331L418 936L217 936L760 1493Z"],"_":[1024,"M-20 -340L1044 -340L1044 -483L-20 -483L-20 -340Z"],"`":[1024,"M170 1638L367 1638L649 1264L496 1264L170 1638Z"],"a":[1255,"M885 563L702 563Q479 563 393 512Q307 461 307 338L307 338Q307 240 372 183Q436 125 547 125L547 125Q700 125 793 234Q885 342 885 522L885 522L885 563ZM1069 639L1069 639L1069 0L885 0L885 170Q822 68 728 20Q634 -29 498 -29L498 -29Q326 -29 225 68Q123 164 123 326L123 326Q123 515 250 611Q376 707 627 707L627 707L885 707L885 725Q885 852 802 922Q718 991 567 991L567 991Q471 991 380 968Q289 945 205 899L205 899L205 1069Q306 1108 401 1128Q496 1147 586 1147L586 1147Q829 1147 949 1021Q1069 895 1069 639Z"],"b":[1300,"M997 559L997 559Q997 762 914 878Q830 993 684 993L684 993Q538 993 455 878Q371 762 371 559L371 559Q371 356 455 241Q538 125 684 125L684 125Q830 125 914 241Q997 356 997 559ZM371 1556L371 950Q429 1050 518 1099Q606 1147 729 1147L729 1147Q933 1147 1061 985Q1188 823 1188 559L1188 559Q1188 295 1061 133Q933 -29 729 -29L729 -29Q606 -29 518 20Q429 68 371 168L371 168L371 0L186 0L186 1556L371 1556Z"],"c":[1126,"M999 1077L999 1077L999 905Q921 948 843 970Q764 991 684 991L684 991Q505 991 406 878Q307 764 307 559L307 559Q307 354 406 241Q505 127 684 127L684 127Q764 127 843 149Q921 170 999 213L999 213L999 43Q922 7 840 -11Q757 -29 664 -29L664 -29Q411 -29 262 130Q113 289 113 559L113 559Q113 833 264 990Q414 1147 676 1147L676 1147Q761 1147 842 1130Q923 1112 999 1077Z"],"d":[1300,"M930 950L930 950L930 1556L1114 1556L1114 0L930 0L930 168Q872 68 784 20Q695 -29 571 -29L571 -29Q368 -29 241 133Q113 295 113 559L113 559Q113 823 241 985Q368 1147 571 1147L571 1147Q695 1147 784 1099Q872 1050 930 950ZM303 559L303 559Q303 356 387 241Q470 125 616 125L616 125Q762 125 846 241Q930 356 930 559L930 559Q930 762 846 878Q762 993 616 993L616 993Q470 993 387 878Q303 762 303 559Z"],"e":[1260,"M1151 606L1151 606L1151 516L305 516Q317 326 420 227Q522 127 705 127L705 127Q811 127 911 153Q1010 179 1108 231L1108 231L1108 57Q1009 15 905 -7Q801 -29 694 -29L694 -29Q426 -29 270 127Q113 283 113 549L113 549Q113 824 262 986Q410 1147 662 1147L662 1147Q888 1147 1020 1002Q1151 856 1151 606ZM311 659L967 660Q965 811 883 901Q800 991 664 991L664 991Q510 991 418 904Q325 817 311 659L311 659Z"],"f":[721,"M586 1556L760 1556L760 1403L584 1403Q485 1403 447 1363Q408 1323 408 1219L408 1219L408 1120L711 1120L711 977L408 977L408 0L223 0L223 977L47 977L47 1120L223 1120L223 1198Q223 1385 310 1471Q397 1556 586 1556L586 1556Z"],"g":[1300,"M930 573L930 573Q930 773 848 883Q765 993 616 993L616 993Q468 993 386 883Q303 773 303 573L303 573Q303 374 386 264Q468 154 616 154L616 154Q765 154 848 264Q930 374 930 573ZM1114 1120L1114 139Q1114 -147 987 -286Q860 -426 598 -426L598 -426Q501 -426 415 -411Q329 -397 248 -367L248 -367L248 -188Q329 -232 408 -253Q487 -274 569 -274L569 -274Q750 -274 840 -179Q930 -85 930 106L930 106L930 197Q873 98 784 49Q695 0 571 0L571 0Q365 0 239 157Q113 314 113 573L113 573Q113 833 239 990Q365 1147 571 1147L571 1147Q695 1147 784 1098Q873 1049 930 950L930 950L930 1120L1114 1120Z"],"h":[1298,"M1124 676L1124 676L1124 0L940 0L940 670Q940 829 878 908Q816 987 692 987L692 987Q543 987 457 892Q371 797 371 633L371 633L371 0L186 0L186 1556L371 1556L371 946Q437 1047 527 1097Q616 1147 733 1147L733 1147Q926 1147 1025 1028Q1124 908 1124 676Z"],"i":[569,"M193 0L193 1120L377 1120L377 0L193 0ZM193 1323L193 1556L377 1556L377 1323L193 1323Z"],"j":[569,"M193 -20L193 1120L377 1120L377 -20Q377 -234 296 -330Q214 -426 33 -426L33 -426L-37 -426L-37 -270L12 -270Q117 -270 155 -221Q193 -173 193 -20L193 -20ZM193 1323L193 1556L377 1556L377 1323L193 1323Z"],"k":[1186,"M186 0L186 1556L371 1556L371 637L920 1120L1155 1120L561 596L1180 0L940 0L371 547L371 0L186 0Z"],"l":[569,"M193 0L193 1556L377 1556L377 0L193 0Z"],"m":[1995,"M1065 905L1065 905Q1134 1029 1230 1088Q1326 1147 1456 1147L1456 1147Q1631 1147 1726 1025Q1821 902 1821 676L1821 676L1821 0L1636 0L1636 670Q1636 831 1579 909Q1522 987 1405 987L1405 987Q1262 987 1179 892Q1096 797 1096 633L1096 633L1096 0L911 0L911 670Q911 832 854 910Q797 987 678 987L678 987Q537 987 454 892Q371 796 371 633L371 633L371 0L186 0L186 1120L371 1120L371 946Q434 1049 522 1098Q610 1147 731 1147L731 1147Q853 1147 939 1085Q1024 1023 1065 905Z"],"n":[1298,"M1124 676L1124 676L1124 0L940 0L940 670Q940 829 878 908Q816 987 692 987L692 987Q543 987 457 892Q371 797 371 633L371 633L371 0L186 0L186 1120L371 1120L371 946Q437 1047 527 1097Q616 1147 733 1147L733 1147Q926 1147 1025 1028Q1124 908 1124 676Z"],"o":[1253,"M627 991L627 991Q479 991 393 876Q307 760 307 559L307 559Q307 358 393 243Q478 127 627 127L627 127Q774 127 860 243Q946 359 946 559L946 559Q946 758 860 875Q774 991 627 991ZM627 1147L627 1147Q867 1147 1004 991Q1141 835 1141 559L1141 559Q1141 284 1004 128Q867 -29 627 -29L627 -29Q386 -29 250 128Q113 284 113 559L113 559Q113 835 250 991Q386 1147 627 1147Z"],"p":[1300,"M371 168L371 168L371 -426L186 -426L186 1120L371 1120L371 950Q429 1050 518 1099Q606 1147 729 1147L729 1147Q933 1147 1061 985Q1188 823 1188 559L1188 559Q1188 295 1061 133Q933 -29 729 -29L729 -29Q606 -29 518 20Q429 68 371 168ZM997 559L997 559Q997 762 914 878Q830 993 684 993L684 993Q538 993 455 878Q371 762 371 559L371 559Q371 356 455 241Q538 125 684 125L684 125Q830 125 914 241Q997 356 997 559Z"],"q":[1300,"M303 559L303 559Q303 356 387 241Q470 125 616 125L616 125Q762 125 846 241Q930 356 930 559L930 559Q930 762 846 878Q762 993 616 993L616 993Q470 993 387 878Q303 762 303 559ZM930 -426L930 168Q872 68 784 20Q695 -29 571 -29L571 -29Q368 -29 241 133Q113 295 113 559L113 559Q113 823 241 985Q368 1147 571 1147L571 1147Q695 1147 784 1099Q872 1050 930 950L930 950L930 1120L1114 1120L1114 -426L930 -426Z"],"r":[842,"M841 1137L842 948Q811 966 775 975Q738 983 694 983L694 983Q538 983 455 882Q371 780 371 590L371 590L371 0L186 0L186 1120L371 1120L371 946Q429 1048 522 1098Q615 1147 748 1147L748 1147Q767 1147 790 1145Q813 1142 841 1137L841 1137Z"],"s":[1067,"M907 1087L907 1087L907 913Q829 953 745 973Q661 993 571 993L571 993Q434 993 366 951Q297 909 297 825L297 825Q297 761 346 725Q395 688 543 655L543 655L606 641Q802 599 885 523Q967 446 967 309L967 309Q967 153 844 62Q720 -29 504 -29L504 -29Q414 -29 317 -11Q219 6 111 41L111 41L111 231Q213 178 312 152Q411 125 508 125L508 125Q638 125 708 170Q778 214 778 295L778 295Q778 370 728 410Q677 450 506 487L506 487L442 502Q271 538 195 613Q119 687 119 817L119 817Q119 975 231 1061Q343 1147 549 1147L549 1147Q651 1147 741 1132Q831 1117 907 1087Z"],"t":[803,"M190 1438L375 1438L375 1120L754 1120L754 977L375 977L375 369Q375 232 413 193Q450 154 565 154L565 154L754 154L754 0L565 0Q352 0 271 80Q190 159 190 369L190 369L190 977L55 977L55 1120L190 1120L190 1438Z"],"u":[1298,"M174 442L174 442L174 1120L358 1120L358 449Q358 290 420 211Q482 131 606 131L606 131Q755 131 842 226Q928 321 928 485L928 485L928 1120L1112 1120L1112 0L928 0L928 172Q861 70 773 21Q684 -29 567 -29L567 -29Q374 -29 274 91Q174 211 174 442ZM637 1147L637 1147Z"],"v":[1212,"M481 0L61 1120L256 1120L606 180L956 1120L1151 1120L731 0L481 0Z"],"w":[1675,"M379 0L86 1120L270 1120L500 246L729 1120L946 1120L1176 246L1405 1120L1589 1120L1296 0L1079 0L838 918L596 0L379 0Z"],"x":[1212,"M907 1120L1124 1120L719 575L1145 0L928 0L602 440L276 0L59 0L494 586L96 1120L313 1120L610 721L907 1120Z"],"y":[1212,"M1151 1120L659 -104Q581 -304 507 -365Q433 -426 309 -426L309 -426L162 -426L162 -272L270 -272Q346 -272 388 -236Q430 -200 481 -66L481 -66L514 18L61 1120L256 1120L606 244L956 1120L1151 1120Z"],"z":[1075,"M113 973L113 1120L987 1120L987 952L295 147L987 147L987 0L88 0L88 168L780 973L113 973Z"],"{":[1303,"M979 -190L1047 -190L1047 -334L985 -334Q736 -334 652 -260Q567 -186 567 35L567 35L567 274Q567 425 513 483Q459 541 317 541L317 541L256 541L256 684L317 684Q460 684 514 742Q567 799 567 948L567 948L567 1188Q567 1409 652 1483Q736 1556 985 1556L985 1556L1047 1556L1047 1413L979 1413Q838 1413 795 1369Q752 1325 752 1184L752 1184L752 936Q752 779 707 708Q661 637 551 612L551 612Q662 585 707 514Q752 443 752 287L752 287L752 39Q752 -102 795 -146Q838 -190 979 -190L979 -190Z"],"|":[690,"M260 1565L430 1565L430 -483L260 -483L260 1565Z"],"}":[1303,"M256 -334L256 -190L326 -190Q466 -190 509 -147Q551 -104 551 39L551 39L551 287Q551 443 596 514Q641 585 752 612L752 612Q641 637 596 708Q551 779 551 936L551 936L551 1184Q551 1326 509 1370Q466 1413 326 1413L326 1413L256 1413L256 1556L319 1556Q568 1556 652 1483Q735 1409 735 1188L735 1188L735 948Q735 799 789 742Q843 684 985 684L985 684L1047 684L1047 541L985 541Q843 541 789 483Q735 425 735 274L735 274L735 35Q735 -186 652 -260Q568 -334 319 -334L319 -334L256 -334Z"],"~":[1716,"M1499 817L1499 817L1499 639Q1394 560 1305 526Q1215 492 1118 492L1118 492Q1008 492 862 551L862 551Q851 555 846 557L846 557Q839 560 824 565L824 565Q669 627 575 627L575 627Q487 627 401 589Q315 550 217 467L217 467L217 645Q322 724 412 759Q501 793 598 793L598 793Q708 793 855 733L855 733Q865 729 870 727L870 727Q878 724 892 719L892 719Q1047 657 1141 657L1141 657Q1227 657 1312 695Q1396 733 1499 817Z"]," ":[651,""],"¡":[821,"M512 1120L512 866L309 866L309 1120L512 1120ZM512 282L512 -373L309 -373L309 282L330 639L492 639L512 282Z"],"¢":[1303,"M678 131L678 131L678 987Q531 969 449 856Q367 743 367 559L367 559Q367 374 449 261Q531 148 678 131ZM1059 1077L1059 1077L1059 905Q985 946 917 967Q849 988 781 991L781 991L780 127Q850 132 919 153Q987 174 1059 213L1059 213L1059 43Q994 13 926 -4Q857 -22 780 -29L780 -29L780 -313L678 -313L678 -25Q437 -5 305 149Q172 302 172 559L172 559Q172 817 305 970Q437 1123 678 1145L678 1145L678 1432L780 1432L781 1145Q854 1141 923 1125Q991 1108 1059 1077Z"],"£":[1303,"M1102 1460L1102 1460L1102 1278Q1026 1319 958 1340Q890 1360 829 1360L829 1360Q681 1360 623 1283Q565 1205 565 993L565 993L565 778L956 778L956 635L565 635L565 170L1122 170L1122 0L129 0L129 170L365 170L365 635L166 635L166 778L365 778L365 1016Q365 1277 472 1399Q579 1520 811 1520L811 1520Q872 1520 948 1505Q1023 1489 1102 1460Z"],"¤":[1303,"M891 993L891 993L1098 1202L1212 1087L1006 881Q1043 822 1061 763Q1079 703 1079 641L1079 641Q1079 578 1060 521Q1041 463 1001 406L1001 406L1210 199L1096 86L889 293Q830 253 772 234Q714 215 653 215L653 215Q595 215 535 234Q475 252 414 289L414 289L207 82L94 197L301 403Q264 465 246 524Q227 583 227 641L227 641Q227 705 246 763Q265 821 303 877L303 877L96 1083L211 1198L418 991Q473 1030 531 1049Q589 1067 653 1067L653 1067Q713 1067 772 1049Q830 1031 891 993ZM922 643L922 643Q922 755 845 832Q767 909 653 909L653 909Q541 909 462 832Q383 755 383 643L383 643Q383 529 462 451Q540 373 653 373L653 373Q766 373 844 452Q922 530 922 643Z"],"¥":[1303,"M1165 578L1165 455L752 455L752 0L551 0L551 455L135 455L135 578L551 578L551 629L467 784L135 784L135 907L399 907L82 1493L272 1493L651 793L1028 1493L1219 1493L901 907L1165 907L1165 784L834 784L750 629L750 578L1165 578Z"],"¦":[690,"M260 408L430 408L430 -350L260 -350L260 408ZM260 1432L430 1432L430 674L260 674L260 1432Z"],"§":[1024,"M379 936L379 936Q316 890 285 845Q254 800 254 754L254 754Q254 678 324 612Q393 545 643 410L643 410Q706 455 737 501Q768 546 768 592L768 592Q768 667 697 735Q625 803 379 936ZM829 1462L829 1462L829 1298Q746 1337 675 1357Q603 1376 547 1376L547 1376Q450 1376 396 1336Q342 1296 342 1225L342 1225Q342 1135 548 1020L548 1020Q574 1005 588 997L588 997Q799 878 865 801Q930 724 930 623L930 623Q930 533 884 463Q838 393 745 340L745 340Q807 288 836 234Q864 179 864 115L864 115Q864 -27 762 -111Q660 -195 487 -195L487 -195Q414 -195 337 -180Q260 -166 172 -137L172 -137L172 27Q259 -12 333 -31Q407 -51 465 -51L465 -51Q567 -51 624 -9Q680 33 680 109L680 109Q680 211 459 334L459 334L434 348Q220 468 156 545Q92 621 92 723L92 723Q92 814 139 886Q185 957 276 1006L276 1006Q217 1050 188 1106Q158 1162 158 1231L158 1231Q158 1361 258 1441Q358 1520 524 1520L524 1520Q597 1520 674 1506Q750 1491 829 1462Z"],"¨":[1024,"M606 1350L606 1552L809 1552L809 1350L606 1350ZM215 1350L215 1552L418 1552L418 1350L215 1350Z"],"©":[2048,"M1024 1485L1024 1485Q1176 1485 1308 1430Q1439 1375 1548 1266L1548 1266Q1657 1157 1711 1026Q1765 895 1765 741L1765 741Q1765 589 1711 459Q1657 328 1548 219L1548 219Q1439 110 1308 55Q1176 0 1024 0L1024 0Q872 0 741 55Q609 110 500 219L500 219Q391 328 337 459Q283 589 283 741L283 741Q283 895 337 1026Q391 1157 500 1266L500 1266Q609 1375 741 1430Q872 1485 1024 1485ZM1024 1382L1024 1382Q893 1382 780 1335Q667 1288 573 1194L573 1194Q479 1100 431 986Q383 871 383 741L383 741Q383 612 431 499Q479 385 573 291L573 291Q667 197 780 150Q893 102 1024 102L1024 102Q1156 102 1270 150Q1383 197 1477 291L1477 291Q1570 384 1617 497Q1663 610 1663 741L1663 741Q1663 874 1616 988Q1569 1101 1477 1194L1477 1194Q1383 1288 1270 1335Q1156 1382 1024 1382ZM1323 1137L1323 1137L1323 1008Q1257 1041 1192 1057Q1127 1073 1061 1073L1061 1073Q912 1073 829 986Q745 898 745 741L745 741Q745 582 831 495Q916 408 1071 408L1071 408Q1135 408 1196 424Q1257 439 1323 473L1323 473L1323 346Q1256 317 1188 303Q1119 289 1049 289L1049 289Q833 289 708 411Q582 533 582 741L582 741Q582 950 708 1071Q833 1192 1049 1192L1049 1192Q1122 1192 1190 1178Q1258 1164 1323 1137Z"],"ª":[965,"M139 469L139 592L827 592L827 469L139 469ZM825 1165L825 1165L825 717L676 717L676 829Q632 766 560 732Q488 698 395 698L395 698Q267 698 191 766Q115 833 115 946L115 946Q115 1081 211 1150Q306 1219 494 1219L494 1219L676 1219L676 1223Q676 1314 618 1360Q559 1405 442 1405L442 1405Q380 1405 312 1388Q244 1371 176 1337L176 1337L176 1464Q249 1492 322 1506Q394 1520 463 1520L463 1520Q646 1520 736 1432Q825 1344 825 1165ZM676 1104L549 1104Q388 1104 325 1071Q262 1037 262 958L262 958Q262 894 311 856Q360 817 442 817L442 817Q546 817 611 889Q676 961 676 1075L676 1075L676 1104Z"],"«":[1253,"M592 641L1061 1059L1061 868L760 600L1061 332L1061 141L592 559L592 641ZM158 641L627 1059L627 868L326 600L627 332L627 141L158 559L158 641Z"],"¬":[1716,"M217 692L217 862L1499 862L1499 287L1331 287L1331 692L217 692Z"],"­":[739,"M100 479L100 643L639 643L639 479L100 479Z"],"®":[2048,"M1024 1382L1024 1382Q893 1382 780 1335Q667 1288 573 1194L573 1194Q479 1100 431 986Q383 871 383 741L383 741Q383 612 431 499Q479 385 573 291L573 291Q667 197 780 150Q893 102 1024 102L1024 102Q1156 102 1270 150Q1383 197 1477 291L1477 291Q1570 384 1617 497Q1663 610 1663 741L1663 741Q1663 874 1616 988Q1569 1101 1477 1194L1477 1194Q1383 1288 1270 1335Q1156 1382 1024 1382ZM1024 1485L1024 1485Q1176 1485 1308 1430Q1439 1375 1548 1266L1548 1266Q1657 1157 1711 1026Q1765 895 1765 741L1765 741Q1765 589 1711 459Q1657 328 1548 219L1548 219Q1439 110 1308 55Q1176 0 1024 0L1024 0Q872 0 741 55Q609 110 500 219L500 219Q391 328 337 459Q283 589 283 741L283 741Q283 895 337 1026Q391 1157 500 1266L500 1266Q609 1375 741 1430Q872 1485 1024 1485ZM997 1071L997 1071L874 1071L874 795L997 795Q1107 795 1151 826Q1194 857 1194 932L1194 932Q1194 1008 1150 1040Q1106 1071 997 1071ZM719 1174L1004 1174Q1180 1174 1267 1115Q1354 1055 1354 934L1354 934Q1354 848 1302 792Q1249 736 1153 719L1153 719Q1177 711 1211 673Q1244 634 1290 561L1290 561L1427 338L1255 338L1126 547Q1067 643 1031 669Q994 694 940 694L940 694L874 694L874 338L719 338L719 1174Z"],"¯":[1024,"M213 1378L213 1526L811 1526L811 1378L213 1378Z"],"°":[1024,"M512 1391L512 1391Q432 1391 377 1336Q322 1280 322 1200L322 1200Q322 1121 377 1067Q432 1012 512 1012L512 1012Q592 1012 647 1067Q702 1121 702 1200L702 1200Q702 1279 647 1335Q591 1391 512 1391ZM512 1520L512 1520Q576 1520 635 1496Q694 1471 737 1425L737 1425Q783 1380 806 1323Q829 1266 829 1200L829 1200Q829 1068 737 977Q644 885 510 885L510 885Q375 885 285 975Q195 1065 195 1200L195 1200Q195 1334 287 1427Q379 1520 512 1520Z"],"±":[1716,"M774 1284L942 1284L942 897L1499 897L1499 727L942 727L942 340L774 340L774 727L217 727L217 897L774 897L774 1284ZM217 0L217 170L1499 170L1499 0L217 0Z"],"²":[821,"M268 782L268 782L692 782L692 668L94 668L94 778Q128 809 191 865L191 865Q535 1170 535 1264L535 1264Q535 1330 483 1371Q431 1411 346 1411L346 1411Q294 1411 233 1394Q172 1376 100 1341L100 1341L100 1464Q177 1492 244 1506Q310 1520 367 1520L367 1520Q512 1520 599 1454Q686 1388 686 1280L686 1280Q686 1141 355 857L355 857Q299 809 268 782Z"],"³":[821,"M524 1120L524 1120Q616 1102 667 1048Q717 993 717 911L717 911Q717 787 622 720Q527 653 350 653L350 653Q293 653 231 664Q168 674 98 694L98 694L98 815Q150 788 210 775Q269 762 336 762L336 762Q445 762 505 802Q565 841 565 911L565 911Q565 985 510 1023Q454 1061 346 1061L346 1061L260 1061L260 1169L354 1169Q448 1169 497 1201Q545 1232 545 1292L545 1292Q545 1350 495 1381Q445 1411 350 1411L350 1411Q310 1411 259 1402Q208 1393 127 1370L127 1370L127 1485Q200 1502 264 1511Q328 1520 383 1520L383 1520Q527 1520 612 1461Q696 1402 696 1303L696 1303Q696 1234 651 1186Q606 1138 524 1120Z"],"´":[1024,"M371 1262L651 1638L850 1638L524 1262L371 1262Z"],"µ":[1303,"M358 -426L174 -426L174 1120L358 1120L358 424Q358 279 427 205Q496 131 631 131L631 131Q779 131 854 215Q928 299 928 467L928 467L928 1120L1112 1120L1112 258Q1112 198 1130 170Q1147 141 1184 141L1184 141Q1193 141 1209 147Q1225 152 1253 164L1253 164L1253 16Q1212 -7 1176 -18Q1139 -29 1104 -29L1104 -29Q1035 -29 994 10Q953 49 938 129L938 129Q888 50 816 11Q743 -29 645 -29L645 -29Q543 -29 472 10Q400 49 358 127L358 127L358 -426Z"],"¶":[1303,"M633 1493L633 1493L1081 1493L1081 -197L940 -197L940 1370L750 1370L750 -197L608 -197L608 649Q393 666 276 777Q158 887 158 1071L158 1071Q158 1261 288 1377Q418 1493 633 1493Z"],"·":[651,"M219 584L219 838L430 838L430 584L219 584Z"],"¸":[1024,"M477 0L596 0Q651 -62 678 -114Q705 -167 705 -215L705 -215Q705 -304 645 -349Q585 -395 467 -395L467 -395Q421 -395 378 -389Q334 -383 291 -371L291 -371L291 -240Q325 -257 362 -264Q399 -272 446 -272L446 -272Q505 -272 535 -248Q565 -224 565 -178L565 -178Q565 -148 544 -104Q522 -61 477 0L477 0Z"],"¹":[821,"M156 668L156 778L360 778L360 1389L137 1348L137 1464L367 1503L504 1503L504 778L709 778L709 668L156 668Z"],"º":[965,"M139 469L139 592L827 592L827 469L139 469ZM483 1520L483 1520Q662 1520 765 1410Q868 1299 868 1108L868 1108Q868 917 765 808Q662 698 483 698L483 698Q304 698 200 808Q96 918 96 1108L96 1108Q96 1299 200 1410Q304 1520 483 1520ZM483 1405L483 1405Q378 1405 315 1325Q252 1244 252 1108L252 1108Q252 975 316 895Q379 815 483 815L483 815Q588 815 651 895Q713 975 713 1108L713 1108Q713 1245 651 1325Q589 1405 483 1405Z"],"»":[1253,"M193 868L193 1059L662 641L662 559L193 141L193 332L494 600L193 868ZM627 868L627 1059L1096 641L1096 559L627 141L627 332L928 600L627 868Z"],"¼":[1985,"M156 668L156 778L360 778L360 1389L137 1348L137 1464L367 1503L504 1503L504 778L709 778L709 668L156 668ZM1640 295L1640 714L1331 295L1640 295ZM1226 307L1618 835L1784 835L1784 295L1919 295L1919 186L1784 186L1784 0L1640 0L1640 186L1226 186L1226 307ZM446 -29L1378 1520L1538 1520L606 -29L446 -29Z"],"½":[1985,"M156 668L156 778L360 778L360 1389L137 1348L137 1464L367 1503L504 1503L504 778L709 778L709 668L156 668ZM1431 114L1431 114L1855 114L1855 0L1257 0L1257 110Q1291 141 1354 197L1354 197Q1698 502 1698 596L1698 596Q1698 662 1646 703Q1594 743 1509 743L1509 743Q1457 743 1396 726Q1335 708 1263 673L1263 673L1263 796Q1340 824 1407 838Q1473 852 1530 852L1530 852Q1675 852 1762 786Q1849 720 1849 612L1849 612Q1849 473 1518 189L1518 189Q1462 141 1431 114ZM446 -29L1378 1520L1538 1520L606 -29L446 -29Z"],"¾":[1985,"M524 1120L524 1120Q616 1102 667 1048Q717 993 717 911L717 911Q717 787 622 720Q527 653 350 653L350 653Q293 653 231 664Q168 674 98 694L98 694L98 815Q150 788 210 775Q269 762 336 762L336 762Q445 762 505 802Q565 841 565 911L565 911Q565 985 510 1023Q454 1061 346 1061L346 1061L260 1061L260 1169L354 1169Q448 1169 497 1201Q545 1232 545 1292L545 1292Q545 1350 495 1381Q445 1411 350 1411L350 1411Q310 1411 259 1402Q208 1393 127 1370L127 1370L127 1485Q200 1502 264 1511Q328 1520 383 1520L383 1520Q527 1520 612 1461Q696 1402 696 1303L696 1303Q696 1234 651 1186Q606 1138 524 1120ZM1640 295L1640 714L1331 295L1640 295ZM1226 307L1618 835L1784 835L1784 295L1919 295L1919 186L1784 186L1784 0L1640 0L1640 186L1226 186L1226 307ZM446 -29L1378 1520L1538 1520L606 -29L446 -29Z"],"¿":[1087,"M500 596L500 719L690 719L690 563Q690 462 663 397Q635 332 545 245L545 245L455 157Q397 104 372 57Q346 10 346 -39L346 -39Q346 -128 412 -183Q477 -238 586 -238L586 -238Q664 -238 754 -203Q844 -168 940 -101L940 -101L940 -289Q846 -346 750 -374Q654 -402 551 -402L551 -402Q367 -402 255 -305Q143 -208 143 -49L143 -49Q143 27 180 96Q216 164 305 250L305 250L393 336Q441 383 460 410Q479 436 487 461L487 461Q494 482 497 512Q500 542 500 596L500 596ZM696 1120L696 866L494 866L494 1120L696 1120Z"],"À":[1401,"M975 551L700 1294L426 551L975 551ZM16 0L586 1493L815 1493L1384 0L1174 0L1038 383L365 383L229 0L16 0ZM456 1899L643 1899L839 1635L686 1635L456 1899Z"],"Á":[1401,"M975 551L700 1294L426 551L975 551ZM16 0L586 1493L815 1493L1384 0L1174 0L1038 383L365 383L229 0L16 0ZM559 1635L755 1899L940 1899L712 1635L559 1635Z"],"Â":[1401,"M975 551L700 1294L426 551L975 551ZM16 0L586 1493L815 1493L1384 0L1174 0L1038 383L365 383L229 0L16 0ZM395 1635L606 1901L794 1901L1005 1635L866 1635L700 1813L534 1635L395 1635Z"],"Ã":[1401,"M975 551L700 1294L426 551L975 551ZM16 0L586 1493L815 1493L1384 0L1174 0L1038 383L365 383L229 0L16 0ZM696 1710L696 1710L639 1743Q614 1757 599 1763Q583 1768 571 1768L571 1768Q535 1768 515 1743Q495 1718 495 1673L495 1673L495 1667L370 1667Q370 1768 422 1827Q473 1886 559 1886L559 1886Q595 1886 626 1878Q656 1870 704 1843L704 1843L761 1813Q784 1800 801 1794Q818 1788 833 1788L833 1788Q865 1788 885 1814Q905 1839 905 1880L905 1880L905 1886L1030 1886Q1028 1786 977 1727Q925 1667 841 1667L841 1667Q807 1667 778 1675Q748 1683 696 1710Z"],"Ä":[1401,"M975 551L700 1294L426 551L975 551ZM16 0L586 1493L815 1493L1384 0L1174 0L1038 383L365 383L229 0L16 0ZM794 1667L794 1870L997 1870L997 1667L794 1667ZM403 1667L403 1870L606 1870L606 1667L403 1667Z"],"Å":[1401,"M852 1626L852 1626Q852 1689 808 1734Q763 1778 700 1778L700 1778Q636 1778 593 1735Q549 1691 549 1626L549 1626Q549 1563 593 1519Q637 1475 700 1475L700 1475Q763 1475 808 1519Q852 1563 852 1626ZM973 551L700 1294L428 551L973 551ZM16 0L549 1397Q488 1438 457 1496Q426 1553 426 1626L426 1626Q426 1741 506 1821Q585 1901 700 1901L700 1901Q814 1901 895 1821Q975 1740 975 1626L975 1626Q975 1556 944 1497Q912 1438 852 1397L852 1397L1384 0L1174 0L1038 383L365 383L229 0L16 0Z"],"Æ":[1995,"M633 1493L1845 1493L1845 1323L1104 1323L1104 881L1815 881L1815 711L1104 711L1104 170L1864 170L1864 0L901 0L901 383L373 383L213 0L8 0L633 1493ZM901 1335L772 1335L442 551L901 551L901 1335Z"],"Ç":[1430,"M1319 1378L1319 1378L1319 1165Q1217 1260 1102 1307Q986 1354 856 1354L856 1354Q600 1354 464 1198Q328 1041 328 745L328 745Q328 450 464 294Q600 137 856 137L856 137Q986 137 1102 184Q1217 231 1319 326L1319 326L1319 115Q1213 43 1095 7Q976 -29 844 -29L844 -29Q505 -29 310 179Q115 386 115 745L115 745Q115 1105 310 1313Q505 1520 844 1520L844 1520Q978 1520 1097 1485Q1215 1449 1319 1378ZM778 0L897 0Q952 -62 979 -114Q1006 -167 1006 -215L1006 -215Q1006 -304 946 -349Q886 -395 768 -395L768 -395Q722 -395 679 -389Q635 -383 592 -371L592 -371L592 -240Q626 -257 663 -264Q700 -272 747 -272L747 -272Q806 -272 836 -248Q866 -224 866 -178L866 -178Q866 -148 845 -104Q823 -61 778 0L778 0Z"],"È":[1294,"M201 0L201 1493L1145 1493L1145 1323L403 1323L403 881L1114 881L1114 711L403 711L403 170L1163 170L1163 0L201 0ZM426 1899L613 1899L809 1635L656 1635L426 1899Z"],"É":[1294,"M201 0L201 1493L1145 1493L1145 1323L403 1323L403 881L1114 881L1114 711L403 711L403 170L1163 170L1163 0L201 0ZM529 1635L725 1899L910 1899L682 1635L529 1635Z"],"Ê":[1294,"M201 0L201 1493L1145 1493L1145 1323L403 1323L403 881L1114 881L1114 711L403 711L403 170L1163 170L1163 0L201 0ZM365 1635L576 1901L764 1901L975 1635L836 1635L670 1813L504 1635L365 1635Z"],"Ë":[1294,"M201 0L201 1493L1145 1493L1145 1323L403 1323L403 881L1114 881L1114 711L403 711L403 170L1163 170L1163 0L201 0ZM764 1667L764 1870L967 1870L967 1667L764 1667ZM373 1667L373 1870L576 1870L576 1667L373 1667Z"],"Ì":[604,"M201 0L201 1493L403 1493L403 0L201 0ZM59 1899L246 1899L442 1635L289 1635L59 1899Z"],"Í":[604,"M201 0L201 1493L403 1493L403 0L201 0ZM162 1635L358 1899L543 1899L315 1635L162 1635Z"],"Î":[604,"M201 0L201 1493L403 1493L403 0L201 0ZM-2 1635L209 1901L397 1901L608 1635L469 1635L303 1813L137 1635L-2 1635Z"],"Ï":[604,"M201 0L201 1493L403 1493L403 0L201 0ZM397 1667L397 1870L600 1870L600 1667L397 1667ZM6 1667L6 1870L209 1870L209 1667L6 1667Z"],"Ð":[1587,"M211 844L211 1493L627 1493Q1060 1493 1263 1313Q1466 1132 1466 748L1466 748Q1466 362 1263 181Q1059 0 627 0L627 0L211 0L211 700L10 700L10 844L211 844ZM657 1327L414 1327L414 844L750 844L750 700L414 700L414 166L657 166Q966 166 1110 306Q1253 446 1253 748L1253 748Q1253 1048 1110 1188Q966 1327 657 1327L657 1327Z"],"Ñ":[1532,"M201 0L201 1493L473 1493L1135 244L1135 1493L1331 1493L1331 0L1059 0L397 1249L397 0L201 0ZM762 1710L762 1710L705 1743Q680 1757 665 1763Q649 1768 637 1768L637 1768Q601 1768 581 1743Q561 1718 561 1673L561 1673L561 1667L436 1667Q436 1768 488 1827Q539 1886 625 1886L625 1886Q661 1886 692 1878Q722 1870 770 1843L770 1843L827 1813Q850 1800 867 1794Q884 1788 899 1788L899 1788Q931 1788 951 1814Q971 1839 971 1880L971 1880L971 1886L1096 1886Q1094 1786 1043 1727Q991 1667 907 1667L907 1667Q873 1667 844 1675Q814 1683 762 1710Z"],"Ò":[1612,"M807 1356L807 1356Q587 1356 458 1192Q328 1028 328 745L328 745Q328 463 458 299Q587 135 807 135L807 135Q1027 135 1156 299Q1284 463 1284 745L1284 745Q1284 1028 1156 1192Q1027 1356 807 1356ZM807 1520L807 1520Q1121 1520 1309 1310Q1497 1099 1497 745L1497 745Q1497 392 1309 182Q1121 -29 807 -29L807 -29Q492 -29 304 181Q115 391 115 745L115 745Q115 1099 304 1310Q492 1520 807 1520ZM563 1899L750 1899L946 1635L793 1635L563 1899Z"],"Ó":[1612,"M807 1356L807 1356Q587 1356 458 1192Q328 1028 328 745L328 745Q328 463 458 299Q587 135 807 135L807 135Q1027 135 1156 299Q1284 463 1284 745L1284 745Q1284 1028 1156 1192Q1027 1356 807 1356ZM807 1520L807 1520Q1121 1520 1309 1310Q1497 1099 1497 745L1497 745Q1497 392 1309 182Q1121 -29 807 -29L807 -29Q492 -29 304 181Q115 391 115 745L115 745Q115 1099 304 1310Q492 1520 807 1520ZM666 1635L862 1899L1047 1899L819 1635L666 1635Z"],"Ô":[1612,"M807 1356L807 1356Q587 1356 458 1192Q328 1028 328 745L328 745Q328 463 458 299Q587 135 807 135L807 135Q1027 135 1156 299Q1284 463 1284 745L1284 745Q1284 1028 1156 1192Q1027 1356 807 1356ZM807 1520L807 1520Q1121 1520 1309 1310Q1497 1099 1497 745L1497 745Q1497 392 1309 182Q1121 -29 807 -29L807 -29Q492 -29 304 181Q115 391 115 745L115 745Q115 1099 304 1310Q492 1520 807 1520ZM502 1635L713 1901L901 1901L1112 1635L973 1635L807 1813L641 1635L502 1635Z"],"Õ":[1612,"M807 1356L807 1356Q587 1356 458 1192Q328 1028 328 745L328 745Q328 463 458 299Q587 135 807 135L807 135Q1027 135 1156 299Q1284 463 1284 745L1284 745Q1284 1028 1156 1192Q1027 1356 807 1356ZM807 1520L807 1520Q1121 1520 1309 1310Q1497 1099 1497 745L1497 745Q1497 392 1309 182Q1121 -29 807 -29L807 -29Q492 -29 304 181Q115 391 115 745L115 745Q115 1099 304 1310Q492 1520 807 1520ZM803 1710L803 1710L746 1743Q721 1757 706 1763Q690 1768 678 1768L678 1768Q642 1768 622 1743Q602 1718 602 1673L602 1673L602 1667L477 1667Q477 1768 529 1827Q580 1886 666 1886L666 1886Q702 1886 733 1878Q763 1870 811 1843L811 1843L868 1813Q891 1800 908 1794Q925 1788 940 1788L940 1788Q972 1788 992 1814Q1012 1839 1012 1880L1012 1880L1012 1886L1137 1886Q1135 1786 1084 1727Q1032 1667 948 1667L948 1667Q914 1667 885 1675Q855 1683 803 1710Z"],"Ö":[1612,"M807 1356L807 1356Q587 1356 458 1192Q328 1028 328 745L328 745Q328 463 458 299Q587 135 807 135L807 135Q1027 135 1156 299Q1284 463 1284 745L1284 745Q1284 1028 1156 1192Q1027 1356 807 1356ZM807 1520L807 1520Q1121 1520 1309 1310Q1497 1099 1497 745L1497 745Q1497 392 1309 182Q1121 -29 807 -29L807 -29Q492 -29 304 181Q115 391 115 745L115 745Q115 1099 304 1310Q492 1520 807 1520ZM901 1667L901 1870L1104 1870L1104 1667L901 1667ZM510 1667L510 1870L713 1870L713 1667L510 1667Z"],"×":[1716,"M1317 1221L1436 1100L979 641L1436 184L1317 63L858 522L399 63L281 184L737 641L281 1100L399 1221L858 762L1317 1221Z"],"Ø":[1612,"M1206 1112L1206 1112L489 266Q551 202 632 169Q712 135 807 135L807 135Q1027 135 1156 299Q1284 463 1284 745L1284 745Q1284 857 1265 949Q1245 1041 1206 1112ZM406 377L1124 1225Q1063 1289 983 1323Q902 1356 807 1356L807 1356Q587 1356 458 1192Q328 1028 328 745L328 745Q328 633 348 539Q367 445 406 377L406 377ZM102 18L272 219Q194 321 155 453Q115 585 115 745L115 745Q115 1099 304 1310Q492 1520 807 1520L807 1520Q937 1520 1048 1482Q1158 1443 1245 1368L1245 1368L1407 1559L1509 1470L1339 1272Q1417 1169 1457 1036Q1497 903 1497 745L1497 745Q1497 392 1309 182Q1121 -29 807 -29L807 -29Q679 -29 569 9Q458 46 367 121L367 121L205 -70L102 18Z"],"Ù":[1499,"M178 561L178 1493L381 1493L381 586Q381 346 468 241Q555 135 750 135L750 135Q944 135 1031 241Q1118 346 1118 586L1118 586L1118 1493L1321 1493L1321 561Q1321 269 1177 120Q1032 -29 750 -29L750 -29Q467 -29 323 120Q178 269 178 561L178 561ZM506 1899L693 1899L889 1635L736 1635L506 1899Z"],"Ú":[1499,"M178 561L178 1493L381 1493L381 586Q381 346 468 241Q555 135 750 135L750 135Q944 135 1031 241Q1118 346 1118 586L1118 586L1118 1493L1321 1493L1321 561Q1321 269 1177 120Q1032 -29 750 -29L750 -29Q467 -29 323 120Q178 269 178 561L178 561ZM609 1635L805 1899L990 1899L762 1635L609 1635Z"],"Û":[1499,"M178 561L178 1493L381 1493L381 586Q381 346 468 241Q555 135 750 135L750 135Q944 135 1031 241Q1118 346 1118 586L1118 586L1118 1493L1321 1493L1321 561Q1321 269 1177 120Q1032 -29 750 -29L750 -29Q467 -29 323 120Q178 269 178 561L178 561ZM445 1635L656 1901L844 1901L1055 1635L916 1635L750 1813L584 1635L445 1635Z"],"Ü":[1499,"M178 561L178 1493L381 1493L381 586Q381 346 468 241Q555 135 750 135L750 135Q944 135 1031 241Q1118 346 1118 586L1118 586L1118 1493L1321 1493L1321 561Q1321 269 1177 120Q1032 -29 750 -29L750 -29Q467 -29 323 120Q178 269 178 561L178 561ZM844 1667L844 1870L1047 1870L1047 1667L844 1667ZM453 1667L453 1870L656 1870L656 1667L453 1667Z"],"Ý":[1251,"M524 711L-4 1493L213 1493L627 879L1038 1493L1255 1493L727 711L727 0L524 0L524 711ZM486 1635L682 1899L867 1899L639 1635L486 1635Z"],"Þ":[1239,"M201 0L201 1493L403 1493L403 1229L657 1229Q908 1229 1037 1117Q1165 1004 1165 784L1165 784Q1165 564 1037 451Q908 338 657 338L657 338L403 338L403 0L201 0ZM657 1063L403 1063L403 504L657 504Q798 504 875 577Q952 650 952 784L952 784Q952 918 876 991Q799 1063 657 1063L657 1063Z"],"ß":[1290,"M186 0L186 1137Q186 1337 306 1447Q425 1556 643 1556L643 1556Q851 1556 961 1440Q1070 1324 1073 1100L1073 1100Q922 1092 838 1035Q754 977 754 881L754 881Q754 834 783 794Q812 753 877 711L877 711L934 674Q1100 568 1148 497Q1196 426 1196 326L1196 326Q1196 154 1084 63Q971 -29 760 -29L760 -29Q696 -29 628 -16Q560 -4 487 20L487 20L487 184Q567 154 637 140Q707 125 772 125L772 125Q888 125 948 173Q1008 220 1008 311L1008 311Q1008 374 979 416Q949 458 848 520L848 520L756 575Q660 634 617 702Q573 769 573 860L573 860Q573 987 657 1073Q740 1159 891 1188L891 1188Q883 1291 818 1347Q752 1403 639 1403L639 1403Q509 1403 441 1334Q373 1264 373 1133L373 1133L373 0L186 0Z"],"à":[1255,"M885 563L702 563Q479 563 393 512Q307 461 307 338L307 338Q307 240 372 183Q436 125 547 125L547 125Q700 125 793 234Q885 342 885 522L885 522L885 563ZM1069 639L1069 639L1069 0L885 0L885 170Q822 68 728 20Q634 -29 498 -29L498 -29Q326 -29 225 68Q123 164 123 326L123 326Q123 515 250 611Q376 707 627 707L627 707L885 707L885 725Q885 852 802 922Q718 991 567 991L567 991Q471 991 380 968Q289 945 205 899L205 899L205 1069Q306 1108 401 1128Q496 1147 586 1147L586 1147Q829 1147 949 1021Q1069 895 1069 639ZM252 1638L449 1638L731 1264L578 1264L252 1638Z"],"á":[1255,"M885 563L702 563Q479 563 393 512Q307 461 307 338L307 338Q307 240 372 183Q436 125 547 125L547 125Q700 125 793 234Q885 342 885 522L885 522L885 563ZM1069 639L1069 639L1069 0L885 0L885 170Q822 68 728 20Q634 -29 498 -29L498 -29Q326 -29 225 68Q123 164 123 326L123 326Q123 515 250 611Q376 707 627 707L627 707L885 707L885 725Q885 852 802 922Q718 991 567 991L567 991Q471 991 380 968Q289 945 205 899L205 899L205 1069Q306 1108 401 1128Q496 1147 586 1147L586 1147Q829 1147 949 1021Q1069 895 1069 639ZM453 1262L733 1638L932 1638L606 1262L453 1262Z"],"â":[1255,"M885 563L702 563Q479 563 393 512Q307 461 307 338L307 338Q307 240 372 183Q436 125 547 125L547 125Q700 125 793 234Q885 342 885 522L885 522L885 563ZM1069 639L1069 639L1069 0L885 0L885 170Q822 68 728 20Q634 -29 498 -29L498 -29Q326 -29 225 68Q123 164 123 326L123 326Q123 515 250 611Q376 707 627 707L627 707L885 707L885 725Q885 852 802 922Q718 991 567 991L567 991Q471 991 380 968Q289 945 205 899L205 899L205 1069Q306 1108 401 1128Q496 1147 586 1147L586 1147Q829 1147 949 1021Q1069 895 1069 639ZM275 1262L520 1638L668 1638L913 1262L774 1262L594 1507L414 1262L275 1262Z"],"ã":[1255,"M885 563L702 563Q479 563 393 512Q307 461 307 338L307 338Q307 240 372 183Q436 125 547 125L547 125Q700 125 793 234Q885 342 885 522L885 522L885 563ZM1069 639L1069 639L1069 0L885 0L885 170Q822 68 728 20Q634 -29 498 -29L498 -29Q326 -29 225 68Q123 164 123 326L123 326Q123 515 250 611Q376 707 627 707L627 707L885 707L885 725Q885 852 802 922Q718 991 567 991L567 991Q471 991 380 968Q289 945 205 899L205 899L205 1069Q306 1108 401 1128Q496 1147 586 1147L586 1147Q829 1147 949 1021Q1069 895 1069 639ZM590 1370L590 1370L533 1425Q511 1445 495 1455Q478 1464 465 1464L465 1464Q427 1464 409 1428Q391 1391 389 1309L389 1309L264 1309Q266 1444 317 1518Q368 1591 459 1591L459 1591Q497 1591 529 1577Q561 1563 598 1530L598 1530L655 1475Q677 1455 694 1446Q710 1436 723 1436L723 1436Q761 1436 779 1473Q797 1509 799 1591L799 1591L924 1591Q922 1456 871 1383Q820 1309 729 1309L729 1309Q691 1309 659 1323Q627 1337 590 1370Z"],"ä":[1255,"M885 563L702 563Q479 563 393 512Q307 461 307 338L307 338Q307 240 372 183Q436 125 547 125L547 125Q700 125 793 234Q885 342 885 522L885 522L885 563ZM1069 639L1069 639L1069 0L885 0L885 170Q822 68 728 20Q634 -29 498 -29L498 -29Q326 -29 225 68Q123 164 123 326L123 326Q123 515 250 611Q376 707 627 707L627 707L885 707L885 725Q885 852 802 922Q718 991 567 991L567 991Q471 991 380 968Q289 945 205 899L205 899L205 1069Q306 1108 401 1128Q496 1147 586 1147L586 1147Q829 1147 949 1021Q1069 895 1069 639ZM688 1350L688 1552L891 1552L891 1350L688 1350ZM297 1350L297 1552L500 1552L500 1350L297 1350Z"],"å":[1255,"M885 563L702 563Q479 563 393 512Q307 461 307 338L307 338Q307 240 372 183Q436 125 547 125L547 125Q700 125 793 234Q885 342 885 522L885 522L885 563ZM1069 639L1069 639L1069 0L885 0L885 170Q822 68 728 20Q634 -29 498 -29L498 -29Q326 -29 225 68Q123 164 123 326L123 326Q123 515 250 611Q376 707 627 707L627 707L885 707L885 725Q885 852 802 922Q718 991 567 991L567 991Q471 991 380 968Q289 945 205 899L205 899L205 1069Q306 1108 401 1128Q496 1147 586 1147L586 1147Q829 1147 949 1021Q1069 895 1069 639ZM746 1524L746 1524Q746 1587 702 1631Q658 1675 594 1675L594 1675Q529 1675 486 1632Q442 1588 442 1524L442 1524Q442 1459 486 1416Q529 1372 594 1372L594 1372Q658 1372 702 1416Q746 1460 746 1524ZM868 1524L868 1524Q868 1409 789 1329Q709 1249 594 1249L594 1249Q479 1249 400 1329Q320 1409 320 1524L320 1524Q320 1639 400 1719Q479 1798 594 1798L594 1798Q709 1798 789 1719Q868 1639 868 1524Z"],"æ":[2011,"M1063 659L1718 660Q1717 811 1635 901Q1552 991 1415 991L1415 991Q1262 991 1170 904Q1077 817 1063 659L1063 659ZM995 963L995 963Q1069 1053 1175 1100Q1281 1147 1413 1147L1413 1147Q1639 1147 1771 1002Q1903 856 1903 606L1903 606L1903 516L1057 516Q1069 325 1171 225Q1273 125 1456 125L1456 125Q1560 125 1660 152Q1760 178 1860 231L1860 231L1860 57Q1760 15 1656 -7Q1552 -29 1446 -29L1446 -29Q1279 -29 1155 32Q1031 92 954 211L954 211Q881 91 773 31Q665 -29 522 -29L522 -29Q333 -29 228 65Q123 158 123 326L123 326Q123 515 250 611Q376 707 627 707L627 707L885 707L885 725Q885 852 802 922Q718 991 567 991L567 991Q471 991 380 968Q289 945 205 899L205 899L205 1069Q306 1108 401 1128Q496 1147 586 1147L586 1147Q728 1147 835 1099Q941 1051 995 963ZM885 563L702 563Q479 563 393 512Q307 461 307 338L307 338Q307 240 372 183Q436 125 547 125L547 125Q700 125 793 234Q885 342 885 522L885 522L885 563Z"],"ç":[1126,"M999 1077L999 1077L999 905Q921 948 843 970Q764 991 684 991L684 991Q505 991 406 878Q307 764 307 559L307 559Q307 354 406 241Q505 127 684 127L684 127Q764 127 843 149Q921 170 999 213L999 213L999 43Q922 7 840 -11Q757 -29 664 -29L664 -29Q411 -29 262 130Q113 289 113 559L113 559Q113 833 264 990Q414 1147 676 1147L676 1147Q761 1147 842 1130Q923 1112 999 1077ZM620 0L739 0Q794 -62 821 -114Q848 -167 848 -215L848 -215Q848 -304 788 -349Q728 -395 610 -395L610 -395Q564 -395 521 -389Q477 -383 434 -371L434 -371L434 -240Q468 -257 505 -264Q542 -272 589 -272L589 -272Q648 -272 678 -248Q708 -224 708 -178L708 -178Q708 -148 687 -104Q665 -61 620 0L620 0Z"],"è":[1260,"M1151 606L1151 606L1151 516L305 516Q317 326 420 227Q522 127 705 127L705 127Q811 127 911 153Q1010 179 1108 231L1108 231L1108 57Q1009 15 905 -7Q801 -29 694 -29L694 -29Q426 -29 270 127Q113 283 113 549L113 549Q113 824 262 986Q410 1147 662 1147L662 1147Q888 1147 1020 1002Q1151 856 1151 606ZM311 659L967 660Q965 811 883 901Q800 991 664 991L664 991Q510 991 418 904Q325 817 311 659L311 659ZM309 1638L506 1638L788 1264L635 1264L309 1638Z"],"é":[1260,"M1151 606L1151 606L1151 516L305 516Q317 326 420 227Q522 127 705 127L705 127Q811 127 911 153Q1010 179 1108 231L1108 231L1108 57Q1009 15 905 -7Q801 -29 694 -29L694 -29Q426 -29 270 127Q113 283 113 549L113 549Q113 824 262 986Q410 1147 662 1147L662 1147Q888 1147 1020 1002Q1151 856 1151 606ZM311 659L967 660Q965 811 883 901Q800 991 664 991L664 991Q510 991 418 904Q325 817 311 659L311 659ZM510 1262L790 1638L989 1638L663 1262L510 1262Z"],"ê":[1260,"M1151 606L1151 606L1151 516L305 516Q317 326 420 227Q522 127 705 127L705 127Q811 127 911 153Q1010 179 1108 231L1108 231L1108 57Q1009 15 905 -7Q801 -29 694 -29L694 -29Q426 -29 270 127Q113 283 113 549L113 549Q113 824 262 986Q410 1147 662 1147L662 1147Q888 1147 1020 1002Q1151 856 1151 606ZM311 659L967 660Q965 811 883 901Q800 991 664 991L664 991Q510 991 418 904Q325 817 311 659L311 659ZM332 1262L577 1638L725 1638L970 1262L831 1262L651 1507L471 1262L332 1262Z"],"ë":[1260,"M1151 606L1151 606L1151 516L305 516Q317 326 420 227Q522 127 705 127L705 127Q811 127 911 153Q1010 179 1108 231L1108 231L1108 57Q1009 15 905 -7Q801 -29 694 -29L694 -29Q426 -29 270 127Q113 283 113 549L113 549Q113 824 262 986Q410 1147 662 1147L662 1147Q888 1147 1020 1002Q1151 856 1151 606ZM311 659L967 660Q965 811 883 901Q800 991 664 991L664 991Q510 991 418 904Q325 817 311 659L311 659ZM745 1350L745 1552L948 1552L948 1350L745 1350ZM354 1350L354 1552L557 1552L557 1350L354 1350Z"],"ì":[569,"M-57 1638L140 1638L422 1264L269 1264L-57 1638ZM193 0L193 1120L377 1120L377 0L193 0ZM285 1147L285 1147Z"],"í":[569,"M144 1262L424 1638L623 1638L297 1262L144 1262ZM193 0L193 1120L377 1120L377 0L193 0ZM285 1147L285 1147Z"],"î":[569,"M193 0L193 1120L377 1120L377 0L193 0ZM285 1147L285 1147ZM-34 1262L211 1638L359 1638L604 1262L465 1262L285 1507L105 1262L-34 1262Z"],"ï":[569,"M193 0L193 1120L377 1120L377 0L193 0ZM285 1147L285 1147ZM379 1350L379 1552L582 1552L582 1350L379 1350ZM-12 1350L-12 1552L191 1552L191 1350L-12 1350Z"],"ð":[1253,"M838 915L838 915Q788 932 744 940Q700 948 659 948L659 948Q492 948 400 840Q307 732 307 537L307 537Q307 349 394 238Q481 127 627 127L627 127Q772 127 859 238Q946 349 946 537L946 537Q946 659 919 753Q892 847 838 915ZM737 1327L901 1141Q1027 998 1084 854Q1141 710 1141 537L1141 537Q1141 282 999 127Q857 -29 627 -29L627 -29Q396 -29 255 127Q113 282 113 537L113 537Q113 787 251 943Q389 1098 610 1098L610 1098Q628 1098 654 1096Q680 1093 722 1088L722 1088L563 1268L244 1161L211 1260L492 1352L311 1556L539 1556L666 1411L999 1522L1032 1425L737 1327Z"],"ñ":[1298,"M1124 676L1124 676L1124 0L940 0L940 670Q940 829 878 908Q816 987 692 987L692 987Q543 987 457 892Q371 797 371 633L371 633L371 0L186 0L186 1120L371 1120L371 946Q437 1047 527 1097Q616 1147 733 1147L733 1147Q926 1147 1025 1028Q1124 908 1124 676ZM660 1370L660 1370L603 1425Q581 1445 565 1455Q548 1464 535 1464L535 1464Q497 1464 479 1428Q461 1391 459 1309L459 1309L334 1309Q336 1444 387 1518Q438 1591 529 1591L529 1591Q567 1591 599 1577Q631 1563 668 1530L668 1530L725 1475Q747 1455 764 1446Q780 1436 793 1436L793 1436Q831 1436 849 1473Q867 1509 869 1591L869 1591L994 1591Q992 1456 941 1383Q890 1309 799 1309L799 1309Q761 1309 729 1323Q697 1337 660 1370Z"],"ò":[1253,"M627 991L627 991Q479 991 393 876Q307 760 307 559L307 559Q307 358 393 243Q478 127 627 127L627 127Q774 127 860 243Q946 359 946 559L946 559Q946 758 860 875Q774 991 627 991ZM627 1147L627 1147Q867 1147 1004 991Q1141 835 1141 559L1141 559Q1141 284 1004 128Q867 -29 627 -29L627 -29Q386 -29 250 128Q113 284 113 559L113 559Q113 835 250 991Q386 1147 627 1147ZM285 1638L482 1638L764 1264L611 1264L285 1638Z"],"ó":[1253,"M627 991L627 991Q479 991 393 876Q307 760 307 559L307 559Q307 358 393 243Q478 127 627 127L627 127Q774 127 860 243Q946 359 946 559L946 559Q946 758 860 875Q774 991 627 991ZM627 1147L627 1147Q867 1147 1004 991Q1141 835 1141 559L1141 559Q1141 284 1004 128Q867 -29 627 -29L627 -29Q386 -29 250 128Q113 284 113 559L113 559Q113 835 250 991Q386 1147 627 1147ZM486 1262L766 1638L965 1638L639 1262L486 1262Z"],"ô":[1253,"M627 991L627 991Q479 991 393 876Q307 760 307 559L307 559Q307 358 393 243Q478 127 627 127L627 127Q774 127 860 243Q946 359 946 559L946 559Q946 758 860 875Q774 991 627 991ZM627 1147L627 1147Q867 1147 1004 991Q1141 835 1141 559L1141 559Q1141 284 1004 128Q867 -29 627 -29L627 -29Q386 -29 250 128Q113 284 113 559L113 559Q113 835 250 991Q386 1147 627 1147ZM308 1262L553 1638L701 1638L946 1262L807 1262L627 1507L447 1262L308 1262Z"],"õ":[1253,"M627 991L627 991Q479 991 393 876Q307 760 307 559L307 559Q307 358 393 243Q478 127 627 127L627 127Q774 127 860 243Q946 359 946 559L946 559Q946 758 860 875Q774 991 627 991ZM627 1147L627 1147Q867 1147 1004 991Q1141 835 1141 559L1141 559Q1141 284 1004 128Q867 -29 627 -29L627 -29Q386 -29 250 128Q113 284 113 559L113 559Q113 835 250 991Q386 1147 627 1147ZM623 1370L623 1370L566 1425Q544 1445 528 1455Q511 1464 498 1464L498 1464Q460 1464 442 1428Q424 1391 422 1309L422 1309L297 1309Q299 1444 350 1518Q401 1591 492 1591L492 1591Q530 1591 562 1577Q594 1563 631 1530L631 1530L688 1475Q710 1455 727 1446Q743 1436 756 1436L756 1436Q794 1436 812 1473Q830 1509 832 1591L832 1591L957 1591Q955 1456 904 1383Q853 1309 762 1309L762 1309Q724 1309 692 1323Q660 1337 623 1370Z"],"ö":[1253,"M627 991L627 991Q479 991 393 876Q307 760 307 559L307 559Q307 358 393 243Q478 127 627 127L627 127Q774 127 860 243Q946 359 946 559L946 559Q946 758 860 875Q774 991 627 991ZM627 1147L627 1147Q867 1147 1004 991Q1141 835 1141 559L1141 559Q1141 284 1004 128Q867 -29 627 -29L627 -29Q386 -29 250 128Q113 284 113 559L113 559Q113 835 250 991Q386 1147 627 1147ZM721 1350L721 1552L924 1552L924 1350L721 1350ZM330 1350L330 1552L533 1552L533 1350L330 1350Z"],"÷":[1716,"M735 889L735 1135L981 1135L981 889L735 889ZM735 150L735 395L981 395L981 150L735 150ZM217 557L217 727L1499 727L1499 557L217 557Z"],"ø":[1253,"M905 801L905 801L418 209Q459 167 511 147Q562 127 627 127L627 127Q774 127 860 243Q946 359 946 559L946 559Q946 638 936 697Q926 755 905 801ZM346 317L834 909Q792 950 741 971Q689 991 627 991L627 991Q476 991 392 874Q307 756 307 545L307 545Q307 473 317 418Q326 363 346 317L346 317ZM72 -16L221 166Q167 243 140 342Q113 440 113 559L113 559Q113 835 250 991Q386 1147 627 1147L627 1147Q720 1147 800 1122Q879 1096 946 1044L946 1044L1085 1212L1180 1133L1034 954Q1087 877 1114 778Q1141 679 1141 559L1141 559Q1141 284 1004 128Q867 -29 627 -29L627 -29Q531 -29 451 -3Q370 23 307 74L307 74L168 -94L72 -16Z"],"ù":[1298,"M174 442L174 442L174 1120L358 1120L358 449Q358 290 420 211Q482 131 606 131L606 131Q755 131 842 226Q928 321 928 485L928 485L928 1120L1112 1120L1112 0L928 0L928 172Q861 70 773 21Q684 -29 567 -29L567 -29Q374 -29 274 91Q174 211 174 442ZM637 1147L637 1147ZM293 1638L490 1638L772 1264L619 1264L293 1638Z"],"ú":[1298,"M174 442L174 442L174 1120L358 1120L358 449Q358 290 420 211Q482 131 606 131L606 131Q755 131 842 226Q928 321 928 485L928 485L928 1120L1112 1120L1112 0L928 0L928 172Q861 70 773 21Q684 -29 567 -29L567 -29Q374 -29 274 91Q174 211 174 442ZM637 1147L637 1147ZM494 1262L774 1638L973 1638L647 1262L494 1262Z"],"û":[1298,"M174 442L174 442L174 1120L358 1120L358 449Q358 290 420 211Q482 131 606 131L606 131Q755 131 842 226Q928 321 928 485L928 485L928 1120L1112 1120L1112 0L928 0L928 172Q861 70 773 21Q684 -29 567 -29L567 -29Q374 -29 274 91Q174 211 174 442ZM637 1147L637 1147ZM316 1262L561 1638L709 1638L954 1262L815 1262L635 1507L455 1262L316 1262Z"],"ü":[1298,"M174 442L174 442L174 1120L358 1120L358 449Q358 290 420 211Q482 131 606 131L606 131Q755 131 842 226Q928 321 928 485L928 485L928 1120L1112 1120L1112 0L928 0L928 172Q861 70 773 21Q684 -29 567 -29L567 -29Q374 -29 274 91Q174 211 174 442ZM637 1147L637 1147ZM729 1350L729 1552L932 1552L932 1350L729 1350ZM338 1350L338 1552L541 1552L541 1350L338 1350Z"],"ý":[1212,"M1151 1120L659 -104Q581 -304 507 -365Q433 -426 309 -426L309 -426L162 -426L162 -272L270 -272Q346 -272 388 -236Q430 -200 481 -66L481 -66L514 18L61 1120L256 1120L606 244L956 1120L1151 1120ZM465 1262L745 1638L944 1638L618 1262L465 1262Z"],"þ":[1300,"M371 168L371 168L371 -426L186 -426L186 1556L371 1556L371 950Q429 1050 518 1099Q606 1147 729 1147L729 1147Q933 1147 1061 985Q1188 823 1188 559L1188 559Q1188 295 1061 133Q933 -29 729 -29L729 -29Q606 -29 518 20Q429 68 371 168ZM997 559L997 559Q997 762 914 878Q830 993 684 993L684 993Q538 993 455 878Q371 762 371 559L371 559Q371 356 455 241Q538 125 684 125L684 125Q830 125 914 241Q997 356 997 559Z"],"ÿ":[1212,"M1151 1120L659 -104Q581 -304 507 -365Q433 -426 309 -426L309 -426L162 -426L162 -272L270 -272Q346 -272 388 -236Q430 -200 481 -66L481 -66L514 18L61 1120L256 1120L606 244L956 1120L1151 1120ZM700 1350L700 1552L903 1552L903 1350L700 1350ZM309 1350L309 1552L512 1552L512 1350L309 1350Z"],"–":[1024,"M100 489L100 633L924 633L924 489L100 489Z"],"—":[2048,"M100 489L100 633L1948 633L1948 489L100 489Z"],"‘":[651,"M385 1174L385 1001L174 1001L174 1174L338 1493L467 1493L385 1174Z"],"’":[651,"M260 1341L260 1493L471 1493L471 1341L307 1022L178 1022L260 1341Z"],"“":[1061,"M385 1174L385 1001L174 1001L174 1174L338 1493L467 1493L385 1174ZM795 1174L795 1001L584 1001L584 1174L748 1493L877 1493L795 1174Z"],"”":[1061,"M256 1321L256 1493L467 1493L467 1321L303 1001L174 1001L256 1321ZM666 1321L666 1493L877 1493L877 1321L713 1001L584 1001L666 1321Z"],"•":[1208,"M307 762L307 762Q307 886 394 972Q480 1057 606 1057L606 1057Q730 1057 816 972Q901 886 901 762L901 762Q901 637 815 551Q729 465 604 465L604 465Q479 465 393 551Q307 637 307 762Z"],"…":[2048,"M918 0L918 254L1130 254L1130 0L918 0ZM1599 0L1599 254L1812 254L1812 0L1599 0ZM236 0L236 254L449 254L449 0L236 0Z"],"€":[1303,"M1167 1378L1167 1378L1167 1165Q1076 1270 992 1315Q907 1360 805 1360L805 1360Q648 1360 547 1260Q446 1160 414 973L414 973L991 973L936 850L398 850Q396 826 396 803Q395 780 395 745L395 745Q395 713 396 690Q396 667 398 643L398 643L844 643L788 520L414 520Q446 333 547 232Q648 131 805 131L805 131Q907 131 992 176Q1076 221 1167 326L1167 326L1167 115Q1078 43 986 7Q893 -29 797 -29L797 -29Q560 -29 406 116Q251 261 211 520L211 520L0 520L55 643L194 643Q194 666 194 690Q193 713 193 745L193 745Q193 780 194 804Q194 827 194 850L194 850L0 850L55 973L211 973Q251 1230 406 1375Q561 1520 797 1520L797 1520Q895 1520 988 1485Q1080 1449 1167 1378Z"],"Ω":[1565,"M1167 178L1487 178L1487 0L887 0L887 178Q1064 275 1163 441L1163 441Q1262 607 1262 809L1262 809Q1262 1049 1130 1194L1130 1194Q998 1339 782 1339L782 1339Q566 1339 434 1194Q301 1048 301 809L301 809Q301 607 400 441L400 441Q500 275 678 178L678 178L678 0L78 0L78 178L397 178Q239 317 166 466L166 466Q94 615 94 799L94 799Q94 1117 286 1314L286 1314Q477 1511 782 1511L782 1511Q1085 1511 1278 1314L1278 1314Q1470 1118 1470 809L1470 809Q1470 615 1399 467L1399 467Q1328 319 1167 178L1167 178Z"],"≤":[1716,"M1499 1192L1499 1016L539 739L1499 465L1499 287L217 655L217 825L1499 1192ZM217 0L217 170L1499 170L1499 0L217 0Z"],"≥":[1716,"M1178 739L217 1016L217 1192L1499 825L1499 655L217 287L217 465L1178 739ZM217 170L1499 170L1499 0L217 0L217 170Z"],"≈":[1716,"M1499 623L1499 623L1499 444Q1394 366 1305 332Q1215 297 1118 297L1118 297Q1008 297 862 356L862 356Q852 360 845 363L845 363Q839 365 824 371L824 371Q669 432 575 432L575 432Q487 432 401 394Q315 356 217 272L217 272L217 451Q322 529 412 564Q501 598 598 598L598 598Q708 598 855 539L855 539Q866 534 871 532L871 532Q877 530 892 524L892 524Q1047 463 1141 463L1141 463Q1227 463 1312 501Q1396 538 1499 623ZM1499 1012L1499 1012L1499 834Q1394 755 1305 721Q1215 686 1118 686L1118 686Q1008 686 862 745L862 745Q852 749 845 752L845 752Q839 754 824 760L824 760Q669 821 575 821L575 821Q487 821 401 783Q315 745 217 662L217 662L217 840Q322 918 412 953Q501 987 598 987L598 987Q708 987 855 928L855 928Q865 924 870 922L870 922Q877 919 892 913L892 913Q1047 852 1141 852L1141 852Q1227 852 1312 890Q1396 927 1499 1012Z"],"∅":[1784,"M1288 1339L1288 1339L1377 1449L1483 1449L1355 1292Q1460 1209 1529 1087L1529 1087Q1629 909 1629 717Q1629 525 1529 348Q1429 170 1253 75Q1077 -20 892 -20L892 -20Q705 -20 529 75L529 75Q473 105 425 144L425 144L299 -12L194 -12L364 198Q301 264 254 348L254 348Q155 525 155 717Q155 909 254 1087Q353 1264 529 1359Q705 1454 892 1454L892 1454Q1077 1454 1253 1359L1253 1359Q1271 1349 1288 1339ZM448 302L448 302L1204 1235L1190 1243Q1045 1321 892 1321L892 1321Q738 1321 593 1243Q447 1164 365 1017L365 1017Q284 872 283 717L283 717Q284 562 365 417L365 417Q401 353 448 302ZM1272 1189L1272 1189L509 247Q548 216 593 192L593 192Q738 113 892 113L892 113Q1045 113 1190 192Q1335 270 1418 417L1418 417Q1500 562 1501 717L1501 717Q1500 872 1418 1017L1418 1017Q1360 1120 1272 1189Z"],"→":[1716,"M1223 1080L1616 687L1616 597L1223 204L1103 324L1336 557L117 557L117 727L1336 727L1103 960L1223 1080Z"]},"kerning":{"-A":-45,"-B":-73,"-G":75,"-J":114,"-O":57,"-Q":75,"-T":-188,"-V":-120,"-W":-83,"-X":-102,"-Y":-243,"-o":38,"-v":-55,"-y":-36,"A-":-45,"A.":-36,"A:":-36,"AA":57,"AC":-36,"AG":-36,"AO":-36,"AQ":-36,"AT":-159,"AV":-131,"AW":-112,"AY":-159,"Ac":-36,"Ad":-36,"Ae":-36,"Af":-73,"Ao":-36,"Aq":-36,"At":-36,"Av":-120,"Aw":-83,"Ay":-139,"BC":-36,"BG":-36,"BO":-36,"BS":-36,"BV":-63,"BW":-73,"BY":-112,"CY":-36,"DA":-36,"DV":-36,"DY":-112,"F.":-329,"F:":-159,"FA":-188,"FS":-36,"FT":-36,"Fa":-188,"Fe":-112,"Fi":-149,"Fo":-73,"Fr":-149,"Fu":-112,"Fy":-188,"GT":-73,"GY":-102,"H.":-36,"J-":-73,"JA":-36,"K-":-215,"KA":-36,"KC":-112,"KO":-112,"KT":-159,"KU":-55,"KW":-73,"KY":-73,"Ka":-36,"Ke":-102,"Ko":-102,"Ku":-102,"Ky":-149,"L-":-36,"LA":47,"LO":-73,"LT":-282,"LU":-102,"LV":-225,"LW":-188,"LY":-272,"Le":-36,"Lo":-36,"Lu":-36,"Ly":-188,"O-":57,"O.":-83,"O:":-36,"OA":-36,"OV":-36,"OX":-131,"OY":-112,"P-":-45,"P.":-319,"PA":-131,"PY":-45,"Pa":-92,"Pe":-73,"Pi":-45,"Pn":-36,"Po":-73,"Pr":-36,"Ps":-36,"Pu":-36,"Q-":57,"R-":-83,"R.":-73,"R:":-63,"RA":-83,"RC":-102,"RT":-149,"RV":-112,"RW":-83,"RY":-131,"Ra":-45,"Re":-92,"Ro":-92,"Ru":-92,"Ry":-112,"SA":38,"T-":-188,"T.":-243,"T:":-225,"TA":-159,"TC":-120,"TT":-36,"Ta":-339,"Tc":-348,"Te":-348,"Ti":-63,"To":-348,"Tr":-301,"Ts":-339,"Tu":-311,"Tw":-339,"Ty":-319,"UZ":-36,"V-":-120,"V.":-264,"V:":-167,"VA":-131,"VO":-36,"Va":-159,"Ve":-159,"Vi":-45,"Vo":-159,"Vu":-139,"Vy":-55,"W-":-83,"W.":-235,"W:":-120,"WA":-112,"Wa":-131,"We":-120,"Wi":-45,"Wo":-120,"Wr":-92,"Wu":-73,"Wy":-36,"X-":-102,"XC":-149,"XO":-131,"XT":-36,"Xe":-92,"Y-":-243,"Y.":-415,"Y:":-272,"YA":-159,"YC":-112,"YO":-112,"Ya":-282,"Ye":-272,"Yi":-73,"Yo":-272,"Yu":-235,"Z-":-36,"ex":-36,"f-":-112,"f.":-149,"f:":-73,"ft":-36,"fw":-36,"fy":-36,"ka":-36,"ke":-73,"ko":-73,"ku":-63,"ky":-73,"o-":38,"o.":-36,"ox":-63,"r-":-131,"r.":-188,"r:":-36,"rc":-45,"rd":-36,"re":-45,"rg":-36,"rh":-36,"rm":-36,"rn":-36,"ro":-45,"rq":-36,"rr":-36,"rx":-55,"v-":-55,"v.":-159,"v:":-112,"w.":-188,"w:":-112,"xc":-36,"xe":-63,"xo":-63,"y-":-36,"y.":-292,"y:":-149}};
@@ -0,0 +1,7 @@
+// shared/fonts/dejavuSansBold.js
+// Generated by shared/fonts/buildFonts.js from ttf/DejaVuSans-Bold.ttf; don't edit.
+// Copyright (c) 2003 by Bitstream, Inc. All Rights Reserved.
+// Copyright (c) 2006 by Tavmjong Bah. All Rights Reserved.
+// DejaVu changes are in public domain
+
+export default {"family":"DejaVu Sans","style":"Bold","unitsPerEm":2048,"ascender":1901,"descender":-483,"lineGap":0,"capHeight":1493,"glyphs":{"0":[1425,"M942 748L942 748Q942 1028 890 1143Q837 1257 713 1257L713 1257Q589 1257 536 1143Q483 1028 483 748L483 748Q483 465 536 349Q589 233 713 233L713 233Q836 233 889 349Q942 465 942 748ZM1327 745L1327 745Q1327 374 1167 173Q1007 -29 713 -29L713 -29Q418 -29 258 173Q98 374 98 745L98 745Q98 1117 258 1319Q418 1520 713 1520L713 1520Q1007 1520 1167 1319Q1327 1117 1327 745Z"],"1":[1425,"M240 0L240 266L580 266L580 1231L231 1159L231 1421L578 1493L944 1493L944 266L1284 266L1284 0L240 0Z"],"2":[1425,"M909 563L590 283L1247 283L1247 0L162 0L162 283L707 764Q780 830 815 893Q850 956 850 1024L850 1024Q850 1129 780 1193Q709 1257 592 1257L592 1257Q502 1257 395 1219Q288 1180 166 1104L166 1104L166 1432Q296 1475 423 1498Q550 1520 672 1520L672 1520Q940 1520 1089 1402Q1237 1284 1237 1073L1237 1073Q1237 951 1174 846Q1111 740 909 563L909 563Z"],"3":[1425,"M954 805L954 805Q1105 766 1184 670Q1262 573 1262 424L1262 424Q1262 202 1092 87Q922 -29 596 -29L596 -29Q481 -29 366 -10Q250 8 137 45L137 45L137 342Q245 288 352 261Q458 233 561 233L561 233Q714 233 796 286Q877 339 877 438L877 438Q877 540 794 593Q710 645 547 645L547 645L393 645L393 893L555 893Q700 893 771 939Q842 984 842 1077L842 1077Q842 1163 773 1210Q704 1257 578 1257L578 1257Q485 1257 390 1236Q295 1215 201 1174L201 1174L201 1456Q315 1488 427 1504Q539 1520 647 1520L647 1520Q938 1520 1083 1425Q1227 1329 1227 1137L1227 1137Q1227 1006 1158 923Q1089 839 954 805Z"],"4":[1425,"M754 551L754 1176L332 551L754 551ZM92 602L690 1493L1118 1493L1118 551L1331 551L1331 272L1118 272L1118 0L754 0L754 272L92 272L92 602Z"],"5":[1425,"M217 653L217 1493L1174 1493L1174 1210L524 1210L524 979Q568 991 613 998Q657 1004 705 1004L705 1004Q978 1004 1130 868Q1282 731 1282 487L1282 487Q1282 245 1117 108Q951 -29 657 -29L657 -29Q530 -29 406 -4Q281 20 158 70L158 70L158 373Q280 303 390 268Q499 233 596 233L596 233Q736 233 817 302Q897 370 897 487L897 487Q897 605 817 673Q736 741 596 741L596 741Q513 741 419 720Q325 698 217 653L217 653Z"],"6":[1425,"M741 737L741 737Q640 737 590 672Q539 606 539 475L539 475Q539 344 590 279Q640 213 741 213L741 213Q843 213 894 279Q944 344 944 475L944 475Q944 606 894 672Q843 737 741 737ZM1217 1454L1217 1454L1217 1178Q1122 1223 1038 1245Q954 1266 874 1266L874 1266Q702 1266 606 1171Q510 1075 494 887L494 887Q560 936 637 961Q714 985 805 985L805 985Q1034 985 1175 851Q1315 717 1315 500L1315 500Q1315 260 1158 116Q1001 -29 737 -29L737 -29Q446 -29 287 168Q127 364 127 725L127 725Q127 1095 314 1307Q500 1518 825 1518L825 1518Q928 1518 1025 1502Q1122 1486 1217 1454Z"],"7":[1425,"M137 1210L137 1493L1262 1493L1262 1276L680 0L305 0L856 1210L137 1210Z"],"8":[1425,"M713 668L713 668Q605 668 547 609Q489 550 489 440L489 440Q489 330 547 272Q605 213 713 213L713 213Q820 213 877 272Q934 330 934 440L934 440Q934 551 877 610Q820 668 713 668ZM432 795L432 795Q296 836 227 921Q158 1006 158 1133L158 1133Q158 1322 299 1421Q440 1520 713 1520L713 1520Q984 1520 1125 1422Q1266 1323 1266 1133L1266 1133Q1266 1006 1197 921Q1127 836 991 795L991 795Q1143 753 1221 659Q1298 564 1298 420L1298 420Q1298 198 1151 85Q1003 -29 713 -29L713 -29Q422 -29 274 85Q125 198 125 420L125 420Q125 564 203 659Q280 753 432 795ZM522 1094L522 1094Q522 1005 572 957Q621 909 713 909L713 909Q803 909 852 957Q901 1005 901 1094L901 1094Q901 1183 852 1231Q803 1278 713 1278L713 1278Q621 1278 572 1230Q522 1182 522 1094Z"],"9":[1425,"M205 33L205 33L205 309Q297 266 381 245Q465 223 547 223L547 223Q719 223 815 319Q911 414 928 602L928 602Q860 552 783 527Q706 502 616 502L616 502Q387 502 247 636Q106 769 106 987L106 987Q106 1228 263 1373Q419 1518 682 1518L682 1518Q974 1518 1134 1321Q1294 1124 1294 764L1294 764Q1294 394 1107 183Q920 -29 594 -29L594 -29Q489 -29 393 -13Q297 2 205 33ZM680 752L680 752Q781 752 832 818Q883 883 883 1014L883 1014Q883 1144 832 1210Q781 1276 680 1276L680 1276Q579 1276 528 1210Q477 1144 477 1014L477 1014Q477 883 528 818Q579 752 680 752Z"]," ":[713,""],"!":[934,"M287 920L287 1493L647 1493L647 920L596 502L338 502L287 920ZM287 0L287 356L647 356L647 0L287 0Z"],"\"":[1067,"M635 1493L872 1493L872 938L635 938L635 1493ZM195 1493L432 1493L432 938L195 938L195 1493Z"],"#":[1716,"M688 1470L911 1470L815 1085L1079 1085L1176 1470L1397 1470L1300 1085L1577 1085L1577 872L1247 872L1178 598L1462 598L1462 383L1126 383L1030 0L809 0L905 383L641 383L545 0L322 0L418 383L139 383L139 598L467 598L537 872L254 872L254 1085L592 1085L688 1470ZM954 598L1024 872L760 872L690 598L954 598Z"],"$":[1425,"M795 2L795 -301L633 -301L632 0Q507 5 390 28Q273 51 162 92L162 92L162 354Q277 295 395 264Q512 232 633 228L633 228L633 539L600 545Q361 587 261 677Q160 767 160 936L160 936Q160 1115 283 1216Q405 1316 632 1325L632 1325L633 1556L795 1556L795 1329Q895 1321 995 1304Q1095 1287 1196 1260L1196 1260L1196 1006Q1096 1048 996 1072Q896 1095 795 1100L795 1100L795 813L827 807Q1081 767 1184 674Q1286 580 1286 397L1286 397Q1286 213 1164 115Q1042 16 795 2L795 2ZM633 836L633 836L633 1097Q562 1093 520 1059Q477 1024 477 971L477 971Q477 912 516 879Q555 845 633 836ZM795 510L795 510L795 232Q882 233 926 266Q969 299 969 365L969 365Q969 433 929 467Q889 500 795 510Z"],"%":[2052,"M1587 616L1587 616Q1516 616 1477 555Q1438 493 1438 379L1438 379Q1438 264 1477 203Q1515 141 1587 141L1587 141Q1659 141 1697 203Q1735 264 1735 379L1735 379Q1735 493 1697 555Q1658 616 1587 616ZM1587 784L1587 784Q1773 784 1880 676Q1987 568 1987 379L1987 379Q1987 190 1880 81Q1773 -29 1587 -29L1587 -29Q1401 -29 1294 81Q1186 190 1186 379L1186 379Q1186 567 1294 676Q1401 784 1587 784ZM1604 1520L670 -29L449 -29L1382 1520L1604 1520ZM465 1520L465 1520Q651 1520 758 1412Q864 1303 864 1114L864 1114Q864 925 758 816Q651 707 465 707L465 707Q279 707 173 816Q66 925 66 1114L66 1114Q66 1303 173 1412Q279 1520 465 1520ZM465 1352L465 1352Q393 1352 354 1290Q315 1228 315 1114L315 1114Q315 999 354 937Q393 874 465 874L465 874Q537 874 576 937Q614 999 614 1114L614 1114Q614 1228 575 1290Q536 1352 465 1352Z"],"&":[1786,"M799 991L799 991L1208 541Q1261 611 1289 698Q1316 785 1321 895L1321 895L1632 895Q1617 713 1562 571Q1506 429 1407 322L1407 322L1700 0L1276 0L1178 109Q1073 39 957 5Q841 -29 711 -29L711 -29Q448 -29 286 110Q123 248 123 467L123 467Q123 613 195 726Q266 838 428 944L428 944Q386 997 366 1050Q346 1103 346 1161L346 1161Q346 1324 473 1422Q600 1520 811 1520L811 1520Q902 1520 1001 1506Q1099 1491 1206 1462L1206 1462L1206 1184Q1112 1232 1028 1255Q944 1278 864 1278L864 1278Q787 1278 745 1249Q702 1219 702 1165L702 1165Q702 1131 727 1088Q751 1044 799 991ZM991 311L600 743Q535 696 502 637Q469 577 469 506L469 506Q469 391 554 310Q639 229 758 229L758 229Q825 229 883 250Q941 270 991 311L991 311Z"],"'":[627,"M195 1493L432 1493L432 938L195 938L195 1493Z"],"(":[936,"M772 -270L772 -270L475 -270Q322 -23 249 200Q176 422 176 641L176 641Q176 860 250 1085Q323 1309 475 1554L475 1554L772 1554Q644 1317 580 1091Q516 864 516 643L516 643Q516 422 580 195Q643 -32 772 -270Z"],")":[936,"M461 -270L164 -270Q292 -32 356 195Q420 422 420 643L420 643Q420 864 356 1091Q292 1317 164 1554L164 1554L461 1554Q613 1309 687 1085Q760 860 760 641L760 641Q760 422 687 200Q614 -23 461 -270L461 -270Z"],"*":[1071,"M954 1358L1030 1217L700 1044L1030 870L954 729L621 913L621 569L451 569L451 913L117 729L41 870L375 1044L41 1217L117 1358L451 1176L451 1520L621 1520L621 1176L954 1358Z"],"+":[1716,"M739 1284L977 1284L977 760L1499 760L1499 524L977 524L977 0L739 0L739 524L217 524L217 760L739 760L739 1284Z"],",":[778,"M209 82L209 387L569 387L569 82L322 -291L109 -291L209 82Z"],"-":[850,"M111 444L111 735L739 735L739 444L111 444Z"],".":[778,"M209 0L209 387L569 387L569 0L209 0Z"],"/":[748,"M0 -190L526 1493L748 1493L221 -190L0 -190Z"],":":[819,"M229 733L229 1120L590 1120L590 733L229 733ZM229 0L229 387L590 387L590 0L229 0Z"],";":[819,"M229 82L229 387L590 387L590 82L342 -291L129 -291L229 82ZM229 733L229 1120L590 1120L590 733L229 733Z"],"<":[1716,"M1499 1223L1499 973L535 641L1499 311L1499 61L217 524L217 760L1499 1223Z"],"=":[1716,"M217 752L217 987L1499 987L1499 752L217 752ZM217 295L217 532L1499 532L1499 295L217 295Z"],">":[1716,"M1182 641L217 973L217 1223L1499 760L1499 524L217 61L217 311L1182 641Z"],"?":[1188,"M709 549L709 504L348 504L348 553Q348 635 381 699Q414 762 520 860L520 860L584 918Q641 970 668 1016Q694 1062 694 1108L694 1108Q694 1178 646 1218Q598 1257 512 1257L512 1257Q431 1257 337 1224Q243 1190 141 1124L141 1124L141 1438Q262 1480 362 1500Q462 1520 555 1520L555 1520Q799 1520 927 1421Q1055 1321 1055 1130L1055 1130Q1055 1032 1016 955Q977 877 883 788L883 788L819 731Q751 669 730 632Q709 594 709 549L709 549ZM348 0L348 356L709 356L709 0L348 0Z"],"@":[2048,"M831 539L831 539Q831 416 884 345Q936 274 1026 274L1026 274Q1115 274 1168 346Q1221 417 1221 539L1221 539Q1221 660 1168 731Q1114 801 1024 801L1024 801Q936 801 884 731Q831 660 831 539ZM1241 84L1241 238Q1211 167 1145 128Q1078 88 989 88L989 88Q817 88 710 213Q602 337 602 537L602 537Q602 737 710 862Q818 987 989 987L989 987Q1078 987 1145 947Q1211 907 1241 836L1241 836L1241 967L1450 967L1450 274Q1574 293 1645 394Q1716 494 1716 651L1716 651Q1716 751 1687 839Q1658 926 1599 999L1599 999Q1504 1121 1362 1187Q1219 1253 1053 1253L1053 1253Q937 1253 831 1223Q725 1192 635 1133L635 1133Q487 1035 405 880Q322 724 322 543L322 543Q322 394 376 264Q429 133 530 33L530 33Q630 -65 760 -116Q889 -168 1036 -168L1036 -168Q1162 -168 1288 -121Q1414 -74 1503 6L1503 6L1610 -156Q1485 -253 1338 -304Q1190 -356 1038 -356L1038 -356Q853 -356 689 -290Q525 -225 397 -100L397 -100Q269 25 202 190Q135 354 135 543L135 543Q135 725 203 890Q271 1055 397 1180L397 1180Q523 1304 691 1372Q858 1440 1038 1440L1038 1440Q1262 1440 1445 1355Q1628 1269 1751 1108L1751 1108Q1826 1010 1865 896Q1903 781 1903 655L1903 655Q1903 384 1740 234Q1577 84 1280 84L1280 84L1241 84Z"],"A":[1585,"M1188 0L1094 272L492 272L397 0L10 0L563 1493L1022 1493L1575 0L1188 0ZM793 1143L588 549L997 549L793 1143Z"],"B":[1561,"M573 915L786 915Q877 915 924 955Q971 995 971 1073L971 1073Q971 1150 924 1191Q877 1231 786 1231L786 1231L573 1231L573 915ZM573 262L799 262Q915 262 974 311Q1032 360 1032 459L1032 459Q1032 556 974 605Q916 653 799 653L799 653L573 653L573 262ZM1157 799L1157 799Q1281 763 1349 666Q1417 569 1417 428L1417 428Q1417 212 1271 106Q1125 0 827 0L827 0L188 0L188 1493L766 1493Q1077 1493 1217 1399Q1356 1305 1356 1098L1356 1098Q1356 989 1305 913Q1254 836 1157 799Z"],"C":[1503,"M1372 391L1372 82Q1266 27 1151 -1Q1036 -29 911 -29L911 -29Q538 -29 320 180Q102 388 102 745L102 745Q102 1103 320 1312Q538 1520 911 1520L911 1520Q1036 1520 1151 1492Q1266 1464 1372 1409L1372 1409L1372 1100Q1265 1173 1161 1207Q1057 1241 942 1241L942 1241Q736 1241 618 1109Q500 977 500 745L500 745Q500 514 618 382Q736 250 942 250L942 250Q1057 250 1161 284Q1265 318 1372 391L1372 391Z"],"D":[1700,"M711 1202L573 1202L573 291L711 291Q947 291 1072 408Q1196 525 1196 748L1196 748Q1196 970 1072 1086Q948 1202 711 1202L711 1202ZM188 0L188 1493L594 1493Q934 1493 1101 1445Q1267 1396 1386 1280L1386 1280Q1491 1179 1542 1047Q1593 915 1593 748L1593 748Q1593 579 1542 447Q1491 314 1386 213L1386 213Q1266 97 1098 49Q930 0 594 0L594 0L188 0Z"],"E":[1399,"M188 0L188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 291L1249 291L1249 0L188 0Z"],"F":[1399,"M188 0L188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 0L188 0Z"],"G":[1681,"M1530 829L1530 111Q1386 41 1231 6Q1076 -29 911 -29L911 -29Q538 -29 320 180Q102 388 102 745L102 745Q102 1106 324 1313Q546 1520 932 1520L932 1520Q1081 1520 1218 1492Q1354 1464 1475 1409L1475 1409L1475 1100Q1350 1171 1227 1206Q1103 1241 979 1241L979 1241Q749 1241 625 1113Q500 984 500 745L500 745Q500 508 620 379Q740 250 961 250L961 250Q1021 250 1073 258Q1124 265 1165 281L1165 281L1165 571L930 571L930 829L1530 829Z"],"H":[1714,"M188 0L188 1493L573 1493L573 924L1141 924L1141 1493L1526 1493L1526 0L1141 0L1141 633L573 633L573 0L188 0Z"],"I":[762,"M188 0L188 1493L573 1493L573 0L188 0Z"],"J":[762,"M188 145L188 1493L573 1493L573 145Q573 -134 422 -272Q270 -410 -37 -410L-37 -410L-115 -410L-115 -119L-55 -119Q65 -119 127 -52Q188 15 188 145L188 145Z"],"K":[1587,"M188 0L188 1493L573 1493L573 948L1128 1493L1575 1493L856 786L1649 0L1167 0L573 588L573 0L188 0Z"],"L":[1305,"M188 0L188 1493L573 1493L573 291L1249 291L1249 0L188 0Z"],"M":[2038,"M188 0L188 1493L678 1493L1018 694L1360 1493L1849 1493L1849 0L1485 0L1485 1092L1141 287L897 287L553 1092L553 0L188 0Z"],"N":[1714,"M188 0L188 1493L618 1493L1161 469L1161 1493L1526 1493L1526 0L1096 0L553 1024L553 0L188 0Z"],"O":[1741,"M870 1241L870 1241Q694 1241 597 1111Q500 981 500 745L500 745Q500 510 597 380Q694 250 870 250L870 250Q1047 250 1144 380Q1241 510 1241 745L1241 745Q1241 981 1144 1111Q1047 1241 870 1241ZM870 1520L870 1520Q1230 1520 1434 1314Q1638 1108 1638 745L1638 745Q1638 383 1434 177Q1230 -29 870 -29L870 -29Q511 -29 307 177Q102 383 102 745L102 745Q102 1108 307 1314Q511 1520 870 1520Z"],"P":[1501,"M188 0L188 1493L827 1493Q1112 1493 1265 1367Q1417 1240 1417 1006L1417 1006Q1417 771 1265 645Q1112 518 827 518L827 518L573 518L573 0L188 0ZM786 1214L573 1214L573 797L786 797Q898 797 959 852Q1020 906 1020 1006L1020 1006Q1020 1106 959 1160Q898 1214 786 1214L786 1214Z"],"Q":[1741,"M1155 -299L911 -27L881 -27Q512 -27 307 177Q102 381 102 745L102 745Q102 1108 307 1314Q511 1520 870 1520L870 1520Q1233 1520 1436 1316Q1638 1112 1638 745L1638 745Q1638 493 1531 311Q1423 129 1221 37L1221 37L1522 -299L1155 -299ZM870 1241L870 1241Q694 1241 597 1111Q500 981 500 745L500 745Q500 505 595 378Q690 250 870 250L870 250Q1047 250 1144 380Q1241 510 1241 745L1241 745Q1241 981 1144 1111Q1047 1241 870 1241Z"],"R":[1577,"M573 831L735 831Q856 831 909 876Q961 921 961 1024L961 1024Q961 1126 909 1170Q856 1214 735 1214L735 1214L573 1214L573 831ZM682 565L573 565L573 0L188 0L188 1493L776 1493Q1071 1493 1209 1394Q1346 1295 1346 1081L1346 1081Q1346 933 1275 838Q1203 743 1059 698L1059 698Q1138 680 1201 617Q1263 553 1327 424L1327 424L1536 0L1126 0L944 371Q889 483 833 524Q776 565 682 565L682 565Z"],"S":[1475,"M1227 1446L1227 1446L1227 1130Q1104 1185 987 1213Q870 1241 766 1241L766 1241Q628 1241 562 1203Q496 1165 496 1085L496 1085Q496 1025 541 992Q585 958 702 934L702 934L866 901Q1115 851 1220 749Q1325 647 1325 459L1325 459Q1325 212 1179 92Q1032 -29 731 -29L731 -29Q589 -29 446 -2Q303 25 160 78L160 78L160 403Q303 327 437 289Q570 250 694 250L694 250Q820 250 887 292Q954 334 954 412L954 412Q954 482 909 520Q863 558 727 588L727 588L578 621Q354 669 251 774Q147 879 147 1057L147 1057Q147 1280 291 1400Q435 1520 705 1520L705 1520Q828 1520 958 1502Q1088 1483 1227 1446Z"],"T":[1397,"M10 1202L10 1493L1386 1493L1386 1202L891 1202L891 0L506 0L506 1202L10 1202Z"],"U":[1663,"M188 598L188 1493L573 1493L573 598Q573 413 634 334Q694 254 831 254L831 254Q969 254 1030 334Q1090 413 1090 598L1090 598L1090 1493L1475 1493L1475 598Q1475 281 1316 126Q1157 -29 831 -29L831 -29Q506 -29 347 126Q188 281 188 598L188 598Z"],"V":[1585,"M563 0L10 1493L397 1493L793 391L1188 1493L1575 1493L1022 0L563 0Z"],"W":[2259,"M416 0L61 1493L430 1493L688 408L944 1493L1315 1493L1571 408L1829 1493L2195 1493L1843 0L1399 0L1128 1135L860 0L416 0Z"],"X":[1579,"M1518 1493L1020 762L1538 0L1137 0L788 510L442 0L39 0L557 762L59 1493L461 1493L788 1012L1114 1493L1518 1493Z"],"Y":[1483,"M549 629L-20 1493L401 1493L741 961L1081 1493L1503 1493L934 629L934 0L549 0L549 629Z"],"Z":[1485,"M115 1202L115 1493L1370 1493L1370 1260L569 291L1393 291L1393 0L92 0L92 233L893 1202L115 1202Z"],"[":[936,"M176 -270L176 1556L797 1556L797 1331L516 1331L516 -45L797 -45L797 -270L176 -270Z"],"\\":[748,"M748 -190L526 -190L0 1493L221 1493L748 -190Z"],"]":[936,"M760 1556L760 -270L139 -270L139 -45L420 -45L420 1331L139 1331L139 1556L760 1556Z"],"^":[1716,"M735 1493L981 1493L1509 936L1268 936L858 1237L449 936L207 936L735 1493Z"],"_":[1024,"M0 -293L1024 -293L1024 -483L0 -483L0 -293Z"],"`":[1024,"M94 1638L377 1638L659 1262L463 1262L94 1638Z"],"a":[1382,"M860 504L674 504Q562 504 506 466Q449 428 449 354L449 354Q449 286 495 248Q540 209 621 209L621 209Q722 209 791 282Q860 354 860 463L860 463L860 504ZM1221 639L1221 639L1221 0L860 0L860 166Q788 64 698 18Q608 -29 479 -29L479 -29Q305 -29 197 73Q88 174 88 336L88 336Q88 533 224 625Q359 717 649 717L649 717L860 717L860 745Q860 830 793 870Q726 909 584 909L584 909Q469 909 370 886Q271 863 186 817L186 817L186 1090Q301 1118 417 1133Q533 1147 649 1147L649 1147Q952 1147 1087 1028Q1221 908 1221 639Z"],"b":[1466,"M768 231L768 231Q883 231 944 315Q1004 399 1004 559L1004 559Q1004 719 944 803Q883 887 768 887L768 887Q653 887 592 803Q530 718 530 559L530 559Q530 400 592 316Q653 231 768 231ZM530 1556L530 956Q604 1054 694 1101Q784 1147 901 1147L901 1147Q1108 1147 1241 983Q1374 818 1374 559L1374 559Q1374 300 1241 136Q1108 -29 901 -29L901 -29Q784 -29 694 18Q604 64 530 162L530 162L530 0L172 0L172 1556L530 1556Z"],"c":[1214,"M1077 1085L1077 1085L1077 793Q1004 843 931 867Q857 891 778 891L778 891Q628 891 545 804Q461 716 461 559L461 559Q461 402 545 315Q628 227 778 227L778 227Q862 227 938 252Q1013 277 1077 326L1077 326L1077 33Q993 2 907 -13Q820 -29 733 -29L733 -29Q430 -29 259 127Q88 282 88 559L88 559Q88 836 259 992Q430 1147 733 1147L733 1147Q821 1147 907 1132Q992 1116 1077 1085Z"],"d":[1466,"M934 956L934 956L934 1556L1294 1556L1294 0L934 0L934 162Q860 63 771 17Q682 -29 565 -29L565 -29Q358 -29 225 136Q92 300 92 559L92 559Q92 818 225 983Q358 1147 565 1147L565 1147Q681 1147 771 1101Q860 1054 934 956ZM698 231L698 231Q813 231 874 315Q934 399 934 559L934 559Q934 719 874 803Q813 887 698 887L698 887Q584 887 524 803Q463 719 463 559L463 559Q463 399 524 315Q584 231 698 231Z"],"e":[1389,"M1290 563L1290 563L1290 461L453 461Q466 335 544 272Q622 209 762 209L762 209Q875 209 994 243Q1112 276 1237 344L1237 344L1237 68Q1110 20 983 -4Q856 -29 729 -29L729 -29Q425 -29 257 126Q88 280 88 559L88 559Q88 833 254 990Q419 1147 709 1147L709 1147Q973 1147 1132 988Q1290 829 1290 563ZM457 682L922 682Q922 784 863 847Q803 909 707 909L707 909Q603 909 538 851Q473 792 457 682L457 682Z"],"f":[891,"M635 1556L909 1556L909 1321L711 1321Q635 1321 605 1294Q575 1266 575 1198L575 1198L575 1120L881 1120L881 864L575 864L575 0L217 0L217 864L39 864L39 1120L217 1120L217 1198Q217 1381 319 1469Q421 1556 635 1556L635 1556Z"],"g":[1466,"M934 113L934 190Q860 92 771 46Q682 0 565 0L565 0Q360 0 226 162Q92 323 92 573L92 573Q92 824 226 985Q360 1145 565 1145L565 1145Q682 1145 771 1099Q860 1053 934 954L934 954L934 1120L1294 1120L1294 113Q1294 -157 1124 -299Q953 -442 629 -442L629 -442Q524 -442 426 -426Q328 -410 229 -377L229 -377L229 -98Q323 -152 413 -178Q503 -205 594 -205L594 -205Q770 -205 852 -128Q934 -51 934 113L934 113ZM698 887L698 887Q587 887 525 805Q463 723 463 573L463 573Q463 419 523 340Q583 260 698 260L698 260Q810 260 872 342Q934 424 934 573L934 573Q934 723 872 805Q810 887 698 887Z"],"h":[1458,"M1298 682L1298 682L1298 0L938 0L938 111L938 520Q938 667 932 722Q925 777 909 803L909 803Q888 838 852 858Q816 877 770 877L770 877Q658 877 594 791Q530 704 530 551L530 551L530 0L172 0L172 1556L530 1556L530 956Q611 1054 702 1101Q793 1147 903 1147L903 1147Q1097 1147 1198 1028Q1298 909 1298 682Z"],"i":[702,"M172 0L172 1120L530 1120L530 0L172 0ZM172 1264L172 1556L530 1556L530 1264L172 1264Z"],"j":[702,"M172 20L172 1120L530 1120L530 20Q530 -205 422 -323Q314 -442 109 -442L109 -442L-68 -442L-68 -207L-6 -207Q96 -207 134 -161Q172 -115 172 20L172 20ZM172 1264L172 1556L530 1556L530 1264L172 1264Z"],"k":[1362,"M172 0L172 1556L530 1556L530 709L942 1120L1358 1120L811 606L1401 0L967 0L530 467L530 0L172 0Z"],"l":[702,"M172 0L172 1556L530 1556L530 0L172 0Z"],"m":[2134,"M1210 934L1210 934Q1278 1038 1372 1093Q1465 1147 1577 1147L1577 1147Q1770 1147 1871 1028Q1972 909 1972 682L1972 682L1972 0L1612 0L1612 584Q1613 597 1614 611Q1614 625 1614 651L1614 651Q1614 770 1579 824Q1544 877 1466 877L1466 877Q1364 877 1309 793Q1253 709 1251 550L1251 550L1251 0L891 0L891 584Q891 770 859 824Q827 877 745 877L745 877Q642 877 586 793Q530 708 530 551L530 551L530 0L170 0L170 1120L530 1120L530 956Q596 1051 682 1099Q767 1147 870 1147L870 1147Q986 1147 1075 1091Q1164 1035 1210 934Z"],"n":[1458,"M1298 682L1298 682L1298 0L938 0L938 111L938 522Q938 667 932 722Q925 777 909 803L909 803Q888 838 852 858Q816 877 770 877L770 877Q658 877 594 791Q530 704 530 551L530 551L530 0L172 0L172 1120L530 1120L530 956Q611 1054 702 1101Q793 1147 903 1147L903 1147Q1097 1147 1198 1028Q1298 909 1298 682Z"],"o":[1407,"M705 891L705 891Q586 891 524 806Q461 720 461 559L461 559Q461 398 524 313Q586 227 705 227L705 227Q822 227 884 313Q946 398 946 559L946 559Q946 720 884 806Q822 891 705 891ZM705 1147L705 1147Q994 1147 1157 991Q1319 835 1319 559L1319 559Q1319 283 1157 127Q994 -29 705 -29L705 -29Q415 -29 252 127Q88 283 88 559L88 559Q88 835 252 991Q415 1147 705 1147Z"],"p":[1466,"M530 162L530 162L530 -426L172 -426L172 1120L530 1120L530 956Q604 1054 694 1101Q784 1147 901 1147L901 1147Q1108 1147 1241 983Q1374 818 1374 559L1374 559Q1374 300 1241 136Q1108 -29 901 -29L901 -29Q784 -29 694 18Q604 64 530 162ZM768 887L768 887Q653 887 592 803Q530 718 530 559L530 559Q530 400 592 316Q653 231 768 231L768 231Q883 231 944 315Q1004 399 1004 559L1004 559Q1004 719 944 803Q883 887 768 887Z"],"q":[1466,"M698 887L698 887Q584 887 524 803Q463 719 463 559L463 559Q463 399 524 315Q584 231 698 231L698 231Q813 231 874 315Q934 399 934 559L934 559Q934 719 874 803Q813 887 698 887ZM934 -426L934 162Q860 63 771 17Q682 -29 565 -29L565 -29Q358 -29 225 136Q92 300 92 559L92 559Q92 818 225 982Q358 1145 565 1145L565 1145Q682 1145 771 1099Q860 1053 934 954L934 954L934 1120L1294 1120L1294 -426L934 -426Z"],"r":[1010,"M1003 1139L1004 815Q957 837 911 848Q864 858 817 858L817 858Q679 858 605 770Q530 681 530 516L530 516L530 0L172 0L172 1120L530 1120L530 936Q599 1046 689 1097Q778 1147 903 1147L903 1147Q921 1147 942 1146Q963 1144 1003 1139L1003 1139Z"],"s":[1219,"M1047 1085L1047 1085L1047 813Q932 861 825 885Q718 909 623 909L623 909Q521 909 472 884Q422 858 422 805L422 805Q422 762 460 739Q497 716 594 705L594 705L657 696Q932 661 1027 581Q1122 501 1122 330L1122 330Q1122 151 990 61Q858 -29 596 -29L596 -29Q485 -29 367 -11Q248 6 123 41L123 41L123 313Q230 261 343 235Q455 209 571 209L571 209Q676 209 729 238Q782 267 782 324L782 324Q782 372 746 396Q709 419 600 432L600 432L537 440Q298 470 202 551Q106 632 106 797L106 797Q106 975 228 1061Q350 1147 602 1147L602 1147Q701 1147 810 1132Q919 1117 1047 1085Z"],"t":[979,"M205 1438L563 1438L563 1120L932 1120L932 864L563 864L563 389Q563 311 594 284Q625 256 717 256L717 256L901 256L901 0L594 0Q382 0 294 89Q205 177 205 389L205 389L205 864L27 864L27 1120L205 1120L205 1438Z"],"u":[1458,"M160 436L160 436L160 1120L520 1120L520 1008Q520 917 519 780Q518 642 518 596L518 596Q518 461 525 402Q532 342 549 315L549 315Q571 280 607 261Q642 242 688 242L688 242Q800 242 864 328Q928 414 928 567L928 567L928 1120L1286 1120L1286 0L928 0L928 162Q847 64 757 18Q666 -29 557 -29L557 -29Q363 -29 262 90Q160 209 160 436Z"],"v":[1335,"M471 0L31 1120L389 1120L668 346L946 1120L1305 1120L864 0L471 0Z"],"w":[1892,"M367 0L72 1120L420 1120L608 348L797 1120L1096 1120L1284 356L1473 1120L1821 1120L1526 0L1135 0L946 770L758 0L367 0Z"],"x":[1321,"M31 0L455 573L51 1120L430 1120L659 788L891 1120L1270 1120L866 575L1290 0L911 0L659 354L410 0L31 0Z"],"y":[1335,"M524 -43L25 1120L383 1120L684 360L940 1120L1298 1120L827 -106Q756 -293 662 -367Q567 -442 412 -442L412 -442L205 -442L205 -207L317 -207Q408 -207 450 -178Q491 -149 514 -74L514 -74L524 -43Z"],"z":[1192,"M117 864L117 1120L1094 1120L1094 870L504 256L1094 256L1094 0L92 0L92 250L682 864L117 864Z"],"{":[1458,"M1133 -109L1202 -109L1202 -334L985 -334Q767 -334 667 -246Q567 -158 567 35L567 35L567 227Q567 377 513 436Q459 494 317 494L317 494L256 494L256 717L317 717Q459 717 513 775Q567 833 567 983L567 983L567 1188Q567 1381 667 1469Q767 1556 985 1556L985 1556L1202 1556L1202 1331L1133 1331Q992 1331 950 1288Q907 1244 907 1102L907 1102L907 936Q907 779 862 708Q817 637 707 612L707 612Q818 585 863 514Q907 443 907 287L907 287L907 121Q907 -22 950 -65Q992 -109 1133 -109L1133 -109Z"],"|":[748,"M260 1565L487 1565L487 -483L260 -483L260 1565Z"],"}":[1458,"M256 -334L256 -109L326 -109Q466 -109 509 -65Q551 -22 551 121L551 121L551 287Q551 443 596 514Q641 585 752 612L752 612Q641 637 596 708Q551 779 551 936L551 936L551 1102Q551 1244 509 1288Q466 1331 326 1331L326 1331L256 1331L256 1556L473 1556Q691 1556 791 1469Q891 1381 891 1188L891 1188L891 983Q891 833 945 775Q999 717 1141 717L1141 717L1202 717L1202 494L1141 494Q999 494 945 436Q891 377 891 227L891 227L891 35Q891 -158 791 -246Q691 -334 473 -334L473 -334L256 -334Z"],"~":[1716,"M1499 850L1499 850L1499 606Q1393 526 1304 492Q1214 457 1118 457L1118 457Q1011 457 868 515L868 515Q854 521 846 524L846 524Q839 527 824 533L824 533Q669 594 575 594L575 594Q487 594 401 556Q315 517 217 434L217 434L217 678Q324 758 413 793Q502 827 598 827L598 827Q705 827 848 769L848 769Q863 763 870 760L870 760Q877 757 892 751L892 751Q1047 690 1141 690L1141 690Q1227 690 1312 728Q1396 765 1499 850Z"]," ":[713,""],"¡":[934,"M647 -373L287 -373L287 200L338 618L596 618L647 200L647 -373ZM647 764L287 764L287 1120L647 1120L647 764Z"],"¢":[1425,"M702 260L702 858Q624 814 586 741Q547 667 547 559L547 559Q547 450 586 376Q624 302 702 260L702 260ZM1161 1085L1161 1085L1161 793Q1087 841 1016 866Q944 891 879 891L879 891L864 891L864 228Q953 229 1029 254Q1104 279 1161 326L1161 326L1161 33Q1078 3 1005 -13Q932 -29 874 -29L874 -29L864 -29L864 -313L702 -313L702 -25Q440 15 307 166Q174 317 174 575L174 575Q174 819 309 965Q444 1110 702 1145L702 1145L702 1432L864 1432L865 1145Q936 1142 1010 1128Q1083 1113 1161 1085Z"],"£":[1425,"M1243 1466L1243 1466L1243 1180Q1173 1219 1099 1238Q1025 1257 948 1257L948 1257Q830 1257 774 1195Q717 1132 717 1001L717 1001L717 831L1090 831L1090 592L717 592L717 266L1255 266L1255 0L125 0L125 266L352 266L352 592L158 592L158 831L352 831L352 1001Q352 1272 479 1396Q606 1520 881 1520L881 1520Q973 1520 1064 1507Q1154 1493 1243 1466Z"],"¤":[1303,"M434 268L434 268L227 61L74 215L281 422Q253 471 239 525Q225 578 225 641L225 641Q225 704 240 758Q255 812 285 858L285 858L76 1063L229 1217L436 1010Q484 1040 538 1055Q592 1069 653 1069L653 1069Q707 1069 761 1056Q815 1042 872 1014L872 1014L1079 1221L1231 1067L1024 860Q1053 805 1067 750Q1081 695 1081 641L1081 641Q1081 578 1067 526Q1052 473 1022 426L1022 426L1229 219L1075 66L868 272Q822 242 769 228Q716 213 653 213L653 213Q595 213 541 227Q487 240 434 268ZM653 422L653 422Q744 422 808 486Q872 549 872 641L872 641Q872 733 809 797Q745 860 653 860L653 860Q562 860 498 797Q434 733 434 641L434 641Q434 548 497 485Q560 422 653 422Z"],"¥":[1425,"M1358 610L1358 416L903 416L903 0L522 0L522 416L68 416L68 610L522 610L522 676L473 762L68 762L68 954L360 954L25 1493L424 1493L713 1032L1001 1493L1401 1493L1065 954L1358 954L1358 762L952 762L903 676L903 610L1358 610Z"],"¦":[748,"M260 1432L487 1432L487 674L260 674L260 1432ZM260 408L487 408L487 -350L260 -350L260 408Z"],"§":[1024,"M885 1462L885 1462L885 1235Q786 1274 707 1294Q628 1313 571 1313L571 1313Q496 1313 458 1289Q420 1264 420 1217L420 1217Q420 1150 608 1071L608 1071Q634 1060 647 1055L647 1055Q857 966 937 880Q1016 793 1016 668L1016 668Q1016 551 960 472Q903 392 786 344L786 344Q863 303 901 247Q938 190 938 117L938 117Q938 -28 817 -111Q696 -195 483 -195L483 -195Q398 -195 308 -180Q217 -166 115 -137L115 -137L115 100Q230 59 321 38Q412 16 469 16L469 16Q534 16 573 41Q612 66 612 106L612 106Q612 176 432 250L432 250Q396 264 377 272L377 272Q174 359 94 449Q14 538 14 668L14 668Q14 772 70 849Q125 926 238 977L238 977Q163 1028 131 1084Q98 1139 98 1214L98 1214Q98 1358 213 1439Q327 1520 528 1520L528 1520Q612 1520 702 1506Q792 1491 885 1462ZM434 856L434 856Q366 828 333 790Q299 752 299 702L299 702Q299 635 361 586Q422 537 604 471L604 471Q669 494 704 534Q739 573 739 625L739 625Q739 692 670 745Q601 798 434 856Z"],"¨":[1024,"M197 1339L197 1585L432 1585L432 1339L197 1339ZM592 1339L592 1585L827 1585L827 1339L592 1339Z"],"©":[2048,"M1323 1126L1323 1126L1323 911Q1266 948 1211 966Q1155 983 1098 983L1098 983Q985 983 922 919Q858 855 858 741L858 741Q858 626 921 563Q984 500 1098 500L1098 500Q1162 500 1220 518Q1277 536 1323 571L1323 571L1323 358Q1258 336 1193 325Q1127 313 1065 313L1065 313Q854 313 727 430Q600 547 600 741L600 741Q600 936 727 1053Q854 1169 1065 1169L1065 1169Q1134 1169 1198 1159Q1262 1148 1323 1126ZM1024 1331L1024 1331Q903 1331 799 1288Q695 1244 608 1157L608 1157Q521 1070 478 967Q434 863 434 741L434 741Q434 620 478 517Q521 413 608 326L608 326Q694 240 799 197Q903 154 1024 154L1024 154Q1147 154 1250 197Q1353 239 1440 326L1440 326Q1527 413 1571 517Q1614 620 1614 741L1614 741Q1614 863 1571 967Q1527 1070 1440 1157L1440 1157Q1352 1245 1249 1288Q1145 1331 1024 1331ZM1024 1485L1024 1485Q1176 1485 1308 1430Q1439 1375 1548 1266L1548 1266Q1657 1157 1711 1026Q1765 895 1765 741L1765 741Q1765 589 1711 459Q1657 328 1548 219L1548 219Q1439 110 1308 55Q1176 0 1024 0L1024 0Q872 0 741 55Q609 110 500 219L500 219Q391 328 337 459Q283 589 283 741L283 741Q283 895 337 1026Q391 1157 500 1266L500 1266Q609 1375 741 1430Q872 1485 1024 1485Z"],"ª":[1155,"M176 373L176 573L989 573L989 373L176 373ZM733 1081L643 1081Q510 1081 458 1055Q406 1029 406 967L406 967Q406 916 439 887Q472 858 530 858L530 858Q619 858 676 915Q733 972 733 1059L733 1059L733 1081ZM1001 1165L1001 1165L1001 717L756 717L756 844Q701 768 631 732Q561 696 467 696L467 696Q322 696 240 763Q158 830 158 946L158 946Q158 1087 263 1153Q368 1219 594 1219L594 1219L731 1219L731 1239Q731 1295 687 1325Q642 1354 557 1354L557 1354Q470 1354 387 1337Q304 1319 225 1284L225 1284L225 1464Q317 1492 402 1506Q486 1520 561 1520L561 1520Q785 1520 893 1433Q1001 1345 1001 1165Z"],"«":[1323,"M158 692L651 1063L651 821L358 600L651 379L651 137L158 506L158 692ZM637 692L1130 1063L1130 821L838 600L1130 379L1130 137L637 506L637 692Z"],"¬":[1716,"M217 672L217 909L1499 909L1499 287L1264 287L1264 672L217 672Z"],"­":[850,"M111 444L111 735L739 735L739 444L111 444Z"],"®":[2048,"M1024 1331L1024 1331Q903 1331 799 1288Q695 1244 608 1157L608 1157Q521 1070 478 967Q434 863 434 741L434 741Q434 620 478 517Q521 413 608 326L608 326Q694 240 799 197Q903 154 1024 154L1024 154Q1147 154 1250 197Q1353 239 1440 326L1440 326Q1527 413 1571 517Q1614 620 1614 741L1614 741Q1614 863 1571 967Q1527 1070 1440 1157L1440 1157Q1352 1245 1249 1288Q1145 1331 1024 1331ZM967 1036L967 1036L932 1036L932 829L967 829Q1045 829 1085 856Q1124 882 1124 934L1124 934Q1124 986 1086 1011Q1047 1036 967 1036ZM719 1174L1004 1174Q1180 1174 1267 1115Q1354 1055 1354 934L1354 934Q1354 848 1302 792Q1249 736 1153 719L1153 719Q1194 697 1230 657Q1265 617 1294 559L1294 559L1405 338L1176 338L1069 551Q1031 629 1002 662Q973 694 944 694L944 694L932 694L932 338L719 338L719 1174ZM1024 1485L1024 1485Q1176 1485 1308 1430Q1439 1375 1548 1266L1548 1266Q1657 1157 1711 1026Q1765 895 1765 741L1765 741Q1765 589 1711 459Q1657 328 1548 219L1548 219Q1439 110 1308 55Q1176 0 1024 0L1024 0Q872 0 741 55Q609 110 500 219L500 219Q391 328 337 459Q283 589 283 741L283 741Q283 895 337 1026Q391 1157 500 1266L500 1266Q609 1375 741 1430Q872 1485 1024 1485Z"],"¯":[1024,"M197 1368L197 1556L827 1556L827 1368L197 1368Z"],"°":[1024,"M512 1372L512 1372Q440 1372 390 1322Q340 1272 340 1200L340 1200Q340 1128 390 1079Q439 1030 512 1030L512 1030Q584 1030 634 1080Q684 1129 684 1200L684 1200Q684 1272 634 1322Q583 1372 512 1372ZM512 1534L512 1534Q578 1534 639 1509Q700 1483 748 1436L748 1436Q795 1388 820 1328Q844 1268 844 1200L844 1200Q844 1133 820 1073Q795 1012 750 967L750 967Q702 919 640 894Q578 868 510 868L510 868Q369 868 274 964Q178 1059 178 1200L178 1200Q178 1341 275 1438Q371 1534 512 1534Z"],"±":[1716,"M739 1284L977 1284L977 930L1499 930L1499 694L977 694L977 340L739 340L739 694L217 694L217 930L739 930L739 1284ZM217 0L217 238L1499 238L1499 0L217 0Z"],"²":[897,"M606 1001L412 836L782 836L782 668L109 668L109 821L422 1087Q483 1140 509 1180Q535 1220 535 1260L535 1260Q535 1310 499 1341Q462 1372 403 1372L403 1372Q341 1372 270 1350Q199 1327 115 1280L115 1280L115 1466Q202 1493 284 1507Q365 1520 440 1520L440 1520Q598 1520 688 1456Q778 1391 778 1280L778 1280Q778 1208 743 1148Q707 1087 606 1001L606 1001Z"],"³":[897,"M592 1120L592 1120Q684 1102 735 1047Q786 992 786 911L786 911Q786 782 687 718Q588 653 387 653L387 653Q306 653 232 665Q158 676 90 698L90 698L90 872Q156 836 220 818Q284 799 344 799L344 799Q439 799 491 831Q543 863 543 922L543 922Q543 986 490 1017Q436 1047 322 1047L322 1047L248 1047L248 1184L332 1184Q430 1184 475 1208Q520 1231 520 1282L520 1282Q520 1327 481 1350Q442 1372 362 1372L362 1372Q310 1372 249 1359Q187 1346 117 1319L117 1319L117 1485Q182 1502 258 1511Q333 1520 420 1520L420 1520Q587 1520 676 1464Q764 1408 764 1303L764 1303Q764 1234 719 1186Q674 1138 592 1120Z"],"´":[1024,"M365 1262L647 1638L930 1638L561 1262L365 1262Z"],"µ":[1507,"M535 -428L174 -428L174 1120L535 1120L535 469Q535 353 585 297Q635 240 737 240L737 240Q840 240 890 297Q940 353 940 469L940 469L940 1120L1300 1120L1300 371Q1300 300 1317 272Q1333 244 1372 244L1372 244Q1390 244 1407 249Q1423 254 1442 266L1442 266L1442 16Q1389 -7 1343 -18Q1296 -29 1251 -29L1251 -29Q1162 -29 1106 9Q1049 46 1014 129L1014 129Q967 50 900 11Q832 -29 743 -29L743 -29Q669 -29 617 -5Q565 18 535 66L535 66L535 -428Z"],"¶":[1303,"M604 1493L604 1493L1124 1493L1124 -197L934 -197L934 1346L745 1346L745 -197L555 -197L555 649Q351 674 240 784Q129 893 129 1071L129 1071Q129 1261 259 1377Q389 1493 604 1493Z"],"·":[778,"M209 518L209 905L569 905L569 518L209 518Z"],"¸":[1024,"M463 0L602 0Q660 -62 688 -115Q715 -168 715 -215L715 -215Q715 -310 654 -355Q592 -401 465 -401L465 -401Q417 -401 366 -394Q315 -388 263 -375L263 -375L262 -223Q312 -239 354 -246Q395 -254 428 -254L428 -254Q486 -254 519 -231Q551 -208 551 -168L551 -168Q551 -142 530 -101Q508 -60 463 0L463 0Z"],"¹":[897,"M141 668L141 825L348 825L348 1346L123 1294L123 1454L352 1503L578 1503L578 825L782 825L782 668L141 668Z"],"º":[1155,"M578 1520L578 1520Q791 1520 915 1409Q1038 1298 1038 1108L1038 1108Q1038 918 915 808Q792 698 578 698L578 698Q364 698 241 808Q117 918 117 1108L117 1108Q117 1298 241 1409Q364 1520 578 1520ZM166 373L166 573L989 573L989 373L166 373ZM578 1350L578 1350Q494 1350 449 1287Q403 1224 403 1108L403 1108Q403 992 449 930Q494 868 578 868L578 868Q661 868 707 930Q752 992 752 1108L752 1108Q752 1224 707 1287Q661 1350 578 1350Z"],"»":[1323,"M672 821L672 1063L1165 692L1165 506L672 137L672 379L965 600L672 821ZM193 821L193 1063L684 692L684 506L193 137L193 379L485 600L193 821Z"],"¼":[2120,"M1593 317L1593 640L1354 317L1593 317ZM1202 330L1575 835L1823 835L1823 317L1960 317L1960 162L1823 162L1823 0L1593 0L1593 162L1202 162L1202 330ZM1668 1520L734 -29L510 -29L1444 1520L1668 1520ZM118 668L118 825L325 825L325 1346L100 1294L100 1454L329 1503L555 1503L555 825L759 825L759 668L118 668Z"],"½":[2120,"M1668 1520L734 -29L510 -29L1444 1520L1668 1520ZM1845 333L1651 168L2021 168L2021 0L1348 0L1348 153L1661 419Q1722 472 1748 512Q1774 552 1774 592L1774 592Q1774 642 1738 673Q1701 704 1642 704L1642 704Q1580 704 1509 682Q1438 659 1354 612L1354 612L1354 798Q1441 825 1523 839Q1604 852 1679 852L1679 852Q1837 852 1927 788Q2017 723 2017 612L2017 612Q2017 540 1982 480Q1946 419 1845 333L1845 333ZM118 668L118 825L325 825L325 1346L100 1294L100 1454L329 1503L555 1503L555 825L759 825L759 668L118 668Z"],"¾":[2120,"M1593 317L1593 640L1354 317L1593 317ZM1202 330L1575 835L1823 835L1823 317L1960 317L1960 162L1823 162L1823 0L1593 0L1593 162L1202 162L1202 330ZM1668 1520L734 -29L510 -29L1444 1520L1668 1520ZM606 1120L606 1120Q698 1102 749 1047Q800 992 800 911L800 911Q800 782 701 718Q602 653 401 653L401 653Q320 653 246 665Q172 676 104 698L104 698L104 872Q170 836 234 818Q298 799 358 799L358 799Q453 799 505 831Q557 863 557 922L557 922Q557 986 504 1017Q450 1047 336 1047L336 1047L262 1047L262 1184L346 1184Q444 1184 489 1208Q534 1231 534 1282L534 1282Q534 1327 495 1350Q456 1372 376 1372L376 1372Q324 1372 263 1359Q201 1346 131 1319L131 1319L131 1485Q196 1502 272 1511Q347 1520 434 1520L434 1520Q601 1520 690 1464Q778 1408 778 1303L778 1303Q778 1234 733 1186Q688 1138 606 1120Z"],"¿":[1188,"M487 569L487 614L848 614L848 565Q848 484 816 421Q783 358 674 258L674 258L610 200Q554 149 528 103Q502 57 502 10L502 10Q502 -60 550 -100Q598 -140 684 -140L684 -140Q765 -140 860 -106Q954 -72 1055 -6L1055 -6L1055 -320Q936 -362 835 -382Q733 -402 641 -402L641 -402Q397 -402 269 -302Q141 -203 141 -13L141 -13Q141 86 180 164Q219 241 313 329L313 329L377 387Q445 448 466 486Q487 524 487 569L487 569ZM848 1120L848 764L487 764L487 1120L848 1120Z"],"À":[1585,"M1188 0L1094 272L492 272L397 0L10 0L563 1493L1022 1493L1575 0L1188 0ZM793 1143L588 549L997 549L793 1143ZM434 1899L717 1899L915 1635L719 1635L434 1899Z"],"Á":[1585,"M1188 0L1094 272L492 272L397 0L10 0L563 1493L1022 1493L1575 0L1188 0ZM793 1143L588 549L997 549L793 1143ZM621 1635L819 1899L1102 1899L817 1635L621 1635Z"],"Â":[1585,"M1188 0L1094 272L492 272L397 0L10 0L563 1493L1022 1493L1575 0L1188 0ZM793 1143L588 549L997 549L793 1143ZM415 1635L638 1899L946 1899L1169 1635L991 1635L792 1796L593 1635L415 1635Z"],"Ã":[1585,"M1188 0L1094 272L492 272L397 0L10 0L563 1493L1022 1493L1575 0L1188 0ZM793 1143L588 549L997 549L793 1143ZM794 1690L794 1690L738 1725Q735 1727 728 1731L728 1731Q683 1757 655 1757L655 1757Q623 1757 603 1727Q583 1697 583 1647L583 1647L583 1641L444 1641Q444 1646 445 1656Q446 1666 446 1671L446 1671Q446 1777 500 1842Q553 1907 640 1907L640 1907Q677 1907 714 1895Q751 1882 790 1858L790 1858L849 1819Q870 1805 890 1798Q909 1790 925 1790L925 1790Q962 1790 982 1820Q1001 1850 1001 1907L1001 1907L1140 1907Q1140 1901 1139 1891Q1138 1881 1138 1876L1138 1876Q1138 1770 1085 1706Q1031 1641 944 1641L944 1641Q906 1641 871 1652Q836 1663 794 1690Z"],"Ä":[1585,"M1188 0L1094 272L492 272L397 0L10 0L563 1493L1022 1493L1575 0L1188 0ZM793 1143L588 549L997 549L793 1143ZM471 1653L471 1899L706 1899L706 1653L471 1653ZM866 1653L866 1899L1101 1899L1101 1653L866 1653Z"],"Å":[1585,"M1032 1464L1032 1464L1575 0L1188 0L1094 272L492 272L397 0L10 0L553 1464Q530 1498 519 1536Q508 1573 508 1616L508 1616Q508 1733 592 1817Q675 1901 793 1901L793 1901Q909 1901 993 1817Q1077 1733 1077 1616L1077 1616Q1077 1569 1066 1531Q1055 1493 1032 1464ZM662 1616L662 1616Q662 1562 701 1524Q739 1485 793 1485L793 1485Q847 1485 886 1524Q924 1562 924 1616L924 1616Q924 1670 885 1709Q846 1747 793 1747L793 1747Q739 1747 701 1709Q662 1670 662 1616ZM793 1143L588 549L997 549L793 1143Z"],"Æ":[2222,"M1012 1237L891 1237L635 627L1012 627L1012 1237ZM0 0L625 1493L2050 1493L2050 1202L1397 1202L1397 924L2011 924L2011 633L1397 633L1397 291L2073 291L2073 0L1012 0L1012 350L518 350L371 0L0 0Z"],"Ç":[1503,"M1372 391L1372 82Q1266 27 1151 -1Q1036 -29 911 -29L911 -29Q538 -29 320 180Q102 388 102 745L102 745Q102 1103 320 1312Q538 1520 911 1520L911 1520Q1036 1520 1151 1492Q1266 1464 1372 1409L1372 1409L1372 1100Q1265 1173 1161 1207Q1057 1241 942 1241L942 1241Q736 1241 618 1109Q500 977 500 745L500 745Q500 514 618 382Q736 250 942 250L942 250Q1057 250 1161 284Q1265 318 1372 391L1372 391ZM834 0L973 0Q1031 -62 1059 -115Q1086 -168 1086 -215L1086 -215Q1086 -310 1025 -355Q963 -401 836 -401L836 -401Q788 -401 737 -394Q686 -388 634 -375L634 -375L633 -223Q683 -239 725 -246Q766 -254 799 -254L799 -254Q857 -254 890 -231Q922 -208 922 -168L922 -168Q922 -142 901 -101Q879 -60 834 0L834 0Z"],"È":[1399,"M188 0L188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 291L1249 291L1249 0L188 0ZM358 1899L641 1899L839 1635L643 1635L358 1899Z"],"É":[1399,"M188 0L188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 291L1249 291L1249 0L188 0ZM545 1635L743 1899L1026 1899L741 1635L545 1635Z"],"Ê":[1399,"M188 0L188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 291L1249 291L1249 0L188 0ZM315 1635L538 1899L846 1899L1069 1635L891 1635L692 1796L493 1635L315 1635Z"],"Ë":[1399,"M188 0L188 1493L1227 1493L1227 1202L573 1202L573 924L1188 924L1188 633L573 633L573 291L1249 291L1249 0L188 0ZM377 1653L377 1899L612 1899L612 1653L377 1653ZM772 1653L772 1899L1007 1899L1007 1653L772 1653Z"],"Ì":[762,"M188 0L188 1493L573 1493L573 0L188 0ZM22 1899L305 1899L503 1635L307 1635L22 1899Z"],"Í":[762,"M188 0L188 1493L573 1493L573 0L188 0ZM209 1635L407 1899L690 1899L405 1635L209 1635Z"],"Î":[762,"M188 0L188 1493L573 1493L573 0L188 0ZM3 1635L226 1899L534 1899L757 1635L579 1635L380 1796L181 1635L3 1635Z"],"Ï":[762,"M188 0L188 1493L573 1493L573 0L188 0ZM65 1653L65 1899L300 1899L300 1653L65 1653ZM460 1653L460 1899L695 1899L695 1653L460 1653Z"],"Ð":[1716,"M729 1202L592 1202L592 881L827 881L827 621L592 621L592 291L729 291Q965 291 1090 408Q1214 525 1214 748L1214 748Q1214 970 1090 1086Q966 1202 729 1202L729 1202ZM207 881L207 1493L612 1493Q953 1493 1119 1445Q1285 1396 1405 1280L1405 1280Q1509 1179 1561 1047Q1612 915 1612 748L1612 748Q1612 579 1561 447Q1509 314 1405 213L1405 213Q1284 97 1116 49Q948 0 612 0L612 0L207 0L207 621L33 621L33 881L207 881Z"],"Ñ":[1714,"M188 0L188 1493L618 1493L1161 469L1161 1493L1526 1493L1526 0L1096 0L553 1024L553 0L188 0ZM823 1684L823 1684L767 1719Q764 1721 757 1725L757 1725Q712 1751 684 1751L684 1751Q652 1751 632 1721Q612 1691 612 1641L612 1641L612 1635L473 1635Q473 1640 474 1650Q475 1660 475 1665L475 1665Q475 1771 529 1836Q582 1901 669 1901L669 1901Q706 1901 743 1889Q780 1876 819 1852L819 1852L878 1813Q899 1799 919 1792Q938 1784 954 1784L954 1784Q991 1784 1011 1814Q1030 1844 1030 1901L1030 1901L1169 1901Q1169 1895 1168 1885Q1167 1875 1167 1870L1167 1870Q1167 1764 1114 1700Q1060 1635 973 1635L973 1635Q935 1635 900 1646Q865 1657 823 1684Z"],"Ò":[1741,"M870 1241L870 1241Q694 1241 597 1111Q500 981 500 745L500 745Q500 510 597 380Q694 250 870 250L870 250Q1047 250 1144 380Q1241 510 1241 745L1241 745Q1241 981 1144 1111Q1047 1241 870 1241ZM870 1520L870 1520Q1230 1520 1434 1314Q1638 1108 1638 745L1638 745Q1638 383 1434 177Q1230 -29 870 -29L870 -29Q511 -29 307 177Q102 383 102 745L102 745Q102 1108 307 1314Q511 1520 870 1520ZM512 1899L795 1899L993 1635L797 1635L512 1899Z"],"Ó":[1741,"M870 1241L870 1241Q694 1241 597 1111Q500 981 500 745L500 745Q500 510 597 380Q694 250 870 250L870 250Q1047 250 1144 380Q1241 510 1241 745L1241 745Q1241 981 1144 1111Q1047 1241 870 1241ZM870 1520L870 1520Q1230 1520 1434 1314Q1638 1108 1638 745L1638 745Q1638 383 1434 177Q1230 -29 870 -29L870 -29Q511 -29 307 177Q102 383 102 745L102 745Q102 1108 307 1314Q511 1520 870 1520ZM699 1635L897 1899L1180 1899L895 1635L699 1635Z"],"Ô":[1741,"M870 1241L870 1241Q694 1241 597 1111Q500 981 500 745L500 745Q500 510 597 380Q694 250 870 250L870 250Q1047 250 1144 380Q1241 510 1241 745L1241 745Q1241 981 1144 1111Q1047 1241 870 1241ZM870 1520L870 1520Q1230 1520 1434 1314Q1638 1108 1638 745L1638 745Q1638 383 1434 177Q1230 -29 870 -29L870 -29Q511 -29 307 177Q102 383 102 745L102 745Q102 1108 307 1314Q511 1520 870 1520ZM469 1635L692 1899L1000 1899L1223 1635L1045 1635L846 1796L647 1635L469 1635Z"],"Õ":[1741,"M870 1241L870 1241Q694 1241 597 1111Q500 981 500 745L500 745Q500 510 597 380Q694 250 870 250L870 250Q1047 250 1144 380Q1241 510 1241 745L1241 745Q1241 981 1144 1111Q1047 1241 870 1241ZM870 1520L870 1520Q1230 1520 1434 1314Q1638 1108 1638 745L1638 745Q1638 383 1434 177Q1230 -29 870 -29L870 -29Q511 -29 307 177Q102 383 102 745L102 745Q102 1108 307 1314Q511 1520 870 1520ZM873 1684L873 1684L817 1719Q814 1721 807 1725L807 1725Q762 1751 734 1751L734 1751Q702 1751 682 1721Q662 1691 662 1641L662 1641L662 1635L523 1635Q523 1640 524 1650Q525 1660 525 1665L525 1665Q525 1771 579 1836Q632 1901 719 1901L719 1901Q756 1901 793 1889Q830 1876 869 1852L869 1852L928 1813Q949 1799 969 1792Q988 1784 1004 1784L1004 1784Q1041 1784 1061 1814Q1080 1844 1080 1901L1080 1901L1219 1901Q1219 1895 1218 1885Q1217 1875 1217 1870L1217 1870Q1217 1764 1164 1700Q1110 1635 1023 1635L1023 1635Q985 1635 950 1646Q915 1657 873 1684Z"],"Ö":[1741,"M870 1241L870 1241Q694 1241 597 1111Q500 981 500 745L500 745Q500 510 597 380Q694 250 870 250L870 250Q1047 250 1144 380Q1241 510 1241 745L1241 745Q1241 981 1144 1111Q1047 1241 870 1241ZM870 1520L870 1520Q1230 1520 1434 1314Q1638 1108 1638 745L1638 745Q1638 383 1434 177Q1230 -29 870 -29L870 -29Q511 -29 307 177Q102 383 102 745L102 745Q102 1108 307 1314Q511 1520 870 1520ZM555 1653L555 1899L790 1899L790 1653L555 1653ZM950 1653L950 1899L1185 1899L1185 1653L950 1653Z"],"×":[1716,"M1292 1243L1460 1075L1026 641L1460 209L1292 41L858 473L424 41L256 209L690 641L256 1075L424 1243L858 809L1292 1243Z"],"Ø":[1741,"M1210 979L604 371Q656 309 722 280Q787 250 870 250L870 250Q1047 250 1144 380Q1241 510 1241 745L1241 745Q1241 813 1234 872Q1226 930 1210 979L1210 979ZM528 522L1133 1126Q1082 1184 1017 1213Q952 1241 870 1241L870 1241Q694 1241 597 1111Q500 981 500 745L500 745Q500 681 507 625Q514 568 528 522L528 522ZM45 39L250 244Q176 344 139 469Q102 594 102 745L102 745Q102 1108 307 1314Q511 1520 870 1520L870 1520Q1024 1520 1148 1483Q1272 1445 1374 1368L1374 1368L1573 1567L1686 1452L1485 1253Q1562 1154 1600 1027Q1638 899 1638 745L1638 745Q1638 383 1434 177Q1230 -29 870 -29L870 -29Q717 -29 590 11Q462 50 360 129L360 129L158 -74L45 39Z"],"Ù":[1663,"M188 598L188 1493L573 1493L573 598Q573 413 634 334Q694 254 831 254L831 254Q969 254 1030 334Q1090 413 1090 598L1090 598L1090 1493L1475 1493L1475 598Q1475 281 1316 126Q1157 -29 831 -29L831 -29Q506 -29 347 126Q188 281 188 598L188 598ZM473 1899L756 1899L954 1635L758 1635L473 1899Z"],"Ú":[1663,"M188 598L188 1493L573 1493L573 598Q573 413 634 334Q694 254 831 254L831 254Q969 254 1030 334Q1090 413 1090 598L1090 598L1090 1493L1475 1493L1475 598Q1475 281 1316 126Q1157 -29 831 -29L831 -29Q506 -29 347 126Q188 281 188 598L188 598ZM660 1635L858 1899L1141 1899L856 1635L660 1635Z"],"Û":[1663,"M188 598L188 1493L573 1493L573 598Q573 413 634 334Q694 254 831 254L831 254Q969 254 1030 334Q1090 413 1090 598L1090 598L1090 1493L1475 1493L1475 598Q1475 281 1316 126Q1157 -29 831 -29L831 -29Q506 -29 347 126Q188 281 188 598L188 598ZM455 1635L678 1899L986 1899L1209 1635L1031 1635L832 1796L633 1635L455 1635Z"],"Ü":[1663,"M188 598L188 1493L573 1493L573 598Q573 413 634 334Q694 254 831 254L831 254Q969 254 1030 334Q1090 413 1090 598L1090 598L1090 1493L1475 1493L1475 598Q1475 281 1316 126Q1157 -29 831 -29L831 -29Q506 -29 347 126Q188 281 188 598L188 598ZM517 1653L517 1899L752 1899L752 1653L517 1653ZM912 1653L912 1899L1147 1899L1147 1653L912 1653Z"],"Ý":[1483,"M549 629L-20 1493L401 1493L741 961L1081 1493L1503 1493L934 629L934 0L549 0L549 629ZM570 1635L768 1899L1051 1899L766 1635L570 1635Z"],"Þ":[1511,"M827 258L573 258L573 0L188 0L188 1493L573 1493L573 1233L827 1233Q1112 1233 1265 1107Q1417 980 1417 745L1417 745Q1417 511 1265 385Q1112 258 827 258L827 258ZM786 956L573 956L573 537L786 537Q898 537 959 592Q1020 646 1020 745L1020 745Q1020 846 959 901Q898 956 786 956L786 956Z"],"ß":[1473,"M172 0L172 1114Q172 1336 307 1446Q442 1556 715 1556L715 1556Q977 1556 1111 1444Q1245 1332 1245 1114L1245 1114L1245 1043Q1094 1033 1022 994Q950 955 950 881L950 881Q950 844 975 816Q999 787 1092 735L1092 735L1161 698Q1277 634 1331 550Q1384 465 1384 348L1384 348Q1384 159 1270 65Q1155 -29 924 -29L924 -29Q859 -29 790 -16Q721 -4 647 20L647 20L647 264Q703 237 761 223Q818 209 872 209L872 209Q944 209 988 245Q1032 281 1032 338L1032 338Q1032 385 1005 419Q977 453 879 508L879 508L809 547Q721 596 679 664Q637 731 637 821L637 821Q637 937 707 1016Q776 1095 921 1145L921 1145Q920 1230 872 1275Q824 1319 733 1319L733 1319Q632 1319 581 1264Q530 1209 530 1100L530 1100L530 0L172 0Z"],"à":[1382,"M860 504L674 504Q562 504 506 466Q449 428 449 354L449 354Q449 286 495 248Q540 209 621 209L621 209Q722 209 791 282Q860 354 860 463L860 463L860 504ZM1221 639L1221 639L1221 0L860 0L860 166Q788 64 698 18Q608 -29 479 -29L479 -29Q305 -29 197 73Q88 174 88 336L88 336Q88 533 224 625Q359 717 649 717L649 717L860 717L860 745Q860 830 793 870Q726 909 584 909L584 909Q469 909 370 886Q271 863 186 817L186 817L186 1090Q301 1118 417 1133Q533 1147 649 1147L649 1147Q952 1147 1087 1028Q1221 908 1221 639ZM280 1638L563 1638L845 1262L649 1262L280 1638Z"],"á":[1382,"M860 504L674 504Q562 504 506 466Q449 428 449 354L449 354Q449 286 495 248Q540 209 621 209L621 209Q722 209 791 282Q860 354 860 463L860 463L860 504ZM1221 639L1221 639L1221 0L860 0L860 166Q788 64 698 18Q608 -29 479 -29L479 -29Q305 -29 197 73Q88 174 88 336L88 336Q88 533 224 625Q359 717 649 717L649 717L860 717L860 745Q860 830 793 870Q726 909 584 909L584 909Q469 909 370 886Q271 863 186 817L186 817L186 1090Q301 1118 417 1133Q533 1147 649 1147L649 1147Q952 1147 1087 1028Q1221 908 1221 639ZM551 1262L833 1638L1116 1638L747 1262L551 1262Z"],"â":[1382,"M860 504L674 504Q562 504 506 466Q449 428 449 354L449 354Q449 286 495 248Q540 209 621 209L621 209Q722 209 791 282Q860 354 860 463L860 463L860 504ZM1221 639L1221 639L1221 0L860 0L860 166Q788 64 698 18Q608 -29 479 -29L479 -29Q305 -29 197 73Q88 174 88 336L88 336Q88 533 224 625Q359 717 649 717L649 717L860 717L860 745Q860 830 793 870Q726 909 584 909L584 909Q469 909 370 886Q271 863 186 817L186 817L186 1090Q301 1118 417 1133Q533 1147 649 1147L649 1147Q952 1147 1087 1028Q1221 908 1221 639ZM321 1262L577 1638L819 1638L1075 1262L897 1262L698 1487L499 1262L321 1262Z"],"ã":[1382,"M860 504L674 504Q562 504 506 466Q449 428 449 354L449 354Q449 286 495 248Q540 209 621 209L621 209Q722 209 791 282Q860 354 860 463L860 463L860 504ZM1221 639L1221 639L1221 0L860 0L860 166Q788 64 698 18Q608 -29 479 -29L479 -29Q305 -29 197 73Q88 174 88 336L88 336Q88 533 224 625Q359 717 649 717L649 717L860 717L860 745Q860 830 793 870Q726 909 584 909L584 909Q469 909 370 886Q271 863 186 817L186 817L186 1090Q301 1118 417 1133Q533 1147 649 1147L649 1147Q952 1147 1087 1028Q1221 908 1221 639ZM700 1364L700 1364L645 1401Q641 1403 635 1407L635 1407Q588 1438 563 1438L563 1438Q527 1438 508 1407Q489 1376 489 1317L489 1317L489 1309L350 1309Q350 1445 402 1519Q453 1593 546 1593L546 1593Q582 1593 619 1580Q655 1566 696 1536L696 1536L757 1493Q779 1478 798 1470Q816 1462 831 1462L831 1462Q867 1462 887 1494Q907 1526 907 1583L907 1583L907 1591L1046 1591Q1046 1455 995 1381Q943 1307 850 1307L850 1307Q814 1307 781 1319Q747 1331 700 1364Z"],"ä":[1382,"M860 504L674 504Q562 504 506 466Q449 428 449 354L449 354Q449 286 495 248Q540 209 621 209L621 209Q722 209 791 282Q860 354 860 463L860 463L860 504ZM1221 639L1221 639L1221 0L860 0L860 166Q788 64 698 18Q608 -29 479 -29L479 -29Q305 -29 197 73Q88 174 88 336L88 336Q88 533 224 625Q359 717 649 717L649 717L860 717L860 745Q860 830 793 870Q726 909 584 909L584 909Q469 909 370 886Q271 863 186 817L186 817L186 1090Q301 1118 417 1133Q533 1147 649 1147L649 1147Q952 1147 1087 1028Q1221 908 1221 639ZM383 1339L383 1585L618 1585L618 1339L383 1339ZM778 1339L778 1585L1013 1585L1013 1339L778 1339Z"],"å":[1382,"M860 504L674 504Q562 504 506 466Q449 428 449 354L449 354Q449 286 495 248Q540 209 621 209L621 209Q722 209 791 282Q860 354 860 463L860 463L860 504ZM1221 639L1221 639L1221 0L860 0L860 166Q788 64 698 18Q608 -29 479 -29L479 -29Q305 -29 197 73Q88 174 88 336L88 336Q88 533 224 625Q359 717 649 717L649 717L860 717L860 745Q860 830 793 870Q726 909 584 909L584 909Q469 909 370 886Q271 863 186 817L186 817L186 1090Q301 1118 417 1133Q533 1147 649 1147L649 1147Q952 1147 1087 1028Q1221 908 1221 639ZM567 1534L567 1534Q567 1479 606 1441Q644 1403 698 1403L698 1403Q753 1403 791 1442Q829 1480 829 1534L829 1534Q829 1588 791 1627Q752 1665 698 1665L698 1665Q643 1665 605 1627Q567 1588 567 1534ZM413 1534L413 1534Q413 1652 497 1736Q580 1819 698 1819L698 1819Q816 1819 900 1736Q983 1652 983 1534L983 1534Q983 1416 900 1333Q816 1249 698 1249L698 1249Q580 1249 497 1333Q413 1416 413 1534Z"],"æ":[2146,"M1217 682L1679 682Q1679 784 1620 847Q1560 909 1464 909L1464 909Q1361 909 1297 851Q1233 792 1217 682L1217 682ZM860 504L674 504Q562 504 506 466Q449 428 449 354L449 354Q449 286 495 248Q540 209 621 209L621 209Q722 209 791 282Q860 354 860 463L860 463L860 504ZM186 817L186 1090Q305 1118 417 1133Q528 1147 625 1147L625 1147Q775 1147 884 1109Q992 1070 1063 991L1063 991Q1140 1068 1242 1108Q1344 1147 1466 1147L1466 1147Q1731 1147 1890 988Q2048 829 2048 563L2048 563L2048 461L1210 461Q1224 335 1302 272Q1379 209 1520 209L1520 209Q1633 209 1752 243Q1870 276 1995 344L1995 344L1995 68Q1868 20 1741 -4Q1613 -29 1487 -29L1487 -29Q1308 -29 1176 25Q1043 78 971 178L971 178Q870 71 759 21Q647 -29 508 -29L508 -29Q314 -29 201 70Q88 168 88 336L88 336Q88 533 224 625Q359 717 649 717L649 717L860 717L860 745Q860 830 793 870Q726 909 584 909L584 909Q469 909 370 886Q271 863 186 817L186 817Z"],"ç":[1214,"M1077 1085L1077 1085L1077 793Q1004 843 931 867Q857 891 778 891L778 891Q628 891 545 804Q461 716 461 559L461 559Q461 402 545 315Q628 227 778 227L778 227Q862 227 938 252Q1013 277 1077 326L1077 326L1077 33Q993 2 907 -13Q820 -29 733 -29L733 -29Q430 -29 259 127Q88 282 88 559L88 559Q88 836 259 992Q430 1147 733 1147L733 1147Q821 1147 907 1132Q992 1116 1077 1085ZM647 0L786 0Q844 -62 872 -115Q899 -168 899 -215L899 -215Q899 -310 838 -355Q776 -401 649 -401L649 -401Q601 -401 550 -394Q499 -388 447 -375L447 -375L446 -223Q496 -239 538 -246Q579 -254 612 -254L612 -254Q670 -254 703 -231Q735 -208 735 -168L735 -168Q735 -142 714 -101Q692 -60 647 0L647 0Z"],"è":[1389,"M1290 563L1290 563L1290 461L453 461Q466 335 544 272Q622 209 762 209L762 209Q875 209 994 243Q1112 276 1237 344L1237 344L1237 68Q1110 20 983 -4Q856 -29 729 -29L729 -29Q425 -29 257 126Q88 280 88 559L88 559Q88 833 254 990Q419 1147 709 1147L709 1147Q973 1147 1132 988Q1290 829 1290 563ZM457 682L922 682Q922 784 863 847Q803 909 707 909L707 909Q603 909 538 851Q473 792 457 682L457 682ZM311 1638L594 1638L876 1262L680 1262L311 1638Z"],"é":[1389,"M1290 563L1290 563L1290 461L453 461Q466 335 544 272Q622 209 762 209L762 209Q875 209 994 243Q1112 276 1237 344L1237 344L1237 68Q1110 20 983 -4Q856 -29 729 -29L729 -29Q425 -29 257 126Q88 280 88 559L88 559Q88 833 254 990Q419 1147 709 1147L709 1147Q973 1147 1132 988Q1290 829 1290 563ZM457 682L922 682Q922 784 863 847Q803 909 707 909L707 909Q603 909 538 851Q473 792 457 682L457 682ZM582 1262L864 1638L1147 1638L778 1262L582 1262Z"],"ê":[1389,"M1290 563L1290 563L1290 461L453 461Q466 335 544 272Q622 209 762 209L762 209Q875 209 994 243Q1112 276 1237 344L1237 344L1237 68Q1110 20 983 -4Q856 -29 729 -29L729 -29Q425 -29 257 126Q88 280 88 559L88 559Q88 833 254 990Q419 1147 709 1147L709 1147Q973 1147 1132 988Q1290 829 1290 563ZM457 682L922 682Q922 784 863 847Q803 909 707 909L707 909Q603 909 538 851Q473 792 457 682L457 682ZM352 1262L608 1638L850 1638L1106 1262L928 1262L729 1487L530 1262L352 1262Z"],"ë":[1389,"M1290 563L1290 563L1290 461L453 461Q466 335 544 272Q622 209 762 209L762 209Q875 209 994 243Q1112 276 1237 344L1237 344L1237 68Q1110 20 983 -4Q856 -29 729 -29L729 -29Q425 -29 257 126Q88 280 88 559L88 559Q88 833 254 990Q419 1147 709 1147L709 1147Q973 1147 1132 988Q1290 829 1290 563ZM457 682L922 682Q922 784 863 847Q803 909 707 909L707 909Q603 909 538 851Q473 792 457 682L457 682ZM414 1339L414 1585L649 1585L649 1339L414 1339ZM809 1339L809 1585L1044 1585L1044 1339L809 1339Z"],"ì":[702,"M172 0L172 1120L530 1120L530 0L172 0ZM-43 1638L240 1638L522 1262L326 1262L-43 1638Z"],"í":[702,"M172 0L172 1120L530 1120L530 0L172 0ZM228 1262L510 1638L793 1638L424 1262L228 1262Z"],"î":[702,"M172 0L172 1120L530 1120L530 0L172 0ZM-27 1262L229 1638L471 1638L727 1262L549 1262L350 1487L151 1262L-27 1262Z"],"ï":[702,"M172 0L172 1120L530 1120L530 0L172 0ZM35 1339L35 1585L270 1585L270 1339L35 1339ZM430 1339L430 1585L665 1585L665 1339L430 1339Z"],"ð":[1407,"M920 743L920 743Q865 770 811 784Q757 797 705 797L705 797Q588 797 525 731Q461 664 461 543L461 543Q461 395 526 311Q591 227 705 227L705 227Q822 227 884 313Q946 398 946 559L946 559Q946 604 940 650Q933 696 920 743ZM891 1329L1096 1100Q1213 964 1266 836Q1319 707 1319 559L1319 559Q1319 283 1157 127Q994 -29 705 -29L705 -29Q415 -29 252 127Q88 283 88 559L88 559Q88 790 239 923Q389 1055 653 1055L653 1055Q699 1055 738 1049Q777 1042 813 1028L813 1028L623 1247L250 1128L213 1257L520 1354L332 1556L684 1556L795 1440L1171 1554L1206 1425L891 1329Z"],"ñ":[1458,"M1298 682L1298 682L1298 0L938 0L938 111L938 522Q938 667 932 722Q925 777 909 803L909 803Q888 838 852 858Q816 877 770 877L770 877Q658 877 594 791Q530 704 530 551L530 551L530 0L172 0L172 1120L530 1120L530 956Q611 1054 702 1101Q793 1147 903 1147L903 1147Q1097 1147 1198 1028Q1298 909 1298 682ZM756 1364L756 1364L701 1401Q697 1403 691 1407L691 1407Q644 1438 619 1438L619 1438Q583 1438 564 1407Q545 1376 545 1317L545 1317L545 1309L406 1309Q406 1445 458 1519Q509 1593 602 1593L602 1593Q638 1593 675 1580Q711 1566 752 1536L752 1536L813 1493Q835 1478 854 1470Q872 1462 887 1462L887 1462Q923 1462 943 1494Q963 1526 963 1583L963 1583L963 1591L1102 1591Q1102 1455 1051 1381Q999 1307 906 1307L906 1307Q870 1307 837 1319Q803 1331 756 1364Z"],"ò":[1407,"M705 891L705 891Q586 891 524 806Q461 720 461 559L461 559Q461 398 524 313Q586 227 705 227L705 227Q822 227 884 313Q946 398 946 559L946 559Q946 720 884 806Q822 891 705 891ZM705 1147L705 1147Q994 1147 1157 991Q1319 835 1319 559L1319 559Q1319 283 1157 127Q994 -29 705 -29L705 -29Q415 -29 252 127Q88 283 88 559L88 559Q88 835 252 991Q415 1147 705 1147ZM309 1638L592 1638L874 1262L678 1262L309 1638Z"],"ó":[1407,"M705 891L705 891Q586 891 524 806Q461 720 461 559L461 559Q461 398 524 313Q586 227 705 227L705 227Q822 227 884 313Q946 398 946 559L946 559Q946 720 884 806Q822 891 705 891ZM705 1147L705 1147Q994 1147 1157 991Q1319 835 1319 559L1319 559Q1319 283 1157 127Q994 -29 705 -29L705 -29Q415 -29 252 127Q88 283 88 559L88 559Q88 835 252 991Q415 1147 705 1147ZM580 1262L862 1638L1145 1638L776 1262L580 1262Z"],"ô":[1407,"M705 891L705 891Q586 891 524 806Q461 720 461 559L461 559Q461 398 524 313Q586 227 705 227L705 227Q822 227 884 313Q946 398 946 559L946 559Q946 720 884 806Q822 891 705 891ZM705 1147L705 1147Q994 1147 1157 991Q1319 835 1319 559L1319 559Q1319 283 1157 127Q994 -29 705 -29L705 -29Q415 -29 252 127Q88 283 88 559L88 559Q88 835 252 991Q415 1147 705 1147ZM326 1262L582 1638L824 1638L1080 1262L902 1262L703 1487L504 1262L326 1262Z"],"õ":[1407,"M705 891L705 891Q586 891 524 806Q461 720 461 559L461 559Q461 398 524 313Q586 227 705 227L705 227Q822 227 884 313Q946 398 946 559L946 559Q946 720 884 806Q822 891 705 891ZM705 1147L705 1147Q994 1147 1157 991Q1319 835 1319 559L1319 559Q1319 283 1157 127Q994 -29 705 -29L705 -29Q415 -29 252 127Q88 283 88 559L88 559Q88 835 252 991Q415 1147 705 1147ZM704 1364L704 1364L649 1401Q645 1403 639 1407L639 1407Q592 1438 567 1438L567 1438Q531 1438 512 1407Q493 1376 493 1317L493 1317L493 1309L354 1309Q354 1445 406 1519Q457 1593 550 1593L550 1593Q586 1593 623 1580Q659 1566 700 1536L700 1536L761 1493Q783 1478 802 1470Q820 1462 835 1462L835 1462Q871 1462 891 1494Q911 1526 911 1583L911 1583L911 1591L1050 1591Q1050 1455 999 1381Q947 1307 854 1307L854 1307Q818 1307 785 1319Q751 1331 704 1364Z"],"ö":[1407,"M705 891L705 891Q586 891 524 806Q461 720 461 559L461 559Q461 398 524 313Q586 227 705 227L705 227Q822 227 884 313Q946 398 946 559L946 559Q946 720 884 806Q822 891 705 891ZM705 1147L705 1147Q994 1147 1157 991Q1319 835 1319 559L1319 559Q1319 283 1157 127Q994 -29 705 -29L705 -29Q415 -29 252 127Q88 283 88 559L88 559Q88 835 252 991Q415 1147 705 1147ZM387 1339L387 1585L622 1585L622 1339L387 1339ZM782 1339L782 1585L1017 1585L1017 1339L782 1339Z"],"÷":[1716,"M705 86L705 395L1012 395L1012 86L705 86ZM705 889L705 1198L1012 1198L1012 889L705 889ZM217 524L217 760L1499 760L1499 524L217 524Z"],"ø":[1407,"M475 426L856 836Q827 864 790 878Q752 891 705 891L705 891Q586 891 524 806Q461 720 461 559L461 559Q461 518 465 486Q468 453 475 426L475 426ZM932 698L547 287Q578 257 618 242Q657 227 705 227L705 227Q822 227 884 313Q946 398 946 559L946 559Q946 602 943 636Q939 669 932 698L932 698ZM78 0L223 158Q156 236 122 336Q88 436 88 559L88 559Q88 835 252 991Q415 1147 705 1147L705 1147Q811 1147 901 1125Q990 1103 1065 1059L1065 1059L1212 1217L1321 1116L1180 967Q1250 887 1285 786Q1319 685 1319 559L1319 559Q1319 283 1157 127Q994 -29 705 -29L705 -29Q597 -29 506 -6Q415 16 338 61L338 61L190 -94L78 0Z"],"ù":[1458,"M160 436L160 436L160 1120L520 1120L520 1008Q520 917 519 780Q518 642 518 596L518 596Q518 461 525 402Q532 342 549 315L549 315Q571 280 607 261Q642 242 688 242L688 242Q800 242 864 328Q928 414 928 567L928 567L928 1120L1286 1120L1286 0L928 0L928 162Q847 64 757 18Q666 -29 557 -29L557 -29Q363 -29 262 90Q160 209 160 436ZM336 1638L619 1638L901 1262L705 1262L336 1638Z"],"ú":[1458,"M160 436L160 436L160 1120L520 1120L520 1008Q520 917 519 780Q518 642 518 596L518 596Q518 461 525 402Q532 342 549 315L549 315Q571 280 607 261Q642 242 688 242L688 242Q800 242 864 328Q928 414 928 567L928 567L928 1120L1286 1120L1286 0L928 0L928 162Q847 64 757 18Q666 -29 557 -29L557 -29Q363 -29 262 90Q160 209 160 436ZM607 1262L889 1638L1172 1638L803 1262L607 1262Z"],"û":[1458,"M160 436L160 436L160 1120L520 1120L520 1008Q520 917 519 780Q518 642 518 596L518 596Q518 461 525 402Q532 342 549 315L549 315Q571 280 607 261Q642 242 688 242L688 242Q800 242 864 328Q928 414 928 567L928 567L928 1120L1286 1120L1286 0L928 0L928 162Q847 64 757 18Q666 -29 557 -29L557 -29Q363 -29 262 90Q160 209 160 436ZM347 1262L603 1638L845 1638L1101 1262L923 1262L724 1487L525 1262L347 1262Z"],"ü":[1458,"M160 436L160 436L160 1120L520 1120L520 1008Q520 917 519 780Q518 642 518 596L518 596Q518 461 525 402Q532 342 549 315L549 315Q571 280 607 261Q642 242 688 242L688 242Q800 242 864 328Q928 414 928 567L928 567L928 1120L1286 1120L1286 0L928 0L928 162Q847 64 757 18Q666 -29 557 -29L557 -29Q363 -29 262 90Q160 209 160 436ZM409 1339L409 1585L644 1585L644 1339L409 1339ZM804 1339L804 1585L1039 1585L1039 1339L804 1339Z"],"ý":[1335,"M524 -43L25 1120L383 1120L684 360L940 1120L1298 1120L827 -106Q756 -293 662 -367Q567 -442 412 -442L412 -442L205 -442L205 -207L317 -207Q408 -207 450 -178Q491 -149 514 -74L514 -74L524 -43ZM521 1262L803 1638L1086 1638L717 1262L521 1262Z"],"þ":[1466,"M530 162L530 162L530 -426L172 -426L172 1556L530 1556L530 956Q604 1054 694 1101Q784 1147 901 1147L901 1147Q1108 1147 1241 983Q1374 818 1374 559L1374 559Q1374 300 1241 136Q1108 -29 901 -29L901 -29Q784 -29 694 18Q604 64 530 162ZM768 887L768 887Q653 887 592 803Q530 718 530 559L530 559Q530 400 592 316Q653 231 768 231L768 231Q883 231 944 315Q1004 399 1004 559L1004 559Q1004 719 944 803Q883 887 768 887Z"],"ÿ":[1335,"M524 -43L25 1120L383 1120L684 360L940 1120L1298 1120L827 -106Q756 -293 662 -367Q567 -442 412 -442L412 -442L205 -442L205 -207L317 -207Q408 -207 450 -178Q491 -149 514 -74L514 -74L524 -43ZM353 1339L353 1585L588 1585L588 1339L353 1339ZM748 1339L748 1585L983 1585L983 1339L748 1339Z"],"–":[1024,"M110 432L110 690L914 690L914 432L110 432Z"],"—":[2048,"M110 432L110 690L1938 690L1938 432L110 432Z"],"‘":[778,"M551 1141L551 856L211 856L211 1141L438 1493L651 1493L551 1141Z"],"’":[778,"M229 1208L229 1493L569 1493L569 1208L342 856L129 856L229 1208Z"],"“":[1346,"M1057 1139L1057 856L717 856L717 1139L944 1493L1157 1493L1057 1139ZM551 1141L551 856L211 856L211 1141L438 1493L651 1493L551 1141Z"],"”":[1346,"M289 1208L289 1493L629 1493L629 1208L401 856L188 856L289 1208ZM795 1206L795 1493L1135 1493L1135 1206L907 856L694 856L795 1206Z"],"•":[1309,"M295 762L295 762Q295 836 322 901Q348 966 399 1016L399 1016Q452 1067 517 1094Q582 1120 655 1120L655 1120Q728 1120 794 1093Q859 1066 909 1016L909 1016Q961 964 988 900Q1014 835 1014 762L1014 762Q1014 688 987 623Q960 557 909 506L909 506Q858 455 793 428Q727 401 653 401L653 401Q580 401 515 428Q450 455 399 506L399 506Q349 557 322 623Q295 688 295 762Z"],"…":[2048,"M1526 0L1526 387L1886 387L1886 0L1526 0ZM162 0L162 387L522 387L522 0L162 0ZM844 0L844 387L1204 387L1204 0L844 0Z"],"€":[1425,"M1288 391L1288 82Q1193 27 1090 -1Q986 -29 874 -29L874 -29Q612 -29 433 102Q253 232 178 477L178 477L-39 477L49 672L147 672Q146 686 146 702Q145 717 145 745L145 745Q145 774 146 790Q146 806 147 821L147 821L-39 821L49 1016L178 1016Q255 1262 434 1391Q612 1520 874 1520L874 1520Q986 1520 1090 1492Q1193 1464 1288 1409L1288 1409L1288 1100Q1207 1178 1115 1218Q1023 1257 924 1257L924 1257Q797 1257 708 1196Q618 1134 573 1016L573 1016L1112 1016L1026 821L533 821Q531 805 531 787Q530 769 530 733L530 733Q530 720 531 705Q531 689 532 672L532 672L961 672L872 477L573 477Q623 355 711 294Q798 233 924 233L924 233Q1023 233 1114 273Q1204 312 1288 391L1288 391Z"],"Ω":[1741,"M870 1520L870 1520Q1229 1520 1434 1314Q1638 1108 1638 798L1638 798Q1638 450 1378 291L1378 291L1685 291L1685 0L1000 0L1000 312Q1038 333 1067 362L1067 362Q1240 537 1240 789L1240 789Q1240 981 1143 1111Q1046 1241 870 1241L870 1241Q694 1241 597 1111Q500 981 500 789L500 789Q500 537 673 362L673 362Q702 333 740 312L740 312L740 0L55 0L55 291L362 291Q102 450 102 798L102 798Q102 1108 307 1314Q511 1520 870 1520Z"],"≤":[1716,"M217 238L1499 238L1499 0L217 0L217 238ZM1499 1192L1499 948L602 739L1499 530L1499 287L217 623L217 858L1499 1192Z"],"≥":[1716,"M217 0L217 238L1499 238L1499 0L217 0ZM1114 739L217 948L217 1192L1499 858L1499 623L217 287L217 530L1114 739Z"],"≈":[1716,"M1499 1059L1499 1059L1499 815Q1393 735 1304 701Q1214 666 1118 666L1118 666Q1011 666 868 724L868 724Q854 730 846 733L846 733Q839 736 824 742L824 742Q669 803 575 803L575 803Q487 803 401 765Q315 726 217 643L217 643L217 887Q322 965 412 1000Q501 1034 598 1034L598 1034Q708 1034 855 975L855 975Q865 971 870 969L870 969Q878 966 892 960L892 960Q1047 899 1141 899L1141 899Q1227 899 1312 937Q1396 974 1499 1059ZM1499 641L1499 641L1499 397Q1393 317 1304 283Q1214 248 1118 248L1118 248Q1011 248 868 306L868 306Q854 312 845 316L845 316Q839 318 824 324L824 324Q669 385 575 385L575 385Q487 385 401 347Q315 309 217 225L217 225L217 469Q324 549 413 584Q502 618 598 618L598 618Q705 618 848 560L848 560Q863 554 870 551L870 551Q878 548 892 543L892 543Q1047 481 1141 481L1141 481Q1227 481 1312 519Q1396 556 1499 641Z"],"∅":[1754,"M1258 1369L1258 1369L1331 1459L1515 1459L1378 1291Q1489 1203 1559 1079L1559 1079Q1658 904 1658 717Q1658 530 1558 352Q1457 173 1269 72Q1081 -30 877 -30L877 -30Q671 -30 481 73L481 73Q421 105 419 106L419 106L315 -22L132 -22L310 198Q241 271 201 343L201 343Q96 530 96 717Q96 904 196 1083Q295 1261 483 1363Q671 1464 877 1464L877 1464Q1081 1464 1258 1369ZM395 409L430 347L1150 1236Q1011 1311 877 1311L877 1311Q742 1311 609 1239Q475 1167 395 1025L395 1025Q313 877 312 717L312 717Q313 557 395 409L395 409ZM1267 1152L1267 1152L532 246Q570 216 611 194L611 194Q742 123 877 123L877 123Q1011 123 1144 195Q1277 267 1358 409L1358 409Q1441 557 1442 717L1442 717Q1441 877 1358 1025L1358 1025Q1301 1125 1267 1152Z"],"→":[1716,"M1223 1105L1616 712L1616 572L1223 179L1078 324L1276 522L117 522L117 762L1276 762L1078 960L1223 1105Z"]},"kerning":{"-T":-301,"-V":-149,"-W":-92,"-X":-167,"-Y":-301,"A,":38,"A.":38,"A:":38,"A;":38,"AT":-159,"AU":-63,"AV":-139,"AW":-92,"AY":-196,"Av":-73,"Ay":-73,"BV":-83,"BW":-112,"BY":-112,"C-":47,"CS":38,"D-":38,"DY":-149,"F,":-329,"F-":-63,"F.":-301,"F:":-112,"F;":-112,"FA":-235,"Fa":-120,"Fe":-83,"Fo":-83,"Fr":-131,"Fu":-102,"Fy":-112,"GT":-36,"GY":-45,"K-":-178,"KC":-92,"KO":-92,"KU":-36,"Ke":-36,"Ko":-36,"Ku":-36,"Ky":-131,"LO":-73,"LT":-339,"LU":-73,"LV":-282,"LW":-159,"LY":-319,"Ly":-139,"O,":-45,"O-":38,"O.":-45,"OA":-55,"OV":-55,"OX":-73,"OY":-73,"P,":-376,"P-":-36,"P.":-376,"PA":-188,"Pa":-55,"Ps":-36,"Py":38,"Q-":38,"R,":38,"R.":38,"RT":-92,"RY":-112,"Ry":-92,"SS":-92,"T,":-292,"T-":-301,"T.":-311,"T:":-112,"T;":-112,"TA":-159,"TT":47,"Ta":-264,"Tc":-272,"Te":-272,"To":-272,"Tr":-225,"Ts":-272,"Tu":-225,"Tw":-225,"Ty":-243,"UA":-63,"V,":-264,"V-":-149,"V.":-264,"V:":-92,"V;":-92,"VA":-139,"VO":-36,"Va":-112,"Ve":-112,"Vi":-36,"Vo":-112,"Vu":-73,"W,":-167,"W-":-92,"W.":-167,"W:":-63,"W;":-63,"WA":-92,"Wa":-73,"We":-73,"Wo":-73,"Wr":-36,"X-":-167,"XC":-73,"XO":-73,"Xe":-55,"Y,":-339,"Y-":-301,"Y.":-339,"Y:":-178,"Y;":-178,"YA":-196,"YC":-73,"YO":-73,"Ya":-188,"Ye":-188,"Yo":-188,"Yu":-149,"Z-":-36,"ay":-63,"f,":-112,"f-":-36,"f.":-112,"ke":-55,"ko":-55,"r,":-301,"r.":-292,"v,":-167,"v.":-167,"w,":-131,"w.":-131,"y,":-159,"y.":-188}};
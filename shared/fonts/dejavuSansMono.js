@@ -0,0 +1,6 @@
+// shared/fonts/dejavuSansMono.js
+// Generated by shared/fonts/buildFonts.js from ttf/DejaVuSansMono.ttf; don't edit.
+// Copyright (c) 2003 by Bitstream, Inc. All Rights Reserved.
+// DejaVu changes are in public domain
+
+export default {"family":"DejaVu Sans Mono","style":"Book","unitsPerEm":2048,"ascender":1901,"descender":-483,"lineGap":0,"capHeight":1493,"glyphs":{"0":[1233,"M483 750L483 750Q483 805 522 845Q560 885 614 885L614 885Q670 885 710 845Q750 805 750 750L750 750Q750 694 711 655Q671 616 614 616L614 616Q558 616 521 654Q483 692 483 750ZM616 1360L616 1360Q475 1360 406 1208Q336 1056 336 745L336 745Q336 435 406 283Q475 131 616 131L616 131Q758 131 828 283Q897 435 897 745L897 745Q897 1056 828 1208Q758 1360 616 1360ZM616 1520L616 1520Q855 1520 978 1324Q1100 1128 1100 745L1100 745Q1100 363 978 167Q855 -29 616 -29L616 -29Q377 -29 255 167Q133 363 133 745L133 745Q133 1128 255 1324Q377 1520 616 1520Z"],"1":[1233,"M270 0L270 170L584 170L584 1311L246 1235L246 1419L582 1493L784 1493L784 170L1094 170L1094 0L270 0Z"],"2":[1233,"M373 170L373 170L1059 170L1059 0L152 0L152 170Q339 367 479 518Q619 669 672 731L672 731Q772 853 807 929Q842 1004 842 1083L842 1083Q842 1208 769 1279Q695 1350 567 1350L567 1350Q476 1350 376 1317Q276 1284 164 1217L164 1217L164 1421Q267 1470 367 1495Q466 1520 563 1520L563 1520Q782 1520 916 1404Q1049 1287 1049 1098L1049 1098Q1049 1002 1005 906Q960 810 860 694L860 694Q804 629 698 514Q591 399 373 170Z"],"3":[1233,"M776 799L776 799Q923 760 1001 661Q1079 561 1079 412L1079 412Q1079 206 941 89Q802 -29 557 -29L557 -29Q454 -29 347 -10Q240 9 137 45L137 45L137 246Q239 193 338 167Q437 141 535 141L535 141Q701 141 790 216Q879 291 879 432L879 432Q879 562 790 639Q701 715 549 715L549 715L395 715L395 881L549 881Q688 881 766 942Q844 1003 844 1112L844 1112Q844 1227 772 1289Q699 1350 565 1350L565 1350Q476 1350 381 1330Q286 1310 182 1270L182 1270L182 1456Q303 1488 398 1504Q492 1520 565 1520L565 1520Q783 1520 914 1411Q1044 1301 1044 1120L1044 1120Q1044 997 976 915Q907 833 776 799Z"],"4":[1233,"M735 520L735 1309L264 520L735 520ZM102 547L702 1493L936 1493L936 520L1135 520L1135 356L936 356L936 0L735 0L735 356L102 356L102 547Z"],"5":[1233,"M207 743L207 1493L963 1493L963 1323L391 1323L391 956Q434 972 478 980Q521 987 565 987L565 987Q797 987 933 850Q1069 713 1069 479L1069 479Q1069 243 927 107Q784 -29 537 -29L537 -29Q418 -29 320 -13Q221 3 143 35L143 35L143 240Q235 190 328 166Q421 141 518 141L518 141Q685 141 776 229Q866 317 866 479L866 479Q866 639 773 728Q679 817 512 817L512 817Q431 817 354 799Q277 780 207 743L207 743Z"],"6":[1233,"M991 1460L991 1460L991 1274Q928 1311 857 1331Q786 1350 709 1350L709 1350Q517 1350 418 1206Q319 1061 319 780L319 780Q367 880 452 934Q537 987 647 987L647 987Q863 987 982 855Q1100 722 1100 479L1100 479Q1100 237 978 104Q856 -29 635 -29L635 -29Q375 -29 254 158Q133 344 133 745L133 745Q133 1123 279 1322Q424 1520 700 1520L700 1520Q774 1520 848 1505Q922 1489 991 1460ZM631 829L631 829Q502 829 428 736Q354 643 354 479L354 479Q354 315 428 222Q502 129 631 129L631 129Q765 129 833 218Q901 306 901 479L901 479Q901 653 833 741Q765 829 631 829Z"],"7":[1233,"M139 1323L139 1493L1079 1493L1079 1407L545 0L334 0L854 1323L139 1323Z"],"8":[1233,"M616 709L616 709Q481 709 408 634Q334 558 334 420L334 420Q334 282 409 206Q483 129 616 129L616 129Q752 129 826 205Q899 280 899 420L899 420Q899 557 825 633Q750 709 616 709ZM440 793L440 793Q311 826 239 916Q166 1006 166 1133L166 1133Q166 1311 287 1416Q408 1520 616 1520L616 1520Q825 1520 946 1416Q1067 1311 1067 1133L1067 1133Q1067 1006 995 916Q922 826 793 793L793 793Q943 760 1023 660Q1102 560 1102 401L1102 401Q1102 199 973 85Q844 -29 616 -29L616 -29Q388 -29 260 85Q131 198 131 399L131 399Q131 559 211 660Q290 760 440 793ZM367 1114L367 1114Q367 994 431 931Q495 868 616 868L616 868Q738 868 802 931Q866 994 866 1114L866 1114Q866 1236 803 1300Q739 1364 616 1364L616 1364Q495 1364 431 1300Q367 1235 367 1114Z"],"9":[1233,"M596 662L596 662Q725 662 799 755Q872 848 872 1012L872 1012Q872 1176 799 1269Q725 1362 596 1362L596 1362Q462 1362 394 1274Q326 1185 326 1012L326 1012Q326 838 394 750Q461 662 596 662ZM236 31L236 31L236 217Q299 180 370 161Q441 141 518 141L518 141Q710 141 809 286Q907 430 907 711L907 711Q860 611 775 558Q690 504 580 504L580 504Q364 504 246 637Q127 770 127 1014L127 1014Q127 1255 249 1388Q370 1520 592 1520L592 1520Q852 1520 973 1333Q1094 1146 1094 745L1094 745Q1094 368 949 170Q803 -29 526 -29L526 -29Q453 -29 379 -13Q305 2 236 31Z"]," ":[1233,""],"!":[1233,"M516 838L516 1493L719 1493L719 838L698 481L537 481L516 838ZM516 0L516 254L719 254L719 0L516 0Z"],"\"":[1233,"M721 1493L895 1493L895 938L721 938L721 1493ZM338 1493L512 1493L512 938L338 938L338 1493Z"],"#":[1233,"M524 1470L684 1470L580 1055L825 1055L930 1470L1090 1470L985 1055L1229 1055L1229 901L948 901L864 567L1114 567L1114 414L825 414L721 0L561 0L666 414L420 414L315 0L156 0L260 414L2 414L2 567L299 567L383 901L117 901L117 1055L420 1055L524 1470ZM705 567L788 901L543 901L459 567L705 567Z"],"$":[1233,"M692 580L692 580L692 146Q802 149 864 207Q926 265 926 365L926 365Q926 458 870 510Q814 561 692 580ZM592 770L592 770L592 1183Q488 1179 430 1123Q371 1067 371 973L371 973Q371 887 426 837Q480 787 592 770ZM693 2L692 -301L592 -301L591 0Q489 5 389 28Q288 51 190 92L190 92L190 272Q290 210 392 177Q493 144 592 142L592 142L592 600Q392 631 291 722Q190 813 190 963L190 963Q190 1120 296 1214Q401 1307 592 1321L592 1321L592 1556L692 1556L693 1321Q772 1316 853 1301Q934 1286 1018 1260L1018 1260L1018 1087Q933 1130 853 1154Q772 1177 692 1181L692 1181L692 750Q898 719 1006 622Q1114 525 1114 371L1114 371Q1114 217 998 114Q881 11 693 2L693 2Z"],"%":[1233,"M696 319L696 319Q696 241 749 188Q801 135 879 135L879 135Q956 135 1010 189Q1063 242 1063 319L1063 319Q1063 396 1009 450Q955 504 879 504L879 504Q801 504 749 451Q696 398 696 319ZM561 319L561 319Q561 454 653 547Q745 639 879 639L879 639Q943 639 1001 615Q1058 591 1104 545L1104 545Q1150 498 1175 440Q1200 382 1200 319L1200 319Q1200 186 1107 93Q1014 0 879 0L879 0Q743 0 652 92Q561 183 561 319ZM1169 883L121 465L86 561L1128 979L1169 883ZM168 1112L168 1112Q168 1033 221 981Q273 928 352 928L352 928Q429 928 483 982Q537 1035 537 1112L537 1112Q537 1189 483 1243Q429 1296 352 1296L352 1296Q275 1296 222 1243Q168 1190 168 1112ZM33 1112L33 1112Q33 1247 125 1340Q217 1432 352 1432L352 1432Q416 1432 475 1408Q533 1384 578 1339L578 1339Q623 1294 648 1236Q672 1177 672 1112L672 1112Q672 978 579 886Q486 793 352 793L352 793Q217 793 125 885Q33 977 33 1112Z"],"&":[1233,"M547 907L547 907L963 348Q1002 397 1021 472Q1040 547 1040 651L1040 651Q1040 683 1037 753L1037 753L1036 760L1200 760L1200 721Q1200 560 1163 439Q1126 317 1051 229L1051 229L1221 0L1008 0L930 109Q847 39 754 5Q661 -29 555 -29L555 -29Q339 -29 198 106Q57 240 57 444L57 444Q57 581 126 698Q195 815 334 915L334 915Q284 987 260 1056Q236 1125 236 1196L236 1196Q236 1346 336 1433Q435 1520 608 1520L608 1520Q673 1520 739 1508Q804 1496 874 1473L874 1473L874 1290Q815 1329 753 1348Q690 1366 621 1366L621 1366Q524 1366 468 1321Q412 1275 412 1198L412 1198Q412 1139 441 1075Q470 1010 547 907ZM844 223L416 803Q324 730 279 649Q233 567 233 475L233 475Q233 324 333 225Q433 125 588 125L588 125Q630 125 676 137Q722 149 766 172L766 172Q793 187 811 199Q828 210 844 223L844 223Z"],"'":[1233,"M528 1493L702 1493L702 938L528 938L528 1493Z"],"(":[1233,"M725 1554L885 1554Q752 1326 687 1100Q621 873 621 643L621 643Q621 414 687 187Q752 -40 885 -270L885 -270L725 -270Q574 -32 500 194Q426 419 426 643L426 643Q426 866 500 1092Q574 1318 725 1554L725 1554Z"],")":[1233,"M348 1554L348 1554L508 1554Q659 1318 733 1092Q807 866 807 643L807 643Q807 418 733 192Q659 -34 508 -270L508 -270L348 -270Q481 -38 547 189Q612 416 612 643L612 643Q612 871 547 1098Q481 1325 348 1554Z"],"*":[1233,"M1010 1346L1067 1247L709 1053L1067 858L1010 760L674 963L674 586L559 586L559 963L223 760L166 858L524 1053L166 1247L223 1346L559 1143L559 1520L674 1520L674 1143L1010 1346Z"],"+":[1233,"M532 1171L700 1171L700 727L1145 727L1145 557L700 557L700 113L532 113L532 557L88 557L88 727L532 727L532 1171Z"],",":[1233,"M502 96L502 303L754 303L754 96L557 -287L403 -287L502 96Z"],"-":[1233,"M356 479L356 643L877 643L877 479L356 479Z"],".":[1233,"M489 0L489 305L741 305L741 0L489 0Z"],"/":[1233,"M102 -190L889 1493L1079 1493L293 -190L102 -190Z"],":":[1233,"M489 760L489 1063L741 1063L741 760L489 760ZM489 0L489 305L741 305L741 0L489 0Z"],";":[1233,"M502 96L502 303L754 303L754 96L557 -287L403 -287L502 96ZM489 760L489 1063L741 1063L741 760L489 760Z"],"<":[1233,"M1145 1143L1145 961L295 641L1145 324L1145 141L88 559L88 725L1145 1143Z"],"=":[1233,"M88 352L88 524L1145 524L1145 352L88 352ZM88 760L88 930L1145 930L1145 760L88 760Z"],">":[1233,"M938 641L88 961L88 1143L1145 725L1145 559L88 141L88 324L938 641Z"],"?":[1233,"M684 524L684 401L494 401L494 555Q494 653 525 722Q555 790 639 872L639 872L729 961Q791 1020 815 1064Q838 1108 838 1157L838 1157Q838 1246 773 1301Q707 1356 598 1356L598 1356Q520 1356 431 1322Q342 1287 244 1219L244 1219L244 1407Q338 1464 434 1492Q529 1520 633 1520L633 1520Q819 1520 930 1424Q1040 1328 1040 1167L1040 1167Q1040 1091 1007 1026Q973 960 879 868L879 868L791 782Q722 716 703 674Q684 632 684 571L684 571L684 524ZM487 0L487 254L690 254L690 0L487 0Z"],"@":[1233,"M1038 545L1038 545Q1038 674 974 752Q910 829 803 829L803 829Q696 829 632 752Q567 674 567 545L567 545Q567 415 632 338Q696 260 803 260L803 260Q910 260 974 338Q1038 415 1038 545ZM1178 905L1178 135L1034 135L1034 246Q997 183 932 149Q866 115 784 115L784 115Q623 115 518 236Q412 357 412 545L412 545Q412 733 518 854Q623 975 784 975L784 975Q864 975 931 940Q998 905 1034 844L1034 844L1034 907Q1034 1063 946 1158Q858 1253 713 1253L713 1253Q467 1253 322 1062Q176 870 176 543L176 543Q176 214 341 19Q506 -176 780 -176L780 -176Q834 -176 888 -166Q942 -156 999 -135L999 -135L1047 -270Q984 -295 923 -307Q861 -319 803 -319L803 -319Q446 -319 237 -86Q27 147 27 543L27 543Q27 933 215 1164Q403 1395 719 1395L719 1395Q928 1395 1053 1262Q1178 1129 1178 905L1178 905Z"],"A":[1233,"M829 551L616 1315L403 551L829 551ZM37 0L494 1493L739 1493L1196 0L987 0L877 389L354 389L246 0L37 0Z"],"B":[1233,"M608 713L369 713L369 166L608 166Q784 166 859 228Q934 289 934 430L934 430Q934 576 855 645Q776 713 608 713L608 713ZM604 1327L369 1327L369 877L604 877Q750 877 816 933Q881 989 881 1114L881 1114Q881 1227 817 1277Q752 1327 604 1327L604 1327ZM166 0L166 1493L608 1493Q837 1493 961 1394Q1085 1295 1085 1114L1085 1114Q1085 977 1020 898Q954 819 823 799L823 799Q970 777 1054 674Q1137 570 1137 410L1137 410Q1137 207 1004 104Q871 0 608 0L608 0L166 0Z"],"C":[1233,"M1073 260L1073 53Q996 12 915 -8Q834 -29 743 -29L743 -29Q456 -29 298 174Q139 377 139 745L139 745Q139 1111 299 1316Q458 1520 743 1520L743 1520Q834 1520 915 1500Q996 1479 1073 1438L1073 1438L1073 1231Q999 1292 914 1324Q829 1356 743 1356L743 1356Q546 1356 448 1204Q350 1052 350 745L350 745Q350 439 448 287Q546 135 743 135L743 135Q831 135 916 167Q1000 199 1073 260L1073 260Z"],"D":[1233,"M340 166L436 166Q691 166 792 292Q893 417 893 745L893 745Q893 1076 793 1202Q692 1327 436 1327L436 1327L340 1327L340 166ZM137 1493L440 1493Q782 1493 944 1311Q1106 1129 1106 745L1106 745Q1106 363 944 182Q782 0 440 0L440 0L137 0L137 1493Z"],"E":[1233,"M197 0L197 1493L1083 1493L1083 1323L399 1323L399 881L1053 881L1053 711L399 711L399 170L1102 170L1102 0L197 0Z"],"F":[1233,"M233 0L233 1493L1112 1493L1112 1323L436 1323L436 883L1049 883L1049 713L436 713L436 0L233 0Z"],"G":[1233,"M1104 766L1104 123Q1023 48 922 10Q820 -29 702 -29L702 -29Q418 -29 260 175Q102 378 102 745L102 745Q102 1111 262 1316Q422 1520 707 1520L707 1520Q801 1520 887 1494Q973 1467 1053 1413L1053 1413L1053 1206Q972 1283 887 1320Q802 1356 707 1356L707 1356Q510 1356 412 1204Q313 1051 313 745L313 745Q313 434 409 285Q504 135 702 135L702 135Q769 135 820 151Q870 166 911 199L911 199L911 600L694 600L694 766L1104 766Z"],"H":[1233,"M137 0L137 1493L340 1493L340 881L893 881L893 1493L1096 1493L1096 0L893 0L893 711L340 711L340 0L137 0Z"],"I":[1233,"M201 1323L201 1493L1030 1493L1030 1323L717 1323L717 170L1030 170L1030 0L201 0L201 170L514 170L514 1323L201 1323Z"],"J":[1233,"M109 61L109 61L109 297Q200 216 297 176Q394 135 498 135L498 135Q641 135 698 210Q754 284 754 487L754 487L754 1323L373 1323L373 1493L956 1493L956 487Q956 205 851 88Q745 -29 498 -29L498 -29Q402 -29 307 -7Q212 15 109 61Z"],"K":[1233,"M137 0L137 1493L340 1493L340 829L971 1493L1208 1493L627 883L1225 0L981 0L494 748L340 584L340 0L137 0Z"],"L":[1233,"M215 0L215 1493L418 1493L418 170L1139 170L1139 0L215 0Z"],"M":[1233,"M86 0L86 1493L356 1493L614 733L874 1493L1145 1493L1145 0L958 0L958 1319L692 532L539 532L272 1319L272 0L86 0Z"],"N":[1233,"M139 0L139 1493L395 1493L899 264L899 1493L1094 1493L1094 0L838 0L334 1229L334 0L139 0Z"],"O":[1233,"M905 745L905 745Q905 1074 838 1215Q770 1356 616 1356L616 1356Q463 1356 396 1215Q328 1074 328 745L328 745Q328 417 396 276Q463 135 616 135L616 135Q770 135 838 276Q905 416 905 745ZM1116 745L1116 745Q1116 355 993 163Q869 -29 616 -29L616 -29Q363 -29 240 162Q117 353 117 745L117 745Q117 1136 241 1328Q364 1520 616 1520L616 1520Q869 1520 993 1328Q1116 1136 1116 745Z"],"P":[1233,"M633 1327L399 1327L399 766L633 766Q773 766 852 840Q930 914 930 1047L930 1047Q930 1180 852 1254Q774 1327 633 1327L633 1327ZM197 0L197 1493L633 1493Q883 1493 1012 1380Q1141 1266 1141 1047L1141 1047Q1141 826 1013 713Q884 600 633 600L633 600L399 600L399 0L197 0Z"],"Q":[1233,"M889 -270L655 -27Q648 -27 635 -28Q622 -29 614 -29L614 -29Q364 -29 241 163Q117 355 117 745L117 745Q117 1136 241 1328Q364 1520 616 1520L616 1520Q869 1520 993 1328Q1116 1136 1116 745L1116 745Q1116 451 1048 272Q979 92 840 20L840 20L1040 -170L889 -270ZM905 745L905 745Q905 1074 838 1215Q770 1356 616 1356L616 1356Q463 1356 396 1215Q328 1074 328 745L328 745Q328 417 396 276Q463 135 616 135L616 135Q770 135 838 276Q905 416 905 745Z"],"R":[1233,"M760 705L760 705Q838 685 893 630Q948 574 1030 408L1030 408L1233 0L1016 0L838 377Q761 538 700 585Q638 631 539 631L539 631L346 631L346 0L143 0L143 1493L559 1493Q805 1493 936 1382Q1067 1271 1067 1061L1067 1061Q1067 913 987 820Q906 726 760 705ZM559 1327L346 1327L346 797L567 797Q712 797 783 862Q854 927 854 1061L854 1061Q854 1190 779 1259Q703 1327 559 1327L559 1327Z"],"S":[1233,"M1012 1442L1012 1442L1012 1237Q920 1296 828 1326Q735 1356 641 1356L641 1356Q498 1356 415 1290Q332 1223 332 1110L332 1110Q332 1011 387 959Q441 907 590 872L590 872L696 848Q906 799 1002 694Q1098 589 1098 408L1098 408Q1098 195 966 83Q834 -29 582 -29L582 -29Q477 -29 371 -6Q265 16 158 61L158 61L158 276Q273 203 376 169Q478 135 582 135L582 135Q735 135 820 204Q905 272 905 395L905 395Q905 507 847 566Q788 625 643 657L643 657L535 682Q327 729 233 824Q139 919 139 1079L139 1079Q139 1279 274 1400Q408 1520 631 1520L631 1520Q717 1520 812 1501Q907 1481 1012 1442Z"],"T":[1233,"M47 1323L47 1493L1186 1493L1186 1323L719 1323L719 0L516 0L516 1323L47 1323Z"],"U":[1233,"M147 573L147 573L147 1493L350 1493L350 481Q350 372 356 326Q362 279 377 254L377 254Q409 195 470 165Q530 135 616 135L616 135Q703 135 763 165Q823 195 856 254L856 254Q871 279 877 325Q883 371 883 479L883 479L883 1493L1085 1493L1085 573Q1085 344 1057 248Q1028 151 958 88L958 88Q892 29 807 0Q722 -29 616 -29L616 -29Q511 -29 426 0Q341 29 274 88L274 88Q205 150 176 249Q147 347 147 573Z"],"V":[1233,"M266 1493L616 170L967 1493L1176 1493L739 0L494 0L57 1493L266 1493Z"],"W":[1233,"M223 0L0 1493L197 1493L340 281L510 1083L721 1083L893 279L1036 1493L1233 1493L1010 0L819 0L616 887L414 0L223 0Z"],"X":[1233,"M518 791L86 1493L303 1493L631 930L965 1493L1182 1493L735 791L1214 0L997 0L631 643L236 0L18 0L518 791Z"],"Y":[1233,"M514 670L37 1493L252 1493L616 834L979 1493L1196 1493L717 670L717 0L514 0L514 670Z"],"Z":[1233,"M178 1323L178 1493L1147 1493L1147 1339L367 170L1169 170L1169 0L156 0L156 154L915 1323L178 1323Z"],"[":[1233,"M463 -270L463 1556L887 1556L887 1413L647 1413L647 -127L887 -127L887 -270L463 -270Z"],"\\":[1233,"M102 1493L293 1493L1079 -190L889 -190L102 1493Z"],"]":[1233,"M346 1556L770 1556L770 -270L346 -270L346 -127L586 -127L586 1413L346 1413L346 1556Z"],"^":[1233,"M528 1493L705 1493L1161 936L983 936L616 1331L250 936L72 936L528 1493Z"],"_":[1233,"M0 -403L1233 -403L1233 -483L0 -483L0 -403Z"],"`":[1233,"M279 1638L477 1638L758 1262L604 1262L279 1638Z"],"a":[1233,"M874 563L702 563L641 563Q480 563 399 507Q317 450 317 338L317 338Q317 237 378 181Q439 125 547 125L547 125Q699 125 786 231Q873 336 874 522L874 522L874 563ZM1059 639L1059 639L1059 0L874 0L874 166Q815 66 726 19Q636 -29 508 -29L508 -29Q337 -29 235 68Q133 164 133 326L133 326Q133 513 259 610Q384 707 627 707L627 707L874 707L874 736Q873 870 806 931Q739 991 592 991L592 991Q498 991 402 964Q306 937 215 885L215 885L215 1069Q317 1108 411 1128Q504 1147 592 1147L592 1147Q731 1147 830 1106Q928 1065 989 983L989 983Q1027 933 1043 860Q1059 786 1059 639Z"],"b":[1233,"M918 559L918 559Q918 773 850 882Q782 991 649 991L649 991Q515 991 446 882Q377 772 377 559L377 559Q377 347 446 237Q515 127 649 127L649 127Q782 127 850 236Q918 345 918 559ZM377 1556L377 977Q421 1059 499 1103Q576 1147 678 1147L678 1147Q880 1147 996 992Q1112 836 1112 563L1112 563Q1112 286 996 129Q879 -29 676 -29L676 -29Q576 -29 500 15Q423 58 377 141L377 141L377 0L193 0L193 1556L377 1556Z"],"c":[1233,"M1061 248L1061 57Q987 14 909 -7Q830 -29 748 -29L748 -29Q488 -29 342 127Q195 283 195 559L195 559Q195 835 342 991Q488 1147 748 1147L748 1147Q829 1147 906 1126Q983 1105 1061 1061L1061 1061L1061 868Q988 933 915 962Q841 991 748 991L748 991Q575 991 482 879Q389 767 389 559L389 559Q389 352 483 240Q576 127 748 127L748 127Q844 127 920 157Q996 186 1061 248L1061 248Z"],"d":[1233,"M858 977L858 977L858 1556L1042 1556L1042 0L858 0L858 141Q812 58 736 15Q659 -29 559 -29L559 -29Q356 -29 240 129Q123 286 123 563L123 563Q123 836 240 992Q357 1147 559 1147L559 1147Q660 1147 737 1104Q814 1060 858 977ZM317 559L317 559Q317 345 385 236Q453 127 586 127L586 127Q719 127 789 237Q858 347 858 559L858 559Q858 772 789 882Q719 991 586 991L586 991Q453 991 385 882Q317 773 317 559Z"],"e":[1233,"M1112 606L1112 606L1112 516L315 516L315 510Q315 327 411 227Q506 127 680 127L680 127Q768 127 864 155Q960 183 1069 240L1069 240L1069 57Q964 14 867 -7Q769 -29 678 -29L678 -29Q417 -29 270 128Q123 284 123 559L123 559Q123 827 267 987Q411 1147 651 1147L651 1147Q865 1147 989 1002Q1112 857 1112 606ZM322 659L928 660Q924 822 852 907Q779 991 643 991L643 991Q510 991 424 903Q338 815 322 659L322 659Z"],"f":[1233,"M842 1556L1063 1556L1063 1403L854 1403Q755 1403 717 1363Q678 1322 678 1219L678 1219L678 1120L1063 1120L1063 977L678 977L678 0L494 0L494 977L195 977L195 1120L494 1120L494 1198Q494 1382 579 1469Q663 1556 842 1556L842 1556Z"],"g":[1233,"M858 569L858 569Q858 776 791 884Q723 991 594 991L594 991Q459 991 388 884Q317 776 317 569L317 569Q317 362 389 254Q460 145 596 145L596 145Q723 145 791 254Q858 363 858 569ZM1042 1116L1042 72Q1042 -180 923 -310Q804 -440 573 -440L573 -440Q497 -440 414 -426Q331 -412 248 -385L248 -385L248 -203Q346 -249 426 -271Q506 -293 573 -293L573 -293Q722 -293 790 -212Q858 -131 858 45L858 45L858 53L858 178Q814 84 738 38Q662 -8 553 -8L553 -8Q357 -8 240 149Q123 306 123 569L123 569Q123 833 240 990Q357 1147 553 1147L553 1147Q661 1147 736 1104Q811 1061 858 971L858 971L858 1116L1042 1116Z"],"h":[1233,"M1051 694L1051 694L1051 0L866 0L866 694Q866 845 813 916Q760 987 647 987L647 987Q518 987 449 896Q379 804 379 633L379 633L379 0L195 0L195 1556L379 1556L379 952Q428 1048 512 1098Q596 1147 711 1147L711 1147Q882 1147 967 1035Q1051 922 1051 694Z"],"i":[1233,"M256 977L256 1120L727 1120L727 143L1092 143L1092 0L178 0L178 143L543 143L543 977L256 977ZM543 1323L543 1556L727 1556L727 1323L543 1323Z"],"j":[1233,"M600 -20L600 -20L600 977L283 977L283 1120L784 1120L784 -20Q784 -215 695 -320Q605 -426 440 -426L440 -426L186 -426L186 -270L420 -270Q510 -270 555 -207Q600 -145 600 -20ZM600 1323L600 1556L784 1556L784 1323L600 1323Z"],"k":[1233,"M236 0L236 1556L426 1556L426 655L909 1120L1133 1120L692 698L1202 0L977 0L563 578L426 449L426 0L236 0Z"],"l":[1233,"M639 1567L639 406Q639 282 685 219Q730 156 819 156L819 156L1034 156L1034 0L801 0Q636 0 546 106Q455 212 455 406L455 406L455 1423L160 1423L160 1567L639 1567Z"],"m":[1233,"M676 1006L676 1006Q710 1078 763 1113Q815 1147 889 1147L889 1147Q1024 1147 1080 1043Q1135 938 1135 649L1135 649L1135 0L967 0L967 641Q967 878 941 936Q914 993 844 993L844 993Q764 993 735 932Q705 870 705 641L705 641L705 0L537 0L537 641Q537 881 509 937Q480 993 406 993L406 993Q333 993 305 932Q276 870 276 641L276 641L276 0L109 0L109 1120L276 1120L276 1024Q309 1084 359 1116Q408 1147 471 1147L471 1147Q547 1147 598 1112Q648 1077 676 1006Z"],"n":[1233,"M1051 694L1051 694L1051 0L866 0L866 694Q866 845 813 916Q760 987 647 987L647 987Q518 987 449 896Q379 804 379 633L379 633L379 0L195 0L195 1120L379 1120L379 952Q428 1048 512 1098Q596 1147 711 1147L711 1147Q882 1147 967 1035Q1051 922 1051 694Z"],"o":[1233,"M616 991L616 991Q476 991 404 882Q332 773 332 559L332 559Q332 346 404 237Q476 127 616 127L616 127Q757 127 829 237Q901 346 901 559L901 559Q901 773 829 882Q757 991 616 991ZM616 1147L616 1147Q849 1147 973 996Q1096 845 1096 559L1096 559Q1096 272 973 122Q850 -29 616 -29L616 -29Q383 -29 260 122Q137 272 137 559L137 559Q137 845 260 996Q383 1147 616 1147Z"],"p":[1233,"M375 141L375 141L375 -426L190 -426L190 1120L375 1120L375 977Q421 1060 498 1104Q574 1147 674 1147L674 1147Q877 1147 993 990Q1108 833 1108 555L1108 555Q1108 282 992 127Q876 -29 674 -29L674 -29Q572 -29 496 15Q419 58 375 141ZM915 559L915 559Q915 773 848 882Q780 991 647 991L647 991Q513 991 444 882Q375 772 375 559L375 559Q375 347 444 237Q513 127 647 127L647 127Q780 127 848 236Q915 345 915 559Z"],"q":[1233,"M332 555L332 555Q332 341 400 232Q467 123 600 123L600 123Q733 123 802 233Q870 342 870 555L870 555Q870 768 802 878Q733 987 600 987L600 987Q467 987 400 878Q332 769 332 555ZM870 -430L870 139Q825 56 749 12Q672 -33 571 -33L571 -33Q370 -33 254 123Q137 278 137 551L137 551Q137 829 253 986Q369 1143 571 1143L571 1143Q671 1143 748 1100Q824 1056 870 973L870 973L870 1116L1055 1116L1055 -430L870 -430Z"],"r":[1233,"M1155 1077L1155 889Q1096 935 1035 956Q974 977 901 977L901 977Q729 977 638 869Q547 761 547 557L547 557L547 0L362 0L362 1120L547 1120L547 901Q593 1020 689 1084Q784 1147 915 1147L915 1147Q983 1147 1042 1130Q1101 1113 1155 1077L1155 1077Z"],"s":[1233,"M973 1081L973 1081L973 901Q894 947 814 970Q734 993 651 993L651 993Q526 993 465 953Q403 912 403 829L403 829Q403 754 449 717Q495 680 678 645L678 645L752 631Q889 605 960 527Q1030 449 1030 324L1030 324Q1030 158 912 65Q794 -29 584 -29L584 -29Q501 -29 410 -11Q319 6 213 41L213 41L213 231Q316 178 410 152Q504 125 588 125L588 125Q710 125 777 175Q844 224 844 313L844 313Q844 441 599 490L599 490L591 492L522 506Q363 537 290 611Q217 684 217 811L217 811Q217 972 326 1060Q435 1147 637 1147L637 1147Q727 1147 810 1131Q893 1114 973 1081Z"],"t":[1233,"M430 1438L614 1438L614 1120L1032 1120L1032 977L614 977L614 369Q614 245 661 196Q708 147 825 147L825 147L1032 147L1032 0L807 0Q600 0 515 83Q430 166 430 369L430 369L430 977L131 977L131 1120L430 1120L430 1438Z"],"u":[1233,"M195 424L195 424L195 1118L379 1118L379 424Q379 273 433 202Q486 131 598 131L598 131Q728 131 797 223Q866 314 866 485L866 485L866 1118L1051 1118L1051 0L866 0L866 168Q817 71 733 21Q648 -29 535 -29L535 -29Q363 -29 279 84Q195 196 195 424Z"],"v":[1233,"M498 0L100 1120L291 1120L616 180L942 1120L1133 1120L735 0L498 0Z"],"w":[1233,"M262 0L0 1120L182 1120L377 215L537 793L694 793L856 215L1051 1120L1233 1120L971 0L795 0L616 614L438 0L262 0Z"],"x":[1233,"M911 1120L1118 1120L717 584L1157 0L944 0L616 449L289 0L76 0L516 584L115 1120L319 1120L616 715L911 1120Z"],"y":[1233,"M1153 1120L858 360Q812 243 741 52L741 52Q642 -212 608 -270L608 -270Q562 -348 493 -387Q424 -426 332 -426L332 -426L184 -426L184 -272L293 -272Q374 -272 420 -225Q466 -178 537 18L537 18L104 1120L299 1120L631 244L958 1120L1153 1120Z"],"z":[1233,"M227 975L227 1122L1040 1122L1040 954L397 150L1040 150L1040 0L203 0L203 170L846 975L227 975Z"],"{":[1233,"M942 -190L1012 -190L1012 -334L948 -334Q699 -334 615 -260Q530 -186 530 35L530 35L530 274Q530 425 477 483Q423 541 283 541L283 541L221 541L221 684L283 684Q424 684 477 741Q530 798 530 948L530 948L530 1188Q530 1409 615 1483Q699 1556 948 1556L948 1556L1012 1556L1012 1413L942 1413Q802 1413 760 1370Q717 1326 717 1184L717 1184L717 936Q717 779 672 708Q626 637 516 612L516 612Q627 585 672 514Q717 443 717 287L717 287L717 39Q717 -104 760 -147Q802 -190 942 -190L942 -190Z"],"|":[1233,"M530 1565L702 1565L702 -483L530 -483L530 1565Z"],"}":[1233,"M221 -334L221 -190L289 -190Q430 -190 473 -146Q516 -102 516 39L516 39L516 287Q516 443 561 514Q606 585 717 612L717 612Q607 637 562 708Q516 779 516 936L516 936L516 1184Q516 1325 473 1369Q430 1413 289 1413L289 1413L221 1413L221 1556L283 1556Q532 1556 616 1483Q700 1409 700 1188L700 1188L700 948Q700 798 754 741Q807 684 948 684L948 684L1012 684L1012 541L948 541Q807 541 754 483Q700 425 700 274L700 274L700 35Q700 -186 616 -260Q532 -334 283 -334L283 -334L221 -334Z"],"~":[1233,"M1145 780L1145 780L1145 606Q1070 547 999 520Q927 492 848 492L848 492Q758 492 645 543L645 543Q623 553 612 557L612 557Q535 590 484 602Q432 614 381 614L381 614Q302 614 232 585Q161 555 88 492L88 492L88 666Q166 726 239 753Q312 780 395 780L395 780Q448 780 498 769Q548 758 622 727L622 727Q634 722 655 712L655 712Q771 657 864 657L864 657Q934 657 1003 688Q1071 718 1145 780Z"]," ":[1233,""],"¡":[1233,"M719 866L516 866L516 1120L719 1120L719 866ZM719 -373L516 -373L516 282L537 639L698 639L719 282L719 -373Z"],"¢":[1233,"M1061 1077L1061 1077L1061 905Q994 945 929 967Q864 989 801 993L801 993L801 123Q864 128 930 151Q995 173 1061 213L1061 213L1061 41Q988 10 923 -7Q858 -24 801 -27L801 -27L801 -313L698 -313L698 -27Q473 -5 343 152Q213 308 213 559L213 559Q213 809 345 968Q476 1126 698 1145L698 1145L698 1432L801 1432L801 1145Q858 1142 923 1125Q988 1108 1061 1077ZM698 127L698 127L698 991Q566 979 486 861Q406 743 406 559L406 559Q406 375 486 258Q566 140 698 127Z"],"£":[1233,"M1092 1462L1092 1462L1092 1278Q1030 1322 967 1344Q903 1366 836 1366L836 1366Q702 1366 639 1277Q575 1187 575 995L575 995L575 778L946 778L946 635L575 635L575 170L1112 170L1112 0L139 0L139 170L375 170L375 635L176 635L176 778L375 778L375 1016Q375 1270 485 1395Q594 1520 817 1520L817 1520Q882 1520 951 1506Q1019 1491 1092 1462Z"],"¤":[1233,"M868 643L868 643Q868 733 806 795Q744 856 653 856L653 856Q563 856 501 795Q438 733 438 643L438 643Q438 551 501 489Q563 426 653 426L653 426Q744 426 806 489Q868 552 868 643ZM844 924L844 924L1010 1090L1100 997L934 831Q964 782 979 736Q993 689 993 641L993 641Q993 591 978 546Q963 500 932 455L932 455L1100 289L1006 195L840 362Q794 331 749 316Q703 301 653 301L653 301Q605 301 557 316Q509 330 461 358L461 358L297 195L205 285L371 451Q340 502 326 549Q311 595 311 641L311 641Q311 691 327 738Q342 784 373 829L373 829L205 995L299 1090L465 922Q511 953 557 968Q602 983 653 983L653 983Q699 983 746 969Q793 954 844 924Z"],"¥":[1233,"M358 932L37 1493L252 1493L616 834L979 1493L1196 1493L866 932L1118 932L1118 821L803 821L717 670L717 635L1118 635L1118 524L717 524L717 0L514 0L514 524L115 524L115 635L514 635L514 670L424 821L115 821L115 932L358 932Z"],"¦":[1233,"M530 1432L702 1432L702 674L530 674L530 1432ZM530 408L702 408L702 -350L530 -350L530 408Z"],"§":[1233,"M936 1462L936 1462L936 1298Q853 1337 782 1357Q710 1376 653 1376L653 1376Q556 1376 503 1336Q449 1296 449 1225L449 1225Q449 1135 654 1020L654 1020Q680 1005 694 997L694 997Q906 878 971 801Q1036 724 1036 623L1036 623Q1036 533 991 463Q945 393 852 340L852 340Q913 288 942 234Q971 179 971 115L971 115Q971 -27 869 -111Q767 -195 594 -195L594 -195Q521 -195 444 -180Q366 -166 279 -137L279 -137L279 27Q366 -12 440 -31Q514 -51 571 -51L571 -51Q673 -51 730 -9Q786 33 786 109L786 109Q786 211 565 334L565 334L541 348Q327 468 263 545Q199 621 199 723L199 723Q199 814 246 886Q292 957 383 1006L383 1006Q323 1050 294 1106Q264 1162 264 1231L264 1231Q264 1361 364 1441Q464 1520 631 1520L631 1520Q703 1520 780 1506Q856 1491 936 1462ZM485 936L485 936Q423 891 393 846Q362 801 362 754L362 754Q362 678 433 611Q503 543 750 410L750 410Q812 455 842 500Q872 545 872 592L872 592Q872 668 801 736Q729 804 485 936Z"],"¨":[1233,"M319 1350L319 1552L522 1552L522 1350L319 1350ZM711 1350L711 1552L913 1552L913 1350L711 1350Z"],"©":[1233,"M864 1071L864 1071L864 963Q806 991 751 1005Q695 1018 637 1018L637 1018Q520 1018 453 944Q385 869 385 741L385 741Q385 609 455 538Q525 467 655 467L655 467Q711 467 763 480Q814 492 864 518L864 518L864 414Q812 391 755 380Q698 369 637 369L637 369Q457 369 354 469Q250 569 250 741L250 741Q250 914 354 1015Q458 1116 637 1116L637 1116Q698 1116 755 1105Q812 1094 864 1071ZM616 1255L616 1255Q510 1255 420 1218Q329 1181 254 1106L254 1106Q179 1031 141 939Q102 847 102 741L102 741Q102 637 141 546Q179 454 254 379L254 379Q330 303 421 265Q511 227 616 227L616 227Q722 227 813 265Q903 303 979 379L979 379Q1055 455 1093 546Q1130 636 1130 741L1130 741Q1130 847 1092 939Q1054 1031 979 1106L979 1106Q904 1181 814 1218Q723 1255 616 1255ZM616 1358L616 1358Q743 1358 852 1313Q961 1268 1051 1178L1051 1178Q1141 1087 1187 977Q1233 867 1233 741L1233 741Q1233 616 1188 507Q1142 398 1051 307L1051 307Q960 216 851 171Q742 125 616 125L616 125Q491 125 382 171Q273 216 182 307L182 307Q91 398 46 507Q0 616 0 741L0 741Q0 867 46 977Q92 1087 182 1178L182 1178Q272 1268 381 1313Q490 1358 616 1358Z"],"ª":[1233,"M811 1104L684 1104Q540 1104 478 1070Q416 1036 416 958L416 958Q416 894 460 856Q503 817 575 817L575 817Q680 817 746 889Q811 960 811 1075L811 1075L811 1104ZM954 1165L954 1165L954 717L811 717L811 829Q762 764 697 731Q631 698 549 698L549 698Q420 698 345 766Q270 834 270 950L270 950Q270 1079 364 1149Q457 1219 629 1219L629 1219L811 1219L811 1223Q811 1313 752 1359Q692 1405 575 1405L575 1405Q524 1405 462 1388Q399 1370 332 1337L332 1337L332 1464Q400 1492 468 1506Q535 1520 598 1520L598 1520Q782 1520 868 1434Q954 1348 954 1165ZM293 469L293 592L961 592L961 469L293 469Z"],"«":[1233,"M119 641L588 1059L588 868L287 600L588 332L588 141L119 559L119 641ZM573 641L1042 1059L1042 868L741 600L1042 332L1042 141L573 559L573 641Z"],"¬":[1233,"M88 690L88 862L1145 862L1145 371L977 371L977 690L88 690Z"],"­":[1233,"M356 479L356 643L877 643L877 479L356 479Z"],"®":[1233,"M362 1100L600 1100Q747 1100 819 1051Q891 1002 891 901L891 901Q891 830 847 784Q803 737 723 723L723 723Q742 718 771 685Q800 651 838 592L838 592L952 406L809 406L702 580Q653 660 623 681Q592 702 547 702L547 702L492 702L492 406L362 406L362 1100ZM594 1016L594 1016L492 1016L492 784L594 784Q684 784 721 811Q758 838 758 901L758 901Q758 963 721 990Q684 1016 594 1016ZM616 1358L616 1358Q743 1358 852 1313Q961 1268 1051 1178L1051 1178Q1141 1087 1187 977Q1233 867 1233 741L1233 741Q1233 616 1188 507Q1142 398 1051 307L1051 307Q960 216 851 171Q742 125 616 125L616 125Q491 125 382 171Q273 216 182 307L182 307Q91 398 46 507Q0 616 0 741L0 741Q0 867 46 977Q92 1087 182 1178L182 1178Q272 1268 381 1313Q490 1358 616 1358ZM616 1255L616 1255Q510 1255 420 1218Q329 1181 254 1106L254 1106Q179 1031 141 939Q102 847 102 741L102 741Q102 637 141 546Q179 454 254 379L254 379Q330 303 421 265Q511 227 616 227L616 227Q722 227 813 265Q903 303 979 379L979 379Q1055 455 1093 546Q1130 636 1130 741L1130 741Q1130 847 1092 939Q1054 1031 979 1106L979 1106Q904 1181 814 1218Q723 1255 616 1255Z"],"¯":[1233,"M317 1378L317 1526L915 1526L915 1378L317 1378Z"],"°":[1233,"M616 1520L616 1520Q681 1520 740 1496Q798 1471 842 1425L842 1425Q887 1380 911 1323Q934 1266 934 1200L934 1200Q934 1068 841 977Q748 885 614 885L614 885Q479 885 389 975Q299 1065 299 1200L299 1200Q299 1334 391 1427Q483 1520 616 1520ZM616 1391L616 1391Q537 1391 482 1336Q426 1280 426 1200L426 1200Q426 1120 481 1066Q535 1012 614 1012L614 1012Q694 1012 751 1067Q807 1122 807 1200L807 1200Q807 1279 751 1335Q695 1391 616 1391Z"],"±":[1233,"M88 0L88 170L1145 170L1145 0L88 0ZM532 1171L700 1171L700 842L1145 842L1145 672L700 672L700 340L532 340L532 672L88 672L88 842L532 842L532 1171Z"],"²":[1233,"M694 987L483 782L893 782L893 668L322 668L322 778L553 1004Q654 1101 695 1162Q735 1223 735 1274L735 1274Q735 1335 685 1373Q635 1411 553 1411L553 1411Q504 1411 448 1393Q391 1375 328 1339L328 1339L328 1464Q393 1492 454 1506Q514 1520 573 1520L573 1520Q715 1520 801 1454Q887 1387 887 1280L887 1280Q887 1223 850 1164Q813 1104 694 987L694 987Z"],"³":[1233,"M731 1120L731 1120Q825 1099 875 1045Q924 991 924 911L924 911Q924 787 829 720Q734 653 557 653L557 653Q499 653 442 664Q385 674 326 694L326 694L326 815Q395 788 452 775Q508 762 553 762L553 762Q654 762 713 803Q772 843 772 911L772 911Q772 985 717 1023Q662 1061 553 1061L553 1061L487 1061L487 1169L561 1169Q654 1169 703 1201Q752 1232 752 1292L752 1292Q752 1348 704 1380Q656 1411 569 1411L569 1411Q525 1411 469 1399Q413 1387 354 1364L354 1364L354 1485Q423 1502 482 1511Q540 1520 590 1520L590 1520Q735 1520 819 1461Q903 1402 903 1303L903 1303Q903 1232 859 1186Q815 1139 731 1120Z"],"´":[1233,"M475 1262L756 1638L954 1638L629 1262L475 1262Z"],"µ":[1233,"M362 -428L195 -428L195 1120L379 1120L379 424Q379 282 439 207Q499 131 610 131L610 131Q737 131 802 216Q866 301 866 467L866 467L866 1120L1051 1120L1051 256Q1051 197 1067 169Q1083 141 1116 141L1116 141Q1125 141 1140 146Q1154 151 1182 164L1182 164L1182 16Q1144 -7 1110 -18Q1076 -29 1042 -29L1042 -29Q980 -29 943 11Q905 50 893 129L893 129Q847 49 781 10Q714 -29 625 -29L625 -29Q533 -29 470 9Q406 47 362 127L362 127L362 -428Z"],"¶":[1233,"M582 1493L582 1493L1030 1493L1030 -197L889 -197L889 1370L698 1370L698 -197L557 -197L557 649Q342 666 224 777Q106 887 106 1071L106 1071Q106 1261 237 1377Q367 1493 582 1493Z"],"·":[1233,"M489 559L489 864L741 864L741 559L489 559Z"],"¸":[1233,"M582 0L700 0Q756 -62 783 -114Q809 -167 809 -215L809 -215Q809 -304 749 -349Q689 -395 571 -395L571 -395Q526 -395 483 -389Q439 -383 395 -371L395 -371L395 -240Q429 -257 467 -264Q504 -272 551 -272L551 -272Q609 -272 640 -248Q670 -224 670 -178L670 -178Q670 -148 648 -104Q626 -61 582 0L582 0Z"],"¹":[1233,"M362 668L362 778L567 778L567 1389L344 1348L344 1464L573 1503L711 1503L711 778L915 778L915 668L362 668Z"],"º":[1233,"M616 1403L616 1403Q514 1403 457 1325Q399 1247 399 1108L399 1108Q399 969 457 892Q514 815 616 815L616 815Q717 815 776 894Q834 972 834 1108L834 1108Q834 1247 777 1325Q719 1403 616 1403ZM616 1520L616 1520Q786 1520 888 1408Q989 1296 989 1108L989 1108Q989 921 888 810Q787 698 616 698L616 698Q446 698 345 810Q244 921 244 1108L244 1108Q244 1296 346 1408Q447 1520 616 1520ZM276 469L276 592L952 592L952 469L276 469Z"],"»":[1233,"M647 868L647 1059L1116 641L1116 559L647 141L647 332L948 600L647 868ZM193 868L193 1059L662 641L662 559L193 141L193 332L494 600L193 868Z"],"¼":[1233,"M452 37L815 565L977 565L977 27L1093 27L1093 -84L977 -84L977 -270L839 -270L839 -84L452 -84L452 37ZM839 27L839 440L565 27L839 27ZM104 824L104 934L309 934L309 1545L86 1504L86 1620L315 1659L453 1659L453 934L657 934L657 824L104 824ZM1114 766L51 504L27 612L1087 874L1114 766Z"],"½":[1233,"M104 824L104 934L309 934L309 1545L86 1504L86 1620L315 1659L453 1659L453 934L657 934L657 824L104 824ZM1114 766L51 504L27 612L1087 874L1114 766ZM895 49L684 -156L1094 -156L1094 -270L523 -270L523 -160L754 66Q855 163 896 224Q936 285 936 336L936 336Q936 397 886 435Q836 473 754 473L754 473Q705 473 649 455Q592 437 529 401L529 401L529 526Q594 554 655 568Q715 582 774 582L774 582Q916 582 1002 516Q1088 449 1088 342L1088 342Q1088 285 1051 226Q1014 166 895 49L895 49Z"],"¾":[1233,"M452 37L815 565L977 565L977 27L1093 27L1093 -84L977 -84L977 -270L839 -270L839 -84L452 -84L452 37ZM839 27L839 440L565 27L839 27ZM504 1276L504 1276Q598 1255 648 1201Q697 1147 697 1067L697 1067Q697 943 602 876Q507 809 330 809L330 809Q272 809 215 820Q158 830 99 850L99 850L99 971Q168 944 225 931Q281 918 326 918L326 918Q427 918 486 959Q545 999 545 1067L545 1067Q545 1141 490 1179Q435 1217 326 1217L326 1217L260 1217L260 1325L334 1325Q427 1325 476 1357Q525 1388 525 1448L525 1448Q525 1504 477 1536Q429 1567 342 1567L342 1567Q298 1567 242 1555Q186 1543 127 1520L127 1520L127 1641Q196 1658 255 1667Q313 1676 363 1676L363 1676Q508 1676 592 1617Q676 1558 676 1459L676 1459Q676 1388 632 1342Q588 1295 504 1276ZM1114 766L51 504L27 612L1087 874L1114 766Z"],"¿":[1233,"M549 596L549 719L739 719L739 565Q739 467 709 399Q678 330 594 248L594 248L504 159Q442 100 419 56Q395 12 395 -37L395 -37Q395 -126 461 -181Q526 -236 635 -236L635 -236Q713 -236 802 -201Q891 -167 989 -99L989 -99L989 -287Q895 -344 800 -372Q704 -400 600 -400L600 -400Q414 -400 304 -304Q193 -208 193 -47L193 -47Q193 29 227 95Q260 160 354 252L354 252L442 338Q509 402 528 444Q547 486 547 549L547 549Q547 550 547 554L547 554Q549 577 549 596L549 596ZM745 1120L745 866L543 866L543 1120L745 1120Z"],"À":[1233,"M829 551L616 1315L403 551L829 551ZM37 0L494 1493L739 1493L1196 0L987 0L877 389L354 389L246 0L37 0ZM377 1899L561 1899L758 1635L604 1635L377 1899Z"],"Á":[1233,"M829 551L616 1315L403 551L829 551ZM37 0L494 1493L739 1493L1196 0L987 0L877 389L354 389L246 0L37 0ZM475 1635L672 1899L858 1899L629 1635L475 1635Z"],"Â":[1233,"M829 551L616 1315L403 551L829 551ZM37 0L494 1493L739 1493L1196 0L987 0L877 389L354 389L246 0L37 0ZM311 1635L522 1901L711 1901L922 1635L782 1635L616 1813L451 1635L311 1635Z"],"Ã":[1233,"M829 551L616 1315L403 551L829 551ZM37 0L494 1493L739 1493L1196 0L987 0L877 389L354 389L246 0L37 0ZM612 1710L612 1710L555 1743Q530 1757 515 1763Q499 1768 487 1768L487 1768Q452 1768 432 1743Q412 1718 412 1673L412 1673L412 1667L287 1667Q287 1768 339 1827Q390 1886 475 1886L475 1886Q511 1886 542 1878Q572 1870 621 1843L621 1843L678 1813Q700 1800 718 1794Q735 1788 750 1788L750 1788Q781 1788 801 1814Q821 1839 821 1880L821 1880L821 1886L946 1886Q944 1786 893 1727Q842 1667 758 1667L758 1667Q724 1667 694 1675Q664 1683 612 1710Z"],"Ä":[1233,"M829 551L616 1315L403 551L829 551ZM37 0L494 1493L739 1493L1196 0L987 0L877 389L354 389L246 0L37 0ZM319 1667L319 1870L522 1870L522 1667L319 1667ZM711 1667L711 1870L913 1870L913 1667L711 1667Z"],"Å":[1233,"M768 1626L768 1626Q768 1689 724 1734Q679 1778 616 1778L616 1778Q552 1778 509 1735Q465 1691 465 1626L465 1626Q465 1563 509 1519Q553 1475 616 1475L616 1475Q679 1475 724 1519Q768 1563 768 1626ZM829 551L616 1311L403 551L829 551ZM37 0L465 1399Q407 1432 375 1493Q342 1553 342 1626L342 1626Q342 1740 422 1821Q502 1901 616 1901L616 1901Q730 1901 811 1821Q891 1740 891 1626L891 1626Q891 1553 859 1494Q827 1435 768 1399L768 1399L1196 0L987 0L877 389L354 389L246 0L37 0Z"],"Æ":[1233,"M410 1493L1161 1493L1161 1323L823 1323L823 881L1130 881L1130 711L823 711L823 170L1180 170L1180 0L637 0L637 383L285 383L184 0L0 0L410 1493ZM637 1323L530 1323L328 551L637 551L637 1323Z"],"Ç":[1233,"M682 0L800 0Q856 -62 883 -114Q909 -167 909 -215L909 -215Q909 -304 849 -349Q789 -395 671 -395L671 -395Q626 -395 583 -389Q539 -383 495 -371L495 -371L495 -240Q529 -257 567 -264Q604 -272 651 -272L651 -272Q709 -272 740 -248Q770 -224 770 -178L770 -178Q770 -148 748 -104Q726 -61 682 0L682 0ZM1073 260L1073 53Q996 12 915 -8Q834 -29 743 -29L743 -29Q456 -29 298 174Q139 377 139 745L139 745Q139 1111 299 1316Q458 1520 743 1520L743 1520Q834 1520 915 1500Q996 1479 1073 1438L1073 1438L1073 1231Q999 1292 914 1324Q829 1356 743 1356L743 1356Q546 1356 448 1204Q350 1052 350 745L350 745Q350 439 448 287Q546 135 743 135L743 135Q831 135 916 167Q1000 199 1073 260L1073 260Z"],"È":[1233,"M197 0L197 1493L1083 1493L1083 1323L399 1323L399 881L1053 881L1053 711L399 711L399 170L1102 170L1102 0L197 0ZM395 1899L579 1899L776 1635L622 1635L395 1899Z"],"É":[1233,"M197 0L197 1493L1083 1493L1083 1323L399 1323L399 881L1053 881L1053 711L399 711L399 170L1102 170L1102 0L197 0ZM493 1635L690 1899L876 1899L647 1635L493 1635Z"],"Ê":[1233,"M197 0L197 1493L1083 1493L1083 1323L399 1323L399 881L1053 881L1053 711L399 711L399 170L1102 170L1102 0L197 0ZM329 1635L540 1901L729 1901L940 1635L800 1635L634 1813L469 1635L329 1635Z"],"Ë":[1233,"M197 0L197 1493L1083 1493L1083 1323L399 1323L399 881L1053 881L1053 711L399 711L399 170L1102 170L1102 0L197 0ZM337 1667L337 1870L540 1870L540 1667L337 1667ZM729 1667L729 1870L931 1870L931 1667L729 1667Z"],"Ì":[1233,"M201 1323L201 1493L1030 1493L1030 1323L717 1323L717 170L1030 170L1030 0L201 0L201 170L514 170L514 1323L201 1323ZM377 1899L561 1899L758 1635L604 1635L377 1899Z"],"Í":[1233,"M201 1323L201 1493L1030 1493L1030 1323L717 1323L717 170L1030 170L1030 0L201 0L201 170L514 170L514 1323L201 1323ZM475 1635L672 1899L858 1899L629 1635L475 1635Z"],"Î":[1233,"M201 1323L201 1493L1030 1493L1030 1323L717 1323L717 170L1030 170L1030 0L201 0L201 170L514 170L514 1323L201 1323ZM311 1635L522 1901L711 1901L922 1635L782 1635L616 1813L451 1635L311 1635Z"],"Ï":[1233,"M201 1323L201 1493L1030 1493L1030 1323L717 1323L717 170L1030 170L1030 0L201 0L201 170L514 170L514 1323L201 1323ZM319 1667L319 1870L522 1870L522 1667L319 1667ZM711 1667L711 1870L913 1870L913 1667L711 1667Z"],"Ð":[1233,"M133 1493L436 1493Q778 1493 940 1311Q1102 1129 1102 745L1102 745Q1102 363 940 182Q777 0 436 0L436 0L133 0L133 709L8 709L8 858L133 858L133 1493ZM340 166L436 166Q691 166 792 292Q893 417 893 745L893 745Q893 1076 793 1202Q692 1327 436 1327L436 1327L340 1327L340 858L604 858L604 709L340 709L340 166Z"],"Ñ":[1233,"M139 0L139 1493L395 1493L899 264L899 1493L1094 1493L1094 0L838 0L334 1229L334 0L139 0ZM612 1714L612 1714L555 1747Q530 1761 515 1767Q499 1772 487 1772L487 1772Q452 1772 432 1747Q412 1722 412 1677L412 1677L412 1671L287 1671Q287 1772 339 1831Q390 1890 475 1890L475 1890Q511 1890 542 1882Q572 1874 621 1847L621 1847L678 1817Q700 1804 718 1798Q735 1792 750 1792L750 1792Q781 1792 801 1818Q821 1843 821 1884L821 1884L821 1890L946 1890Q944 1790 893 1731Q842 1671 758 1671L758 1671Q724 1671 694 1679Q664 1687 612 1714Z"],"Ò":[1233,"M905 745L905 745Q905 1074 838 1215Q770 1356 616 1356L616 1356Q463 1356 396 1215Q328 1074 328 745L328 745Q328 417 396 276Q463 135 616 135L616 135Q770 135 838 276Q905 416 905 745ZM1116 745L1116 745Q1116 355 993 163Q869 -29 616 -29L616 -29Q363 -29 240 162Q117 353 117 745L117 745Q117 1136 241 1328Q364 1520 616 1520L616 1520Q869 1520 993 1328Q1116 1136 1116 745ZM377 1899L561 1899L758 1635L604 1635L377 1899Z"],"Ó":[1233,"M905 745L905 745Q905 1074 838 1215Q770 1356 616 1356L616 1356Q463 1356 396 1215Q328 1074 328 745L328 745Q328 417 396 276Q463 135 616 135L616 135Q770 135 838 276Q905 416 905 745ZM1116 745L1116 745Q1116 355 993 163Q869 -29 616 -29L616 -29Q363 -29 240 162Q117 353 117 745L117 745Q117 1136 241 1328Q364 1520 616 1520L616 1520Q869 1520 993 1328Q1116 1136 1116 745ZM475 1635L672 1899L858 1899L629 1635L475 1635Z"],"Ô":[1233,"M905 745L905 745Q905 1074 838 1215Q770 1356 616 1356L616 1356Q463 1356 396 1215Q328 1074 328 745L328 745Q328 417 396 276Q463 135 616 135L616 135Q770 135 838 276Q905 416 905 745ZM1116 745L1116 745Q1116 355 993 163Q869 -29 616 -29L616 -29Q363 -29 240 162Q117 353 117 745L117 745Q117 1136 241 1328Q364 1520 616 1520L616 1520Q869 1520 993 1328Q1116 1136 1116 745ZM311 1635L522 1901L711 1901L922 1635L782 1635L616 1813L451 1635L311 1635Z"],"Õ":[1233,"M905 745L905 745Q905 1074 838 1215Q770 1356 616 1356L616 1356Q463 1356 396 1215Q328 1074 328 745L328 745Q328 417 396 276Q463 135 616 135L616 135Q770 135 838 276Q905 416 905 745ZM1116 745L1116 745Q1116 355 993 163Q869 -29 616 -29L616 -29Q363 -29 240 162Q117 353 117 745L117 745Q117 1136 241 1328Q364 1520 616 1520L616 1520Q869 1520 993 1328Q1116 1136 1116 745ZM612 1710L612 1710L555 1743Q530 1757 515 1763Q499 1768 487 1768L487 1768Q452 1768 432 1743Q412 1718 412 1673L412 1673L412 1667L287 1667Q287 1768 339 1827Q390 1886 475 1886L475 1886Q511 1886 542 1878Q572 1870 621 1843L621 1843L678 1813Q700 1800 718 1794Q735 1788 750 1788L750 1788Q781 1788 801 1814Q821 1839 821 1880L821 1880L821 1886L946 1886Q944 1786 893 1727Q842 1667 758 1667L758 1667Q724 1667 694 1675Q664 1683 612 1710Z"],"Ö":[1233,"M905 745L905 745Q905 1074 838 1215Q770 1356 616 1356L616 1356Q463 1356 396 1215Q328 1074 328 745L328 745Q328 417 396 276Q463 135 616 135L616 135Q770 135 838 276Q905 416 905 745ZM1116 745L1116 745Q1116 355 993 163Q869 -29 616 -29L616 -29Q363 -29 240 162Q117 353 117 745L117 745Q117 1136 241 1328Q364 1520 616 1520L616 1520Q869 1520 993 1328Q1116 1136 1116 745ZM319 1667L319 1870L522 1870L522 1667L319 1667ZM711 1667L711 1870L913 1870L913 1667L711 1667Z"],"×":[1233,"M268 174L150 293L500 641L150 991L266 1108L616 758L967 1108L1083 991L733 641L1081 293L965 174L616 524L268 174Z"],"Ø":[1233,"M885 1036L371 303Q401 225 467 180Q532 135 616 135L616 135Q770 135 838 276Q905 416 905 745L905 745Q905 855 900 923Q895 991 885 1036L885 1036ZM338 471L338 471L842 1190Q817 1271 760 1314Q702 1356 616 1356L616 1356Q459 1356 394 1210Q328 1064 328 686L328 686Q328 606 331 556Q333 505 338 471ZM1200 1485L1032 1247Q1073 1166 1095 1037Q1116 908 1116 745L1116 745Q1116 355 993 163Q869 -29 616 -29L616 -29Q495 -29 405 12Q315 52 254 133L254 133L111 -70L8 0L186 252Q154 325 136 456Q117 587 117 745L117 745Q117 1136 241 1328Q364 1520 616 1520L616 1520Q731 1520 818 1479Q904 1438 961 1358L961 1358L1100 1559L1200 1485Z"],"Ù":[1233,"M147 573L147 573L147 1493L350 1493L350 481Q350 372 356 326Q362 279 377 254L377 254Q409 195 470 165Q530 135 616 135L616 135Q703 135 763 165Q823 195 856 254L856 254Q871 279 877 325Q883 371 883 479L883 479L883 1493L1085 1493L1085 573Q1085 344 1057 248Q1028 151 958 88L958 88Q892 29 807 0Q722 -29 616 -29L616 -29Q511 -29 426 0Q341 29 274 88L274 88Q205 150 176 249Q147 347 147 573ZM377 1899L561 1899L758 1635L604 1635L377 1899Z"],"Ú":[1233,"M147 573L147 573L147 1493L350 1493L350 481Q350 372 356 326Q362 279 377 254L377 254Q409 195 470 165Q530 135 616 135L616 135Q703 135 763 165Q823 195 856 254L856 254Q871 279 877 325Q883 371 883 479L883 479L883 1493L1085 1493L1085 573Q1085 344 1057 248Q1028 151 958 88L958 88Q892 29 807 0Q722 -29 616 -29L616 -29Q511 -29 426 0Q341 29 274 88L274 88Q205 150 176 249Q147 347 147 573ZM475 1635L672 1899L858 1899L629 1635L475 1635Z"],"Û":[1233,"M147 573L147 573L147 1493L350 1493L350 481Q350 372 356 326Q362 279 377 254L377 254Q409 195 470 165Q530 135 616 135L616 135Q703 135 763 165Q823 195 856 254L856 254Q871 279 877 325Q883 371 883 479L883 479L883 1493L1085 1493L1085 573Q1085 344 1057 248Q1028 151 958 88L958 88Q892 29 807 0Q722 -29 616 -29L616 -29Q511 -29 426 0Q341 29 274 88L274 88Q205 150 176 249Q147 347 147 573ZM311 1635L522 1901L711 1901L922 1635L782 1635L616 1813L451 1635L311 1635Z"],"Ü":[1233,"M147 573L147 573L147 1493L350 1493L350 481Q350 372 356 326Q362 279 377 254L377 254Q409 195 470 165Q530 135 616 135L616 135Q703 135 763 165Q823 195 856 254L856 254Q871 279 877 325Q883 371 883 479L883 479L883 1493L1085 1493L1085 573Q1085 344 1057 248Q1028 151 958 88L958 88Q892 29 807 0Q722 -29 616 -29L616 -29Q511 -29 426 0Q341 29 274 88L274 88Q205 150 176 249Q147 347 147 573ZM319 1667L319 1870L522 1870L522 1667L319 1667ZM711 1667L711 1870L913 1870L913 1667L711 1667Z"],"Ý":[1233,"M514 670L37 1493L252 1493L616 834L979 1493L1196 1493L717 670L717 0L514 0L514 670ZM475 1635L672 1899L858 1899L629 1635L475 1635Z"],"Þ":[1233,"M637 1057L403 1057L403 532L637 532Q795 532 874 598Q952 664 952 795L952 795Q952 926 874 992Q795 1057 637 1057L637 1057ZM201 0L201 1493L403 1493L403 1223L657 1223Q917 1223 1041 1118Q1165 1013 1165 795L1165 795Q1165 576 1041 472Q917 367 657 367L657 367L403 367L403 0L201 0Z"],"ß":[1233,"M188 0L188 1137Q188 1350 293 1453Q398 1556 614 1556L614 1556Q818 1556 923 1446Q1028 1335 1030 1119L1030 1119Q875 1105 791 1043Q707 981 707 881L707 881Q707 832 735 794Q762 755 829 713L829 713L887 676Q1038 583 1094 501Q1149 419 1149 303L1149 303Q1149 149 1037 60Q925 -29 729 -29L729 -29Q660 -29 593 -16Q525 -4 459 20L459 20L459 184Q535 153 602 138Q668 123 727 123L727 123Q835 123 899 172Q963 220 963 301L963 301Q963 372 931 420Q898 467 778 541L778 541L711 580Q619 636 574 703Q528 769 528 848L528 848Q528 976 609 1062Q690 1147 846 1182L846 1182Q844 1289 784 1346Q723 1403 610 1403L610 1403Q489 1403 432 1338Q375 1272 375 1133L375 1133L375 0L188 0Z"],"à":[1233,"M874 563L702 563L641 563Q480 563 399 507Q317 450 317 338L317 338Q317 237 378 181Q439 125 547 125L547 125Q699 125 786 231Q873 336 874 522L874 522L874 563ZM1059 639L1059 639L1059 0L874 0L874 166Q815 66 726 19Q636 -29 508 -29L508 -29Q337 -29 235 68Q133 164 133 326L133 326Q133 513 259 610Q384 707 627 707L627 707L874 707L874 736Q873 870 806 931Q739 991 592 991L592 991Q498 991 402 964Q306 937 215 885L215 885L215 1069Q317 1108 411 1128Q504 1147 592 1147L592 1147Q731 1147 830 1106Q928 1065 989 983L989 983Q1027 933 1043 860Q1059 786 1059 639ZM279 1638L477 1638L758 1262L604 1262L279 1638Z"],"á":[1233,"M874 563L702 563L641 563Q480 563 399 507Q317 450 317 338L317 338Q317 237 378 181Q439 125 547 125L547 125Q699 125 786 231Q873 336 874 522L874 522L874 563ZM1059 639L1059 639L1059 0L874 0L874 166Q815 66 726 19Q636 -29 508 -29L508 -29Q337 -29 235 68Q133 164 133 326L133 326Q133 513 259 610Q384 707 627 707L627 707L874 707L874 736Q873 870 806 931Q739 991 592 991L592 991Q498 991 402 964Q306 937 215 885L215 885L215 1069Q317 1108 411 1128Q504 1147 592 1147L592 1147Q731 1147 830 1106Q928 1065 989 983L989 983Q1027 933 1043 860Q1059 786 1059 639ZM475 1262L756 1638L954 1638L629 1262L475 1262Z"],"â":[1233,"M874 563L702 563L641 563Q480 563 399 507Q317 450 317 338L317 338Q317 237 378 181Q439 125 547 125L547 125Q699 125 786 231Q873 336 874 522L874 522L874 563ZM1059 639L1059 639L1059 0L874 0L874 166Q815 66 726 19Q636 -29 508 -29L508 -29Q337 -29 235 68Q133 164 133 326L133 326Q133 513 259 610Q384 707 627 707L627 707L874 707L874 736Q873 870 806 931Q739 991 592 991L592 991Q498 991 402 964Q306 937 215 885L215 885L215 1069Q317 1108 411 1128Q504 1147 592 1147L592 1147Q731 1147 830 1106Q928 1065 989 983L989 983Q1027 933 1043 860Q1059 786 1059 639ZM297 1262L543 1638L690 1638L936 1262L797 1262L616 1507L436 1262L297 1262Z"],"ã":[1233,"M874 563L702 563L641 563Q480 563 399 507Q317 450 317 338L317 338Q317 237 378 181Q439 125 547 125L547 125Q699 125 786 231Q873 336 874 522L874 522L874 563ZM1059 639L1059 639L1059 0L874 0L874 166Q815 66 726 19Q636 -29 508 -29L508 -29Q337 -29 235 68Q133 164 133 326L133 326Q133 513 259 610Q384 707 627 707L627 707L874 707L874 736Q873 870 806 931Q739 991 592 991L592 991Q498 991 402 964Q306 937 215 885L215 885L215 1069Q317 1108 411 1128Q504 1147 592 1147L592 1147Q731 1147 830 1106Q928 1065 989 983L989 983Q1027 933 1043 860Q1059 786 1059 639ZM612 1370L612 1370L555 1425Q534 1445 518 1455Q501 1464 487 1464L487 1464Q449 1464 431 1427Q413 1390 411 1309L411 1309L287 1309Q288 1443 339 1517Q390 1591 481 1591L481 1591Q520 1591 552 1577Q584 1563 621 1530L621 1530L678 1475Q699 1455 716 1446Q732 1436 745 1436L745 1436Q784 1436 802 1473Q820 1510 821 1591L821 1591L946 1591Q945 1457 894 1383Q843 1309 752 1309L752 1309Q713 1309 681 1323Q649 1337 612 1370Z"],"ä":[1233,"M874 563L702 563L641 563Q480 563 399 507Q317 450 317 338L317 338Q317 237 378 181Q439 125 547 125L547 125Q699 125 786 231Q873 336 874 522L874 522L874 563ZM1059 639L1059 639L1059 0L874 0L874 166Q815 66 726 19Q636 -29 508 -29L508 -29Q337 -29 235 68Q133 164 133 326L133 326Q133 513 259 610Q384 707 627 707L627 707L874 707L874 736Q873 870 806 931Q739 991 592 991L592 991Q498 991 402 964Q306 937 215 885L215 885L215 1069Q317 1108 411 1128Q504 1147 592 1147L592 1147Q731 1147 830 1106Q928 1065 989 983L989 983Q1027 933 1043 860Q1059 786 1059 639ZM319 1350L319 1552L522 1552L522 1350L319 1350ZM711 1350L711 1552L913 1552L913 1350L711 1350Z"],"å":[1233,"M874 563L702 563L641 563Q480 563 399 507Q317 450 317 338L317 338Q317 237 378 181Q439 125 547 125L547 125Q699 125 786 231Q873 336 874 522L874 522L874 563ZM1059 639L1059 639L1059 0L874 0L874 166Q815 66 726 19Q636 -29 508 -29L508 -29Q337 -29 235 68Q133 164 133 326L133 326Q133 513 259 610Q384 707 627 707L627 707L874 707L874 736Q873 870 806 931Q739 991 592 991L592 991Q498 991 402 964Q306 937 215 885L215 885L215 1069Q317 1108 411 1128Q504 1147 592 1147L592 1147Q731 1147 830 1106Q928 1065 989 983L989 983Q1027 933 1043 860Q1059 786 1059 639ZM891 1524L891 1524Q891 1409 812 1329Q732 1249 616 1249L616 1249Q501 1249 422 1329Q342 1409 342 1524L342 1524Q342 1639 422 1719Q501 1798 616 1798L616 1798Q732 1798 812 1719Q891 1639 891 1524ZM768 1524L768 1524Q768 1587 724 1631Q680 1675 616 1675L616 1675Q552 1675 509 1632Q465 1588 465 1524L465 1524Q465 1459 509 1416Q552 1372 616 1372L616 1372Q680 1372 724 1416Q768 1460 768 1524Z"],"æ":[1233,"M543 442L543 442L543 514L494 514Q325 514 265 469Q205 424 205 311L205 311Q205 222 250 174Q294 125 377 125L377 125Q469 125 506 192Q543 258 543 442ZM709 657L1036 657L1036 709Q1036 860 998 927Q959 993 872 993L872 993Q785 993 747 925Q709 857 709 700L709 700L709 657ZM1200 604L1200 514L709 514Q708 499 708 482Q707 464 707 430L707 430Q707 269 758 197Q808 125 920 125L920 125Q999 125 1064 151Q1128 176 1178 227L1178 227L1178 55Q1123 14 1057 -7Q991 -29 920 -29L920 -29Q810 -29 736 12Q661 53 629 131L629 131Q590 51 524 11Q457 -29 360 -29L360 -29Q204 -29 123 57Q41 143 41 307L41 307Q41 478 141 568Q241 657 432 657L432 657L549 657L549 745Q549 865 500 929Q450 993 356 993L356 993Q300 993 234 972Q168 950 106 911L106 911L106 1079Q183 1114 249 1131Q315 1147 375 1147L375 1147Q466 1147 528 1116Q590 1084 627 1020L627 1020Q660 1081 726 1114Q792 1147 881 1147L881 1147Q1055 1147 1128 1029Q1200 910 1200 604L1200 604Z"],"ç":[1233,"M686 0L804 0Q860 -62 887 -114Q913 -167 913 -215L913 -215Q913 -304 853 -349Q793 -395 675 -395L675 -395Q630 -395 587 -389Q543 -383 499 -371L499 -371L499 -240Q533 -257 571 -264Q608 -272 655 -272L655 -272Q713 -272 744 -248Q774 -224 774 -178L774 -178Q774 -148 752 -104Q730 -61 686 0L686 0ZM1061 248L1061 57Q987 14 909 -7Q830 -29 748 -29L748 -29Q488 -29 342 127Q195 283 195 559L195 559Q195 835 342 991Q488 1147 748 1147L748 1147Q829 1147 906 1126Q983 1105 1061 1061L1061 1061L1061 868Q988 933 915 962Q841 991 748 991L748 991Q575 991 482 879Q389 767 389 559L389 559Q389 352 483 240Q576 127 748 127L748 127Q844 127 920 157Q996 186 1061 248L1061 248Z"],"è":[1233,"M1112 606L1112 606L1112 516L315 516L315 510Q315 327 411 227Q506 127 680 127L680 127Q768 127 864 155Q960 183 1069 240L1069 240L1069 57Q964 14 867 -7Q769 -29 678 -29L678 -29Q417 -29 270 128Q123 284 123 559L123 559Q123 827 267 987Q411 1147 651 1147L651 1147Q865 1147 989 1002Q1112 857 1112 606ZM322 659L928 660Q924 822 852 907Q779 991 643 991L643 991Q510 991 424 903Q338 815 322 659L322 659ZM293 1638L491 1638L772 1262L618 1262L293 1638Z"],"é":[1233,"M1112 606L1112 606L1112 516L315 516L315 510Q315 327 411 227Q506 127 680 127L680 127Q768 127 864 155Q960 183 1069 240L1069 240L1069 57Q964 14 867 -7Q769 -29 678 -29L678 -29Q417 -29 270 128Q123 284 123 559L123 559Q123 827 267 987Q411 1147 651 1147L651 1147Q865 1147 989 1002Q1112 857 1112 606ZM322 659L928 660Q924 822 852 907Q779 991 643 991L643 991Q510 991 424 903Q338 815 322 659L322 659ZM489 1262L770 1638L968 1638L643 1262L489 1262Z"],"ê":[1233,"M1112 606L1112 606L1112 516L315 516L315 510Q315 327 411 227Q506 127 680 127L680 127Q768 127 864 155Q960 183 1069 240L1069 240L1069 57Q964 14 867 -7Q769 -29 678 -29L678 -29Q417 -29 270 128Q123 284 123 559L123 559Q123 827 267 987Q411 1147 651 1147L651 1147Q865 1147 989 1002Q1112 857 1112 606ZM322 659L928 660Q924 822 852 907Q779 991 643 991L643 991Q510 991 424 903Q338 815 322 659L322 659ZM311 1262L557 1638L704 1638L950 1262L811 1262L630 1507L450 1262L311 1262Z"],"ë":[1233,"M1112 606L1112 606L1112 516L315 516L315 510Q315 327 411 227Q506 127 680 127L680 127Q768 127 864 155Q960 183 1069 240L1069 240L1069 57Q964 14 867 -7Q769 -29 678 -29L678 -29Q417 -29 270 128Q123 284 123 559L123 559Q123 827 267 987Q411 1147 651 1147L651 1147Q865 1147 989 1002Q1112 857 1112 606ZM322 659L928 660Q924 822 852 907Q779 991 643 991L643 991Q510 991 424 903Q338 815 322 659L322 659ZM333 1350L333 1552L536 1552L536 1350L333 1350ZM725 1350L725 1552L927 1552L927 1350L725 1350Z"],"ì":[1233,"M256 977L256 1120L727 1120L727 143L1092 143L1092 0L178 0L178 143L543 143L543 977L256 977ZM279 1638L477 1638L758 1262L604 1262L279 1638Z"],"í":[1233,"M256 977L256 1120L727 1120L727 143L1092 143L1092 0L178 0L178 143L543 143L543 977L256 977ZM475 1262L756 1638L954 1638L629 1262L475 1262Z"],"î":[1233,"M256 977L256 1120L727 1120L727 143L1092 143L1092 0L178 0L178 143L543 143L543 977L256 977ZM297 1262L543 1638L690 1638L936 1262L797 1262L616 1507L436 1262L297 1262Z"],"ï":[1233,"M256 977L256 1120L727 1120L727 143L1092 143L1092 0L178 0L178 143L543 143L543 977L256 977ZM343 1350L343 1552L546 1552L546 1350L343 1350ZM735 1350L735 1552L937 1552L937 1350L735 1350Z"],"ð":[1233,"M967 1407L717 1327Q914 1115 1005 925Q1096 735 1096 535L1096 535Q1096 267 971 119Q845 -29 616 -29L616 -29Q388 -29 263 119Q137 267 137 535L137 535Q137 800 263 948Q388 1096 612 1096L612 1096Q646 1096 664 1095Q681 1094 696 1092L696 1092Q663 1137 627 1182Q591 1226 553 1270L553 1270L274 1178L244 1276L481 1356L299 1556L518 1556L645 1411L934 1505L967 1407ZM793 918L793 918Q758 931 717 938Q676 944 631 944L631 944Q485 944 409 839Q332 734 332 535L332 535Q332 339 406 233Q480 127 616 127L616 127Q753 127 827 233Q901 339 901 535L901 535Q901 645 872 747Q843 848 793 918Z"],"ñ":[1233,"M1051 694L1051 694L1051 0L866 0L866 694Q866 845 813 916Q760 987 647 987L647 987Q518 987 449 896Q379 804 379 633L379 633L379 0L195 0L195 1120L379 1120L379 952Q428 1048 512 1098Q596 1147 711 1147L711 1147Q882 1147 967 1035Q1051 922 1051 694ZM612 1370L612 1370L555 1425Q534 1445 518 1455Q501 1464 487 1464L487 1464Q449 1464 431 1427Q413 1390 411 1309L411 1309L287 1309Q288 1443 339 1517Q390 1591 481 1591L481 1591Q520 1591 552 1577Q584 1563 621 1530L621 1530L678 1475Q699 1455 716 1446Q732 1436 745 1436L745 1436Q784 1436 802 1473Q820 1510 821 1591L821 1591L946 1591Q945 1457 894 1383Q843 1309 752 1309L752 1309Q713 1309 681 1323Q649 1337 612 1370Z"],"ò":[1233,"M616 991L616 991Q476 991 404 882Q332 773 332 559L332 559Q332 346 404 237Q476 127 616 127L616 127Q757 127 829 237Q901 346 901 559L901 559Q901 773 829 882Q757 991 616 991ZM616 1147L616 1147Q849 1147 973 996Q1096 845 1096 559L1096 559Q1096 272 973 122Q850 -29 616 -29L616 -29Q383 -29 260 122Q137 272 137 559L137 559Q137 845 260 996Q383 1147 616 1147ZM279 1638L477 1638L758 1262L604 1262L279 1638Z"],"ó":[1233,"M616 991L616 991Q476 991 404 882Q332 773 332 559L332 559Q332 346 404 237Q476 127 616 127L616 127Q757 127 829 237Q901 346 901 559L901 559Q901 773 829 882Q757 991 616 991ZM616 1147L616 1147Q849 1147 973 996Q1096 845 1096 559L1096 559Q1096 272 973 122Q850 -29 616 -29L616 -29Q383 -29 260 122Q137 272 137 559L137 559Q137 845 260 996Q383 1147 616 1147ZM475 1262L756 1638L954 1638L629 1262L475 1262Z"],"ô":[1233,"M616 991L616 991Q476 991 404 882Q332 773 332 559L332 559Q332 346 404 237Q476 127 616 127L616 127Q757 127 829 237Q901 346 901 559L901 559Q901 773 829 882Q757 991 616 991ZM616 1147L616 1147Q849 1147 973 996Q1096 845 1096 559L1096 559Q1096 272 973 122Q850 -29 616 -29L616 -29Q383 -29 260 122Q137 272 137 559L137 559Q137 845 260 996Q383 1147 616 1147ZM297 1262L543 1638L690 1638L936 1262L797 1262L616 1507L436 1262L297 1262Z"],"õ":[1233,"M616 991L616 991Q476 991 404 882Q332 773 332 559L332 559Q332 346 404 237Q476 127 616 127L616 127Q757 127 829 237Q901 346 901 559L901 559Q901 773 829 882Q757 991 616 991ZM616 1147L616 1147Q849 1147 973 996Q1096 845 1096 559L1096 559Q1096 272 973 122Q850 -29 616 -29L616 -29Q383 -29 260 122Q137 272 137 559L137 559Q137 845 260 996Q383 1147 616 1147ZM612 1370L612 1370L555 1425Q534 1445 518 1455Q501 1464 487 1464L487 1464Q449 1464 431 1427Q413 1390 411 1309L411 1309L287 1309Q288 1443 339 1517Q390 1591 481 1591L481 1591Q520 1591 552 1577Q584 1563 621 1530L621 1530L678 1475Q699 1455 716 1446Q732 1436 745 1436L745 1436Q784 1436 802 1473Q820 1510 821 1591L821 1591L946 1591Q945 1457 894 1383Q843 1309 752 1309L752 1309Q713 1309 681 1323Q649 1337 612 1370Z"],"ö":[1233,"M616 991L616 991Q476 991 404 882Q332 773 332 559L332 559Q332 346 404 237Q476 127 616 127L616 127Q757 127 829 237Q901 346 901 559L901 559Q901 773 829 882Q757 991 616 991ZM616 1147L616 1147Q849 1147 973 996Q1096 845 1096 559L1096 559Q1096 272 973 122Q850 -29 616 -29L616 -29Q383 -29 260 122Q137 272 137 559L137 559Q137 845 260 996Q383 1147 616 1147ZM319 1350L319 1552L522 1552L522 1350L319 1350ZM711 1350L711 1552L913 1552L913 1350L711 1350Z"],"÷":[1233,"M494 150L494 395L739 395L739 150L494 150ZM494 889L494 1135L739 1135L739 889L494 889ZM88 557L88 727L1145 727L1145 557L88 557Z"],"ø":[1233,"M877 780L877 780L414 221Q450 174 501 151Q551 127 616 127L616 127Q757 127 829 237Q901 346 901 559L901 559Q901 611 895 667Q889 722 877 780ZM356 340L817 897Q782 945 733 968Q683 991 616 991L616 991Q477 991 403 884Q328 777 328 575L328 575Q328 527 335 469Q342 411 356 340L356 340ZM47 -20L217 180Q178 251 158 349Q137 446 137 559L137 559Q137 845 260 996Q383 1147 616 1147L616 1147Q716 1147 795 1120Q874 1092 934 1036L934 1036L1081 1212L1174 1135L1010 940Q1052 874 1074 778Q1096 681 1096 559L1096 559Q1096 272 973 122Q850 -29 616 -29L616 -29Q513 -29 435 1Q356 30 299 90L299 90L139 -96L47 -20Z"],"ù":[1233,"M195 424L195 424L195 1118L379 1118L379 424Q379 273 433 202Q486 131 598 131L598 131Q728 131 797 223Q866 314 866 485L866 485L866 1118L1051 1118L1051 0L866 0L866 168Q817 71 733 21Q648 -29 535 -29L535 -29Q363 -29 279 84Q195 196 195 424ZM279 1638L477 1638L758 1262L604 1262L279 1638Z"],"ú":[1233,"M195 424L195 424L195 1118L379 1118L379 424Q379 273 433 202Q486 131 598 131L598 131Q728 131 797 223Q866 314 866 485L866 485L866 1118L1051 1118L1051 0L866 0L866 168Q817 71 733 21Q648 -29 535 -29L535 -29Q363 -29 279 84Q195 196 195 424ZM475 1262L756 1638L954 1638L629 1262L475 1262Z"],"û":[1233,"M195 424L195 424L195 1118L379 1118L379 424Q379 273 433 202Q486 131 598 131L598 131Q728 131 797 223Q866 314 866 485L866 485L866 1118L1051 1118L1051 0L866 0L866 168Q817 71 733 21Q648 -29 535 -29L535 -29Q363 -29 279 84Q195 196 195 424ZM297 1262L543 1638L690 1638L936 1262L797 1262L616 1507L436 1262L297 1262Z"],"ü":[1233,"M195 424L195 424L195 1118L379 1118L379 424Q379 273 433 202Q486 131 598 131L598 131Q728 131 797 223Q866 314 866 485L866 485L866 1118L1051 1118L1051 0L866 0L866 168Q817 71 733 21Q648 -29 535 -29L535 -29Q363 -29 279 84Q195 196 195 424ZM319 1350L319 1552L522 1552L522 1350L319 1350ZM711 1350L711 1552L913 1552L913 1350L711 1350Z"],"ý":[1233,"M1153 1120L858 360Q812 243 741 52L741 52Q642 -212 608 -270L608 -270Q562 -348 493 -387Q424 -426 332 -426L332 -426L184 -426L184 -272L293 -272Q374 -272 420 -225Q466 -178 537 18L537 18L104 1120L299 1120L631 244L958 1120L1153 1120ZM475 1262L756 1638L954 1638L629 1262L475 1262Z"],"þ":[1233,"M375 141L375 141L375 -426L190 -426L190 1567L375 1567L375 977Q421 1060 498 1104Q574 1147 674 1147L674 1147Q877 1147 993 990Q1108 833 1108 555L1108 555Q1108 282 992 127Q876 -29 674 -29L674 -29Q572 -29 496 15Q419 58 375 141ZM915 559L915 559Q915 773 848 882Q780 991 647 991L647 991Q513 991 444 882Q375 772 375 559L375 559Q375 347 444 237Q513 127 647 127L647 127Q780 127 848 236Q915 345 915 559Z"],"ÿ":[1233,"M1153 1120L858 360Q812 243 741 52L741 52Q642 -212 608 -270L608 -270Q562 -348 493 -387Q424 -426 332 -426L332 -426L184 -426L184 -272L293 -272Q374 -272 420 -225Q466 -178 537 18L537 18L104 1120L299 1120L631 244L958 1120L1153 1120ZM319 1350L319 1552L522 1552L522 1350L319 1350ZM711 1350L711 1552L913 1552L913 1350L711 1350Z"],"–":[1233,"M0 492L0 633L1233 633L1233 492L0 492Z"],"—":[1233,"M0 492L0 633L1233 633L1233 492L0 492Z"],"‘":[1233,"M715 1174L715 967L463 967L463 1174L659 1556L813 1556L715 1174Z"],"’":[1233,"M561 1350L561 1556L813 1556L813 1350L616 967L463 967L561 1350Z"],"“":[1233,"M924 1174L924 967L672 967L672 1174L868 1556L1022 1556L924 1174ZM465 1174L465 967L211 967L211 1174L410 1556L563 1556L465 1174Z"],"”":[1233,"M768 1350L768 1556L1020 1556L1020 1350L823 967L670 967L768 1350ZM309 1350L309 1556L561 1556L561 1350L365 967L211 967L309 1350Z"],"•":[1233,"M319 762L319 762Q319 886 405 972Q491 1057 616 1057L616 1057Q740 1057 827 971Q913 885 913 762L913 762Q913 638 826 552Q739 465 614 465L614 465Q490 465 405 551Q319 636 319 762Z"],"…":[1233,"M80 0L80 305L332 305L332 0L80 0ZM899 0L899 305L1151 305L1151 0L899 0ZM489 0L489 305L741 305L741 0L489 0Z"],"€":[1233,"M86 948L211 948Q259 1231 396 1376Q533 1520 756 1520L756 1520Q840 1520 914 1500Q987 1480 1061 1438L1061 1438L1061 1231Q995 1292 916 1326Q836 1360 758 1360L758 1360Q612 1360 525 1256Q438 1152 414 948L414 948L895 948L846 840L404 840Q402 820 402 798Q401 775 401 729L401 729Q401 714 402 695Q402 676 403 653L403 653L764 653L715 543L414 543Q437 340 524 236Q611 131 758 131L758 131Q837 131 916 165Q994 198 1061 260L1061 260L1061 53Q989 11 915 -9Q841 -29 756 -29L756 -29Q530 -29 393 115Q255 259 211 543L211 543L37 543L86 653L203 653Q202 665 201 685L201 685Q199 730 199 745L199 745Q199 763 201 810L201 810Q202 829 203 840L203 840L37 840L86 948Z"],"Ω":[1233,"M537 0L74 0L74 172L319 172Q196 306 141 450Q86 594 86 782L86 782Q86 1093 230 1277Q374 1460 614 1460L614 1460Q856 1460 1001 1277Q1145 1094 1145 782L1145 782Q1145 594 1090 450Q1034 305 911 172L911 172L1159 172L1159 0L696 0L696 172Q816 248 883 413Q950 577 950 799L950 799Q950 1029 860 1162Q770 1294 616 1294L616 1294Q462 1294 373 1162Q283 1029 283 799L283 799Q283 577 350 413Q417 248 537 172L537 172L537 0Z"],"≤":[1233,"M344 672L1145 438L1145 256L88 588L88 756L1145 1087L1145 903L344 672ZM88 170L1145 170L1145 0L88 0L88 170Z"],"≥":[1233,"M88 256L88 438L891 672L88 903L88 1087L1145 756L1145 588L88 256ZM88 0L88 170L1145 170L1145 0L88 0Z"],"≈":[1233,"M1145 963L1145 963L1145 788Q1070 729 999 702Q927 674 848 674L848 674Q758 674 645 725L645 725Q623 735 612 739L612 739Q535 773 484 785Q432 797 381 797L381 797Q302 797 232 768Q161 738 88 674L88 674L88 848Q166 908 239 936Q312 963 395 963L395 963Q448 963 498 952Q548 941 623 909L623 909Q633 905 655 894L655 894Q771 840 864 840L864 840Q934 840 1003 870Q1071 900 1145 963ZM1145 596L1145 596L1145 420Q1070 361 999 333Q927 305 848 305L848 305Q758 305 645 356L645 356Q623 366 612 371L612 371Q529 407 480 419Q430 430 381 430L381 430Q303 430 233 400Q162 370 88 305L88 305L88 479Q167 541 240 569Q313 596 395 596L395 596Q491 596 621 541L621 541L622 541Q633 536 655 526L655 526Q771 471 864 471L864 471Q932 471 1001 502Q1070 532 1145 596Z"],"∅":[1233,"M945 1069L1062 1186L1161 1087L1043 969Q1088 913 1114 849L1114 849Q1153 754 1153 642L1153 642Q1153 533 1114 438L1114 438Q1075 343 996 264L996 264Q917 186 822 146Q727 106 617 106Q506 106 411 146L411 146Q347 172 291 217L291 217L173 99L74 198L191 315Q146 373 119 438L119 438Q80 533 80 642L80 642Q80 754 119 849L119 849Q158 944 237 1023L237 1023Q316 1102 411 1142Q506 1182 617 1182Q727 1182 822 1142L822 1142Q887 1114 945 1069L945 1069ZM768 1011Q698 1041 617 1041Q535 1041 464 1011L464 1011Q395 981 337 924L337 924Q278 865 250 795Q221 725 221 642L221 642Q221 562 249 492L249 492Q266 452 292 416L292 416L844 968Q808 994 768 1011L768 1011ZM943 869L943 869L391 317Q426 292 464 276L464 276Q535 246 617 246Q698 246 768 276L768 276Q838 306 896 363L896 363Q955 422 984 492Q1012 562 1012 642L1012 642Q1012 725 984 795L984 795Q968 834 943 869Z"],"→":[1233,"M1167 602L1167 520L876 229L786 319L946 479L66 479L66 643L946 643L786 803L876 893L1167 602Z"]},"kerning":{}};
@@ -0,0 +1,15 @@
+// shared/fonts/index.js
+// Fonts bundled for text(), by the name scripts pass as its font option.
+// Glyph modules are generated from the DejaVu TTFs by buildFonts.js.
+
+import dejavuSans from './dejavuSans.js';
+import dejavuSansBold from './dejavuSansBold.js';
+import dejavuSansMono from './dejavuSansMono.js';
+
+export const FONTS = {
+  sans: dejavuSans,
+  'sans-bold': dejavuSansBold,
+  mono: dejavuSansMono,
+};
+
+export const DEFAULT_FONT = 'sans';
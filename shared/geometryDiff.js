@@ -0,0 +1,52 @@
+// shared/geometryDiff.js
+// Material added, removed and kept between two versions of a model, found
+// with boolean differences both ways. Runs in the editor's sandbox worker for
+// the viewport's compare mode.
+
+/**
+ * Volume and bounding box of a manifold
+ */
+const measure = (manifold) => {
+  const bbox = manifold.boundingBox();
+  return {
+    volume: manifold.volume(),
+    boundingBox: {
+      min: [...bbox.min],
+      max: [...bbox.max]
+    }
+  };
+};
+
+/**
+ * Compare two versions of a model
+ *
+ * The returned manifolds are new; the caller deletes them once serialized.
+ *
+ * @param {Manifold} before - Older version
+ * @param {Manifold} after - Newer version
+ * @returns {{
+ *   added: Manifold, removed: Manifold, unchanged: Manifold,
+ *   stats: { before: Object, after: Object, added: number, removed: number, unchanged: number }
+ * }} Material only in after, only in before, and in both; stats hold each
+ *   version's { volume, boundingBox } and the three volumes in mm³
+ */
+export const diffManifolds = (before, after) => {
+  const added = after.subtract(before);
+  const removed = before.subtract(after);
+  const unchanged = before.intersect(after);
+
+  return {
+    added,
+    removed,
+    unchanged,
+    stats: {
+      before: measure(before),
+      after: measure(after),
+      added: added.volume(),
+      removed: removed.volume(),
+      unchanged: unchanged.volume()
+    }
+  };
+};
+
+export default diffManifolds;
@@ -0,0 +1,3519 @@
+// shared/manifoldHelpers.js
+// Helper functions available to scripts, shared by the editor's sandbox worker
+// and the backend's order verification so scripts build the same geometry in both.
+
+import { progressSteps } from './progress.js';
+import { FONTS, DEFAULT_FONT } from './fonts/index.js';
+
+let manifoldModule = null;
+
+/**
+ * Set the initialized Manifold WASM module the helpers build geometry with
+ */
+export function setManifoldModule(module) {
+  manifoldModule = module;
+}
+
+// ============================================================================
+// EXTENDED MANIFOLD HELPERS
+// These functions are injected into the script execution scope
+// ============================================================================
+
+/**
+ * Helper to compute uniform scale ratio based on min perpendicular dimension (for scaleShell)
+ */
+function getScaleRatio(manifold, axis, thickness) {
+  const bbox = manifold.boundingBox();
+  const minPt = bbox.min;
+  const maxPt = bbox.max;
+  const sizes = [
+    maxPt[0] - minPt[0],
+    maxPt[1] - minPt[1],
+    maxPt[2] - minPt[2]
+  ];
+  const perpAxes = [0, 1, 2].filter(i => i !== axis);
+  const minPerpSize = Math.min(sizes[perpAxes[0]], sizes[perpAxes[1]]);
+  if (minPerpSize <= 2 * thickness) {
+    throw new Error('Shell thickness too large for object dimensions');
+  }
+  return (minPerpSize - 2 * thickness) / minPerpSize;
+}
+
+/**
+ * Scale-based shell - the original shell(), kept for existing scripts
+ *
+ * The tool is the part scaled down uniformly and aligned to the min side of
+ * the axis, so walls are only even for boxes. This is what shell() returns
+ * when called without options; shell() with options offsets the surface
+ * instead.
+ *
+ * @param {Manifold} manifold - The input manifold to shell
+ * @param {number} thickness - Wall thickness
+ * @param {string} axis - Axis for shell alignment ('x', 'y', or 'z')
+ * @returns {Manifold} The inner tool for subtraction (use manifold.subtract(scaleShell(...)))
+ */
+function scaleShell(manifold, thickness, axis = "z") {
+  let axisIndex;
+  switch (axis.toLowerCase()) {
+    case "x": axisIndex = 0; break;
+    case "y": axisIndex = 1; break;
+    case "z": axisIndex = 2; break;
+    default: throw new Error('Axis must be "x", "y", or "z"');
+  }
+  const scaleRatio = getScaleRatio(manifold, axisIndex, thickness);
+  
+  // Create inner scaled version
+  const inner = manifold.scale([scaleRatio, scaleRatio, scaleRatio]);
+  
+  // Get bounding boxes
+  const bboxOuter = manifold.boundingBox();
+  const bboxInner = inner.boundingBox();
+  
+  // Translate inner to coincide on the min side along axis
+  const trans = [0, 0, 0];
+  trans[axisIndex] = bboxOuter.min[axisIndex] - bboxInner.min[axisIndex];
+  const innerTranslated = inner.translate(trans);
+  
+  return innerTranslated;  // Return tool for subtraction
+}
+
+/**
+ * Add draft angle to a manifold (tapers from bottom to top)
+ * 
+ * Applies a linear taper along the specified axis, commonly used in 
+ * injection molding to allow parts to release from molds.
+ * 
+ * @param {Manifold} manifold - The manifold to add draft to
+ * @param {number} draftDeg - Draft angle in degrees (typically 1-3° for molding)
+ * @param {string} [axis='z'] - The pull/draft direction axis: 'x', 'y', or 'z'
+ * @returns {Manifold} The drafted manifold (tapered toward max along axis)
+ * @throws {Error} If axis is not 'x', 'y', or 'z'
+ * 
+ * @example
+ * // Add 2° draft to a shelled box for injection molding
+ * const box = Manifold.cube([50, 50, 30], true);
+ * const hollowed = box.subtract(shell(box, 2, { open: '+z' }));
+ * const drafted = addDraft(hollowed, 2, 'z');
+ * return drafted;
+ */
+function addDraft(manifold, draftDeg, axis = "z") {
+  let axisIndex;
+  switch (axis.toLowerCase()) {
+    case "x": axisIndex = 0; break;
+    case "y": axisIndex = 1; break;
+    case "z": axisIndex = 2; break;
+    default: throw new Error('Axis must be "x", "y", or "z"');
+  }
+  
+  const bbox = manifold.boundingBox();
+  const minCoord = bbox.min[axisIndex];
+  const maxCoord = bbox.max[axisIndex];
+  const H = maxCoord - minCoord;
+  
+  const sizes = [
+    bbox.max[0] - bbox.min[0],
+    bbox.max[1] - bbox.min[1],
+    bbox.max[2] - bbox.min[2]
+  ];
+  
+  const perpAxes = [0, 1, 2].filter(i => i !== axisIndex);
+  const minPerpSize = Math.min(sizes[perpAxes[0]], sizes[perpAxes[1]]);
+  
+  const tanDraft = Math.tan(draftDeg * Math.PI / 180);
+  const taper = H * tanDraft;
+  const topScale = (minPerpSize - 2 * taper) / minPerpSize;
+  
+  // Centers in perp directions
+  const centers = [0, 0, 0];
+  centers[perpAxes[0]] = (bbox.min[perpAxes[0]] + bbox.max[perpAxes[0]]) / 2;
+  centers[perpAxes[1]] = (bbox.min[perpAxes[1]] + bbox.max[perpAxes[1]]) / 2;
+  
+  const warp = (v) => {
+    const coord = v[axisIndex];
+    const t = (coord - minCoord) / H;
+    const scale = 1 + t * (topScale - 1);
+    const p1 = perpAxes[0];
+    const p2 = perpAxes[1];
+    v[p1] = (v[p1] - centers[p1]) * scale + centers[p1];
+    v[p2] = (v[p2] - centers[p2]) * scale + centers[p2];
+  };
+  
+  return manifold.warp(warp);
+}
+
+// Helpers for a loft function
+
+// Compute centroid of a contour (array of [x, y] points)
+function computeCentroid(contour) {
+  let cx = 0;
+  let cy = 0;
+  const n = contour.length;
+  if (n === 0) return [0, 0];
+
+  for (const p of contour) {
+    cx += p[0];
+    cy += p[1];
+  }
+  return [cx / n, cy / n];
+}
+
+// Center a contour by subtracting its centroid
+function centerContour(contour) {
+  const [cx, cy] = computeCentroid(contour);
+  return contour.map(p => [p[0] - cx, p[1] - cy]);
+}
+
+// Resample a closed contour to n evenly spaced points using arc-length parameterization
+function resampleContour(contour, n) {
+  if (contour.length < 2) return contour;
+  if (n < 2) n = 2;
+
+  // Compute cumulative arc lengths
+  const lengths = [0];
+  for (let i = 1; i < contour.length; i++) {
+    const dx = contour[i][0] - contour[i - 1][0];
+    const dy = contour[i][1] - contour[i - 1][1];
+    lengths.push(lengths[i - 1] + Math.sqrt(dx * dx + dy * dy));
+  }
+  // Close the loop
+  const dxClose = contour[0][0] - contour[contour.length - 1][0];
+  const dyClose = contour[0][1] - contour[contour.length - 1][1];
+  lengths.push(lengths[lengths.length - 1] + Math.sqrt(dxClose * dxClose + dyClose * dyClose));
+
+  const totalLength = lengths[lengths.length - 1];
+
+  const resampled = [];
+  for (let i = 0; i < n; i++) {
+    const target = (i / n) * totalLength;
+
+    // Find segment
+    let seg = 0;
+    while (seg < lengths.length - 1 && target > lengths[seg + 1]) seg++;
+
+    const s0 = lengths[seg];
+    const s1 = lengths[seg + 1];
+    const frac = (target - s0) / (s1 - s0);
+
+    const idx0 = seg % contour.length;
+    const idx1 = (seg + 1) % contour.length;
+
+    const x = contour[idx0][0] + frac * (contour[idx1][0] - contour[idx0][0]);
+    const y = contour[idx0][1] + frac * (contour[idx1][1] - contour[idx0][1]);
+
+    resampled.push([x, y]);
+  }
+
+  return resampled;
+}
+
+// Rotate a contour (array of [x, y] points) by a given angle in degrees
+function rotateContour(contour, deg) {
+  if (contour.length === 0) return contour;
+  const rad = deg * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return contour.map(p => [
+    p[0] * cos - p[1] * sin,
+    p[0] * sin + p[1] * cos
+  ]);
+}
+
+// Compute sum of squared distances between two contours of equal length
+function sumSqDist(cont1, cont2) {
+  if (cont1.length !== cont2.length) {
+    throw new Error('Contours must have the same number of points for sumSqDist');
+  }
+  let dist = 0;
+  for (let i = 0; i < cont1.length; i++) {
+    const dx = cont1[i][0] - cont2[i][0];
+    const dy = cont1[i][1] - cont2[i][1];
+    dist += dx * dx + dy * dy;
+  }
+  return dist;
+}
+
+function loft({
+  topCS,
+  bottomCS,
+  height = 30,
+  twistDeg = 0,
+  topScale = 1.0,
+  align = true,
+  resolution = 1024  // Higher for better corner preservation
+} = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+
+  // Extract and center contours
+  let bottomContour = centerContour(bottomCS.toPolygons()[0]);
+  let topContour = centerContour(topCS.toPolygons()[0]);
+
+  // Scale top
+  topContour = topContour.map(p => [p[0] * topScale, p[1] * topScale]);
+
+  // Resample using arc length
+  const bottomTable = resampleContour(bottomContour, resolution);
+  let topTable = resampleContour(topContour, resolution);
+
+  // Optional alignment
+  if (align) {
+    let bestRot = 0;
+    let minDist = Infinity;
+    const steps = 72;
+    const reportAlign = progressSteps(steps, 'Lofting', 0, 0.3);
+    for (let k = 0; k < steps; k++) {
+      reportAlign(k);
+      const rot = k * (360 / steps);
+      const rotated = rotateContour(topTable, rot);
+      const d = sumSqDist(bottomTable, rotated);
+      if (d < minDist) {
+        minDist = d;
+        bestRot = rot;
+      }
+    }
+    topTable = rotateContour(topTable, bestRot);
+  }
+
+  // Precompute radial distance table for bottom (normalized radius at each angle)
+  const radialTable = [];
+  for (let i = 0; i < resolution; i++) {
+    const x = bottomTable[i][0];
+    const y = bottomTable[i][1];
+    radialTable[i] = Math.sqrt(x * x + y * y);
+  }
+
+  // Extrude bottom to full height
+  const straight = Manifold.extrude(bottomCS, height, 128);
+  const reportWarp = progressSteps(straight.numVert(), 'Lofting', 0.3, 1);
+  let warped = 0;
+
+  // Warp using polar coordinates for proper corner blending
+  const warp = (v) => {
+    reportWarp(warped++);
+    let [x, y, z] = v;
+
+    const t = z / height;
+
+    // Handle center separately
+    const r_orig = Math.sqrt(x * x + y * y);
+    if (r_orig < 1e-8) {
+      v[0] = 0;
+      v[1] = 0;
+      return;
+    }
+
+    // Normalized radius on bottom at this angle
+    let angle = Math.atan2(y, x);
+    if (angle < 0) angle += 2 * Math.PI;
+    const s = angle / (2 * Math.PI);
+
+    const i = Math.floor(s * resolution);
+    const frac = (s * resolution) - i;
+
+    // Interpolate normalized radius from bottom table
+    let r_bottom = radialTable[i];
+    r_bottom += frac * (radialTable[(i + 1) % resolution] - radialTable[i]);
+
+    // Scale factor for this ray
+    const scale = r_orig / r_bottom;
+
+    // Interpolate target point from top table at same angle
+    let tx = topTable[i][0];
+    let ty = topTable[i][1];
+    tx += frac * (topTable[(i + 1) % resolution][0] - tx);
+    ty += frac * (topTable[(i + 1) % resolution][1] - ty);
+
+    // Linear blend in shape space
+    let targetX = x + t * (tx * scale - x);
+    let targetY = y + t * (ty * scale - y);
+
+    // Apply twist
+    if (twistDeg !== 0) {
+      const twistAngle = t * twistDeg * Math.PI / 180;
+      const cosT = Math.cos(twistAngle);
+      const sinT = Math.sin(twistAngle);
+      const tempX = targetX * cosT - targetY * sinT;
+      targetY = targetX * sinT + targetY * cosT;
+      targetX = tempX;
+    }
+
+    v[0] = targetX;
+    v[1] = targetY;
+  };
+
+  return straight.warp(warp);
+}
+
+/**
+ * Sweep a 2D profile along a 3D path
+ * 
+ * Creates a 3D manifold by extruding a cross-section profile along a parametric
+ * path curve. Uses Rotation Minimizing Frames (RMF) for smooth orientation
+ * without twist artifacts, and arc-length parameterization for uniform distribution.
+ * 
+ * @param {CrossSection} profile - The 2D cross-section to sweep (centered at origin)
+ * @param {Object} path - Parametric path definition
+ * @param {Function} path.position - Function(t) returning [x,y,z] position on curve
+ * @param {Function} [path.derivative] - Function(t) returning first derivative [dx,dy,dz].
+ *                                       If omitted, computed numerically.
+ * @param {number} [path.tMin=0] - Start parameter value
+ * @param {number} [path.tMax=1] - End parameter value
+ * @param {Object} [options] - Sweep options
+ * @param {number} [options.arcSamples=1000] - Samples for arc-length table (higher = more accurate)
+ * @param {number} [options.extrudeSegments=64] - Segments along the extrusion
+ * @param {number} [options.epsilon=1e-5] - Delta for numerical derivatives
+ * @param {number[]} [options.initialNormal] - Initial normal direction hint [x,y,z]
+ * @returns {Manifold} The swept 3D manifold
+ * 
+ * @example
+ * // Sweep a circle along a helix
+ * const profile = CrossSection.circle(2, 32);
+ * const helixPath = {
+ *   position: (t) => [10 * Math.cos(t), 10 * Math.sin(t), 3 * t],
+ *   tMin: 0,
+ *   tMax: 4 * Math.PI
+ * };
+ * return sweep(profile, helixPath);
+ */
+function sweep(profile, path, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  
+  const {
+    position,
+    derivative: explicitDerivative,
+    tMin = 0,
+    tMax = 1
+  } = path;
+  
+  const {
+    arcSamples = 1000,
+    extrudeSegments = 64,
+    epsilon = 1e-5,
+    initialNormal = null
+  } = options;
+  
+  if (typeof position !== 'function') {
+    throw new Error('path.position must be a function');
+  }
+  
+  // Numerical derivative fallback
+  const derivative = explicitDerivative || ((t) => {
+    const p0 = position(t - epsilon);
+    const p1 = position(t + epsilon);
+    return vecMul(1 / (2 * epsilon), vecSub(p1, p0));
+  });
+  
+  // Precompute arc length table
+  const tValues = [];
+  const sValues = [0];
+  const deltaT = (tMax - tMin) / arcSamples;
+  
+  for (let i = 0; i <= arcSamples; i++) {
+    tValues.push(tMin + i * deltaT);
+  }
+  
+  const reportArc = progressSteps(arcSamples, 'Sweeping', 0, 0.2);
+  for (let i = 1; i <= arcSamples; i++) {
+    reportArc(i);
+    const speedPrev = vecNorm(derivative(tValues[i - 1]));
+    const speedCurr = vecNorm(derivative(tValues[i]));
+    const deltaS = (speedPrev + speedCurr) / 2 * deltaT;
+    sValues.push(sValues[i - 1] + deltaS);
+  }
+  
+  const totalLength = sValues[sValues.length - 1];
+  
+  if (totalLength < epsilon) {
+    throw new Error('Path has zero or near-zero length');
+  }
+  
+  // =========================================================================
+  // Precompute Rotation Minimizing Frames (RMF) at sample points
+  // This prevents twist discontinuities that occur with Frenet frames
+  // =========================================================================
+  
+  const frames = []; // Array of { T, N, B } at each tValue
+  
+  // Compute initial frame
+  const T0 = vecNormalize(derivative(tValues[0]));
+  let N0;
+  
+  if (initialNormal) {
+    // Use provided initial normal, orthogonalize to tangent
+    const proj = vecMul(vecDot(initialNormal, T0), T0);
+    N0 = vecNormalize(vecSub(initialNormal, proj));
+  } else {
+    // Find a vector not parallel to T0 for initial normal
+    const absT = [Math.abs(T0[0]), Math.abs(T0[1]), Math.abs(T0[2])];
+    let minAxis;
+    if (absT[0] <= absT[1] && absT[0] <= absT[2]) {
+      minAxis = [1, 0, 0];
+    } else if (absT[1] <= absT[0] && absT[1] <= absT[2]) {
+      minAxis = [0, 1, 0];
+    } else {
+      minAxis = [0, 0, 1];
+    }
+    N0 = vecNormalize(vecCross(T0, minAxis));
+  }
+  
+  const B0 = vecCross(T0, N0);
+  frames.push({ T: T0, N: N0, B: B0 });
+  
+  // Propagate frame using double reflection method (rotation minimizing)
+  const reportFrames = progressSteps(arcSamples, 'Sweeping', 0.2, 0.4);
+  for (let i = 1; i <= arcSamples; i++) {
+    reportFrames(i);
+    const prevFrame = frames[i - 1];
+    const Ti = vecNormalize(derivative(tValues[i]));
+    
+    // Double reflection method for RMF
+    // Reflect previous frame to midpoint, then to current point
+    const v1 = vecSub(position(tValues[i]), position(tValues[i - 1]));
+    const c1 = vecDot(v1, v1);
+    
+    if (c1 < epsilon * epsilon) {
+      // Points too close, copy previous frame with new tangent
+      const proj = vecMul(vecDot(prevFrame.N, Ti), Ti);
+      const Ni = vecNormalize(vecSub(prevFrame.N, proj));
+      const Bi = vecCross(Ti, Ni);
+      frames.push({ T: Ti, N: Ni, B: Bi });
+      continue;
+    }
+    
+    // First reflection: reflect N and T across v1
+    const NL = vecSub(prevFrame.N, vecMul((2 / c1) * vecDot(v1, prevFrame.N), v1));
+    const TL = vecSub(prevFrame.T, vecMul((2 / c1) * vecDot(v1, prevFrame.T), v1));
+    
+    // Second reflection: reflect across v2 = Ti - TL
+    const v2 = vecSub(Ti, TL);
+    const c2 = vecDot(v2, v2);
+    
+    let Ni;
+    if (c2 < epsilon * epsilon) {
+      Ni = NL;
+    } else {
+      Ni = vecSub(NL, vecMul((2 / c2) * vecDot(v2, NL), v2));
+    }
+    
+    // Ensure orthonormality
+    Ni = vecNormalize(vecSub(Ni, vecMul(vecDot(Ni, Ti), Ti)));
+    const Bi = vecCross(Ti, Ni);
+    
+    frames.push({ T: Ti, N: Ni, B: Bi });
+  }
+  
+  // Create straight extrusion to warp
+  const straight = Manifold.extrude(profile, totalLength, extrudeSegments);
+  const reportWarp = progressSteps(straight.numVert(), 'Sweeping', 0.4, 1);
+  let warped = 0;
+  
+  // Warp function using precomputed RMF frames
+  const warp = (v) => {
+    reportWarp(warped++);
+    let [x, y, s] = v;
+    s = Math.max(0, Math.min(totalLength, s));
+    
+    // Binary search for arc length to parameter mapping
+    let low = 0;
+    let high = sValues.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high + 1) / 2);
+      if (sValues[mid] <= s) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    let i = low;
+    if (i === sValues.length - 1) i--;
+    
+    // Interpolate between frames
+    const frac = (s - sValues[i]) / (sValues[i + 1] - sValues[i]);
+    const t = tValues[i] + frac * (tValues[i + 1] - tValues[i]);
+    
+    // Get position on curve
+    const P = position(t);
+    
+    // Interpolate frame (simple linear interp, could use slerp for better results)
+    const frame0 = frames[i];
+    const frame1 = frames[i + 1];
+    
+    const N = vecNormalize([
+      frame0.N[0] + frac * (frame1.N[0] - frame0.N[0]),
+      frame0.N[1] + frac * (frame1.N[1] - frame0.N[1]),
+      frame0.N[2] + frac * (frame1.N[2] - frame0.N[2])
+    ]);
+    const B = vecNormalize([
+      frame0.B[0] + frac * (frame1.B[0] - frame0.B[0]),
+      frame0.B[1] + frac * (frame1.B[1] - frame0.B[1]),
+      frame0.B[2] + frac * (frame1.B[2] - frame0.B[2])
+    ]);
+    
+    // Map local (x, y) to N-B plane
+    v[0] = P[0] + x * N[0] + y * B[0];
+    v[1] = P[1] + x * N[1] + y * B[1];
+    v[2] = P[2] + x * N[2] + y * B[2];
+  };
+  
+  return straight.warp(warp);
+}
+
+// ============================================================================
+// VECTOR HELPERS (for sweep and other operations)
+// ============================================================================
+
+function vecAdd(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+function vecSub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+function vecMul(s, v) { return [s * v[0], s * v[1], s * v[2]]; }
+function vecDot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+function vecCross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ];
+}
+function vecNorm(v) { return Math.sqrt(vecDot(v, v)); }
+function vecNormalize(v) {
+  const len = vecNorm(v);
+  return len > 1e-8 ? vecMul(1 / len, v) : [0, 0, 1];
+}
+
+/**
+ * Sweep a 2D profile along a 3D path
+ * 
+ * Creates a 3D manifold by extruding a cross-section profile along a parametric
+ * path curve. Uses Frenet-Serret frames for orientation and arc-length 
+ * parameterization for uniform distribution.
+ * 
+ * @param {CrossSection} profile - The 2D cross-section to sweep (centered at origin)
+ * @param {Object} path - Parametric path definition
+ * @param {Function} path.position - Function(t) returning [x,y,z] position on curve
+ * @param {Function} [path.derivative] - Function(t) returning first derivative [dx,dy,dz].
+ *                                       If omitted, computed numerically.
+ * @param {Function} [path.secondDerivative] - Function(t) returning second derivative.
+ *                                             If omitted, computed numerically.
+ * @param {number} [path.tMin=0] - Start parameter value
+ * @param {number} [path.tMax=1] - End parameter value
+ * @param {Object} [options] - Sweep options
+ * @param {number} [options.arcSamples=1000] - Samples for arc-length table (higher = more accurate)
+ * @param {number} [options.extrudeSegments=64] - Segments along the extrusion
+ * @param {number} [options.epsilon=1e-5] - Delta for numerical derivatives
+ * @returns {Manifold} The swept 3D manifold
+ * 
+ * @example
+ * // Sweep a circle along a helix
+ * const profile = CrossSection.circle(2, 32);
+ * const helixPath = {
+ *   position: (t) => [10 * Math.cos(t), 10 * Math.sin(t), 3 * t],
+ *   tMin: 0,
+ *   tMax: 4 * Math.PI
+ * };
+ * return sweep2(profile, helixPath);
+ * 
+ * @example
+ * // Sweep a square along a bezier-like curve with explicit derivatives
+ * const profile = CrossSection.square([4, 4], true);
+ * const curvePath = {
+ *   position: (t) => [t * 50, 20 * Math.sin(t * Math.PI), 0],
+ *   derivative: (t) => [50, 20 * Math.PI * Math.cos(t * Math.PI), 0],
+ *   tMin: 0,
+ *   tMax: 1
+ * };
+ * return sweep2(profile, curvePath, { extrudeSegments: 100 });
+ */
+function sweep2(profile, path, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold, CrossSection } = manifoldModule;
+  
+  // Extract path config with defaults
+  const {
+    position,
+    derivative: explicitDerivative,
+    secondDerivative: explicitSecondDerivative,
+    tMin = 0,
+    tMax = 1
+  } = path;
+  
+  // Extract options with defaults
+  const {
+    arcSamples = 1000,
+    extrudeSegments = 64,
+    epsilon = 1e-5
+  } = options;
+  
+  if (typeof position !== 'function') {
+    throw new Error('path.position must be a function');
+  }
+  
+  // Numerical derivative fallback
+  const derivative = explicitDerivative || ((t) => {
+    const p0 = position(t - epsilon);
+    const p1 = position(t + epsilon);
+    return vecMul(1 / (2 * epsilon), vecSub(p1, p0));
+  });
+  
+  const secondDerivative = explicitSecondDerivative || ((t) => {
+    const d0 = derivative(t - epsilon);
+    const d1 = derivative(t + epsilon);
+    return vecMul(1 / (2 * epsilon), vecSub(d1, d0));
+  });
+  
+  // Precompute arc length table using trapezoidal rule
+  const tValues = [];
+  const sValues = [0];
+  const deltaT = (tMax - tMin) / arcSamples;
+  
+  for (let i = 0; i <= arcSamples; i++) {
+    tValues.push(tMin + i * deltaT);
+  }
+  
+  const reportArc = progressSteps(arcSamples, 'Sweeping', 0, 0.2);
+  for (let i = 1; i <= arcSamples; i++) {
+    reportArc(i);
+    const speedPrev = vecNorm(derivative(tValues[i - 1]));
+    const speedCurr = vecNorm(derivative(tValues[i]));
+    const deltaS = (speedPrev + speedCurr) / 2 * deltaT;
+    sValues.push(sValues[i - 1] + deltaS);
+  }
+  
+  const totalLength = sValues[sValues.length - 1];
+  
+  if (totalLength < epsilon) {
+    throw new Error('Path has zero or near-zero length');
+  }
+  
+  // Create straight extrusion to warp
+  const straight = Manifold.extrude(profile, totalLength, extrudeSegments);
+  
+  // Warp function using Frenet-Serret frame
+  const warp = (v) => {
+    let [x, y, s] = v;
+    s = Math.max(0, Math.min(totalLength, s));
+    
+    // Binary search for arc length to parameter mapping
+    let low = 0;
+    let high = sValues.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high + 1) / 2);
+      if (sValues[mid] <= s) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    
+    let i = low;
+    if (i === sValues.length - 1) i--;
+    
+    // Interpolate t value
+    const frac = (s - sValues[i]) / (sValues[i + 1] - sValues[i]);
+    const t = tValues[i] + frac * (tValues[i + 1] - tValues[i]);
+    
+    // Compute Frenet-Serret frame
+    const P = position(t);
+    const TPrime = derivative(t);
+    const speed = vecNorm(TPrime);
+    const T = vecMul(1 / speed, TPrime);
+    
+    // Curvature vector for normal
+    const A = secondDerivative(t);
+    const TDotA = vecDot(T, A);
+    const TDeriv = vecMul(1 / speed, vecSub(A, vecMul(TDotA, T)));
+    const curv = vecNorm(TDeriv);
+    
+    // Normal and binormal
+    let N = curv > 1e-8 ? vecMul(1 / curv, TDeriv) : [1, 0, 0];
+    let B = vecNormalize(vecCross(T, N));
+    
+    // Map local (x, y) to N-B plane
+    const offsetX = x * N[0] + y * B[0];
+    const offsetY = x * N[1] + y * B[1];
+    const offsetZ = x * N[2] + y * B[2];
+    
+    // Assign in-place
+    v[0] = P[0] + offsetX;
+    v[1] = P[1] + offsetY;
+    v[2] = P[2] + offsetZ;
+  };
+  
+  return straight.warp(warp);
+}
+
+/**
+ * Sweep a profile along a path defined by an array of points
+ * 
+ * Convenience wrapper for sweep() that accepts a polyline path.
+ * Internally creates a Catmull-Rom spline through the points.
+ * 
+ * @param {CrossSection} profile - The 2D cross-section to sweep
+ * @param {number[][]} points - Array of [x,y,z] points defining the path (minimum 2 points)
+ * @param {Object} [options] - Sweep options (see sweep())
+ * @param {boolean} [options.closed=false] - Whether the path forms a closed loop
+ * @returns {Manifold} The swept 3D manifold
+ * 
+ * @example
+ * // Sweep along a series of points
+ * const profile = CrossSection.circle(1, 16);
+ * const points = [
+ *   [0, 0, 0],
+ *   [10, 5, 0],
+ *   [20, 0, 10],
+ *   [30, -5, 10]
+ * ];
+ * return sweepPoints(profile, points);
+ */
+function sweepPoints(profile, points, options = {}) {
+  if (!Array.isArray(points) || points.length < 2) {
+    throw new Error('points must be an array of at least 2 [x,y,z] coordinates');
+  }
+  
+  const { closed = false, ...sweepOptions } = options;
+  const n = points.length;
+  
+  // Catmull-Rom spline interpolation
+  const catmullRom = (p0, p1, p2, p3, t) => {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return [
+      0.5 * ((2 * p1[0]) + (-p0[0] + p2[0]) * t + (2 * p0[0] - 5 * p1[0] + 4 * p2[0] - p3[0]) * t2 + (-p0[0] + 3 * p1[0] - 3 * p2[0] + p3[0]) * t3),
+      0.5 * ((2 * p1[1]) + (-p0[1] + p2[1]) * t + (2 * p0[1] - 5 * p1[1] + 4 * p2[1] - p3[1]) * t2 + (-p0[1] + 3 * p1[1] - 3 * p2[1] + p3[1]) * t3),
+      0.5 * ((2 * p1[2]) + (-p0[2] + p2[2]) * t + (2 * p0[2] - 5 * p1[2] + 4 * p2[2] - p3[2]) * t2 + (-p0[2] + 3 * p1[2] - 3 * p2[2] + p3[2]) * t3)
+    ];
+  };
+  
+  const catmullRomDeriv = (p0, p1, p2, p3, t) => {
+    const t2 = t * t;
+    return [
+      0.5 * ((-p0[0] + p2[0]) + 2 * (2 * p0[0] - 5 * p1[0] + 4 * p2[0] - p3[0]) * t + 3 * (-p0[0] + 3 * p1[0] - 3 * p2[0] + p3[0]) * t2),
+      0.5 * ((-p0[1] + p2[1]) + 2 * (2 * p0[1] - 5 * p1[1] + 4 * p2[1] - p3[1]) * t + 3 * (-p0[1] + 3 * p1[1] - 3 * p2[1] + p3[1]) * t2),
+      0.5 * ((-p0[2] + p2[2]) + 2 * (2 * p0[2] - 5 * p1[2] + 4 * p2[2] - p3[2]) * t + 3 * (-p0[2] + 3 * p1[2] - 3 * p2[2] + p3[2]) * t2)
+    ];
+  };
+  
+  // Get control points with proper boundary handling
+  // For open curves, extrapolate phantom points to maintain tangent direction
+  const getPoint = (i) => {
+    if (closed) {
+      return points[((i % n) + n) % n];
+    } else {
+      if (i < 0) {
+        // Extrapolate before start: reflect point[1] across point[0]
+        const idx = -i;
+        if (idx <= n - 1) {
+          return vecSub(vecMul(2, points[0]), points[idx]);
+        }
+        return points[0];
+      } else if (i >= n) {
+        // Extrapolate after end: reflect point[n-2] across point[n-1]
+        const idx = 2 * (n - 1) - i;
+        if (idx >= 0) {
+          return vecSub(vecMul(2, points[n - 1]), points[idx]);
+        }
+        return points[n - 1];
+      }
+      return points[i];
+    }
+  };
+  
+  const numSegments = closed ? n : n - 1;
+  
+  const path = {
+    position: (t) => {
+      // Clamp t to valid range to avoid issues at boundaries
+      t = Math.max(0, Math.min(1, t));
+      const scaledT = t * numSegments;
+      let segment = Math.floor(scaledT);
+      let localT = scaledT - segment;
+      
+      // Handle exact endpoint
+      if (segment >= numSegments) {
+        segment = numSegments - 1;
+        localT = 1;
+      }
+      
+      const p0 = getPoint(segment - 1);
+      const p1 = getPoint(segment);
+      const p2 = getPoint(segment + 1);
+      const p3 = getPoint(segment + 2);
+      
+      return catmullRom(p0, p1, p2, p3, localT);
+    },
+    derivative: (t) => {
+      t = Math.max(0, Math.min(1, t));
+      const scaledT = t * numSegments;
+      let segment = Math.floor(scaledT);
+      let localT = scaledT - segment;
+      
+      if (segment >= numSegments) {
+        segment = numSegments - 1;
+        localT = 1;
+      }
+      
+      const p0 = getPoint(segment - 1);
+      const p1 = getPoint(segment);
+      const p2 = getPoint(segment + 1);
+      const p3 = getPoint(segment + 2);
+      
+      // Scale derivative by numSegments due to chain rule
+      const d = catmullRomDeriv(p0, p1, p2, p3, localT);
+      return vecMul(numSegments, d);
+    },
+    tMin: 0,
+    tMax: 1
+  };
+  
+  return sweep(profile, path, sweepOptions);
+}
+
+// ============================================================================
+// SKETCHES
+// A sketch is a path of lines and arcs drawn from rough positions. Its
+// constraints are solved numerically (damped least squares), which moves the
+// drawn points as little as it can; fillets and mirroring are then applied to
+// the solved path, and arcs are tessellated the way Manifold tessellates
+// circles.
+// ============================================================================
+
+// Largest error a constraint may keep after solving, in mm (the sine of the
+// angle for tangency)
+const SKETCH_TOLERANCE = 1e-6;
+
+const SKETCH_MAX_ITERATIONS = 100;
+
+// Coordinate negated by mirror(), per axis of reflection
+const SKETCH_MIRROR_COORDINATE = { x: 1, y: 0 };
+
+function sub2(a, b) { return [a[0] - b[0], a[1] - b[1]]; }
+function add2(a, b) { return [a[0] + b[0], a[1] + b[1]]; }
+function scale2(s, v) { return [s * v[0], s * v[1]]; }
+function dot2(a, b) { return a[0] * b[0] + a[1] * b[1]; }
+function cross2(a, b) { return a[0] * b[1] - a[1] * b[0]; }
+function norm2(v) { return Math.hypot(v[0], v[1]); }
+function unit2(v) {
+  const len = norm2(v);
+  return len > 0 ? [v[0] / len, v[1] / len] : [0, 0];
+}
+// v turned a quarter turn counterclockwise
+function left2(v) { return [-v[1], v[0]]; }
+
+function formatPoint2(p) {
+  return `[${p[0].toFixed(2)}, ${p[1].toFixed(2)}]`;
+}
+
+function isPoint2(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+}
+
+/**
+ * Unit direction of travel along a line or arc at a point of it
+ * @param {Object} segment - { type, ccw }
+ * @param {number[]} from, to, center - Points of the segment (center of arcs)
+ */
+function travelDirection(segment, from, to, center, at) {
+  if (segment.type === 'line') return segment.dir || unit2(sub2(to, from));
+  const turned = left2(sub2(at, center));
+  return unit2(segment.ccw ? turned : scale2(-1, turned));
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ * @param {Float64Array[]} matrix - Rows of A, overwritten
+ * @param {Float64Array} rhs - b, overwritten
+ */
+function solveLinearSystem(matrix, rhs) {
+  const n = rhs.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+
+    const diagonal = matrix[col][col];
+    for (let row = col + 1; row < n; row++) {
+      const factor = matrix[row][col] / diagonal;
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) matrix[row][k] -= factor * matrix[col][k];
+      rhs[row] -= factor * rhs[col];
+    }
+  }
+
+  const x = new Float64Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rhs[row];
+    for (let k = row + 1; k < n; k++) sum -= matrix[row][k] * x[k];
+    x[row] = sum / matrix[row][row];
+  }
+  return x;
+}
+
+/**
+ * Move points until the constraints hold (Levenberg-Marquardt)
+ *
+ * The damped steps are least-norm, so points that constraints don't need to
+ * move stay where they were drawn.
+ * @param {Float64Array} values - x, y of every point, updated in place
+ * @param {Object[]} constraints - { label, residuals(at) } where at(i) is point i
+ * @throws {Error} Naming the constraint furthest from holding, if they conflict
+ */
+function solveSketch(values, constraints) {
+  const at = (i) => [values[2 * i], values[2 * i + 1]];
+  const evaluate = () => constraints.flatMap(constraint => constraint.residuals(at));
+  const costOf = (residuals) => residuals.reduce((sum, r) => sum + r * r, 0);
+
+  const n = values.length;
+  let residuals = evaluate();
+  let cost = costOf(residuals);
+  let damping = 1e-3;
+
+  for (let iteration = 0; iteration < SKETCH_MAX_ITERATIONS; iteration++) {
+    if (residuals.every(r => Math.abs(r) < SKETCH_TOLERANCE / 10)) break;
+
+    // Central-difference Jacobian
+    const jacobian = residuals.map(() => new Float64Array(n));
+    for (let j = 0; j < n; j++) {
+      const saved = values[j];
+      const step = 1e-7 * Math.max(1, Math.abs(saved));
+      values[j] = saved + step;
+      const plus = evaluate();
+      values[j] = saved - step;
+      const minus = evaluate();
+      values[j] = saved;
+      for (let i = 0; i < residuals.length; i++) {
+        jacobian[i][j] = (plus[i] - minus[i]) / (2 * step);
+      }
+    }
+
+    // Normal equations J^T J and J^T r
+    const normal = Array.from({ length: n }, () => new Float64Array(n));
+    const gradient = new Float64Array(n);
+    jacobian.forEach((row, i) => {
+      for (let j = 0; j < n; j++) {
+        if (row[j] === 0) continue;
+        gradient[j] += row[j] * residuals[i];
+        for (let k = 0; k < n; k++) normal[j][k] += row[j] * row[k];
+      }
+    });
+
+    let improved = false;
+    while (!improved && damping < 1e10) {
+      const damped = normal.map((row, j) => {
+        const copy = Float64Array.from(row);
+        copy[j] += damping;
+        return copy;
+      });
+      const step = solveLinearSystem(damped, gradient.map(g => -g));
+      const saved = Float64Array.from(values);
+      for (let j = 0; j < n; j++) values[j] += step[j];
+
+      const trial = evaluate();
+      const trialCost = costOf(trial);
+      if (trialCost < cost) {
+        residuals = trial;
+        cost = trialCost;
+        damping = Math.max(damping / 10, 1e-9);
+        improved = true;
+      } else {
+        values.set(saved);
+        damping *= 10;
+      }
+    }
+    if (!improved) break;
+  }
+
+  let worst = null;
+  let worstError = SKETCH_TOLERANCE;
+  for (const constraint of constraints) {
+    const error = Math.max(...constraint.residuals(at).map(Math.abs));
+    if (error > worstError) {
+      worst = constraint;
+      worstError = error;
+    }
+  }
+  if (worst) {
+    throw new Error(`sketch constraints can't all be met: ${worst.label} is off by ${worstError.toFixed(3)}`);
+  }
+}
+
+/**
+ * Angle swept by an arc from its start to its end, in its direction, 0..2π
+ */
+function arcSweep(arc) {
+  const start = Math.atan2(arc.from[1] - arc.center[1], arc.from[0] - arc.center[0]);
+  const end = Math.atan2(arc.to[1] - arc.center[1], arc.to[0] - arc.center[0]);
+  const sweep = arc.ccw ? end - start : start - end;
+  return ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+}
+
+/**
+ * Curve a segment's points would follow, offset by a distance to the left
+ * of its travel: a line ({ point, dir }) or a circle ({ center, radius })
+ */
+function offsetCurve(segment, offset) {
+  if (segment.type === 'line') {
+    return { point: add2(segment.from, scale2(offset, left2(segment.dir))), dir: segment.dir };
+  }
+  return { center: segment.center, radius: segment.radius + (segment.ccw ? -offset : offset) };
+}
+
+/**
+ * Intersections of two lines or circles from offsetCurve()
+ */
+function curveIntersections(a, b) {
+  if (a.dir && b.dir) {
+    const denominator = cross2(b.dir, a.dir);
+    if (Math.abs(denominator) < 1e-12) return [];
+    const u = cross2(b.dir, sub2(b.point, a.point)) / denominator;
+    return [add2(a.point, scale2(u, a.dir))];
+  }
+  if (a.dir || b.dir) {
+    const [line, circle] = a.dir ? [a, b] : [b, a];
+    const w = sub2(line.point, circle.center);
+    const half = dot2(line.dir, w);
+    const discriminant = half * half - (dot2(w, w) - circle.radius * circle.radius);
+    if (discriminant < 0 || circle.radius <= 0) return [];
+    const root = Math.sqrt(discriminant);
+    return [-half - root, -half + root].map(u => add2(line.point, scale2(u, line.dir)));
+  }
+  const between = sub2(b.center, a.center);
+  const distance = norm2(between);
+  if (distance < 1e-12 || a.radius <= 0 || b.radius <= 0) return [];
+  const along = (distance * distance + a.radius * a.radius - b.radius * b.radius) / (2 * distance);
+  const across2 = a.radius * a.radius - along * along;
+  if (across2 < 0) return [];
+  const base = add2(a.center, scale2(along / distance, between));
+  const across = scale2(Math.sqrt(across2) / distance, left2(between));
+  return [add2(base, across), sub2(base, across)];
+}
+
+/**
+ * Point of a segment's line or circle nearest a point
+ */
+function footOnSegment(segment, p) {
+  if (segment.type === 'line') {
+    return add2(segment.from, scale2(dot2(sub2(p, segment.from), segment.dir), segment.dir));
+  }
+  return add2(segment.center, scale2(segment.radius, unit2(sub2(p, segment.center))));
+}
+
+/**
+ * Round the corner where segment a ends and segment b starts
+ *
+ * The fillet's center is where the two segments, offset by the radius into
+ * the corner, cross. Both segments are trimmed back to the fillet in place.
+ * @returns {Object|null} The fillet arc, or null where the path doesn't turn
+ */
+function filletCorner(a, b, radius) {
+  const corner = a.to;
+  const incoming = travelDirection(a, a.from, a.to, a.center, corner);
+  const outgoing = travelDirection(b, b.from, b.to, b.center, corner);
+  const turn = cross2(incoming, outgoing);
+  if (Math.abs(turn) < 1e-9 && dot2(incoming, outgoing) > 0) return null;
+
+  // The fillet sits on the inside of the turn: left of travel on left turns
+  const offset = turn > 0 ? radius : -radius;
+  const centers = curveIntersections(offsetCurve(a, offset), offsetCurve(b, offset));
+  if (centers.length === 0) {
+    throw new Error(`fillet() radius ${radius} is too large for the corner at ${formatPoint2(corner)}`);
+  }
+  const center = centers.reduce((best, p) =>
+    norm2(sub2(p, corner)) < norm2(sub2(best, corner)) ? p : best);
+
+  a.to = footOnSegment(a, center);
+  b.from = footOnSegment(b, center);
+  return { type: 'arc', from: a.to, to: b.from, center, radius, ccw: turn > 0, corner };
+}
+
+/**
+ * Points of a closed path of solved segments, with fillets rounded
+ * @param {Object[]} path - { type, from, to, center, ccw, fillet } where
+ *   fillet is the radius at the segment's end
+ * @returns {number[][]} The outline, counterclockwise
+ */
+function tessellateSketch(path, getCircularSegments) {
+  const segments = path.map(segment => {
+    const solved = { ...segment };
+    if (segment.type === 'line') {
+      solved.dir = unit2(sub2(segment.to, segment.from));
+    } else {
+      solved.radius = norm2(sub2(segment.from, segment.center));
+      solved.sweep = arcSweep(segment);
+    }
+    return solved;
+  });
+
+  const rounded = [];
+  segments.forEach((segment, i) => {
+    rounded.push(segment);
+    if (segment.fillet > 0) {
+      const arc = filletCorner(segment, segments[(i + 1) % segments.length], segment.fillet);
+      if (arc) rounded.push(arc);
+    }
+  });
+
+  // Trimming must leave each segment pointing the way it did, and arcs shorter
+  for (const segment of segments) {
+    const fits = segment.type === 'line'
+      ? dot2(sub2(segment.to, segment.from), segment.dir) > -SKETCH_TOLERANCE
+      : arcSweep(segment) <= segment.sweep + 1e-9 || norm2(sub2(segment.to, segment.from)) < SKETCH_TOLERANCE;
+    if (!fits) {
+      const corner = rounded.find(arc => arc.corner && (arc.from === segment.to || arc.to === segment.from));
+      throw new Error(`fillet() radius ${corner?.radius ?? ''} is too large for the corner at ${corner ? formatPoint2(corner.corner) : 'a short segment'}`);
+    }
+  }
+
+  const outline = [];
+  for (const segment of rounded) {
+    if (segment.type === 'line') {
+      outline.push(segment.to);
+      continue;
+    }
+    const sweep = arcSweep(segment);
+    if (sweep < 1e-9) continue;
+    const radius = norm2(sub2(segment.from, segment.center));
+    const start = Math.atan2(segment.from[1] - segment.center[1], segment.from[0] - segment.center[0]);
+    const steps = Math.max(1, Math.ceil(getCircularSegments(radius) * sweep / (2 * Math.PI)));
+    for (let k = 1; k < steps; k++) {
+      const angle = start + (segment.ccw ? 1 : -1) * sweep * k / steps;
+      outline.push([segment.center[0] + radius * Math.cos(angle), segment.center[1] + radius * Math.sin(angle)]);
+    }
+    outline.push(segment.to);
+  }
+
+  // Drop repeated points, then wind counterclockwise
+  const points = outline.filter((p, i) =>
+    norm2(sub2(p, outline[(i + outline.length - 1) % outline.length])) > SKETCH_TOLERANCE);
+  let area = 0;
+  points.forEach((p, i) => { area += cross2(p, points[(i + 1) % points.length]); });
+  return area < 0 ? points.reverse() : points;
+}
+
+/**
+ * Mirror a solved open path across an axis and join the halves into a
+ * closed path, bridging ends that aren't on the axis with lines
+ * @param {number} coordinate - Coordinate the reflection negates
+ * @param {number} startFillet - Fillet radius at the path's start
+ */
+function mirrorSketchPath(path, coordinate, startFillet) {
+  const reflect = (p) => (coordinate === 0 ? [-p[0], p[1]] : [p[0], -p[1]]);
+  const onAxis = (p) => Math.abs(p[coordinate]) < SKETCH_TOLERANCE;
+  const first = path[0];
+  const last = path[path.length - 1];
+
+  // Reversed, each mirrored segment ends where the one before it started
+  const mirrored = path.map((segment, i) => ({
+    type: segment.type,
+    from: reflect(segment.to),
+    to: reflect(segment.from),
+    center: segment.center && reflect(segment.center),
+    ccw: !segment.ccw,
+    fillet: i === 0 ? startFillet : path[i - 1].fillet,
+  })).reverse();
+
+  const joined = [...path];
+  if (onAxis(last.to)) {
+    mirrored[0].from = last.to;
+  } else {
+    joined.push({ type: 'line', from: last.to, to: mirrored[0].from, fillet: last.fillet });
+  }
+  joined.push(...mirrored);
+  if (onAxis(first.from)) {
+    mirrored[mirrored.length - 1].to = first.from;
+  } else {
+    joined.push({ type: 'line', from: mirrored[mirrored.length - 1].to, to: first.from, fillet: startFillet });
+  }
+  return joined;
+}
+
+/**
+ * Start a 2D sketch: a profile of lines and arcs with constraints
+ *
+ * The start point stays put; other points you draw are starting guesses that
+ * constraints move as little as possible. Segments are referred to by tag() name or index (from 0), and
+ * their points as 'name.start', 'name.end' or 'name.center' (arcs); fixed
+ * points are [x, y]. The sketch must end with close() or mirror().
+ *
+ * @param {number[]} [start=[0, 0]] - Start point
+ * @returns {Object} The sketch; drawing and constraint methods return it for chaining
+ *
+ * @example
+ * // An L-bracket profile with a rounded inside corner and a round top
+ * const profile = sketch([0, 0])
+ *   .hLine(40)
+ *   .vLine(8)
+ *   .lineTo([12, 9]).tag('ledge').fillet(4)
+ *   .lineTo([11, 30]).tag('upright')
+ *   .tangentArcTo([0, 30])
+ *   .close()
+ *   .horizontal('ledge')
+ *   .distance('ledge', 28)
+ *   .vertical('upright')
+ *   .toCrossSection();
+ * return Manifold.extrude(profile, 20);
+ */
+function sketch(start = [0, 0]) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  if (!isPoint2(start)) throw new Error('sketch() start must be an [x, y] point');
+
+  const points = [[start[0], start[1]]];   // vertices and arc centers, as drawn
+  const segments = [];                     // { type, from, to, center, ccw, tag }
+  const constraints = [{                  // { label, residuals(at) }
+    label: `sketch(${JSON.stringify(start)}) start`,
+    residuals: (at) => sub2(at(0), start),
+  }];
+  const fillets = new Map();               // vertex -> radius
+  let current = 0;
+  let closed = false;
+  let mirrorCoordinate = null;
+
+  const label = (method, args) =>
+    `${method}(${args.map(arg => JSON.stringify(arg)).join(', ')})`;
+
+  const addPoint = (p) => points.push([p[0], p[1]]) - 1;
+
+  const checkOpen = (method) => {
+    if (closed) throw new Error(`${method}() can't draw on a sketch that is already closed`);
+  };
+
+  const checkEnd = (end, method) => {
+    if (!isPoint2(end)) throw new Error(`${method}() needs an [x, y] end point`);
+    if (norm2(sub2(end, points[current])) < SKETCH_TOLERANCE) {
+      throw new Error(`${method}() ends where it starts, at ${formatPoint2(end)}`);
+    }
+  };
+
+  const findSegment = (ref, method) => {
+    const index = typeof ref === 'number' ? ref : segments.findIndex(segment => segment.tag === ref);
+    if (!segments[index]) {
+      throw new Error(`${method}() can't find the segment ${JSON.stringify(ref)}`);
+    }
+    return segments[index];
+  };
+
+  // A point reference as a function of the solver's point lookup
+  const findPoint = (ref, method) => {
+    if (isPoint2(ref)) return () => ref;
+    const match = typeof ref === 'string' && ref.match(/^(.+)\.(start|end|center)$/);
+    if (!match) {
+      throw new Error(`${method}() points are 'name.start', 'name.end', 'name.center' or [x, y], not ${JSON.stringify(ref)}`);
+    }
+    const segment = findSegment(/^\d+$/.test(match[1]) ? Number(match[1]) : match[1], method);
+    if (match[2] === 'center' && segment.type !== 'arc') {
+      throw new Error(`${method}() ${JSON.stringify(ref)}: lines have no center`);
+    }
+    const key = { start: 'from', end: 'to', center: 'center' }[match[2]];
+    return (at) => at(segment[key]);
+  };
+
+  // Two points, or the ends of one line segment
+  const findPair = (a, b, method) => {
+    if (b !== undefined) return [findPoint(a, method), findPoint(b, method)];
+    const segment = findSegment(a, method);
+    if (segment.type !== 'line') throw new Error(`${method}() needs a line, or two points`);
+    return [(at) => at(segment.from), (at) => at(segment.to)];
+  };
+
+  const addSegment = (segment) => {
+    segments.push(segment);
+    current = segment.to;
+    if (segment.type === 'arc') {
+      constraints.push({
+        label: `arc ${segments.length - 1}`,
+        residuals: (at) => [norm2(sub2(at(segment.from), at(segment.center))) - norm2(sub2(at(segment.to), at(segment.center)))],
+      });
+    }
+  };
+
+  const addTangency = (a, b, method, args) => {
+    const vertex = a.to === b.from ? a.to : b.to === a.from ? b.to : null;
+    if (vertex === null) throw new Error(`${method}() segments must meet end to start`);
+    const [incoming, outgoing] = a.to === vertex ? [a, b] : [b, a];
+    const direction = (segment, at) =>
+      travelDirection(segment, at(segment.from), at(segment.to), segment.center !== undefined ? at(segment.center) : null, at(vertex));
+    constraints.push({
+      label: label(method, args),
+      residuals: (at) => [cross2(direction(incoming, at), direction(outgoing, at))],
+    });
+  };
+
+  const api = {
+    /** Line to an absolute point */
+    lineTo(end) {
+      checkOpen('lineTo');
+      checkEnd(end, 'lineTo');
+      addSegment({ type: 'line', from: current, to: addPoint(end) });
+      return api;
+    },
+
+    /** Line by a relative [dx, dy] */
+    line(delta) {
+      if (!isPoint2(delta)) throw new Error('line() needs a [dx, dy] offset');
+      return api.lineTo(add2(points[current], delta));
+    },
+
+    /** Horizontal line by a signed length */
+    hLine(length) {
+      if (!Number.isFinite(length)) throw new Error('hLine() needs a length in mm');
+      api.line([length, 0]);
+      return api.horizontal(segments.length - 1);
+    },
+
+    /** Vertical line by a signed length */
+    vLine(length) {
+      if (!Number.isFinite(length)) throw new Error('vLine() needs a length in mm');
+      api.line([0, length]);
+      return api.vertical(segments.length - 1);
+    },
+
+    /**
+     * Arc to an absolute point, counterclockwise unless options.clockwise,
+     * given options.radius (fixed; options.large picks the long way round)
+     * or options.center (a guess; the radius is free)
+     */
+    arcTo(end, options = {}) {
+      checkOpen('arcTo');
+      checkEnd(end, 'arcTo');
+      const { radius, center, clockwise = false, large = false } = options;
+      const from = points[current];
+
+      let centerGuess;
+      if (isPoint2(center)) {
+        centerGuess = center;
+      } else if (typeof radius === 'number' && radius > 0) {
+        const chord = sub2(end, from);
+        const half = norm2(chord) / 2;
+        if (radius < half - SKETCH_TOLERANCE) {
+          throw new Error(`arcTo() radius ${radius} is too small to reach ${formatPoint2(end)}`);
+        }
+        const rise = Math.sqrt(Math.max(0, radius * radius - half * half));
+        const side = clockwise === large ? 1 : -1;
+        centerGuess = add2(scale2(0.5, add2(from, end)), scale2(side * rise, unit2(left2(chord))));
+      } else {
+        throw new Error('arcTo() needs options.radius or options.center');
+      }
+
+      const segment = { type: 'arc', from: current, to: addPoint(end), center: addPoint(centerGuess), ccw: !clockwise };
+      addSegment(segment);
+      if (!isPoint2(center)) {
+        constraints.push({
+          label: `arcTo(${formatPoint2(end)}) radius`,
+          residuals: (at) => [norm2(sub2(at(segment.from), at(segment.center))) - radius],
+        });
+      }
+      return api;
+    },
+
+    /** Arc to an absolute point, continuing smoothly from the last segment */
+    tangentArcTo(end) {
+      checkOpen('tangentArcTo');
+      checkEnd(end, 'tangentArcTo');
+      const previous = segments[segments.length - 1];
+      if (!previous) throw new Error('tangentArcTo() needs a segment before it');
+
+      const from = points[current];
+      const heading = travelDirection(previous, points[previous.from], points[previous.to],
+        previous.center !== undefined ? points[previous.center] : null, from);
+      const chord = sub2(end, from);
+      const across = dot2(left2(heading), chord);
+      if (Math.abs(across) < SKETCH_TOLERANCE) {
+        throw new Error(`tangentArcTo() ${formatPoint2(end)} is straight ahead; use lineTo()`);
+      }
+      // Center on the normal through the start, as far from the end as from the start
+      const reach = dot2(chord, chord) / (2 * across);
+      const segment = {
+        type: 'arc',
+        from: current,
+        to: addPoint(end),
+        center: addPoint(add2(from, scale2(reach, left2(heading)))),
+        ccw: reach > 0,
+      };
+      addSegment(segment);
+      addTangency(previous, segment, 'tangentArcTo', [end]);
+      return api;
+    },
+
+    /** Close the path with a line back to the start, unless it is already there */
+    close() {
+      checkOpen('close');
+      if (segments.length < 2) throw new Error('close() needs at least two segments');
+      if (norm2(sub2(points[current], points[0])) < SKETCH_TOLERANCE) {
+        if (fillets.has(current)) fillets.set(0, fillets.get(current));
+        segments[segments.length - 1].to = 0;
+      } else {
+        addSegment({ type: 'line', from: current, to: 0 });
+      }
+      current = 0;
+      closed = true;
+      return api;
+    },
+
+    /**
+     * Close the path with its mirror image across the x or y axis, so only
+     * half of a symmetric profile needs drawing (and constraining)
+     */
+    mirror(axis = 'y') {
+      checkOpen('mirror');
+      if (!(axis in SKETCH_MIRROR_COORDINATE)) throw new Error(`mirror() axis must be 'x' or 'y'`);
+      if (segments.length === 0) throw new Error('mirror() needs at least one segment');
+      mirrorCoordinate = SKETCH_MIRROR_COORDINATE[axis];
+      closed = true;
+      return api;
+    },
+
+    /** Name the last segment, for constraints */
+    tag(name) {
+      const segment = segments[segments.length - 1];
+      if (!segment) throw new Error('tag() needs a segment before it');
+      if (typeof name !== 'string' || !name || name.includes('.') || /^\d+$/.test(name)) {
+        throw new Error('tag() name must be a string with no dots, and not a number');
+      }
+      if (segments.some(other => other.tag === name)) throw new Error(`tag() '${name}' is already used`);
+      segment.tag = name;
+      return api;
+    },
+
+    /** Round the corner at the current point (the start, once closed) */
+    fillet(radius) {
+      if (typeof radius !== 'number' || !(radius > 0)) {
+        throw new Error('fillet() radius must be a positive number of mm');
+      }
+      fillets.set(current, radius);
+      return api;
+    },
+
+    /** Make a line, or the line between two points, horizontal */
+    horizontal(a, b) {
+      const [p, q] = findPair(a, b, 'horizontal');
+      constraints.push({ label: label('horizontal', [a, b].filter(x => x !== undefined)), residuals: (at) => [q(at)[1] - p(at)[1]] });
+      return api;
+    },
+
+    /** Make a line, or the line between two points, vertical */
+    vertical(a, b) {
+      const [p, q] = findPair(a, b, 'vertical');
+      constraints.push({ label: label('vertical', [a, b].filter(x => x !== undefined)), residuals: (at) => [q(at)[0] - p(at)[0]] });
+      return api;
+    },
+
+    /** Make two segments that meet continue smoothly */
+    tangent(a, b) {
+      addTangency(findSegment(a, 'tangent'), findSegment(b, 'tangent'), 'tangent', [a, b]);
+      return api;
+    },
+
+    /** Set the distance between two points, a line's length or an arc's radius */
+    distance(a, b, value) {
+      if (value === undefined) {
+        const segment = findSegment(a, 'distance');
+        const target = b;
+        if (typeof target !== 'number' || !(target > 0)) throw new Error('distance() must be a positive number of mm');
+        const far = segment.type === 'line' ? segment.to : segment.center;
+        constraints.push({
+          label: label('distance', [a, b]),
+          residuals: (at) => [norm2(sub2(at(far), at(segment.from))) - target],
+        });
+        return api;
+      }
+      if (typeof value !== 'number' || !(value >= 0)) throw new Error('distance() must be a number of mm, zero or more');
+      const p = findPoint(a, 'distance');
+      const q = findPoint(b, 'distance');
+      constraints.push({
+        label: label('distance', [a, b, value]),
+        residuals: (at) => [norm2(sub2(q(at), p(at))) - value],
+      });
+      return api;
+    },
+
+    /** Make two points the same, or pin a point to [x, y] */
+    coincident(a, b) {
+      const p = findPoint(a, 'coincident');
+      const q = findPoint(b, 'coincident');
+      constraints.push({ label: label('coincident', [a, b]), residuals: (at) => sub2(q(at), p(at)) });
+      return api;
+    },
+
+    /** Solve the constraints and return the outline as [x, y] points, counterclockwise */
+    toPolygon() {
+      if (!closed) throw new Error('sketch must be closed with close() or mirror() first');
+
+      const values = Float64Array.from(points.flat());
+      solveSketch(values, constraints);
+      const at = (i) => [values[2 * i], values[2 * i + 1]];
+
+      let path = segments.map(segment => ({
+        type: segment.type,
+        from: at(segment.from),
+        to: at(segment.to),
+        center: segment.center !== undefined ? at(segment.center) : undefined,
+        ccw: segment.ccw,
+        fillet: fillets.get(segment.to) || 0,
+      }));
+      if (mirrorCoordinate !== null) {
+        path = mirrorSketchPath(path, mirrorCoordinate, fillets.get(0) || 0);
+      }
+      return tessellateSketch(path, manifoldModule.getCircularSegments);
+    },
+
+    /** Solve the constraints and return the profile */
+    toCrossSection() {
+      return new manifoldModule.CrossSection([api.toPolygon()]);
+    },
+  };
+
+  return api;
+}
+
+// ============================================================================
+// FILLETS AND CHAMFERS
+// Edges are found on the mesh: triangles are grouped into flat faces the way
+// the viewport's single-click face selection does (connected, same normal),
+// and a sharp edge is where two faces meet at more than a minimum angle.
+// Each selected edge gets a prism with the fillet or chamfer profile, cut
+// away on convex edges and added on concave ones.
+// ============================================================================
+
+// Least angle between face normals for an edge to count as sharp; keeps the
+// facets of tessellated curves out of the selection by default
+const SHARP_EDGE_DEGREES = 20;
+
+// Element-wise tolerance for triangles to be on the same face (as selectFace.js)
+const FACE_NORMAL_THRESHOLD = 0.001;
+
+// Angular tolerance for direction and face selectors
+const SELECTOR_TOLERANCE_DEGREES = 1;
+
+// Distance tolerance for region and face selectors, in mm
+const SELECTOR_DISTANCE_TOLERANCE = 0.01;
+
+const EDGE_SELECTOR_KEYS = ['direction', 'within', 'face', 'faces', 'convex', 'minAngle'];
+
+const AXIS_DIRECTIONS = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+
+/**
+ * Flat faces and sharp edges of a manifold
+ * @returns {{ faces: Object[], edges: Object[] }} Faces hold { normal, centroid,
+ *   vertices }; edges are described at fillet()
+ */
+function findSharpEdges(manifold, minAngle) {
+  const { positions, tris, edgeTris } = weldMesh(manifold);
+  const faces = groupFaces(positions, tris, edgeTris);
+
+  // Collect mesh edges between faces meeting at a sharp angle, by face pair
+  const cosLimit = Math.cos(minAngle * Math.PI / 180);
+  const pairs = new Map();
+  for (const [key, [t1, t2]] of edgeTris) {
+    if (t2 === undefined) continue;
+    const [f1, f2] = [tris[t1].face, tris[t2].face];
+    if (f1 === f2 || vecDot(faces[f1].normal, faces[f2].normal) > cosLimit) continue;
+
+    const [fa, fb, ta, tb] = f1 < f2 ? [f1, f2, t1, t2] : [f2, f1, t2, t1];
+    const pairKey = `${fa}-${fb}`;
+    if (!pairs.has(pairKey)) pairs.set(pairKey, { faces: [fa, fb], tris: [ta, tb], segments: [] });
+    pairs.get(pairKey).segments.push(key.split('-').map(Number));
+  }
+
+  // Merge each pair's collinear segments into straight edges
+  const edges = [];
+  for (const pair of pairs.values()) {
+    const [faceA, faceB] = pair.faces.map(f => faces[f]);
+    const direction = vecNormalize(vecCross(faceA.normal, faceB.normal));
+    const origin = positions[pair.segments[0][0]];
+    const intervals = pair.segments
+      .map(([a, b]) => [a, b].map(v => vecDot(vecSub(positions[v], origin), direction)).sort((x, y) => x - y))
+      .sort((x, y) => x[0] - y[0]);
+
+    const merged = [intervals[0]];
+    for (const [s0, s1] of intervals.slice(1)) {
+      const last = merged[merged.length - 1];
+      if (s0 <= last[1] + 1e-6) {
+        last[1] = Math.max(last[1], s1);
+      } else {
+        merged.push([s0, s1]);
+      }
+    }
+
+    // Directions into each face, away from the edge, from a triangle's third vertex
+    const [tangentA, tangentB] = pair.tris.map((t, i) => {
+      const normal = faces[pair.faces[i]].normal;
+      const tangent = vecNormalize(vecCross(normal, direction));
+      const third = tris[t].verts.map(v => positions[v]).reduce((best, p) =>
+        Math.abs(vecDot(vecSub(p, origin), tangent)) > Math.abs(vecDot(vecSub(best, origin), tangent)) ? p : best
+      );
+      return vecDot(vecSub(third, origin), tangent) < 0 ? vecMul(-1, tangent) : tangent;
+    });
+    const convex = vecDot(tangentB, faceA.normal) < 0;
+
+    for (const [s0, s1] of merged) {
+      const start = vecAdd(origin, vecMul(s0, direction));
+      const end = vecAdd(origin, vecMul(s1, direction));
+      edges.push({
+        start,
+        end,
+        direction,
+        length: s1 - s0,
+        normals: [faceA.normal, faceB.normal],
+        convex,
+        angle: Math.acos(Math.max(-1, Math.min(1, vecDot(faceA.normal, faceB.normal)))) * 180 / Math.PI,
+        faces: pair.faces,
+        tangents: [tangentA, tangentB],
+      });
+    }
+  }
+
+  return { faces, edges };
+}
+
+function edgeKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+/**
+ * Mesh of a manifold with vertices welded by position, so triangles split
+ * by properties still share edges
+ * @returns {{ positions: number[][], tris: Object[], edgeTris: Map }}
+ *   tris hold { verts, normal, area, face };
+ *   edgeTris maps edgeKey() of welded vertices to the triangles sharing the edge
+ */
+function weldMesh(manifold) {
+  const { numProp, vertProperties, triVerts } = manifold.getMesh();
+
+  const positions = [];
+  const vertIndex = new Map();
+  const remap = new Uint32Array(vertProperties.length / numProp);
+  for (let v = 0; v < remap.length; v++) {
+    const p = [vertProperties[v * numProp], vertProperties[v * numProp + 1], vertProperties[v * numProp + 2]];
+    const key = p.map(x => x.toFixed(6)).join(',');
+    if (!vertIndex.has(key)) {
+      vertIndex.set(key, positions.length);
+      positions.push(p);
+    }
+    remap[v] = vertIndex.get(key);
+  }
+
+  const tris = [];
+  const edgeTris = new Map();
+  for (let t = 0; t < triVerts.length / 3; t++) {
+    const verts = [remap[triVerts[t * 3]], remap[triVerts[t * 3 + 1]], remap[triVerts[t * 3 + 2]]];
+    const [a, b, c] = verts.map(v => positions[v]);
+    const cross = vecCross(vecSub(b, a), vecSub(c, a));
+    tris.push({ verts, normal: vecNormalize(cross), area: vecNorm(cross) / 2, face: -1 });
+    for (let i = 0; i < 3; i++) {
+      const key = edgeKey(verts[i], verts[(i + 1) % 3]);
+      if (!edgeTris.has(key)) edgeTris.set(key, []);
+      edgeTris.get(key).push(t);
+    }
+  }
+
+  return { positions, tris, edgeTris };
+}
+
+/**
+ * Group connected triangles with the same normal into flat faces, setting
+ * each triangle's face index
+ * @returns {Object[]} Faces with { normal, centroid, area, vertices, triangles }
+ */
+function groupFaces(positions, tris, edgeTris) {
+  const sameNormal = (n1, n2) => n1.every((x, i) => Math.abs(x - n2[i]) < FACE_NORMAL_THRESHOLD);
+  const faces = [];
+  for (let seed = 0; seed < tris.length; seed++) {
+    if (tris[seed].face !== -1) continue;
+
+    const face = { normal: tris[seed].normal, centroid: [0, 0, 0], area: 0, vertices: new Set(), triangles: [] };
+    const index = faces.length;
+    faces.push(face);
+    tris[seed].face = index;
+
+    const toVisit = [seed];
+    while (toVisit.length > 0) {
+      const t = toVisit.pop();
+      const { verts, area } = tris[t];
+      const centroid = vecMul(1 / 3, vecAdd(vecAdd(positions[verts[0]], positions[verts[1]]), positions[verts[2]]));
+      face.centroid = vecAdd(face.centroid, vecMul(area, centroid));
+      face.area += area;
+      face.triangles.push(t);
+      verts.forEach(v => face.vertices.add(v));
+
+      for (let i = 0; i < 3; i++) {
+        for (const neighbour of edgeTris.get(edgeKey(verts[i], verts[(i + 1) % 3]))) {
+          if (tris[neighbour].face === -1 && sameNormal(tris[neighbour].normal, face.normal)) {
+            tris[neighbour].face = index;
+            toVisit.push(neighbour);
+          }
+        }
+      }
+    }
+    face.centroid = face.area > 0 ? vecMul(1 / face.area, face.centroid) : positions[tris[seed].verts[0]];
+    face.vertices = [...face.vertices].map(v => positions[v]);
+  }
+  return faces;
+}
+
+/**
+ * Index of the face best matching a face selected in the viewport
+ * ({ center, normal }): same plane, centroid closest to the given center
+ */
+function findFace(faces, { center, normal }, name) {
+  if (!Array.isArray(center) || !Array.isArray(normal)) {
+    throw new Error(`${name}() face selector needs { center: [x, y, z], normal: [x, y, z] }, as shown for the selected face`);
+  }
+
+  const n = vecNormalize(normal);
+  const cosLimit = Math.cos(SELECTOR_TOLERANCE_DEGREES * Math.PI / 180);
+  let best = -1;
+  let bestDistance = Infinity;
+  faces.forEach((face, index) => {
+    if (vecDot(face.normal, n) < cosLimit) return;
+    if (Math.abs(vecDot(vecSub(center, face.centroid), face.normal)) > SELECTOR_DISTANCE_TOLERANCE) return;
+
+    const distance = vecNorm(vecSub(center, face.centroid));
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+
+  if (best === -1) {
+    throw new Error(`${name}() found no face with normal [${normal.join(', ')}] through [${center.join(', ')}]`);
+  }
+  return best;
+}
+
+/**
+ * Edges picked by a fillet() or chamfer() selector
+ */
+function selectEdges(edges, faces, selector, name) {
+  if (selector === undefined || selector === null || selector === 'all') return edges;
+  if (typeof selector === 'function') return edges.filter(edge => selector(edge));
+  if (typeof selector !== 'object' || Array.isArray(selector)) {
+    throw new Error(`${name}() edges must be 'all', a function, or an object with ${EDGE_SELECTOR_KEYS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(selector).filter(key => !EDGE_SELECTOR_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${name}() unknown edge selector ${unknown.join(', ')}; use ${EDGE_SELECTOR_KEYS.join(', ')}`);
+  }
+
+  let selected = edges;
+
+  if (selector.direction !== undefined) {
+    const direction = typeof selector.direction === 'string'
+      ? AXIS_DIRECTIONS[selector.direction.toLowerCase()]
+      : selector.direction;
+    if (!direction) {
+      throw new Error(`${name}() direction must be 'x', 'y', 'z' or a vector [x, y, z]`);
+    }
+    const n = vecNormalize(direction);
+    const cosLimit = Math.cos(SELECTOR_TOLERANCE_DEGREES * Math.PI / 180);
+    selected = selected.filter(edge => Math.abs(vecDot(edge.direction, n)) >= cosLimit);
+  }
+
+  if (selector.within !== undefined) {
+    const { min, max } = selector.within;
+    if (!Array.isArray(min) || !Array.isArray(max)) {
+      throw new Error(`${name}() within needs a box { min: [x, y, z], max: [x, y, z] }`);
+    }
+    const inside = (p) => p.every((x, i) =>
+      x >= min[i] - SELECTOR_DISTANCE_TOLERANCE && x <= max[i] + SELECTOR_DISTANCE_TOLERANCE
+    );
+    selected = selected.filter(edge => inside(edge.start) && inside(edge.end));
+  }
+
+  if (selector.face !== undefined || selector.faces !== undefined) {
+    const picked = [...(selector.face ? [selector.face] : []), ...(selector.faces || [])]
+      .map(face => findFace(faces, face, name));
+    selected = selected.filter(edge => edge.faces.some(face => picked.includes(face)));
+  }
+
+  if (selector.convex !== undefined) {
+    selected = selected.filter(edge => edge.convex === Boolean(selector.convex));
+  }
+
+  return selected;
+}
+
+/**
+ * How far a face reaches from an edge, along the face
+ */
+function faceWidth(face, edge, tangent) {
+  return Math.max(...face.vertices.map(p => vecDot(vecSub(p, edge.start), tangent)));
+}
+
+const formatPoint = (p) => `[${p.map(x => +x.toFixed(2)).join(', ')}]`;
+
+/**
+ * Check a fillet or chamfer fits the faces beside each edge, alone and next
+ * to the treatment of the opposite edge of the same face
+ * @param {Function} setbackOf - Distance the treatment takes from each face of an edge
+ */
+function checkSetbacks(edges, faces, setbackOf, name, what, value) {
+  const tooLarge = (edge, needed, available) => new Error(
+    `${name}() ${what} ${value} is too large for the edge from ${formatPoint(edge.start)} to ${formatPoint(edge.end)}: ` +
+    `it needs ${needed.toFixed(2)} mm of face but only ${available.toFixed(2)} mm is available`
+  );
+
+  for (const edge of edges) {
+    const setback = setbackOf(edge);
+    edge.faces.forEach((f, i) => {
+      const width = faceWidth(faces[f], edge, edge.tangents[i]);
+      if (setback > width + 1e-9) throw tooLarge(edge, setback, width);
+    });
+  }
+
+  // Treatments on opposite, parallel edges of one face must not overlap
+  const cosLimit = Math.cos(SELECTOR_TOLERANCE_DEGREES * Math.PI / 180);
+  edges.forEach((edge, i) => {
+    edges.slice(i + 1).forEach(other => {
+      if (Math.abs(vecDot(edge.direction, other.direction)) < cosLimit) return;
+
+      edge.faces.forEach((f, side) => {
+        const otherSide = other.faces.indexOf(f);
+        if (otherSide === -1) return;
+        const tangent = edge.tangents[side];
+        if (vecDot(tangent, other.tangents[otherSide]) > -cosLimit) return;
+
+        const gap = vecDot(vecSub(other.start, edge.start), tangent);
+        const needed = setbackOf(edge) + setbackOf(other);
+        if (needed > gap + 1e-9) throw tooLarge(edge, needed, gap);
+      });
+    });
+  });
+}
+
+/**
+ * Prism along an edge with a corner profile, in the plane across the edge
+ *
+ * The profile is drawn with face A along +X and face B at the interior angle
+ * from it; innerPoints run from face A to face B. It reaches slightly past
+ * the faces and the edge ends so booleans don't leave slivers.
+ */
+function edgePrism(edge, innerPoints, overlap) {
+  const { CrossSection } = manifoldModule;
+  const [tangentA, tangentB] = edge.tangents;
+  const theta = Math.acos(Math.max(-1, Math.min(1, vecDot(tangentA, tangentB))));
+  const first = innerPoints[0];
+  const last = innerPoints[innerPoints.length - 1];
+
+  const profile = new CrossSection([[
+    [-overlap * Math.cos(theta / 2), -overlap * Math.sin(theta / 2)],
+    [first[0], first[1] - overlap],
+    ...innerPoints,
+    [last[0] - overlap * Math.sin(theta), last[1] + overlap * Math.cos(theta)],
+  ]]);
+
+  const axisX = tangentA;
+  const axisY = vecNormalize(vecSub(tangentB, vecMul(vecDot(tangentB, tangentA), tangentA)));
+  const axisZ = vecCross(axisX, axisY);
+  const base = vecDot(axisZ, edge.direction) > 0 ? edge.start : edge.end;
+  const origin = vecSub(base, vecMul(overlap, axisZ));
+
+  return profile.extrude(edge.length + 2 * overlap).transform([
+    ...axisX, 0,
+    ...axisY, 0,
+    ...axisZ, 0,
+    ...origin, 1,
+  ]);
+}
+
+/**
+ * Apply corner prisms: cut from convex edges, add to concave ones
+ */
+function applyEdgePrisms(manifold, edges, prismOf) {
+  const { Manifold } = manifoldModule;
+  const cutters = edges.filter(edge => edge.convex).map(prismOf);
+  const fillers = edges.filter(edge => !edge.convex).map(prismOf);
+
+  let result = manifold;
+  if (cutters.length > 0) result = result.subtract(Manifold.union(cutters));
+  if (fillers.length > 0) result = result.add(Manifold.union(fillers));
+  return result;
+}
+
+/**
+ * Interior angle between the faces of an edge, in radians
+ */
+function edgeInteriorAngle(edge) {
+  return Math.acos(Math.max(-1, Math.min(1, vecDot(edge.tangents[0], edge.tangents[1]))));
+}
+
+/**
+ * Edges of a manifold picked by a selector, checked for fillet() and chamfer()
+ */
+function findTreatedEdges(manifold, selector, name) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  if (!manifold || typeof manifold.getMesh !== 'function') {
+    throw new Error(`${name}() needs a Manifold as its first argument`);
+  }
+
+  const minAngle = selector && typeof selector === 'object' && selector.minAngle !== undefined
+    ? selector.minAngle
+    : SHARP_EDGE_DEGREES;
+  const { faces, edges } = findSharpEdges(manifold, minAngle);
+  const selected = selectEdges(edges, faces, selector, name);
+  if (selected.length === 0) {
+    throw new Error(`${name}() found no sharp edges matching the selector`);
+  }
+  return { faces, edges: selected };
+}
+
+/**
+ * Round edges of a manifold
+ *
+ * Convex edges are rounded off and concave edges filled in with a circular
+ * arc tangent to both faces. Corners where several filleted edges meet are
+ * blended by each edge separately rather than rounded as a sphere.
+ *
+ * Edges (straight lines where two flat faces meet at 20° or more) are picked
+ * by the selector:
+ * - 'all' or omitted: every sharp edge
+ * - { direction: 'z' } or [x, y, z]: edges parallel to a direction
+ * - { within: { min, max } }: edges inside a box (getDimensions() output works)
+ * - { face: { center, normal } } or { faces: [...] }: edges around a face, as
+ *   shown for the face selected in the viewport
+ * - { convex: true } / { convex: false }: only outside or inside edges
+ * - { minAngle: 10 }: count shallower edges as sharp
+ * - edge => boolean: any test on { start, end, direction, length, normals, convex, angle }
+ * Keys of one selector object must all match.
+ *
+ * @param {Manifold} manifold - The manifold to round
+ * @param {number} radius - Fillet radius in mm
+ * @param {string|Object|Function} [edges='all'] - Edge selector
+ * @returns {Manifold} The filleted manifold
+ * @throws {Error} If no edge matches or the radius doesn't fit beside an edge
+ *
+ * @example
+ * // Round the vertical edges of a plate and the edges of its top face
+ * const plate = Manifold.cube([60, 40, 8]);
+ * const rounded = fillet(plate, 5, { direction: 'z' });
+ * return fillet(rounded, 1, { face: { center: [30, 20, 8], normal: [0, 0, 1] } });
+ */
+function fillet(manifold, radius, edges = 'all') {
+  if (typeof radius !== 'number' || !(radius > 0)) {
+    throw new Error('fillet() radius must be a positive number of mm');
+  }
+
+  const { faces, edges: selected } = findTreatedEdges(manifold, edges, 'fillet');
+  const { getCircularSegments } = manifoldModule;
+  const setbackOf = (edge) => radius / Math.tan(edgeInteriorAngle(edge) / 2);
+  checkSetbacks(selected, faces, setbackOf, 'fillet', 'radius', radius);
+
+  return applyEdgePrisms(manifold, selected, (edge) => {
+    const theta = edgeInteriorAngle(edge);
+    const setback = setbackOf(edge);
+
+    // Arc around the center (setback, radius) from face A to face B
+    const sweepAngle = Math.PI - theta;
+    const segments = Math.max(2, Math.ceil(getCircularSegments(radius) * sweepAngle / (2 * Math.PI)));
+    const arc = [];
+    for (let i = 0; i <= segments; i++) {
+      const angle = -Math.PI / 2 - sweepAngle * i / segments;
+      arc.push([setback + radius * Math.cos(angle), radius + radius * Math.sin(angle)]);
+    }
+
+    return edgePrism(edge, arc, radius * 0.01);
+  });
+}
+
+/**
+ * Bevel edges of a manifold
+ *
+ * Convex edges are cut off and concave edges filled in with a flat face
+ * meeting each face `distance` from the edge. Edges are picked as for fillet().
+ *
+ * @param {Manifold} manifold - The manifold to bevel
+ * @param {number} distance - Distance from the edge along each face, in mm
+ * @param {string|Object|Function} [edges='all'] - Edge selector, see fillet()
+ * @returns {Manifold} The chamfered manifold
+ * @throws {Error} If no edge matches or the distance doesn't fit beside an edge
+ *
+ * @example
+ * // 45° chamfer around the top of a box
+ * const box = Manifold.cube([30, 30, 20]);
+ * return chamfer(box, 2, { face: { center: [15, 15, 20], normal: [0, 0, 1] } });
+ */
+function chamfer(manifold, distance, edges = 'all') {
+  if (typeof distance !== 'number' || !(distance > 0)) {
+    throw new Error('chamfer() distance must be a positive number of mm');
+  }
+
+  const { faces, edges: selected } = findTreatedEdges(manifold, edges, 'chamfer');
+  checkSetbacks(selected, faces, () => distance, 'chamfer', 'distance', distance);
+
+  return applyEdgePrisms(manifold, selected, (edge) => {
+    const theta = edgeInteriorAngle(edge);
+    return edgePrism(edge, [
+      [distance, 0],
+      [distance * Math.cos(theta), distance * Math.sin(theta)],
+    ], distance * 0.01);
+  });
+}
+
+// ============================================================================
+// OFFSETS AND SHELLS
+// Surfaces are offset by moving each vertex so it stays the offset distance
+// from every face around it: flat faces move exactly, sharp edges and
+// corners stay sharp (mitred), and curved surfaces move along their normal.
+// ============================================================================
+
+// Distance from an open face the cavity of shell() reaches past it, in
+// multiples of the wall thickness
+const OPEN_FACE_REACH = 2;
+
+/**
+ * Displacement of each welded vertex for an offset of the surface
+ *
+ * Normals of the triangles around a vertex are clustered (within the sharp
+ * edge angle, among triangles offset by the same distance) and the
+ * displacement solved so it moves each cluster's distance along its normal.
+ * @param {number[]} distances - Offset of each triangle
+ */
+function vertexOffsets(positions, tris, distances) {
+  const cosLimit = Math.cos(SHARP_EDGE_DEGREES * Math.PI / 180);
+  const clusters = positions.map(() => []);
+  tris.forEach(({ verts, normal, area }, t) => {
+    if (!(area > 0)) return;
+    const distance = distances[t];
+    for (const v of verts) {
+      const cluster = clusters[v].find(c =>
+        c.distance === distance && vecDot(vecNormalize(c.sum), normal) >= cosLimit
+      );
+      if (cluster) {
+        cluster.sum = vecAdd(cluster.sum, vecMul(area, normal));
+      } else {
+        clusters[v].push({ sum: vecMul(area, normal), distance });
+      }
+    }
+  });
+
+  return clusters.map(vertexClusters => {
+    const normals = vertexClusters.map(c => vecNormalize(c.sum));
+    const offsets = vertexClusters.map(c => c.distance);
+    if (normals.length === 0) return [0, 0, 0];
+    if (normals.length === 1) return vecMul(offsets[0], normals[0]);
+    if (normals.length === 2) {
+      // x = a n1 + b n2 with x·n1 = d1 and x·n2 = d2
+      const c = vecDot(normals[0], normals[1]);
+      if (1 - c * c < 1e-9) return vecMul(offsets[0], normals[0]);
+      const a = (offsets[0] - c * offsets[1]) / (1 - c * c);
+      const b = (offsets[1] - c * offsets[0]) / (1 - c * c);
+      return vecAdd(vecMul(a, normals[0]), vecMul(b, normals[1]));
+    }
+
+    // Least squares for three or more normals: (sum n nᵀ) x = sum d n
+    const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    let rhs = [0, 0, 0];
+    normals.forEach((n, k) => {
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) m[i][j] += n[i] * n[j];
+      }
+      rhs = vecAdd(rhs, vecMul(offsets[k], n));
+    });
+    const det = vecDot(m[0], vecCross(m[1], m[2]));
+    if (Math.abs(det) < 1e-9) {
+      return vecMul(1 / normals.length, rhs);
+    }
+    // Cramer's rule on the symmetric matrix
+    return [0, 1, 2].map(col => {
+      const replaced = m.map((row, i) => row.map((x, j) => (j === col ? rhs[i] : x)));
+      return vecDot(replaced[0], vecCross(replaced[1], replaced[2])) / det;
+    });
+  });
+}
+
+/**
+ * Push offset vertices out of the slab beneath any nearby triangle they
+ * ended up closer to than the offset distance, as happens on finely
+ * tessellated walls next to a sharp edge
+ */
+function keepOffsetClear(positions, tris, moved, distance, distances) {
+  const reach = Math.abs(distance);
+  const sign = Math.sign(distance);
+  const tolerance = reach * 1e-3;
+
+  // Bucket triangles by the cells their bounds (grown by the distance) cover
+  const bounds = positions.reduce(
+    ([min, max], p) => [min.map((x, i) => Math.min(x, p[i])), max.map((x, i) => Math.max(x, p[i]))],
+    [[Infinity, Infinity, Infinity], [-Infinity, -Infinity, -Infinity]]
+  );
+  const cellSize = Math.max(2 * reach, vecNorm(vecSub(bounds[1], bounds[0])) / 200);
+  const cellOf = (p) => p.map(x => Math.floor(x / cellSize));
+  const cells = new Map();
+  tris.forEach(({ verts, area }, t) => {
+    // Open faces of a shell move the other way and hold nothing back
+    if (!(area > 0) || distances[t] !== distance) return;
+    const corners = verts.map(v => positions[v]);
+    const lo = cellOf([0, 1, 2].map(i => Math.min(...corners.map(p => p[i])) - reach));
+    const hi = cellOf([0, 1, 2].map(i => Math.max(...corners.map(p => p[i])) + reach));
+    for (let x = lo[0]; x <= hi[0]; x++) {
+      for (let y = lo[1]; y <= hi[1]; y++) {
+        for (let z = lo[2]; z <= hi[2]; z++) {
+          const key = `${x},${y},${z}`;
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(t);
+        }
+      }
+    }
+  });
+
+  // Two passes let a vertex settle against faces meeting at a corner
+  for (let pass = 0; pass < 2; pass++) {
+    moved.forEach((p, v) => {
+      for (const t of cells.get(cellOf(p).join(',')) || []) {
+        const { verts, normal } = tris[t];
+        if (verts.includes(v)) continue;
+
+        const [a, b, c] = verts.map(i => positions[i]);
+        const height = sign * vecDot(vecSub(p, a), normal);
+        if (height <= -tolerance || height >= reach - tolerance) continue;
+
+        // Only where the vertex lies over the triangle
+        const foot = vecSub(p, vecMul(vecDot(vecSub(p, a), normal), normal));
+        const inside = [[a, b], [b, c], [c, a]].every(([e0, e1]) =>
+          vecDot(vecCross(vecSub(e1, e0), vecSub(foot, e0)), normal) >= -tolerance * vecNorm(vecSub(e1, e0))
+        );
+        if (inside) {
+          p = vecAdd(p, vecMul(sign * (reach - height), normal));
+          moved[v] = p;
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Outline loops of a flat face as welded vertex indices, counter-clockwise
+ * seen from outside
+ */
+function faceOutline(face, index, tris, edgeTris) {
+  // Outline edges belong to one triangle of the face; follow them into loops
+  const next = new Map();
+  for (const t of face.triangles) {
+    const { verts } = tris[t];
+    for (let i = 0; i < 3; i++) {
+      const [from, to] = [verts[i], verts[(i + 1) % 3]];
+      const inFace = edgeTris.get(edgeKey(from, to)).filter(other => tris[other].face === index);
+      if (inFace.length === 1) next.set(from, to);
+    }
+  }
+
+  const loops = [];
+  const visited = new Set();
+  for (const start of next.keys()) {
+    if (visited.has(start)) continue;
+    const loop = [];
+    for (let v = start; v !== undefined && !visited.has(v); v = next.get(v)) {
+      visited.add(v);
+      loop.push(v);
+    }
+    loops.push(loop);
+  }
+  return loops;
+}
+
+/**
+ * Axes of a plane with the given normal, so [u, w, normal] is right-handed
+ */
+function planeAxes(normal) {
+  const u = vecNormalize(vecCross(Math.abs(normal[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0], normal));
+  return [u, vecCross(normal, u)];
+}
+
+/**
+ * 2D coordinates of a point in a plane with the given normal
+ */
+function facePoint(p, normal) {
+  const [u, w] = planeAxes(normal);
+  return [vecDot(p, u), vecDot(p, w)];
+}
+
+/**
+ * Triangulate flat faces again from their moved outline where the original
+ * triangles turned over, as thin triangles do when the corners of a face
+ * move by different amounts
+ * @returns {number[][]} Triangles as welded vertex indices
+ */
+function retriangulateFaces(faces, tris, edgeTris, moved, tooLarge) {
+  const { triangulate } = manifoldModule;
+  const triangles = [];
+
+  faces.forEach((face, index) => {
+    // Turned over, not counting triangles squeezed to (almost) nothing against a nearby face
+    const turned = face.triangles.some(t => {
+      const [a, b, c] = tris[t].verts.map(v => moved[v]);
+      const cross = vecCross(vecSub(b, a), vecSub(c, a));
+      return vecDot(cross, face.normal) < -0.5 * vecNorm(cross) && vecNorm(cross) > 0.2 * tris[t].area;
+    });
+    if (!turned) {
+      face.triangles.forEach(t => triangles.push(tris[t].verts));
+      return;
+    }
+
+    const loops = faceOutline(face, index, tris, edgeTris);
+    const flat = loops.map(loop => loop.map(v => facePoint(moved[v], face.normal)));
+
+    const order = loops.flat();
+    for (const [i, j, k] of triangulate(flat)) {
+      const verts = [order[i], order[j], order[k]];
+      const [a, b, c] = verts.map(v => moved[v]);
+      const cross = vecCross(vecSub(b, a), vecSub(c, a));
+      if (vecDot(cross, face.normal) < -0.5 * vecNorm(cross)) throw tooLarge(moved[order[i]]);
+      triangles.push(verts);
+    }
+  });
+
+  return triangles;
+}
+
+/**
+ * Offset a manifold's surface by moving its vertices
+ * @param {*} [open] - shell() open option: faces moved outward instead
+ * @returns {Manifold} The offset manifold
+ */
+function offsetSurface(manifold, distance, name, what, open) {
+  const { Manifold, Mesh } = manifoldModule;
+  const { positions, tris, edgeTris } = weldMesh(manifold);
+  const faces = groupFaces(positions, tris, edgeTris);
+
+  // Open faces move outward, past the part, so the cavity runs out through them
+  const openFaces = new Set(open === undefined ? [] : findOpenFaces(faces, open));
+  const distances = tris.map(({ face }) =>
+    openFaces.has(face) ? OPEN_FACE_REACH * Math.abs(distance) : distance
+  );
+
+  const offsets = vertexOffsets(positions, tris, distances);
+  const moved = positions.map((p, v) => vecAdd(p, offsets[v]));
+  keepOffsetClear(positions, tris, moved, distance, distances);
+
+  const tooLarge = (near) => new Error(
+    `${name}() ${what} ${Math.abs(distance)} is too large for this part: ` +
+    `the surface near ${formatPoint(near)} would fold over`
+  );
+
+  // A vertex pushed back toward its own faces sits in a wall thinner than
+  // the offset
+  tris.forEach(({ verts, normal, area }, t) => {
+    if (!(area > 0)) return;
+    for (const v of verts) {
+      const depth = Math.sign(distances[t]) * vecDot(vecSub(moved[v], positions[v]), normal);
+      if (depth < 0.9 * Math.abs(distances[t])) throw tooLarge(positions[v]);
+    }
+  });
+
+  // An edge between faces that turns around means a face shrank past nothing;
+  // edges squeezed to (almost) nothing are fine
+  for (const [key, [t1, t2]] of edgeTris) {
+    if (t2 !== undefined && tris[t1].face === tris[t2].face) continue;
+    const [a, b] = key.split('-').map(Number);
+    const before = vecSub(positions[b], positions[a]);
+    if (vecDot(vecSub(moved[b], moved[a]), before) < -0.1 * Math.abs(distance) * vecNorm(before)) {
+      throw tooLarge(positions[a]);
+    }
+  }
+
+  const triangles = retriangulateFaces(faces, tris, edgeTris, moved, tooLarge);
+
+  // Keep only vertices still in use, e.g. not those inside flat faces
+  const index = new Map();
+  const vertProperties = [];
+  const triVerts = triangles.flatMap(verts => verts.map(v => {
+    if (!index.has(v)) {
+      index.set(v, index.size);
+      vertProperties.push(...moved[v]);
+    }
+    return index.get(v);
+  }));
+
+  const result = new Manifold(new Mesh({
+    numProp: 3,
+    vertProperties: new Float32Array(vertProperties),
+    triVerts: new Uint32Array(triVerts),
+  }));
+
+  const before = manifold.volume();
+  const after = result.volume();
+  const shrunk = after > 0 && (openFaces.size > 0 || after < before);
+  if (distance < 0 ? !shrunk : !(after > before)) {
+    throw tooLarge(positions[0]);
+  }
+
+  return result;
+}
+
+/**
+ * Offset a manifold's surface
+ *
+ * Every face moves by the distance along its normal: outward to grow the part,
+ * inward to shrink it. Sharp edges and corners stay sharp, and curved surfaces
+ * keep their shape at the new distance. The distance must be smaller than the
+ * features it shrinks, or the surface would fold over itself.
+ *
+ * @param {Manifold} manifold - The manifold to offset
+ * @param {number} distance - Offset in mm; positive grows, negative shrinks
+ * @returns {Manifold} The offset manifold
+ * @throws {Error} If shrinking by the distance would fold the surface over
+ *
+ * @example
+ * // A 0.2 mm clearance pocket for a part
+ * const peg = Manifold.cylinder(10, 4, 4, 48);
+ * const block = Manifold.cube([20, 20, 8], true);
+ * return block.subtract(offset(peg, 0.2).translate([0, 0, -2]));
+ */
+function offset(manifold, distance) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  if (!manifold || typeof manifold.getMesh !== 'function') {
+    throw new Error('offset() needs a Manifold as its first argument');
+  }
+  if (typeof distance !== 'number' || !Number.isFinite(distance)) {
+    throw new Error('offset() distance must be a number of mm');
+  }
+  if (distance === 0) return manifold.translate([0, 0, 0]);
+
+  return offsetSurface(manifold, distance, 'offset', 'distance');
+}
+
+/**
+ * Faces of a shell() to leave open, from an open option
+ */
+function findOpenFaces(faces, open) {
+  const selectors = Array.isArray(open) && !open.every(x => typeof x === 'number') ? open : [open];
+  const picked = new Set();
+
+  for (const selector of selectors) {
+    if (selector && typeof selector === 'object' && !Array.isArray(selector)) {
+      picked.add(findFace(faces, selector, 'shell'));
+      continue;
+    }
+
+    const direction = parseOpenDirection(selector);
+    const cosLimit = Math.cos(SELECTOR_TOLERANCE_DEGREES * Math.PI / 180);
+    const facing = faces
+      .map((face, index) => ({ index, reach: vecDot(face.centroid, direction), face }))
+      .filter(({ face }) => vecDot(face.normal, direction) >= cosLimit);
+    if (facing.length === 0) {
+      throw new Error(`shell() found no face facing ${formatPoint(direction)} to leave open`);
+    }
+
+    // Open the outermost faces in that direction
+    const reach = Math.max(...facing.map(f => f.reach));
+    facing
+      .filter(f => f.reach >= reach - SELECTOR_DISTANCE_TOLERANCE)
+      .forEach(f => picked.add(f.index));
+  }
+
+  return [...picked];
+}
+
+/**
+ * Direction from '+z', '-x', 'y' or [x, y, z]
+ */
+function parseOpenDirection(selector) {
+  if (Array.isArray(selector) && selector.length === 3) return vecNormalize(selector);
+
+  const match = typeof selector === 'string' && selector.toLowerCase().match(/^([+-]?)([xyz])$/);
+  if (!match) {
+    throw new Error(
+      `shell() open must be a direction like '+z' or [0, 0, 1], a face { center, normal }, or a list of these; got ${JSON.stringify(selector)}`
+    );
+  }
+  return vecMul(match[1] === '-' ? -1 : 1, AXIS_DIRECTIONS[match[2]]);
+}
+
+/**
+ * Shell function - creates the tool that hollows out a manifold
+ *
+ * The tool is the part offset inward by the wall thickness, so every wall is
+ * the same thickness whatever the shape. Open faces are cut through: a
+ * direction opens the outermost face(s) facing that way, and a face
+ * { center, normal } (as shown for a face selected in the viewport) opens that
+ * face. An options object without open faces gives a closed cavity.
+ *
+ * The offset shell is opted into by passing options. Without them, or with an
+ * axis ('x', 'y' or 'z'), shell() keeps its original scale-based result, open
+ * on the min side of the axis (see scaleShell()), so saved scripts that call
+ * shell(part, thickness) still produce the same part.
+ *
+ * @param {Manifold} manifold - The input manifold to shell
+ * @param {number} thickness - Wall thickness in mm
+ * @param {Object|string} [options] - Options for the offset shell, or an axis
+ *   for the scale-based shell (default 'z')
+ * @param {string|number[]|Object|Array} [options.open] - Faces to leave open
+ * @returns {Manifold} The inner tool for subtraction (use manifold.subtract(shell(...)))
+ * @throws {Error} If the thickness is too large for the part or an open face isn't found
+ *
+ * @example
+ * // A box with 2mm walls, open at the top
+ * const box = Manifold.cube([50, 50, 30]);
+ * return box.subtract(shell(box, 2, { open: '+z' }));
+ */
+function shell(manifold, thickness, options) {
+  if (options === undefined) return scaleShell(manifold, thickness);
+  if (typeof options === 'string') return scaleShell(manifold, thickness, options);
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error("shell() options must be an object like { open: '+z' }, or an axis 'x', 'y' or 'z'");
+  }
+
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  if (!manifold || typeof manifold.getMesh !== 'function') {
+    throw new Error('shell() needs a Manifold as its first argument');
+  }
+  if (typeof thickness !== 'number' || !(thickness > 0)) {
+    throw new Error('shell() thickness must be a positive number of mm');
+  }
+
+  return offsetSurface(manifold, -thickness, 'shell', 'thickness', options.open);
+}
+
+/**
+ * Create a rounded box (box with filleted edges)
+ * @param {number[]} size - [x, y, z] dimensions
+ * @param {number} radius - Corner/edge radius
+ * @param {number} segments - Number of segments for rounding (default 16)
+ */
+function roundedBox(size, radius, segments = 16) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  
+  // Clamp radius to half the smallest dimension
+  const minDim = Math.min(...size);
+  const r = Math.min(radius, minDim / 2 - 0.001);
+  
+  // Create inner box
+  const innerSize = size.map(s => s - 2 * r);
+  const innerBox = Manifold.cube(innerSize, true);
+  
+  // Offset the box (Minkowski sum with a sphere)
+  return innerBox.offset(r, segments);
+}
+
+/**
+ * Create a tube/pipe shape
+ * @param {number} outerRadius - Outer radius
+ * @param {number} innerRadius - Inner radius (hole)
+ * @param {number} height - Height of the tube
+ * @param {number} segments - Number of circular segments
+ */
+function tube(outerRadius, innerRadius, height, segments = 32) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  
+  if (innerRadius >= outerRadius) {
+    throw new Error('Inner radius must be smaller than outer radius');
+  }
+  
+  const outer = Manifold.cylinder(height, outerRadius, outerRadius, segments);
+  const inner = Manifold.cylinder(height, innerRadius, innerRadius, segments);
+  
+  return outer.subtract(inner);
+}
+
+/**
+ * Create a hexagonal prism
+ * @param {number} radius - Radius (circumradius)
+ * @param {number} height - Height
+ */
+function hexPrism(radius, height) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  
+  return Manifold.cylinder(height, radius, radius, 6);
+}
+
+/**
+ * Mirror a manifold across a plane
+ * @param {Manifold} manifold - The manifold to mirror
+ * @param {string} plane - 'xy', 'xz', or 'yz'
+ * @param {boolean} keepOriginal - Whether to union with original (default true)
+ */
+function mirror(manifold, plane = 'xy', keepOriginal = true) {
+  let scale;
+  switch (plane.toLowerCase()) {
+    case 'xy': scale = [1, 1, -1]; break;
+    case 'xz': scale = [1, -1, 1]; break;
+    case 'yz': scale = [-1, 1, 1]; break;
+    default: throw new Error('Plane must be "xy", "xz", or "yz"');
+  }
+  
+  const mirrored = manifold.scale(scale);
+  
+  if (keepOriginal) {
+    // Union might fail if they overlap - try to handle gracefully
+    try {
+      return manifold.add(mirrored);
+    } catch {
+      return mirrored;
+    }
+  }
+  return mirrored;
+}
+
+/**
+ * Create an array/grid of manifolds
+ * @param {Manifold} manifold - The manifold to array
+ * @param {number[]} counts - [nx, ny, nz] number of copies in each direction
+ * @param {number[]} spacing - [dx, dy, dz] spacing between copies
+ */
+function array3D(manifold, counts, spacing) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  
+  const [nx, ny, nz] = counts;
+  const [dx, dy, dz] = spacing;
+  
+  const copies = [];
+  for (let iz = 0; iz < nz; iz++) {
+    for (let iy = 0; iy < ny; iy++) {
+      for (let ix = 0; ix < nx; ix++) {
+        if (ix === 0 && iy === 0 && iz === 0) {
+          copies.push(manifold);
+        } else {
+          copies.push(manifold.translate([ix * dx, iy * dy, iz * dz]));
+        }
+      }
+    }
+  }
+  
+  return Manifold.union(copies);
+}
+
+/**
+ * Create a polar array (copies around an axis)
+ * @param {Manifold} manifold - The manifold to array
+ * @param {number} count - Number of copies
+ * @param {number} radius - Radius from center (optional offset)
+ * @param {string} axis - Rotation axis ('x', 'y', or 'z')
+ */
+function polarArray(manifold, count, radius = 0, axis = 'z') {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  
+  const copies = [];
+  const angleStep = 360 / count;
+  
+  for (let i = 0; i < count; i++) {
+    const angle = i * angleStep;
+    let rotated;
+    
+    // Apply radius offset first
+    let positioned = radius > 0 ? manifold.translate([radius, 0, 0]) : manifold;
+    
+    // Then rotate
+    switch (axis.toLowerCase()) {
+      case 'x':
+        rotated = positioned.rotate([angle, 0, 0]);
+        break;
+      case 'y':
+        rotated = positioned.rotate([0, angle, 0]);
+        break;
+      case 'z':
+      default:
+        rotated = positioned.rotate([0, 0, angle]);
+        break;
+    }
+    
+    copies.push(rotated);
+  }
+  
+  return Manifold.union(copies);
+}
+
+/**
+ * Center a manifold at origin
+ * @param {Manifold} manifold - The manifold to center
+ * @param {boolean[]} axes - [centerX, centerY, centerZ] which axes to center
+ */
+function center(manifold, axes = [true, true, true]) {
+  const bbox = manifold.boundingBox();
+  const offset = [0, 0, 0];
+  
+  for (let i = 0; i < 3; i++) {
+    if (axes[i]) {
+      offset[i] = -(bbox.min[i] + bbox.max[i]) / 2;
+    }
+  }
+  
+  return manifold.translate(offset);
+}
+
+/**
+ * Align a manifold to a specific position
+ * @param {Manifold} manifold - The manifold to align
+ * @param {object} options - { min: [x,y,z], max: [x,y,z], center: [x,y,z] }
+ */
+function align(manifold, options = {}) {
+  const bbox = manifold.boundingBox();
+  const offset = [0, 0, 0];
+  
+  if (options.min) {
+    for (let i = 0; i < 3; i++) {
+      if (options.min[i] !== undefined) {
+        offset[i] = options.min[i] - bbox.min[i];
+      }
+    }
+  }
+  
+  if (options.max) {
+    for (let i = 0; i < 3; i++) {
+      if (options.max[i] !== undefined) {
+        offset[i] = options.max[i] - bbox.max[i];
+      }
+    }
+  }
+  
+  if (options.center) {
+    for (let i = 0; i < 3; i++) {
+      if (options.center[i] !== undefined) {
+        const currentCenter = (bbox.min[i] + bbox.max[i]) / 2;
+        offset[i] = options.center[i] - currentCenter;
+      }
+    }
+  }
+  
+  return manifold.translate(offset);
+}
+
+/**
+ * Get the dimensions of a manifold
+ * @param {Manifold} manifold - The manifold to measure
+ * @returns {object} { size: [x,y,z], min: [x,y,z], max: [x,y,z], center: [x,y,z] }
+ */
+function getDimensions(manifold) {
+  const bbox = manifold.boundingBox();
+  return {
+    size: [
+      bbox.max[0] - bbox.min[0],
+      bbox.max[1] - bbox.min[1],
+      bbox.max[2] - bbox.min[2]
+    ],
+    min: [...bbox.min],
+    max: [...bbox.max],
+    center: [
+      (bbox.min[0] + bbox.max[0]) / 2,
+      (bbox.min[1] + bbox.max[1]) / 2,
+      (bbox.min[2] + bbox.max[2]) / 2
+    ]
+  };
+}
+
+// ============================================================================
+// THREADS AND FASTENERS
+// Sizes are ISO metric ('M3', 'M8x1') or unified ('#10-32', '1/4-20',
+// '3/8 UNF'). Dimensions come from the tables below; sizes or dimensions
+// missing from them are proportional approximations of the same standards.
+// A thread is its cross-section extruded with a twist of one turn per pitch,
+// which gives exact helical flanks with no seam between turns.
+// ============================================================================
+
+// Per metric size, in mm: ISO 261 coarse pitch, ISO 273 medium clearance hole,
+// ISO 4032 nut [width across flats, height], ISO 4017 hex head height,
+// ISO 4762 socket head [diameter, height, key], ISO 10642 countersunk head
+// diameter and the usual heat-set insert [hole diameter, length]
+const METRIC_FASTENERS = {
+  'M2':   { pitch: 0.4,  hole: 2.4,  nut: [4, 1.6],    hexHead: 1.4,  socketHead: [3.8, 2, 1.5],  countersunk: 4.4,   insert: [3.2, 4] },
+  'M2.5': { pitch: 0.45, hole: 2.9,  nut: [5, 2],      hexHead: 1.7,  socketHead: [4.5, 2.5, 2],  countersunk: 5.5,   insert: [3.6, 5.7] },
+  'M3':   { pitch: 0.5,  hole: 3.4,  nut: [5.5, 2.4],  hexHead: 2,    socketHead: [5.5, 3, 2.5],  countersunk: 6.72,  insert: [4, 5.7] },
+  'M4':   { pitch: 0.7,  hole: 4.5,  nut: [7, 3.2],    hexHead: 2.8,  socketHead: [7, 4, 3],      countersunk: 8.96,  insert: [5.6, 8.1] },
+  'M5':   { pitch: 0.8,  hole: 5.5,  nut: [8, 4.7],    hexHead: 3.5,  socketHead: [8.5, 5, 4],    countersunk: 11.2,  insert: [6.4, 9.5] },
+  'M6':   { pitch: 1,    hole: 6.6,  nut: [10, 5.2],   hexHead: 4,    socketHead: [10, 6, 5],     countersunk: 13.44, insert: [8, 12.7] },
+  'M8':   { pitch: 1.25, hole: 9,    nut: [13, 6.8],   hexHead: 5.3,  socketHead: [13, 8, 6],     countersunk: 17.92, insert: [9.7, 12.7] },
+  'M10':  { pitch: 1.5,  hole: 11,   nut: [16, 8.4],   hexHead: 6.4,  socketHead: [16, 10, 8],    countersunk: 22.4 },
+  'M12':  { pitch: 1.75, hole: 13.5, nut: [18, 10.8],  hexHead: 7.5,  socketHead: [18, 12, 10],   countersunk: 26.88 },
+  'M16':  { pitch: 2,    hole: 17.5, nut: [24, 14.8],  hexHead: 10,   socketHead: [24, 16, 14],   countersunk: 33.6 },
+  'M20':  { pitch: 2.5,  hole: 22,   nut: [30, 18],    hexHead: 12.5, socketHead: [30, 20, 17],   countersunk: 40.32 },
+  'M24':  { pitch: 3,    hole: 26,   nut: [36, 21.5],  hexHead: 15,   socketHead: [36, 24, 19] },
+};
+
+// Per unified size (ASME B1.1): major diameter in inches and threads per inch
+// of the coarse (UNC) and fine (UNF) series
+const UNIFIED_THREADS = {
+  '#0': [0.06, null, 80],
+  '#1': [0.073, 64, 72],
+  '#2': [0.086, 56, 64],
+  '#3': [0.099, 48, 56],
+  '#4': [0.112, 40, 48],
+  '#5': [0.125, 40, 44],
+  '#6': [0.138, 32, 40],
+  '#8': [0.164, 32, 36],
+  '#10': [0.19, 24, 32],
+  '#12': [0.216, 24, 28],
+  '1/4': [0.25, 20, 28],
+  '5/16': [0.3125, 18, 24],
+  '3/8': [0.375, 16, 24],
+  '7/16': [0.4375, 14, 20],
+  '1/2': [0.5, 13, 20],
+  '9/16': [0.5625, 12, 18],
+  '5/8': [0.625, 11, 18],
+  '3/4': [0.75, 10, 16],
+  '7/8': [0.875, 9, 14],
+  '1': [1, 8, 12],
+};
+
+const MM_PER_INCH = 25.4;
+
+// Height of the ISO 68-1 fundamental triangle, per mm of pitch
+const THREAD_TRIANGLE_HEIGHT = Math.sqrt(3) / 2;
+
+// Radial play added around heads and nuts by the hole helpers, in mm, so
+// off-the-shelf hardware drops into printed pockets
+const FASTENER_CLEARANCE = 0.2;
+
+// Depth of the hex key recess of socket and countersunk heads, as a fraction
+// of the head height
+const KEY_RECESS_DEPTH = 0.6;
+
+/**
+ * Fastener dimensions in proportion to the major diameter, for sizes and
+ * dimensions missing from METRIC_FASTENERS
+ */
+function approximateFastener(diameter) {
+  return {
+    hole: diameter * 1.1 + 0.1,
+    nut: [diameter * 1.5 + 1.6, diameter * 0.875],
+    hexHead: diameter * 0.65,
+    socketHead: [diameter * 1.5, diameter, diameter * 0.75],
+    countersunk: diameter * 2,
+    insert: [diameter * 1.35, diameter * 2],
+  };
+}
+
+/**
+ * Parse a fastener size into its dimensions (see fastenerSpec())
+ * @param {string} name - Calling helper, for error messages
+ */
+function parseFastenerSize(size, name) {
+  let label, diameter, pitch, row, countersinkAngle;
+
+  if (size && typeof size === 'object') {
+    ({ diameter, pitch } = size);
+    if (!(diameter > 0) || !(pitch > 0)) {
+      throw new Error(`${name}() size needs a positive diameter and pitch in mm`);
+    }
+    label = `${diameter}x${pitch}`;
+    countersinkAngle = 90;
+  } else {
+    const text = typeof size === 'string' ? size.trim() : '';
+    const metric = text.match(/^M(\d+(?:\.\d+)?)(?:\s*[x×]\s*(\d+(?:\.\d+)?))?$/i);
+    const unified = text.match(/^(#\d+|\d+\/\d+|\d+)(?:\s*-\s*(\d+))?(?:\s+(UNC|UNF))?$/i);
+
+    if (metric) {
+      const key = `M${Number(metric[1])}`;
+      row = METRIC_FASTENERS[key];
+      diameter = Number(metric[1]);
+      pitch = metric[2] ? Number(metric[2]) : row?.pitch;
+      if (!pitch) {
+        throw new Error(`${name}() has no coarse pitch for ${key}; give one, e.g. '${key}x1'`);
+      }
+      label = metric[2] ? `${key}x${pitch}` : key;
+      countersinkAngle = 90;
+    } else if (unified) {
+      const key = unified[1];
+      const entry = UNIFIED_THREADS[key];
+      if (!entry) {
+        throw new Error(`${name}() doesn't know the unified size ${key}; sizes are ${Object.keys(UNIFIED_THREADS).join(', ')}`);
+      }
+      const series = (unified[3] || 'UNC').toUpperCase();
+      const tpi = unified[2] ? Number(unified[2]) : entry[series === 'UNF' ? 2 : 1];
+      if (!tpi) {
+        throw new Error(`${name}() ${key} has no ${series} series; give the threads per inch, e.g. '${key}-80'`);
+      }
+      diameter = entry[0] * MM_PER_INCH;
+      pitch = MM_PER_INCH / tpi;
+      label = `${key}-${tpi}`;
+      countersinkAngle = 82;
+    } else {
+      throw new Error(`${name}() size must be like 'M3', 'M8x1', '#10-32', '1/4-20' or '3/8 UNF', or { diameter, pitch }`);
+    }
+  }
+
+  const dims = { ...approximateFastener(diameter), ...row };
+  return {
+    size: label,
+    diameter,
+    pitch,
+    holeDiameter: dims.hole,
+    nutWidth: dims.nut[0],
+    nutHeight: dims.nut[1],
+    hexHeadHeight: dims.hexHead,
+    socketHeadDiameter: dims.socketHead[0],
+    socketHeadHeight: dims.socketHead[1],
+    keyWidth: dims.socketHead[2],
+    countersinkDiameter: dims.countersunk,
+    countersinkAngle,
+    insertDiameter: dims.insert[0],
+    insertLength: dims.insert[1],
+  };
+}
+
+/**
+ * Look up the dimensions of a fastener size
+ * @param {string|Object} size - 'M3', 'M8x1' (fine pitch), '#10-32', '1/4-20',
+ *   '3/8 UNF' (unified sizes default to UNC), or { diameter, pitch } in mm
+ * @returns {Object} { size, diameter, pitch, holeDiameter, nutWidth, nutHeight,
+ *   hexHeadHeight, socketHeadDiameter, socketHeadHeight, keyWidth,
+ *   countersinkDiameter, countersinkAngle, insertDiameter, insertLength }, in mm
+ *   and degrees
+ *
+ * @example
+ * // A plate with clearance holes for M4 screws
+ * const { holeDiameter } = fastenerSpec('M4');
+ * const hole = Manifold.cylinder(5, holeDiameter / 2);
+ * return Manifold.cube([40, 20, 5]).subtract(hole.translate([8, 10, 0])).subtract(hole.translate([32, 10, 0]));
+ */
+function fastenerSpec(size) {
+  return parseFastenerSize(size, 'fastenerSpec');
+}
+
+/**
+ * Radius of the ISO 68-1 basic profile at a fraction of the pitch from a crest
+ *
+ * The crest flat is an eighth of the pitch wide, the root flat a quarter, and
+ * the 60° flanks span five sixteenths each.
+ */
+function threadProfileRadius(fraction, majorRadius, depth) {
+  const fromCrest = Math.abs(fraction - Math.round(fraction));
+  if (fromCrest <= 1 / 16) return majorRadius;
+  if (fromCrest >= 6 / 16) return majorRadius - depth;
+  return majorRadius - depth * (fromCrest - 1 / 16) / (5 / 16);
+}
+
+/**
+ * Solid of revolution around Z from [radius, z] pairs, listed from the bottom
+ * of the axis outward and up to its top
+ */
+function revolveOutline(points) {
+  const { Manifold, CrossSection } = manifoldModule;
+  const bottom = points[0][1];
+  const top = points[points.length - 1][1];
+  return Manifold.revolve(new CrossSection([[[0, bottom], ...points, [0, top]]]));
+}
+
+/**
+ * Threaded rod along +Z from z = 0, or the tool that cuts the matching
+ * internal thread
+ * @param {Object} spec - From parseFastenerSize()
+ * @param {Object} options - { internal, clearance, leftHanded, chamferStart, chamferEnd }
+ */
+function threadSolid(spec, length, options) {
+  const { Manifold, CrossSection, getCircularSegments } = manifoldModule;
+  const { internal, clearance, leftHanded, chamferStart, chamferEnd } = options;
+
+  const depth = 5 / 8 * THREAD_TRIANGLE_HEIGHT * spec.pitch;
+  const majorRadius = spec.diameter / 2 + (internal ? clearance : -clearance);
+  const minorRadius = majorRadius - depth;
+
+  // A multiple of 16 samples puts a vertex on every corner of the profile
+  const samples = Math.max(32, Math.ceil(getCircularSegments(majorRadius) / 16) * 16);
+  const outline = [];
+  for (let i = 0; i < samples; i++) {
+    const angle = 2 * Math.PI * i / samples;
+    const radius = threadProfileRadius(i / samples, majorRadius, depth);
+    outline.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+  }
+
+  // One slice per sample angle keeps the flanks' vertices on the helix
+  const turns = length / spec.pitch;
+  let solid = Manifold.extrude(
+    new CrossSection([outline]),
+    length,
+    Math.max(1, Math.ceil(turns * samples)),
+    360 * turns * (leftHanded ? -1 : 1)
+  );
+
+  // 45° chamfers down to the minor diameter on rods, lead-ins up to the
+  // major diameter on internal threads
+  if (internal) {
+    const leadIn = Math.min(depth, length / 2);
+    if (chamferStart) {
+      solid = solid.add(Manifold.cylinder(leadIn, majorRadius, majorRadius - leadIn, samples));
+    }
+    if (chamferEnd) {
+      solid = solid.add(
+        Manifold.cylinder(leadIn, majorRadius - leadIn, majorRadius, samples).translate([0, 0, length - leadIn])
+      );
+    }
+  } else if (chamferStart || chamferEnd) {
+    // Short cones clear of the flanks, which cut far faster than long ones
+    const reach = Math.min(2 * depth, length / 2);
+    const outside = minorRadius + reach;
+    solid = solid.intersect(revolveOutline([
+      ...(chamferStart ? [[minorRadius, 0], [outside, reach]] : [[outside, 0]]),
+      ...(chamferEnd ? [[outside, length - reach], [minorRadius, length]] : [[outside, length]]),
+    ]));
+  }
+
+  return solid;
+}
+
+function checkLength(value, name, what) {
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new Error(`${name}() ${what} must be a positive number of mm`);
+  }
+}
+
+/**
+ * Create an external thread, or the tool that cuts an internal one
+ *
+ * The thread runs along +Z from z = 0 with the ISO 68-1 basic profile, shared
+ * by metric and unified threads. For printed threads, give the clearance the
+ * printer needs: external threads get thinner and internal ones fatter by it.
+ *
+ * @param {string|Object} size - Fastener size (see fastenerSpec())
+ * @param {number} length - Thread length in mm
+ * @param {Object} [options]
+ * @param {boolean} [options.internal=false] - Return the tool for an internal thread, for subtraction
+ * @param {number} [options.clearance=0] - Radial print clearance in mm
+ * @param {boolean} [options.leftHanded=false] - Left-hand thread
+ * @param {boolean} [options.chamfer=true] - 45° chamfer on both ends (a lead-in on internal threads)
+ * @returns {Manifold} The threaded rod, or the internal thread tool
+ *
+ * @example
+ * // An M8 threaded hole through a block, printable with 0.2mm clearance
+ * const block = Manifold.cube([20, 20, 12], true).translate([0, 0, 6]);
+ * return block.subtract(thread('M8', 12, { internal: true, clearance: 0.2 }));
+ */
+function thread(size, length, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const spec = parseFastenerSize(size, 'thread');
+  checkLength(length, 'thread', 'length');
+
+  const { internal = false, clearance = 0, leftHanded = false, chamfer = true } = options;
+  if (typeof clearance !== 'number' || clearance < 0) {
+    throw new Error('thread() clearance must be a number of mm, zero or more');
+  }
+
+  return threadSolid(spec, length, {
+    internal, clearance, leftHanded, chamferStart: chamfer, chamferEnd: chamfer
+  });
+}
+
+/**
+ * Create a threaded hex nut, lying on z = 0 with its corners on ±X
+ * @param {string|Object} size - Fastener size (see fastenerSpec())
+ * @param {Object} [options]
+ * @param {number} [options.clearance=0] - Radial print clearance of the thread in mm
+ * @param {number} [options.height] - Nut height in mm (default: ISO 4032 height)
+ * @param {boolean} [options.threaded=true] - Cut the thread; false leaves a plain bore at the minor diameter
+ * @returns {Manifold}
+ *
+ * @example
+ * // A printable M10 nut
+ * return hexNut('M10', { clearance: 0.2 });
+ */
+function hexNut(size, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  const spec = parseFastenerSize(size, 'hexNut');
+  const { clearance = 0, height = spec.nutHeight, threaded = true } = options;
+  checkLength(height, 'hexNut', 'height');
+
+  const body = hexPrism(spec.nutWidth / Math.sqrt(3), height);
+  if (!threaded) {
+    const boreRadius = spec.diameter / 2 - 5 / 8 * THREAD_TRIANGLE_HEIGHT * spec.pitch + clearance;
+    return body.subtract(Manifold.cylinder(height, boreRadius));
+  }
+  return body.subtract(threadSolid(spec, height, {
+    internal: true, clearance, leftHanded: false, chamferStart: true, chamferEnd: true
+  }));
+}
+
+/**
+ * Create a bolt standing on its head: the head lies on z = 0 and the shank
+ * points up +Z
+ *
+ * Length is measured the way bolts are sold: from under the head, or from the
+ * top of the head for countersunk bolts. Socket and countersunk heads have a
+ * hex key recess in their underside.
+ *
+ * @param {string|Object} size - Fastener size (see fastenerSpec())
+ * @param {number} length - Nominal length in mm
+ * @param {Object} [options]
+ * @param {string} [options.head='hex'] - 'hex', 'socket' or 'countersunk'
+ * @param {number} [options.threadLength=length] - Threaded length at the tip; the rest is plain shank
+ * @param {number} [options.clearance=0] - Radial print clearance of the thread in mm
+ * @returns {Manifold}
+ *
+ * @example
+ * // An M6 x 30 socket head bolt, threaded for the last 18mm
+ * return bolt('M6', 30, { head: 'socket', threadLength: 18 });
+ */
+function bolt(size, length, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  const spec = parseFastenerSize(size, 'bolt');
+  checkLength(length, 'bolt', 'length');
+
+  const { head = 'hex', threadLength = length, clearance = 0 } = options;
+  checkLength(threadLength, 'bolt', 'threadLength');
+  if (threadLength > length) {
+    throw new Error(`bolt() threadLength (${threadLength}) can't be longer than the bolt (${length})`);
+  }
+  if (typeof clearance !== 'number' || clearance < 0) {
+    throw new Error('bolt() clearance must be a number of mm, zero or more');
+  }
+
+  let headSolid, headHeight;
+  switch (head) {
+    case 'hex':
+      headHeight = spec.hexHeadHeight;
+      headSolid = hexPrism(spec.nutWidth / Math.sqrt(3), headHeight);
+      break;
+    case 'socket':
+      headHeight = spec.socketHeadHeight;
+      headSolid = Manifold.cylinder(headHeight, spec.socketHeadDiameter / 2);
+      break;
+    case 'countersunk':
+      headHeight = (spec.countersinkDiameter - spec.diameter) / 2 /
+        Math.tan(spec.countersinkAngle / 2 * Math.PI / 180);
+      headSolid = Manifold.cylinder(headHeight, spec.countersinkDiameter / 2, spec.diameter / 2 - clearance);
+      break;
+    default:
+      throw new Error(`bolt() head must be 'hex', 'socket' or 'countersunk', not '${head}'`);
+  }
+
+  // Countersunk heads count in the length, and their thread may run into the head
+  const shankStart = head === 'countersunk' ? 0 : headHeight;
+  const threadStart = shankStart + length - threadLength;
+  const parts = [
+    headSolid,
+    threadSolid(spec, threadLength, {
+      internal: false, clearance, leftHanded: false, chamferStart: false, chamferEnd: true
+    }).translate([0, 0, threadStart])
+  ];
+  if (threadStart > shankStart) {
+    parts.push(Manifold.cylinder(threadStart - shankStart, spec.diameter / 2 - clearance).translate([0, 0, shankStart]));
+  }
+
+  const boltSolid = Manifold.union(parts);
+  if (head === 'hex') return boltSolid;
+  return boltSolid.subtract(hexPrism(spec.keyWidth / Math.sqrt(3), headHeight * KEY_RECESS_DEPTH));
+}
+
+/**
+ * Create a boss for a heat-set threaded insert, standing on z = 0 with the
+ * insert hole in its top
+ * @param {string|Object} size - Fastener size of the insert (see fastenerSpec())
+ * @param {number} height - Boss height in mm
+ * @param {Object} [options]
+ * @param {number} [options.diameter] - Boss diameter in mm (default: twice the insert hole)
+ * @param {number} [options.depth] - Hole depth in mm (default: insert length plus 1mm for
+ *   displaced plastic; holes as deep as the boss go through)
+ * @returns {Manifold}
+ *
+ * @example
+ * // Four M3 insert bosses on a base plate
+ * const base = Manifold.cube([50, 50, 2]);
+ * const boss = heatSetBoss('M3', 8).translate([0, 0, 2]);
+ * return base.add(array3D(boss.translate([8, 8, 0]), [2, 2, 1], [34, 34, 0]));
+ */
+function heatSetBoss(size, height, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  const spec = parseFastenerSize(size, 'heatSetBoss');
+  checkLength(height, 'heatSetBoss', 'height');
+
+  const { diameter = spec.insertDiameter * 2, depth = spec.insertLength + 1 } = options;
+  checkLength(depth, 'heatSetBoss', 'depth');
+  if (!(diameter > spec.insertDiameter)) {
+    throw new Error(`heatSetBoss() diameter must be larger than the ${spec.insertDiameter}mm insert hole`);
+  }
+
+  const holeDepth = Math.min(depth, height);
+  return Manifold.cylinder(height, diameter / 2)
+    .subtract(Manifold.cylinder(holeDepth, spec.insertDiameter / 2).translate([0, 0, height - holeDepth]));
+}
+
+/**
+ * Create the tool for a countersunk screw hole, for subtraction
+ *
+ * The hole starts at the surface at z = 0 and goes down to -depth: a clearance
+ * hole under a cone for the head (90° for metric, 82° for unified screws).
+ *
+ * @param {string|Object} size - Fastener size (see fastenerSpec())
+ * @param {number} depth - Total hole depth in mm
+ * @param {Object} [options]
+ * @param {number} [options.clearance=0.2] - Radial play around the head in mm
+ * @returns {Manifold}
+ *
+ * @example
+ * // Countersunk M4 holes through a 6mm plate
+ * const plate = Manifold.cube([60, 20, 6]);
+ * const hole = countersunkHole('M4', 6).translate([0, 10, 6]);
+ * return plate.subtract(hole.translate([10, 0, 0])).subtract(hole.translate([50, 0, 0]));
+ */
+function countersunkHole(size, depth, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const spec = parseFastenerSize(size, 'countersunkHole');
+  checkLength(depth, 'countersunkHole', 'depth');
+
+  const { clearance = FASTENER_CLEARANCE } = options;
+  const headRadius = spec.countersinkDiameter / 2 + clearance;
+  const holeRadius = spec.holeDiameter / 2;
+  const sinkDepth = (headRadius - holeRadius) / Math.tan(spec.countersinkAngle / 2 * Math.PI / 180);
+  if (depth <= sinkDepth) {
+    throw new Error(`countersunkHole() depth must be more than the ${sinkDepth.toFixed(2)}mm countersink`);
+  }
+
+  return revolveOutline([
+    [holeRadius, -depth],
+    [holeRadius, -sinkDepth],
+    [headRadius, 0],
+  ]);
+}
+
+/**
+ * Create the tool for a counterbored screw hole, for subtraction
+ *
+ * The hole starts at the surface at z = 0 and goes down to -depth: a clearance
+ * hole under a bore that sinks a socket head flush.
+ *
+ * @param {string|Object} size - Fastener size (see fastenerSpec())
+ * @param {number} depth - Total hole depth in mm
+ * @param {Object} [options]
+ * @param {number} [options.clearance=0.2] - Radial and vertical play around the head in mm
+ * @param {number} [options.boreDiameter] - Bore diameter in mm (default: socket head plus clearance)
+ * @param {number} [options.boreDepth] - Bore depth in mm (default: socket head plus clearance)
+ * @returns {Manifold}
+ *
+ * @example
+ * // An M5 socket head sunk into a 15mm block
+ * const block = Manifold.cube([20, 20, 15], true).translate([0, 0, 7.5]);
+ * return block.subtract(counterboredHole('M5', 15).translate([0, 0, 15]));
+ */
+function counterboredHole(size, depth, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const spec = parseFastenerSize(size, 'counterboredHole');
+  checkLength(depth, 'counterboredHole', 'depth');
+
+  const {
+    clearance = FASTENER_CLEARANCE,
+    boreDiameter = spec.socketHeadDiameter + 2 * clearance,
+    boreDepth = spec.socketHeadHeight + clearance
+  } = options;
+  checkLength(boreDepth, 'counterboredHole', 'boreDepth');
+  if (!(boreDiameter > spec.holeDiameter)) {
+    throw new Error(`counterboredHole() boreDiameter must be larger than the ${spec.holeDiameter}mm clearance hole`);
+  }
+  if (depth <= boreDepth) {
+    throw new Error(`counterboredHole() depth must be more than the ${boreDepth}mm bore`);
+  }
+
+  return revolveOutline([
+    [spec.holeDiameter / 2, -depth],
+    [spec.holeDiameter / 2, -boreDepth],
+    [boreDiameter / 2, -boreDepth],
+    [boreDiameter / 2, 0],
+  ]);
+}
+
+/**
+ * Create the tool for a hex nut pocket, for subtraction
+ *
+ * The pocket starts at the surface at z = 0 and goes down to -depth, with the
+ * nut's corners on ±X. A slot lets the nut slide in from the side along +X.
+ *
+ * @param {string|Object} size - Fastener size (see fastenerSpec())
+ * @param {Object} [options]
+ * @param {number} [options.clearance=0.2] - Radial and vertical play around the nut in mm
+ * @param {number} [options.depth] - Pocket depth in mm (default: nut height plus clearance)
+ * @param {number} [options.slot=0] - Length of a side-entry slot along +X in mm
+ * @param {number} [options.holeDepth=0] - Depth of a clearance hole for the screw, from z = 0
+ * @returns {Manifold}
+ *
+ * @example
+ * // A captive M3 nut under a screw hole, inserted from the side
+ * const block = Manifold.cube([20, 20, 12], true).translate([0, 0, 6]);
+ * const trap = nutTrap('M3', { slot: 12, holeDepth: 12 }).translate([0, 0, 12]);
+ * return block.subtract(trap.translate([0, 0, -4]));
+ */
+function nutTrap(size, options = {}) {
+  if (!manifoldModule) throw new Error('Manifold not initialized');
+  const { Manifold } = manifoldModule;
+  const spec = parseFastenerSize(size, 'nutTrap');
+
+  const {
+    clearance = FASTENER_CLEARANCE,
+    depth = spec.nutHeight + clearance,
+    slot = 0,
+    holeDepth = 0
+  } = options;
+  checkLength(depth, 'nutTrap', 'depth');
+
+  const width = spec.nutWidth + 2 * clearance;
+  const parts = [hexPrism(width / Math.sqrt(3), depth).translate([0, 0, -depth])];
+  if (slot > 0) {
+    parts.push(Manifold.cube([slot, width, depth]).translate([0, -width / 2, -depth]));
+  }
+  if (holeDepth > 0) {
+    parts.push(Manifold.cylinder(holeDepth, spec.holeDiameter / 2).translate([0, 0, -holeDepth]));
+  }
+  return Manifold.union(parts);
+}
+
+// ============================================================================
+// TEXT
+// Glyph outlines come from the fonts bundled in shared/fonts, converted from
+// their TTF files ahead of time, so text builds the same geometry offline and
+// on the backend. Outlines are in font units with y up; quadratic and cubic
+// curves are flattened with as many segments as a circle of similar radius.
+// ============================================================================
+
+const TEXT_HALIGN = ['left', 'center', 'right'];
+const TEXT_VALIGN = ['baseline', 'top', 'center', 'bottom'];
+
+// Glyph outlines parsed into commands, per font and character
+const glyphCommandCache = new Map();
+
+/**
+ * Commands of a glyph outline string ('M0 0L10 0Q.. C.. Z'), each
+ * { type, points } with points as [x, y] in font units
+ */
+function glyphCommands(font, character) {
+  let commands = glyphCommandCache.get(font)?.get(character);
+  if (commands) return commands;
+
+  commands = [...font.glyphs[character][1].matchAll(/([MLQCZ])([^MLQCZ]*)/g)].map(([, type, args]) => {
+    const numbers = args.trim() ? args.trim().split(' ').map(Number) : [];
+    const points = [];
+    for (let i = 0; i < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+    return { type, points };
+  });
+
+  if (!glyphCommandCache.has(font)) glyphCommandCache.set(font, new Map());
+  glyphCommandCache.get(font).set(character, commands);
+  return commands;
+}
+
+/**
+ * Append a flattened quadratic or cubic Bézier curve to a contour, without
+ * its start point. The segment count treats the curve as an arc through its
+ * turn angle with the control polygon's length.
+ */
+function flattenCurve(contour, controls, getCircularSegments) {
+  const first = sub2(controls[1], controls[0]);
+  const last = sub2(controls[controls.length - 1], controls[controls.length - 2]);
+  const length = controls.slice(1).reduce((sum, point, i) => sum + Math.hypot(...sub2(point, controls[i])), 0);
+  const turn = Math.abs(Math.atan2(first[0] * last[1] - first[1] * last[0], first[0] * last[0] + first[1] * last[1]));
+  const steps = turn > 0 && length > 0
+    ? Math.max(1, Math.ceil(getCircularSegments(length / turn) * turn / (2 * Math.PI)))
+    : 1;
+
+  for (let step = 1; step <= steps; step++) {
+    const t = step / steps;
+    // de Casteljau
+    let points = controls;
+    while (points.length > 1) {
+      points = points.slice(1).map((point, i) => [
+        points[i][0] + (point[0] - points[i][0]) * t,
+        points[i][1] + (point[1] - points[i][1]) * t
+      ]);
+    }
+    contour.push(points[0]);
+  }
+}
+
+/**
+ * Contours of a glyph placed at an origin, scaled from font units to mm
+ */
+function glyphContours(font, character, origin, scale, getCircularSegments) {
+  const contours = [];
+  let contour = null;
+  const place = ([x, y]) => [origin[0] + x * scale, origin[1] + y * scale];
+
+  glyphCommands(font, character).forEach(({ type, points }) => {
+    if (type === 'M') {
+      contour = [place(points[0])];
+      contours.push(contour);
+    } else if (type === 'L') {
+      contour.push(place(points[0]));
+    } else if (type === 'Q' || type === 'C') {
+      flattenCurve(contour, [contour[contour.length - 1], ...points.map(place)], getCircularSegments);
+    }
+  });
+
+  // Drop closing points that repeat the start
+  return contours.map(points => {
+    const [x0, y0] = points[0];
+    const [x1, y1] = points[points.length - 1];
+    return Math.hypot(x1 - x0, y1 - y0) < 1e-9 ? points.slice(0, -1) : points;
+  }).filter(points => points.length >= 3);
+}
+
+/**
+ * Create a 2D text profile from one of the bundled fonts
+ * @param {string} string - Text; '\n' starts a new line
+ * @param {Object} [options]
+ * @param {string} [options.font='sans'] - 'sans', 'sans-bold' or 'mono'
+ * @param {number} [options.size=10] - Height of capital letters in mm
+ * @param {string} [options.halign='left'] - 'left', 'center' or 'right' of each line at x = 0
+ * @param {string} [options.valign='baseline'] - 'baseline' of the first line,
+ *   or 'top', 'center' or 'bottom' of the text's bounds at y = 0
+ * @param {number} [options.spacing=1] - Factor on the distance between characters
+ * @param {number} [options.lineHeight=1] - Factor on the font's distance between lines
+ * @returns {CrossSection}
+ */
+function text(string, options = {}) {
+  const { CrossSection, getCircularSegments } = manifoldModule;
+  const {
+    font: fontName = DEFAULT_FONT,
+    size = 10,
+    halign = 'left',
+    valign = 'baseline',
+    spacing = 1,
+    lineHeight = 1
+  } = options;
+
+  if (typeof string !== 'string') {
+    throw new Error('text() needs a string');
+  }
+  const font = FONTS[fontName];
+  if (!font) {
+    throw new Error(`text() has no font '${fontName}'; use one of ${Object.keys(FONTS).map(name => `'${name}'`).join(', ')}`);
+  }
+  if (!(size > 0)) {
+    throw new Error('text() size must be positive');
+  }
+  if (!TEXT_HALIGN.includes(halign)) {
+    throw new Error(`text() halign must be 'left', 'center' or 'right'`);
+  }
+  if (!TEXT_VALIGN.includes(valign)) {
+    throw new Error(`text() valign must be 'baseline', 'top', 'center' or 'bottom'`);
+  }
+
+  const scale = size / font.capHeight;
+  const lineAdvance = (font.ascender - font.descender + font.lineGap) * scale * lineHeight;
+  const polygons = [];
+
+  string.split('\n').forEach((line, lineIndex) => {
+    const characters = [...line];
+    const missing = characters.find(character => !font.glyphs[character]);
+    if (missing) {
+      throw new Error(`text() font '${fontName}' has no glyph for '${missing}'`);
+    }
+
+    // Pen position of each character, then the line's width for alignment
+    const pens = [];
+    let pen = 0;
+    characters.forEach((character, i) => {
+      if (i > 0) pen += (font.kerning[characters[i - 1] + character] || 0) * scale;
+      pens.push(pen);
+      pen += font.glyphs[character][0] * scale * spacing;
+    });
+    const width = characters.length
+      ? pen - font.glyphs[characters[characters.length - 1]][0] * scale * (spacing - 1)
+      : 0;
+    const shift = halign === 'center' ? -width / 2 : halign === 'right' ? -width : 0;
+
+    characters.forEach((character, i) => {
+      const origin = [pens[i] + shift, -lineIndex * lineAdvance];
+      polygons.push(...glyphContours(font, character, origin, scale, getCircularSegments));
+    });
+  });
+
+  // Outlines wind opposite ways around holes; NonZero keeps counters open
+  const profile = new CrossSection(polygons, 'NonZero');
+  if (valign === 'baseline' || profile.isEmpty()) return profile;
+
+  const { min, max } = profile.bounds();
+  const y = valign === 'top' ? max[1] : valign === 'bottom' ? min[1] : (min[1] + max[1]) / 2;
+  return profile.translate([0, -y]);
+}
+
+/**
+ * Emboss or engrave text on a face, such as the face selected in the viewport
+ * @param {Manifold} manifold - Part to add the text to or cut it from
+ * @param {string} string - Text; '\n' starts a new line
+ * @param {Object} face - { center: [x, y, z], normal: [x, y, z] } of the face
+ * @param {Object} [options] - text() options, centered on the face by default, plus:
+ * @param {number} [options.depth=1] - Height of embossed or depth of engraved text in mm
+ * @param {string} [options.mode='emboss'] - 'emboss' to raise the text, 'engrave' to cut it in
+ * @param {number} [options.rotation=0] - Degrees counter-clockwise about the normal
+ * @returns {Manifold}
+ */
+function textOnSurface(manifold, string, face, options = {}) {
+  const { Manifold } = manifoldModule;
+  const {
+    depth = 1,
+    mode = 'emboss',
+    rotation = 0,
+    halign = 'center',
+    valign = 'center',
+    ...textOptions
+  } = options;
+
+  const { center: origin, normal } = face || {};
+  if (!Array.isArray(origin) || !Array.isArray(normal)) {
+    throw new Error('textOnSurface() face needs { center: [x, y, z], normal: [x, y, z] }, as shown for the selected face');
+  }
+  if (!(depth > 0)) {
+    throw new Error('textOnSurface() depth must be positive');
+  }
+  if (mode !== 'emboss' && mode !== 'engrave') {
+    throw new Error(`textOnSurface() mode must be 'emboss' or 'engrave'`);
+  }
+
+  // Text reads upright: its up is world Z projected onto the face, or Y on
+  // faces looking up or down
+  const z = vecNormalize(normal);
+  const worldUp = Math.abs(z[2]) > 0.99 ? [0, 1, 0] : [0, 0, 1];
+  const y = vecNormalize(vecSub(worldUp, vecMul(vecDot(worldUp, z), z)));
+  const x = vecCross(y, z);
+
+  // Sink embossed text as deep into the part as it stands out so it fuses
+  // with curved or slightly uneven faces; engraving reaches as far out
+  const profile = text(string, { ...textOptions, halign, valign }).rotate(rotation);
+  const letters = Manifold.extrude(profile, 2 * depth)
+    .translate([0, 0, -depth])
+    .transform([...x, 0, ...y, 0, ...z, 0, ...origin, 1]);
+
+  return mode === 'emboss' ? manifold.add(letters) : manifold.subtract(letters);
+}
+
+// Collection of all helper functions to inject
+// Keep HELPER_GLOBALS in shared/scriptValidator.js in sync, or scripts using a new helper fail validation
+export const HELPER_FUNCTIONS = {
+  shell,
+  scaleShell,
+  offset,
+  getScaleRatio,
+  roundedBox,
+  fillet,
+  chamfer,
+  tube,
+  hexPrism,
+  fastenerSpec,
+  thread,
+  hexNut,
+  bolt,
+  heatSetBoss,
+  countersunkHole,
+  counterboredHole,
+  nutTrap,
+  text,
+  textOnSurface,
+  mirror,
+  array3D,
+  polarArray,
+  center,
+  align,
+  getDimensions,
+  addDraft,
+  loft,
+  //loft helpers
+  sumSqDist,
+  rotateContour,
+  sweep,
+  sweepPoints,
+  sketch,
+  // sweeo helpers
+  vecAdd,
+  vecSub,
+  vecMul,
+  vecDot,
+  vecCross,
+  vecNorm,
+  vecNormalize,
+};
+
+export default HELPER_FUNCTIONS;
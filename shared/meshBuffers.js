@@ -0,0 +1,63 @@
+// shared/meshBuffers.js
+// Mesh data kept as typed arrays so it can move between the editor's main
+// thread and sandbox worker as transferred buffers instead of copies. Plain
+// arrays still arrive from JSON (STEP conversion, order verification) and
+// from models cached before meshes were stored as typed arrays.
+
+const FLOAT_FIELDS = ['vertProperties'];
+const INDEX_FIELDS = ['triVerts', 'runIndex', 'runOriginalID', 'faceID'];
+
+/**
+ * Mesh data with its arrays as Float32Array/Uint32Array
+ * Typed arrays are kept as they are, plain arrays are converted.
+ * @param {Object} meshData - { numProp, vertProperties, triVerts, runIndex?, runOriginalID?, faceID? }
+ * @returns {Object} Mesh data with typed arrays
+ */
+export const toMeshBuffers = (meshData) => {
+  const result = { ...meshData, numProp: meshData.numProp || 3 };
+  FLOAT_FIELDS.forEach(field => {
+    if (meshData[field] && !(meshData[field] instanceof Float32Array)) {
+      result[field] = Float32Array.from(meshData[field]);
+    }
+  });
+  INDEX_FIELDS.forEach(field => {
+    if (meshData[field] && !(meshData[field] instanceof Uint32Array)) {
+      result[field] = Uint32Array.from(meshData[field]);
+    }
+  });
+  return result;
+};
+
+/**
+ * Copy of mesh data with its own buffers, for transferring data the sender keeps
+ * @param {Object} meshData
+ * @returns {Object} Mesh data with copied typed arrays
+ */
+export const cloneMeshBuffers = (meshData) => {
+  const result = toMeshBuffers(meshData);
+  [...FLOAT_FIELDS, ...INDEX_FIELDS].forEach(field => {
+    if (result[field] && result[field] === meshData[field]) {
+      result[field] = result[field].slice();
+    }
+  });
+  return result;
+};
+
+/**
+ * Buffers of mesh data to pass as postMessage transferables
+ * Each buffer is listed once, even when meshes share it.
+ * @param {Object[]} meshes - Mesh data objects (null entries are skipped)
+ * @returns {ArrayBuffer[]}
+ */
+export const meshTransferables = (meshes) => {
+  const buffers = new Set();
+  meshes.forEach(meshData => {
+    if (!meshData) return;
+    [...FLOAT_FIELDS, ...INDEX_FIELDS].forEach(field => {
+      if (ArrayBuffer.isView(meshData[field])) {
+        buffers.add(meshData[field].buffer);
+      }
+    });
+  });
+  return [...buffers];
+};
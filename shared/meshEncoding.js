@@ -0,0 +1,78 @@
+// shared/meshEncoding.js
+// Compact JSON form of mesh data for requests to the backend. Vertex and
+// index arrays travel as base64 strings of their bytes instead of arrays of
+// numbers, about a third of the size, so orders with large imported meshes
+// stay within the request size limit.
+
+// Characters per String.fromCharCode call, below engines' argument limits
+const CHUNK_SIZE = 0x8000;
+
+const bytesOf = (array) => new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (text, field) => {
+  let binary;
+  try {
+    binary = atob(text);
+  } catch {
+    throw new Error(`Invalid mesh data: ${field} is not base64`);
+  }
+  if (binary.length % 4 !== 0) {
+    throw new Error(`Invalid mesh data: ${field} is not a whole number of 4-byte values`);
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Encode mesh data for a JSON request body
+ * Values are stored as Float32Array/Uint32Array bytes in little-endian order,
+ * the byte order of every platform the editor and backend run on.
+ * @param {Object} meshData - { numProp, vertProperties, triVerts } with typed or plain arrays
+ * @returns {{numProp: number, encoding: 'base64', vertProperties: string, triVerts: string}}
+ */
+export const encodeMeshData = (meshData) => {
+  const vertProperties = meshData.vertProperties instanceof Float32Array
+    ? meshData.vertProperties
+    : Float32Array.from(meshData.vertProperties);
+  const triVerts = meshData.triVerts instanceof Uint32Array
+    ? meshData.triVerts
+    : Uint32Array.from(meshData.triVerts);
+
+  return {
+    numProp: meshData.numProp || 3,
+    encoding: 'base64',
+    vertProperties: bytesToBase64(bytesOf(vertProperties)),
+    triVerts: bytesToBase64(bytesOf(triVerts)),
+  };
+};
+
+/**
+ * Decode mesh data from encodeMeshData(); other mesh data is returned as it is
+ * @param {Object} meshData
+ * @returns {Object} Mesh data, with typed arrays when it was encoded
+ * @throws {Error} If encoded data is malformed
+ */
+export const decodeMeshData = (meshData) => {
+  if (!meshData || meshData.encoding !== 'base64') return meshData;
+
+  if (typeof meshData.vertProperties !== 'string' || typeof meshData.triVerts !== 'string') {
+    throw new Error('Invalid mesh data: base64 mesh arrays must be strings');
+  }
+
+  return {
+    numProp: meshData.numProp || 3,
+    vertProperties: new Float32Array(base64ToBytes(meshData.vertProperties, 'vertProperties').buffer),
+    triVerts: new Uint32Array(base64ToBytes(meshData.triVerts, 'triVerts').buffer),
+  };
+};
@@ -0,0 +1,1144 @@
+// shared/meshRepair.js
+// Repair pipeline for imported triangle meshes, run before Manifold
+// construction: vertex welding, degenerate and duplicate triangle removal,
+// winding fixes, hole filling, merging of overlapping shells and trimming of
+// self-intersections, plus a count of those that can't be trimmed. Used by the
+// editor's sandbox worker for STL/OBJ/3MF imports and by the backend's STEP
+// conversion as a last fallback.
+
+// Largest hole (in boundary edges) that is filled
+const MAX_HOLE_EDGES = 10000;
+
+// Default weld tolerance relative to the bounding box diagonal
+const RELATIVE_TOLERANCE = 1e-6;
+
+const edgeKey = (a, b) => `${a},${b}`;
+
+/**
+ * A repair report with nothing fixed
+ * @returns {{weldedVertices: number, degenerateTriangles: number, duplicateTriangles: number,
+ *   flippedTriangles: number, invertedShells: number, holesFilled: number, holesSkipped: number,
+ *   mergedShells: number, resolvedIntersections: number, selfIntersections: number}}
+ *   holesSkipped and selfIntersections count problems that were left unresolved
+ */
+export const createRepairReport = () => ({
+  weldedVertices: 0,
+  degenerateTriangles: 0,
+  duplicateTriangles: 0,
+  flippedTriangles: 0,
+  invertedShells: 0,
+  holesFilled: 0,
+  holesSkipped: 0,
+  mergedShells: 0,
+  resolvedIntersections: 0,
+  selfIntersections: 0,
+});
+
+// Report entries that count problems left in the mesh rather than fixes
+const UNRESOLVED_KEYS = ['holesSkipped', 'selfIntersections'];
+
+/**
+ * Merge vertices closer than the tolerance
+ * @returns {{positions: number[], remap: Int32Array, welded: number}}
+ */
+function weldVertices(vertices, tolerance) {
+  const count = vertices.length / 3;
+  const remap = new Int32Array(count);
+  const positions = [];
+  const cells = new Map();
+  const cellOf = (value) => Math.floor(value / tolerance);
+  const toleranceSq = tolerance * tolerance;
+
+  for (let i = 0; i < count; i++) {
+    const x = vertices[i * 3];
+    const y = vertices[i * 3 + 1];
+    const z = vertices[i * 3 + 2];
+    const cx = cellOf(x);
+    const cy = cellOf(y);
+    const cz = cellOf(z);
+
+    // A match may sit in any neighbouring cell
+    let match = -1;
+    for (let dx = -1; dx <= 1 && match < 0; dx++) {
+      for (let dy = -1; dy <= 1 && match < 0; dy++) {
+        for (let dz = -1; dz <= 1 && match < 0; dz++) {
+          const candidates = cells.get(`${cx + dx},${cy + dy},${cz + dz}`);
+          if (!candidates) continue;
+          for (const candidate of candidates) {
+            const ddx = positions[candidate * 3] - x;
+            const ddy = positions[candidate * 3 + 1] - y;
+            const ddz = positions[candidate * 3 + 2] - z;
+            if (ddx * ddx + ddy * ddy + ddz * ddz <= toleranceSq) {
+              match = candidate;
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    if (match >= 0) {
+      remap[i] = match;
+      continue;
+    }
+
+    const index = positions.length / 3;
+    positions.push(x, y, z);
+    remap[i] = index;
+    const key = `${cx},${cy},${cz}`;
+    const cell = cells.get(key);
+    if (cell) cell.push(index);
+    else cells.set(key, [index]);
+  }
+
+  return { positions, remap, welded: count - positions.length / 3 };
+}
+
+/**
+ * Twice the area of a triangle
+ */
+function doubleArea(positions, a, b, c) {
+  const e1x = positions[b * 3] - positions[a * 3];
+  const e1y = positions[b * 3 + 1] - positions[a * 3 + 1];
+  const e1z = positions[b * 3 + 2] - positions[a * 3 + 2];
+  const e2x = positions[c * 3] - positions[a * 3];
+  const e2y = positions[c * 3 + 1] - positions[a * 3 + 1];
+  const e2z = positions[c * 3 + 2] - positions[a * 3 + 2];
+  return Math.hypot(e1y * e2z - e1z * e2y, e1z * e2x - e1x * e2z, e1x * e2y - e1y * e2x);
+}
+
+/**
+ * Drop zero-area triangles and repeated faces. A face listed twice with
+ * opposite windings is an internal wall between two bodies; both go.
+ */
+function removeBadTriangles(positions, triangles, tolerance) {
+  const kept = [];
+  const seen = new Map();
+  let degenerate = 0;
+  let duplicate = 0;
+
+  for (const tri of triangles) {
+    const [a, b, c] = tri;
+    if (a === b || b === c || c === a || doubleArea(positions, a, b, c) <= tolerance * tolerance) {
+      degenerate++;
+      continue;
+    }
+
+    const key = [a, b, c].sort((x, y) => x - y).join(',');
+    const previous = seen.get(key);
+    if (previous === undefined) {
+      seen.set(key, kept.length);
+      kept.push(tri);
+      continue;
+    }
+
+    duplicate++;
+    const other = kept[previous];
+    if (!other) continue;
+
+    // Same cyclic order means same winding
+    const sameWinding = [0, 1, 2].some(shift =>
+      other[shift] === a && other[(shift + 1) % 3] === b && other[(shift + 2) % 3] === c
+    );
+    if (!sameWinding) {
+      kept[previous] = null;
+      duplicate++;
+    }
+  }
+
+  return { triangles: kept.filter(Boolean), degenerate, duplicate };
+}
+
+/**
+ * Map undirected edges to the triangles that use them
+ */
+function buildEdgeMap(triangles) {
+  const edges = new Map();
+  triangles.forEach((tri, index) => {
+    for (let corner = 0; corner < 3; corner++) {
+      const a = tri[corner];
+      const b = tri[(corner + 1) % 3];
+      const key = a < b ? edgeKey(a, b) : edgeKey(b, a);
+      const users = edges.get(key);
+      if (users) users.push(index);
+      else edges.set(key, [index]);
+    }
+  });
+  return edges;
+}
+
+// Whether two triangles traverse their shared edge in the same direction
+const sameEdgeDirection = (t1, t2) => {
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      if (t1[i] === t2[j] && t1[(i + 1) % 3] === t2[(j + 1) % 3]) return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Make winding consistent across each connected shell
+ * @returns {{components: number[][], flipped: number}} Triangle indices per shell
+ */
+function orientShells(triangles) {
+  const edges = buildEdgeMap(triangles);
+  const component = new Int32Array(triangles.length).fill(-1);
+  const components = [];
+  let flipped = 0;
+
+  for (let seed = 0; seed < triangles.length; seed++) {
+    if (component[seed] >= 0) continue;
+
+    const members = [seed];
+    component[seed] = components.length;
+    for (let next = 0; next < members.length; next++) {
+      const tri = triangles[members[next]];
+      for (let corner = 0; corner < 3; corner++) {
+        const a = tri[corner];
+        const b = tri[(corner + 1) % 3];
+        const users = edges.get(a < b ? edgeKey(a, b) : edgeKey(b, a));
+        // Non-manifold edges don't say which way is out
+        if (users.length !== 2) continue;
+
+        const neighbour = users[0] === members[next] ? users[1] : users[0];
+        if (component[neighbour] >= 0) continue;
+
+        if (sameEdgeDirection(tri, triangles[neighbour])) {
+          triangles[neighbour].reverse();
+          flipped++;
+        }
+        component[neighbour] = components.length;
+        members.push(neighbour);
+      }
+    }
+    components.push(members);
+  }
+
+  return { components, flipped };
+}
+
+/**
+ * Close boundary loops with a fan around their centroid
+ * @returns {{filled: number, skipped: number}}
+ */
+function fillHoles(positions, triangles) {
+  // Each boundary half-edge a→b needs a fill triangle with b→a
+  const halfEdges = new Set();
+  triangles.forEach(tri => {
+    for (let corner = 0; corner < 3; corner++) {
+      halfEdges.add(edgeKey(tri[corner], tri[(corner + 1) % 3]));
+    }
+  });
+
+  const fillNext = new Map();
+  const pinched = new Set();
+  triangles.forEach(tri => {
+    for (let corner = 0; corner < 3; corner++) {
+      const a = tri[corner];
+      const b = tri[(corner + 1) % 3];
+      if (halfEdges.has(edgeKey(b, a))) continue;
+      if (fillNext.has(b)) pinched.add(b);
+      fillNext.set(b, a);
+    }
+  });
+
+  let filled = 0;
+  let skipped = 0;
+  const visited = new Set();
+
+  for (const start of fillNext.keys()) {
+    if (visited.has(start)) continue;
+
+    const loop = [];
+    let vertex = start;
+    let closed = false;
+    while (!visited.has(vertex) && fillNext.has(vertex) && loop.length <= MAX_HOLE_EDGES) {
+      visited.add(vertex);
+      loop.push(vertex);
+      vertex = fillNext.get(vertex);
+      if (vertex === start) {
+        closed = true;
+        break;
+      }
+    }
+
+    // Loops through a vertex shared by two holes are ambiguous
+    if (!closed || loop.length < 3 || loop.some(v => pinched.has(v))) {
+      skipped++;
+      continue;
+    }
+
+    if (loop.length === 3) {
+      triangles.push([loop[0], loop[1], loop[2]]);
+    } else {
+      const center = positions.length / 3;
+      for (let axis = 0; axis < 3; axis++) {
+        positions.push(loop.reduce((sum, v) => sum + positions[v * 3 + axis], 0) / loop.length);
+      }
+      loop.forEach((v, i) => triangles.push([v, loop[(i + 1) % loop.length], center]));
+    }
+    filled++;
+  }
+
+  return { filled, skipped };
+}
+
+/**
+ * Signed volume and bounding box of a shell
+ */
+function measureShell(positions, triangles, members) {
+  let volume = 0;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const index of members) {
+    const [a, b, c] = triangles[index];
+    const p = [a, b, c].map(v => [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]]);
+    volume += (
+      p[0][0] * (p[1][1] * p[2][2] - p[1][2] * p[2][1]) -
+      p[0][1] * (p[1][0] * p[2][2] - p[1][2] * p[2][0]) +
+      p[0][2] * (p[1][0] * p[2][1] - p[1][1] * p[2][0])
+    ) / 6;
+    for (const point of p) {
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], point[axis]);
+        max[axis] = Math.max(max[axis], point[axis]);
+      }
+    }
+  }
+  return { volume, min, max };
+}
+
+const boxContains = (outer, inner) => [0, 1, 2].every(axis =>
+  outer.min[axis] <= inner.min[axis] && outer.max[axis] >= inner.max[axis]
+);
+
+/**
+ * Turn inside-out shells the right way out. Shells nested inside another
+ * shell's bounds are cavities and keep their inward winding.
+ */
+function orientOutward(positions, triangles, components) {
+  const shells = components.map(members => measureShell(positions, triangles, members));
+  let inverted = 0;
+
+  shells.forEach((shell, i) => {
+    if (shell.volume >= 0) return;
+    const isCavity = shells.some((other, j) => j !== i && other.volume > 0 && boxContains(other, shell));
+    if (isCavity) return;
+
+    components[i].forEach(index => triangles[index].reverse());
+    inverted++;
+  });
+
+  return inverted;
+}
+
+/**
+ * Repair a triangle mesh so Manifold can build a solid from it
+ *
+ * @param {ArrayLike<number>} vertices - Flat vertex positions (x, y, z, ...)
+ * @param {ArrayLike<number>} triVerts - Flat triangle vertex indices
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Weld distance in mm; defaults to a
+ *   millionth of the bounding box diagonal
+ * @returns {{vertProperties: Float32Array, triVerts: Uint32Array, report: Object}}
+ *   The repaired mesh and what was fixed (see createRepairReport); holesSkipped
+ *   counts holes too large or ambiguous to fill
+ */
+export function repairMesh(vertices, triVerts, options = {}) {
+  let tolerance = options.tolerance;
+  if (!(tolerance > 0)) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < vertices.length; i++) {
+      min[i % 3] = Math.min(min[i % 3], vertices[i]);
+      max[i % 3] = Math.max(max[i % 3], vertices[i]);
+    }
+    tolerance = Math.max(Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) * RELATIVE_TOLERANCE, 1e-9);
+  }
+
+  const { positions, remap, welded } = weldVertices(vertices, tolerance);
+
+  let triangles = [];
+  for (let i = 0; i < triVerts.length; i += 3) {
+    triangles.push([remap[triVerts[i]], remap[triVerts[i + 1]], remap[triVerts[i + 2]]]);
+  }
+
+  const cleaned = removeBadTriangles(positions, triangles, tolerance);
+  triangles = cleaned.triangles;
+
+  const oriented = orientShells(triangles);
+  const holes = fillHoles(positions, triangles);
+  // Filling may join shells, so measure them again
+  const { components } = orientShells(triangles);
+  const invertedShells = orientOutward(positions, triangles, components);
+
+  return {
+    vertProperties: Float32Array.from(positions),
+    triVerts: Uint32Array.from(triangles.flat()),
+    report: {
+      ...createRepairReport(),
+      weldedVertices: welded,
+      degenerateTriangles: cleaned.degenerate,
+      duplicateTriangles: cleaned.duplicate,
+      flippedTriangles: oriented.flipped,
+      invertedShells,
+      holesFilled: holes.filled,
+      holesSkipped: holes.skipped,
+    },
+  };
+}
+
+// Triangles per leaf of the bounding box tree used to find intersections
+const TREE_LEAF_SIZE = 8;
+
+// Most solid angle evaluations spent classifying surface patches while
+// resolving self-intersections (patches times triangles)
+const MAX_WINDING_EVALUATIONS = 1e7;
+
+// Vertices are nudged by up to this many touch distances when faces lie
+// exactly on each other, and touching is then judged this much more finely
+const NUDGE_DISTANCE = 10;
+const NUDGE_PRECISION = 1e-3;
+
+// Nudges tried before giving up on resolving self-intersections
+const NUDGE_ATTEMPTS = 2;
+
+/**
+ * Signed distances of a triangle's corners to another triangle's plane,
+ * snapped to 0 within epsilon; null when the plane is undefined
+ */
+function planeDistances(positions, plane, triangle, epsilon) {
+  const [a, b, c] = plane.map(v => v * 3);
+  const e1x = positions[b] - positions[a];
+  const e1y = positions[b + 1] - positions[a + 1];
+  const e1z = positions[b + 2] - positions[a + 2];
+  const e2x = positions[c] - positions[a];
+  const e2y = positions[c + 1] - positions[a + 1];
+  const e2z = positions[c + 2] - positions[a + 2];
+  const nx = e1y * e2z - e1z * e2y;
+  const ny = e1z * e2x - e1x * e2z;
+  const nz = e1x * e2y - e1y * e2x;
+  const length = Math.hypot(nx, ny, nz);
+  if (length === 0) return null;
+
+  return triangle.map(v => {
+    const distance = (nx * (positions[v * 3] - positions[a]) +
+      ny * (positions[v * 3 + 1] - positions[a + 1]) +
+      nz * (positions[v * 3 + 2] - positions[a + 2])) / length;
+    return Math.abs(distance) <= epsilon ? 0 : distance;
+  });
+}
+
+/**
+ * Where a triangle crosses a plane, as an interval along the given direction.
+ * Each end records the triangle edge it lies on, or null for a corner on the plane.
+ */
+function crossingInterval(positions, triangle, distances, direction) {
+  const along = triangle.map(v =>
+    positions[v * 3] * direction[0] + positions[v * 3 + 1] * direction[1] + positions[v * 3 + 2] * direction[2]);
+  let min = { value: Infinity, edge: null };
+  let max = { value: -Infinity, edge: null };
+  const add = (value, edge) => {
+    if (value < min.value) min = { value, edge };
+    if (value > max.value) max = { value, edge };
+  };
+  for (let i = 0; i < 3; i++) {
+    const j = (i + 1) % 3;
+    if (distances[i] === 0) add(along[i], null);
+    if (distances[i] * distances[j] < 0) {
+      add(along[i] + (along[j] - along[i]) * distances[i] / (distances[i] - distances[j]), [triangle[i], triangle[j]]);
+    }
+  }
+  return [min, max];
+}
+
+/**
+ * Where two triangles cut through each other, or null when they only touch
+ * or lie in one plane. Each end of the cut is the edge of the first (side 0)
+ * or second (side 1) triangle that bounds it; edge is null where the end is a
+ * corner or both triangles' edges meet, which the cut can't be traced through.
+ * @returns {{ends: Array<{side: number, edge: number[]|null}>}|null}
+ */
+function triangleCut(positions, first, second, epsilon) {
+  const firstToSecond = planeDistances(positions, second, first, epsilon);
+  if (!firstToSecond) return null;
+  if (firstToSecond.every(d => d >= 0) || firstToSecond.every(d => d <= 0)) return null;
+  const secondToFirst = planeDistances(positions, first, second, epsilon);
+  if (!secondToFirst) return null;
+  if (secondToFirst.every(d => d >= 0) || secondToFirst.every(d => d <= 0)) return null;
+
+  // Both triangles cross the line where their planes meet; compare the spans
+  const normal = (triangle) => {
+    const [a, b, c] = triangle.map(v => v * 3);
+    const e1 = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+    const e2 = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+    return [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+  };
+  const n1 = normal(first);
+  const n2 = normal(second);
+  const line = [n1[1] * n2[2] - n1[2] * n2[1], n1[2] * n2[0] - n1[0] * n2[2], n1[0] * n2[1] - n1[1] * n2[0]];
+  const length = Math.hypot(...line);
+  if (length === 0) return null;
+  const direction = line.map(value => value / length);
+
+  const [firstMin, firstMax] = crossingInterval(positions, first, firstToSecond, direction);
+  const [secondMin, secondMax] = crossingInterval(positions, second, secondToFirst, direction);
+  if (Math.min(firstMax.value, secondMax.value) - Math.max(firstMin.value, secondMin.value) <= epsilon) return null;
+
+  const end = (fromFirst, fromSecond, firstBounds) => {
+    if (Math.abs(fromFirst.value - fromSecond.value) <= epsilon) return { side: 0, edge: null };
+    return firstBounds ? { side: 0, edge: fromFirst.edge } : { side: 1, edge: fromSecond.edge };
+  };
+  return {
+    ends: [
+      end(firstMin, secondMin, firstMin.value > secondMin.value),
+      end(firstMax, secondMax, firstMax.value < secondMax.value),
+    ],
+  };
+}
+
+/**
+ * Merge vertices at exactly the same position, as at property seams, and
+ * read the triangles in terms of the merged vertices
+ * @returns {{positions: number[], triangles: number[][], epsilon: number}}
+ *   epsilon is the distance below which points count as touching
+ */
+function meshTriangles(vertProperties, triVerts, numProp) {
+  const vertexCount = vertProperties.length / numProp;
+  const canonical = new Int32Array(vertexCount);
+  const positions = [];
+  const seen = new Map();
+  for (let v = 0; v < vertexCount; v++) {
+    const x = vertProperties[v * numProp];
+    const y = vertProperties[v * numProp + 1];
+    const z = vertProperties[v * numProp + 2];
+    const key = `${x},${y},${z}`;
+    let index = seen.get(key);
+    if (index === undefined) {
+      index = positions.length / 3;
+      positions.push(x, y, z);
+      seen.set(key, index);
+    }
+    canonical[v] = index;
+  }
+
+  const triangles = [];
+  for (let i = 0; i < triVerts.length; i += 3) {
+    triangles.push([canonical[triVerts[i]], canonical[triVerts[i + 1]], canonical[triVerts[i + 2]]]);
+  }
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    min[i % 3] = Math.min(min[i % 3], positions[i]);
+    max[i % 3] = Math.max(max[i % 3], positions[i]);
+  }
+  const diagonal = positions.length > 0 ? Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) : 0;
+
+  return { positions, triangles, epsilon: diagonal * RELATIVE_TOLERANCE };
+}
+
+/**
+ * Unit normal and offset of a triangle's plane, or null for a zero-area triangle
+ */
+function trianglePlane(positions, [a, b, c]) {
+  const e1 = [0, 1, 2].map(axis => positions[b * 3 + axis] - positions[a * 3 + axis]);
+  const e2 = [0, 1, 2].map(axis => positions[c * 3 + axis] - positions[a * 3 + axis]);
+  const normal = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+  const length = Math.hypot(...normal);
+  if (length === 0) return null;
+  const unit = normal.map(value => value / length);
+  return {
+    normal: unit,
+    offset: unit[0] * positions[a * 3] + unit[1] * positions[a * 3 + 1] + unit[2] * positions[a * 3 + 2],
+    area: length / 2,
+  };
+}
+
+/**
+ * Whether two planes agree within epsilon everywhere in a box
+ */
+function samePlane(first, second, box, epsilon) {
+  const [n1, n2] = [first.normal, second.normal];
+  const dot = n1[0] * n2[0] + n1[1] * n2[1] + n1[2] * n2[2];
+  const sign = dot < 0 ? -1 : 1;
+  const tilt = Math.hypot(n1[1] * n2[2] - n1[2] * n2[1], n1[2] * n2[0] - n1[0] * n2[2], n1[0] * n2[1] - n1[1] * n2[0]);
+  const size = Math.hypot(box[3] - box[0], box[4] - box[1], box[5] - box[2]);
+  if (tilt * size > epsilon) return false;
+
+  const center = [0, 1, 2].map(axis => (box[axis] + box[axis + 3]) / 2);
+  const height = (plane) => plane.normal[0] * center[0] + plane.normal[1] * center[1] + plane.normal[2] * center[2] - plane.offset;
+  return Math.abs(height(first) - sign * height(second)) <= epsilon;
+}
+
+/**
+ * Whether a box reaches more than epsilon past a plane on both sides
+ */
+function straddles(plane, box, epsilon) {
+  const { normal, offset } = plane;
+  let height = -offset;
+  let reach = 0;
+  for (let axis = 0; axis < 3; axis++) {
+    height += normal[axis] * (box[axis] + box[axis + 3]) / 2;
+    reach += Math.abs(normal[axis]) * (box[axis + 3] - box[axis]) / 2;
+  }
+  return height - reach < -epsilon && height + reach > epsilon;
+}
+
+/**
+ * Bounding box tree over a mesh's triangles. Nodes whose triangles all lie in
+ * one plane, or all share a corner, are marked so whole groups that can't
+ * cut each other (flat faces, fans around a vertex) are skipped together.
+ */
+function buildTriangleTree(positions, triangles, epsilon) {
+  const count = triangles.length;
+  const boxes = new Float64Array(count * 6);
+  const centroids = new Float64Array(count * 3);
+  const planes = triangles.map(triangle => trianglePlane(positions, triangle));
+  triangles.forEach((triangle, t) => {
+    for (let axis = 0; axis < 3; axis++) {
+      const values = triangle.map(v => positions[v * 3 + axis]);
+      boxes[t * 6 + axis] = Math.min(...values);
+      boxes[t * 6 + 3 + axis] = Math.max(...values);
+      centroids[t * 3 + axis] = (values[0] + values[1] + values[2]) / 3;
+    }
+  });
+
+  const order = new Uint32Array(count);
+  for (let t = 0; t < count; t++) order[t] = t;
+
+  const build = (start, end) => {
+    const box = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+    const spread = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+    for (let i = start; i < end; i++) {
+      const t = order[i];
+      for (let axis = 0; axis < 3; axis++) {
+        box[axis] = Math.min(box[axis], boxes[t * 6 + axis]);
+        box[axis + 3] = Math.max(box[axis + 3], boxes[t * 6 + 3 + axis]);
+        spread[axis] = Math.min(spread[axis], centroids[t * 3 + axis]);
+        spread[axis + 3] = Math.max(spread[axis + 3], centroids[t * 3 + axis]);
+      }
+    }
+    const node = { box, start, end, left: null, right: null, plane: null, corner: -1 };
+
+    // Split at the median along the axis the centroids spread most
+    const widths = [0, 1, 2].map(axis => spread[axis + 3] - spread[axis]);
+    const axis = widths.indexOf(Math.max(...widths));
+    if (end - start > TREE_LEAF_SIZE && widths[axis] > 0) {
+      order.subarray(start, end).sort((a, b) => centroids[a * 3 + axis] - centroids[b * 3 + axis]);
+      const middle = (start + end) >> 1;
+      node.left = build(start, middle);
+      node.right = build(middle, end);
+      if (node.left.plane && node.right.plane && samePlane(node.left.plane, node.right.plane, box, epsilon)) {
+        node.plane = node.left.plane;
+      }
+      if (node.left.corner === node.right.corner) node.corner = node.left.corner;
+      return node;
+    }
+
+    let largest = null;
+    for (let i = start; i < end; i++) {
+      const plane = planes[order[i]];
+      if (plane && (!largest || plane.area > largest.area)) largest = plane;
+    }
+    const flat = largest && order.subarray(start, end).every(t => triangles[t].every(v => Math.abs(
+      largest.normal[0] * positions[v * 3] + largest.normal[1] * positions[v * 3 + 1] +
+      largest.normal[2] * positions[v * 3 + 2] - largest.offset) <= epsilon));
+    if (flat) node.plane = largest;
+    node.corner = triangles[order[start]].find(v =>
+      order.subarray(start, end).every(t => triangles[t].includes(v))) ?? -1;
+    return node;
+  };
+
+  return { root: build(0, count), order, boxes, planes };
+}
+
+/**
+ * Pairs of triangles that cut through each other. Triangles sharing a corner
+ * are not tested.
+ * @returns {Array<[number, number, Object]>} Triangle indices and their cut (see triangleCut)
+ */
+function findIntersectingPairs(positions, triangles, epsilon) {
+  const pairs = [];
+  if (triangles.length < 4 || !(epsilon > 0)) return pairs;
+
+  const { root, order, boxes, planes } = buildTriangleTree(positions, triangles, epsilon);
+
+  // Whether a triangle stays on one side of another's plane, a cheap first test
+  const oneSide = (t, other) => {
+    const plane = planes[t];
+    if (!plane) return true;
+    const [nx, ny, nz] = plane.normal;
+    let above = false;
+    let below = false;
+    for (const v of triangles[other]) {
+      const height = nx * positions[v * 3] + ny * positions[v * 3 + 1] + nz * positions[v * 3 + 2] - plane.offset;
+      if (height > epsilon) above = true;
+      else if (height < -epsilon) below = true;
+    }
+    return !(above && below);
+  };
+
+  const testPair = (a, b) => {
+    for (let axis = 0; axis < 3; axis++) {
+      if (boxes[a * 6 + axis] > boxes[b * 6 + 3 + axis] || boxes[b * 6 + axis] > boxes[a * 6 + 3 + axis]) return;
+    }
+    const [a0, a1, a2] = triangles[a];
+    const [b0, b1, b2] = triangles[b];
+    if (a0 === b0 || a0 === b1 || a0 === b2 || a1 === b0 || a1 === b1 || a1 === b2 ||
+      a2 === b0 || a2 === b1 || a2 === b2) return;
+    if (oneSide(a, b) || oneSide(b, a)) return;
+    const cut = triangleCut(positions, triangles[a], triangles[b], epsilon);
+    if (cut) pairs.push([a, b, cut]);
+  };
+
+  const overlaps = (first, second) => [0, 1, 2].every(axis =>
+    first.box[axis] <= second.box[axis + 3] && second.box[axis] <= first.box[axis + 3]);
+  const stack = [[root, root]];
+  while (stack.length > 0) {
+    const [first, second] = stack.pop();
+    if (first.corner >= 0 && first.corner === second.corner) continue;
+
+    if (first === second) {
+      if (first.plane) continue;
+      if (first.left) {
+        stack.push([first.left, first.left], [first.right, first.right], [first.left, first.right]);
+      } else {
+        for (let i = first.start; i < first.end; i++) {
+          for (let j = i + 1; j < first.end; j++) testPair(order[i], order[j]);
+        }
+      }
+      continue;
+    }
+
+    if (!overlaps(first, second)) continue;
+    // Nothing cuts through a flat group from a box on one side of its plane
+    if ((first.plane && !straddles(first.plane, second.box, epsilon)) ||
+      (second.plane && !straddles(second.plane, first.box, epsilon))) continue;
+    if (first.plane && second.plane) {
+      const box = [0, 1, 2, 3, 4, 5].map(i => (i < 3 ? Math.min : Math.max)(first.box[i], second.box[i]));
+      if (samePlane(first.plane, second.plane, box, epsilon)) continue;
+    }
+
+    if (!first.left && !second.left) {
+      for (let i = first.start; i < first.end; i++) {
+        for (let j = second.start; j < second.end; j++) testPair(order[i], order[j]);
+      }
+    } else if (!second.left || (first.left && first.end - first.start >= second.end - second.start)) {
+      stack.push([first.left, second], [first.right, second]);
+    } else {
+      stack.push([first, second.left], [first, second.right]);
+    }
+  }
+
+  return pairs;
+}
+
+// Triangles in any of the pairs
+const countIntersecting = (pairs) => new Set(pairs.flatMap(([a, b]) => [a, b])).size;
+
+/**
+ * Count triangles that cut through another triangle of the same mesh.
+ * Manifold accepts closed meshes that pass through themselves; see
+ * resolveSelfIntersections for removing them. Triangles sharing a corner are
+ * not tested.
+ *
+ * @param {ArrayLike<number>} vertProperties - Flat vertex properties, position first
+ * @param {ArrayLike<number>} triVerts - Flat triangle vertex indices
+ * @param {number} [numProp=3] - Properties per vertex
+ * @returns {number} Triangles that intersect at least one other
+ */
+export function countSelfIntersections(vertProperties, triVerts, numProp = 3) {
+  const { positions, triangles, epsilon } = meshTriangles(vertProperties, triVerts, numProp);
+  return countIntersecting(findIntersectingPairs(positions, triangles, epsilon));
+}
+
+/**
+ * Where the edge u-v crosses a triangle's plane. Always computed from the
+ * lower vertex index so every triangle sharing the point gets the same one.
+ */
+function edgeCrossing(positions, u, v, triangle) {
+  const [from, to] = u < v ? [u, v] : [v, u];
+  const { normal, offset } = trianglePlane(positions, triangle);
+  const height = (w) => normal[0] * positions[w * 3] + normal[1] * positions[w * 3 + 1] + normal[2] * positions[w * 3 + 2] - offset;
+  const t = height(from) / (height(from) - height(to));
+  return [0, 1, 2].map(axis => positions[from * 3 + axis] + (positions[to * 3 + axis] - positions[from * 3 + axis]) * t);
+}
+
+/**
+ * Even-odd test of a 2D point against a polygon
+ */
+function insidePolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < xi + (xj - xi) * (y - yi) / (yj - yi)) inside = !inside;
+  }
+  return inside;
+}
+
+const signedArea = (polygon) => polygon.reduce((sum, [x, y], i) => {
+  const [nx, ny] = polygon[(i + 1) % polygon.length];
+  return sum + x * ny - nx * y;
+}, 0) / 2;
+
+/**
+ * Split a triangle along the cuts through it
+ * @param {number[]} triangle - Corner vertex indices
+ * @param {number[][]} segments - Cut segments as point vertex indices
+ * @param {Function} onEdge - (point, u, v) whether a point lies on edge u-v
+ * @returns {number[][]|null} Triangles covering the original, or null when
+ *   the cuts don't form clean paths across it
+ */
+function splitTriangle(points, triangle, segments, onEdge, triangulate) {
+  const neighbours = new Map();
+  const link = (p, q) => {
+    if (!neighbours.has(p)) neighbours.set(p, []);
+    neighbours.get(p).push(q);
+  };
+  segments.forEach(([p, q]) => {
+    link(p, q);
+    link(q, p);
+  });
+
+  // Points on the triangle's edges end a cut; points inside continue one
+  const edgeOf = new Map();
+  for (const [p, links] of neighbours) {
+    const edge = [0, 1, 2].find(i => onEdge(p, triangle[i], triangle[(i + 1) % 3]));
+    if (edge !== undefined) edgeOf.set(p, edge);
+    if (links.length !== (edge !== undefined ? 1 : 2)) return null;
+  }
+
+  // Project to the plane's main axes, keeping the triangle counterclockwise
+  const normal = trianglePlane(points, triangle).normal;
+  const drop = normal.map(Math.abs).indexOf(Math.max(...normal.map(Math.abs)));
+  const [i, j] = normal[drop] > 0 ? [(drop + 1) % 3, (drop + 2) % 3] : [(drop + 2) % 3, (drop + 1) % 3];
+  const flat = (p) => [points[p * 3 + i], points[p * 3 + j]];
+
+  // The outline, with cut ends in order along each edge
+  const outline = [];
+  triangle.forEach((corner, index) => {
+    const next = triangle[(index + 1) % 3];
+    const along = (p) => [0, 1, 2].reduce((sum, axis) =>
+      sum + (points[p * 3 + axis] - points[corner * 3 + axis]) * (points[next * 3 + axis] - points[corner * 3 + axis]), 0);
+    outline.push(corner, ...[...edgeOf].filter(([, edge]) => edge === index).map(([p]) => p)
+      .sort((p, q) => along(p) - along(q)));
+  });
+
+  // Follow each cut from end to end, or around a closed loop
+  const visited = new Set();
+  const follow = (start) => {
+    const path = [start];
+    visited.add(start);
+    for (let previous = -1, current = start; ;) {
+      const next = neighbours.get(current).find(p => p !== previous && !visited.has(p));
+      if (next === undefined) return path;
+      path.push(next);
+      visited.add(next);
+      [previous, current] = [current, next];
+    }
+  };
+  const chords = [];
+  for (const p of edgeOf.keys()) {
+    if (!visited.has(p)) chords.push(follow(p));
+  }
+  const loops = [];
+  for (const p of neighbours.keys()) {
+    if (!visited.has(p)) loops.push(follow(p));
+  }
+
+  // Each cut across splits the face whose outline holds both its ends
+  const faces = [{ outer: outline, holes: [] }];
+  for (const chord of chords) {
+    const first = chord[0];
+    const last = chord[chord.length - 1];
+    const face = faces.find(candidate => candidate.outer.includes(first) && candidate.outer.includes(last));
+    if (!face || !edgeOf.has(last)) return null;
+
+    const { outer } = face;
+    const from = outer.indexOf(first);
+    const to = outer.indexOf(last);
+    const arc = (a, b) => {
+      const result = [];
+      for (let k = a; ; k = (k + 1) % outer.length) {
+        result.push(outer[k]);
+        if (k === b) return result;
+      }
+    };
+    const inner = chord.slice(1, -1);
+    face.outer = [...arc(from, to), ...inner.slice().reverse()];
+    faces.push({ outer: [...arc(to, from), ...inner], holes: [] });
+  }
+
+  // A closed loop cuts a hole out of the face it lies in, largest first so
+  // loops inside loops land in the inner face
+  loops.sort((a, b) => Math.abs(signedArea(b.map(flat))) - Math.abs(signedArea(a.map(flat))));
+  for (const loop of loops) {
+    if (loop.length < 3) return null;
+    const point = flat(loop[0]);
+    const face = faces.find(candidate => insidePolygon(point, candidate.outer.map(flat)) &&
+      !candidate.holes.some(hole => insidePolygon(point, hole.map(flat))));
+    if (!face) return null;
+    const counterclockwise = signedArea(loop.map(flat)) > 0 ? loop : loop.slice().reverse();
+    face.holes.push(counterclockwise.slice().reverse());
+    faces.push({ outer: counterclockwise, holes: [] });
+  }
+
+  const result = [];
+  for (const { outer, holes } of faces) {
+    const ids = [outer, ...holes].flat();
+    for (const [a, b, c] of triangulate([outer, ...holes].map(polygon => polygon.map(flat)))) {
+      result.push([ids[a], ids[b], ids[c]]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Winding number of a closed triangle mesh around a point, leaving out one
+ * triangle the point lies on (which would add ±1/2)
+ */
+function windingNumber(positions, triangles, point, skip) {
+  let total = 0;
+  triangles.forEach((triangle, t) => {
+    if (t === skip) return;
+    const [a, b, c] = triangle.map(v => [0, 1, 2].map(axis => positions[v * 3 + axis] - point[axis]));
+    const la = Math.hypot(...a);
+    const lb = Math.hypot(...b);
+    const lc = Math.hypot(...c);
+    const triple = a[0] * (b[1] * c[2] - b[2] * c[1]) + a[1] * (b[2] * c[0] - b[0] * c[2]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+    const dot = (p, q) => p[0] * q[0] + p[1] * q[1] + p[2] * q[2];
+    total += 2 * Math.atan2(triple, la * lb * lc + dot(a, b) * lc + dot(b, c) * la + dot(c, a) * lb);
+  });
+  return total / (4 * Math.PI);
+}
+
+/**
+ * Move each coordinate by a repeatable pseudo-random amount up to distance
+ */
+function nudgeVertices(positions, distance, seed) {
+  return positions.map((value, index) => {
+    let hash = Math.imul(index + 1, 0x9e3779b1) ^ Math.imul(seed, 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 16), 0x7feb352d);
+    hash ^= hash >>> 15;
+    return value + distance * ((hash >>> 0) / 0xffffffff * 2 - 1);
+  });
+}
+
+/**
+ * Cut a self-intersecting mesh along its intersections and keep only the
+ * surface that bounds the solid (where the winding number goes from 0 outside
+ * to 1 or more inside), as a union would
+ * @returns {{positions: number[], triangles: number[][]}|null} null when the
+ *   intersections are too tangled to trace
+ */
+function trimSelfIntersections(positions, triangles, pairs, triangulate) {
+  const points = positions.slice();
+  const pointIds = new Map();
+  const pointEdges = new Map();
+  const cuts = new Map();
+  const curve = new Set();
+
+  // Each cut runs between points where an edge of one triangle passes
+  // through the other; points are shared by every triangle that meets them
+  const pointOf = (edge, triangle) => {
+    const [u, v] = edge[0] < edge[1] ? edge : [edge[1], edge[0]];
+    const key = `${u},${v}|${triangle}`;
+    let id = pointIds.get(key);
+    if (id === undefined) {
+      id = points.length / 3;
+      points.push(...edgeCrossing(positions, u, v, triangles[triangle]));
+      pointIds.set(key, id);
+      pointEdges.set(id, [u, v]);
+    }
+    return id;
+  };
+
+  for (const [a, b, { ends }] of pairs) {
+    if (ends.some(end => !end.edge)) return null;
+    const [p, q] = ends.map(({ side, edge }) => pointOf(edge, side === 0 ? b : a));
+    if (p === q) return null;
+    for (const t of [a, b]) {
+      if (!cuts.has(t)) cuts.set(t, []);
+      cuts.get(t).push([p, q]);
+    }
+    curve.add(p < q ? edgeKey(p, q) : edgeKey(q, p));
+  }
+
+  const onEdge = (p, u, v) => {
+    const edge = pointEdges.get(p);
+    return !!edge && ((edge[0] === u && edge[1] === v) || (edge[0] === v && edge[1] === u));
+  };
+
+  const pieces = [];
+  const origins = [];
+  for (let t = 0; t < triangles.length; t++) {
+    const split = cuts.has(t) ? splitTriangle(points, triangles[t], cuts.get(t), onEdge, triangulate) : [triangles[t]];
+    if (!split) return null;
+    split.forEach(piece => {
+      pieces.push(piece);
+      origins.push(t);
+    });
+  }
+
+  // Patches of surface bounded by the cuts are kept or dropped as a whole
+  const patch = Int32Array.from(pieces, (_, index) => index);
+  const root = (index) => {
+    while (patch[index] !== index) index = patch[index] = patch[patch[index]];
+    return index;
+  };
+  for (const [key, users] of buildEdgeMap(pieces)) {
+    if (curve.has(key)) continue;
+    for (let k = 1; k < users.length; k++) patch[root(users[k])] = root(users[0]);
+  }
+
+  // Judge each patch at its largest piece
+  const largest = new Map();
+  pieces.forEach((piece, index) => {
+    const area = doubleArea(points, ...piece);
+    const top = root(index);
+    if (!largest.has(top) || area > largest.get(top).area) largest.set(top, { index, area });
+  });
+  if (largest.size * triangles.length > MAX_WINDING_EVALUATIONS) return null;
+
+  const kept = new Set();
+  for (const [top, { index, area }] of largest) {
+    if (area === 0) return null;
+    const centroid = [0, 1, 2].map(axis => pieces[index].reduce((sum, v) => sum + points[v * 3 + axis], 0) / 3);
+    // Just outside the piece the winding number is this minus 1/2
+    const outside = windingNumber(positions, triangles, centroid, origins[index]) - 0.5;
+    if (Math.round(outside) === 0) kept.add(top);
+  }
+
+  return { positions: points, triangles: pieces.filter((_, index) => kept.has(root(index))) };
+}
+
+/**
+ * Build a manifold from trimmed surface, or null when it isn't a clean solid
+ */
+function trimmedSolid(Manifold, Mesh, { positions, triangles }) {
+  if (triangles.length === 0) return null;
+
+  // Keep only the vertices still in use
+  const index = new Map();
+  const vertProperties = [];
+  const triVerts = triangles.flatMap(triangle => triangle.map(v => {
+    if (!index.has(v)) {
+      index.set(v, index.size);
+      vertProperties.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+    }
+    return index.get(v);
+  }));
+
+  const result = new Manifold(new Mesh({
+    numProp: 3,
+    vertProperties: Float32Array.from(vertProperties),
+    triVerts: Uint32Array.from(triVerts),
+  }));
+  const mesh = result.getMesh();
+  if (result.status().value !== 0 || result.isEmpty() ||
+    countSelfIntersections(mesh.vertProperties, mesh.triVerts, mesh.numProp) > 0) {
+    result.delete();
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Remove self-intersections from a manifold: the surface is cut where it
+ * passes through itself and the parts inside the solid are dropped. Manifold
+ * accepts such meshes, but slicers fill them unpredictably. When the cuts
+ * can't be traced (e.g. overlapping parts with flush faces) or the result
+ * isn't a clean solid, the input is kept and the intersections reported.
+ * Vertex properties other than position are not kept.
+ *
+ * @param {Object} manifoldModule - The initialized Manifold wasm module
+ * @param {Manifold} manifold
+ * @returns {{manifold: Manifold, resolved: number, remaining: number}}
+ *   Counts of intersecting triangles that were trimmed and that are left; a
+ *   new manifold when they were trimmed (the input is deleted), otherwise
+ *   the input
+ */
+export function resolveSelfIntersections(manifoldModule, manifold) {
+  const { Manifold, Mesh, triangulate } = manifoldModule;
+  const mesh = manifold.getMesh();
+  const { positions, triangles, epsilon } = meshTriangles(mesh.vertProperties, mesh.triVerts, mesh.numProp);
+  const pairs = findIntersectingPairs(positions, triangles, epsilon);
+  const count = countIntersecting(pairs);
+  if (count === 0) return { manifold, resolved: 0, remaining: 0 };
+
+  // Cuts through corners or along flush faces can't be traced; nudging every
+  // vertex a tiny, repeatable amount puts the surface in general position
+  for (let attempt = 0; attempt <= NUDGE_ATTEMPTS; attempt++) {
+    let result = null;
+    try {
+      const points = attempt === 0 ? positions : nudgeVertices(positions, epsilon * NUDGE_DISTANCE, attempt);
+      const cuts = attempt === 0 ? pairs : findIntersectingPairs(points, triangles, epsilon * NUDGE_PRECISION);
+      const trimmed = trimSelfIntersections(points, triangles, cuts, triangulate);
+      if (trimmed) result = trimmedSolid(Manifold, Mesh, trimmed);
+    } catch (error) {
+      console.warn('[MeshRepair] Could not trim self-intersections:', error.message);
+    }
+    if (result) {
+      manifold.delete();
+      return { manifold: result, resolved: count, remaining: 0 };
+    }
+  }
+
+  return { manifold, resolved: 0, remaining: count };
+}
+
+/**
+ * Union the shells of a manifold, resolving intersections between bodies
+ * that overlap (common in meshes exported from several CAD bodies).
+ * Self-intersections within a single shell can't be resolved this way; see
+ * resolveSelfIntersections.
+ *
+ * @param {Object} Manifold - The Manifold class of the wasm module
+ * @param {Manifold} manifold
+ * @returns {{manifold: Manifold, mergedShells: number}} A new manifold when
+ *   shells overlapped (the input is deleted), otherwise the input
+ */
+export function mergeOverlappingShells(Manifold, manifold) {
+  const shells = manifold.decompose();
+  // Cavities are shells too; leave hollow models alone
+  if (shells.length < 2 || shells.some(shell => shell.volume() < 0)) {
+    shells.forEach(shell => shell.delete());
+    return { manifold, mergedShells: 0 };
+  }
+
+  const volumeBefore = manifold.volume();
+  const merged = Manifold.union(shells);
+  shells.forEach(shell => shell.delete());
+
+  // Disjoint shells union to the same volume
+  if (Math.abs(merged.volume() - volumeBefore) <= Math.abs(volumeBefore) * 1e-6) {
+    merged.delete();
+    return { manifold, mergedShells: 0 };
+  }
+
+  manifold.delete();
+  return { manifold: merged, mergedShells: shells.length };
+}
+
+/**
+ * Whether a repair report lists any fixes
+ * @param {Object|null} report
+ * @returns {boolean}
+ */
+export const hasRepairs = (report) => {
+  return !!report && Object.entries(report).some(([key, count]) => !UNRESOLVED_KEYS.includes(key) && count > 0);
+};
+
+/**
+ * Whether a repair report lists problems that were left in the mesh
+ * @param {Object|null} report
+ * @returns {boolean}
+ */
+export const hasUnresolvedProblems = (report) => {
+  return !!report && UNRESOLVED_KEYS.some(key => report[key] > 0);
+};
+
+export default repairMesh;
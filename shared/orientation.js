@@ -0,0 +1,193 @@
+// shared/orientation.js
+// Print orientation: candidate rotations of a script result ranked by support
+// area, build height and fit in the build volume. Candidates are found in the
+// editor's sandbox worker; the backend applies the chosen rotation again when
+// it verifies an order, so both measure the same geometry.
+
+// Overhangs steeper than this from vertical need support
+const SELF_SUPPORTING_ANGLE_DEG = 45;
+
+// Faces this close to the build plate rest on it
+const PLATE_TOLERANCE = 0.01; // mm
+
+// Rotations tried, in degrees about X, then Y, then Z (Manifold.rotate order).
+// Each points a different side of the model up; the footprint may still be
+// turned 90° about Z to fit the build plate.
+export const CANDIDATE_ROTATIONS = [
+  [0, 0, 0],
+  [180, 0, 0],
+  [90, 0, 0],
+  [-90, 0, 0],
+  [0, 90, 0],
+  [0, -90, 0],
+  [45, 0, 0],
+  [-45, 0, 0],
+  [0, 45, 0],
+  [0, -45, 0],
+  [135, 0, 0],
+  [-135, 0, 0],
+  [0, 135, 0],
+  [0, -135, 0],
+];
+
+export const isIdentityRotation = (rotation) => !rotation || rotation.every(angle => angle === 0);
+
+/**
+ * Check a rotation sent by a client
+ * @param {*} rotation
+ * @returns {boolean} Whether it is three finite angles in degrees
+ */
+export const isRotation = (rotation) => {
+  return Array.isArray(rotation) && rotation.length === 3 &&
+    rotation.every(angle => typeof angle === 'number' && isFinite(angle));
+};
+
+/**
+ * Rotate the parts of a script result for printing
+ * @param {Array<{name: string, manifold: Manifold}>} parts
+ * @param {number[]|null} rotation - Degrees about X, Y and Z
+ * @returns {Array} New parts with rotated manifolds; the caller deletes them.
+ *   The same parts when there is nothing to rotate.
+ */
+export function orientParts(parts, rotation) {
+  if (isIdentityRotation(rotation)) return parts;
+  return parts.map(part => ({ ...part, manifold: part.manifold.rotate(rotation) }));
+}
+
+/**
+ * Measure the overhangs of a mesh printed with +Z up
+ *
+ * Downward faces steeper than the threshold from vertical need support, except
+ * those resting on the build plate (the mesh's lowest point).
+ *
+ * @param {{numProp: number, vertProperties: ArrayLike<number>, triVerts: ArrayLike<number>}} mesh
+ * @param {number} [thresholdDeg] - Self-supporting overhang angle in degrees
+ * @returns {{supportArea: number, supportVolume: number}} Overhang area
+ *   projected onto the build plate (mm²) and the volume of the columns under
+ *   it (mm³)
+ */
+export function measureOverhangs(mesh, thresholdDeg = SELF_SUPPORTING_ANGLE_DEG) {
+  const { numProp, vertProperties, triVerts } = mesh;
+  const minDownward = Math.sin(thresholdDeg * Math.PI / 180);
+
+  let plateZ = Infinity;
+  for (let i = 2; i < vertProperties.length; i += numProp) {
+    plateZ = Math.min(plateZ, vertProperties[i]);
+  }
+
+  const vertex = (index) => {
+    const offset = index * numProp;
+    return [vertProperties[offset], vertProperties[offset + 1], vertProperties[offset + 2]];
+  };
+
+  let supportArea = 0;
+  let supportVolume = 0;
+
+  for (let tri = 0; tri < triVerts.length; tri += 3) {
+    const [x0, y0, z0] = vertex(triVerts[tri]);
+    const [x1, y1, z1] = vertex(triVerts[tri + 1]);
+    const [x2, y2, z2] = vertex(triVerts[tri + 2]);
+
+    // Cross product of the edges: its length is twice the area
+    const ax = x1 - x0, ay = y1 - y0, az = z1 - z0;
+    const bx = x2 - x0, by = y2 - y0, bz = z2 - z0;
+    const nx = ay * bz - az * by;
+    const ny = az * bx - ax * bz;
+    const nz = ax * by - ay * bx;
+    const doubleArea = Math.hypot(nx, ny, nz);
+    if (doubleArea === 0 || -nz / doubleArea <= minDownward) continue;
+
+    const height = (z0 + z1 + z2) / 3 - plateZ;
+    if (height <= PLATE_TOLERANCE) continue;
+
+    const projectedArea = -nz / 2;
+    supportArea += projectedArea;
+    supportVolume += projectedArea * height;
+  }
+
+  return { supportArea, supportVolume };
+}
+
+/**
+ * Measure a result printed in one orientation
+ * @param {Array<{name: string, manifold: Manifold}>} parts - Parts, printed separately
+ * @param {number[]} rotation - Degrees about X, Y and Z
+ * @param {{x: number, y: number, z: number}|null} buildVolume - Largest printable part in mm
+ * @param {number} thresholdDeg - Self-supporting overhang angle in degrees
+ */
+function evaluateRotation(parts, rotation, buildVolume, thresholdDeg) {
+  let supportArea = 0;
+  let supportVolume = 0;
+  let height = 0;
+  let fitsAsIs = true;
+  let fitsTurned = true;
+
+  for (const part of parts) {
+    const rotated = isIdentityRotation(rotation) ? part.manifold : part.manifold.rotate(rotation);
+    const overhangs = measureOverhangs(rotated.getMesh(), thresholdDeg);
+    const { min, max } = rotated.boundingBox();
+    if (rotated !== part.manifold) rotated.delete();
+
+    const [width, depth, partHeight] = [0, 1, 2].map(axis => max[axis] - min[axis]);
+    supportArea += overhangs.supportArea;
+    supportVolume += overhangs.supportVolume;
+    height = Math.max(height, partHeight);
+
+    if (buildVolume) {
+      const fitsHeight = partHeight <= buildVolume.z;
+      fitsAsIs = fitsAsIs && fitsHeight && width <= buildVolume.x && depth <= buildVolume.y;
+      fitsTurned = fitsTurned && fitsHeight && depth <= buildVolume.x && width <= buildVolume.y;
+    }
+  }
+
+  // Turn the footprint on the plate when only that fits
+  const turn = !fitsAsIs && fitsTurned;
+  return {
+    rotation: turn ? [rotation[0], rotation[1], rotation[2] + 90] : [...rotation],
+    supportArea,
+    supportVolume,
+    height,
+    fits: fitsAsIs || fitsTurned,
+  };
+}
+
+/**
+ * Find the best print orientations for a script result
+ *
+ * Candidates that fit the build volume come first. Among them, support area
+ * and build height are weighed equally, each relative to the largest value
+ * among the candidates. Orientations that measure the same (symmetric models)
+ * are listed once.
+ *
+ * @param {Array<{name: string, manifold: Manifold}>} parts - Parts, printed separately
+ * @param {Object} [options]
+ * @param {{x: number, y: number, z: number}} [options.buildVolume] - Largest printable part in mm
+ * @param {number} [options.threshold] - Self-supporting overhang angle in degrees
+ * @param {number} [options.count] - How many orientations to return
+ * @returns {Array<{rotation: number[], supportArea: number, supportVolume: number,
+ *   height: number, fits: boolean, score: number}>} Best first; lower scores are better
+ */
+export function findOrientations(parts, options = {}) {
+  const { buildVolume = null, threshold = SELF_SUPPORTING_ANGLE_DEG, count = 3 } = options;
+
+  const seen = new Set();
+  const candidates = [];
+  for (const rotation of CANDIDATE_ROTATIONS) {
+    const candidate = evaluateRotation(parts, rotation, buildVolume, threshold);
+    const key = `${candidate.supportArea.toFixed(0)}:${candidate.height.toFixed(1)}:${candidate.fits}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    candidates.push(candidate);
+  }
+
+  const maxSupport = Math.max(...candidates.map(candidate => candidate.supportArea)) || 1;
+  const maxHeight = Math.max(...candidates.map(candidate => candidate.height)) || 1;
+  candidates.forEach(candidate => {
+    candidate.score = candidate.supportArea / maxSupport + candidate.height / maxHeight;
+  });
+
+  candidates.sort((a, b) => (b.fits - a.fits) || (a.score - b.score));
+  return candidates.slice(0, count);
+}
+
+export default findOrientations;
@@ -0,0 +1,98 @@
+// shared/printMetrics.js
+// Geometry measurements for quoting: true surface area and per-layer slices of
+// each part. Measured in the editor's sandbox worker for quotes and in the
+// backend's order verification, so both price the same numbers.
+
+// Overhangs steeper than this from vertical need support
+const SELF_SUPPORTING_ANGLE_DEG = 45;
+
+// Parts taller than this many layers are priced without slices
+export const MAX_LAYERS = 5000;
+
+const toBox = (bbox) => ({ min: [...bbox.min], max: [...bbox.max] });
+
+// Length of a closed contour ([x, y] points)
+const contourLength = (contour) => {
+  let length = 0;
+  for (let i = 0; i < contour.length; i++) {
+    const [x1, y1] = contour[i];
+    const [x2, y2] = contour[(i + 1) % contour.length];
+    length += Math.hypot(x2 - x1, y2 - y1);
+  }
+  return length;
+};
+
+/**
+ * Slice a manifold into print layers
+ *
+ * Each layer is sampled at its mid-height. The overhang of a layer is the part
+ * of its cross-section not resting on the layer below, allowing for the
+ * self-supporting angle.
+ *
+ * @param {Manifold} manifold
+ * @param {number} layerHeight - Layer height in mm
+ * @returns {{layerHeight: number, areas: number[], perimeters: number[], overhangs: number[]}|null}
+ *   Per-layer cross-section area (mm²), contour length (mm) and unsupported
+ *   area (mm²), bottom to top; null when the part has too many layers
+ */
+export function sliceLayers(manifold, layerHeight) {
+  const bbox = manifold.boundingBox();
+  const height = bbox.max[2] - bbox.min[2];
+  const count = Math.max(1, Math.ceil(height / layerHeight - 1e-9));
+  if (count > MAX_LAYERS) return null;
+
+  const supportOffset = layerHeight * Math.tan(SELF_SUPPORTING_ANGLE_DEG * Math.PI / 180);
+  const areas = [];
+  const perimeters = [];
+  const overhangs = [];
+  let previous = null;
+
+  for (let i = 0; i < count; i++) {
+    const z = Math.min(bbox.min[2] + (i + 0.5) * layerHeight, bbox.max[2] - 1e-6);
+    const section = manifold.slice(z);
+
+    areas.push(section.area());
+    perimeters.push(section.toPolygons().reduce((sum, contour) => sum + contourLength(contour), 0));
+
+    if (previous) {
+      const supported = previous.offset(supportOffset);
+      const unsupported = section.subtract(supported);
+      overhangs.push(unsupported.area());
+      supported.delete();
+      unsupported.delete();
+      previous.delete();
+    } else {
+      // The first layer rests on the build plate
+      overhangs.push(0);
+    }
+    previous = section;
+  }
+  previous?.delete();
+
+  return { layerHeight, areas, perimeters, overhangs };
+}
+
+/**
+ * Measure a script result for quoting
+ *
+ * @param {Array<{name: string, manifold: Manifold}>} parts - Parts of the result
+ * @param {Manifold} combined - All parts combined
+ * @param {number|null} layerHeight - Slice parts at this layer height; null skips slicing
+ * @returns {{volume: number, surfaceArea: number, boundingBox: Object, parts: Array}}
+ */
+export function measurePrintMetrics(parts, combined, layerHeight = null) {
+  return {
+    volume: combined.volume(),
+    surfaceArea: combined.surfaceArea(),
+    boundingBox: toBox(combined.boundingBox()),
+    parts: parts.map(part => ({
+      name: part.name,
+      volume: part.manifold.volume(),
+      surfaceArea: part.manifold.surfaceArea(),
+      boundingBox: toBox(part.manifold.boundingBox()),
+      layers: layerHeight ? sliceLayers(part.manifold, layerHeight) : null,
+    })),
+  };
+}
+
+export default measurePrintMetrics;
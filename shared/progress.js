@@ -0,0 +1,48 @@
+// shared/progress.js
+// progress(fraction, label) for scripts and long-running helpers. The editor's
+// sandbox worker forwards reports to the viewport's progress bar; elsewhere
+// (order verification) nothing listens and reports are ignored.
+
+let reporter = null;
+
+/**
+ * Send progress reports to a listener, or stop with null
+ * @param {Function|null} listener - Called with (fraction, label)
+ */
+export const setProgressReporter = (listener) => {
+  reporter = listener;
+};
+
+/**
+ * Report how far the running script has got
+ * @param {number} fraction - Done so far, 0 to 1 (clamped)
+ * @param {string} [label] - What is running, e.g. 'Sweeping'
+ */
+export const progress = (fraction, label = '') => {
+  if (typeof fraction !== 'number' || !Number.isFinite(fraction)) {
+    throw new Error('progress() needs a number from 0 to 1, e.g. progress(i / count, \'Gears\')');
+  }
+  if (reporter) {
+    reporter(Math.max(0, Math.min(1, fraction)), String(label));
+  }
+};
+
+/**
+ * Progress reporter for a loop of known length that reports every few steps,
+ * mapping the loop onto [start, end] of the overall fraction
+ * @param {number} total - Number of steps
+ * @param {string} label - What is running
+ * @param {number} [start=0] - Overall fraction at the first step
+ * @param {number} [end=1] - Overall fraction after the last step
+ * @returns {Function} Call with the step index
+ */
+export const progressSteps = (total, label, start = 0, end = 1) => {
+  const every = Math.max(1, Math.floor(total / 100));
+  return (step) => {
+    if (reporter && step % every === 0) {
+      reporter(start + (end - start) * Math.min(1, step / Math.max(total, 1)), label);
+    }
+  };
+};
+
+export default progress;
@@ -0,0 +1,234 @@
+// shared/quoteEstimator.js
+// Price estimation from model geometry. The backend prices quotes and orders
+// with it, using rates from the Material catalog and the process configuration.
+
+// FDM print parameters
+const LINE_WIDTH = 0.4;             // mm
+const WALL_LINES = 3;               // perimeters per layer
+const WALL_THICKNESS = LINE_WIDTH * WALL_LINES;
+export const SUPPORT_DENSITY = 0.15; // fraction of the supported column that is printed
+const LAYER_CHANGE_SECONDS = 5;
+
+/**
+ * Estimate printed volume and path length from per-layer slices
+ * (see sliceLayers in printMetrics.js)
+ *
+ * Walls follow each layer's contours; the rest of the cross-section is infill.
+ * Overhanging areas are supported by a sparse column down to the build plate.
+ */
+function estimateFromLayers(layers, infillRatio) {
+  const { layerHeight, areas, perimeters, overhangs } = layers;
+  let solidVolume = 0;
+  let supportVolume = 0;
+  let pathLength = 0;
+
+  for (let i = 0; i < areas.length; i++) {
+    const wallArea = Math.min(perimeters[i] * WALL_THICKNESS, areas[i]);
+    const infillArea = (areas[i] - wallArea) * infillRatio;
+    solidVolume += (wallArea + infillArea) * layerHeight;
+    supportVolume += overhangs[i] * i * layerHeight * SUPPORT_DENSITY;
+    pathLength += perimeters[i] * WALL_LINES + infillArea / LINE_WIDTH;
+  }
+
+  // Support is printed as lines of the same width and layer height
+  pathLength += supportVolume / (LINE_WIDTH * layerHeight);
+
+  return { solidVolume, supportVolume, pathLength, layerHeight, layerCount: areas.length };
+}
+
+/**
+ * Estimate printed volume and path length from volume and surface area alone,
+ * for parts without slices
+ */
+function estimateFromVolume(volume, surfaceArea, height, infillRatio, layerHeight = 0.2) {
+  // Estimate solid volume (walls + infill)
+  const shellVolume = surfaceArea * WALL_THICKNESS;
+  const infillVolume = volume * infillRatio;
+  const solidVolume = Math.min(shellVolume + infillVolume, volume);
+
+  const perimeterLength = surfaceArea * 2;
+  const infillPathLength = (volume / layerHeight) * infillRatio * 0.5;
+
+  return {
+    solidVolume,
+    supportVolume: 0,
+    pathLength: perimeterLength + infillPathLength,
+    layerHeight,
+    layerCount: height / layerHeight,
+  };
+}
+
+/**
+ * Estimate material, print time and cost for a model
+ * @param {{volume: number, boundingBox: {min: number[], max: number[]}, parts?: Array}} model -
+ *   Geometry metrics of a script result (see measurePrintMetrics). Parts may
+ *   carry surfaceArea and layers; without them the estimate falls back to
+ *   bounding box approximations.
+ * @param {Object} options - Quote options
+ * @param {string} options.process - Manufacturing process (FDM, SLA, SLS, MJF)
+ * @param {string} options.material - Material type
+ * @param {number} options.infill - Infill percentage (0-100)
+ * @param {Object<string, number>} [options.supportVolumes] - Support in mm³ by
+ *   part name from the editor's overhang analysis, which may assume another
+ *   build direction. Parts are never priced below their sliced support.
+ * @param {Object} pricing - Rates for the process and material
+ * @param {{density: number, costPerGram: number, printSpeed: number}} pricing.material -
+ *   Density in g/cm³, price per gram and print speed in mm/s
+ * @param {number} pricing.machineRate - Machine cost per print hour
+ * @param {{x: number, y: number, z: number}} pricing.buildVolume - Largest printable part in mm
+ * @param {boolean} pricing.infill - Whether parts are printed as walls + infill rather than solid
+ * @param {number} [pricing.layerHeight] - Layer height in mm for parts without slices
+ * @returns {Object} Quote details including costs, time, and material usage.
+ *   Multi-part results are estimated per part and summed; `parts` holds the breakdown.
+ */
+export function estimateQuote(model, options, pricing) {
+  const { volume, boundingBox } = model;
+  const { process, material, infill } = options;
+
+  if (volume === undefined || !boundingBox) {
+    throw new Error('Invalid manifold result');
+  }
+
+  // Multi-part results are printed as separate objects
+  const parts = model.parts?.length
+    ? model.parts
+    : [{ name: 'Model', volume, boundingBox }];
+
+  const limits = pricing.buildVolume;
+  const matData = pricing.material;
+  const infillRatio = pricing.infill ? infill / 100 : 1;
+
+  // Estimate material, time and cost for a single part
+  const estimatePart = (part) => {
+    const partBox = part.boundingBox;
+
+    // Get bounding box dimensions
+    const width = partBox.max[0] - partBox.min[0];
+    const height = partBox.max[1] - partBox.min[1];
+    const depth = partBox.max[2] - partBox.min[2];
+
+    // Check if part fits within build volume
+    if (width > limits.x || height > limits.y || depth > limits.z) {
+      const label = parts.length > 1 ? `Part '${part.name}'` : 'Part';
+      throw new Error(
+        `${label} is too large for ${process} process. ` +
+        `Part size: ${width.toFixed(0)} × ${height.toFixed(0)} × ${depth.toFixed(0)} mm. ` +
+        `Max printable size: ${limits.x} × ${limits.y} × ${limits.z} mm.`
+      );
+    }
+
+    // True surface area when measured, otherwise a box-like approximation
+    const surfaceArea = part.surfaceArea ??
+      2 * (width * height + width * depth + height * depth);
+
+    // Layers are stacked along Z; sliced parts are estimated layer by layer
+    const usage = part.layers && pricing.infill
+      ? estimateFromLayers(part.layers, infillRatio)
+      : estimateFromVolume(part.volume, surfaceArea, depth, infillRatio, pricing.layerHeight);
+
+    // Extra support from the overhang analysis, printed like sliced support
+    const analyzedSupport = pricing.infill ? options.supportVolumes?.[part.name] : undefined;
+    if (analyzedSupport > usage.supportVolume) {
+      usage.pathLength += (analyzedSupport - usage.supportVolume) / (LINE_WIDTH * usage.layerHeight);
+      usage.supportVolume = analyzedSupport;
+    }
+
+    // Convert to grams
+    const volumeCm3 = (usage.solidVolume + usage.supportVolume) / 1000;
+    const materialGrams = volumeCm3 * matData.density;
+
+    // Estimate print time
+    const printTimeHours = (usage.pathLength / matData.printSpeed / 3600) +
+      (usage.layerCount * LAYER_CHANGE_SECONDS / 3600);
+
+    // Calculate costs
+    const materialCost = materialGrams * matData.costPerGram;
+    const machineCost = printTimeHours * pricing.machineRate;
+
+    return {
+      name: part.name,
+      volume: part.volume,
+      surfaceArea,
+      supportVolume: usage.supportVolume,
+      width,
+      height,
+      depth,
+      materialGrams,
+      printTimeHours,
+      materialCost,
+      machineCost
+    };
+  };
+
+  const estimates = parts.map(estimatePart);
+  const sum = (key) => estimates.reduce((total, estimate) => total + estimate[key], 0);
+
+  const surfaceArea = sum('surfaceArea');
+  const supportVolume = sum('supportVolume');
+  const materialGrams = sum('materialGrams');
+  const printTimeHours = sum('printTimeHours');
+  const materialCost = sum('materialCost');
+  const machineCost = sum('machineCost');
+  const totalCost = materialCost + machineCost;
+
+  // Overall dimensions of the whole result
+  const width = boundingBox.max[0] - boundingBox.min[0];
+  const height = boundingBox.max[1] - boundingBox.min[1];
+  const depth = boundingBox.max[2] - boundingBox.min[2];
+
+  console.log('[Quote] Volume:', volume, 'mm³');
+  console.log('[Quote] Bounding box:', { width, height, depth });
+  console.log('[Quote] Surface area:', surfaceArea, 'mm²');
+  console.log('[Quote] Support volume:', supportVolume, 'mm³');
+  if (parts.length > 1) {
+    console.log(`[Quote] Quoted ${parts.length} parts separately`);
+  }
+  
+  return {
+    materialUsage: {
+      grams: parseFloat(materialGrams.toFixed(1)),
+      meters: 0
+    },
+    materialGrams: parseFloat(materialGrams.toFixed(1)),
+    printTime: parseFloat(printTimeHours.toFixed(1)),
+    costs: {
+      material: parseFloat(materialCost.toFixed(2)),
+      machine: parseFloat(machineCost.toFixed(2)),
+      total: parseFloat(totalCost.toFixed(2))
+    },
+    material: parseFloat(materialCost.toFixed(2)),
+    machine: parseFloat(machineCost.toFixed(2)),
+    subtotal: parseFloat(totalCost.toFixed(2)),
+    infill,
+    materialName: material,
+    process,
+    volume: parseFloat(volume.toFixed(1)),
+    surfaceArea: parseFloat(surfaceArea.toFixed(1)),
+    supportVolume: parseFloat(supportVolume.toFixed(1)),
+    boundingBox: {
+      width: parseFloat(width.toFixed(1)),
+      height: parseFloat(height.toFixed(1)),
+      depth: parseFloat(depth.toFixed(1)),
+    },
+    bounds: {
+      min: boundingBox.min,
+      max: boundingBox.max,
+      size: [width, height, depth],
+    },
+    parts: estimates.map(estimate => ({
+      name: estimate.name,
+      volume: parseFloat(estimate.volume.toFixed(1)),
+      supportVolume: parseFloat(estimate.supportVolume.toFixed(1)),
+      materialGrams: parseFloat(estimate.materialGrams.toFixed(1)),
+      printTime: parseFloat(estimate.printTimeHours.toFixed(1)),
+      cost: parseFloat((estimate.materialCost + estimate.machineCost).toFixed(2)),
+      boundingBox: {
+        width: parseFloat(estimate.width.toFixed(1)),
+        height: parseFloat(estimate.height.toFixed(1)),
+        depth: parseFloat(estimate.depth.toFixed(1)),
+      },
+    })),
+  };
+}
+
+export default estimateQuote;
@@ -0,0 +1,114 @@
+// shared/resultCache.js
+// Sub-results memoized with cached(key, fn) and kept between executions, so
+// re-running a script after a small edit only rebuilds what changed. The
+// editor's sandbox worker keeps the cache for the life of the worker; order
+// verification runs each script in a fresh process and starts empty.
+
+// Cache key -> value returned by fn
+const entries = new Map();
+
+// Keys read since the current execution began
+let usedKeys = new Set();
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Whether a key is made only of JSON-safe values (no Manifolds or functions,
+ * which would all serialize to the same text)
+ */
+const isValidKey = (key) => {
+  if (key === null || typeof key === 'string' || typeof key === 'boolean') return true;
+  if (typeof key === 'number') return Number.isFinite(key);
+  if (Array.isArray(key)) return key.every(isValidKey);
+  if (isPlainObject(key)) return Object.values(key).every(isValidKey);
+  return false;
+};
+
+/**
+ * WASM handles (Manifold, CrossSection) held by a cached value, directly or
+ * one level down in an array or plain object
+ */
+const handlesOf = (value) => {
+  const items = Array.isArray(value) ? value : isPlainObject(value) ? Object.values(value) : [value];
+  return items.filter(item =>
+    item && typeof item.delete === 'function' && typeof item.isDeleted === 'function'
+  );
+};
+
+/**
+ * Return fn's result, computed on the first call and reused by later calls and
+ * later executions with the same key and the same function source
+ *
+ * The key must hold every outside value fn reads (parameters, loop indices),
+ * since only the key and fn's own source decide whether the cached value is
+ * still valid.
+ *
+ * @param {string|number|boolean|Array|Object} key - JSON-safe key, e.g. ['body', width, height]
+ * @param {Function} fn - Builds the value; only called on a cache miss
+ * @returns {*} The cached or newly built value
+ */
+export const cached = (key, fn) => {
+  if (typeof fn !== 'function') {
+    throw new Error('cached() needs a function that builds the value: cached(key, () => ...)');
+  }
+  if (!isValidKey(key)) {
+    throw new Error('cached() key must be made of strings, finite numbers, booleans, arrays and plain objects');
+  }
+
+  const cacheKey = `${JSON.stringify(key)}\n${fn.toString()}`;
+  usedKeys.add(cacheKey);
+
+  if (entries.has(cacheKey)) {
+    return entries.get(cacheKey);
+  }
+
+  const value = fn();
+  if (value && typeof value.then === 'function') {
+    throw new Error('cached() function must return its value directly, not a Promise');
+  }
+  entries.set(cacheKey, value);
+  return value;
+};
+
+/**
+ * Start tracking which cached values an execution reads
+ */
+export const beginCachedRun = () => {
+  usedKeys = new Set();
+};
+
+/**
+ * Drop cached values the last execution didn't read, deleting their WASM
+ * handles unless a kept value shares them
+ *
+ * Only call this once the execution's result has replaced the previous one,
+ * which may still hold the values being dropped.
+ *
+ * @returns {number} Number of values dropped
+ */
+export const sweepResultCache = () => {
+  const stale = [...entries.keys()].filter(key => !usedKeys.has(key));
+  if (stale.length === 0) return 0;
+
+  const kept = new Set();
+  for (const [key, value] of entries) {
+    if (usedKeys.has(key)) handlesOf(value).forEach(handle => kept.add(handle));
+  }
+
+  for (const key of stale) {
+    handlesOf(entries.get(key)).forEach(handle => {
+      if (!kept.has(handle) && !handle.isDeleted()) handle.delete();
+    });
+    entries.delete(key);
+  }
+
+  return stale.length;
+};
+
+/**
+ * Number of values currently cached
+ */
+export const resultCacheSize = () => entries.size;
+
+export default cached;
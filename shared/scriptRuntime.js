@@ -0,0 +1,395 @@
+// shared/scriptRuntime.js
+// Script execution core shared by the editor's sandbox worker and the backend's
+// order verification: builds the script scope, runs modules and the script, and
+// splits the result into named parts.
+import { HELPER_FUNCTIONS, setManifoldModule } from './manifoldHelpers.js';
+import { toMeshBuffers } from './meshBuffers.js';
+import { decodeMeshData } from './meshEncoding.js';
+import { cached, beginCachedRun } from './resultCache.js';
+import { progress } from './progress.js';
+
+let manifoldModule = null;
+let hiddenGlobals = [];
+
+/**
+ * Use an initialized Manifold WASM module for script execution
+ * @param {Object} module - Initialized Manifold WASM module
+ * @param {Object} [options]
+ * @param {string[]} [options.hiddenGlobals] - Global names scripts see as
+ *   undefined, shadowed by their scope (host globals the runner can't remove)
+ */
+export const initScriptRuntime = (module, options = {}) => {
+  manifoldModule = module;
+  hiddenGlobals = (options.hiddenGlobals || []).filter(name =>
+    IDENTIFIER_PATTERN.test(name) && !STRICT_RESERVED_NAMES.has(name));
+  setManifoldModule(module);
+};
+
+/**
+ * Reconstruct a Manifold from mesh data
+ */
+export const reconstructManifold = (meshData) => {
+  if (!manifoldModule) {
+    throw new Error('Manifold not initialized');
+  }
+  
+  const { Manifold } = manifoldModule;
+  
+  // Transferred typed arrays are used as they are, base64 and JSON arrays
+  // from order requests are converted
+  const { numProp, vertProperties, triVerts } = toMeshBuffers(decodeMeshData(meshData));
+  
+  return new Manifold({ numProp, vertProperties, triVerts });
+};
+
+// Source URLs let error stacks be mapped back to the script or module
+const SCRIPT_SOURCE_URL = 'surfcad://script.js';
+const moduleSourceURL = (name) => `surfcad://modules/${name}.js`;
+const STACK_LOCATION_PATTERN = /surfcad:\/\/(?:modules\/([\w-]+)\.js|script\.js):(\d+):(\d+)/;
+
+// `export function foo` / `export const foo` declarations in module source
+const MODULE_EXPORT_PATTERN = /^(\s*)export\s+(?=(?:async\s+)?(?:function\*?\s*|const\s+|let\s+|var\s+|class\s+)([A-Za-z_$][\w$]*))/gm;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+// Names strict mode doesn't allow as parameters, so they can't be shadowed
+const STRICT_RESERVED_NAMES = new Set(['eval', 'arguments']);
+
+// Lines the Function constructor and strict mode prefix add before user code
+let functionLineOffset = null;
+
+const getFunctionLineOffset = () => {
+  if (functionLineOffset === null) {
+    try {
+      new Function(`"use strict";\nthrow new Error('probe');\n//# sourceURL=${SCRIPT_SOURCE_URL}`)();
+    } catch (error) {
+      const match = STACK_LOCATION_PATTERN.exec(error.stack || '');
+      functionLineOffset = match ? Number(match[2]) - 1 : 3;
+    }
+  }
+  return functionLineOffset;
+};
+
+/**
+ * Attach the innermost script/module location from an error's stack as
+ * error.location = { module, line, column }, in editor coordinates (1-based)
+ */
+export const withErrorLocation = (error) => {
+  if (!(error instanceof Error) || error.location) return error;
+  
+  const match = STACK_LOCATION_PATTERN.exec(error.stack || '');
+  if (!match) return error;
+  
+  const line = Number(match[2]) - getFunctionLineOffset();
+  if (line >= 1) {
+    error.location = { module: match[1] || null, line, column: Number(match[3]) };
+  }
+  return error;
+};
+
+/**
+ * Turn `export` declarations into a trailing return of the exported names
+ * Lines are kept in place so error locations still match the editor.
+ */
+const transformModuleExports = (source) => {
+  const exportNames = [];
+  const body = source.replace(MODULE_EXPORT_PATTERN, (match, indent, name) => {
+    exportNames.push(name);
+    return indent;
+  });
+  
+  return exportNames.length > 0
+    ? `${body}\nreturn { ${exportNames.join(', ')} };`
+    : body;
+};
+
+let functionConstructorsBlocked = false;
+
+/**
+ * Replace the constructors every function reaches through `fn.constructor`
+ * (plain, async, generator and async generator) with stubs that throw, so a
+ * script that gets past the validator still can't compile code from strings.
+ * Only runs where scripts do (the sandbox worker and the backend's script
+ * process); the runtime itself compiles with the global Function, which stays.
+ */
+const blockFunctionConstructors = () => {
+  if (functionConstructorsBlocked) return;
+
+  const prototypes = [
+    Function.prototype,
+    Object.getPrototypeOf(async function () {}),
+    Object.getPrototypeOf(function* () { yield; }),
+    Object.getPrototypeOf(async function* () { yield; }),
+  ];
+  for (const prototype of prototypes) {
+    Object.defineProperty(prototype, 'constructor', {
+      value: function blockedConstructor() {
+        throw new Error('Creating functions from strings is not available in scripts');
+      },
+      writable: false,
+      configurable: false,
+    });
+  }
+  functionConstructorsBlocked = true;
+};
+
+/**
+ * Compile and run source with the given scope in strict mode
+ */
+const runInScope = (source, scope, sourceURL, moduleName = null) => {
+  blockFunctionConstructors();
+
+  let fn;
+  try {
+    fn = new Function(...Object.keys(scope), `"use strict";\n${source}\n//# sourceURL=${sourceURL}`);
+  } catch (error) {
+    // Syntax errors have no stack frame; Firefox still reports the position
+    if (error instanceof Error) {
+      const line = Number.isFinite(error.lineNumber) ? error.lineNumber - getFunctionLineOffset() : null;
+      error.location = {
+        module: moduleName,
+        line: line >= 1 ? line : null,
+        column: line >= 1 && Number.isFinite(error.columnNumber) ? error.columnNumber : null
+      };
+    }
+    throw error;
+  }
+  
+  try {
+    return fn(...Object.values(scope));
+  } catch (error) {
+    throw withErrorLocation(error);
+  }
+};
+
+/**
+ * Execute the user script with the Manifold API and helper functions
+ * 
+ * @param {string} script - Main script
+ * @param {Object} importedModels - Imported mesh data by filename
+ * @param {Array<{name: string, source: string, uses: string[]}>} modules -
+ *   Library modules, dependencies first (resolved by the caller)
+ * @param {string[]} scriptUses - Modules the main script uses directly
+ */
+export const executeScript = (script, importedModels, modules = [], scriptUses = []) => {
+  if (!manifoldModule) {
+    throw new Error('Manifold not initialized');
+  }
+  
+  // Track which cached() values this run reads (see sweepResultCache)
+  beginCachedRun();
+  
+  // Set up __importedManifolds with reconstructed Manifolds
+  const importedManifolds = {};
+  for (const [filename, meshData] of Object.entries(importedModels || {})) {
+    importedManifolds[filename] = reconstructManifold(meshData);
+  }
+  
+  // Create a limited window-like object for imports only
+  const limitedWindow = {
+    __importedManifolds: importedManifolds
+  };
+  
+  const loadedModules = new Map();
+  
+  // use('name') returns the module's exports, which are also injected into scope
+  const use = (name) => {
+    if (!loadedModules.has(name)) {
+      throw new Error(`Module '${name}' is not loaded: use() needs the module name as a quoted string`);
+    }
+    return loadedModules.get(name);
+  };
+  
+  // Build the execution scope with Manifold API + helper functions + used modules
+  const buildScope = (uses) => {
+    const scope = {
+      ...Object.fromEntries(hiddenGlobals.map(name => [name, undefined])),
+      ...manifoldModule,        // Core Manifold API (Manifold, CrossSection, etc.)
+      ...HELPER_FUNCTIONS,      // Extended helper functions
+      use,                      // Module access
+      cached,                   // Sub-results kept between runs
+      progress,                 // Progress reports for the viewport
+      window: limitedWindow,    // Limited window object for imports
+    };
+    
+    for (const name of uses) {
+      for (const [key, value] of Object.entries(use(name))) {
+        if (IDENTIFIER_PATTERN.test(key)) {
+          scope[key] = value;
+        }
+      }
+    }
+    
+    return scope;
+  };
+  
+  for (const module of modules) {
+    const exports = runInScope(
+      transformModuleExports(module.source),
+      buildScope(module.uses),
+      moduleSourceURL(module.name),
+      module.name
+    );
+    
+    if (!exports || typeof exports !== 'object') {
+      throw new Error(`Module '${module.name}' must export functions or return an object of them`);
+    }
+    
+    loadedModules.set(module.name, Object.freeze({ ...exports }));
+  }
+  
+  return runInScope(script, buildScope(scriptUses), SCRIPT_SOURCE_URL);
+};
+
+/**
+ * Normalize a part color to a '#rrggbb' string
+ * Accepts '#rgb' / '#rrggbb' strings or [r, g, b] arrays with components in 0-1
+ */
+const normalizeColor = (color, name) => {
+  if (color === undefined || color === null) return null;
+  
+  if (typeof color === 'string') {
+    const hex = color.trim();
+    if (/^#[0-9a-f]{6}$/i.test(hex)) return hex.toLowerCase();
+    if (/^#[0-9a-f]{3}$/i.test(hex)) {
+      return ('#' + hex.slice(1).split('').map(c => c + c).join('')).toLowerCase();
+    }
+  } else if (Array.isArray(color) && color.length >= 3 && color.slice(0, 3).every(c => typeof c === 'number')) {
+    return '#' + color.slice(0, 3)
+      .map(c => Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16).padStart(2, '0'))
+      .join('');
+  }
+  
+  throw new Error(`Invalid color for part '${name}': use '#rrggbb' or [r, g, b] with values 0-1`);
+};
+
+/**
+ * Normalize a part's transform / transforms to column-major 4x4 matrices
+ * Accepts translations [x, y, z], 3MF matrices (12 values, a 4x4 matrix
+ * without its last row) and 4x4 matrices (16 values, as Manifold.transform).
+ * @returns {number[][]|null} Matrices, or null for a part without transforms
+ */
+const normalizeTransforms = (entry, name) => {
+  if (entry.transform !== undefined && entry.transforms !== undefined) {
+    throw new Error(`Part '${name}' has both transform and transforms: use one of them`);
+  }
+  
+  const transforms = entry.transforms !== undefined ? entry.transforms
+    : entry.transform !== undefined ? [entry.transform]
+    : null;
+  if (transforms === null) return null;
+  if (!Array.isArray(transforms) || transforms.length === 0) {
+    throw new Error(`Transforms of part '${name}' must be a non-empty array`);
+  }
+  
+  return transforms.map(transform => {
+    const values = Array.isArray(transform) ? [...transform] : [];
+    if (values.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new Error(`Transform values of part '${name}' must be finite numbers`);
+    }
+    if (values.length === 3) return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, ...values, 1];
+    if (values.length === 12) {
+      return [...values.slice(0, 3), 0, ...values.slice(3, 6), 0, ...values.slice(6, 9), 0, ...values.slice(9), 1];
+    }
+    if (values.length === 16) return values;
+    throw new Error(`Transform of part '${name}' must be a translation [x, y, z], a 3MF matrix (12 values) or a 4x4 matrix (16 values)`);
+  });
+};
+
+/**
+ * Normalize part metadata to an object of strings
+ */
+const normalizeMetadata = (metadata, name) => {
+  if (metadata === undefined || metadata === null) return null;
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error(`Metadata of part '${name}' must be an object of { name: value }`);
+  }
+  return Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, String(value)]));
+};
+
+/**
+ * Normalize a script result into a list of named parts
+ * 
+ * Scripts may return:
+ *   - a single Manifold
+ *   - an array of Manifolds or { manifold, name, color, partNumber, transform(s), metadata } entries
+ *   - an object mapping part names to Manifolds or { manifold, color, partNumber, transform(s), metadata }
+ * 
+ * A part with transforms is a plate of copies. Its manifold has every copy in
+ * place, so previews and measurements see the whole plate; `original` and
+ * `transforms` let 3MF exports write one object with a build item per copy.
+ * 
+ * @returns {Array<{name: string, color: string|null, partNumber: string|null,
+ *   metadata: Object|null, transforms: number[][]|null, original: Manifold|null, manifold: Manifold}>}
+ */
+export const normalizeResult = (result) => {
+  const isManifold = (value) => value && typeof value.getMesh === 'function';
+  
+  const toPart = (entry, defaultName) => {
+    if (isManifold(entry)) {
+      return { name: defaultName, color: null, manifold: entry };
+    }
+    if (entry && isManifold(entry.manifold)) {
+      const name = entry.name !== undefined ? String(entry.name) : defaultName;
+      const transforms = normalizeTransforms(entry, name);
+      return {
+        name,
+        color: normalizeColor(entry.color, name),
+        partNumber: entry.partNumber !== undefined ? String(entry.partNumber) : null,
+        metadata: normalizeMetadata(entry.metadata, name),
+        transforms,
+        original: transforms ? entry.manifold : null,
+        manifold: transforms
+          ? manifoldModule.Manifold.compose(transforms.map(matrix => entry.manifold.transform(matrix)))
+          : entry.manifold
+      };
+    }
+    throw new Error(`Part '${defaultName}' is not a Manifold object`);
+  };
+  
+  if (isManifold(result)) {
+    return [{ name: 'Model', color: null, manifold: result }];
+  }
+  
+  let parts;
+  if (Array.isArray(result)) {
+    parts = result.map((entry, i) => toPart(entry, `Part ${i + 1}`));
+  } else if (result && typeof result === 'object') {
+    parts = Object.entries(result).map(([name, entry]) => toPart(entry, name));
+  } else {
+    throw new Error('Script must return a Manifold, an array of Manifolds, or an object of named Manifolds');
+  }
+  
+  if (parts.length === 0) {
+    throw new Error('Script returned no parts');
+  }
+  
+  // Names identify parts in the viewport and exports, so keep them unique
+  const seen = new Map();
+  for (const part of parts) {
+    const count = seen.get(part.name) || 0;
+    seen.set(part.name, count + 1);
+    if (count > 0) {
+      part.name = `${part.name} (${count + 1})`;
+    }
+  }
+  
+  return parts;
+};
+
+/**
+ * Combine parts into a single manifold without a boolean union, so each
+ * part stays a separate solid for cross-sections and model info
+ */
+export const combineParts = (parts) => {
+  if (parts.length === 1) return parts[0].manifold;
+  return manifoldModule.Manifold.compose(parts.map(part => part.manifold));
+};
+
+export default {
+  initScriptRuntime,
+  executeScript,
+  reconstructManifold,
+  normalizeResult,
+  combineParts,
+  withErrorLocation,
+};
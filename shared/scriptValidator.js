@@ -0,0 +1,864 @@
+// shared/scriptValidator.js
+// AST-based script validation, shared by the editor and the backend.
+//
+// Scripts and modules are parsed into an ESTree AST and walked with real scope
+// tracking. Identifiers that are not declared by the script must be part of the
+// sandbox scope (Manifold API, helper functions, safe JS built-ins), member
+// access to prototype/constructor internals is blocked, and every problem is
+// reported with an exact range.
+//
+// The parser is passed in (acorn's `parse`) so the frontend and backend each
+// use their own installed copy.
+
+/**
+ * Names available to scripts in the sandbox worker.
+ * Keep in sync with the scope built in workers/sandboxWorker.js.
+ */
+export const MANIFOLD_GLOBALS = [
+  'Manifold',
+  'CrossSection',
+  'Mesh',
+  'triangulate',
+  'setMinCircularAngle',
+  'setMinCircularEdgeLength',
+  'setCircularSegments',
+  'getCircularSegments',
+  'resetToCircularDefaults',
+];
+
+export const HELPER_GLOBALS = [
+  'shell',
+  'scaleShell',
+  'offset',
+  'getScaleRatio',
+  'roundedBox',
+  'fillet',
+  'chamfer',
+  'tube',
+  'hexPrism',
+  'fastenerSpec',
+  'thread',
+  'hexNut',
+  'bolt',
+  'heatSetBoss',
+  'countersunkHole',
+  'counterboredHole',
+  'nutTrap',
+  'text',
+  'textOnSurface',
+  'mirror',
+  'array3D',
+  'polarArray',
+  'center',
+  'align',
+  'getDimensions',
+  'addDraft',
+  'loft',
+  'sumSqDist',
+  'rotateContour',
+  'sweep',
+  'sweepPoints',
+  'sketch',
+  'vecAdd',
+  'vecSub',
+  'vecMul',
+  'vecDot',
+  'vecCross',
+  'vecNorm',
+  'vecNormalize',
+  'use',
+  'cached',
+  'progress',
+];
+
+// JavaScript built-ins without access to the environment
+export const BUILTIN_GLOBALS = [
+  'undefined', 'NaN', 'Infinity',
+  'Math', 'Number', 'String', 'Boolean', 'Array', 'Object', 'JSON', 'Symbol', 'BigInt',
+  'Map', 'Set', 'WeakMap', 'WeakSet', 'Date', 'Promise',
+  'Error', 'TypeError', 'RangeError',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite',
+  'Float32Array', 'Float64Array', 'Int8Array', 'Int16Array', 'Int32Array',
+  'Uint8Array', 'Uint8ClampedArray', 'Uint16Array', 'Uint32Array',
+];
+
+export const SCRIPT_GLOBALS = [...MANIFOLD_GLOBALS, ...HELPER_GLOBALS, ...BUILTIN_GLOBALS];
+
+// The only property scripts may read from `window`
+const WINDOW_PROPERTY = '__importedManifolds';
+
+/**
+ * Property names that reach prototypes, constructors or property descriptors
+ * (the usual ways out of a sandbox)
+ */
+const BLOCKED_PROPERTIES = new Set([
+  'constructor',
+  'prototype',
+  '__proto__',
+  '__defineGetter__',
+  '__defineSetter__',
+  '__lookupGetter__',
+  '__lookupSetter__',
+  'caller',
+  'callee',
+  'defineProperty',
+  'defineProperties',
+  'setPrototypeOf',
+  'getPrototypeOf',
+  'getOwnPropertyDescriptor',
+  'getOwnPropertyDescriptors',
+]);
+
+// Statement and expression types that are never allowed
+const BLOCKED_NODES = {
+  WithStatement: 'with statement',
+  DebuggerStatement: 'debugger statement',
+  ImportExpression: 'Dynamic import',
+  ImportDeclaration: 'import declaration (use use(\'name\') for modules)',
+  ExportAllDeclaration: 'export * from',
+  ExportDefaultDeclaration: 'export default (export named functions instead)',
+};
+
+// Stop reporting after this many problems
+const MAX_ERRORS = 50;
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * Names bound by a declaration pattern
+ */
+const getPatternNames = (pattern, names = []) => {
+  if (!pattern) return names;
+
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      for (const property of pattern.properties) {
+        getPatternNames(property.type === 'RestElement' ? property.argument : property.value, names);
+      }
+      break;
+    case 'ArrayPattern':
+      for (const element of pattern.elements) {
+        getPatternNames(element, names);
+      }
+      break;
+    case 'AssignmentPattern':
+      getPatternNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      getPatternNames(pattern.argument, names);
+      break;
+  }
+  return names;
+};
+
+/**
+ * Names declared with `var` in a function body (not in nested functions)
+ */
+const getVarNames = (node, names = []) => {
+  if (!node || typeof node.type !== 'string' || FUNCTION_TYPES.has(node.type)) return names;
+
+  if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+    for (const declarator of node.declarations) {
+      getPatternNames(declarator.id, names);
+    }
+  }
+
+  for (const key of Object.keys(node)) {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => getVarNames(item, names));
+    } else if (child && typeof child.type === 'string') {
+      getVarNames(child, names);
+    }
+  }
+  return names;
+};
+
+/**
+ * Names declared with let/const/class/function directly in a statement list
+ */
+const getLexicalNames = (statements) => {
+  const names = [];
+  for (let statement of statements) {
+    if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+      statement = statement.declaration;
+    }
+    if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+      for (const declarator of statement.declarations) {
+        getPatternNames(declarator.id, names);
+      }
+    } else if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+      names.push(statement.id.name);
+    }
+  }
+  return names;
+};
+
+/**
+ * Evaluate string literals and literal-only concatenations ('con' + 'structor')
+ * @returns {string|null}
+ */
+const getStaticString = (node) => {
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = getStaticString(node.left);
+    const right = getStaticString(node.right);
+    if (left !== null && right !== null) return left + right;
+  }
+  return null;
+};
+
+// Built-in names holding number-like values, unless a script declares its own
+const NUMBER_LIKE_GLOBALS = ['undefined', 'NaN', 'Infinity'];
+
+/**
+ * Whether an expression always evaluates to a number, bigint, boolean, null or
+ * undefined: values whose property key can't name a blocked property
+ * @param {Set<string>} numberNames - Variables that only ever hold such values
+ */
+const isNumberLike = (node, numberNames) => {
+  switch (node.type) {
+    case 'Literal':
+      return node.value === null || ['number', 'bigint', 'boolean'].includes(typeof node.value);
+    case 'Identifier':
+      return numberNames.has(node.name);
+    case 'UnaryExpression':
+      return node.operator !== 'typeof';
+    case 'UpdateExpression':
+      return true;
+    case 'BinaryExpression':
+      // Only '+' can concatenate strings
+      return node.operator !== '+' ||
+        (isNumberLike(node.left, numberNames) && isNumberLike(node.right, numberNames));
+    case 'LogicalExpression':
+      return isNumberLike(node.left, numberNames) && isNumberLike(node.right, numberNames);
+    case 'ConditionalExpression':
+      return isNumberLike(node.consequent, numberNames) && isNumberLike(node.alternate, numberNames);
+    case 'SequenceExpression':
+      return isNumberLike(node.expressions[node.expressions.length - 1], numberNames);
+    case 'AssignmentExpression':
+      if (node.operator === '=') return isNumberLike(node.right, numberNames);
+      // '+=' can concatenate and logical assignments may keep the old value
+      if (['+=', '||=', '&&=', '??='].includes(node.operator)) {
+        return isNumberLike(node.left, numberNames) && isNumberLike(node.right, numberNames);
+      }
+      return true;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Names of the variables that only ever hold number-like values (see
+ * isNumberLike), such as loop counters. Names are judged across all scopes at
+ * once, so a name qualifies only if every variable with it does.
+ */
+const getNumberNames = (ast) => {
+  // Values written to each name (null for a declaration without one), and
+  // names bound to values of unknown type (parameters, destructuring, for-of)
+  const values = new Map();
+  const unknown = new Set();
+  const write = (name, value) => {
+    if (!values.has(name)) values.set(name, []);
+    values.get(name).push(value);
+  };
+  const markUnknown = (pattern) => getPatternNames(pattern).forEach(name => unknown.add(name));
+
+  const walk = (node, parent) => {
+    switch (node.type) {
+      case 'VariableDeclaration': {
+        const isLoopVariable = (parent?.type === 'ForInStatement' || parent?.type === 'ForOfStatement') &&
+          parent.left === node;
+        for (const declarator of node.declarations) {
+          if (isLoopVariable || declarator.id.type !== 'Identifier') {
+            markUnknown(declarator.id);
+          } else {
+            write(declarator.id.name, declarator.init);
+          }
+        }
+        break;
+      }
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        if (node.id) unknown.add(node.id.name);
+        (node.params || []).forEach(markUnknown);
+        break;
+      case 'CatchClause':
+        markUnknown(node.param);
+        break;
+      case 'AssignmentExpression':
+        if (node.left.type === 'Identifier') {
+          write(node.left.name, node);
+        } else {
+          markUnknown(node.left);
+        }
+        break;
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        if (node.left.type !== 'VariableDeclaration') markUnknown(node.left);
+        break;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc') continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => item && typeof item.type === 'string' && walk(item, node));
+      } else if (child && typeof child.type === 'string') {
+        walk(child, node);
+      }
+    }
+  };
+  walk(ast, null);
+
+  const names = new Set([
+    ...[...values.keys()].filter(name => !unknown.has(name)),
+    ...NUMBER_LIKE_GLOBALS.filter(name => !values.has(name) && !unknown.has(name)),
+  ]);
+
+  // Drop names written anything else until the rest only depend on each other
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const name of names) {
+      const written = values.get(name) || [];
+      if (!written.every(value => value === null || isNumberLike(value, names))) {
+        names.delete(name);
+        changed = true;
+      }
+    }
+  }
+  return names;
+};
+
+// Name of a non-computed property key
+const getKeyName = (key) => (key.type === 'Identifier' ? key.name : String(key.value));
+
+/**
+ * Location of a node in editor coordinates (1-based lines and columns)
+ */
+const getRange = (node) => ({
+  line: node.loc.start.line,
+  column: node.loc.start.column + 1,
+  endLine: node.loc.end.line,
+  endColumn: node.loc.end.column + 1,
+});
+
+/**
+ * Create a validator using the given parser
+ *
+ * @param {Function} parse - acorn's parse(source, options)
+ * @returns {{validateScript: Function, validateScriptWithModules: Function}}
+ */
+export function createScriptValidator(parse) {
+  /**
+   * Validate a script or module.
+   *
+   * @param {string} source - Script source
+   * @param {Object} [options]
+   * @param {string} [options.module] - Module name, when validating a library module
+   * @param {string[]} [options.globals] - Extra names in scope (exports of used modules)
+   * @returns {{valid: boolean, errors: Array, uses: string[], exports: string[]}}
+   *   errors: [{ message, reason, module, line, column, endLine, endColumn }]
+   *   uses: modules pulled in with use('name')
+   *   exports: names a module exports
+   */
+  const validateScript = (source, options = {}) => {
+    const moduleName = options.module || null;
+    const globals = new Set([...SCRIPT_GLOBALS, ...(options.globals || [])]);
+    const errors = [];
+    const uses = [];
+    const exports = [];
+
+    const report = (node, reason) => {
+      if (errors.length >= MAX_ERRORS) return;
+      errors.push({ message: `Blocked: ${reason}`, reason, module: moduleName, ...getRange(node) });
+    };
+
+    let ast;
+    try {
+      ast = parse(source, {
+        ecmaVersion: 'latest',
+        sourceType: moduleName ? 'module' : 'script',
+        allowReturnOutsideFunction: true,
+        locations: true,
+      });
+    } catch (error) {
+      const line = error.loc?.line ?? null;
+      const column = error.loc ? error.loc.column + 1 : null;
+      const reason = error.message.replace(/\s*\(\d+:\d+\)$/, '');
+      return {
+        valid: false,
+        errors: [{
+          message: `Syntax error: ${reason}`,
+          reason,
+          module: moduleName,
+          line,
+          column,
+          endLine: line,
+          endColumn: column !== null ? column + 1 : null,
+        }],
+        uses,
+        exports,
+      };
+    }
+
+    // ---------------------------------------------------------------------
+    // Scopes
+    // ---------------------------------------------------------------------
+
+    const createScope = (parent, names = []) => ({ parent, names: new Set(names) });
+
+    const isDeclared = (scope, name) => {
+      for (let current = scope; current; current = current.parent) {
+        if (current.names.has(name)) return true;
+      }
+      return false;
+    };
+
+    // ---------------------------------------------------------------------
+    // Checks
+    // ---------------------------------------------------------------------
+
+    const checkReference = (node, scope, parent) => {
+      const { name } = node;
+      if (isDeclared(scope, name)) return;
+
+      if (name === 'window') {
+        const isImportAccess = parent?.type === 'MemberExpression' && parent.object === node &&
+          (parent.computed ? getStaticString(parent.property) : parent.property.name) === WINDOW_PROPERTY;
+        if (!isImportAccess) {
+          report(node, `Window access (only window.${WINDOW_PROPERTY} is available)`);
+        }
+        return;
+      }
+
+      if (!globals.has(name)) {
+        report(node, `'${name}' is not defined or not available in scripts`);
+      }
+    };
+
+    const checkPropertyName = (node, name) => {
+      if (BLOCKED_PROPERTIES.has(name)) {
+        report(node, `Access to '${name}'`);
+      }
+    };
+
+    // Computed keys must be quoted names or number-like; any string built at
+    // runtime could name a blocked property
+    const visitComputedKey = (key, scope, parent) => {
+      const name = getStaticString(key);
+      if (name !== null) {
+        checkPropertyName(key, name);
+        return;
+      }
+
+      if (!isNumberLike(key, numberNames)) {
+        report(key, 'Computed property name that may be a string (use a quoted name, a number or a numeric variable, or array.at(index))');
+      }
+      visit(key, scope, parent);
+    };
+
+    // Track use('name') calls with a literal module name
+    const checkUseCall = (node, scope) => {
+      if (node.callee.type !== 'Identifier' || node.callee.name !== 'use' || isDeclared(scope, 'use')) return;
+
+      const name = node.arguments.length === 1 ? getStaticString(node.arguments[0]) : null;
+      if (name === null) {
+        report(node, "use() needs the module name as a quoted string");
+      } else if (!uses.includes(name)) {
+        uses.push(name);
+      }
+    };
+
+    const checkExport = (node) => {
+      if (!moduleName) return;
+
+      const declaration = node.declaration;
+      const isSimple = declaration && !node.source && node.specifiers.length === 0 &&
+        (declaration.type !== 'VariableDeclaration' ||
+          (declaration.declarations.length === 1 && declaration.declarations[0].id.type === 'Identifier'));
+
+      if (!isSimple) {
+        report(node, 'Unsupported export: use export function name, export class name or export const name = ...');
+        return;
+      }
+
+      exports.push(...(declaration.type === 'VariableDeclaration'
+        ? getPatternNames(declaration.declarations[0].id)
+        : [declaration.id.name]));
+    };
+
+    // ---------------------------------------------------------------------
+    // Walker
+    // ---------------------------------------------------------------------
+
+    const visitChildren = (node, scope) => {
+      for (const key of Object.keys(node)) {
+        if (key === 'loc') continue;
+        const child = node[key];
+        if (Array.isArray(child)) {
+          child.forEach(item => item && typeof item.type === 'string' && visit(item, scope, node));
+        } else if (child && typeof child.type === 'string') {
+          visit(child, scope, node);
+        }
+      }
+    };
+
+    // Visit a pattern: defaults and computed keys are expressions; for
+    // assignment targets (not declarations) identifiers are references too
+    const visitPattern = (pattern, scope, isDeclaration, parent) => {
+      if (!pattern) return;
+
+      switch (pattern.type) {
+        case 'Identifier':
+          if (!isDeclaration) checkReference(pattern, scope, parent);
+          break;
+        case 'MemberExpression':
+          visit(pattern, scope, parent);
+          break;
+        case 'ObjectPattern':
+          for (const property of pattern.properties) {
+            if (property.type === 'RestElement') {
+              visitPattern(property.argument, scope, isDeclaration, property);
+              continue;
+            }
+            if (property.computed) {
+              visitComputedKey(property.key, scope, property);
+            } else {
+              checkPropertyName(property.key, getKeyName(property.key));
+            }
+            visitPattern(property.value, scope, isDeclaration, property);
+          }
+          break;
+        case 'ArrayPattern':
+          pattern.elements.forEach(element => visitPattern(element, scope, isDeclaration, pattern));
+          break;
+        case 'AssignmentPattern':
+          visitPattern(pattern.left, scope, isDeclaration, pattern);
+          visit(pattern.right, scope, pattern);
+          break;
+        case 'RestElement':
+          visitPattern(pattern.argument, scope, isDeclaration, pattern);
+          break;
+      }
+    };
+
+    const visitFunction = (node, scope) => {
+      const names = [];
+      for (const param of node.params) {
+        getPatternNames(param, names);
+      }
+      if (node.type !== 'ArrowFunctionExpression') {
+        names.push('arguments');
+      }
+      // A named function expression can refer to itself
+      if (node.type === 'FunctionExpression' && node.id) {
+        names.push(node.id.name);
+      }
+
+      const body = node.body;
+      if (body.type === 'BlockStatement') {
+        names.push(...getVarNames(body), ...getLexicalNames(body.body));
+      }
+
+      const functionScope = createScope(scope, names);
+      node.params.forEach(param => visitPattern(param, functionScope, true, node));
+
+      if (body.type === 'BlockStatement') {
+        body.body.forEach(statement => visit(statement, functionScope, body));
+      } else {
+        visit(body, functionScope, node);
+      }
+    };
+
+    const visitClass = (node, scope) => {
+      if (node.superClass) visit(node.superClass, scope, node);
+
+      const classScope = node.type === 'ClassExpression' && node.id
+        ? createScope(scope, [node.id.name])
+        : scope;
+
+      for (const member of node.body.body) {
+        if (member.computed) {
+          visitComputedKey(member.key, classScope, member);
+        }
+        if (member.value) {
+          visit(member.value, classScope, member);
+        }
+        if (member.type === 'StaticBlock') {
+          visit({ type: 'BlockStatement', body: member.body, loc: member.loc }, classScope, member);
+        }
+      }
+    };
+
+    function visit(node, scope, parent) {
+      if (errors.length >= MAX_ERRORS) return;
+
+      if (BLOCKED_NODES[node.type]) {
+        report(node, BLOCKED_NODES[node.type]);
+        return;
+      }
+
+      switch (node.type) {
+        case 'Program': {
+          const programScope = createScope(scope, [...getVarNames(node), ...getLexicalNames(node.body)]);
+          node.body.forEach(statement => visit(statement, programScope, node));
+          return;
+        }
+
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+          visitFunction(node, scope);
+          return;
+
+        case 'ClassDeclaration':
+        case 'ClassExpression':
+          visitClass(node, scope);
+          return;
+
+        case 'BlockStatement': {
+          const blockScope = createScope(scope, getLexicalNames(node.body));
+          node.body.forEach(statement => visit(statement, blockScope, node));
+          return;
+        }
+
+        case 'SwitchStatement': {
+          visit(node.discriminant, scope, node);
+          const statements = node.cases.flatMap(switchCase => switchCase.consequent);
+          const switchScope = createScope(scope, getLexicalNames(statements));
+          for (const switchCase of node.cases) {
+            if (switchCase.test) visit(switchCase.test, switchScope, switchCase);
+            switchCase.consequent.forEach(statement => visit(statement, switchScope, switchCase));
+          }
+          return;
+        }
+
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement': {
+          const declaration = node.type === 'ForStatement' ? node.init : node.left;
+          const names = declaration?.type === 'VariableDeclaration' && declaration.kind !== 'var'
+            ? declaration.declarations.flatMap(declarator => getPatternNames(declarator.id))
+            : [];
+          const loopScope = createScope(scope, names);
+
+          if (node.type !== 'ForStatement' && declaration.type !== 'VariableDeclaration') {
+            visitPattern(declaration, loopScope, false, node);
+            visit(node.right, loopScope, node);
+            visit(node.body, loopScope, node);
+            return;
+          }
+          visitChildren(node, loopScope);
+          return;
+        }
+
+        case 'CatchClause': {
+          const catchScope = createScope(scope, getPatternNames(node.param));
+          visitPattern(node.param, catchScope, true, node);
+          visit(node.body, catchScope, node);
+          return;
+        }
+
+        case 'VariableDeclaration':
+          for (const declarator of node.declarations) {
+            visitPattern(declarator.id, scope, true, declarator);
+            if (declarator.init) visit(declarator.init, scope, declarator);
+          }
+          return;
+
+        case 'ExportNamedDeclaration':
+          checkExport(node);
+          if (node.declaration) visit(node.declaration, scope, node);
+          return;
+
+        case 'ReturnStatement':
+          // A module's top-level `return { ... }` lists its exports
+          if (moduleName && node.argument?.type === 'ObjectExpression' && parent?.type === 'Program') {
+            for (const property of node.argument.properties) {
+              if (property.type === 'Property' && !property.computed) {
+                exports.push(getKeyName(property.key));
+              }
+            }
+          }
+          break;
+
+        case 'Identifier':
+          checkReference(node, scope, parent);
+          return;
+
+        case 'MemberExpression':
+          visit(node.object, scope, node);
+          if (node.computed) {
+            visitComputedKey(node.property, scope, node);
+          } else if (node.property.type === 'Identifier') {
+            checkPropertyName(node.property, node.property.name);
+          }
+          return;
+
+        case 'Property':
+          if (node.computed) {
+            visitComputedKey(node.key, scope, node);
+          } else if (getKeyName(node.key) === '__proto__') {
+            report(node.key, "Access to '__proto__'");
+          }
+          visit(node.value, scope, node);
+          return;
+
+        case 'AssignmentExpression':
+          visitPattern(node.left, scope, false, node);
+          visit(node.right, scope, node);
+          return;
+
+        case 'CallExpression':
+          checkUseCall(node, scope);
+          break;
+
+        case 'LabeledStatement':
+          visit(node.body, scope, node);
+          return;
+
+        case 'BreakStatement':
+        case 'ContinueStatement':
+          return;
+
+        case 'MetaProperty':
+          if (node.meta.name === 'import') {
+            report(node, 'import.meta');
+          }
+          return;
+
+        case 'Literal':
+        case 'TemplateLiteral':
+        case 'BinaryExpression': {
+          // Strings naming blocked properties are only useful for computed access
+          const value = getStaticString(node);
+          if (value !== null && BLOCKED_PROPERTIES.has(value)) {
+            report(node, `String '${value}' (blocked property name)`);
+            return;
+          }
+          break;
+        }
+      }
+
+      visitChildren(node, scope);
+    }
+
+    const numberNames = getNumberNames(ast);
+    visit(ast, null, null);
+
+    return { valid: errors.length === 0, errors, uses, exports };
+  };
+
+  /**
+   * Validate a script together with the library modules it uses.
+   * Modules are validated in order (dependencies first), so each module and
+   * the script can refer to the exports of the modules they use.
+   *
+   * @param {string} script - Main script
+   * @param {Array<{name: string, source: string}>} modules - Modules, dependencies first
+   * @returns {{valid: boolean, errors: Array, uses: string[],
+   *   modules: Array<{name: string, source: string, uses: string[]}>}}
+   *   uses: modules the script uses directly; modules: the given modules with
+   *   the modules each of them uses, ready for execution
+   */
+  const validateScriptWithModules = (script, modules = []) => {
+    const moduleExports = new Map();
+    const errors = [];
+
+    const validateWithUses = (source, module) => {
+      // Exports of used modules are only known after a first pass finds the uses
+      const { uses } = validateScript(source, { module });
+      const missing = uses.filter(name => !moduleExports.has(name));
+      const result = validateScript(source, {
+        module,
+        globals: uses.flatMap(name => moduleExports.get(name) || []),
+      });
+
+      for (const name of missing) {
+        errors.push({
+          message: `Unknown module '${name}'`,
+          reason: `Unknown module '${name}'`,
+          module: module || null,
+          line: null,
+          column: null,
+          endLine: null,
+          endColumn: null,
+        });
+      }
+      errors.push(...result.errors);
+      return { ...result, uses };
+    };
+
+    const resolved = modules.map(module => {
+      const result = validateWithUses(module.source, module.name);
+      moduleExports.set(module.name, result.exports);
+      return { name: module.name, source: module.source, uses: result.uses };
+    });
+    const { uses } = validateWithUses(script, null);
+
+    return { valid: errors.length === 0, errors, uses, modules: resolved };
+  };
+
+  return { validateScript, validateScriptWithModules };
+}
+
+/**
+ * Describe where an error is, e.g. " (module 'bolts', line 3)"
+ * @param {{module?: string, line?: number}} err - Validation error or worker error location
+ */
+export const formatErrorLocation = (err) => {
+  const parts = [];
+  if (err.module) parts.push(`module '${err.module}'`);
+  if (err.line) parts.push(`line ${err.line}`);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+};
+
+/**
+ * Format validation errors for display
+ */
+export const formatValidationErrors = (errors) => {
+  if (errors.length === 1) {
+    const err = errors[0];
+    return `${err.message}${formatErrorLocation(err)}`;
+  }
+
+  const displayed = errors.slice(0, 5);
+  const remaining = errors.length - displayed.length;
+
+  let message = `${errors.length} problems in script:\n` +
+    displayed.map(err => `  • ${err.message}${formatErrorLocation(err)}`).join('\n');
+
+  if (remaining > 0) {
+    message += `\n  ... and ${remaining} more`;
+  }
+
+  return message;
+};
+
+/**
+ * Convert validation errors to editor diagnostics
+ * @returns {Array<{message: string, module: string|null, line: number|null,
+ *   column: number|null, endColumn: number|null}>}
+ */
+export const validationDiagnostics = (errors) => {
+  return errors.map(err => ({
+    message: err.message,
+    module: err.module || null,
+    line: err.line ?? null,
+    column: err.column ?? null,
+    endColumn: err.endLine === err.line ? err.endColumn ?? null : null,
+  }));
+};
+
+export default createScriptValidator;
@@ -0,0 +1,239 @@
+// shared/wallThickness.js
+// Local wall thickness of a mesh, measured by casting a ray from each triangle
+// inward along its normal to the opposite wall. Runs in the editor's sandbox
+// worker for the viewport heatmap and the quote's printability warnings.
+
+// Rays start this far inside the surface so they don't hit their own triangle
+const RAY_OFFSET = 1e-4; // mm
+
+// Grid cells per axis, at most
+const MAX_GRID_RESOLUTION = 128;
+
+/**
+ * Uniform grid of triangle indices for ray queries
+ */
+function buildGrid(positions, triVerts) {
+  const triCount = triVerts.length / 3;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], positions[i + axis]);
+      max[axis] = Math.max(max[axis], positions[i + axis]);
+    }
+  }
+
+  // Pad so flat and boundary triangles land inside the grid
+  const extent = [0, 1, 2].map(axis => max[axis] - min[axis]);
+  const pad = Math.max(...extent) * 1e-3 + 1e-6;
+  for (let axis = 0; axis < 3; axis++) {
+    min[axis] -= pad;
+    max[axis] += pad;
+    extent[axis] += 2 * pad;
+  }
+
+  // About one triangle per cell
+  const cellSize = Math.cbrt(extent[0] * extent[1] * extent[2] / Math.max(triCount, 1));
+  const res = extent.map(length => Math.max(1, Math.min(MAX_GRID_RESOLUTION, Math.ceil(length / cellSize))));
+  const size = extent.map((length, axis) => length / res[axis]);
+  const cells = new Map();
+
+  const cellOf = (value, axis) => Math.max(0, Math.min(res[axis] - 1, Math.floor((value - min[axis]) / size[axis])));
+
+  for (let tri = 0; tri < triCount; tri++) {
+    const lo = [Infinity, Infinity, Infinity];
+    const hi = [-Infinity, -Infinity, -Infinity];
+    for (let corner = 0; corner < 3; corner++) {
+      const offset = triVerts[tri * 3 + corner] * 3;
+      for (let axis = 0; axis < 3; axis++) {
+        lo[axis] = Math.min(lo[axis], positions[offset + axis]);
+        hi[axis] = Math.max(hi[axis], positions[offset + axis]);
+      }
+    }
+
+    for (let x = cellOf(lo[0], 0); x <= cellOf(hi[0], 0); x++) {
+      for (let y = cellOf(lo[1], 1); y <= cellOf(hi[1], 1); y++) {
+        for (let z = cellOf(lo[2], 2); z <= cellOf(hi[2], 2); z++) {
+          const key = (z * res[1] + y) * res[0] + x;
+          const cell = cells.get(key);
+          if (cell) cell.push(tri);
+          else cells.set(key, [tri]);
+        }
+      }
+    }
+  }
+
+  return { min, max, res, size, cells, cellOf };
+}
+
+/**
+ * Distance along a ray to a triangle (Möller–Trumbore), or Infinity
+ */
+function intersectTriangle(positions, triVerts, tri, origin, dir) {
+  const a = triVerts[tri * 3] * 3;
+  const b = triVerts[tri * 3 + 1] * 3;
+  const c = triVerts[tri * 3 + 2] * 3;
+
+  const e1x = positions[b] - positions[a];
+  const e1y = positions[b + 1] - positions[a + 1];
+  const e1z = positions[b + 2] - positions[a + 2];
+  const e2x = positions[c] - positions[a];
+  const e2y = positions[c + 1] - positions[a + 1];
+  const e2z = positions[c + 2] - positions[a + 2];
+
+  const px = dir[1] * e2z - dir[2] * e2y;
+  const py = dir[2] * e2x - dir[0] * e2z;
+  const pz = dir[0] * e2y - dir[1] * e2x;
+  const det = e1x * px + e1y * py + e1z * pz;
+  if (Math.abs(det) < 1e-12) return Infinity;
+
+  const inv = 1 / det;
+  const tx = origin[0] - positions[a];
+  const ty = origin[1] - positions[a + 1];
+  const tz = origin[2] - positions[a + 2];
+  const u = (tx * px + ty * py + tz * pz) * inv;
+  if (u < 0 || u > 1) return Infinity;
+
+  const qx = ty * e1z - tz * e1y;
+  const qy = tz * e1x - tx * e1z;
+  const qz = tx * e1y - ty * e1x;
+  const v = (dir[0] * qx + dir[1] * qy + dir[2] * qz) * inv;
+  if (v < 0 || u + v > 1) return Infinity;
+
+  const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+  return t > 0 ? t : Infinity;
+}
+
+/**
+ * Distance to the nearest triangle along a ray, walking the grid cell by cell
+ */
+function castRay(grid, positions, triVerts, origin, dir, skipTri) {
+  const { min, res, size, cells, cellOf } = grid;
+  const cell = [0, 1, 2].map(axis => cellOf(origin[axis], axis));
+  const step = [];
+  const tMax = [];
+  const tDelta = [];
+
+  for (let axis = 0; axis < 3; axis++) {
+    if (dir[axis] > 0) {
+      step.push(1);
+      tMax.push((min[axis] + (cell[axis] + 1) * size[axis] - origin[axis]) / dir[axis]);
+      tDelta.push(size[axis] / dir[axis]);
+    } else if (dir[axis] < 0) {
+      step.push(-1);
+      tMax.push((min[axis] + cell[axis] * size[axis] - origin[axis]) / dir[axis]);
+      tDelta.push(-size[axis] / dir[axis]);
+    } else {
+      step.push(0);
+      tMax.push(Infinity);
+      tDelta.push(Infinity);
+    }
+  }
+
+  let nearest = Infinity;
+  for (;;) {
+    const tris = cells.get((cell[2] * res[1] + cell[1]) * res[0] + cell[0]);
+    if (tris) {
+      for (const tri of tris) {
+        if (tri === skipTri) continue;
+        nearest = Math.min(nearest, intersectTriangle(positions, triVerts, tri, origin, dir));
+      }
+    }
+
+    // A hit before the ray leaves this cell can't be beaten by later cells
+    const axis = tMax[0] < tMax[1]
+      ? (tMax[0] < tMax[2] ? 0 : 2)
+      : (tMax[1] < tMax[2] ? 1 : 2);
+    if (nearest <= tMax[axis]) return nearest;
+
+    cell[axis] += step[axis];
+    if (cell[axis] < 0 || cell[axis] >= res[axis]) return nearest;
+    tMax[axis] += tDelta[axis];
+  }
+}
+
+/**
+ * Estimate the wall thickness at every triangle of a mesh
+ *
+ * A ray from each triangle's centroid, pointing inward along its normal, is
+ * followed to the first wall it meets. Thin features (pins, fins, text) come
+ * out as short distances as well as thin walls.
+ *
+ * @param {{numProp: number, vertProperties: ArrayLike<number>, triVerts: ArrayLike<number>}} mesh
+ * @returns {{thickness: Float32Array, areas: Float32Array}} Thickness (mm, Infinity
+ *   when the ray escapes an open mesh) and area (mm²) per triangle, in mesh order
+ */
+export function measureWallThickness(mesh) {
+  const { numProp, vertProperties, triVerts } = mesh;
+  const vertCount = vertProperties.length / numProp;
+  const positions = new Float64Array(vertCount * 3);
+  for (let i = 0; i < vertCount; i++) {
+    positions[i * 3] = vertProperties[i * numProp];
+    positions[i * 3 + 1] = vertProperties[i * numProp + 1];
+    positions[i * 3 + 2] = vertProperties[i * numProp + 2];
+  }
+
+  const triCount = triVerts.length / 3;
+  const thickness = new Float32Array(triCount);
+  const areas = new Float32Array(triCount);
+  const grid = buildGrid(positions, triVerts);
+
+  for (let tri = 0; tri < triCount; tri++) {
+    const a = triVerts[tri * 3] * 3;
+    const b = triVerts[tri * 3 + 1] * 3;
+    const c = triVerts[tri * 3 + 2] * 3;
+
+    const e1 = [0, 1, 2].map(axis => positions[b + axis] - positions[a + axis]);
+    const e2 = [0, 1, 2].map(axis => positions[c + axis] - positions[a + axis]);
+    const normal = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0],
+    ];
+    const length = Math.hypot(...normal);
+    areas[tri] = length / 2;
+    if (length === 0) {
+      thickness[tri] = Infinity;
+      continue;
+    }
+
+    const inward = normal.map(value => -value / length);
+    const origin = [0, 1, 2].map(axis =>
+      (positions[a + axis] + positions[b + axis] + positions[c + axis]) / 3 + inward[axis] * RAY_OFFSET
+    );
+
+    thickness[tri] = castRay(grid, positions, triVerts, origin, inward, tri) + RAY_OFFSET;
+  }
+
+  return { thickness, areas };
+}
+
+/**
+ * Measure the wall thickness of each part and flag the thin regions
+ * @param {Array<{name: string, manifold: Manifold}>} parts - Parts of the result
+ * @param {number} minThickness - Thinnest printable wall in mm
+ * @returns {Array<{name: string, thickness: Float32Array, thinArea: number,
+ *   thinCount: number, minFound: number}>} Per part: thickness per triangle,
+ *   area (mm²) and count of triangles thinner than minThickness, and the
+ *   thinnest wall found
+ */
+export function analyzeWallThickness(parts, minThickness) {
+  return parts.map(part => {
+    const { thickness, areas } = measureWallThickness(part.manifold.getMesh());
+
+    let thinArea = 0;
+    let thinCount = 0;
+    let minFound = Infinity;
+    for (let tri = 0; tri < thickness.length; tri++) {
+      minFound = Math.min(minFound, thickness[tri]);
+      if (thickness[tri] < minThickness) {
+        thinArea += areas[tri];
+        thinCount++;
+      }
+    }
+
+    return { name: part.name, thickness, thinArea, thinCount, minFound };
+  });
+}
+
+export default analyzeWallThickness;
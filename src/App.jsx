@@ -1,11 +1,13 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import CodeEditor from './components/CodeEditor';
 import Viewport from './components/Viewport';
 import PromptInput from './components/PromptInput';
 import { saveAs } from 'file-saver';
 import QuoteModal from './components/QuoteModal';
+import ImportReport from './components/ImportReport';
 import OrderModal from './components/OrderModal';
 import LoginModal from './components/LoginModal';
+import HistoryPanel from './components/HistoryPanel';
 import AccountModal from './components/AccountModal';
 import { useAuth } from './hooks/useAuth';
 import { 
@@ -25,6 +27,27 @@ import {
 } from './utils/editorStorage';
 import manifoldContext from './utils/ManifoldWorker';
 import DEFAULT_SCRIPT from './utils/defaultScript';
+import { updateParameter } from './utils/scriptParameters';
+import {
+  createHistory,
+  addCommit,
+  checkoutCommit,
+  createBranch,
+  switchBranch,
+  setThumbnail,
+  getCurrentBranch,
+  getHeadCommit
+} from './utils/designHistory';
+import { saveDesignHistory, loadDesignHistory, UNTITLED_DESIGN } from './utils/historyStorage';
+
+// Delay before an edit re-runs the script, so typing starts one run rather than one per keystroke
+const EXECUTE_DEBOUNCE_MS = 500;
+
+// Delay before running loaded content (history, opened files, parameter changes)
+const LOAD_EXECUTE_DELAY_MS = 100;
+
+// Delay before history changes are written to IndexedDB
+const HISTORY_SAVE_DELAY_MS = 300;
 
 const App = () => {
   const [currentScript, setCurrentScript] = useState('');
@@ -36,27 +59,41 @@ const App = () => {
   const [orderData, setOrderData] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadError, setUploadError] = useState(null);
+  const [importReport, setImportReport] = useState(null);
   const [manifoldReady, setManifoldReady] = useState(false);
   const [showLoginModal, setShowLoginModal] = useState(false);
   const [showAccountModal, setShowAccountModal] = useState(false);
   const [accountModalTab, setAccountModalTab] = useState('info');
   const [editorInitialScript, setEditorInitialScript] = useState(null);
   const [initError, setInitError] = useState(null);
+  const [scriptErrors, setScriptErrors] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [comparison, setComparison] = useState(null);
 
   const { user, isAuthenticated, checkAuth } = useAuth();
 
   const viewportRef = useRef(null);
   const codeEditorRef = useRef(null);
+  const parameterHistoryTimeoutRef = useRef(null);
+  const executeTimeoutRef = useRef(null);
+  const historySaveTimeoutRef = useRef(null);
+  const historyLoadedRef = useRef(false);
+  const lastThumbnailRef = useRef(null);
   
-  const [history, setHistory] = useState({
-    branches: {
-      main: {
-        commits: [],
-        head: -1
-      }
-    },
-    currentBranch: 'main'
-  });
+  const [history, setHistory] = useState(() => createHistory(UNTITLED_DESIGN));
+
+  // Persist history once the saved one has been loaded, so it isn't overwritten
+  useEffect(() => {
+    if (!historyLoadedRef.current) return;
+
+    if (historySaveTimeoutRef.current) {
+      clearTimeout(historySaveTimeoutRef.current);
+    }
+    historySaveTimeoutRef.current = setTimeout(() => {
+      historySaveTimeoutRef.current = null;
+      saveDesignHistory(history);
+    }, HISTORY_SAVE_DELAY_MS);
+  }, [history]);
 
   // Initialize ManifoldWorkerand handle script restoration
   useEffect(() => {
@@ -94,7 +131,7 @@ const App = () => {
   useEffect(() => {
     if (!manifoldReady) return;
     
-    let script = DEFAULT_SCRIPT;
+    let script = null;
     let filename = null;
     let shouldOpenAccount = false;
     let restoredCheckout = null;
@@ -161,8 +198,21 @@ const App = () => {
     }
     if (shouldOpenAccount) setShowAccountModal(true);
     
-    // Set editor script last - this enables rendering
-    setEditorInitialScript(script);
+    // Load the design's history, then set the editor script - this enables rendering.
+    // Without a restored script, the design reopens at the version last shown.
+    const design = filename || UNTITLED_DESIGN;
+    loadDesignHistory(design).then(saved => {
+      const loaded = saved || createHistory(design);
+      console.log('[App] Loaded history:', {
+        design,
+        saved: !!saved,
+        branches: Object.keys(loaded.branches).length,
+      });
+
+      historyLoadedRef.current = true;
+      setHistory(loaded);
+      setEditorInitialScript(script ?? getHeadCommit(loaded)?.code ?? DEFAULT_SCRIPT);
+    });
     
   }, [manifoldReady]);
 
@@ -198,37 +248,25 @@ const App = () => {
     };
   }, []);
 
-  const handleExecute = (script, autoExecute=false) => {
+  // Schedule a run of the script; a newer call replaces a run that hasn't started
+  const handleExecute = (script, immediate = false) => {
     setCurrentScript(script);
-    if (autoExecute) {
-      // Pass script directly to avoid stale closure
-      setTimeout(() => {
-        viewportRef.current?.executeScript(script);
-      }, 100);
+    if (executeTimeoutRef.current) {
+      clearTimeout(executeTimeoutRef.current);
     }
+    // Pass script directly to avoid stale closure
+    executeTimeoutRef.current = setTimeout(() => {
+      executeTimeoutRef.current = null;
+      viewportRef.current?.executeScript(script);
+    }, immediate ? LOAD_EXECUTE_DELAY_MS : EXECUTE_DEBOUNCE_MS);
   };
 
-  const handleCodeChange = (code, message = 'Code updated') => {
-    setHistory(prev => {
-      const branch = prev.branches[prev.currentBranch];
-      const newCommit = {
-        code,
-        message,
-        timestamp: Date.now(),
-        id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-      };
+  // Thumbnail of the last rendered model, if it came from this code
+  const thumbnailFor = (code) =>
+    lastThumbnailRef.current?.code === code ? lastThumbnailRef.current.thumbnail : null;
 
-      return {
-        ...prev,
-        branches: {
-          ...prev.branches,
-          [prev.currentBranch]: {
-            commits: [...branch.commits.slice(0, branch.head + 1), newCommit],
-            head: branch.head + 1
-          }
-        }
-      };
-    });
+  const handleCodeChange = (code, message = 'Code updated') => {
+    setHistory(prev => addCommit(prev, code, message, thumbnailFor(code)));
     
     // Log after setHistory call (outside the updater)
     console.log('[App] handleCodeChange added commit:', { message, codeLength: code?.length });
@@ -240,74 +278,127 @@ const App = () => {
     codeEditorRef.current?.loadContent(code, promptMessage || 'Code generated', addToHistory);
   };
 
-  const handleUndo = () => {
-    const branch = history.branches[history.currentBranch];
+  // Thumbnail the rendered model for the head commit it belongs to
+  const handleModelRendered = useCallback((script) => {
+    const thumbnail = viewportRef.current?.captureThumbnail();
+    if (!thumbnail) return;
 
-    if (branch.head > 0) {
-      const newHead = branch.head - 1;
-      const commit = branch.commits[newHead];
-      
-      console.log('[App] Undoing to commit:', {
-        newHead,
-        commitMessage: commit.message,
-        codeLength: commit.code?.length,
-      });
-      
-      setHistory(prev => ({
-        ...prev,
-        branches: {
-          ...prev.branches,
-          [prev.currentBranch]: {
-            ...branch,
-            head: newHead
-          }
-        }
-      }));
-
-      // Load the code from the commit
+    lastThumbnailRef.current = { code: script, thumbnail };
+    setHistory(prev => {
+      const head = getHeadCommit(prev);
+      if (!head || head.code !== script || prev.thumbnails[head.id]) return prev;
+      return setThumbnail(prev, head.id, thumbnail);
+    });
+  }, []);
+
+  // Show a history state and load its head commit into the editor
+  const loadHistory = (next) => {
+    if (next === history) return;
+
+    const commit = getHeadCommit(next);
+    console.log('[App] Loading commit:', {
+      branch: next.currentBranch,
+      commitMessage: commit?.message,
+      codeLength: commit?.code?.length,
+    });
+
+    setHistory(next);
+    if (commit) {
       codeEditorRef.current?.loadContent(commit.code, null, false);
     }
   };
 
-  const handleRedo = () => {
-    const branch = history.branches[history.currentBranch];
+  const handleCheckout = (index) => {
+    loadHistory(checkoutCommit(history, index));
+  };
 
-    if (branch.head < branch.commits.length - 1) {
-      const newHead = branch.head + 1;
-      const commit = branch.commits[newHead];
-      
-      console.log('[App] Redoing to commit:', {
-        newHead,
-        commitMessage: commit.message,
-        codeLength: commit.code?.length,
-      });
-      
-      setHistory(prev => ({
-        ...prev,
-        branches: {
-          ...prev.branches,
-          [prev.currentBranch]: {
-            ...branch,
-            head: newHead
-          }
-        }
-      }));
-
-      // Load the code from the commit
-      codeEditorRef.current?.loadContent(commit.code, null, false);
-    }
+  const handleUndo = () => {
+    handleCheckout(getCurrentBranch(history).head - 1);
+  };
+
+  const handleRedo = () => {
+    handleCheckout(getCurrentBranch(history).head + 1);
   };
 
   const canUndo = () => {
-    const branch = history.branches[history.currentBranch];
+    const branch = getCurrentBranch(history);
     return branch.head > 0;
   };
 
   const canRedo = () => {
-    const branch = history.branches[history.currentBranch];
+    const branch = getCurrentBranch(history);
     return branch.head < branch.commits.length - 1;
   };
 
+  const handleSwitchBranch = (name) => {
+    try {
+      loadHistory(switchBranch(history, name));
+    } catch (error) {
+      console.error('[App] Switch branch error:', error);
+    }
+  };
+
+  const handleCreateBranch = (name, fromBranch, index) => {
+    try {
+      loadHistory(createBranch(history, name, fromBranch, index));
+    } catch (error) {
+      console.error('[App] Create branch error:', error);
+    }
+  };
+
+  // Compare a commit's model and code with the editor's current version
+  const handleCompare = (commit, branchName = null) => {
+    const code = codeEditorRef.current?.getContent();
+    if (!commit || !code) return;
+
+    setComparison({
+      before: { label: branchName ? `${branchName}: ${commit.message}` : commit.message, code: commit.code },
+      after: { label: `Current (${history.currentBranch})`, code }
+    });
+  };
+
+  // Switch to another design's history (opened or imported file), adding the
+  // loaded code as its newest commit
+  const openDesign = async (design, code, message) => {
+    if (historySaveTimeoutRef.current) {
+      clearTimeout(historySaveTimeoutRef.current);
+      historySaveTimeoutRef.current = null;
+    }
+    await saveDesignHistory(history);
+
+    const saved = await loadDesignHistory(design);
+    setComparison(null);
+    setHistory(addCommit(saved || createHistory(design), code, message, thumbnailFor(code)));
+  };
+
+  // Write a customizer value back into the editor and re-execute
+  const handleParameterChange = (param, value) => {
+    const code = codeEditorRef.current?.getContent();
+    if (!code) return;
+
+    const updated = updateParameter(code, param, value);
+    if (updated === code) return;
+
+    codeEditorRef.current?.loadContent(updated, null, false);
+
+    // Debounce history so dragging a slider adds a single commit
+    if (parameterHistoryTimeoutRef.current) {
+      clearTimeout(parameterHistoryTimeoutRef.current);
+    }
+    parameterHistoryTimeoutRef.current = setTimeout(() => {
+      handleCodeChange(updated, `Set ${param.name}`);
+      parameterHistoryTimeoutRef.current = null;
+    }, 1000);
+  };
+
+  // Re-run the main script after a library module was edited or deleted
+  const handleModulesChange = () => {
+    const code = codeEditorRef.current?.getContent();
+    if (code) {
+      handleExecute(code, true);
+    }
+  };
+
   const handleFaceSelected = (faceData) => {
     setSelectedFace(faceData);
   };
@@ -320,8 +411,9 @@ const App = () => {
   const handleOpen = async (text, filename) => {
     try {
       console.log('[APP] Handling opening script file');
-      codeEditorRef.current?.loadContent(text, `Opened ${filename}`);
+      codeEditorRef.current?.loadContent(text, null, false);
       setCurrentFilename(filename);
+      await openDesign(filename, text, `Opened ${filename}`);
     } catch (error) {
       console.error('[App] Open error:', error);
     }
@@ -377,6 +469,17 @@ const App = () => {
     return await viewportRef.current?.calculateQuote(options);
   };
 
+  // Rank print orientations for the quote; stable so the quote modal doesn't
+  // re-rank on every render
+  const handleFindOrientations = useCallback(async (options) => {
+    return await viewportRef.current?.findOrientations(options) ?? [];
+  }, []);
+
+  // Check walls against the process minimum for the quote
+  const handleFindThinWalls = useCallback(async (minThickness) => {
+    return await viewportRef.current?.findThinWalls(minThickness) ?? [];
+  }, []);
+
   // Handle start order
   const handleStartOrder = (quoteData, modelData) => {
     setShowQuoteModal(false);
@@ -399,6 +502,7 @@ const App = () => {
     
     setIsUploading(true);
     setUploadError(null);
+    setImportReport(null);
     
     const filename = file.name;
     const ext = filename.toLowerCase().slice(filename.lastIndexOf('.'));
@@ -410,10 +514,17 @@ const App = () => {
       const result = await importFile(file);
       
       // Load the generated script into the editor
-      codeEditorRef.current?.loadContent(result.script, `Imported ${result.filename}`);
+      codeEditorRef.current?.loadContent(result.script, null, false);
       
       // Set filename (without extension for display)
-      setCurrentFilename(result.filename.replace(/\.[^/.]+$/, ''));
+      const design = result.filename.replace(/\.[^/.]+$/, '');
+      setCurrentFilename(design);
+      await openDesign(design, result.script, `Imported ${result.filename}`);
+      
+      // Tell the user what had to be fixed to make the mesh printable, and what couldn't be
+      if (result.repair) {
+        setImportReport({ filename: result.filename, report: result.repair });
+      }
       
     } catch (error) {
       console.error('[App] Import error:', error);
@@ -454,6 +565,17 @@ const App = () => {
     );
   }
 
+  const historyPanel = showHistory && (
+    <HistoryPanel
+      history={history}
+      onCheckout={handleCheckout}
+      onSwitchBranch={handleSwitchBranch}
+      onCreateBranch={handleCreateBranch}
+      onCompare={handleCompare}
+      onClose={() => setShowHistory(false)}
+    />
+  );
+
   if (isMobile) {
     return (
         <div className="flex flex-col h-dvh bg-gray-900 overflow-hidden">
@@ -463,7 +585,11 @@ const App = () => {
               initialScript={editorInitialScript}
               onExecute={handleExecute}
               onCodeChange={handleCodeChange}
+              onModulesChange={handleModulesChange}
+              errors={scriptErrors}
               isMobile={isMobile}
+              comparison={comparison}
+              onCloseComparison={() => setComparison(null)}
             />
           </div>
           <div className="flex-1 min-h-0 border-b border-gray-700 overflow-hidden">
@@ -480,9 +606,18 @@ const App = () => {
               onRedo={handleRedo}
               canUndo={canUndo()}
               canRedo={canRedo()}
+              onToggleHistory={() => setShowHistory(!showHistory)}
+              showHistory={showHistory}
               currentFilename={currentFilename}
               isUploading={isUploading}
-            />
+              onParameterChange={handleParameterChange}
+              onScriptErrors={setScriptErrors}
+              onModelRendered={handleModelRendered}
+              comparison={comparison}
+              onCloseComparison={() => setComparison(null)}
+            >
+              {historyPanel}
+            </Viewport>
           </div>
           <div className="flex-shrink-0">
             <PromptInput 
@@ -518,6 +653,8 @@ const App = () => {
             <QuoteModal
               onClose={handleQuoteClose}
               onGetQuote={handleGetQuote}
+              onFindOrientations={handleFindOrientations}
+              onFindThinWalls={handleFindThinWalls}
               onOrder={handleStartOrder}
               currentScript={currentScript}
               currentFilename={currentFilename}
@@ -551,6 +688,14 @@ const App = () => {
               </div>
             </div>
           )}
+          
+          {importReport && (
+            <ImportReport
+              filename={importReport.filename}
+              report={importReport.report}
+              onClose={() => setImportReport(null)}
+            />
+          )}
         </div>
     );
   }
@@ -564,7 +709,11 @@ const App = () => {
               initialScript={editorInitialScript}
               onExecute={handleExecute}
               onCodeChange={handleCodeChange}
+              onModulesChange={handleModulesChange}
+              errors={scriptErrors}
               isMobile={isMobile}
+              comparison={comparison}
+              onCloseComparison={() => setComparison(null)}
             />
           </div>
           <div className="flex-shrink-0">
@@ -591,9 +740,18 @@ const App = () => {
             onRedo={handleRedo}
             canUndo={canUndo()}
             canRedo={canRedo()}
+            onToggleHistory={() => setShowHistory(!showHistory)}
+            showHistory={showHistory}
             currentFilename={currentFilename}
             isUploading={isUploading}
-          />
+            onParameterChange={handleParameterChange}
+            onScriptErrors={setScriptErrors}
+            onModelRendered={handleModelRendered}
+            comparison={comparison}
+            onCloseComparison={() => setComparison(null)}
+          >
+            {historyPanel}
+          </Viewport>
         </div>
 
         {/* Login Modal */}
@@ -620,6 +778,8 @@ const App = () => {
           <QuoteModal
             onClose={handleQuoteClose}
             onGetQuote={handleGetQuote}
+            onFindOrientations={handleFindOrientations}
+            onFindThinWalls={handleFindThinWalls}
             onOrder={handleStartOrder}
             currentScript={currentScript}
             currentFilename={currentFilename}
@@ -653,6 +813,14 @@ const App = () => {
             </div>
           </div>
         )}
+        
+        {importReport && (
+          <ImportReport
+            filename={importReport.filename}
+            report={importReport.report}
+            onClose={() => setImportReport(null)}
+          />
+        )}
       </div>
   );
 };
@@ -1,16 +1,69 @@
 import React, { useState, useRef, useEffect, forwardRef, useImperativeHandle } from 'react';
-import Editor from '@monaco-editor/react';
+import Editor, { DiffEditor } from '@monaco-editor/react';
+import { GitCompare, X } from 'lucide-react';
+import ModuleTabs from './ModuleTabs';
+import ErrorList from './ErrorList';
+import { listModules, getModule, saveModule, deleteModule, createModuleTemplate } from '../utils/scriptModules';
+
+// Delay before a module edit re-runs the main script
+const MODULE_CHANGE_DEBOUNCE_MS = 500;
+
+// Owner id for the markers of script errors
+const MARKER_OWNER = 'surfcad';
+
+// Module shown by a Monaco model: null for the main script, undefined for other models
+const getModelModule = (model) => {
+  if (model.uri.path === '/script.js') return null;
+  const match = /^\/modules\/(.+)\.js$/.exec(model.uri.path);
+  return match ? match[1] : undefined;
+};
+
+/**
+ * Convert a script error to a Monaco marker
+ * Without a column the whole line is marked, otherwise the range or the word at the column.
+ */
+const toMarker = (error, model, monaco) => {
+  const line = Math.min(error.line, model.getLineCount());
+  const column = error.column || model.getLineFirstNonWhitespaceColumn(line) || 1;
+  const word = error.column && !error.endColumn
+    ? model.getWordAtPosition({ lineNumber: line, column })
+    : null;
+  const endLine = error.endColumn && error.endLine > line
+    ? Math.min(error.endLine, model.getLineCount())
+    : line;
+  const endColumn = error.endColumn || word?.endColumn ||
+    (error.column ? column + 1 : model.getLineMaxColumn(line));
+
+  return {
+    severity: monaco.MarkerSeverity.Error,
+    message: error.message,
+    startLineNumber: line,
+    startColumn: column,
+    endLineNumber: endLine,
+    endColumn: endLine > line ? endColumn : Math.max(endColumn, column + 1)
+  };
+};
 
 const CodeEditor = forwardRef(({ 
   initialScript,
   onExecute, 
   onCodeChange,
-  isMobile
+  onModulesChange,
+  errors = [],
+  isMobile,
+  comparison,
+  onCloseComparison
 }, ref) => {
   const [editorValue, setEditorValue] = useState(initialScript);
+  const [modules, setModules] = useState(() => listModules());
+  const [activeModule, setActiveModule] = useState(null);
+  const [moduleValue, setModuleValue] = useState('');
+  const [revealRequest, setRevealRequest] = useState(null);
   const editorRef = useRef(null);
+  const monacoRef = useRef(null);
   const valueRef = useRef(initialScript);
   const historyTimeoutRef = useRef(null);
+  const moduleTimeoutRef = useRef(null);
   const programmaticValueRef = useRef(null);
 
   // Expose methods to parent via ref
@@ -24,6 +77,9 @@ const CodeEditor = forwardRef(({
         historyTimeoutRef.current = null;
       }
       
+      // Loaded content is always the main script
+      setActiveModule(null);
+      
       // Mark this value as programmatic so handleEditorChange ignores it
       programmaticValueRef.current = content;
       
@@ -40,19 +96,64 @@ const CodeEditor = forwardRef(({
     }
   }));
 
+  // Module edits are saved straight to the library and re-run the main script
+  const handleModuleChange = (newValue) => {
+    setModuleValue(newValue);
+    saveModule(activeModule, newValue);
+
+    if (moduleTimeoutRef.current) {
+      clearTimeout(moduleTimeoutRef.current);
+    }
+    moduleTimeoutRef.current = setTimeout(() => {
+      moduleTimeoutRef.current = null;
+      onModulesChange?.();
+    }, MODULE_CHANGE_DEBOUNCE_MS);
+  };
+
+  const handleSelectModule = (name) => {
+    if (name !== null) {
+      setModuleValue(getModule(name) ?? '');
+    }
+    setActiveModule(name);
+  };
+
+  const handleCreateModule = (name) => {
+    if (getModule(name) === null) {
+      saveModule(name, createModuleTemplate(name));
+      setModules(listModules());
+    }
+    handleSelectModule(name);
+  };
+
+  const handleDeleteModule = (name) => {
+    if (!window.confirm(`Delete module '${name}'? Scripts that use it will stop working.`)) return;
+
+    deleteModule(name);
+    setModules(listModules());
+    setActiveModule(null);
+    onModulesChange?.();
+  };
+
   const handleEditorChange = (newValue) => {
+    if (activeModule !== null) {
+      handleModuleChange(newValue);
+      return;
+    }
+
     // Always sync state and ref
     valueRef.current = newValue;
     setEditorValue(newValue);
-    onExecute(newValue);
     
-    // If this change came from loadContent, skip history handling
+    // If this change came from loadContent, it's already running; skip history handling
     if (programmaticValueRef.current === newValue) {
       programmaticValueRef.current = null;
       return;
     }
     programmaticValueRef.current = null;
     
+    // Re-run once typing pauses (debounced by the parent)
+    onExecute(newValue);
+    
     // Debounced history for manual edits
     if (historyTimeoutRef.current) {
       clearTimeout(historyTimeoutRef.current);
@@ -64,8 +165,20 @@ const CodeEditor = forwardRef(({
     }, 1000);
   };
 
-  const editorDidMount = (editor) => {
+  // Jump to an error, switching to its module tab first if needed
+  const handleSelectError = (error) => {
+    const module = error.module || null;
+    if (module !== null && !modules.some(m => m.name === module)) return;
+
+    setRevealRequest(error);
+    if (module !== activeModule) {
+      handleSelectModule(module);
+    }
+  };
+
+  const editorDidMount = (editor, monaco) => {
     editorRef.current = editor;
+    monacoRef.current = monaco;
     editor.focus();
     
     // Execute initial script and add to history
@@ -74,11 +187,41 @@ const CodeEditor = forwardRef(({
     onCodeChange?.(valueRef.current, 'Initial script');
   };
 
+  // Show script errors as markers on the script and module models
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!monaco) return;
+
+    for (const model of monaco.editor.getModels()) {
+      const module = getModelModule(model);
+      if (module === undefined) continue;
+
+      const markers = errors
+        .filter(error => (error.module || null) === module && error.line)
+        .map(error => toMarker(error, model, monaco));
+      monaco.editor.setModelMarkers(model, MARKER_OWNER, markers);
+    }
+  }, [errors, activeModule]);
+
+  // Reveal a selected error once its tab is showing
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!revealRequest || !editor || (revealRequest.module || null) !== activeModule) return;
+
+    editor.revealLineInCenter(revealRequest.line);
+    editor.setPosition({ lineNumber: revealRequest.line, column: revealRequest.column || 1 });
+    editor.focus();
+    setRevealRequest(null);
+  }, [revealRequest, activeModule]);
+
   useEffect(() => {
     return () => {
       if (historyTimeoutRef.current) {
         clearTimeout(historyTimeoutRef.current);
       }
+      if (moduleTimeoutRef.current) {
+        clearTimeout(moduleTimeoutRef.current);
+      }
     };
   }, []);
 
@@ -97,18 +240,63 @@ const CodeEditor = forwardRef(({
 
   return (
     <div className="relative flex flex-col h-full bg-gray-900">
+      <ModuleTabs
+        modules={modules}
+        activeModule={activeModule}
+        onSelect={handleSelectModule}
+        onCreate={handleCreateModule}
+        onDelete={handleDeleteModule}
+      />
       <div className="flex-1 min-h-0">
         <Editor
           width="100%"
           height="100%"
           language="javascript"
           theme="vs-dark"
-          value={editorValue}
+          path={activeModule !== null ? `modules/${activeModule}.js` : 'script.js'}
+          value={activeModule !== null ? moduleValue : editorValue}
           options={options}
           onChange={handleEditorChange}
           onMount={editorDidMount}
         />
       </div>
+      <ErrorList errors={errors} onSelect={handleSelectError} />
+
+      {/* Read-only code diff of a comparison, over the editor so it stays mounted */}
+      {comparison && (
+        <div className="absolute inset-0 z-20 flex flex-col bg-gray-900">
+          <div className="flex items-center gap-2 px-3 py-1.5 border-b border-gray-700 text-xs text-gray-300">
+            <GitCompare size={14} className="text-blue-400 flex-shrink-0" />
+            <span className="flex-1 min-w-0 truncate">
+              {comparison.before.label} → {comparison.after.label}
+            </span>
+            <button
+              onClick={onCloseComparison}
+              className="p-1 rounded hover:bg-gray-700 text-gray-400 hover:text-white"
+              title="Stop Comparing"
+            >
+              <X size={14} />
+            </button>
+          </div>
+          <div className="flex-1 min-h-0">
+            <DiffEditor
+              width="100%"
+              height="100%"
+              language="javascript"
+              theme="vs-dark"
+              original={comparison.before.code}
+              modified={comparison.after.code}
+              originalModelPath="compare/before.js"
+              modifiedModelPath="compare/after.js"
+              options={{
+                ...options,
+                readOnly: true,
+                renderSideBySide: !isMobile,
+              }}
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 });
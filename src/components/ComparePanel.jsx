@@ -0,0 +1,98 @@
+// components/ComparePanel.jsx
+import React from 'react';
+import { GitCompare, X } from 'lucide-react';
+import { DIFF_COLORS } from '../utils/diffOverlay';
+
+const AXES = ['X', 'Y', 'Z'];
+
+const formatSigned = (value, digits = 1) =>
+  `${value > 0 ? '+' : value < 0 ? '−' : '±'}${Math.abs(value).toFixed(digits)}`;
+
+// Bounding box size per axis, or null for an empty model
+const boxSize = ({ min, max }) =>
+  min.every(isFinite) ? max.map((value, axis) => value - min[axis]) : null;
+
+const ComparePanel = ({ comparison, result, onClose }) => {
+  if (!comparison) return null;
+
+  const stats = result?.stats;
+  const beforeSize = stats && boxSize(stats.before.boundingBox);
+  const afterSize = stats && boxSize(stats.after.boundingBox);
+
+  return (
+    <div className="bg-white/50 backdrop-blur-sm rounded-lg shadow-lg p-3 w-64">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 text-blue-600">
+          <GitCompare size={20} />
+          <span className="text-xs font-medium text-gray-700">Compare</span>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 rounded hover:bg-gray-100 text-gray-600"
+          title="Stop Comparing"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="text-xs text-gray-700 space-y-0.5 mb-2">
+        <div className="truncate" title={comparison.before.label}>
+          <span className="text-gray-500">Before:</span> {comparison.before.label}
+        </div>
+        <div className="truncate" title={comparison.after.label}>
+          <span className="text-gray-500">After:</span> {comparison.after.label}
+        </div>
+      </div>
+
+      {!result || result.status === 'running' ? (
+        <div className="text-xs text-gray-500">Running both versions...</div>
+      ) : result.status === 'error' ? (
+        <div className="text-xs text-red-600">{result.error}</div>
+      ) : (
+        <div className="space-y-2">
+          {/* Legend */}
+          <div className="text-xs text-gray-700 font-mono space-y-1">
+            {[
+              ['added', 'Added', stats.added],
+              ['removed', 'Removed', stats.removed],
+              ['unchanged', 'Unchanged', stats.unchanged],
+            ].map(([kind, label, volume]) => (
+              <div key={kind} className="flex items-center gap-2">
+                <span className="w-3 h-3 rounded-sm flex-shrink-0" style={{ background: DIFF_COLORS[kind] }} />
+                <span className="flex-1">{label}</span>
+                <span>{volume.toFixed(1)} mm³</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Deltas */}
+          <div className="text-xs text-gray-700 font-mono space-y-1 border-t border-gray-300 pt-2">
+            <div>
+              Volume: {formatSigned(stats.after.volume - stats.before.volume)} mm³
+              {stats.before.volume > 0 && (
+                <span className="text-gray-500">
+                  {' '}({formatSigned((stats.after.volume / stats.before.volume - 1) * 100)}%)
+                </span>
+              )}
+            </div>
+            {beforeSize && afterSize ? (
+              <div>
+                <div>Size (mm):</div>
+                <div className="grid grid-cols-3 gap-1">
+                  {AXES.map((axis, i) => (
+                    <span key={axis}>{axis} {formatSigned(afterSize[i] - beforeSize[i])}</span>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div className="text-gray-500">Size: one version is empty</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -1,6 +1,6 @@
 // components/CrossSectionPanel.jsx
 import React, { useState, useEffect } from 'react';
-import { FlipHorizontal, ChevronDown, ChevronUp, Maximize2, Ruler, Move3d } from 'lucide-react';
+import { FlipHorizontal, ChevronDown, ChevronUp, Maximize2, Ruler, Move3d, Umbrella, Gauge } from 'lucide-react';
 import { PLANE_PRESETS } from '../utils/crossSection';
 
 const CrossSectionPanel = ({ 
@@ -12,7 +12,11 @@ const CrossSectionPanel = ({
   measurementEnabled,
   onMeasurementToggle,
   axisHelperEnabled,
-  onAxisHelperToggle
+  onAxisHelperToggle,
+  overhangEnabled,
+  onOverhangToggle,
+  thicknessEnabled,
+  onThicknessToggle
 }) => {
   const [isCollapsed, setIsCollapsed] = useState(true);
   const [planeType, setPlaneType] = useState('XY');
@@ -179,6 +183,20 @@ const handleButtonClick = () => {
         >
           <Ruler size={20} />
         </button>
+        <button
+          onClick={onOverhangToggle}
+          className={`p-2 rounded ${overhangEnabled ? 'text-green-600 bg-green-100' : 'text-blue-600'} hover:bg-gray-100`}
+          title={overhangEnabled ? 'Disable Overhang Analysis' : 'Enable Overhang Analysis'}
+        >
+          <Umbrella size={20} />
+        </button>
+        <button
+          onClick={onThicknessToggle}
+          className={`p-2 rounded ${thicknessEnabled ? 'text-green-600 bg-green-100' : 'text-blue-600'} hover:bg-gray-100`}
+          title={thicknessEnabled ? 'Disable Wall Thickness' : 'Enable Wall Thickness'}
+        >
+          <Gauge size={20} />
+        </button>
         <button
           onClick={handleButtonClick}
           className={`p-2 rounded ${enabled ? 'text-green-600' : 'text-blue-600'} hover:bg-gray-100`}
@@ -224,6 +242,20 @@ const handleButtonClick = () => {
         >
           <Ruler size={20} />
         </button>
+        <button
+          onClick={onOverhangToggle}
+          className={`p-2 rounded ${overhangEnabled ? 'text-green-600 bg-green-100' : 'text-blue-600'} hover:bg-gray-100`}
+          title={overhangEnabled ? 'Disable Overhang Analysis' : 'Enable Overhang Analysis'}
+        >
+          <Umbrella size={20} />
+        </button>
+        <button
+          onClick={onThicknessToggle}
+          className={`p-2 rounded ${thicknessEnabled ? 'text-green-600 bg-green-100' : 'text-blue-600'} hover:bg-gray-100`}
+          title={thicknessEnabled ? 'Disable Wall Thickness' : 'Enable Wall Thickness'}
+        >
+          <Gauge size={20} />
+        </button>
         <button
           onClick={handleButtonClick}
           className="p-2 rounded text-green-600 hover:bg-gray-100"
@@ -0,0 +1,166 @@
+// components/CustomizerPanel.jsx
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronUp } from 'lucide-react';
+import { extractParameters } from '../utils/scriptParameters';
+
+// Delay before a slider change is written back and re-executed
+const CHANGE_DEBOUNCE_MS = 150;
+
+const CustomizerPanel = ({ script, onParameterChange }) => {
+  const [isCollapsed, setIsCollapsed] = useState(true);
+  const [draftValues, setDraftValues] = useState({});
+  // Pending write-backs, one per parameter so changes to different
+  // parameters in quick succession don't cancel each other
+  const changeTimersRef = useRef(new Map());
+
+  const parameters = useMemo(() => extractParameters(script), [script]);
+
+  // Drop local drafts once the script reflects the written-back values;
+  // drafts still waiting to be written back are kept
+  useEffect(() => {
+    const timers = changeTimersRef.current;
+    setDraftValues(prev => Object.fromEntries(
+      Object.entries(prev).filter(([name]) => timers.has(name))
+    ));
+  }, [script]);
+
+  useEffect(() => {
+    const timers = changeTimersRef.current;
+    return () => {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    };
+  }, []);
+
+  if (parameters.length === 0) return null;
+
+  const getValue = (param) =>
+    param.name in draftValues ? draftValues[param.name] : param.value;
+
+  const handleChange = (param, value, immediate = false) => {
+    setDraftValues(prev => ({ ...prev, [param.name]: value }));
+
+    const timers = changeTimersRef.current;
+    clearTimeout(timers.get(param.name));
+    timers.delete(param.name);
+
+    if (immediate) {
+      onParameterChange?.(param, value);
+      return;
+    }
+
+    timers.set(param.name, setTimeout(() => {
+      timers.delete(param.name);
+      onParameterChange?.(param, value);
+    }, CHANGE_DEBOUNCE_MS));
+  };
+
+  const renderControl = (param) => {
+    const value = getValue(param);
+
+    switch (param.type) {
+      case 'boolean':
+        return (
+          <label className="flex items-center gap-2 text-xs text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={value}
+              onChange={(e) => handleChange(param, e.target.checked, true)}
+              className="accent-blue-500"
+            />
+            {param.label}
+          </label>
+        );
+
+      case 'enum':
+        return (
+          <>
+            <label className="block text-xs font-medium text-gray-700 mb-1">
+              {param.label}
+            </label>
+            <select
+              value={String(value)}
+              onChange={(e) => {
+                const option = param.options.find(o => String(o) === e.target.value);
+                handleChange(param, option, true);
+              }}
+              className="w-full border border-gray-300 rounded px-2 py-1 text-xs bg-white text-gray-700"
+            >
+              {param.options.map(option => (
+                <option key={String(option)} value={String(option)}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </>
+        );
+
+      case 'number':
+      default:
+        return (
+          <>
+            <label className="block text-xs font-medium text-gray-700 mb-1">
+              {param.label}: {value}
+            </label>
+            <input
+              type="range"
+              min={param.min}
+              max={param.max}
+              step={param.step}
+              value={value}
+              onChange={(e) => handleChange(param, parseFloat(e.target.value))}
+              className="w-full h-2 bg-gray-300 rounded-lg appearance-none cursor-pointer accent-blue-500"
+            />
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+              <span>{param.min}</span>
+              <span>{param.max}</span>
+            </div>
+          </>
+        );
+    }
+  };
+
+  if (isCollapsed) {
+    return (
+      <div className="flex gap-2 bg-white/60 backdrop-blur-sm p-2 rounded-lg shadow-lg">
+        <button
+          onClick={() => setIsCollapsed(false)}
+          className="p-2 flex items-center gap-1 rounded text-blue-600 hover:bg-gray-100"
+          title="Show Parameters"
+        >
+          <SlidersHorizontal size={20} />
+          <ChevronDown size={16} />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white/50 backdrop-blur-sm rounded-lg shadow-lg p-3 w-64 max-h-[50vh] overflow-y-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2 text-blue-600">
+          <SlidersHorizontal size={20} />
+          <span className="text-xs font-medium text-gray-700">Parameters</span>
+        </div>
+        <button
+          onClick={() => setIsCollapsed(true)}
+          className="p-2 rounded hover:bg-gray-100 text-gray-600"
+          title="Hide Parameters"
+        >
+          <ChevronUp size={20} />
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {parameters.map(param => (
+          <div key={param.name} title={param.name}>
+            {renderControl(param)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CustomizerPanel;
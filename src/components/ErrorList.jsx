@@ -0,0 +1,54 @@
+// components/ErrorList.jsx
+import React, { useState } from 'react';
+import { AlertCircle, ChevronDown, ChevronUp } from 'lucide-react';
+
+// Where an error is, as shown next to its message
+const describeLocation = (error) => {
+  const parts = [];
+  if (error.module) parts.push(error.module);
+  if (error.line) parts.push(error.column ? `Ln ${error.line}, Col ${error.column}` : `Ln ${error.line}`);
+  return parts.join(' · ');
+};
+
+const ErrorList = ({ errors, onSelect }) => {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+
+  if (!errors || errors.length === 0) return null;
+
+  return (
+    <div className="border-t border-gray-700 bg-gray-900 text-xs">
+      <button
+        onClick={() => setIsCollapsed(!isCollapsed)}
+        className="w-full flex items-center justify-between px-3 py-1 text-gray-300 hover:bg-gray-800"
+        title={isCollapsed ? 'Show problems' : 'Hide problems'}
+      >
+        <span className="flex items-center gap-1">
+          <AlertCircle size={14} className="text-red-400" />
+          Problems ({errors.length})
+        </span>
+        {isCollapsed ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+      </button>
+
+      {!isCollapsed && (
+        <div className="max-h-24 overflow-y-auto pb-1">
+          {errors.map((error, i) => (
+            <button
+              key={i}
+              onClick={() => onSelect?.(error)}
+              disabled={!error.line}
+              className={`w-full flex items-start gap-2 px-3 py-0.5 text-left ${
+                error.line ? 'hover:bg-gray-800 cursor-pointer' : 'cursor-default'
+              }`}
+              title={error.line ? 'Go to error' : undefined}
+            >
+              <span className="flex-1 text-red-300 break-words">{error.message}</span>
+              <span className="text-gray-500 whitespace-nowrap">{describeLocation(error)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ErrorList;
@@ -0,0 +1,55 @@
+// components/ExecutionProgress.jsx
+import React, { useEffect, useState } from 'react';
+import { Loader2, Square } from 'lucide-react';
+
+// Quick runs finish before the bar would appear, so it doesn't flash while typing
+const SHOW_DELAY_MS = 400;
+
+const ExecutionProgress = ({ isExecuting, progress, onCancel }) => {
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    if (!isExecuting) {
+      setVisible(false);
+      return;
+    }
+    const timeoutId = setTimeout(() => setVisible(true), SHOW_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [isExecuting]);
+
+  if (!isExecuting || !visible) return null;
+
+  const percent = progress ? Math.round(progress.fraction * 100) : null;
+
+  return (
+    <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-black/70 backdrop-blur-sm text-white rounded-lg shadow-lg px-3 py-2 w-72 z-20">
+      <div className="flex items-center gap-2 text-xs mb-1.5">
+        <Loader2 size={14} className="animate-spin flex-shrink-0" />
+        <span className="flex-1 truncate">
+          {progress?.label || 'Running script'}
+          {percent !== null && <span className="text-gray-300 font-mono"> {percent}%</span>}
+        </span>
+        <button
+          onClick={onCancel}
+          className="flex items-center gap-1 px-2 py-0.5 rounded bg-red-600 hover:bg-red-700 font-medium"
+          title="Stop the script"
+        >
+          <Square size={10} fill="currentColor" />
+          Cancel
+        </button>
+      </div>
+      <div className="h-1.5 rounded bg-gray-700 overflow-hidden">
+        {percent !== null ? (
+          <div
+            className="h-full bg-blue-500 transition-all duration-100"
+            style={{ width: `${percent}%` }}
+          />
+        ) : (
+          <div className="h-full w-1/3 bg-blue-500 animate-pulse" />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExecutionProgress;
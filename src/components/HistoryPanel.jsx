@@ -0,0 +1,213 @@
+// components/HistoryPanel.jsx
+import React, { useState } from 'react';
+import { History, GitBranch, GitCompare, Box, X } from 'lucide-react';
+import { getCurrentBranch, compareBranches, nextBranchName } from '../utils/designHistory';
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) return time;
+  return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+};
+
+const Thumbnail = ({ src }) => (
+  src ? (
+    <img src={src} alt="" className="w-10 h-10 rounded border border-gray-300 object-cover flex-shrink-0 bg-gray-900" />
+  ) : (
+    <div className="w-10 h-10 rounded border border-gray-300 flex items-center justify-center flex-shrink-0 bg-gray-100 text-gray-400">
+      <Box size={16} />
+    </div>
+  )
+);
+
+const CommitRow = ({ commit, thumbnail, isHead, onSelect, onBranch, onCompare }) => (
+  <div
+    className={`group flex items-center gap-2 rounded px-1.5 py-1 ${
+      isHead ? 'bg-blue-100/80' : 'hover:bg-gray-100/70'
+    }`}
+  >
+    <Thumbnail src={thumbnail} />
+    <button
+      onClick={onSelect}
+      disabled={!onSelect}
+      className="flex-1 min-w-0 text-left disabled:cursor-default"
+      title={onSelect ? 'Load this version' : commit.message}
+    >
+      <div className="text-xs text-gray-800 line-clamp-2 break-words">{commit.message}</div>
+      <div className="text-[10px] text-gray-500">{formatTime(commit.timestamp)}</div>
+    </button>
+    {onCompare && !isHead && (
+      <button
+        onClick={onCompare}
+        className="p-1 rounded text-gray-500 hover:bg-gray-200 opacity-0 group-hover:opacity-100"
+        title="Compare with the current version"
+      >
+        <GitCompare size={14} />
+      </button>
+    )}
+    {onBranch && (
+      <button
+        onClick={onBranch}
+        className="p-1 rounded text-gray-500 hover:bg-gray-200 opacity-0 group-hover:opacity-100"
+        title="New branch from this version"
+      >
+        <GitBranch size={14} />
+      </button>
+    )}
+  </div>
+);
+
+const HistoryPanel = ({ history, onCheckout, onSwitchBranch, onCreateBranch, onCompare, onClose }) => {
+  const [compareWith, setCompareWith] = useState('');
+
+  const branch = getCurrentBranch(history);
+  const branchNames = Object.keys(history.branches);
+  const otherBranches = branchNames.filter(name => name !== history.currentBranch);
+  const comparison = compareWith && history.branches[compareWith]
+    ? compareBranches(history, history.currentBranch, compareWith)
+    : null;
+
+  const handleBranch = (index) => {
+    const name = window.prompt('Name for the new branch', nextBranchName(history, history.currentBranch));
+    if (name === null) return;
+
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (history.branches[trimmed]) {
+      window.alert(`A branch named '${trimmed}' already exists`);
+      return;
+    }
+    onCreateBranch(trimmed, history.currentBranch, index);
+  };
+
+  return (
+    <div className="absolute top-20 right-2 lg:right-4 bg-white/60 backdrop-blur-sm rounded-lg shadow-lg p-3 w-72 max-h-[60vh] flex flex-col z-10">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 text-blue-600">
+          <History size={20} />
+          <span className="text-xs font-medium text-gray-700">History</span>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded hover:bg-gray-100 text-gray-600"
+          title="Hide History"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {/* Branch selection */}
+      <div className="space-y-1.5 mb-2">
+        <label className="flex items-center gap-2 text-xs text-gray-700">
+          <GitBranch size={14} className="text-gray-500 flex-shrink-0" />
+          <select
+            value={history.currentBranch}
+            onChange={(e) => {
+              setCompareWith('');
+              onSwitchBranch(e.target.value);
+            }}
+            className="flex-1 min-w-0 bg-white/80 border border-gray-300 rounded px-1.5 py-0.5"
+          >
+            {branchNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        {otherBranches.length > 0 && (
+          <label className="flex items-center gap-2 text-xs text-gray-700">
+            <GitCompare size={14} className="text-gray-500 flex-shrink-0" />
+            <select
+              value={compareWith}
+              onChange={(e) => setCompareWith(e.target.value)}
+              className="flex-1 min-w-0 bg-white/80 border border-gray-300 rounded px-1.5 py-0.5"
+            >
+              <option value="">Compare with…</option>
+              {otherBranches.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        {branch.parent && (
+          <div className="text-[10px] text-gray-500">
+            Branched from {branch.parent.branch}
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-y-auto space-y-1">
+        {comparison ? (
+          <>
+            <div className="text-[10px] text-gray-500">
+              {comparison.base
+                ? `Both branches share history up to "${comparison.base.message}"`
+                : 'The branches share no history'}
+            </div>
+            {[
+              { name: history.currentBranch, commits: comparison.onlyA, current: true },
+              { name: compareWith, commits: comparison.onlyB, current: false }
+            ].map(side => (
+              <div key={side.name}>
+                <div className="flex items-center justify-between text-xs font-medium text-gray-700 mt-2 mb-1">
+                  <span className="truncate">Only on {side.name} ({side.commits.length})</span>
+                  {!side.current && (
+                    <span className="flex gap-2 flex-shrink-0">
+                      <button
+                        onClick={() => {
+                          const other = history.branches[side.name];
+                          onCompare(other.commits[other.head], side.name);
+                        }}
+                        className="text-[10px] text-blue-600 hover:underline"
+                        title={`Compare the models of ${side.name} and ${history.currentBranch}`}
+                      >
+                        Compare models
+                      </button>
+                      <button
+                        onClick={() => {
+                          setCompareWith('');
+                          onSwitchBranch(side.name);
+                        }}
+                        className="text-[10px] text-blue-600 hover:underline"
+                      >
+                        Switch
+                      </button>
+                    </span>
+                  )}
+                </div>
+                {side.commits.length === 0 && (
+                  <div className="text-[10px] text-gray-500">No other versions</div>
+                )}
+                {[...side.commits].reverse().map(commit => (
+                  <CommitRow
+                    key={commit.id}
+                    commit={commit}
+                    thumbnail={history.thumbnails[commit.id]}
+                    isHead={side.current && branch.commits[branch.head]?.id === commit.id}
+                  />
+                ))}
+              </div>
+            ))}
+          </>
+        ) : (
+          branch.commits
+            .map((commit, index) => ({ commit, index }))
+            .reverse()
+            .map(({ commit, index }) => (
+              <CommitRow
+                key={commit.id}
+                commit={commit}
+                thumbnail={history.thumbnails[commit.id]}
+                isHead={index === branch.head}
+                onSelect={() => onCheckout(index)}
+                onBranch={() => handleBranch(index)}
+                onCompare={() => onCompare(commit)}
+              />
+            ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,60 @@
+// components/ImportReport.jsx
+import React from 'react';
+import { Wrench, X } from 'lucide-react';
+import { hasRepairs, hasUnresolvedProblems } from '../../shared/meshRepair.js';
+
+// How each repair is described, in pipeline order
+const REPAIR_LABELS = [
+  ['weldedVertices', 'duplicate vertices welded'],
+  ['degenerateTriangles', 'degenerate triangles removed'],
+  ['duplicateTriangles', 'duplicate triangles removed'],
+  ['flippedTriangles', 'triangles with inconsistent winding flipped'],
+  ['invertedShells', 'inside-out shells turned outward'],
+  ['holesFilled', 'holes filled'],
+  ['mergedShells', 'overlapping shells merged'],
+  ['resolvedIntersections', 'self-intersecting triangles trimmed'],
+];
+
+const ImportReport = ({ filename, report, onClose }) => {
+  const repaired = hasRepairs(report);
+  if (!repaired && !hasUnresolvedProblems(report)) return null;
+
+  return (
+    <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-blue-900/90 text-white px-4 py-3 rounded shadow-lg z-50 max-w-md text-sm">
+      <div className="flex items-start gap-2">
+        <Wrench size={16} className="mt-0.5 flex-shrink-0" />
+        <div className="flex-1">
+          <div className="font-medium mb-1">
+            {repaired ? `Repaired ${filename}` : `Problems found in ${filename}`}
+          </div>
+          <ul className="text-xs text-blue-100 space-y-0.5">
+            {REPAIR_LABELS
+              .filter(([key]) => report[key] > 0)
+              .map(([key, label]) => (
+                <li key={key}>{report[key]} {label}</li>
+              ))}
+          </ul>
+          {report.holesSkipped > 0 && (
+            <div className="text-xs text-yellow-300 mt-1">
+              {report.holesSkipped} hole(s) were too large or complex to fill
+            </div>
+          )}
+          {report.selfIntersections > 0 && (
+            <div className="text-xs text-yellow-300 mt-1">
+              {report.selfIntersections} triangles cut through other parts of the mesh and could not be trimmed
+            </div>
+          )}
+          <div className="text-xs text-blue-200 mt-1">Check the model before ordering.</div>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-blue-200 hover:text-white"
+        >
+          <X size={14} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReport;
@@ -0,0 +1,99 @@
+// components/ModuleTabs.jsx
+import React, { useState } from 'react';
+import { FileCode, Package, Plus, X } from 'lucide-react';
+import { isValidModuleName } from '../utils/scriptModules';
+
+const tabClass = (isActive) =>
+  `flex items-center gap-1 px-3 py-1.5 text-xs whitespace-nowrap border-r border-gray-700 ${
+    isActive ? 'bg-[#1e1e1e] text-white' : 'text-gray-400 hover:text-white hover:bg-gray-800'
+  }`;
+
+const ModuleTabs = ({ modules, activeModule, onSelect, onCreate, onDelete }) => {
+  const [isNaming, setIsNaming] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [nameError, setNameError] = useState(null);
+
+  const resetNaming = () => {
+    setIsNaming(false);
+    setNewName('');
+    setNameError(null);
+  };
+
+  const handleCreate = () => {
+    const name = newName.trim();
+    if (!isValidModuleName(name)) {
+      setNameError('Use letters, digits, _ and -');
+      return;
+    }
+    onCreate?.(name);
+    resetNaming();
+  };
+
+  return (
+    <div className="flex items-stretch bg-gray-900 border-b border-gray-700 overflow-x-auto">
+      <button
+        onClick={() => onSelect?.(null)}
+        className={tabClass(activeModule === null)}
+        title="Main script"
+      >
+        <FileCode size={14} />
+        Script
+      </button>
+
+      {modules.map(module => (
+        <div key={module.name} className={tabClass(activeModule === module.name)}>
+          <button
+            onClick={() => onSelect?.(module.name)}
+            className="flex items-center gap-1"
+            title={`Module '${module.name}', load with use('${module.name}')`}
+          >
+            <Package size={14} />
+            {module.name}
+          </button>
+          {activeModule === module.name && (
+            <button
+              onClick={() => onDelete?.(module.name)}
+              className="ml-1 p-0.5 rounded text-gray-400 hover:text-white hover:bg-gray-700"
+              title="Delete module"
+            >
+              <X size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {isNaming ? (
+        <div className="flex items-center gap-1 px-2">
+          <input
+            autoFocus
+            value={newName}
+            onChange={(e) => {
+              setNewName(e.target.value);
+              setNameError(null);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleCreate();
+              if (e.key === 'Escape') resetNaming();
+            }}
+            onBlur={() => !newName.trim() && resetNaming()}
+            placeholder="module name"
+            className={`w-28 bg-[#1e1e1e] text-white text-xs px-2 py-1 rounded border ${
+              nameError ? 'border-red-500' : 'border-gray-600'
+            } focus:outline-none`}
+            title={nameError || 'Enter to create, Escape to cancel'}
+          />
+        </div>
+      ) : (
+        <button
+          onClick={() => setIsNaming(true)}
+          className="px-2 text-gray-400 hover:text-white hover:bg-gray-800"
+          title="New module"
+        >
+          <Plus size={14} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ModuleTabs;
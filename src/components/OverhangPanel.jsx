@@ -0,0 +1,80 @@
+// components/OverhangPanel.jsx
+import React from 'react';
+import { Umbrella, X } from 'lucide-react';
+import { BUILD_DIRECTIONS } from '../utils/overhangAnalysis';
+
+const OverhangPanel = ({ enabled, settings, analysis, onSettingsChange, onClose }) => {
+  if (!enabled) return null;
+
+  return (
+    <div className="bg-white/50 backdrop-blur-sm rounded-lg shadow-lg p-3 w-64">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 text-blue-600">
+          <Umbrella size={20} />
+          <span className="text-xs font-medium text-gray-700">Overhang Analysis</span>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 rounded hover:bg-gray-100 text-gray-600"
+          title="Disable Overhang Analysis"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {/* Build Direction */}
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-2">
+            Build Direction
+          </label>
+          <div className="grid grid-cols-3 gap-2">
+            {Object.keys(BUILD_DIRECTIONS).map(key => (
+              <button
+                key={key}
+                onClick={() => onSettingsChange({ ...settings, direction: key })}
+                className={`px-3 py-1 rounded text-xs font-medium transition-colors ${
+                  settings.direction === key
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                {key}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Threshold Slider */}
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-2">
+            Overhang Threshold: {settings.threshold}°
+          </label>
+          <input
+            type="range"
+            min="20"
+            max="80"
+            step="5"
+            value={settings.threshold}
+            onChange={(e) => onSettingsChange({ ...settings, threshold: parseInt(e.target.value) })}
+            className="w-full h-2 bg-gray-300 rounded-lg appearance-none cursor-pointer accent-blue-500"
+          />
+        </div>
+
+        {/* Summary */}
+        {analysis && (
+          <div className="text-xs text-gray-700 font-mono space-y-1">
+            <div>Overhang area: {analysis.overhangArea.toFixed(1)} mm²</div>
+            <div>Support volume: {analysis.supportVolume.toFixed(1)} mm³</div>
+            <div className="text-gray-500 font-sans">
+              Quotes include this support estimate while analysis is on.
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OverhangPanel;
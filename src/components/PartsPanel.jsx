@@ -0,0 +1,86 @@
+// components/PartsPanel.jsx
+import React, { useState } from 'react';
+import { Layers, ChevronDown, ChevronUp, Eye, EyeOff } from 'lucide-react';
+
+// Swatch shown for parts without an explicit color (rendered with normal shading)
+const DEFAULT_SWATCH = 'linear-gradient(135deg, #8080ff, #80ff80, #ff8080)';
+
+const PartsPanel = ({ parts, hiddenParts, selectedPart, onToggleVisibility, onSelectPart }) => {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+
+  // A single part needs no list
+  if (!parts || parts.length < 2) return null;
+
+  if (isCollapsed) {
+    return (
+      <div className="flex gap-2 bg-white/60 backdrop-blur-sm p-2 rounded-lg shadow-lg">
+        <button
+          onClick={() => setIsCollapsed(false)}
+          className="p-2 flex items-center gap-1 rounded text-blue-600 hover:bg-gray-100"
+          title="Show Parts"
+        >
+          <Layers size={20} />
+          <ChevronDown size={16} />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white/50 backdrop-blur-sm rounded-lg shadow-lg p-3 w-64 max-h-[30vh] overflow-y-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 text-blue-600">
+          <Layers size={20} />
+          <span className="text-xs font-medium text-gray-700">Parts ({parts.length})</span>
+        </div>
+        <button
+          onClick={() => setIsCollapsed(true)}
+          className="p-2 rounded hover:bg-gray-100 text-gray-600"
+          title="Hide Parts"
+        >
+          <ChevronUp size={20} />
+        </button>
+      </div>
+
+      <div className="space-y-1">
+        {parts.map(part => {
+          const isHidden = hiddenParts.has(part.name);
+          const isSelected = selectedPart === part.name;
+
+          return (
+            <div
+              key={part.name}
+              className={`flex items-center gap-2 rounded px-2 py-1 ${
+                isSelected ? 'bg-yellow-200/70' : 'hover:bg-gray-100/70'
+              }`}
+            >
+              <span
+                className="w-3 h-3 rounded-sm border border-gray-400 flex-shrink-0"
+                style={{ background: part.color || DEFAULT_SWATCH }}
+              />
+              <button
+                onClick={() => onSelectPart?.(part.name)}
+                className={`flex-1 text-left text-xs truncate ${
+                  isHidden ? 'text-gray-400' : 'text-gray-700'
+                }`}
+                title={`Select ${part.name}`}
+              >
+                {part.name}
+              </button>
+              <button
+                onClick={() => onToggleVisibility?.(part.name)}
+                className="p-1 rounded text-gray-600 hover:bg-gray-200"
+                title={isHidden ? 'Show part' : 'Hide part'}
+              >
+                {isHidden ? <EyeOff size={14} /> : <Eye size={14} />}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PartsPanel;
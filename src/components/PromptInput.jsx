@@ -34,10 +34,13 @@ SELECTED FACE CONTEXT:
 The user has selected a face on the 3D model with these properties:
 - Face center position: [${face.center[0].toFixed(2)}, ${face.center[1].toFixed(2)}, ${face.center[2].toFixed(2)}]
 - Face normal (outward direction): [${face.normal[0].toFixed(3)}, ${face.normal[1].toFixed(3)}, ${face.normal[2].toFixed(3)}]
-- Face area: ${face.area.toFixed(2)} square units
+- Face area: ${face.area.toFixed(2)} square units${face.part ? `
+- Part: "${face.part}" (the script returns multiple named parts)` : ''}
 
 When the user references "this face", "the selected face", or "here", they mean this face.
 You can use the face center for positioning new geometry and the normal for orientation.
+To round or bevel the edges around this face, pass it to fillet() or chamfer() as { face: { center, normal } }.
+To emboss or engrave text on this face, use textOnSurface(part, 'TEXT', { center, normal }, { mode: 'emboss' | 'engrave', depth, size }).
 `;
   };
 
@@ -188,7 +191,7 @@ You can choose to modify the existing code or create something completely new ba
               <X size={14} />
             </button>
             <span className="text-xs text-yellow-200">
-              Face selected - try "add a hole" or "add a boss"
+              Face selected - try "add a hole", "add a boss" or "engrave a label"
             </span>
           </div>
         )}
@@ -1,19 +1,101 @@
 import React, { useState, useEffect } from 'react';
-import { X, DollarSign, Clock, Package, ShoppingCart } from 'lucide-react';
-import { PROCESSES } from '../utils/quoting';
+import { X, DollarSign, Clock, Package, ShoppingCart, Layers, Rotate3d, TriangleAlert } from 'lucide-react';
+import { fetchQuoteOptions } from '../utils/quoting';
 import { generate3MFBlob } from '../utils/exportModel';
+import { isIdentityRotation } from '../../shared/orientation.js';
 
-const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilename }) => {
+// Describe a print orientation, e.g. "X 90° · Z 90°"
+const formatRotation = (rotation) => {
+  if (isIdentityRotation(rotation)) return 'As modeled';
+  return ['X', 'Y', 'Z']
+    .map((axis, i) => rotation[i] ? `${axis} ${rotation[i]}°` : null)
+    .filter(Boolean)
+    .join(' · ');
+};
+
+const rotationKey = (rotation) => (rotation || [0, 0, 0]).join(',');
+
+const QuoteModal = ({ onClose, onGetQuote, onFindOrientations, onFindThinWalls, onOrder, currentScript, currentFilename }) => {
+  const [processes, setProcesses] = useState([]);
   const [selectedProcess, setSelectedProcess] = useState('FDM');
-  const [selectedMaterial, setSelectedMaterial] = useState('PLA');
+  const [selectedMaterial, setSelectedMaterial] = useState(null);
   const [infill, setInfill] = useState(20);
+  const [orientations, setOrientations] = useState([]);
+  const [rotation, setRotation] = useState(null);
+  const [thinWalls, setThinWalls] = useState([]);
+  const [thinWallsAccepted, setThinWallsAccepted] = useState(false);
   const [quoteResult, setQuoteResult] = useState(null);
   const [error, setError] = useState(null);
 
-  const currentProcess = PROCESSES[selectedProcess];
+  const currentProcess = processes.find(process => process.code === selectedProcess);
+  const sliceLayerHeight = currentProcess?.sliceLayerHeight ?? null;
+  const buildVolume = currentProcess?.buildVolume;
+  const minWallThickness = currentProcess?.minWallThickness;
+
+  // The model as modeled is always a choice, even when it doesn't rank
+  const orientationChoices = orientations.some(choice => isIdentityRotation(choice.rotation))
+    ? orientations
+    : [{ rotation: null }, ...orientations];
 
-  // Auto-calculate quote when modal opens or options change
+  // Load processes and materials from the catalog
   useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const options = await fetchQuoteOptions();
+        setProcesses(options);
+
+        const initial = options.find(process => process.code === 'FDM' && process.enabled) ||
+          options.find(process => process.enabled);
+        if (initial) {
+          setSelectedProcess(initial.code);
+          setSelectedMaterial(initial.materials[0]?.name ?? null);
+        }
+      } catch (err) {
+        console.error('Materials error:', err);
+        setError(err.message || 'Failed to load materials. Please try again.');
+      }
+    };
+
+    loadOptions();
+  }, []);
+
+  // Rank print orientations for the process' build volume
+  useEffect(() => {
+    if (!buildVolume || !onFindOrientations) return;
+
+    const loadOrientations = async () => {
+      try {
+        setOrientations(await onFindOrientations({ buildVolume, count: 3 }));
+      } catch (err) {
+        console.error('Orientation error:', err);
+        setOrientations([]);
+      }
+    };
+
+    loadOrientations();
+  }, [buildVolume, onFindOrientations]);
+
+  // Warn about walls thinner than the process can print
+  useEffect(() => {
+    if (!minWallThickness || !onFindThinWalls) return;
+
+    const checkWalls = async () => {
+      try {
+        setThinWalls(await onFindThinWalls(minWallThickness));
+      } catch (err) {
+        console.error('Wall thickness error:', err);
+        setThinWalls([]);
+      }
+      setThinWallsAccepted(false);
+    };
+
+    checkWalls();
+  }, [minWallThickness, onFindThinWalls]);
+
+  // Auto-calculate quote when materials are loaded or options change
+  useEffect(() => {
+    if (!selectedMaterial) return;
+
     const getQuote = async () => {
       setError(null);
 
@@ -21,7 +103,9 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
         const result = await onGetQuote({
           process: selectedProcess,
           material: selectedMaterial,
-          infill: infill
+          infill: infill,
+          layerHeight: sliceLayerHeight,
+          rotation
         });
 
         setQuoteResult(result);
@@ -32,18 +116,19 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
     };
 
     getQuote();
-  }, [selectedProcess, selectedMaterial, infill, onGetQuote]);
+  }, [selectedProcess, selectedMaterial, infill, sliceLayerHeight, rotation, onGetQuote]);
 
   const handleProcessChange = (process) => {
-    if (PROCESSES[process].disabled) return;
-    setSelectedProcess(process);
+    if (!process.enabled) return;
+    setSelectedProcess(process.code);
     // Reset to first available material for this process
-    setSelectedMaterial(PROCESSES[process].materials[0]);
+    setSelectedMaterial(process.materials[0]?.name ?? null);
   };
 
   // Handle order button click
   const handleOrder = async () => {
     if (!quoteResult || !onOrder) return;
+    if (thinWalls.length > 0 && !thinWallsAccepted) return;
 
     let name;
     if (currentFilename) {
@@ -66,6 +151,8 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
       machineCost: quoteResult.costs.machine,
       subtotal: quoteResult.costs.total,
       materialGrams: quoteResult.materialUsage.grams,
+      support: quoteResult.support,
+      rotation: quoteResult.rotation,
     };
 
     const modelData = {
@@ -110,24 +197,24 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
             Manufacturing Process
           </label>
           <div className="grid grid-cols-2 gap-3">
-            {Object.entries(PROCESSES).map(([key, process]) => (
+            {processes.map((process) => (
               <button
-                key={key}
-                onClick={() => handleProcessChange(key)}
-                disabled={process.disabled}
+                key={process.code}
+                onClick={() => handleProcessChange(process)}
+                disabled={!process.enabled}
                 className={`p-4 rounded-lg border-2 transition-all text-left ${
-                  selectedProcess === key
+                  selectedProcess === process.code
                     ? 'border-gray bg-gray-700'
                     : 'border-gray-600 bg-gray-800/50 hover:border-gray-500'
                 } ${
-                  process.disabled
+                  !process.enabled
                     ? 'opacity-50 cursor-not-allowed'
                     : 'cursor-pointer'
                 }`}
               >
-                <div className="font-medium text-white">{key}</div>
+                <div className="font-medium text-white">{process.code}</div>
                 <div className="text-xs text-gray-400 mt-1">{process.name}</div>
-                {process.disabled && (
+                {!process.enabled && (
                   <div className="text-xs text-yellow-500 mt-1">Coming Soon</div>
                 )}
               </button>
@@ -136,12 +223,14 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
         </div>
 
           {/* Max Size Info */}
-          <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-700">
-            <div className="text-sm text-gray-300">
-              <span className="font-medium">Maximum Build Size:</span>{' '}
-              {currentProcess.maxSize.x} × {currentProcess.maxSize.y} × {currentProcess.maxSize.z} mm
+          {currentProcess && (
+            <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-700">
+              <div className="text-sm text-gray-300">
+                <span className="font-medium">Maximum Build Size:</span>{' '}
+                {currentProcess.buildVolume.x} × {currentProcess.buildVolume.y} × {currentProcess.buildVolume.z} mm
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Material Selection */}
           <div>
@@ -150,17 +239,17 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
             </label>
             <div className="relative">
               <select
-                value={selectedMaterial}
+                value={selectedMaterial ?? ''}
                 onChange={(e) => setSelectedMaterial(e.target.value)}
                 className="w-full bg-[#1e1e1e] text-white border border-gray-600 rounded-lg px-4 py-3 pr-10 focus:outline-none focus:ring-1 focus:ring-grey focus:border-white appearance-none cursor-pointer"
               >
-                {currentProcess.materials.map((material) => (
+                {currentProcess?.materials.map((material) => (
                   <option 
-                    key={material} 
-                    value={material}
+                    key={material.name} 
+                    value={material.name}
                     className="bg-[#1e1e1e] text-white"
                   >
-                    {material}
+                    {material.displayName}
                   </option>
                 ))}
               </select>
@@ -173,24 +262,82 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
           </div>
 
           {/* Infill Slider */}
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-3">
-              Infill Density: {infill}%
-            </label>
-            <input
-              type="range"
-              min="10"
-              max="100"
-              step="5"
-              value={infill}
-              onChange={(e) => setInfill(parseInt(e.target.value))}
-              className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-blue-500"
-            />
-            <div className="flex justify-between text-xs text-gray-500 mt-1">
-              <span>10% (Faster, Less Strong)</span>
-              <span>100% (Slower, Stronger)</span>
+          {currentProcess?.infill && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-3">
+                Infill Density: {infill}%
+              </label>
+              <input
+                type="range"
+                min="10"
+                max="100"
+                step="5"
+                value={infill}
+                onChange={(e) => setInfill(parseInt(e.target.value))}
+                className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-blue-500"
+              />
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>10% (Faster, Less Strong)</span>
+                <span>100% (Slower, Stronger)</span>
+              </div>
             </div>
-          </div>
+          )}
+
+          {/* Orientation Selection */}
+          {orientations.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-3">
+                Print Orientation
+              </label>
+              <div className="space-y-2">
+                {orientationChoices.map((choice) => (
+                  <button
+                    key={rotationKey(choice.rotation)}
+                    onClick={() => setRotation(isIdentityRotation(choice.rotation) ? null : choice.rotation)}
+                    className={`w-full flex items-center justify-between p-3 rounded-lg border-2 transition-all text-left ${
+                      rotationKey(rotation) === rotationKey(choice.rotation)
+                        ? 'border-gray bg-gray-700'
+                        : 'border-gray-600 bg-gray-800/50 hover:border-gray-500'
+                    }`}
+                  >
+                    <div className="flex items-center gap-2 text-white text-sm">
+                      <Rotate3d size={16} className="text-blue-400" />
+                      <span>{formatRotation(choice.rotation)}</span>
+                      {choice === orientations[0] && (
+                        <span className="text-xs text-green-400">Recommended</span>
+                      )}
+                    </div>
+                    {choice.score !== undefined && (
+                      <div className="text-xs text-gray-400 text-right">
+                        <div>Support: {choice.supportArea.toFixed(0)} mm² · Height: {choice.height.toFixed(1)} mm</div>
+                        {!choice.fits && (
+                          <div className="text-yellow-500">Exceeds build volume</div>
+                        )}
+                      </div>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Printability Warnings */}
+          {thinWalls.length > 0 && (
+            <div className="bg-yellow-900/20 border border-yellow-500/50 rounded-lg p-4 space-y-2">
+              <div className="flex items-center gap-2 text-yellow-400 text-sm font-medium">
+                <TriangleAlert size={18} />
+                Walls thinner than {minWallThickness} mm may not print
+              </div>
+              {thinWalls.map(part => (
+                <div key={part.name} className="text-xs text-gray-300">
+                  {part.name}: {part.thinArea.toFixed(1)} mm² below the minimum, thinnest {part.minFound.toFixed(2)} mm
+                </div>
+              ))}
+              <div className="text-xs text-gray-500">
+                Use the wall thickness view to find them.
+              </div>
+            </div>
+          )}
 
           {/* Error Display */}
           {error && (
@@ -230,6 +377,41 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
                   </span>
                 </div>
 
+                {/* Support Material */}
+                {quoteResult.supportVolume > 0 && (
+                  <div className="flex items-center justify-between text-gray-300">
+                    <div className="flex items-center gap-2">
+                      <Layers size={18} className="text-purple-400" />
+                      <span>Support Material:</span>
+                      {quoteResult.support && (
+                        <span className="text-xs text-gray-500">
+                          (overhang analysis, {quoteResult.support.threshold}°)
+                        </span>
+                      )}
+                    </div>
+                    <span className="font-medium">
+                      {(quoteResult.supportVolume / 1000).toFixed(1)} cm³
+                    </span>
+                  </div>
+                )}
+
+                {/* Per-Part Breakdown */}
+                {quoteResult.parts?.length > 1 && (
+                  <div className="bg-gray-800/50 rounded-lg p-3 border border-gray-700 space-y-1">
+                    <div className="text-xs font-medium text-gray-400 mb-2">
+                      {quoteResult.parts.length} parts, printed separately
+                    </div>
+                    {quoteResult.parts.map((part) => (
+                      <div key={part.name} className="flex justify-between text-xs text-gray-400">
+                        <span className="truncate mr-2">{part.name}</span>
+                        <span className="whitespace-nowrap">
+                          {part.materialGrams.toFixed(1)}g · {part.printTime.toFixed(1)}h · ${part.cost.toFixed(2)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 <div className="border-t border-gray-600 my-4"></div>
 
                 {/* Cost Breakdown */}
@@ -259,10 +441,22 @@ const QuoteModal = ({ onClose, onGetQuote, onOrder, currentScript, currentFilena
                 </div>
 
                 {/* Order Button */}
-                <div className="pt-4">
+                <div className="pt-4 space-y-3">
+                  {thinWalls.length > 0 && (
+                    <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={thinWallsAccepted}
+                        onChange={(e) => setThinWallsAccepted(e.target.checked)}
+                        className="accent-yellow-500"
+                      />
+                      I understand thin walls may fail to print or break
+                    </label>
+                  )}
                   <button
                     onClick={handleOrder}
-                    className="w-full px-6 py-4 bg-green-600 hover:bg-green-700 text-white rounded-lg flex items-center justify-center gap-2 text-lg font-semibold transition-colors"
+                    disabled={thinWalls.length > 0 && !thinWallsAccepted}
+                    className="w-full px-6 py-4 bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg flex items-center justify-center gap-2 text-lg font-semibold transition-colors"
                   >
                     <ShoppingCart size={24} />
                     Order
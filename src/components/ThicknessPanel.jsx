@@ -0,0 +1,74 @@
+// components/ThicknessPanel.jsx
+import React from 'react';
+import { Gauge, X } from 'lucide-react';
+import { WALL_THICKNESS_STEPS } from '../utils/thicknessHeatmap';
+
+const ThicknessPanel = ({ enabled, minThickness, analysis, isAnalyzing, onMinThicknessChange, onClose }) => {
+  if (!enabled) return null;
+
+  return (
+    <div className="bg-white/50 backdrop-blur-sm rounded-lg shadow-lg p-3 w-64">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 text-blue-600">
+          <Gauge size={20} />
+          <span className="text-xs font-medium text-gray-700">Wall Thickness</span>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 rounded hover:bg-gray-100 text-gray-600"
+          title="Disable Wall Thickness"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {/* Minimum Thickness */}
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-2">
+            Minimum Wall
+          </label>
+          <div className="grid grid-cols-4 gap-1">
+            {WALL_THICKNESS_STEPS.map(step => (
+              <button
+                key={step}
+                onClick={() => onMinThicknessChange(step)}
+                className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                  minThickness === step
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                {step}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Legend */}
+        <div>
+          <div className="h-2 rounded bg-gradient-to-r from-red-500 via-yellow-400 to-green-500" />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>&lt; {minThickness} mm</span>
+            <span>≥ {(minThickness * 2).toFixed(1)} mm</span>
+          </div>
+        </div>
+
+        {/* Summary */}
+        {isAnalyzing ? (
+          <div className="text-xs text-gray-500">Measuring walls...</div>
+        ) : analysis && (
+          <div className="text-xs text-gray-700 font-mono space-y-1">
+            <div>Thinnest wall: {isFinite(analysis.minFound) ? `${analysis.minFound.toFixed(2)} mm` : '-'}</div>
+            <div className={analysis.thinArea > 0 ? 'text-red-600' : ''}>
+              Below minimum: {analysis.thinArea.toFixed(1)} mm²
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ThicknessPanel;
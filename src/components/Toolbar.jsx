@@ -1,6 +1,7 @@
 import React, { useRef, useState } from 'react';
-import { FolderOpen, Save, Download, Undo, Redo, ChevronLeft, ChevronRight, Truck, Upload, User } from 'lucide-react';
+import { FolderOpen, Save, Download, Undo, Redo, ChevronLeft, ChevronRight, Truck, Upload, User, History } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
+import { EXPORT_FORMATS } from '../utils/exportModel';
 
 const Toolbar = ({ 
   onAccount,
@@ -13,6 +14,8 @@ const Toolbar = ({
   onRedo,
   canUndo,
   canRedo,
+  onToggleHistory,
+  showHistory,
   isExecuting,
   isDownloading,
   isUploading,
@@ -21,6 +24,7 @@ const Toolbar = ({
   const fileInputRef = useRef(null);
   const uploadModelRef = useRef(null);
   const [isCollapsed, setIsCollapsed] = useState(false);
+  const [showDownloadMenu, setShowDownloadMenu] = useState(false);
 
   const { isAuthenticated } = useAuth();
 
@@ -141,6 +145,15 @@ return (
         <Redo size={20} />
       </button>
 
+      {/* History */}
+      <button
+        onClick={onToggleHistory}
+        className={`p-2 flex items-center gap-2 text-blue-600 rounded ${showHistory ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+        title={showHistory ? 'Hide History' : 'Show History'}
+      >
+        <History size={20} />
+      </button>
+
       <div className="w-px bg-gray-300 mx-1"></div>
 
       {/* Save */}
@@ -153,18 +166,39 @@ return (
       </button>
 
       {/* Download */}
-      <button
-        onClick={onDownload}
-        disabled={isDownloading || isExecuting}
-        className="p-2 rounded hover:bg-gray-100 text-blue-600 disabled:opacity-50"
-        title="Download Model"
-      >
-        {isDownloading ? (
-          <div className="w-5 h-5 border-2 border-blue-600 border-t-transparent rounded-full animate-spin" />
-        ) : (
-          <Download size={20} />
+      <div className="relative" onMouseLeave={() => setShowDownloadMenu(false)}>
+        <button
+          onClick={() => setShowDownloadMenu(!showDownloadMenu)}
+          disabled={isDownloading || isExecuting}
+          className="p-2 rounded hover:bg-gray-100 text-blue-600 disabled:opacity-50"
+          title="Download Model"
+        >
+          {isDownloading ? (
+            <div className="w-5 h-5 border-2 border-blue-600 border-t-transparent rounded-full animate-spin" />
+          ) : (
+            <Download size={20} />
+          )}
+        </button>
+
+        {showDownloadMenu && (
+          <div className="absolute right-0 top-full pt-1 z-20">
+            <div className="bg-white rounded-lg shadow-lg py-1 min-w-[9rem]">
+              {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  onClick={() => {
+                    setShowDownloadMenu(false);
+                    onDownload(format);
+                  }}
+                  className="w-full text-left px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
         )}
-      </button>
+      </div>
 
       <div className="w-px bg-gray-300 mx-1"></div>
 
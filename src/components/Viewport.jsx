@@ -16,21 +16,44 @@ import {
   Vector3,
   Triangle,
   LineSegments,
-  LineBasicMaterial
+  LineBasicMaterial,
+  Group,
+  Box3
 } from 'three';
 import { TrackballControls } from 'three/addons/controls/TrackballControls.js';
 import Toolbar from './Toolbar';
 import CrossSectionPanel from './CrossSectionPanel';
+import CustomizerPanel from './CustomizerPanel';
+import PartsPanel from './PartsPanel';
+import OverhangPanel from './OverhangPanel';
+import ThicknessPanel from './ThicknessPanel';
+import ComparePanel from './ComparePanel';
+import ExecutionProgress from './ExecutionProgress';
 import { X } from 'lucide-react';
 import { downloadModelFromMesh, get3MFBase64FromMesh } from '../utils/exportModel';
 import { parseImportedModels, loadCachedModel } from '../utils/importModel';
-import { calculateQuote } from '../utils/quoting';
+import { calculateQuote, findOrientations, findThinWalls } from '../utils/quoting';
 import { selectFaceByID, selectFaceWithTolerance, selectAllConnected } from '../utils/selectFace';
 import { createCuttingPlaneWidget, updateCuttingPlaneWidget } from '../utils/cuttingPlaneWidget';
 import { AxesHelper } from 'three';
 import { calculateMeasurements, createMeasurementLines, disposeMeasurementLines } from '../utils/measurementTool';
-import { validateScript, formatValidationErrors } from '../utils/scriptValidator';
+import {
+  BUILD_DIRECTIONS,
+  DEFAULT_OVERHANG_THRESHOLD,
+  analyzeOverhangs,
+  createOverhangOverlay,
+  disposeOverhangOverlays
+} from '../utils/overhangAnalysis';
+import {
+  DEFAULT_MIN_WALL_THICKNESS,
+  createThicknessHeatmap,
+  disposeThicknessHeatmaps
+} from '../utils/thicknessHeatmap';
+import { validateScriptWithModules, formatValidationErrors, validationDiagnostics } from '../utils/scriptValidator';
+import { resolveModules } from '../utils/scriptModules';
+import { createDiffOverlay, disposeDiffOverlays } from '../utils/diffOverlay';
 import manifoldContext from '../utils/ManifoldWorker';
+import { toMeshBuffers } from '../../shared/meshBuffers.js';
 
 // Execution limits
 const EXECUTION_LIMITS = {
@@ -38,6 +61,9 @@ const EXECUTION_LIMITS = {
   memoryLimitMB: 512,    // 512 MB memory limit
 };
 
+// Width and height of history thumbnails, in pixels
+const THUMBNAIL_SIZE = 80;
+
 const Viewport = forwardRef(({ 
   onAccount,
   currentScript, 
@@ -50,8 +76,16 @@ const Viewport = forwardRef(({
   onRedo,
   canUndo,
   canRedo,
+  onToggleHistory,
+  showHistory,
   currentFilename,
-  isUploading
+  isUploading,
+  onParameterChange,
+  onScriptErrors,
+  onModelRendered,
+  comparison,
+  onCloseComparison,
+  children
 }, ref) => {
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
@@ -60,12 +94,16 @@ const Viewport = forwardRef(({
   const cameraRef = useRef(null);
   const controlsRef = useRef(null);
   const resultRef = useRef(null);
+  const materialsRef = useRef([]);
+  const hiddenPartsRef = useRef(new Set());
   const raycasterRef = useRef(new Raycaster());
   const mouseRef = useRef(new Vector2());
   const highlightMeshRef = useRef(null);
   const cuttingPlaneWidgetRef = useRef(null);
   const axisHelperRef = useRef(null);
   const executionAbortRef = useRef(null);
+  const queuedScriptRef = useRef(null);
+  const executeScriptRef = useRef(null);
 
   const clickCountRef = useRef(0);
   const clickTimerRef = useRef(null);
@@ -74,6 +112,9 @@ const Viewport = forwardRef(({
   const mouseDownPosRef = useRef({ x: 0, y: 0 });
   const isDraggingRef = useRef(false);
   const measurementLinesRef = useRef(null); 
+  const overhangGroupRef = useRef(null);
+  const thicknessGroupRef = useRef(null);
+  const diffGroupRef = useRef(null);
 
   // Configuration for click detection
   const MULTI_CLICK_DELAY = 300; // ms to wait for additional clicks
@@ -81,9 +122,9 @@ const Viewport = forwardRef(({
   const DRAG_THRESHOLD = 3; // pixels - movement beyond this is considered a drag
   
   const [selectedFace, setSelectedFace] = useState(null);
-  const [materials, setMaterials] = useState([]);
   const [isExecuting, setIsExecuting] = useState(false);
   const [executionError, setExecutionError] = useState(null);
+  const [executionProgress, setExecutionProgress] = useState(null);
   const [isDownloading, setIsDownloading] = useState(false);
   
   // Cross-section state
@@ -95,31 +136,67 @@ const Viewport = forwardRef(({
   });
   const [modelBounds, setModelBounds] = useState(null);
   const [cachedMeshData, setCachedMeshData] = useState(null);
+  const [cachedParts, setCachedParts] = useState([]);
+  
+  // Multi-part state
+  const [hiddenParts, setHiddenParts] = useState(new Set());
+  const [selectedPart, setSelectedPart] = useState(null);
   
   // Measurement tool and axis helper state
   const [measurementEnabled, setMeasurementEnabled] = useState(false);
   const [measurementFaces, setMeasurementFaces] = useState({ first: null, second: null });
   const [axisHelperEnabled, setAxisHelperEnabled] = useState(false);
 
+  // Overhang analysis state
+  const [overhangEnabled, setOverhangEnabled] = useState(false);
+  const [overhangSettings, setOverhangSettings] = useState({
+    direction: '+Z',
+    threshold: DEFAULT_OVERHANG_THRESHOLD
+  });
+  const [overhangAnalysis, setOverhangAnalysis] = useState(null);
+
+  // Wall thickness analysis state
+  const [thicknessEnabled, setThicknessEnabled] = useState(false);
+  const [minWallThickness, setMinWallThickness] = useState(DEFAULT_MIN_WALL_THICKNESS);
+  const [thicknessAnalysis, setThicknessAnalysis] = useState(null);
+  const [isAnalyzingThickness, setIsAnalyzingThickness] = useState(false);
+
+  // Compare mode state
+  const [comparisonResult, setComparisonResult] = useState(null);
+
   useImperativeHandle(ref, () => ({
     executeScript,
     clearFaceSelection: () => {
       clearHighlight();
       setSelectedFace(null);
+      setSelectedPart(null);
       onFaceSelected?.(null);
     },
     // Updated to use cached mesh when available
     export3MF: async () => {
-      if (cachedMeshData?.vertProperties) {
-        return get3MFBase64FromMesh(cachedMeshData);
+      if (cachedParts.length > 0) {
+        return get3MFBase64FromMesh(cachedParts, { script: currentScript });
       }
       throw new Error('No model available to export');
     },
     calculateQuote: async (options) => {
-      return await calculateQuote(currentScript, options);
+      // Price the support the overhang analysis shows while it's on
+      const support = overhangEnabled && overhangAnalysis ? {
+        buildDirection: BUILD_DIRECTIONS[overhangSettings.direction],
+        threshold: overhangSettings.threshold,
+        volumes: Object.fromEntries(overhangAnalysis.parts.map(part => [part.name, part.supportVolume]))
+      } : null;
+      return await calculateQuote(currentScript, { ...options, support });
+    },
+    findOrientations: async (options) => {
+      return await findOrientations(currentScript, options);
+    },
+    findThinWalls: async (minThickness) => {
+      return await findThinWalls(currentScript, minThickness);
     },
     zoomToFit: handleZoomToFit,
-    getCurrentMeshData: () => cachedMeshData
+    getCurrentMeshData: () => cachedMeshData,
+    captureThumbnail
   }));
 
   // Clear face highlight
@@ -180,13 +257,13 @@ const Viewport = forwardRef(({
       const normalArray = [normal.x, normal.y, normal.z];
       
       // Call worker to trim the cached manifold
-      const { mesh: trimmedMesh } = await manifoldContext.trimByPlane(
+      const { mesh: trimmedMesh, parts: trimmedParts } = await manifoldContext.trimByPlane(
         normalArray, 
         plane.originOffset
       );
       
       // Render the trimmed result
-      renderMeshData(trimmedMesh);
+      renderParts(trimmedParts || [{ name: 'Model', color: null, mesh: trimmedMesh }]);
       
       // Update cutting plane widget visibility
       if (plane.showPlane) {
@@ -216,7 +293,7 @@ const Viewport = forwardRef(({
       handlePlaneChange(crossSectionPlane);
     } else if (!crossSectionEnabled && cachedMeshData) {
       // Restore original mesh when cross-section is disabled
-      renderMeshData(cachedMeshData);
+      renderParts(cachedParts);
       clearCuttingPlane();
     }
   }, [crossSectionEnabled]);
@@ -350,13 +427,19 @@ const Viewport = forwardRef(({
     
     if (!canvasRef.current || !cameraRef.current || !resultRef.current) return;
     
+    // The model is hidden while comparing versions
+    if (!resultRef.current.visible) return;
+    
     // Calculate mouse position and perform raycast
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
     mouseRef.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     mouseRef.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     raycasterRef.current.setFromCamera(mouseRef.current, cameraRef.current);
-    const intersects = raycasterRef.current.intersectObject(resultRef.current);
+    // Hidden parts are still raycast by three.js, so skip them here
+    const intersects = raycasterRef.current
+      .intersectObject(resultRef.current, true)
+      .filter(hit => hit.object.visible);
     
     // Handle click on empty space (only if not dragging)
     if (intersects.length === 0) {
@@ -381,7 +464,7 @@ const Viewport = forwardRef(({
     const intersection = intersects[0];
     const clickedFace = intersection.face;
     const seedFaceIndex = intersection.faceIndex;
-    const geometry = resultRef.current.geometry;
+    const geometry = intersection.object.geometry;
     const positions = geometry.attributes.position;
     const index = geometry.index.array;
     
@@ -391,6 +474,7 @@ const Viewport = forwardRef(({
       geometry,
       positions,
       index,
+      partName: resultRef.current.children.length > 1 ? intersection.object.name : null,
       faceNormal: [clickedFace.normal.x, clickedFace.normal.y, clickedFace.normal.z]
     };
     
@@ -423,7 +507,7 @@ const Viewport = forwardRef(({
     const clickData = pendingClickDataRef.current;
     if (!clickData) return;
     
-    const { clickedFace, seedFaceIndex, geometry, positions, index, faceNormal } = clickData;
+    const { clickedFace, seedFaceIndex, geometry, positions, index, faceNormal, partName } = clickData;
     const clickCount = clickCountRef.current;
     
     // Reset click tracking
@@ -480,7 +564,8 @@ const Viewport = forwardRef(({
       area: totalArea,
       vertices: allVertices,
       triangleCount: faceIndices.length,
-      selectionMode // Include selection mode in face data for UI display
+      selectionMode, // Include selection mode in face data for UI display
+      ...(partName && { part: partName })
     };
     
     // Handle measurement mode
@@ -489,6 +574,7 @@ const Viewport = forwardRef(({
     } else {
       // Normal face selection mode
       setSelectedFace(faceData);
+      setSelectedPart(partName);
       onFaceSelected?.(faceData);
       clearHighlight();
       highlightFace(faceIndices, geometry, positions, index, 0xffff00);
@@ -637,15 +723,14 @@ const Viewport = forwardRef(({
           } catch (error) {
             // Log debug info only on error
             const meshCount = sceneRef.current.children.filter(c => c.type === 'Mesh').length;
-            const hasMaterials = resultRef.current?.material && Array.isArray(resultRef.current.material);
-            const hasGeometry = resultRef.current?.geometry?.attributes?.position;
+            const partMeshes = resultRef.current?.children || [];
+            const hasGeometry = partMeshes.every(mesh => mesh.geometry?.attributes?.position);
             
             console.error('[Animate] Render error:', error.message);
             console.error('[Animate] Scene state:', {
               meshCount,
-              hasMaterials,
+              partCount: partMeshes.length,
               hasGeometry,
-              resultMaterial: resultRef.current?.material?.length || 'none',
               sceneChildren: sceneRef.current.children.length,
               highlightMeshes: Array.isArray(highlightMeshRef.current) ? highlightMeshRef.current.length : (highlightMeshRef.current ? 1 : 0)
             });
@@ -697,11 +782,15 @@ const Viewport = forwardRef(({
       if (rendererRef.current) {
         rendererRef.current.dispose();
       }
-      if (resultRef.current?.geometry) {
-        resultRef.current.geometry.dispose();
-      }
+      clearPartMeshes();
       clearHighlight();
       clearCuttingPlane();
+      if (overhangGroupRef.current) {
+        disposeOverhangOverlays(overhangGroupRef.current);
+      }
+      if (thicknessGroupRef.current) {
+        disposeThicknessHeatmaps(thicknessGroupRef.current);
+      }
     };
   }, []);
 
@@ -713,28 +802,46 @@ const Viewport = forwardRef(({
         new MeshLambertMaterial({ color: 'red', flatShading: true }),
         new MeshLambertMaterial({ color: 'blue', flatShading: true })
       ];
-      setMaterials(matls);
+      materialsRef.current = matls;
 
-      const result = new ThreeMesh(undefined, matls);
+      // Each part of the result is a child mesh of this group
+      const result = new Group();
+      result.name = 'result';
       
       const scene = sceneRef.current;
       if (!scene) return;
 
       scene.add(result);
       resultRef.current = result;
+
+      // Overhang analysis overlays, one mesh per part with overhangs
+      const overhangs = new Group();
+      overhangs.name = 'overhangs';
+      scene.add(overhangs);
+      overhangGroupRef.current = overhangs;
+
+      // Wall thickness heatmaps, one mesh per part
+      const thickness = new Group();
+      thickness.name = 'thickness';
+      scene.add(thickness);
+      thicknessGroupRef.current = thickness;
+
+      // Compare mode: added, removed and unchanged material
+      const diff = new Group();
+      diff.name = 'diff';
+      scene.add(diff);
+      diffGroupRef.current = diff;
     };
     defineMaterials();
   }, []);
 
   // Zoom camera to fit the model
   const handleZoomToFit = useCallback(() => {
-    if (!resultRef.current?.geometry || !cameraRef.current || !controlsRef.current) return;
+    if (!resultRef.current || !cameraRef.current || !controlsRef.current) return;
     
-    const geometry = resultRef.current.geometry;
-    geometry.computeBoundingBox();
-    const boundingBox = geometry.boundingBox;
+    const boundingBox = new Box3().setFromObject(resultRef.current);
     
-    if (!boundingBox) return;
+    if (boundingBox.isEmpty()) return;
     
     // Calculate bounding sphere
     const center = new Vector3();
@@ -764,6 +871,31 @@ const Viewport = forwardRef(({
     console.log('[Viewport] Zoomed to fit');
   }, []);
 
+  // Capture the current view as a small square JPEG data URL for the history
+  // timeline; the canvas doesn't keep its drawing buffer, so render and copy
+  // in the same task
+  const captureThumbnail = useCallback(() => {
+    const renderer = rendererRef.current;
+    if (!renderer || !sceneRef.current || !cameraRef.current) return null;
+    if (!resultRef.current?.visible || resultRef.current.children.length === 0) return null;
+
+    renderer.render(sceneRef.current, cameraRef.current);
+
+    const source = renderer.domElement;
+    const side = Math.min(source.width, source.height);
+    if (side === 0) return null;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_SIZE;
+    canvas.height = THUMBNAIL_SIZE;
+    canvas.getContext('2d').drawImage(
+      source,
+      (source.width - side) / 2, (source.height - side) / 2, side, side,
+      0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE
+    );
+    return canvas.toDataURL('image/jpeg', 0.8);
+  }, []);
+
   const handleMeasurementToggle = () => {
     if (!measurementEnabled && selectedFace) {
       // Turning on measurement mode with a face already selected
@@ -781,6 +913,17 @@ const Viewport = forwardRef(({
     setMeasurementEnabled(!measurementEnabled);
   };
 
+  // Overhang and wall thickness overlays cover the same faces, show one at a time
+  const handleOverhangToggle = () => {
+    setOverhangEnabled(prev => !prev);
+    setThicknessEnabled(false);
+  };
+
+  const handleThicknessToggle = () => {
+    setThicknessEnabled(prev => !prev);
+    setOverhangEnabled(false);
+  };
+
   const handleAxisHelperToggle = () => {
     setAxisHelperEnabled(prev => {
       const newValue = !prev;
@@ -791,15 +934,12 @@ const Viewport = forwardRef(({
     });
   };
 
-  // Helper to render mesh data from the worker
-  const renderMeshData = useCallback((meshData) => {
-    if (!meshData || !resultRef.current) return;
-
+  // Build a BufferGeometry from mesh data sent by the worker
+  const buildGeometry = (meshData) => {
     const geometry = new BufferGeometry();
     
-    // Convert arrays to typed arrays
-    const vertProperties = new Float32Array(meshData.vertProperties);
-    const triVerts = new Uint32Array(meshData.triVerts);
+    // The worker transfers typed arrays, which are used without copying
+    const { vertProperties, triVerts } = toMeshBuffers(meshData);
     
     geometry.setAttribute('position', new BufferAttribute(vertProperties, 3));
     geometry.setIndex(new BufferAttribute(triVerts, 1));
@@ -811,7 +951,6 @@ const Viewport = forwardRef(({
     // Set up material groups
     if (meshData.runIndex && meshData.runOriginalID) {
       const runIndex = meshData.runIndex;
-      const runOriginalID = meshData.runOriginalID;
       
       let start = runIndex[0];
       for (let run = 0; run < meshData.numRun; ++run) {
@@ -824,9 +963,43 @@ const Viewport = forwardRef(({
     }
 
     geometry.computeVertexNormals();
-    
-    resultRef.current.geometry?.dispose();
-    resultRef.current.geometry = geometry;
+    return geometry;
+  };
+
+  // Remove and dispose all part meshes
+  const clearPartMeshes = () => {
+    const group = resultRef.current;
+    if (!group) return;
+
+    [...group.children].forEach(mesh => {
+      group.remove(mesh);
+      mesh.geometry?.dispose();
+      // Shared default materials are reused, only per-part colors are owned
+      if (!Array.isArray(mesh.material)) {
+        mesh.material?.dispose();
+      }
+    });
+  };
+
+  // Helper to render parts from the worker, one mesh per part
+  const renderParts = useCallback((parts) => {
+    if (!parts || !resultRef.current) return;
+
+    clearPartMeshes();
+
+    parts.forEach((part, partIndex) => {
+      if (!part.mesh) return;
+
+      const material = part.color
+        ? new MeshLambertMaterial({ color: part.color, flatShading: true })
+        : materialsRef.current;
+
+      const mesh = new ThreeMesh(buildGeometry(part.mesh), material);
+      mesh.name = part.name;
+      mesh.userData.partIndex = partIndex;
+      mesh.visible = !hiddenPartsRef.current.has(part.name);
+      resultRef.current.add(mesh);
+    });
 
     const renderer = rendererRef.current;
     const scene = sceneRef.current;
@@ -836,6 +1009,196 @@ const Viewport = forwardRef(({
     }
   }, []);
 
+  // Color overhanging triangles of the full parts (not the cross-section)
+  // and estimate the support they need
+  useEffect(() => {
+    const group = overhangGroupRef.current;
+    if (!group) return;
+
+    disposeOverhangOverlays(group);
+
+    if (!overhangEnabled || cachedParts.length === 0) {
+      setOverhangAnalysis(null);
+      return;
+    }
+
+    const buildDirection = BUILD_DIRECTIONS[overhangSettings.direction];
+    const parts = [];
+
+    cachedParts.forEach(part => {
+      if (!part.mesh) return;
+
+      const geometry = buildGeometry(part.mesh);
+      const analysis = analyzeOverhangs(geometry, buildDirection, overhangSettings.threshold);
+      const overlay = createOverhangOverlay(geometry, analysis);
+      geometry.dispose();
+
+      if (overlay) {
+        overlay.name = part.name;
+        overlay.visible = !hiddenPartsRef.current.has(part.name);
+        group.add(overlay);
+      }
+
+      parts.push({
+        name: part.name,
+        overhangArea: analysis.overhangArea,
+        supportVolume: analysis.supportVolume
+      });
+    });
+
+    setOverhangAnalysis({
+      parts,
+      overhangArea: parts.reduce((sum, part) => sum + part.overhangArea, 0),
+      supportVolume: parts.reduce((sum, part) => sum + part.supportVolume, 0)
+    });
+  }, [overhangEnabled, overhangSettings, cachedParts]);
+
+  // Measure wall thickness in the worker and color each part by it
+  useEffect(() => {
+    const group = thicknessGroupRef.current;
+    if (!group) return;
+
+    disposeThicknessHeatmaps(group);
+
+    if (!thicknessEnabled || cachedParts.length === 0 || !manifoldContext.isReady) {
+      setThicknessAnalysis(null);
+      return;
+    }
+
+    let cancelled = false;
+    setIsAnalyzingThickness(true);
+
+    manifoldContext.analyzeWallThickness(minWallThickness)
+      .then(results => {
+        if (cancelled) return;
+
+        results.forEach(result => {
+          const part = cachedParts.find(candidate => candidate.name === result.name);
+          if (!part?.mesh) return;
+
+          const geometry = buildGeometry(part.mesh);
+          const heatmap = createThicknessHeatmap(geometry, result.thickness, minWallThickness);
+          geometry.dispose();
+
+          heatmap.name = part.name;
+          heatmap.visible = !hiddenPartsRef.current.has(part.name);
+          group.add(heatmap);
+        });
+
+        setThicknessAnalysis({
+          parts: results.map(({ name, thinArea, thinCount, minFound }) => ({ name, thinArea, thinCount, minFound })),
+          thinArea: results.reduce((sum, result) => sum + result.thinArea, 0),
+          minFound: Math.min(...results.map(result => result.minFound))
+        });
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('[Viewport] Wall thickness analysis failed:', error);
+        setThicknessAnalysis(null);
+      })
+      .finally(() => {
+        if (!cancelled) setIsAnalyzingThickness(false);
+      });
+
+    return () => {
+      cancelled = true;
+      disposeThicknessHeatmaps(group);
+    };
+  }, [thicknessEnabled, minWallThickness, cachedParts]);
+
+  // Run both versions of a comparison in the worker and show what changed
+  // in place of the model
+  useEffect(() => {
+    const group = diffGroupRef.current;
+    if (!group) return;
+
+    disposeDiffOverlays(group);
+
+    const modelGroups = [resultRef.current, overhangGroupRef.current, thicknessGroupRef.current];
+    const showModel = () => modelGroups.forEach(modelGroup => {
+      if (modelGroup) modelGroup.visible = true;
+    });
+
+    if (!comparison || !manifoldContext.isReady) {
+      setComparisonResult(null);
+      showModel();
+      return;
+    }
+
+    let cancelled = false;
+    setComparisonResult({ status: 'running' });
+    modelGroups.forEach(modelGroup => {
+      if (modelGroup) modelGroup.visible = false;
+    });
+
+    manifoldContext.compareScripts(comparison.before.code, comparison.after.code)
+      .then(diff => {
+        if (cancelled) return;
+
+        ['unchanged', 'removed', 'added'].forEach(kind => {
+          if (diff[kind].triVerts.length === 0) return;
+          group.add(createDiffOverlay(buildGeometry(diff[kind]), kind));
+        });
+
+        setComparisonResult({ status: 'ready', stats: diff.stats });
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('[Viewport] Comparison failed:', error);
+        setComparisonResult({ status: 'error', error: error.message || 'Comparison failed' });
+      });
+
+    return () => {
+      cancelled = true;
+      disposeDiffOverlays(group);
+      showModel();
+    };
+  }, [comparison]);
+
+  // Toggle visibility of a part by name
+  const handleTogglePartVisibility = useCallback((name) => {
+    const hidden = new Set(hiddenPartsRef.current);
+    if (hidden.has(name)) {
+      hidden.delete(name);
+    } else {
+      hidden.add(name);
+    }
+    hiddenPartsRef.current = hidden;
+    setHiddenParts(hidden);
+
+    resultRef.current?.children.forEach(mesh => {
+      mesh.visible = !hidden.has(mesh.name);
+    });
+    overhangGroupRef.current?.children.forEach(mesh => {
+      mesh.visible = !hidden.has(mesh.name);
+    });
+    thicknessGroupRef.current?.children.forEach(mesh => {
+      mesh.visible = !hidden.has(mesh.name);
+    });
+  }, []);
+
+  // Select a part from the parts list and highlight all of its triangles
+  const handleSelectPart = useCallback((name) => {
+    clearHighlight();
+    setSelectedFace(null);
+    onFaceSelected?.(null);
+
+    if (selectedPart === name) {
+      setSelectedPart(null);
+      return;
+    }
+
+    setSelectedPart(name);
+
+    const mesh = resultRef.current?.getObjectByName(name);
+    const geometry = mesh?.geometry;
+    if (!geometry?.index) return;
+
+    const triangleCount = geometry.index.count / 3;
+    const faceIndices = Array.from({ length: triangleCount }, (_, i) => i);
+    highlightFace(faceIndices, geometry, geometry.attributes.position, geometry.index.array, 0xffff00, 'part');
+  }, [selectedPart, onFaceSelected, clearHighlight, highlightFace]);
+
   // Calculate model bounds from mesh data
   const calculateBoundsFromMesh = (meshData) => {
     const vertProperties = meshData.vertProperties;
@@ -867,18 +1230,23 @@ const Viewport = forwardRef(({
     
     if (!script || !sceneRef.current) return;
     
-    // Cancel any pending execution
+    // The worker runs one script at a time: drop the running one's result and
+    // run only the newest script once it finishes, skipping any in between
     if (executionAbortRef.current) {
       executionAbortRef.current.aborted = true;
+      queuedScriptRef.current = script;
+      return;
     }
     const abortController = { aborted: false };
     executionAbortRef.current = abortController;
     
     setIsExecuting(true);
     setExecutionError(null);
+    setExecutionProgress(null);
 
     clearHighlight();
     setSelectedFace(null);
+    setSelectedPart(null);
     onFaceSelected?.(null);
 
     try {
@@ -888,9 +1256,12 @@ const Viewport = forwardRef(({
       
       // Step 1: Validate script for dangerous patterns (client-side pre-check)
       console.log('[Viewport] Validating script...');
-      const validation = validateScript(script);
-      if (!validation.valid) {
-        throw new Error(formatValidationErrors(validation.errors));
+      const { uses, modules } = resolveModules(script);
+      const { errors: validationErrors } = validateScriptWithModules(script, modules);
+      if (validationErrors.length > 0) {
+        const error = new Error(formatValidationErrors(validationErrors));
+        error.diagnostics = validationDiagnostics(validationErrors);
+        throw error;
       }
       
       if (abortController.aborted) {
@@ -899,7 +1270,9 @@ const Viewport = forwardRef(({
       }
 
       // Step 2: Load cached models into ManifoldContext
-      const importedModels = parseImportedModels(script);
+      const importedModels = [...new Set(
+        [script, ...modules.map(module => module.source)].flatMap(parseImportedModels)
+      )];
       for (let i = 0; i < importedModels.length; i++) {
         const modelData = await loadCachedModel(importedModels[i]);
         if (modelData) {
@@ -910,8 +1283,13 @@ const Viewport = forwardRef(({
       // Step 3: Execute script in sandbox worker
       console.log('[Viewport] Executing script in sandbox worker...');
       const result = await manifoldContext.executeScript(script, {
+        modules,
+        scriptUses: uses,
         timeoutMs: EXECUTION_LIMITS.timeoutMs,
-        memoryLimitMB: EXECUTION_LIMITS.memoryLimitMB
+        memoryLimitMB: EXECUTION_LIMITS.memoryLimitMB,
+        onProgress: (report) => {
+          if (!abortController.aborted) setExecutionProgress(report);
+        }
       });
       
       if (abortController.aborted) {
@@ -920,6 +1298,7 @@ const Viewport = forwardRef(({
       }
       
       const { mesh: meshData, memoryUsedMB } = result;
+      const parts = result.parts || [{ name: 'Model', color: null, mesh: meshData }];
       
       if (!meshData || !meshData.vertProperties) {
         throw new Error('Script must return a Manifold object');
@@ -931,38 +1310,73 @@ const Viewport = forwardRef(({
 
       // Cache mesh data for cross-section operations
       setCachedMeshData(meshData);
+      setCachedParts(parts);
 
       // Render the result
-      renderMeshData(meshData);
+      renderParts(parts);
       
       if (memoryUsedMB) {
         console.log(`[Viewport] Memory after execution: ${memoryUsedMB.toFixed(1)}MB`);
       }
       
       console.log('[Viewport] Script executed successfully');
+      onScriptErrors?.([]);
+      onModelRendered?.(script);
 
     } catch (error) {
+      if (abortController.aborted) {
+        console.log('[Viewport] Stale execution failed, ignoring:', error.message);
+        return;
+      }
+      if (error.canceled) {
+        console.log('[Viewport] Execution canceled');
+        return;
+      }
       console.error('Error executing script:', error);
       setExecutionError(error.message || 'Script execution failed');
-
-      if (resultRef.current) {
-        resultRef.current.geometry?.dispose();
-        resultRef.current.geometry = new BufferGeometry();
-      }
+      onScriptErrors?.(error.diagnostics || [{
+        message: error.message || 'Script execution failed',
+        module: null,
+        line: null,
+        column: null,
+        endColumn: null
+      }]);
+
+      clearPartMeshes();
     } finally {
       setIsExecuting(false);
       if (executionAbortRef.current === abortController) {
         executionAbortRef.current = null;
       }
+      
+      const queuedScript = queuedScriptRef.current;
+      if (queuedScript !== null) {
+        queuedScriptRef.current = null;
+        executeScriptRef.current(queuedScript);
+      }
     }
-  }, [currentScript, materials, onFaceSelected, renderMeshData, clearHighlight]);
+  }, [currentScript, onFaceSelected, onScriptErrors, onModelRendered, renderParts, clearHighlight]);
+  
+  // Queued runs start from the latest callback, not the one that was running
+  executeScriptRef.current = executeScript;
+
+  /**
+   * Stop the running script; the worker is replaced and the last model stays shown
+   */
+  const handleCancelExecution = useCallback(() => {
+    queuedScriptRef.current = null;
+    manifoldContext.cancel().catch(error => {
+      console.error('[Viewport] Failed to restart the worker:', error);
+      setExecutionError(`Failed to restart the script worker: ${error.message}`);
+    });
+  }, []);
 
   /**
-   * Download the current model as 3mf
+   * Download the current model as 3MF or STL
    * Uses cached mesh data when available to avoid re-execution
    */
-  const handleDownloadModel = useCallback(async () => {
-    if (!cachedMeshData?.vertProperties) {
+  const handleDownloadModel = useCallback(async (format = '3mf') => {
+    if (cachedParts.length === 0) {
       setExecutionError('No model to export');
       return;
     }
@@ -971,14 +1385,14 @@ const Viewport = forwardRef(({
 
     try {
       const filename = currentFilename || 'model';
-      await downloadModelFromMesh(cachedMeshData, filename);
+      await downloadModelFromMesh(cachedParts, filename, format, { script: currentScript });
     } catch (error) {
       console.error('[Viewport] Export error:', error);
       setExecutionError(`Export failed: ${error.message}`);
     } finally {
       setIsDownloading(false);
     }
-  }, [cachedMeshData, currentFilename]);
+  }, [cachedParts, currentFilename, currentScript]);
 
   return (
     <div ref={containerRef} className="relative w-full h-full bg-gray-900 overflow-hidden">
@@ -993,6 +1407,8 @@ const Viewport = forwardRef(({
         onRedo={onRedo}
         canUndo={canUndo}
         canRedo={canRedo}
+        onToggleHistory={onToggleHistory}
+        showHistory={showHistory}
         isExecuting={isExecuting}
         isDownloading={isDownloading}
         isUploading={isUploading}
@@ -1010,7 +1426,54 @@ const Viewport = forwardRef(({
           onMeasurementToggle={handleMeasurementToggle}
           axisHelperEnabled={axisHelperEnabled}
           onAxisHelperToggle={handleAxisHelperToggle}
+          overhangEnabled={overhangEnabled}
+          onOverhangToggle={handleOverhangToggle}
+          thicknessEnabled={thicknessEnabled}
+          onThicknessToggle={handleThicknessToggle}
+        />
+
+      {/* Customizer and Parts Panels */}
+      <div className="absolute top-20 lg:top-4 left-2 lg:left-4 flex flex-col items-start gap-2 z-10">
+        <CustomizerPanel
+          script={currentScript}
+          onParameterChange={onParameterChange}
         />
+        <PartsPanel
+          parts={cachedParts}
+          hiddenParts={hiddenParts}
+          selectedPart={selectedPart}
+          onToggleVisibility={handleTogglePartVisibility}
+          onSelectPart={handleSelectPart}
+        />
+        <OverhangPanel
+          enabled={overhangEnabled}
+          settings={overhangSettings}
+          analysis={overhangAnalysis}
+          onSettingsChange={setOverhangSettings}
+          onClose={handleOverhangToggle}
+        />
+        <ThicknessPanel
+          enabled={thicknessEnabled}
+          minThickness={minWallThickness}
+          analysis={thicknessAnalysis}
+          isAnalyzing={isAnalyzingThickness}
+          onMinThicknessChange={setMinWallThickness}
+          onClose={handleThicknessToggle}
+        />
+        <ComparePanel
+          comparison={comparison}
+          result={comparisonResult}
+          onClose={onCloseComparison}
+        />
+      </div>
+      
+      {children}
+
+      <ExecutionProgress
+        isExecuting={isExecuting}
+        progress={executionProgress}
+        onCancel={handleCancelExecution}
+      />
       
       {executionError && (
         <div className="absolute top-16 right-4 bg-red-900/90 text-white p-3 rounded text-xs max-w-md z-10">
@@ -1033,6 +1496,7 @@ const Viewport = forwardRef(({
       {selectedFace && !measurementEnabled && (
         <div className="absolute bottom-4 left-2 lg:left-4 bg-black/50 text-white rounded-lg text-xs font-mono z-10">
           <div className="font-bold mb-1">Selected Face</div>
+          {selectedFace.part && <div>Part: {selectedFace.part}</div>}
           <div>Center: [{selectedFace.center.map(v => v.toFixed(1)).join(', ')}]</div>
           <div>Normal: [{selectedFace.normal.map(v => v.toFixed(2)).join(', ')}]</div>
           <div>Area: {selectedFace.area.toFixed(1)} mm²</div>
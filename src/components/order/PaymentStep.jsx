@@ -9,6 +9,9 @@ import {
 } from '@stripe/react-stripe-js';
 import { Loader2, Lock, CreditCard, ShieldCheck } from 'lucide-react';
 import TermsModal from '../TermsModal';
+import { resolveModules } from '../../utils/scriptModules';
+import { encodeMeshData } from '../../../shared/meshEncoding.js';
+import { parseImportedModels, loadCachedModel } from '../../utils/importModel';
 
 // Stripe promise - loaded once
 let stripePromise = null;
@@ -247,6 +250,22 @@ const PaymentStep = ({
     setIsCreatingOrder(true);
 
     try {
+      // The backend validates and re-runs the script together with the
+      // modules and imported models it uses
+      const modules = resolveModules(currentScript).modules
+        .map(({ name, source }) => ({ name, source }));
+
+      const importedModels = {};
+      const filenames = [...new Set(
+        [currentScript, ...modules.map(module => module.source)].flatMap(parseImportedModels)
+      )];
+      for (const filename of filenames) {
+        const meshData = await loadCachedModel(filename);
+        if (meshData) {
+          importedModels[filename] = encodeMeshData(meshData);
+        }
+      }
+
       const response = await fetch('/api/orders/create', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -254,12 +273,16 @@ const PaymentStep = ({
         body: JSON.stringify({
           modelData: {
             script: currentScript,
+            modules,
+            importedModels,
             process: quoteData.process,
             material: quoteData.material,
             infill: quoteData.infill,
             volume: quoteData.volume,
             surfaceArea: quoteData.surfaceArea,
             boundingBox: modelData.boundingBox,
+            support: quoteData.support,
+            rotation: quoteData.rotation,
             modelFile: modelData.modelFile
           },
           quote: {
@@ -277,10 +300,19 @@ const PaymentStep = ({
         }),
       });
 
+      // A proxy in front of the backend may reject large bodies with a non-JSON page
+      if (response.status === 413) {
+        throw new Error(
+          'This order is too large to send. Simplify the imported models it uses (fewer triangles) and try again.'
+        );
+      }
+
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to create order');
+        throw new Error(
+          data.details ? `${data.error}: ${data.details}` : (data.error || 'Failed to create order')
+        );
       }
 
       setOrder(data.order);
@@ -11,6 +11,13 @@
  *   const meshData = await manifold.execute(script);
  */
 import SandboxWorker from '../workers/sandboxWorker.js?worker'
+import { resolveModules } from './scriptModules';
+import { formatErrorLocation } from './scriptValidator';
+import { cloneMeshBuffers, meshTransferables } from '../../shared/meshBuffers.js';
+import WorkerPool, { JOB_PRIORITY, getPoolSize } from './WorkerPool';
+
+// Pool index of the worker that runs the preview and keeps its model
+const PREVIEW_WORKER = 0;
 
 class ManifoldWorker {
   constructor() {
@@ -25,6 +32,8 @@ class ManifoldWorker {
     };
     
     this.onError = null;
+    this.onRespawn = null;
+    this.respawning = null;  // Promise while cancel() starts a new worker
   }
   
   async init() {
@@ -74,10 +83,18 @@ class ManifoldWorker {
    * Execute a Manifold script
    * @param {string} script - The script to execute
    * @param {Object} options - Execution options
-   * @param {Object} options.importedModels - Pre-serialized imported models
+   * @param {Object} options.importedModels - Imported mesh data by filename; copies
+   *   of their typed arrays are transferred, so the caller's data stays usable
+   * @param {Array} options.modules - Library modules, dependencies first
+   * @param {string[]} options.scriptUses - Modules the script uses directly
    * @param {number} options.timeoutMs - Timeout in milliseconds
    * @param {number} options.memoryLimitMB - Memory limit in MB
-   * @returns {Promise<Object>} - The mesh data result
+   * @param {Function} [options.onProgress] - Called with { fraction, label } as the
+   *   script reports progress
+   * @returns {Promise<Object>} - The mesh data result:
+   *   - mesh: Combined mesh of all parts, arrays as Float32Array/Uint32Array
+   *   - parts: [{ name, color, mesh, volume, boundingBox }], one per returned part
+   *   - volume, boundingBox, memoryUsedMB
    */
   async execute(script, options = {}) {
     if (!this.isReady) {
@@ -86,15 +103,20 @@ class ManifoldWorker {
     
     const timeoutMs = options.timeoutMs || this.config.timeoutMs;
     const memoryLimitMB = options.memoryLimitMB || this.config.memoryLimitMB;
-    const importedModels = options.importedModels || {};
+    const importedModels = Object.fromEntries(
+      Object.entries(options.importedModels || {}).map(([filename, meshData]) => [filename, cloneMeshBuffers(meshData)])
+    );
+    const modules = options.modules || [];
+    const scriptUses = options.scriptUses || [];
     
     return new Promise((resolve, reject) => {
       const requestId = this._generateRequestId();
       
-      // Set up timeout
+      // Set up timeout; the script is still running, so replace the worker
       const timeoutId = setTimeout(() => {
         this.pendingRequests.delete(requestId);
         reject(new Error(`Script execution timed out after ${timeoutMs / 1000}s`));
+        this.cancel().catch(error => console.error('[ManifoldWorker] Respawn failed:', error));
       }, timeoutMs);
       
       // Store request
@@ -106,7 +128,8 @@ class ManifoldWorker {
         reject: (error) => {
           clearTimeout(timeoutId);
           reject(error);
-        }
+        },
+        onProgress: options.onProgress
       });
       
       // Send execute message
@@ -116,9 +139,11 @@ class ManifoldWorker {
         payload: {
           script,
           importedModels,
+          modules,
+          scriptUses,
           memoryLimitMB
         }
-      });
+      }, meshTransferables(Object.values(importedModels)));
     });
   }
 
@@ -131,6 +156,7 @@ class ManifoldWorker {
    *   - volume: Volume in mm³
    *   - surfaceArea: Surface area in mm²
    *   - boundingBox: { min: [x,y,z], max: [x,y,z] }
+   *   - parts: Per-part { name, color, volume, surfaceArea, boundingBox }
    * @throws {Error} If no manifold is cached
    */
   async getModelInfo(options = {}) {
@@ -167,6 +193,57 @@ class ManifoldWorker {
     });
   }
 
+  /**
+   * Measure the cached manifold for quoting
+   * 
+   * @param {number|null} layerHeight - Slice parts into layers of this height (mm)
+   * @param {number[]|null} [rotation] - Print orientation, degrees about X, Y and Z
+   * @param {Object} [options] - Options
+   * @returns {Promise<Object>} Print metrics { volume, surfaceArea, boundingBox, parts },
+   *   parts with per-layer slices when sliced
+   */
+  async getPrintMetrics(layerHeight, rotation = null, options = {}) {
+    if (!this.isReady) {
+      throw new Error('ManifoldWorker not initialized');
+    }
+    
+    return this._request('getPrintMetrics', { layerHeight, rotation }, options);
+  }
+
+  /**
+   * Rank print orientations of the cached manifold (see findOrientations in
+   * shared/orientation.js)
+   * 
+   * @param {Object} orientationOptions - { buildVolume, threshold, count }
+   * @param {Object} [options] - Options
+   * @returns {Promise<Array<{rotation: number[], supportArea: number, supportVolume: number,
+   *   height: number, fits: boolean, score: number}>>} Best first
+   */
+  async findOrientations(orientationOptions, options = {}) {
+    if (!this.isReady) {
+      throw new Error('ManifoldWorker not initialized');
+    }
+    
+    return this._request('findOrientations', orientationOptions, options);
+  }
+
+  /**
+   * Measure the wall thickness of each part of the cached manifold
+   * 
+   * @param {number} minThickness - Thinnest printable wall in mm
+   * @param {Object} [options] - Options
+   * @returns {Promise<Array<{name: string, thickness: Float32Array, thinArea: number,
+   *   thinCount: number, minFound: number}>>} Per part, thickness per triangle in
+   *   mesh order (see analyzeWallThickness in shared/wallThickness.js)
+   */
+  async analyzeWallThickness(minThickness, options = {}) {
+    if (!this.isReady) {
+      throw new Error('ManifoldWorker not initialized');
+    }
+    
+    return this._request('analyzeWallThickness', { minThickness }, options);
+  }
+
   /**
    * Import OBJ string and create Manifold
    * This is the preferred import method - STL and 3MF should convert to OBJ first
@@ -174,7 +251,9 @@ class ManifoldWorker {
    * @param {string} objString - OBJ format string
    * @param {string} filename - Filename for caching
    * @param {Object} [options] - Options
-   * @returns {Promise<{mesh: Object, volume: number, boundingBox: Object}>}
+   * @returns {Promise<{mesh: Object, volume: number, boundingBox: Object, repair: Object}>}
+   *   repair lists what was fixed to make the mesh a solid (see createRepairReport
+   *   in shared/meshRepair.js)
    */
   async importOBJ(objString, filename, options = {}) {
     if (!this.isReady) {
@@ -245,6 +324,7 @@ class ManifoldWorker {
    * @param {number} [options.timeoutMs] - Timeout in milliseconds (default: from config)
    * @returns {Promise<Object>} Result object containing:
    *   - mesh: Serialized mesh data of the trimmed manifold
+   *   - parts: Trimmed parts with the same shape as execute() parts
    */
   async trimByPlane(normal, originOffset, options = {}) {
     if (!this.isReady) {
@@ -280,6 +360,91 @@ class ManifoldWorker {
     });
   }
   
+  /**
+   * Rebuild the cached manifold from part meshes, e.g. after a respawn
+   * 
+   * @param {Array<{name: string, color: string|null, partNumber: string|null, mesh: Object}>} parts
+   * @param {Object} [options] - Options
+   * @returns {Promise<{parts: number}>}
+   */
+  async restoreParts(parts, options = {}) {
+    if (!this.isReady) {
+      throw new Error('ManifoldWorker not initialized');
+    }
+    
+    // Copies are transferred, the caller keeps rendering its meshes
+    const payload = {
+      parts: parts.map(({ name, color, partNumber, mesh }) => ({ name, color, partNumber, mesh: cloneMeshBuffers(mesh) }))
+    };
+    
+    return this._request('restoreParts', payload, options, meshTransferables(payload.parts.map(part => part.mesh)));
+  }
+  
+  /**
+   * Keep the cached manifold as the older version to compare with the next
+   * result (see diffWithBaseline)
+   * 
+   * @param {Object} [options] - Options
+   * @returns {Promise<{volume: number}>}
+   */
+  async keepDiffBaseline(options = {}) {
+    if (!this.isReady) {
+      throw new Error('ManifoldWorker not initialized');
+    }
+    
+    return this._request('keepDiffBaseline', {}, options);
+  }
+  
+  /**
+   * Compare the kept baseline with the cached manifold; the baseline is released
+   * 
+   * @param {Object} [options] - Options
+   * @returns {Promise<Object>} Result object containing:
+   *   - added, removed, unchanged: Mesh data of the material only in the newer
+   *     version, only in the baseline, and in both
+   *   - stats: { before, after, added, removed, unchanged }, see diffManifolds
+   */
+  async diffWithBaseline(options = {}) {
+    if (!this.isReady) {
+      throw new Error('ManifoldWorker not initialized');
+    }
+    
+    return this._request('diffWithBaseline', {}, options);
+  }
+  
+  /**
+   * Stop whatever the worker is running by terminating it, then start a fresh one
+   * 
+   * Pending requests are rejected with an error whose `canceled` is true. The
+   * new worker has no cached manifold; onRespawn, when set, is called once it
+   * is ready so the owner can restore one.
+   * 
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    if (!this.worker) return this.respawning;
+    
+    this.worker.terminate();
+    this.worker = null;
+    this.isReady = false;
+    
+    const pending = [...this.pendingRequests.values()];
+    this.pendingRequests.clear();
+    pending.forEach(request => {
+      const error = new Error('Execution canceled');
+      error.canceled = true;
+      request.reject(error);
+    });
+    console.log(`[ManifoldWorker] Canceled ${pending.length} request(s), respawning`);
+    
+    this.respawning = this.init()
+      .then(() => this.onRespawn?.())
+      .finally(() => {
+        this.respawning = null;
+      });
+    return this.respawning;
+  }
+  
   /**
    * Terminate the worker
    */
@@ -316,6 +481,36 @@ class ManifoldWorker {
     return `req_${++this.requestIdCounter}_${Date.now()}`;
   }
   
+  /**
+   * Send a request to the worker and wait for its result
+   * @param {ArrayBuffer[]} [transfer] - Buffers in the payload to transfer
+   */
+  _request(type, payload, options = {}, transfer = []) {
+    const timeoutMs = options.timeoutMs || this.config.timeoutMs;
+    
+    return new Promise((resolve, reject) => {
+      const requestId = this._generateRequestId();
+      
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`${type} timed out after ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+      
+      this.pendingRequests.set(requestId, {
+        resolve: (result) => {
+          clearTimeout(timeoutId);
+          resolve(result);
+        },
+        reject: (error) => {
+          clearTimeout(timeoutId);
+          reject(error);
+        }
+      });
+      
+      this.worker.postMessage({ type, id: requestId, payload }, transfer);
+    });
+  }
+  
   _handleMessage(event) {
     const { type, id, payload } = event.data;
     
@@ -340,6 +535,11 @@ class ManifoldWorker {
         break;
       }
       
+      case 'progress': {
+        this.pendingRequests.get(id)?.onProgress?.(payload);
+        break;
+      }
+      
       case 'helperList': {
         const request = this.pendingRequests.get(id);
         if (request) {
@@ -353,8 +553,13 @@ class ManifoldWorker {
         const request = this.pendingRequests.get(id);
         if (request) {
           this.pendingRequests.delete(id);
-          const error = new Error(payload.message);
+          // Script errors carry their source location for editor markers
+          const location = payload.location;
+          const error = new Error(location ? `${payload.message}${formatErrorLocation(location)}` : payload.message);
           error.stack = payload.stack;
+          if (location) {
+            error.diagnostics = [{ message: payload.message, endColumn: null, ...location }];
+          }
           request.reject(error);
         }
         
@@ -379,10 +584,15 @@ class ManifoldWorker {
 /**
  * ManifoldContext - A React-friendly wrapper that also handles mesh rendering
  * This can be used as a global singleton or per-viewport instance
+ * 
+ * Scripts run on a pool of workers (see WorkerPool). The preview runs on the
+ * preview worker, which keeps the previewed model for cross sections and
+ * analysis; quotes, exports and imports run on background workers so they
+ * don't hold up the preview.
  */
 class ManifoldContext {
   constructor() {
-    this.worker = null;
+    this.pool = null;
     this.cachedManifolds = new Map();  // For cross-section operations
     this.meshCache = new Map();        // For imported models
   }
@@ -391,8 +601,9 @@ class ManifoldContext {
    * Initialize the context
    */
   async init() {
-    this.worker = new ManifoldWorker();
-    await this.worker.init();
+    this.pool = new WorkerPool(() => new ManifoldWorker(), getPoolSize());
+    await this.pool.init();
+    this.pool.previewWorker.onRespawn = () => this._restoreLastResult();
     
     // Expose on window for backward compatibility
     window.ManifoldContext = this;
@@ -401,26 +612,20 @@ class ManifoldContext {
   }
   
   /**
-   * Execute a script and return mesh data
+   * Execute a script on the preview worker and return mesh data
+   * Its result becomes the model that trimByPlane, getPrintMetrics,
+   * findOrientations and analyzeWallThickness work on.
+   * Modules pulled in with use('name') are resolved from the library unless
+   * already given as options.modules (from resolveModules)
    * @param {string} script - The script to execute
    * @param {Object} options - Execution options
-   * @returns {Promise<Object>} - { mesh, memoryUsedMB }
+   * @returns {Promise<Object>} - { mesh, parts, memoryUsedMB }
    */
   async executeScript(script, options = {}) {
-    if (!this.worker || !this.worker.isReady) {
-      throw new Error('ManifoldContext not initialized');
-    }
-    
-    // Gather imported models from cache
-    const importedModels = {};
-    for (const [filename, meshData] of this.meshCache) {
-      importedModels[filename] = meshData;
-    }
-    
-    const result = await this.worker.execute(script, {
-      ...options,
-      importedModels
-    });
+    const result = await this._run(
+      worker => this._execute(worker, script, options),
+      { worker: PREVIEW_WORKER }
+    );
     
     // Cache the full result for quoting/downloads
     this.lastResult = result;
@@ -428,31 +633,119 @@ class ManifoldContext {
     return result;
   }
 
+  /**
+   * Execute a script on a background worker and work with its result there
+   * 
+   * The operation runs on the same worker before it takes another job, so it
+   * sees this script's result as the cached manifold. The preview is untouched.
+   * 
+   * @param {string} script - The script to execute
+   * @param {Function} [operation] - async (worker, result) => value; by default
+   *   the execution result itself
+   * @param {Object} [options] - Execution options, as for executeScript
+   * @returns {Promise<*>} The operation's value
+   * 
+   * @example
+   * const metrics = await manifoldContext.runScriptJob(script, worker => worker.getPrintMetrics(0.2));
+   */
+  async runScriptJob(script, operation = (worker, result) => result, options = {}) {
+    return this._run(async worker => {
+      const result = await this._execute(worker, script, options);
+      return operation(worker, result);
+    }, { priority: JOB_PRIORITY.BACKGROUND });
+  }
+
+  /**
+   * Execute two versions of a script on a background worker and compare
+   * their models
+   * 
+   * @param {string} before - Older script
+   * @param {string} after - Newer script
+   * @param {Object} [options] - Execution options, as for executeScript
+   * @returns {Promise<Object>} { added, removed, unchanged, stats }, see
+   *   ManifoldWorker.diffWithBaseline
+   */
+  async compareScripts(before, after, options = {}) {
+    return this._run(async worker => {
+      await this._execute(worker, before, options);
+      await worker.keepDiffBaseline();
+      await this._execute(worker, after, options);
+      return worker.diffWithBaseline();
+    }, { priority: JOB_PRIORITY.BACKGROUND });
+  }
+
   /**
    * Get model information from the cached manifold
    * 
-   * @returns {Promise<Object>} Model info { volume, surfaceArea, boundingBox }
+   * @returns {Promise<Object>} Model info { volume, surfaceArea, boundingBox, parts }
    */
   async getModelInfo() {
-    if (!this.worker || !this.worker.isReady) {
-      throw new Error('ManifoldContext not initialized');
-    }
-    
-    return await this.worker.getModelInfo();
+    return this._run(worker => worker.getModelInfo(), { worker: PREVIEW_WORKER });
   }
 
   /**
    * Import OBJ string and create Manifold
+   * Runs on a background worker; only the returned mesh is kept
    * @param {string} objString - OBJ format string
    * @param {string} filename - Filename for caching
    * @returns {Promise<{mesh: Object, volume: number, boundingBox: Object}>}
    */
   async importOBJ(objString, filename) {
-    if (!this.worker || !this.worker.isReady) {
-      throw new Error('ManifoldContext not initialized');
-    }
+    return this._run(worker => worker.importOBJ(objString, filename), { priority: JOB_PRIORITY.BACKGROUND });
+  }
+
+  /**
+   * Measure the cached manifold for quoting (true surface area, layer slices)
+   * @param {number|null} layerHeight - Slice parts into layers of this height (mm)
+   * @param {number[]|null} [rotation] - Print orientation, degrees about X, Y and Z
+   * @returns {Promise<Object>} Print metrics { volume, surfaceArea, boundingBox, parts }
+   */
+  async getPrintMetrics(layerHeight, rotation = null) {
+    return this._run(worker => worker.getPrintMetrics(layerHeight, rotation), { worker: PREVIEW_WORKER });
+  }
+
+  /**
+   * Rank print orientations of the cached manifold
+   * @param {{buildVolume: Object, threshold?: number, count?: number}} options
+   * @returns {Promise<Array>} Orientations, best first
+   */
+  async findOrientations(options) {
+    return this._run(worker => worker.findOrientations(options), { worker: PREVIEW_WORKER });
+  }
+
+  /**
+   * Measure the wall thickness of each part of the cached manifold
+   * @param {number} minThickness - Thinnest printable wall in mm
+   * @returns {Promise<Array>} Per part thickness and thin regions
+   */
+  async analyzeWallThickness(minThickness) {
+    return this._run(worker => worker.analyzeWallThickness(minThickness), { worker: PREVIEW_WORKER });
+  }
+
+  /**
+   * Stop the running preview script by replacing the preview worker
+   * Imported models are resent with every run; the last result is restored
+   * so cross sections and quotes keep working.
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    if (!this.pool) return;
+    await this.pool.previewWorker.cancel();
+  }
+
+  /**
+   * Give a respawned preview worker the last result as its cached manifold
+   */
+  async _restoreLastResult() {
+    const parts = this.lastResult?.parts;
+    if (!parts?.length) return;
     
-    return await this.worker.importOBJ(objString, filename);
+    try {
+      await this.pool.previewWorker.restoreParts(parts);
+      console.log(`[ManifoldContext] Restored ${parts.length} part(s) after respawn`);
+    } catch (error) {
+      console.error('[ManifoldContext] Failed to restore last result:', error);
+    }
   }
 
   /**
@@ -477,13 +770,10 @@ class ManifoldContext {
    *                                plane in the normal direction.
    * @returns {Promise<Object>} Result object containing:
    *   - mesh: Serialized mesh data with vertProperties, triVerts, etc.
+   *   - parts: Trimmed mesh data per part
    */
   async trimByPlane(normal, originOffset) {
-    if (!this.worker || !this.worker.isReady) {
-      throw new Error('ManifoldContext not initialized');
-    }
-    
-    return await this.worker.trimByPlane(normal, originOffset);
+    return this._run(worker => worker.trimByPlane(normal, originOffset), { worker: PREVIEW_WORKER });
   }
   
   /**
@@ -518,28 +808,71 @@ class ManifoldContext {
    * @returns {Promise<string[]>}
    */
   async getHelperFunctions() {
-    if (!this.worker) return [];
-    return await this.worker.getHelperList();
+    if (!this.pool) return [];
+    return this._run(worker => worker.getHelperList(), { worker: PREVIEW_WORKER });
   }
   
   /**
-   * Check if initialized
+   * Check if initialized (a preview worker being respawned counts as ready;
+   * its jobs wait for it)
    * @returns {boolean}
    */
   get isReady() {
-    return this.worker?.isReady || false;
+    const worker = this.pool?.previewWorker;
+    return Boolean(worker && (worker.isReady || worker.respawning));
   }
   
   /**
    * Terminate the context
    */
   terminate() {
-    if (this.worker) {
-      this.worker.terminate();
-      this.worker = null;
+    if (this.pool) {
+      this.pool.terminate();
+      this.pool = null;
     }
     this.clearCache();
   }
+  
+  // ========== Private Methods ==========
+  
+  /**
+   * Run a job on the pool once its worker is up
+   */
+  _run(job, options) {
+    if (!this.isReady) {
+      return Promise.reject(new Error('ManifoldContext not initialized'));
+    }
+    
+    return this.pool.run(async worker => {
+      // Jobs queued behind a canceled or timed-out run wait for the new worker
+      if (worker.respawning) {
+        await worker.respawning;
+      }
+      return job(worker);
+    }, options);
+  }
+  
+  /**
+   * Execute a script on a worker with the imported models and its modules
+   */
+  _execute(worker, script, options) {
+    // Gather imported models from cache
+    const importedModels = {};
+    for (const [filename, meshData] of this.meshCache) {
+      importedModels[filename] = meshData;
+    }
+    
+    const { uses, modules } = options.modules
+      ? { uses: options.scriptUses, modules: options.modules }
+      : resolveModules(script);
+    
+    return worker.execute(script, {
+      ...options,
+      importedModels,
+      modules,
+      scriptUses: uses
+    });
+  }
 }
 
 // Create and export singleton instance
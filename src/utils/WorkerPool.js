@@ -0,0 +1,174 @@
+// utils/WorkerPool.js
+// Pool of sandbox workers shared by the preview, quoting and export
+
+/**
+ * Job priorities, lowest runs first
+ */
+export const JOB_PRIORITY = {
+  INTERACTIVE: 0,  // Preview runs and operations on the previewed model
+  BACKGROUND: 1,   // Quotes, exports and imports
+};
+
+// Most workers to run at once; each holds its own WASM heap
+const MAX_POOL_SIZE = 3;
+
+/**
+ * Number of workers this device can afford
+ * One core is left for the page, and devices reporting little memory
+ * (navigator.deviceMemory, in GB, Chromium only) get a single worker.
+ * @returns {number}
+ */
+export const getPoolSize = () => {
+  const cores = globalThis.navigator?.hardwareConcurrency || 1;
+  const memoryGB = globalThis.navigator?.deviceMemory;
+  if (memoryGB !== undefined && memoryGB < 4) return 1;
+  return Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+};
+
+/**
+ * WorkerPool runs jobs on a fixed set of ManifoldWorkers, one job per worker
+ * at a time.
+ *
+ * Worker 0 is the preview worker: it runs interactive jobs and owns the
+ * previewed model, so jobs on that model are pinned to it. Background jobs
+ * run on the other workers, which start on first use; with a pool of one
+ * they queue on worker 0 behind interactive jobs.
+ *
+ * Usage:
+ *   const pool = new WorkerPool(() => new ManifoldWorker(), getPoolSize());
+ *   await pool.init();
+ *   const metrics = await pool.run(worker => worker.getPrintMetrics(null), { worker: 0 });
+ */
+class WorkerPool {
+  /**
+   * @param {Function} createWorker - Returns a new, uninitialized ManifoldWorker
+   * @param {number} size - Number of workers, at least 1
+   */
+  constructor(createWorker, size) {
+    this.createWorker = createWorker;
+    this.size = Math.max(1, size);
+    this.slots = [];       // { worker, busy, starting }
+    this.queue = [];       // { job, priority, worker, resolve, reject, order }
+    this.jobCounter = 0;
+  }
+
+  /**
+   * Start the preview worker; the others start when background jobs need them
+   */
+  async init() {
+    const slot = { worker: this.createWorker(), busy: false, starting: true };
+    this.slots[0] = slot;
+    try {
+      await slot.worker.init();
+    } finally {
+      slot.starting = false;
+    }
+    console.log(`[WorkerPool] Ready with up to ${this.size} worker(s)`);
+  }
+
+  /**
+   * The preview worker
+   * @returns {ManifoldWorker|null}
+   */
+  get previewWorker() {
+    return this.slots[0]?.worker || null;
+  }
+
+  /**
+   * Run a job on a worker once one is free
+   *
+   * @param {Function} job - async (worker) => result; the worker runs nothing
+   *   else until the returned promise settles
+   * @param {Object} [options]
+   * @param {number} [options.priority=JOB_PRIORITY.INTERACTIVE] - See JOB_PRIORITY
+   * @param {number|null} [options.worker=null] - Run on this worker (0 for the
+   *   previewed model); null for any background worker
+   * @returns {Promise<*>} The job's result
+   */
+  run(job, options = {}) {
+    const { priority = JOB_PRIORITY.INTERACTIVE, worker = null } = options;
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ job, priority, worker, resolve, reject, order: this.jobCounter++ });
+      this._schedule();
+    });
+  }
+
+  /**
+   * Terminate all workers; queued jobs are dropped
+   */
+  terminate() {
+    this.slots.forEach(slot => slot.worker.terminate());
+    this.slots = [];
+    this.queue = [];
+  }
+
+  // ========== Private Methods ==========
+
+  /**
+   * Whether a queued job may run on the worker in a slot
+   */
+  _canRun(entry, index) {
+    if (entry.worker !== null) return entry.worker === index;
+    return index > 0 || this.size === 1;
+  }
+
+  /**
+   * Start queued jobs on idle workers, highest priority first
+   */
+  _schedule() {
+    this.queue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+    // Start another background worker when background jobs wait and none is idle
+    const waiting = this.queue.some(entry => entry.worker === null);
+    const idleBackground = this.slots.some((slot, index) => index > 0 && !slot.busy);
+    if (waiting && !idleBackground && this.slots.length < this.size) {
+      this._spawn();
+    }
+
+    this.slots.forEach((slot, index) => {
+      if (slot.busy || slot.starting) return;
+
+      const position = this.queue.findIndex(entry => this._canRun(entry, index));
+      if (position === -1) return;
+
+      const [entry] = this.queue.splice(position, 1);
+      slot.busy = true;
+
+      Promise.resolve()
+        .then(() => entry.job(slot.worker))
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          slot.busy = false;
+          this._schedule();
+        });
+    });
+  }
+
+  /**
+   * Start a background worker
+   */
+  _spawn() {
+    const index = this.slots.length;
+    const slot = { worker: this.createWorker(), busy: false, starting: true };
+    this.slots.push(slot);
+
+    slot.worker.init()
+      .then(() => {
+        console.log(`[WorkerPool] Started worker ${index}`);
+      })
+      .catch(error => {
+        // Fall back to the workers that did start; with none, jobs go to the preview worker
+        console.error(`[WorkerPool] Worker ${index} failed to start:`, error);
+        slot.worker.terminate();
+        this.slots.splice(this.slots.indexOf(slot), 1);
+        this.size = this.slots.length;
+      })
+      .finally(() => {
+        slot.starting = false;
+        this._schedule();
+      });
+  }
+}
+
+export default WorkerPool;
@@ -5,13 +5,13 @@ export const DEFAULT_SCRIPT = `// ==============================================
 // Demonstrates: loft, shell, addDraft, sweep, getDimensions (sketch relations)
 // ============================================================================
 
-const topRadius = 46;       // Round top
-const baseSize = 57;        // Square base
-const cupHeight = 125;      // Cup height
-const wallThickness = 2;    // Shell wall thickness
-const draftAngle = 5;       // Draft angle in degrees
-const beadRadius = 2;       // Rim bead radius
-const segments = 128;       // Resolution
+const topRadius = 46;       // [30:1:60] Round top
+const baseSize = 57;        // [40:1:80] Square base
+const cupHeight = 125;      // [60:5:200] Cup height
+const wallThickness = 2;    // [1:0.5:5] Shell wall thickness
+const draftAngle = 5;       // [0:1:10] Draft angle in degrees
+const beadRadius = 2;       // [1:0.5:4] Rim bead radius
+const segments = 128;       // [32, 64, 128, 256] Resolution
 
 // Make cross sections for the loft 
 const topFace = CrossSection.circle(topRadius, segments);
@@ -27,8 +27,8 @@ let cup = loft({
   resolution: segments
 });
 
-// Shell it
-const innerTool = shell(cup, wallThickness, 'z');
+// Shell it, leaving the wide end open
+const innerTool = shell(cup, wallThickness, { open: '-z' });
 cup = cup.subtract(innerTool);
 
 // Add draft angle
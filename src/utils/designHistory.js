@@ -0,0 +1,223 @@
+// utils/designHistory.js
+// Branching design history: each design has named branches of commits
+// (script versions), a current branch, and a thumbnail per commit.
+// All functions return a new history object and leave the old one unchanged.
+//
+// Shape:
+//   {
+//     design: 'bracket',
+//     currentBranch: 'main',
+//     branches: {
+//       main: { commits: [{ id, code, message, timestamp }], head: 2, parent: null },
+//       'main-2': { commits, head, parent: { branch: 'main', commitId } }
+//     },
+//     thumbnails: { [commitId]: 'data:image/jpeg;base64,...' }
+//   }
+//
+// Branches share their commits up to the commit they were created from, so
+// commit ids identify the same version across branches.
+
+export const MAIN_BRANCH = 'main';
+
+/**
+ * Empty history for a design
+ * @param {string} design - Design name the history is stored under
+ */
+export const createHistory = (design) => ({
+  design,
+  currentBranch: MAIN_BRANCH,
+  branches: {
+    [MAIN_BRANCH]: { commits: [], head: -1, parent: null }
+  },
+  thumbnails: {}
+});
+
+const createCommitId = () =>
+  `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+
+/**
+ * The branch being edited
+ */
+export const getCurrentBranch = (history) => history.branches[history.currentBranch];
+
+/**
+ * The commit the editor shows, or null for an empty history
+ */
+export const getHeadCommit = (history) => {
+  const branch = getCurrentBranch(history);
+  return branch.commits[branch.head] || null;
+};
+
+/**
+ * Unused branch name based on another, e.g. 'main-2'
+ */
+export const nextBranchName = (history, base) => {
+  const root = base.replace(/-\d+$/, '');
+  let n = 2;
+  while (history.branches[`${root}-${n}`]) n++;
+  return `${root}-${n}`;
+};
+
+/**
+ * Add a version of the script after the head of the current branch
+ *
+ * Committing while an earlier commit is checked out (after undo) starts a new
+ * branch from it, so the commits after it stay on the original branch rather
+ * than being discarded. A commit identical to the head is skipped.
+ *
+ * @param {Object} history
+ * @param {string} code - Script source
+ * @param {string} message - Prompt text, 'Manual edit', 'Imported part.stl', ...
+ * @param {string|null} [thumbnail] - Data URL of the model the code produces
+ * @returns {Object} New history
+ */
+export const addCommit = (history, code, message, thumbnail = null) => {
+  const branch = getCurrentBranch(history);
+  const head = branch.commits[branch.head];
+  if (head && head.code === code) return history;
+
+  const commit = { id: createCommitId(), code, message, timestamp: Date.now() };
+  const thumbnails = thumbnail
+    ? { ...history.thumbnails, [commit.id]: thumbnail }
+    : history.thumbnails;
+
+  if (branch.head < branch.commits.length - 1) {
+    const name = nextBranchName(history, history.currentBranch);
+    return {
+      ...history,
+      currentBranch: name,
+      branches: {
+        ...history.branches,
+        [name]: {
+          commits: [...branch.commits.slice(0, branch.head + 1), commit],
+          head: branch.head + 1,
+          parent: { branch: history.currentBranch, commitId: head.id }
+        }
+      },
+      thumbnails
+    };
+  }
+
+  return {
+    ...history,
+    branches: {
+      ...history.branches,
+      [history.currentBranch]: {
+        ...branch,
+        commits: [...branch.commits, commit],
+        head: branch.commits.length
+      }
+    },
+    thumbnails
+  };
+};
+
+/**
+ * Move the current branch's head to one of its commits (undo, redo, or a
+ * click in the timeline)
+ * @param {Object} history
+ * @param {number} index - Commit index in the current branch
+ * @returns {Object} New history
+ */
+export const checkoutCommit = (history, index) => {
+  const branch = getCurrentBranch(history);
+  if (index < 0 || index >= branch.commits.length || index === branch.head) return history;
+
+  return {
+    ...history,
+    branches: {
+      ...history.branches,
+      [history.currentBranch]: { ...branch, head: index }
+    }
+  };
+};
+
+/**
+ * Create a branch ending at a commit of another branch and switch to it
+ * @param {Object} history
+ * @param {string} name - New branch name
+ * @param {string} fromBranch - Branch holding the commit
+ * @param {number} index - Commit index in fromBranch
+ * @returns {Object} New history
+ */
+export const createBranch = (history, name, fromBranch, index) => {
+  const source = history.branches[fromBranch];
+  if (!source || !source.commits[index]) {
+    throw new Error(`No commit ${index} on branch '${fromBranch}'`);
+  }
+  if (!name || !name.trim()) {
+    throw new Error('Branch name is required');
+  }
+  if (history.branches[name]) {
+    throw new Error(`Branch '${name}' already exists`);
+  }
+
+  return {
+    ...history,
+    currentBranch: name,
+    branches: {
+      ...history.branches,
+      [name]: {
+        commits: source.commits.slice(0, index + 1),
+        head: index,
+        parent: { branch: fromBranch, commitId: source.commits[index].id }
+      }
+    }
+  };
+};
+
+/**
+ * Make another branch current; the editor should then load its head commit
+ */
+export const switchBranch = (history, name) => {
+  if (!history.branches[name]) {
+    throw new Error(`Branch '${name}' does not exist`);
+  }
+  if (name === history.currentBranch) return history;
+  return { ...history, currentBranch: name };
+};
+
+/**
+ * Record the thumbnail of the model a commit produces
+ */
+export const setThumbnail = (history, commitId, thumbnail) => {
+  if (history.thumbnails[commitId] === thumbnail) return history;
+  return {
+    ...history,
+    thumbnails: { ...history.thumbnails, [commitId]: thumbnail }
+  };
+};
+
+/**
+ * Where two branches diverge: the last commit they share and the commits
+ * each has after it
+ * @param {Object} history
+ * @param {string} nameA
+ * @param {string} nameB
+ * @returns {{ base: Object|null, onlyA: Object[], onlyB: Object[] }}
+ */
+export const compareBranches = (history, nameA, nameB) => {
+  const a = history.branches[nameA]?.commits || [];
+  const b = history.branches[nameB]?.commits || [];
+
+  let shared = 0;
+  while (shared < a.length && shared < b.length && a[shared].id === b[shared].id) {
+    shared++;
+  }
+
+  return {
+    base: shared > 0 ? a[shared - 1] : null,
+    onlyA: a.slice(shared),
+    onlyB: b.slice(shared)
+  };
+};
+
+/**
+ * Whether a stored value looks like a history this module can use
+ */
+export const isValidHistory = (value) =>
+  !!value &&
+  typeof value === 'object' &&
+  !!value.branches &&
+  !!value.branches[value.currentBranch] &&
+  Array.isArray(value.branches[value.currentBranch].commits);
@@ -0,0 +1,47 @@
+// utils/diffOverlay.js
+import { Mesh, MeshLambertMaterial } from 'three';
+
+/**
+ * Colors of the compare mode, by kind of material
+ */
+export const DIFF_COLORS = {
+  added: '#22c55e',      // green-500, only in the newer version
+  removed: '#ef4444',    // red-500, only in the older version
+  unchanged: '#9ca3af',  // gray-400, in both
+};
+
+/**
+ * Mesh showing one kind of material of a geometry diff
+ * Unchanged material is see-through so changes inside the part stay visible.
+ * @param {BufferGeometry} geometry - Geometry of the material; owned by the mesh
+ * @param {'added'|'removed'|'unchanged'} kind
+ * @returns {Mesh}
+ */
+export function createDiffOverlay(geometry, kind) {
+  const isUnchanged = kind === 'unchanged';
+  const material = new MeshLambertMaterial({
+    color: DIFF_COLORS[kind],
+    flatShading: true,
+    transparent: isUnchanged,
+    opacity: isUnchanged ? 0.3 : 1,
+    depthWrite: !isUnchanged,
+  });
+
+  const mesh = new Mesh(geometry, material);
+  mesh.name = kind;
+  // Draw see-through material last so it blends over the solid changes
+  mesh.renderOrder = isUnchanged ? 1 : 0;
+  return mesh;
+}
+
+/**
+ * Dispose diff meshes and remove them from their group
+ * @param {Group} group
+ */
+export function disposeDiffOverlays(group) {
+  [...group.children].forEach(mesh => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    group.remove(mesh);
+  });
+}
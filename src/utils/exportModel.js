@@ -1,9 +1,51 @@
 // utils/exportModel.js
-// 3MF export functionality (only format supported)
+// Model export functionality (3MF, binary STL and ASCII STL)
 
 import { saveAs } from 'file-saver';
 import manifoldContext from './ManifoldWorker';
-import { export3MF, export3MFBase64, blobToBase64 } from './model-io';
+import { export3MF, exportSTLBinary, exportSTLAscii, blobToBase64 } from './model-io';
+
+/**
+ * Download formats offered in the UI
+ */
+export const EXPORT_FORMATS = {
+  '3mf': { label: '3MF', extension: '3mf' },
+  'stl': { label: 'STL (binary)', extension: 'stl' },
+  'stl-ascii': { label: 'STL (ASCII)', extension: 'stl' }
+};
+
+/**
+ * Check that mesh data (or every part of it) has geometry to export
+ */
+const isExportableMesh = (meshData) => {
+  return Array.isArray(meshData)
+    ? meshData.length > 0 && meshData.every(part => part.mesh?.vertProperties)
+    : Boolean(meshData?.vertProperties);
+};
+
+/**
+ * Parts as 3MF objects: a part with copies is written once, from the mesh of
+ * one copy, with a build item per copy (STL keeps every copy in the mesh)
+ */
+const to3MFParts = (meshData) => {
+  if (!Array.isArray(meshData)) return meshData;
+  return meshData.map(part => (part.transforms && part.originalMesh
+    ? { ...part, mesh: part.originalMesh }
+    : part));
+};
+
+/**
+ * Compute the SHA-256 hex digest of a script. Stored in 3MF object metadata
+ * so exported parts can be traced back to the code that produced them.
+ * @param {string} script - Script source
+ * @returns {Promise<string|null>} Hex digest, or null where Web Crypto is unavailable (insecure origins)
+ */
+export async function hashScript(script) {
+  if (!script || !globalThis.crypto?.subtle) return null;
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(script));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
 /**
  * Generate a 3MF blob from the current script
@@ -19,38 +61,60 @@ export async function generate3MFBlob(currentScript) {
     throw new Error('Manifold worker not initialized');
   }
 
-  // Execute script via worker to get mesh data
-  const result = await manifoldContext.executeScript(currentScript);
+  // Execute script on a background worker to get mesh data
+  const result = await manifoldContext.runScriptJob(currentScript);
   
   if (!result || !result.mesh) {
     throw new Error('Invalid manifold result for export');
   }
 
-  return export3MF(result.mesh, 'model', {
+  // Multi-part results are written as separate objects
+  return export3MF(to3MFParts(result.parts || result.mesh), 'model', {
     unit: 'millimeter',
     title: 'Manifold Model',
-    designer: 'Manifold Web CAD'
+    designer: 'Manifold Web CAD',
+    scriptHash: await hashScript(currentScript)
   });
 }
 
 /**
  * Generate a 3MF blob from existing mesh data (avoids re-execution)
- * @param {Object} meshData - Mesh data from previous execution
+ * @param {Object|Array<{name: string, mesh: Object}>} meshData - Mesh data from
+ *   previous execution, or its parts to export as separate objects
  * @param {Object} options - Export options
+ * @param {string} [options.script] - Source script, hashed into per-object metadata
  * @returns {Promise<Blob>} The 3MF file as a Blob
  */
 export async function generate3MFBlobFromMesh(meshData, options = {}) {
-  if (!meshData || !meshData.vertProperties) {
+  if (!isExportableMesh(meshData)) {
     throw new Error('Invalid mesh data for export');
   }
 
-  return export3MF(meshData, options.name || 'model', {
+  return export3MF(to3MFParts(meshData), options.name || 'model', {
     unit: options.unit || 'millimeter',
     title: options.title || 'Manifold Model',
-    designer: options.designer || 'Manifold Web CAD'
+    designer: options.designer || 'Manifold Web CAD',
+    scriptHash: await hashScript(options.script)
   });
 }
 
+/**
+ * Generate an STL blob from existing mesh data (avoids re-execution)
+ * @param {Object|Array<{name: string, mesh: Object}>} meshData - Mesh data or parts from previous execution
+ * @param {Object} options - Export options
+ * @param {boolean} [options.binary=true] - Write binary STL (false for ASCII)
+ * @param {string} [options.name='model'] - Solid name
+ * @returns {Blob} The STL file as a Blob
+ */
+export function generateSTLBlobFromMesh(meshData, options = {}) {
+  if (!isExportableMesh(meshData)) {
+    throw new Error('Invalid mesh data for export');
+  }
+
+  const { binary = true, name = 'model' } = options;
+  return binary ? exportSTLBinary(meshData, name) : exportSTLAscii(meshData, name);
+}
+
 /**
  * Export 3MF as base64 string (for API/database storage)
  * @param {string} currentScript - The Manifold script to execute
@@ -63,11 +127,12 @@ export async function get3MFBase64(currentScript) {
 
 /**
  * Export 3MF as base64 from existing mesh data
- * @param {Object} meshData - Mesh data from previous execution
+ * @param {Object|Array} meshData - Mesh data or parts from previous execution
+ * @param {Object} options - Export options (see generate3MFBlobFromMesh)
  * @returns {Promise<string>} Base64 encoded 3MF file
  */
-export async function get3MFBase64FromMesh(meshData) {
-  const blob = await generate3MFBlobFromMesh(meshData);
+export async function get3MFBase64FromMesh(meshData, options = {}) {
+  const blob = await generate3MFBlobFromMesh(meshData, options);
   return blobToBase64(blob);
 }
 
@@ -89,23 +154,35 @@ export async function downloadModel(currentScript, filename = 'model') {
 
 /**
  * Download model from existing mesh data (avoids re-execution)
- * @param {Object} meshData - Mesh data from previous execution
+ * @param {Object|Array} meshData - Mesh data or parts from previous execution
  * @param {string} filename - Filename without extension (default: 'model')
+ * @param {string} format - Key of EXPORT_FORMATS (default: '3mf')
+ * @param {Object} options - Export options
+ * @param {string} [options.script] - Source script, hashed into 3MF metadata
  */
-export async function downloadModelFromMesh(meshData, filename = 'model') {
+export async function downloadModelFromMesh(meshData, filename = 'model', format = '3mf', options = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
   try {
-    const blob = await generate3MFBlobFromMesh(meshData);
-    saveAs(blob, `${filename}.3mf`);
-    console.log('[Export] 3MF exported successfully');
+    const blob = format === '3mf'
+      ? await generate3MFBlobFromMesh(meshData, { script: options.script })
+      : generateSTLBlobFromMesh(meshData, { binary: format === 'stl', name: filename });
+    saveAs(blob, `${filename}.${exportFormat.extension}`);
+    console.log(`[Export] ${exportFormat.label} exported successfully`);
   } catch (error) {
-    console.error('[Export] Error exporting 3MF:', error);
+    console.error(`[Export] Error exporting ${exportFormat.label}:`, error);
     throw error;
   }
 }
 
 export default {
+  hashScript,
   generate3MFBlob,
   generate3MFBlobFromMesh,
+  generateSTLBlobFromMesh,
   get3MFBase64,
   get3MFBase64FromMesh,
   downloadModel,
@@ -0,0 +1,75 @@
+// utils/historyStorage.js - Persist design history in IndexedDB across reloads
+
+import { isValidHistory } from './designHistory';
+
+const DB_NAME = 'SurfHistoryDB';
+const DB_VERSION = 1;
+const STORE_NAME = 'designs';
+
+// Design name used until a file is opened or imported
+export const UNTITLED_DESIGN = 'untitled';
+
+const initDB = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'design' });
+      }
+    };
+  });
+};
+
+/**
+ * Save a design's history, replacing what was stored for it
+ * @param {Object} history - History from designHistory.js; history.design is the key
+ */
+export const saveDesignHistory = async (history) => {
+  try {
+    const db = await initDB();
+    const tx = db.transaction([STORE_NAME], 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+
+    await new Promise((resolve, reject) => {
+      const request = store.put({ design: history.design, history, savedAt: Date.now() });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('[HistoryStorage] Save error:', error);
+  }
+};
+
+/**
+ * Load a design's saved history
+ * @param {string} design - Design name
+ * @returns {Promise<Object|null>} The history, or null if none was saved
+ */
+export const loadDesignHistory = async (design) => {
+  try {
+    const db = await initDB();
+    const tx = db.transaction([STORE_NAME], 'readonly');
+    const store = tx.objectStore(STORE_NAME);
+
+    return await new Promise((resolve) => {
+      const request = store.get(design);
+      request.onsuccess = () => {
+        const history = request.result?.history;
+        if (history && !isValidHistory(history)) {
+          console.warn(`[HistoryStorage] Ignoring unreadable history for ${design}`);
+          resolve(null);
+          return;
+        }
+        resolve(history ? { thumbnails: {}, ...history } : null);
+      };
+      request.onerror = () => resolve(null);
+    });
+  } catch (error) {
+    console.error('[HistoryStorage] Load error:', error);
+    return null;
+  }
+};
+
@@ -3,7 +3,9 @@
 // Uses OBJ as intermediate format for reliable Manifold construction
 
 import manifoldContext from './ManifoldWorker';
-import { importSTL, importOBJ, import3MF, meshToOBJ } from './model-io';
+import { importSTL, importOBJ, import3MF, bake3MFObject, meshToOBJ } from './model-io';
+import { createRepairReport } from '../../shared/meshRepair.js';
+import { toMeshBuffers } from '../../shared/meshBuffers.js';
 
 // ============================================================================
 // IndexedDB CACHE
@@ -29,6 +31,7 @@ const initDB = () => {
 
 /**
  * Cache manifold mesh data in IndexedDB
+ * Arrays are stored as Float32Array/Uint32Array, ready to transfer to the worker
  */
 export const cacheManifoldData = async (filename, meshData) => {
   try {
@@ -37,7 +40,7 @@ export const cacheManifoldData = async (filename, meshData) => {
     const store = tx.objectStore(STORE_NAME);
     
     await new Promise((resolve, reject) => {
-      const request = store.put({ filename, meshData, timestamp: Date.now() });
+      const request = store.put({ filename, meshData: toMeshBuffers(meshData), timestamp: Date.now() });
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
@@ -60,7 +63,9 @@ export const getCachedManifoldData = async (filename) => {
     return new Promise((resolve) => {
       const request = store.get(filename);
       request.onsuccess = () => {
-        resolve(request.result?.meshData || null);
+        // Entries cached before typed arrays were stored hold plain arrays
+        const meshData = request.result?.meshData;
+        resolve(meshData ? toMeshBuffers(meshData) : null);
       };
       request.onerror = () => resolve(null);
     });
@@ -180,6 +185,32 @@ const importedModel = window.__importedManifolds['${filename}'];
 return importedModel;`;
 };
 
+/**
+ * Generate script for accessing a multi-object import (e.g. a 3MF build plate)
+ * Returns the objects as named parts, keeping their colors
+ */
+export const generateMultiPartImportScript = (filename, parts) => {
+  const totalVolume = parts.reduce((sum, part) => sum + part.volume, 0);
+  const entries = parts.map(part => {
+    const manifold = `window.__importedManifolds[${JSON.stringify(part.key)}]`;
+    const value = part.color
+      ? `{ manifold: ${manifold}, color: ${JSON.stringify(part.color)} }`
+      : manifold;
+    return `  ${JSON.stringify(part.name)}: ${value}`;
+  });
+
+  return `// Imported model: ${filename}
+// Objects: ${parts.length}
+// Volume: ${totalVolume.toFixed(2)} mm³
+//
+// Each object was imported as its own Manifold, placed as on the build plate.
+// You can use all Manifold operations on them.
+
+return {
+${entries.join(',\n')}
+};`;
+};
+
 // ============================================================================
 // STEP IMPORT (Backend)
 // ============================================================================
@@ -223,7 +254,7 @@ export const importStepFile = async (file, deflection = 0.1) => {
       throw new Error(response.details || 'STEP conversion failed');
     }
     
-    const meshData = response.data;
+    const meshData = toMeshBuffers(response.data);
     
     // Cache
     await cacheManifoldData(filename, meshData);
@@ -245,9 +276,62 @@ export const importStepFile = async (file, deflection = 0.1) => {
 // MESH IMPORT (Frontend via OBJ conversion)
 // ============================================================================
 
+/**
+ * Import each object of a multi-object 3MF as a separate Manifold
+ * Objects are cached as `${filename}:${objectName}`
+ */
+const import3MFObjects = async (filename, objects) => {
+  const baseName = filename.replace(/\.[^.]+$/, '');
+  const usedNames = new Set();
+  const parts = [];
+
+  for (const object of objects) {
+    // Unique name without quotes, which parseImportedModels cannot match
+    const cleanName = object.name.replace(/['"`]/g, '').trim() || 'Object';
+    let name = cleanName;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${cleanName} (${n})`;
+    }
+    usedNames.add(name);
+
+    const key = `${filename}:${name}`;
+    console.log(`[Import] Sending object "${name}" to Manifold worker...`);
+    const objString = meshToOBJ(bake3MFObject(object), `${baseName}_${name}`);
+    const result = await manifoldContext.importOBJ(objString, key);
+
+    if (!result || !result.mesh) {
+      throw new Error(`Failed to create Manifold from object "${name}"`);
+    }
+
+    await cacheManifoldData(key, result.mesh);
+    manifoldContext.cacheImportedModel(key, result.mesh);
+
+    parts.push({ key, name, color: object.color, ...result });
+  }
+
+  return parts;
+};
+
+/**
+ * Add up the repair reports of several imported objects
+ */
+const sumRepairReports = (reports) => {
+  const total = createRepairReport();
+  reports.forEach(report => {
+    Object.keys(total).forEach(key => {
+      total[key] += report?.[key] || 0;
+    });
+  });
+  return total;
+};
+
 /**
  * Import STL, OBJ, or 3MF file
- * Converts to OBJ internally for reliable Manifold construction
+ * Converts to OBJ internally for reliable Manifold construction.
+ * 3MF files with several build items are imported as one part per object.
+ * Meshes that aren't watertight solids are repaired; `repair` in the result
+ * lists what was fixed and what was left, such as self-intersections (see
+ * createRepairReport in shared/meshRepair.js).
  */
 export const importMeshFile = async (file) => {
   const startTime = Date.now();
@@ -279,6 +363,29 @@ export const importMeshFile = async (file) => {
     
     console.log(`[Import] Parsed ${meshData.vertices.length} vertices, ${meshData.triangles.length} triangles`);
     
+    if (meshData.objects?.length > 1) {
+      console.log(`[Import] Found ${meshData.objects.length} objects, importing separately...`);
+      const parts = await import3MFObjects(filename, meshData.objects);
+      
+      const volume = parts.reduce((sum, part) => sum + part.volume, 0);
+      const boundingBox = {
+        min: [0, 1, 2].map(i => Math.min(...parts.map(part => part.boundingBox.min[i]))),
+        max: [0, 1, 2].map(i => Math.max(...parts.map(part => part.boundingBox.max[i])))
+      };
+      
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+      console.log(`[Import] ✓ Mesh import complete in ${duration}s (${parts.length} objects, volume: ${volume.toFixed(2)} mm³)`);
+      
+      return {
+        script: generateMultiPartImportScript(filename, parts),
+        filename,
+        meshData: parts[0].mesh,
+        volume,
+        boundingBox,
+        repair: sumRepairReports(parts.map(part => part.repair))
+      };
+    }
+    
     // Step 2: Convert to OBJ string (the reliable intermediate format)
     console.log('[Import] Converting to OBJ format...');
     const objString = meshToOBJ(meshData, filename.replace(/\.[^.]+$/, ''));
@@ -306,7 +413,8 @@ export const importMeshFile = async (file) => {
       filename,
       meshData: result.mesh,
       volume: result.volume,
-      boundingBox: result.boundingBox
+      boundingBox: result.boundingBox,
+      repair: result.repair
     };
   } catch (error) {
     console.error('[Import] Mesh import failed:', error);
@@ -350,6 +458,7 @@ export default {
   // Script utilities
   parseImportedModels,
   generateImportScript,
+  generateMultiPartImportScript,
   
   // Cache utilities
   cacheManifoldData,
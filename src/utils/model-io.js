@@ -150,15 +150,25 @@ function parseOBJ(text) {
 
 /**
  * Parse 3MF file (ZIP containing XML)
+ * 
+ * Every build item becomes its own entry in `objects`, with the object's mesh
+ * in local coordinates and the item transform alongside. Components are
+ * flattened into their parent object, including components stored in other
+ * model parts of the package (as written by Bambu Studio / PrusaSlicer).
+ * `vertices`/`triangles` hold all items merged with their transforms applied.
+ * 
  * @param {File|ArrayBuffer} file
- * @returns {Promise<{vertices: number[][], triangles: number[][]}>}
+ * @returns {Promise<{vertices: number[][], triangles: number[][], objects: Array<{
+ *   name: string, partNumber: string|null, color: string|null, metadata: Object,
+ *   transform: number[]|null, vertices: number[][], triangles: number[][]
+ * }>}>}
  */
 export async function import3MF(file) {
   const buffer = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
   const zipContents = await parseZip(buffer);
   
   // Find model XML
-  let modelXML = null;
+  let modelPath = null;
   
   // Check relationships for model path
   const rels = zipContents['_rels/.rels'];
@@ -168,84 +178,295 @@ export async function import3MF(file) {
     if (match) {
       const path = match[1].replace(/^\//, '');
       if (zipContents[path]) {
-        modelXML = new TextDecoder().decode(zipContents[path]);
+        modelPath = path;
       }
     }
   }
   
   // Try common paths
-  if (!modelXML) {
-    for (const path of ['3D/3dmodel.model', '3d/3dmodel.model']) {
-      if (zipContents[path]) {
-        modelXML = new TextDecoder().decode(zipContents[path]);
-        break;
-      }
-    }
+  if (!modelPath) {
+    modelPath = ['3D/3dmodel.model', '3d/3dmodel.model'].find(path => zipContents[path]) || null;
   }
   
   // Search for any .model file
-  if (!modelXML) {
-    for (const [path, content] of Object.entries(zipContents)) {
-      if (path.endsWith('.model')) {
-        modelXML = new TextDecoder().decode(content);
-        break;
+  if (!modelPath) {
+    modelPath = Object.keys(zipContents).find(path => path.endsWith('.model')) || null;
+  }
+  
+  if (!modelPath) {
+    throw new Error('No model file found in 3MF');
+  }
+  
+  // Parse model parts lazily, components may reference other parts by path
+  const parsedModels = new Map();
+  const getModel = (path) => {
+    const key = path.replace(/^\//, '');
+    if (!parsedModels.has(key)) {
+      if (!zipContents[key]) {
+        throw new Error(`3MF references missing model part: ${path}`);
       }
+      parsedModels.set(key, parse3MFModel(new TextDecoder().decode(zipContents[key])));
+    }
+    return parsedModels.get(key);
+  };
+  
+  const rootModel = getModel(modelPath);
+  
+  // Collect an object's geometry in its own coordinates, flattening components
+  const collectGeometry = (model, objectId, vertices, triangles, transform, depth = 0) => {
+    if (depth > 16) {
+      throw new Error('3MF component nesting is too deep');
     }
+    
+    const object = model.objects.get(objectId);
+    if (!object) {
+      throw new Error(`3MF build references unknown object ${objectId}`);
+    }
+    
+    const offset = vertices.length;
+    for (const vertex of object.vertices) {
+      vertices.push(transform ? apply3MFTransform(transform, vertex) : vertex);
+    }
+    for (const [v1, v2, v3] of object.triangles) {
+      triangles.push([v1 + offset, v2 + offset, v3 + offset]);
+    }
+    
+    for (const component of object.components) {
+      const componentModel = component.path ? getModel(component.path) : model;
+      const combined = multiply3MFTransforms(component.transform, transform);
+      collectGeometry(componentModel, component.objectId, vertices, triangles, combined, depth + 1);
+    }
+  };
+  
+  // Files without a build section still get all their mesh objects
+  const items = rootModel.items.length > 0
+    ? rootModel.items
+    : [...rootModel.objects.values()]
+      .filter(object => object.vertices.length > 0)
+      .map(object => ({ objectId: object.id, transform: null }));
+  
+  const objects = items.map(item => {
+    const object = rootModel.objects.get(item.objectId);
+    const vertices = [];
+    const triangles = [];
+    collectGeometry(rootModel, item.objectId, vertices, triangles, null);
+    
+    const material = object?.pid ? rootModel.materials.get(object.pid) : null;
+    
+    return {
+      name: object?.name || `Object ${item.objectId}`,
+      partNumber: object?.partNumber || null,
+      color: material?.[object.pindex || 0] || null,
+      metadata: object?.metadata || {},
+      transform: item.transform,
+      vertices,
+      triangles
+    };
+  }).filter(object => object.triangles.length > 0);
+  
+  if (objects.length === 0) {
+    throw new Error('No geometry found in 3MF');
   }
   
-  if (!modelXML) {
-    throw new Error('No model file found in 3MF');
+  // Merged geometry in build coordinates
+  const vertices = [];
+  const triangles = [];
+  for (const object of objects) {
+    const offset = vertices.length;
+    const baked = bake3MFObject(object);
+    for (const vertex of baked.vertices) {
+      vertices.push(vertex);
+    }
+    for (const [v1, v2, v3] of baked.triangles) {
+      triangles.push([v1 + offset, v2 + offset, v3 + offset]);
+    }
   }
   
-  return parse3MFModel(modelXML);
+  return { vertices, triangles, objects };
 }
 
-function parse3MFModel(xml) {
-  const vertices = [];
-  const triangles = [];
+/**
+ * Get an imported 3MF object's geometry in build plate coordinates
+ * @param {{vertices: number[][], triangles: number[][], transform: number[]|null}} object - Entry of import3MF().objects
+ * @returns {{vertices: number[][], triangles: number[][]}}
+ */
+export function bake3MFObject(object) {
+  return {
+    vertices: object.transform
+      ? object.vertices.map(vertex => apply3MFTransform(object.transform, vertex))
+      : object.vertices,
+    triangles: object.triangles
+  };
+}
+
+/**
+ * Read an attribute from a start tag
+ */
+function get3MFAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'));
+  return match ? unescapeXML(match[1]) : null;
+}
+
+/**
+ * Unescape XML entities in attribute values and text content
+ */
+function unescapeXML(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a 3MF transform attribute into its 12 values
+ */
+function parse3MFTransform(value) {
+  if (!value) return null;
+  const values = value.trim().split(/\s+/).map(parseFloat);
+  return values.length === 12 && values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Apply a 3MF transform (row vector convention) to a point
+ */
+function apply3MFTransform(m, [x, y, z]) {
+  return [
+    x * m[0] + y * m[3] + z * m[6] + m[9],
+    x * m[1] + y * m[4] + z * m[7] + m[10],
+    x * m[2] + y * m[5] + z * m[8] + m[11]
+  ];
+}
+
+/**
+ * Combine two 3MF transforms: the result applies `a` first, then `b`
+ */
+function multiply3MFTransforms(a, b) {
+  if (!a) return b;
+  if (!b) return a;
   
-  // Parse vertices - handle attribute order variations
-  const vertexRegex = /<vertex[^>]+>/gi;
+  const result = new Array(12);
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 3; col++) {
+      let sum = row === 3 ? b[9 + col] : 0;
+      for (let k = 0; k < 3; k++) {
+        sum += a[row * 3 + k] * b[k * 3 + col];
+      }
+      result[row * 3 + col] = sum;
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse a single 3MF model part into objects, base materials and build items
+ */
+function parse3MFModel(xml) {
+  const objects = new Map();
+  const materials = new Map();
+  const items = [];
   let match;
   
-  while ((match = vertexRegex.exec(xml)) !== null) {
-    const tag = match[0];
-    const x = tag.match(/x="([^"]+)"/i);
-    const y = tag.match(/y="([^"]+)"/i);
-    const z = tag.match(/z="([^"]+)"/i);
-    
-    if (x && y && z) {
-      vertices.push([
-        parseFloat(x[1]),
-        parseFloat(y[1]),
-        parseFloat(z[1])
-      ]);
+  // Base materials: id -> list of display colors
+  const materialsRegex = /<(?:\w+:)?basematerials\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?basematerials>/gi;
+  while ((match = materialsRegex.exec(xml)) !== null) {
+    const id = get3MFAttribute(match[1], 'id');
+    const colors = [];
+    const baseRegex = /<(?:\w+:)?base\b[^>]*>/gi;
+    let baseMatch;
+    while ((baseMatch = baseRegex.exec(match[2])) !== null) {
+      const color = get3MFAttribute(baseMatch[0], 'displaycolor');
+      colors.push(color ? color.slice(0, 7).toLowerCase() : null);
     }
+    materials.set(id, colors);
   }
   
-  // Parse triangles
-  const triRegex = /<triangle[^>]+>/gi;
-  
-  while ((match = triRegex.exec(xml)) !== null) {
-    const tag = match[0];
-    const v1 = tag.match(/v1="(\d+)"/i);
-    const v2 = tag.match(/v2="(\d+)"/i);
-    const v3 = tag.match(/v3="(\d+)"/i);
+  // Objects with either a mesh or components
+  const objectRegex = /<(?:\w+:)?object\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?object>/gi;
+  while ((match = objectRegex.exec(xml)) !== null) {
+    const attributes = match[1];
+    const body = match[2];
+    const id = get3MFAttribute(attributes, 'id');
     
-    if (v1 && v2 && v3) {
-      triangles.push([
-        parseInt(v1[1]),
-        parseInt(v2[1]),
-        parseInt(v3[1])
-      ]);
+    const vertices = [];
+    const triangles = [];
+    const components = [];
+    const metadata = {};
+    
+    // Parse vertices - handle attribute order variations
+    const vertexRegex = /<(?:\w+:)?vertex\b[^>]+>/gi;
+    let tagMatch;
+    while ((tagMatch = vertexRegex.exec(body)) !== null) {
+      const tag = tagMatch[0];
+      const x = get3MFAttribute(tag, 'x');
+      const y = get3MFAttribute(tag, 'y');
+      const z = get3MFAttribute(tag, 'z');
+      
+      if (x !== null && y !== null && z !== null) {
+        vertices.push([parseFloat(x), parseFloat(y), parseFloat(z)]);
+      }
+    }
+    
+    // Parse triangles
+    const triRegex = /<(?:\w+:)?triangle\b[^>]+>/gi;
+    while ((tagMatch = triRegex.exec(body)) !== null) {
+      const tag = tagMatch[0];
+      const v1 = get3MFAttribute(tag, 'v1');
+      const v2 = get3MFAttribute(tag, 'v2');
+      const v3 = get3MFAttribute(tag, 'v3');
+      
+      if (v1 !== null && v2 !== null && v3 !== null) {
+        triangles.push([parseInt(v1), parseInt(v2), parseInt(v3)]);
+      }
+    }
+    
+    // Parse components (p:path points at another model part)
+    const componentRegex = /<(?:\w+:)?component\b[^>]+>/gi;
+    while ((tagMatch = componentRegex.exec(body)) !== null) {
+      const tag = tagMatch[0];
+      components.push({
+        objectId: get3MFAttribute(tag, 'objectid'),
+        transform: parse3MFTransform(get3MFAttribute(tag, 'transform')),
+        path: get3MFAttribute(tag, 'p:path')
+      });
+    }
+    
+    // Parse object metadata
+    const metadataRegex = /<(?:\w+:)?metadata\b([^>]*)>([^<]*)<\/(?:\w+:)?metadata>/gi;
+    while ((tagMatch = metadataRegex.exec(body)) !== null) {
+      const name = get3MFAttribute(tagMatch[1], 'name');
+      if (name) {
+        metadata[name] = unescapeXML(tagMatch[2].trim());
+      }
     }
+    
+    objects.set(id, {
+      id,
+      name: get3MFAttribute(attributes, 'name'),
+      partNumber: get3MFAttribute(attributes, 'partnumber'),
+      pid: get3MFAttribute(attributes, 'pid'),
+      pindex: parseInt(get3MFAttribute(attributes, 'pindex') || '0'),
+      metadata,
+      vertices,
+      triangles,
+      components
+    });
   }
   
-  if (vertices.length === 0 || triangles.length === 0) {
-    throw new Error('No geometry found in 3MF');
+  // Build items
+  const buildMatch = xml.match(/<(?:\w+:)?build\b[^>]*>([\s\S]*?)<\/(?:\w+:)?build>/i);
+  if (buildMatch) {
+    const itemRegex = /<(?:\w+:)?item\b[^>]+>/gi;
+    while ((match = itemRegex.exec(buildMatch[1])) !== null) {
+      items.push({
+        objectId: get3MFAttribute(match[0], 'objectid'),
+        transform: parse3MFTransform(get3MFAttribute(match[0], 'transform'))
+      });
+    }
   }
   
-  return { vertices, triangles };
+  return { objects, materials, items };
 }
 
 // ============================================================================
@@ -319,19 +540,216 @@ export function manifoldMeshToOBJ(mesh, name = 'model') {
 }
 
 // ============================================================================
-// 3MF EXPORT
+// STL EXPORT
 // ============================================================================
 
+// Triangles written per chunk, so large meshes never need one giant buffer or string
+const STL_CHUNK_TRIANGLES = 10000;
+
 /**
- * Export Manifold mesh to 3MF blob
- * @param {{vertProperties: Float32Array|number[], triVerts: Uint32Array|number[], numProp?: number}} mesh
- * @param {string} modelName
- * @param {{unit?: string, title?: string, designer?: string}} options
- * @returns {Promise<Blob>}
+ * Normalize export input to a list of named meshes
+ * @param {Object|Array<{name?: string, mesh: Object}>} mesh - A mesh, or a list of parts
+ * @param {string} modelName - Fallback name
+ * @returns {Array<{name: string, mesh: Object}>}
  */
-export async function export3MF(mesh, modelName = 'model', options = {}) {
+function toExportObjects(mesh, modelName) {
+  const objects = Array.isArray(mesh)
+    ? mesh.map(part => ({ name: part.name || modelName, mesh: part.mesh }))
+    : [{ name: modelName, mesh }];
+  
+  if (objects.length === 0) {
+    throw new Error('No objects to export');
+  }
+  
+  return objects;
+}
+
+/**
+ * Compute the unit normal and vertex positions of a triangle
+ * @returns {number[]} [nx, ny, nz, x0, y0, z0, x1, y1, z1, x2, y2, z2]
+ */
+function getSTLTriangle(mesh, tri) {
   const { vertProperties, triVerts, numProp = 3 } = mesh;
-  const unit = options.unit || 'millimeter';
+  const a = triVerts[tri * 3] * numProp;
+  const b = triVerts[tri * 3 + 1] * numProp;
+  const c = triVerts[tri * 3 + 2] * numProp;
+  
+  const x0 = vertProperties[a], y0 = vertProperties[a + 1], z0 = vertProperties[a + 2];
+  const x1 = vertProperties[b], y1 = vertProperties[b + 1], z1 = vertProperties[b + 2];
+  const x2 = vertProperties[c], y2 = vertProperties[c + 1], z2 = vertProperties[c + 2];
+  
+  // Normal from the cross product of the edges (CCW winding)
+  const ux = x1 - x0, uy = y1 - y0, uz = z1 - z0;
+  const vx = x2 - x0, vy = y2 - y0, vz = z2 - z0;
+  let nx = uy * vz - uz * vy;
+  let ny = uz * vx - ux * vz;
+  let nz = ux * vy - uy * vx;
+  const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  if (length > 0) {
+    nx /= length;
+    ny /= length;
+    nz /= length;
+  }
+  
+  return [nx, ny, nz, x0, y0, z0, x1, y1, z1, x2, y2, z2];
+}
+
+/**
+ * Export Manifold mesh to a binary STL blob
+ * 
+ * Triangles are written into fixed-size chunks that are handed to the Blob
+ * directly. Parts are written into a single solid, since binary STL has no
+ * notion of separate objects.
+ * 
+ * @param {{vertProperties: Float32Array|number[], triVerts: Uint32Array|number[], numProp?: number}|Array<{name?: string, mesh: Object}>} mesh
+ * @param {string} modelName
+ * @returns {Blob}
+ */
+export function exportSTLBinary(mesh, modelName = 'model') {
+  const objects = toExportObjects(mesh, modelName);
+  const totalTris = objects.reduce((sum, object) => sum + Math.floor(object.mesh.triVerts.length / 3), 0);
+  
+  // 80-byte header + triangle count. The header must not start with "solid",
+  // or readers will mistake the file for ASCII.
+  const header = new ArrayBuffer(84);
+  const headerBytes = new Uint8Array(header);
+  const label = `Binary STL: ${modelName}`.replace(/[^\x20-\x7e]/g, '_').slice(0, 80);
+  for (let i = 0; i < label.length; i++) {
+    headerBytes[i] = label.charCodeAt(i);
+  }
+  new DataView(header).setUint32(80, totalTris, true);
+  
+  const chunks = [header];
+  
+  for (const { mesh: objectMesh } of objects) {
+    const numTris = Math.floor(objectMesh.triVerts.length / 3);
+    
+    for (let start = 0; start < numTris; start += STL_CHUNK_TRIANGLES) {
+      const count = Math.min(STL_CHUNK_TRIANGLES, numTris - start);
+      const chunk = new ArrayBuffer(count * 50);
+      const view = new DataView(chunk);
+      let offset = 0;
+      
+      for (let tri = start; tri < start + count; tri++) {
+        const values = getSTLTriangle(objectMesh, tri);
+        for (let k = 0; k < 12; k++) {
+          view.setFloat32(offset, values[k], true);
+          offset += 4;
+        }
+        offset += 2; // Attribute byte count (unused, left as 0)
+      }
+      
+      chunks.push(chunk);
+    }
+  }
+  
+  return new Blob(chunks, { type: 'model/stl' });
+}
+
+/**
+ * Export Manifold mesh to an ASCII STL blob
+ * Each part is written as its own named solid.
+ * 
+ * @param {{vertProperties: Float32Array|number[], triVerts: Uint32Array|number[], numProp?: number}|Array<{name?: string, mesh: Object}>} mesh
+ * @param {string} modelName
+ * @returns {Blob}
+ */
+export function exportSTLAscii(mesh, modelName = 'model') {
+  const objects = toExportObjects(mesh, modelName);
+  const format = (value) => value.toExponential(6);
+  const chunks = [];
+  
+  for (const { name, mesh: objectMesh } of objects) {
+    // Solid names end at the first whitespace
+    const solidName = String(name).trim().replace(/\s+/g, '_') || 'model';
+    const numTris = Math.floor(objectMesh.triVerts.length / 3);
+    
+    chunks.push(`solid ${solidName}\n`);
+    
+    for (let start = 0; start < numTris; start += STL_CHUNK_TRIANGLES) {
+      const end = Math.min(start + STL_CHUNK_TRIANGLES, numTris);
+      let text = '';
+      
+      for (let tri = start; tri < end; tri++) {
+        const v = getSTLTriangle(objectMesh, tri).map(format);
+        text += `  facet normal ${v[0]} ${v[1]} ${v[2]}\n`;
+        text += '    outer loop\n';
+        text += `      vertex ${v[3]} ${v[4]} ${v[5]}\n`;
+        text += `      vertex ${v[6]} ${v[7]} ${v[8]}\n`;
+        text += `      vertex ${v[9]} ${v[10]} ${v[11]}\n`;
+        text += '    endloop\n';
+        text += '  endfacet\n';
+      }
+      
+      chunks.push(text);
+    }
+    
+    chunks.push(`endsolid ${solidName}\n`);
+  }
+  
+  return new Blob(chunks, { type: 'model/stl' });
+}
+
+// ============================================================================
+// 3MF EXPORT
+// ============================================================================
+
+/**
+ * Escape text for use in XML attributes and element content
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Namespace for SurfCAD-specific metadata (custom 3MF metadata names must be qualified)
+const SURFCAD_3MF_NAMESPACE = 'urn:surfcad:3mf:metadata';
+
+/**
+ * Convert a transform to the 12-value 3MF matrix string
+ * ("m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32", row vectors, translation last).
+ * 
+ * Accepts:
+ *   - [x, y, z]   translation
+ *   - 12 numbers  3MF order
+ *   - 16 numbers  column-major 4x4 (three.js Matrix4.elements)
+ * 
+ * @returns {string|null} Matrix string, or null for no/identity transform
+ */
+function to3MFTransform(transform) {
+  if (!transform) return null;
+  
+  let values;
+  if (transform.length === 3) {
+    values = [1, 0, 0, 0, 1, 0, 0, 0, 1, ...transform];
+  } else if (transform.length === 12) {
+    values = [...transform];
+  } else if (transform.length === 16) {
+    const e = transform;
+    values = [e[0], e[1], e[2], e[4], e[5], e[6], e[8], e[9], e[10], e[12], e[13], e[14]];
+  } else {
+    throw new Error('Transform must be a translation [x, y, z], a 3MF matrix (12 values) or a 4x4 matrix (16 values)');
+  }
+  
+  if (values.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+    throw new Error('Transform values must be finite numbers');
+  }
+  
+  const identity = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+  if (values.every((v, i) => v === identity[i])) return null;
+  
+  return values.join(' ');
+}
+
+/**
+ * Build the <object> element for a single mesh
+ */
+function build3MFObjectXML(id, object) {
+  const { vertProperties, triVerts, numProp = 3 } = object.mesh;
   
   const numVerts = Math.floor(vertProperties.length / numProp);
   const numTris = Math.floor(triVerts.length / 3);
@@ -354,6 +772,101 @@ export async function export3MF(mesh, modelName = 'model', options = {}) {
     trianglesXML += `        <triangle v1="${v1}" v2="${v2}" v3="${v3}"/>\n`;
   }
   
+  let attributes = `id="${id}" type="model" name="${escapeXML(object.name)}"`;
+  if (object.partNumber) {
+    attributes += ` partnumber="${escapeXML(object.partNumber)}"`;
+  }
+  if (object.materialIndex !== null) {
+    attributes += ` pid="${object.materialGroupId}" pindex="${object.materialIndex}"`;
+  }
+  
+  // Object metadata must precede the mesh
+  const metadataEntries = Object.entries(object.metadata);
+  const metadataXML = metadataEntries.length > 0
+    ? `      <metadatagroup>
+${metadataEntries.map(([name, value]) => `        <metadata name="${escapeXML(name)}">${escapeXML(value)}</metadata>\n`).join('')}      </metadatagroup>
+`
+    : '';
+  
+  return `    <object ${attributes}>
+${metadataXML}      <mesh>
+        <vertices>
+${verticesXML}        </vertices>
+        <triangles>
+${trianglesXML}        </triangles>
+      </mesh>
+    </object>
+`;
+}
+
+/**
+ * Export Manifold mesh to 3MF blob
+ * 
+ * Pass an array of parts to write each one as a separate object. Every part
+ * gets one build item per transform, so a plate of copies shares one mesh.
+ * Part colors are written as base materials.
+ * 
+ * @param {{vertProperties: Float32Array|number[], triVerts: Uint32Array|number[], numProp?: number}|Array<Object>} mesh
+ *   A single mesh, or parts of the form:
+ *   - name: Object name
+ *   - mesh: Mesh data
+ *   - color: Optional '#rrggbb' display color
+ *   - partNumber: Optional part number
+ *   - transform / transforms: Optional build item transform(s), see to3MFTransform()
+ *   - metadata: Optional extra { name: value } object metadata
+ * @param {string} modelName
+ * @param {Object} options
+ * @param {string} [options.unit='millimeter'] - Model unit
+ * @param {string} [options.title] - Model title
+ * @param {string} [options.designer] - Designer name
+ * @param {string} [options.scriptHash] - Hash of the generating script, stored on every object
+ * @returns {Promise<Blob>}
+ */
+export async function export3MF(mesh, modelName = 'model', options = {}) {
+  const unit = options.unit || 'millimeter';
+  const parts = Array.isArray(mesh) ? mesh : [{ name: modelName, mesh }];
+  const objects = toExportObjects(mesh, modelName);
+  
+  // One base material per distinct color
+  const colors = [...new Set(parts.map(part => part.color).filter(Boolean))];
+  const materialGroupId = objects.length + 1;
+  
+  const objectsXML = objects.map((object, i) => {
+    const part = parts[i];
+    const metadata = { ...(part.metadata || {}) };
+    if (options.scriptHash) {
+      metadata['surfcad:ScriptHash'] = options.scriptHash;
+    }
+    
+    // Default part number ties the object to the script version that produced it
+    const partNumber = part.partNumber ||
+      (options.scriptHash ? `${options.scriptHash.slice(0, 8)}-${i + 1}` : null);
+    
+    return build3MFObjectXML(i + 1, {
+      ...object,
+      partNumber,
+      metadata,
+      materialGroupId,
+      materialIndex: part.color ? colors.indexOf(part.color) : null
+    });
+  }).join('');
+  
+  const materialsXML = colors.length > 0
+    ? `    <basematerials id="${materialGroupId}">
+${colors.map((color, i) => `      <base name="${escapeXML(parts.find(part => part.color === color)?.name || `Color ${i + 1}`)}" displaycolor="${color.toUpperCase()}FF"/>\n`).join('')}    </basematerials>
+`
+    : '';
+  
+  const itemsXML = parts.map((part, i) => {
+    const transforms = part.transforms || [part.transform];
+    return transforms.map(transform => {
+      const matrix = to3MFTransform(transform);
+      return matrix
+        ? `    <item objectid="${i + 1}" transform="${matrix}"/>\n`
+        : `    <item objectid="${i + 1}"/>\n`;
+    }).join('');
+  }).join('');
+  
   const contentTypes = `<?xml version="1.0" encoding="UTF-8"?>
 <Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
   <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
@@ -366,23 +879,14 @@ export async function export3MF(mesh, modelName = 'model', options = {}) {
 </Relationships>`;
 
   const model = `<?xml version="1.0" encoding="UTF-8"?>
-<model unit="${unit}" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">
-  <metadata name="Title">${options.title || modelName}</metadata>
-  <metadata name="Designer">${options.designer || 'Manifold CAD'}</metadata>
+<model unit="${unit}" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02" xmlns:surfcad="${SURFCAD_3MF_NAMESPACE}">
+  <metadata name="Title">${escapeXML(options.title || modelName)}</metadata>
+  <metadata name="Designer">${escapeXML(options.designer || 'Manifold CAD')}</metadata>
   <metadata name="CreationDate">${new Date().toISOString()}</metadata>
   <resources>
-    <object id="1" type="model" name="${modelName}">
-      <mesh>
-        <vertices>
-${verticesXML}        </vertices>
-        <triangles>
-${trianglesXML}        </triangles>
-      </mesh>
-    </object>
-  </resources>
+${materialsXML}${objectsXML}  </resources>
   <build>
-    <item objectid="1"/>
-  </build>
+${itemsXML}  </build>
 </model>`;
 
   const zipData = await createZip({
@@ -602,8 +1106,11 @@ export default {
   importSTL,
   importOBJ,
   import3MF,
+  bake3MFObject,
   meshToOBJ,
   manifoldMeshToOBJ,
+  exportSTLBinary,
+  exportSTLAscii,
   export3MF,
   export3MFBase64,
   blobToBase64,
@@ -0,0 +1,144 @@
+// utils/overhangAnalysis.js
+import { BufferGeometry, BufferAttribute, Mesh, MeshBasicMaterial, Vector3, Color } from 'three';
+import { getFaceNormal } from './selectFace';
+import { SUPPORT_DENSITY } from '../../shared/quoteEstimator.js';
+
+// Directions the model can be printed in; the vector points away from the build plate
+export const BUILD_DIRECTIONS = {
+  '+Z': [0, 0, 1],
+  '-Z': [0, 0, -1],
+  '+Y': [0, 1, 0],
+  '-Y': [0, -1, 0],
+  '+X': [1, 0, 0],
+  '-X': [-1, 0, 0],
+};
+
+// Overhang angle from vertical beyond which a face needs support
+export const DEFAULT_OVERHANG_THRESHOLD = 45;
+
+// Faces this close to the build plate rest on it
+const PLATE_TOLERANCE = 0.01; // mm
+
+// Overlay colors from just past the threshold to facing straight down
+const MILD_COLOR = new Color(0xfacc15);   // yellow-400
+const SEVERE_COLOR = new Color(0xef4444); // red-500
+
+/**
+ * Find the triangles of a part that need support when printed in a build direction
+ *
+ * A triangle overhangs when its normal points down by more than the threshold,
+ * measured from vertical (0° is a vertical wall, 90° faces straight down).
+ * Support is estimated as a sparse column under each overhanging triangle,
+ * down to the build plate, ignoring the part's own geometry in between.
+ *
+ * @param {BufferGeometry} geometry - Indexed part geometry
+ * @param {number[]} buildDirection - Unit vector pointing away from the build plate
+ * @param {number} [thresholdDeg] - Self-supporting overhang angle in degrees
+ * @returns {{faces: number[], severities: number[], overhangArea: number, supportVolume: number}}
+ *   Overhanging triangle indices with how far past the threshold each one is
+ *   (0-1), their total area (mm²) and the printed support volume (mm³)
+ */
+export function analyzeOverhangs(geometry, buildDirection, thresholdDeg = DEFAULT_OVERHANG_THRESHOLD) {
+  const up = new Vector3(...buildDirection).normalize();
+  const positions = geometry.attributes.position;
+  const index = geometry.index.array;
+  const triangleCount = geometry.index.count / 3;
+
+  const v0 = new Vector3();
+  const v1 = new Vector3();
+  const v2 = new Vector3();
+  const edge = new Vector3();
+
+  // Each part is printed on its own, resting on its lowest point
+  let plateHeight = Infinity;
+  for (let i = 0; i < positions.count; i++) {
+    plateHeight = Math.min(plateHeight, up.dot(v0.fromBufferAttribute(positions, i)));
+  }
+
+  // A face pointing down at angle θ from vertical has -n·up = sin(θ)
+  const minDownward = Math.sin(thresholdDeg * Math.PI / 180);
+
+  const faces = [];
+  const severities = [];
+  let overhangArea = 0;
+  let supportVolume = 0;
+
+  for (let faceIdx = 0; faceIdx < triangleCount; faceIdx++) {
+    const downward = -getFaceNormal(geometry, faceIdx).dot(up);
+    if (downward <= minDownward) continue;
+
+    v0.fromBufferAttribute(positions, index[faceIdx * 3]);
+    v1.fromBufferAttribute(positions, index[faceIdx * 3 + 1]);
+    v2.fromBufferAttribute(positions, index[faceIdx * 3 + 2]);
+
+    const height = (up.dot(v0) + up.dot(v1) + up.dot(v2)) / 3 - plateHeight;
+    if (height <= PLATE_TOLERANCE) continue;
+
+    const area = v1.sub(v0).cross(edge.subVectors(v2, v0)).length() / 2;
+
+    faces.push(faceIdx);
+    severities.push(minDownward < 1 ? (downward - minDownward) / (1 - minDownward) : 1);
+    overhangArea += area;
+    // Area projected onto the build plate, times the column height
+    supportVolume += area * downward * height * SUPPORT_DENSITY;
+  }
+
+  return { faces, severities, overhangArea, supportVolume };
+}
+
+/**
+ * Create an overlay mesh coloring a part's overhanging triangles
+ * @param {BufferGeometry} geometry - Indexed part geometry
+ * @param {{faces: number[], severities: number[]}} analysis - Result of analyzeOverhangs
+ * @returns {Mesh|null} Overlay drawn over the part, or null when nothing overhangs
+ */
+export function createOverhangOverlay(geometry, analysis) {
+  const { faces, severities } = analysis;
+  if (faces.length === 0) return null;
+
+  const positions = geometry.attributes.position;
+  const index = geometry.index.array;
+  const vertices = new Float32Array(faces.length * 9);
+  const colors = new Float32Array(faces.length * 9);
+  const color = new Color();
+
+  faces.forEach((faceIdx, i) => {
+    color.copy(MILD_COLOR).lerp(SEVERE_COLOR, severities[i]);
+    for (let corner = 0; corner < 3; corner++) {
+      const vertex = index[faceIdx * 3 + corner];
+      const offset = (i * 3 + corner) * 3;
+      vertices[offset] = positions.getX(vertex);
+      vertices[offset + 1] = positions.getY(vertex);
+      vertices[offset + 2] = positions.getZ(vertex);
+      colors[offset] = color.r;
+      colors[offset + 1] = color.g;
+      colors[offset + 2] = color.b;
+    }
+  });
+
+  const overlayGeometry = new BufferGeometry();
+  overlayGeometry.setAttribute('position', new BufferAttribute(vertices, 3));
+  overlayGeometry.setAttribute('color', new BufferAttribute(colors, 3));
+
+  // Pull the overlay towards the camera so it wins the depth test against the part
+  const material = new MeshBasicMaterial({
+    vertexColors: true,
+    polygonOffset: true,
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -1,
+  });
+
+  return new Mesh(overlayGeometry, material);
+}
+
+/**
+ * Dispose overlay meshes and remove them from their group
+ * @param {Group} group
+ */
+export function disposeOverhangOverlays(group) {
+  [...group.children].forEach(mesh => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    group.remove(mesh);
+  });
+}
@@ -5,13 +5,23 @@ import manifoldContext from './ManifoldWorker';
  * Calculate manufacturing quote for a Manifold model
  * @param {string} currentScript - The Manifold script to execute
  * @param {Object} options - Quote options
- * @param {string} options.process - Manufacturing process (FDM, SLA, SLS, MP)
+ * @param {string} options.process - Manufacturing process (FDM, SLA, SLS, MJF)
  * @param {string} options.material - Material type
  * @param {number} options.infill - Infill percentage (0-100)
- * @returns {Promise<Object>} Quote details including costs, time, and material usage
+ * @param {number|null} [options.layerHeight] - Slice parts into layers of this
+ *   height for a layer-by-layer estimate (the process' sliceLayerHeight)
+ * @param {{buildDirection: number[], threshold: number, volumes: Object<string, number>}|null} [options.support] -
+ *   Support estimate from the viewport's overhang analysis, in mm³ by part name.
+ *   The backend never prices support below its own sliced estimate.
+ * @param {number[]|null} [options.rotation] - Print orientation, degrees about
+ *   X, Y and Z (see findOrientations)
+ * @returns {Promise<Object>} Quote details including costs, time, and material usage,
+ *   priced by the backend. Multi-part results are estimated per part and summed;
+ *   `parts` holds the breakdown, `support` the analysis and `rotation` the
+ *   orientation the quote was priced with.
  */
 export async function calculateQuote(currentScript, options) {
-  const { process, material, infill } = options;
+  const { process, material, infill, layerHeight = null, support = null, rotation = null } = options;
   
   if (!currentScript) {
     throw new Error('No model to quote');
@@ -21,143 +31,92 @@ export async function calculateQuote(currentScript, options) {
     throw new Error('Manifold worker not initialized');
   }
 
-  // Execute script to get fresh result with volume and bounding box
-  const result = await manifoldContext.executeScript(currentScript);
+  // Execute script on a background worker to get a fresh result, then measure
+  // surface area and layers of the parts as they'll be printed
+  const metrics = await manifoldContext.runScriptJob(currentScript, worker => worker.getPrintMetrics(layerHeight, rotation));
   
-  const { volume, boundingBox } = result;
+  // Prices live in the backend's material catalog
+  const response = await fetch('/api/quote', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({
+      process,
+      material,
+      infill,
+      model: metrics,
+      supportVolumes: support?.volumes,
+    }),
+  });
   
-  if (volume === undefined || !boundingBox) {
-    throw new Error('Invalid manifold result');
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to calculate quote');
   }
+  
+  return { ...data.quote, support, rotation };
+}
 
-  // Get bounding box dimensions
-  const width = boundingBox.max[0] - boundingBox.min[0];
-  const height = boundingBox.max[1] - boundingBox.min[1];
-  const depth = boundingBox.max[2] - boundingBox.min[2];
-
-  // Define max build volumes for each process
-  const processLimits = {
-    'FDM': { x: 256, y: 256, z: 256 },
-    'SLA': { x: 145, y: 145, z: 175 },
-    'SLS': { x: 300, y: 300, z: 300 },
-    'MP': { x: 250, y: 250, z: 250 }
-  };
+/**
+ * Find the best print orientations for a Manifold model
+ * @param {string} currentScript - The Manifold script to execute
+ * @param {Object} options
+ * @param {{x: number, y: number, z: number}} options.buildVolume - Build volume of the process
+ * @param {number} [options.count] - How many orientations to return
+ * @returns {Promise<Array<{rotation: number[], supportArea: number, height: number, fits: boolean}>>}
+ *   Orientations ranked by support area, build height and fit, best first
+ */
+export async function findOrientations(currentScript, options) {
+  if (!currentScript) {
+    throw new Error('No model to orient');
+  }
 
-  const limits = processLimits[process] || processLimits['FDM'];
-  
-  // Check if part fits within build volume
-  if (width > limits.x || height > limits.y || depth > limits.z) {
-    throw new Error(
-      `Part is too large for ${process} process. ` +
-      `Part size: ${width.toFixed(0)} × ${height.toFixed(0)} × ${depth.toFixed(0)} mm. ` +
-      `Max printable size: ${limits.x} × ${limits.y} × ${limits.z} mm.`
-    );
+  if (!manifoldContext.isReady) {
+    throw new Error('Manifold worker not initialized');
   }
-  
-  // Estimate surface area (rough approximation for a box-like shape)
-  const surfaceArea = 2 * (width * height + width * depth + height * depth);
 
-  console.log('[Quote] Volume:', volume, 'mm³');
-  console.log('[Quote] Bounding box:', { width, height, depth });
-  console.log('[Quote] Estimated surface area:', surfaceArea, 'mm²');
+  return await manifoldContext.runScriptJob(currentScript, worker => worker.findOrientations(options));
+}
+
+/**
+ * Find walls and features of a Manifold model too thin to print
+ * @param {string} currentScript - The Manifold script to execute
+ * @param {number} minThickness - Thinnest printable wall of the process in mm
+ * @returns {Promise<Array<{name: string, thinArea: number, thinCount: number, minFound: number}>>}
+ *   Parts with surface thinner than minThickness: its area (mm²), triangle
+ *   count and the thinnest wall found (mm)
+ */
+export async function findThinWalls(currentScript, minThickness) {
+  if (!currentScript) {
+    throw new Error('No model to check');
+  }
 
-  // Material properties
-  const materialData = {
-    'PLA': { density: 1.24, costPerKg: 20, printSpeed: 60 },
-    'PETG': { density: 1.27, costPerKg: 25, printSpeed: 45 },
-    'ABS': { density: 1.04, costPerKg: 22, printSpeed: 45 },
-    'TPU': { density: 1.21, costPerKg: 40, printSpeed: 25 },
-    'Nylon': { density: 1.14, costPerKg: 45, printSpeed: 35 }
-  };
+  if (!manifoldContext.isReady) {
+    throw new Error('Manifold worker not initialized');
+  }
 
-  const matData = materialData[material] || materialData['PLA'];
-  
-  // Calculate material usage
-  const infillRatio = infill / 100;
-  const wallThickness = 1.2; // mm (3 perimeters at 0.4mm)
-  
-  // Estimate solid volume (walls + infill)
-  const shellVolume = surfaceArea * wallThickness;
-  const infillVolume = volume * infillRatio;
-  const totalSolidVolume = Math.min(shellVolume + infillVolume, volume);
-  
-  // Convert to grams
-  const volumeCm3 = totalSolidVolume / 1000;
-  const materialGrams = volumeCm3 * matData.density;
-  
-  // Estimate print time
-  const printSpeed = matData.printSpeed;
-  const layerHeight = 0.2;
-  const numLayers = height / layerHeight;
+  const results = await manifoldContext.runScriptJob(currentScript, worker => worker.analyzeWallThickness(minThickness));
 
-  const perimeterLength = surfaceArea * 2;
-  const infillPathLength = (volume / layerHeight) * infillRatio * 0.5;
-  const totalPathLength = perimeterLength + infillPathLength;
-  const printTimeHours = (totalPathLength / printSpeed / 3600) + (numLayers * 5 / 3600);
-  
-  // Calculate costs
-  const materialCost = (materialGrams / 1000) * matData.costPerKg;
-  const machineCost = printTimeHours * 5;
-  const totalCost = materialCost + machineCost;
-  
-  return {
-    materialUsage: {
-      grams: parseFloat(materialGrams.toFixed(1)),
-      meters: 0
-    },
-    materialGrams: parseFloat(materialGrams.toFixed(1)),
-    printTime: parseFloat(printTimeHours.toFixed(1)),
-    costs: {
-      material: parseFloat(materialCost.toFixed(2)),
-      machine: parseFloat(machineCost.toFixed(2)),
-      total: parseFloat(totalCost.toFixed(2))
-    },
-    material: parseFloat(materialCost.toFixed(2)),
-    machine: parseFloat(machineCost.toFixed(2)),
-    subtotal: parseFloat(totalCost.toFixed(2)),
-    infill,
-    materialName: material,
-    process,
-    volume: parseFloat(volume.toFixed(1)),
-    surfaceArea: parseFloat(surfaceArea.toFixed(1)),
-    boundingBox: {
-      width: parseFloat(width.toFixed(1)),
-      height: parseFloat(height.toFixed(1)),
-      depth: parseFloat(depth.toFixed(1)),
-    },
-    bounds: {
-      min: boundingBox.min,
-      max: boundingBox.max,
-      size: [width, height, depth],
-    },
-  };
+  return results
+    .filter(result => result.thinCount > 0)
+    .map(({ name, thinArea, thinCount, minFound }) => ({ name, thinArea, thinCount, minFound }));
 }
 
 /**
- * Process configuration and limits
+ * Load the manufacturing processes and their materials
+ * @returns {Promise<Array<{code: string, name: string, enabled: boolean,
+ *   buildVolume: {x: number, y: number, z: number}, infill: boolean, sliceLayerHeight: number|null,
+ *   minWallThickness: number,
+ *   materials: Array<{name: string, displayName: string}>}>}
  */
-export const PROCESSES = {
-  FDM: {
-    name: 'FDM (Fused Deposition Modeling)',
-    maxSize: { x: 256, y: 256, z: 256 },
-    materials: ['PLA', 'PETG', 'ABS', 'TPU', 'Nylon']
-  },
-  SLA: {
-    name: 'SLA (Stereolithography)',
-    maxSize: { x: 145, y: 145, z: 175 },
-    materials: ['Standard Resin', 'Tough Resin', 'Flexible Resin'],
-    disabled: true
-  },
-  SLS: {
-    name: 'SLS (Selective Laser Sintering)',
-    maxSize: { x: 300, y: 300, z: 300 },
-    materials: ['Nylon PA12', 'Nylon PA11', 'TPU'],
-    disabled: true
-  },
-  MP: {
-    name: 'Metal Printing',
-    maxSize: { x: 250, y: 250, z: 250 },
-    materials: ['Stainless Steel 316L', 'Aluminum AlSi10Mg', 'Titanium Ti6Al4V'],
-    disabled: true
+export async function fetchQuoteOptions() {
+  const response = await fetch('/api/quote/materials', { credentials: 'include' });
+  const data = await response.json();
+  
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to load materials');
   }
-};
\ No newline at end of file
+  
+  return data.processes;
+}
@@ -0,0 +1,200 @@
+// utils/scriptModules.js - Project-local library of reusable script modules
+//
+// A module is a script that `export`s functions (or returns an object of them).
+// Scripts pull modules in with `use('name')`; the calls are resolved here before
+// the worker executes, and each module's exports are injected into the scope of
+// the script that uses it, like the built-in helper functions.
+
+const STORAGE_KEY = 'surfcad_modules';
+
+const MODULE_NAME_PATTERN = /^[A-Za-z_][\w-]{0,63}$/;
+const USE_PATTERN = /\buse\s*\(\s*(['"])([^'"\n]*)\1\s*\)/g;
+
+/**
+ * Read the module library from storage
+ * @returns {Object<string, {source: string, updatedAt: number}>}
+ */
+const loadLibrary = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (err) {
+    console.error('[ScriptModules] Failed to load library:', err);
+    return {};
+  }
+};
+
+const storeLibrary = (library) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+};
+
+/**
+ * Check whether a name can be used for a module
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidModuleName(name) {
+  return typeof name === 'string' && MODULE_NAME_PATTERN.test(name);
+}
+
+/**
+ * List all modules in the library, sorted by name
+ * @returns {Array<{name: string, source: string, updatedAt: number}>}
+ */
+export function listModules() {
+  return Object.entries(loadLibrary())
+    .map(([name, module]) => ({ name, ...module }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a module's source
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function getModule(name) {
+  return loadLibrary()[name]?.source ?? null;
+}
+
+/**
+ * Create or update a module
+ * @param {string} name - Module name (letters, digits, '_' and '-')
+ * @param {string} source - Module source
+ */
+export function saveModule(name, source) {
+  if (!isValidModuleName(name)) {
+    throw new Error(`Invalid module name '${name}': use letters, digits, '_' and '-'`);
+  }
+
+  const library = loadLibrary();
+  library[name] = { source, updatedAt: Date.now() };
+  storeLibrary(library);
+}
+
+/**
+ * Remove a module from the library
+ * @param {string} name
+ */
+export function deleteModule(name) {
+  const library = loadLibrary();
+  delete library[name];
+  storeLibrary(library);
+  console.log(`[ScriptModules] Deleted ${name}`);
+}
+
+/**
+ * Find the modules a script pulls in with use('name')
+ * @param {string} source - Script or module source
+ * @returns {string[]} Module names in order of first use
+ */
+export function findModuleUses(source) {
+  const code = source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:])\/\/.*$/gm, '$1');
+
+  const names = [];
+  for (const match of code.matchAll(USE_PATTERN)) {
+    if (!names.includes(match[2])) {
+      names.push(match[2]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Editor diagnostic pointing at the use('name') call in a source
+ */
+const diagnoseUseCall = (message, source, name, module) => {
+  const lines = source.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    for (const match of lines[i].matchAll(USE_PATTERN)) {
+      if (match[2] === name) {
+        return {
+          message,
+          module,
+          line: i + 1,
+          column: match.index + 1,
+          endColumn: match.index + match[0].length + 1
+        };
+      }
+    }
+  }
+  return { message, module, line: null, column: null, endColumn: null };
+};
+
+/**
+ * Resolve the modules a script uses, including modules used by modules
+ *
+ * @param {string} script - Main script
+ * @param {Object} [library] - Module library (defaults to the stored one)
+ * @returns {{uses: string[], modules: Array<{name: string, source: string, uses: string[]}>}}
+ *   The script's direct uses and every required module, dependencies first
+ * @throws {Error} On unknown modules or circular use, with error.diagnostics
+ *   pointing at the offending use() call
+ */
+export function resolveModules(script, library = loadLibrary()) {
+  const modules = [];
+  const resolved = new Set();
+
+  const fail = (message, name, chain) => {
+    const usedBy = chain.length > 0 ? chain[chain.length - 1] : null;
+    const source = usedBy ? library[usedBy].source : script;
+    const error = new Error(usedBy ? `${message} (used by module '${usedBy}')` : message);
+    error.diagnostics = [diagnoseUseCall(message, source, name, usedBy)];
+    return error;
+  };
+
+  const visit = (name, chain) => {
+    if (resolved.has(name)) return;
+
+    if (chain.includes(name)) {
+      throw fail(`Circular module use: ${[...chain, name].join(' → ')}`, name, chain);
+    }
+
+    const source = library[name]?.source;
+    if (source === undefined) {
+      throw fail(`Unknown module '${name}'`, name, chain);
+    }
+
+    const uses = findModuleUses(source);
+    for (const dependency of uses) {
+      visit(dependency, [...chain, name]);
+    }
+
+    resolved.add(name);
+    modules.push({ name, source, uses });
+  };
+
+  const uses = findModuleUses(script);
+  for (const name of uses) {
+    visit(name, []);
+  }
+
+  return { uses, modules };
+}
+
+/**
+ * Starter source for a new module
+ * @param {string} name
+ * @returns {string}
+ */
+export function createModuleTemplate(name) {
+  return `// Module: ${name}
+// Exported functions are available in scripts after use('${name}')
+
+export function example(size = 10) {
+  return Manifold.cube([size, size, size], true);
+}
+`;
+}
+
+export default {
+  isValidModuleName,
+  listModules,
+  getModule,
+  saveModule,
+  deleteModule,
+  findModuleUses,
+  resolveModules,
+  createModuleTemplate,
+};
@@ -0,0 +1,269 @@
+// utils/scriptParameters.js
+// Extracts tweakable parameters from top-level script constants and writes
+// edited values back into the source
+
+/**
+ * Matches a single-line top-level declaration with a literal value and an
+ * optional trailing comment, e.g. `const topRadius = 46; // [20:1:80] Round top`
+ */
+const DECLARATION_PATTERN = /^(\s*(?:const|let|var)\s+)([A-Za-z_$][\w$]*)(\s*=\s*)(-?\d+(?:\.\d+)?|-?\.\d+|true|false|'[^'\\\n]*'|"[^"\\\n]*")(\s*;?\s*)(?:(\/\/\s*)(.*))?$/;
+
+/**
+ * Annotation at the start of the trailing comment:
+ *   [min:max]        numeric range
+ *   [min:step:max]   numeric range with step
+ *   [a, b, c]        enum options
+ */
+const ANNOTATION_PATTERN = /^\[([^\]]*)\]\s*(.*)$/;
+
+const NUMBER_PATTERN = /^-?(?:\d+(?:\.\d+)?|\.\d+)$/;
+
+/**
+ * Compute the bracket depth at the start of each line so only declarations
+ * at depth 0 (outside any block, call or object literal) are picked up.
+ * Strings, template literals and comments are skipped.
+ */
+const computeLineDepths = (lines) => {
+  const depths = [];
+  let depth = 0;
+  let inBlockComment = false;
+  let inTemplate = false;
+
+  for (const line of lines) {
+    depths.push(inBlockComment || inTemplate ? -1 : depth);
+
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      const next = line[i + 1];
+
+      if (inBlockComment) {
+        if (ch === '*' && next === '/') {
+          inBlockComment = false;
+          i++;
+        }
+        continue;
+      }
+
+      if (inTemplate) {
+        if (ch === '\\') i++;
+        else if (ch === '`') inTemplate = false;
+        continue;
+      }
+
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+
+      if (ch === '/' && next === '/') break;
+      if (ch === '/' && next === '*') {
+        inBlockComment = true;
+        i++;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === '`') inTemplate = true;
+      else if (ch === '{' || ch === '(' || ch === '[') depth++;
+      else if (ch === '}' || ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+    }
+  }
+
+  return depths;
+};
+
+/**
+ * Count decimal places of a numeric literal
+ */
+const countDecimals = (text) => {
+  const dot = text.indexOf('.');
+  return dot === -1 ? 0 : text.length - dot - 1;
+};
+
+/**
+ * Parse an enum option, keeping numbers as numbers and stripping quotes
+ */
+const parseOption = (raw) => {
+  const trimmed = raw.trim();
+  if (NUMBER_PATTERN.test(trimmed)) return parseFloat(trimmed);
+  return trimmed.replace(/^['"]|['"]$/g, '');
+};
+
+/**
+ * Build the parameter descriptor for a matched declaration
+ */
+const buildParameter = (name, literal, comment, lineIndex) => {
+  let label = comment?.trim() || '';
+  let annotation = null;
+
+  const annotationMatch = label.match(ANNOTATION_PATTERN);
+  if (annotationMatch) {
+    annotation = annotationMatch[1].trim();
+    label = annotationMatch[2].trim();
+  }
+
+  const base = { name, label: label || name, line: lineIndex };
+
+  // Boolean -> checkbox
+  if (literal === 'true' || literal === 'false') {
+    return { ...base, type: 'boolean', value: literal === 'true' };
+  }
+
+  // String -> dropdown (requires options, a bare string isn't tweakable)
+  if (literal.startsWith("'") || literal.startsWith('"')) {
+    if (!annotation || annotation.includes(':')) return null;
+    const options = annotation.split(',').map(parseOption).filter(o => o !== '');
+    const value = literal.slice(1, -1);
+    if (!options.includes(value)) options.unshift(value);
+    return { ...base, type: 'enum', value, options, quote: literal[0] };
+  }
+
+  const value = parseFloat(literal);
+
+  // Number with option list -> dropdown
+  if (annotation && !annotation.includes(':')) {
+    const options = annotation.split(',').map(parseOption).filter(o => typeof o === 'number');
+    if (options.length > 0) {
+      if (!options.includes(value)) options.unshift(value);
+      return { ...base, type: 'enum', value, options };
+    }
+  }
+
+  // Number -> slider
+  let min;
+  let max;
+  let step;
+
+  if (annotation && annotation.includes(':')) {
+    const parts = annotation.split(':').map(p => parseFloat(p));
+    if (parts.some(p => Number.isNaN(p))) return null;
+    if (parts.length === 2) {
+      [min, max] = parts;
+    } else if (parts.length === 3) {
+      [min, step, max] = parts;
+    } else {
+      return null;
+    }
+  } else {
+    // No range given - infer a reasonable one around the current value
+    const magnitude = Math.abs(value) || 1;
+    min = value < 0 ? -magnitude * 2 : 0;
+    max = value < 0 ? 0 : magnitude * 2;
+  }
+
+  if (step === undefined) {
+    step = Math.pow(10, -countDecimals(literal.replace('-', '')));
+  }
+
+  return {
+    ...base,
+    type: 'number',
+    value,
+    min: Math.min(min, value),
+    max: Math.max(max, value),
+    step,
+  };
+};
+
+/**
+ * Extract customizable parameters from a script.
+ *
+ * Recognizes top-level `const`/`let`/`var` declarations assigned a number,
+ * boolean or string literal. A trailing comment becomes the label and may
+ * start with a range (`[min:max]`, `[min:step:max]`) or option list
+ * (`[a, b, c]`). Strings are only exposed when they have an option list.
+ *
+ * @param {string} script - The script source
+ * @returns {Array<Object>} Parameter descriptors:
+ *   - name: Variable name
+ *   - label: Display label (comment text, or the name)
+ *   - type: 'number' | 'boolean' | 'enum'
+ *   - value: Current value
+ *   - line: Zero-based line index in the script
+ *   - min, max, step: For 'number'
+ *   - options: For 'enum'
+ *
+ * @example
+ * extractParameters('const wall = 2; // [0.8:0.2:4] Wall thickness');
+ * // [{ name: 'wall', label: 'Wall thickness', type: 'number', value: 2, min: 0.8, max: 4, step: 0.2, line: 0 }]
+ */
+export function extractParameters(script) {
+  if (!script) return [];
+
+  const lines = script.split('\n');
+  const depths = computeLineDepths(lines);
+  const params = [];
+  const seen = new Set();
+
+  for (let i = 0; i < lines.length; i++) {
+    if (depths[i] !== 0) continue;
+
+    const match = lines[i].match(DECLARATION_PATTERN);
+    if (!match) continue;
+
+    const [, , name, , literal, , , comment] = match;
+    if (seen.has(name)) continue;
+
+    const param = buildParameter(name, literal, comment, i);
+    if (param) {
+      seen.add(name);
+      params.push(param);
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Format a value as a source literal for the given parameter
+ */
+const formatValue = (param, value) => {
+  switch (param.type) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'enum':
+      if (typeof value === 'string') {
+        const quote = param.quote || "'";
+        return `${quote}${value}${quote}`;
+      }
+      return String(value);
+    case 'number': {
+      const decimals = countDecimals(String(param.step));
+      return String(parseFloat(Number(value).toFixed(decimals)));
+    }
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Write a new parameter value back into the script source.
+ * Only the literal is replaced; the declaration, spacing and comment are kept.
+ *
+ * @param {string} script - The script source
+ * @param {Object} param - Parameter descriptor from extractParameters()
+ * @param {number|boolean|string} value - The new value
+ * @returns {string} The updated script (unchanged if the declaration moved)
+ */
+export function updateParameter(script, param, value) {
+  const lines = script.split('\n');
+  const line = lines[param.line];
+  const match = line?.match(DECLARATION_PATTERN);
+
+  if (!match || match[2] !== param.name) {
+    console.warn(`[ScriptParameters] Declaration for '${param.name}' not found on line ${param.line + 1}`);
+    return script;
+  }
+
+  const [, prefix, name, assign, , suffix, commentMarker = '', comment = ''] = match;
+  lines[param.line] = `${prefix}${name}${assign}${formatValue(param, value)}${suffix}${commentMarker}${comment}`;
+
+  return lines.join('\n');
+}
+
+export default {
+  extractParameters,
+  updateParameter,
+};
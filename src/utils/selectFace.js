@@ -33,7 +33,7 @@ function normalsWithinAngle(n1, n2, toleranceDegrees) {
 /**
  * Get normal for a triangle (compute from vertices, same as raycaster)
  */
-function getFaceNormal(geometry, faceIdx) {
+export function getFaceNormal(geometry, faceIdx) {
   const positions = geometry.attributes.position;
   const index = geometry.index.array;
   
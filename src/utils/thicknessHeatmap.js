@@ -0,0 +1,68 @@
+// utils/thicknessHeatmap.js
+import { BufferAttribute, Mesh, MeshLambertMaterial, Color } from 'three';
+
+// Minimum wall thickness choices in mm (FDM nozzles print about two lines)
+export const WALL_THICKNESS_STEPS = [0.4, 0.6, 0.8, 1.0, 1.2, 1.5, 2.0];
+export const DEFAULT_MIN_WALL_THICKNESS = 0.8;
+
+// Heatmap from too thin, through marginal (up to twice the minimum), to safe
+const THIN_COLOR = new Color(0xef4444);     // red-500
+const MARGINAL_COLOR = new Color(0xfacc15); // yellow-400
+const SAFE_COLOR = new Color(0x22c55e);     // green-500
+
+/**
+ * Heatmap color for a wall thickness
+ * @param {number} thickness - Wall thickness in mm
+ * @param {number} minThickness - Thinnest printable wall in mm
+ * @param {Color} target - Color to set
+ * @returns {Color} target
+ */
+export function thicknessColor(thickness, minThickness, target = new Color()) {
+  if (thickness < minThickness) return target.copy(THIN_COLOR);
+  const t = Math.min(1, (thickness - minThickness) / minThickness);
+  return target.copy(MARGINAL_COLOR).lerp(SAFE_COLOR, t);
+}
+
+/**
+ * Create a mesh coloring every triangle of a part by its wall thickness
+ * @param {BufferGeometry} geometry - Indexed part geometry
+ * @param {Float32Array} thickness - Thickness per triangle, in index order
+ * @param {number} minThickness - Thinnest printable wall in mm
+ * @returns {Mesh} Heatmap drawn over the part
+ */
+export function createThicknessHeatmap(geometry, thickness, minThickness) {
+  const heatmapGeometry = geometry.toNonIndexed();
+  const colors = new Float32Array(heatmapGeometry.attributes.position.count * 3);
+  const color = new Color();
+
+  for (let tri = 0; tri < thickness.length; tri++) {
+    thicknessColor(thickness[tri], minThickness, color);
+    for (let corner = 0; corner < 3; corner++) {
+      color.toArray(colors, (tri * 3 + corner) * 3);
+    }
+  }
+  heatmapGeometry.setAttribute('color', new BufferAttribute(colors, 3));
+
+  // Pull the heatmap towards the camera so it wins the depth test against the part
+  const material = new MeshLambertMaterial({
+    vertexColors: true,
+    flatShading: true,
+    polygonOffset: true,
+    polygonOffsetFactor: -1,
+    polygonOffsetUnits: -1,
+  });
+
+  return new Mesh(heatmapGeometry, material);
+}
+
+/**
+ * Dispose heatmap meshes and remove them from their group
+ * @param {Group} group
+ */
+export function disposeThicknessHeatmaps(group) {
+  [...group.children].forEach(mesh => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    group.remove(mesh);
+  });
+}
@@ -0,0 +1,60 @@
+// test/meshEncoding.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeMeshData, decodeMeshData } from '../shared/meshEncoding.js';
+
+const TETRAHEDRON = {
+  numProp: 3,
+  vertProperties: new Float32Array([0, 0, 0, 10.5, 0, 0, 0, -2.25, 0, 0, 0, 1e-3]),
+  triVerts: new Uint32Array([0, 2, 1, 0, 1, 3, 1, 2, 3, 0, 3, 2]),
+};
+
+describe('mesh encoding', () => {
+  test('round-trips typed arrays through JSON', () => {
+    const encoded = JSON.parse(JSON.stringify(encodeMeshData(TETRAHEDRON)));
+    assert.equal(encoded.encoding, 'base64');
+    assert.equal(typeof encoded.vertProperties, 'string');
+
+    const decoded = decodeMeshData(encoded);
+    assert.equal(decoded.numProp, 3);
+    assert.deepEqual(decoded.vertProperties, TETRAHEDRON.vertProperties);
+    assert.deepEqual(decoded.triVerts, TETRAHEDRON.triVerts);
+  });
+
+  test('encodes plain arrays and views into larger buffers', () => {
+    const plain = encodeMeshData({
+      vertProperties: Array.from(TETRAHEDRON.vertProperties),
+      triVerts: Array.from(TETRAHEDRON.triVerts),
+    });
+    assert.deepEqual(plain, encodeMeshData(TETRAHEDRON));
+
+    const buffer = new Float32Array(20);
+    buffer.set(TETRAHEDRON.vertProperties, 4);
+    const view = encodeMeshData({ ...TETRAHEDRON, vertProperties: buffer.subarray(4, 16) });
+    assert.deepEqual(decodeMeshData(view).vertProperties, TETRAHEDRON.vertProperties);
+  });
+
+  test('encodes meshes larger than one chunk', () => {
+    const vertProperties = new Float32Array(300000).map((_, i) => i / 7);
+    const triVerts = new Uint32Array(300000).map((_, i) => i);
+    const decoded = decodeMeshData(encodeMeshData({ numProp: 3, vertProperties, triVerts }));
+    assert.deepEqual(decoded.vertProperties, vertProperties);
+    assert.deepEqual(decoded.triVerts, triVerts);
+  });
+
+  test('leaves mesh data that is not encoded as it is', () => {
+    const plain = { numProp: 3, vertProperties: [0, 0, 0], triVerts: [0, 0, 0] };
+    assert.equal(decodeMeshData(plain), plain);
+    assert.equal(decodeMeshData(null), null);
+  });
+
+  test('rejects malformed encoded data', () => {
+    const encoded = encodeMeshData(TETRAHEDRON);
+    assert.throws(() => decodeMeshData({ ...encoded, triVerts: [0, 1, 2] }),
+      /^Error: Invalid mesh data: base64 mesh arrays must be strings$/);
+    assert.throws(() => decodeMeshData({ ...encoded, vertProperties: 'not base64!' }),
+      /^Error: Invalid mesh data: vertProperties is not base64$/);
+    assert.throws(() => decodeMeshData({ ...encoded, triVerts: btoa('abcde') }),
+      /^Error: Invalid mesh data: triVerts is not a whole number of 4-byte values$/);
+  });
+});
@@ -0,0 +1,140 @@
+// test/meshRepair.test.js
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Module from '../built/manifold.js';
+import {
+  repairMesh,
+  countSelfIntersections,
+  resolveSelfIntersections,
+  hasRepairs,
+  hasUnresolvedProblems,
+} from '../shared/meshRepair.js';
+
+let manifoldModule;
+
+before(async () => {
+  manifoldModule = await Module();
+  manifoldModule.setup();
+  mock.method(console, 'warn', () => {});
+});
+after(() => mock.restoreAll());
+
+// Positions and indices of a Manifold's mesh
+const meshOf = (manifold) => {
+  const mesh = manifold.getMesh();
+  const positions = [];
+  for (let i = 0; i < mesh.vertProperties.length; i += mesh.numProp) {
+    positions.push(mesh.vertProperties[i], mesh.vertProperties[i + 1], mesh.vertProperties[i + 2]);
+  }
+  return { vertices: positions, triVerts: Array.from(mesh.triVerts) };
+};
+
+// The same mesh with every triangle listing its own copies of the vertices, as in STL files
+const triangleSoup = ({ vertices, triVerts }) => ({
+  vertices: triVerts.flatMap(index => vertices.slice(index * 3, index * 3 + 3)),
+  triVerts: triVerts.map((_, i) => i),
+});
+
+// A sphere with its top cap pulled down through its bottom
+const pulledSphere = (segments) => {
+  const { Manifold, Mesh } = manifoldModule;
+  const mesh = Manifold.sphere(10, segments).getMesh();
+  const vertProperties = Float32Array.from(mesh.vertProperties);
+  for (let i = 0; i < vertProperties.length; i += mesh.numProp) {
+    if (vertProperties[i + 2] > 6) {
+      const [x, y] = [vertProperties[i], vertProperties[i + 1]];
+      vertProperties[i] = x * Math.cos(0.37) - y * Math.sin(0.37);
+      vertProperties[i + 1] = x * Math.sin(0.37) + y * Math.cos(0.37);
+      vertProperties[i + 2] -= 25;
+    }
+  }
+  return new Manifold(new Mesh({ numProp: mesh.numProp, vertProperties, triVerts: mesh.triVerts }));
+};
+
+describe('repairMesh', () => {
+  test('welds triangle soup into a closed mesh', () => {
+    const cube = triangleSoup(meshOf(manifoldModule.Manifold.cube([10, 10, 10])));
+    const { vertProperties, triVerts, report } = repairMesh(cube.vertices, cube.triVerts);
+    assert.equal(vertProperties.length, 8 * 3);
+    assert.equal(triVerts.length, 12 * 3);
+    assert.equal(report.weldedVertices, 36 - 8);
+    assert.ok(hasRepairs(report));
+    assert.ok(!hasUnresolvedProblems(report));
+  });
+
+  test('removes degenerate and duplicate triangles', () => {
+    const cube = meshOf(manifoldModule.Manifold.cube([10, 10, 10]));
+    const triVerts = [...cube.triVerts, 0, 0, 1, ...cube.triVerts.slice(0, 3)];
+    const { report } = repairMesh(cube.vertices, triVerts);
+    assert.equal(report.degenerateTriangles, 1);
+    assert.equal(report.duplicateTriangles, 1);
+  });
+
+  test('fixes flipped triangles and inside-out shells', () => {
+    const cube = meshOf(manifoldModule.Manifold.cube([10, 10, 10]));
+    const flipped = [...cube.triVerts];
+    [flipped[16], flipped[17]] = [flipped[17], flipped[16]];
+    assert.equal(repairMesh(cube.vertices, flipped).report.flippedTriangles, 1);
+
+    const inverted = cube.triVerts.map((_, i) => cube.triVerts[i - (i % 3) + 2 - (i % 3)]);
+    assert.equal(repairMesh(cube.vertices, inverted).report.invertedShells, 1);
+  });
+
+  test('fills holes', () => {
+    const cube = meshOf(manifoldModule.Manifold.cube([10, 10, 10]));
+    const { triVerts, report } = repairMesh(cube.vertices, cube.triVerts.slice(3));
+    assert.equal(report.holesFilled, 1);
+    assert.equal(triVerts.length, 12 * 3);
+  });
+
+  test('repaired meshes build solids', () => {
+    const { Manifold, Mesh } = manifoldModule;
+    const sphere = triangleSoup(meshOf(Manifold.sphere(10, 32)));
+    const { vertProperties, triVerts } = repairMesh(sphere.vertices, sphere.triVerts);
+    const solid = new Manifold(new Mesh({ numProp: 3, vertProperties, triVerts }));
+    assert.equal(solid.status().value, 0);
+    assert.ok(solid.volume() > 4000);
+  });
+});
+
+describe('self-intersections', () => {
+  test('clean meshes have none', () => {
+    const { vertProperties, triVerts } = manifoldModule.Manifold.sphere(10, 64).getMesh();
+    assert.equal(countSelfIntersections(vertProperties, triVerts), 0);
+  });
+
+  test('large meshes are counted quickly', () => {
+    // Imports time out after 30 s, so checking must stay well below that
+    const { vertProperties, triVerts } = manifoldModule.Manifold.sphere(10, 256).refine(2).getMesh();
+    assert.ok(triVerts.length / 3 >= 64000);
+    const start = Date.now();
+    assert.equal(countSelfIntersections(vertProperties, triVerts), 0);
+    assert.ok(Date.now() - start < 5000, `took ${Date.now() - start} ms`);
+  });
+
+  test('surfaces passing through themselves are trimmed', () => {
+    const pulled = pulledSphere(32);
+    const mesh = pulled.getMesh();
+    const count = countSelfIntersections(mesh.vertProperties, mesh.triVerts, mesh.numProp);
+    assert.ok(count > 0);
+
+    const { manifold, resolved, remaining } = resolveSelfIntersections(manifoldModule, pulled);
+    assert.equal(resolved, count);
+    assert.equal(remaining, 0);
+    assert.notEqual(manifold, pulled);
+    const trimmed = manifold.getMesh();
+    assert.equal(countSelfIntersections(trimmed.vertProperties, trimmed.triVerts, trimmed.numProp), 0);
+    assert.equal(manifold.status().value, 0);
+    assert.ok(manifold.volume() > 0);
+    manifold.delete();
+  });
+
+  test('clean manifolds are returned as they are', () => {
+    const cube = manifoldModule.Manifold.cube([10, 10, 10]);
+    const { manifold, resolved, remaining } = resolveSelfIntersections(manifoldModule, cube);
+    assert.equal(manifold, cube);
+    assert.equal(resolved, 0);
+    assert.equal(remaining, 0);
+    cube.delete();
+  });
+});
@@ -0,0 +1,159 @@
+// test/quoteEstimator.test.js
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateQuote } from '../shared/quoteEstimator.js';
+
+// Density 1 g/cm³ at $0.10/g makes grams and dollars easy to check by hand
+const PRICING = {
+  material: { density: 1, costPerGram: 0.1, printSpeed: 50 },
+  machineRate: 4,
+  buildVolume: { x: 200, y: 200, z: 200 },
+  infill: true,
+};
+const SOLID_PRICING = { ...PRICING, infill: false };
+const FDM = { process: 'FDM', material: 'PLA', infill: 20 };
+
+const box = (size, offset = 0) => ({
+  min: [offset, offset, offset],
+  max: [offset + size, offset + size, offset + size],
+});
+
+const cube = (size) => ({ volume: size ** 3, boundingBox: box(size) });
+
+const closeTo = (actual, expected, tolerance = 0.011) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+// estimateQuote logs every quote it makes
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+describe('estimateQuote', () => {
+  test('solid parts are priced by their volume', () => {
+    const quote = estimateQuote(cube(20), FDM, SOLID_PRICING);
+    assert.equal(quote.materialGrams, 8);
+    assert.equal(quote.costs.material, 0.8);
+    assert.equal(quote.volume, 8000);
+    assert.deepEqual(quote.boundingBox, { width: 20, height: 20, depth: 20 });
+  });
+
+  test('the subtotal is material plus machine cost', () => {
+    const quote = estimateQuote(cube(20), FDM, PRICING);
+    assert.ok(quote.costs.machine > 0);
+    closeTo(quote.subtotal, quote.costs.material + quote.costs.machine);
+    assert.equal(quote.costs.total, quote.subtotal);
+  });
+
+  test('machine cost scales with the machine rate', () => {
+    const quote = estimateQuote(cube(20), FDM, PRICING);
+    const doubled = estimateQuote(cube(20), FDM, { ...PRICING, machineRate: PRICING.machineRate * 2 });
+    closeTo(doubled.costs.machine, quote.costs.machine * 2);
+    assert.equal(doubled.costs.material, quote.costs.material);
+  });
+
+  test('infill only applies to processes that print walls and infill', () => {
+    const sparse = estimateQuote(cube(40), { ...FDM, infill: 10 }, PRICING);
+    const dense = estimateQuote(cube(40), { ...FDM, infill: 80 }, PRICING);
+    const solid = estimateQuote(cube(40), { ...FDM, infill: 10 }, SOLID_PRICING);
+    assert.ok(sparse.materialGrams < dense.materialGrams);
+    assert.ok(dense.materialGrams < solid.materialGrams);
+    assert.equal(solid.materialGrams, 64);
+  });
+
+  test('multi-part results are priced per part and summed', () => {
+    const model = {
+      volume: 8000 + 1000,
+      boundingBox: { min: [0, 0, 0], max: [50, 20, 20] },
+      parts: [
+        { name: 'base', volume: 8000, boundingBox: box(20) },
+        { name: 'cap', volume: 1000, boundingBox: box(10, 40) },
+      ],
+    };
+    const quote = estimateQuote(model, FDM, SOLID_PRICING);
+    assert.deepEqual(quote.parts.map(part => part.name), ['base', 'cap']);
+    assert.equal(quote.materialGrams, 9);
+    closeTo(quote.subtotal, quote.parts[0].cost + quote.parts[1].cost);
+    assert.deepEqual(quote.boundingBox, { width: 50, height: 20, depth: 20 });
+  });
+
+  test('parts larger than the build volume are rejected', () => {
+    assert.throws(() => estimateQuote(cube(250), FDM, PRICING),
+      /^Error: Part is too large for FDM process\. Part size: 250 × 250 × 250 mm\. Max printable size: 200 × 200 × 200 mm\.$/);
+
+    const model = {
+      volume: 8000 + 300 ** 3,
+      boundingBox: { min: [0, 0, 0], max: [300, 300, 300] },
+      parts: [
+        { name: 'small', volume: 8000, boundingBox: box(20) },
+        { name: 'large', volume: 300 ** 3, boundingBox: box(300) },
+      ],
+    };
+    assert.throws(() => estimateQuote(model, FDM, PRICING), /^Error: Part 'large' is too large for FDM process/);
+  });
+
+  test('results without volume or bounding box are rejected', () => {
+    assert.throws(() => estimateQuote({ boundingBox: box(10) }, FDM, PRICING), /^Error: Invalid manifold result$/);
+    assert.throws(() => estimateQuote({ volume: 1000 }, FDM, PRICING), /^Error: Invalid manifold result$/);
+  });
+});
+
+describe('estimateQuote with measured geometry', () => {
+  // 1 g per mm³, so grams read as printed volume
+  const VOLUME_PRICING = { ...PRICING, material: { ...PRICING.material, density: 1000 } };
+
+  // Ten 0.2 mm layers of a 20 × 20 mm square
+  const slicedCube = (overhangs = new Array(10).fill(0)) => ({
+    volume: 800,
+    boundingBox: { min: [0, 0, 0], max: [20, 20, 2] },
+    parts: [{
+      name: 'Model',
+      volume: 800,
+      surfaceArea: 960,
+      boundingBox: { min: [0, 0, 0], max: [20, 20, 2] },
+      layers: {
+        layerHeight: 0.2,
+        areas: new Array(10).fill(400),
+        perimeters: new Array(10).fill(80),
+        overhangs,
+      },
+    }],
+  });
+
+  test('measured surface area replaces the bounding box approximation', () => {
+    const model = { ...cube(20), parts: [{ name: 'Model', volume: 8000, surfaceArea: 1234, boundingBox: box(20) }] };
+    assert.equal(estimateQuote(model, FDM, PRICING).surfaceArea, 1234);
+    assert.equal(estimateQuote(cube(20), FDM, PRICING).surfaceArea, 2400);
+  });
+
+  test('sliced parts are priced from walls and infill per layer', () => {
+    // Per layer: 80 mm × 1.2 mm of walls, 20% of the remaining 304 mm² as infill
+    const quote = estimateQuote(slicedCube(), FDM, VOLUME_PRICING);
+    closeTo(quote.materialGrams, (96 + 304 * 0.2) * 0.2 * 10, 0.05);
+    assert.equal(quote.supportVolume, 0);
+  });
+
+  test('overhangs add a sparse support column down to the build plate', () => {
+    const overhangs = new Array(10).fill(0);
+    overhangs[5] = 100;
+    const quote = estimateQuote(slicedCube(overhangs), FDM, VOLUME_PRICING);
+    // 100 mm² supported from 1 mm up, printed at 15% density
+    closeTo(quote.supportVolume, 100 * 5 * 0.2 * 0.15, 0.05);
+    closeTo(quote.materialGrams, (96 + 304 * 0.2) * 0.2 * 10 + 15, 0.05);
+  });
+
+  test('analyzed support is priced when it exceeds the sliced support', () => {
+    const overhangs = new Array(10).fill(0);
+    overhangs[5] = 100;
+    const more = estimateQuote(slicedCube(overhangs), { ...FDM, supportVolumes: { Model: 40 } }, VOLUME_PRICING);
+    closeTo(more.supportVolume, 40, 0.05);
+    const less = estimateQuote(slicedCube(overhangs), { ...FDM, supportVolumes: { Model: 5 } }, VOLUME_PRICING);
+    closeTo(less.supportVolume, 15, 0.05);
+    const solid = estimateQuote(slicedCube(), { ...FDM, supportVolumes: { Model: 40 } }, { ...VOLUME_PRICING, infill: false });
+    assert.equal(solid.supportVolume, 0);
+  });
+
+  test('slices are ignored for solid processes', () => {
+    const quote = estimateQuote(slicedCube(), FDM, { ...VOLUME_PRICING, infill: false });
+    assert.equal(quote.materialGrams, 800);
+  });
+});
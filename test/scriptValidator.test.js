@@ -0,0 +1,145 @@
+// test/scriptValidator.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'acorn';
+import { createScriptValidator } from '../shared/scriptValidator.js';
+
+const { validateScript, validateScriptWithModules } = createScriptValidator(parse);
+
+const reasons = (source) => validateScript(source).errors.map(error => error.reason);
+
+const assertValid = (source) => {
+  const { valid, errors } = validateScript(source);
+  assert.ok(valid, `expected no errors, got: ${errors.map(error => error.reason).join('; ')}`);
+};
+
+const assertBlocked = (source, pattern) => {
+  const found = reasons(source);
+  assert.ok(found.some(reason => pattern.test(reason)),
+    `expected an error matching ${pattern}, got: ${found.join('; ') || 'none'}`);
+};
+
+const COMPUTED_STRING = /^Computed property name that may be a string/;
+
+describe('blocked properties', () => {
+  const properties = [
+    'constructor', 'prototype', '__proto__',
+    '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__',
+    'caller', 'callee',
+    'defineProperty', 'defineProperties', 'setPrototypeOf', 'getPrototypeOf',
+    'getOwnPropertyDescriptor', 'getOwnPropertyDescriptors',
+  ];
+
+  for (const name of properties) {
+    test(`${name} is blocked however it is written`, () => {
+      const access = new RegExp(`^Access to '${name}'$`);
+      assertBlocked(`const o = {}; o.${name};`, access);
+      assertBlocked(`const o = {}; o['${name}'];`, access);
+      assertBlocked(`const o = {}; o[\`${name}\`];`, access);
+      assertBlocked(`const o = {}; o['${name.slice(0, 2)}' + '${name.slice(2)}'];`, access);
+      assertBlocked(`const o = {}; o?.${name};`, access);
+    });
+  }
+
+  test('blocked names are blocked as strings too', () => {
+    assertBlocked("const key = 'constructor';", /^String 'constructor' \(blocked property name\)$/);
+  });
+
+  test('destructuring a blocked property is blocked', () => {
+    assertBlocked('const { constructor } = [];', /^Access to 'constructor'$/);
+    assertBlocked("const { ['prototype']: p } = Array;", /^Access to 'prototype'$/);
+  });
+
+  test('reports where the access is', () => {
+    const [error] = validateScript('const a = [];\na.constructor;').errors;
+    assert.equal(error.line, 2);
+    assert.equal(error.column, 3);
+    assert.equal(error.message, "Blocked: Access to 'constructor'");
+  });
+});
+
+describe('computed keys', () => {
+  test('keys that may be strings are blocked', () => {
+    assertBlocked('function f(o, key) { return o[key]; }', COMPUTED_STRING);
+    assertBlocked("const o = {}; const part = 'con'; o[part + 'structor'];", COMPUTED_STRING);
+    assertBlocked('const o = {}; const part = 1; o[`${part}`];', COMPUTED_STRING);
+    assertBlocked('const o = {}; o[typeof o];', COMPUTED_STRING);
+    assertBlocked("const o = {}; const key = 'a'; o[key];", COMPUTED_STRING);
+    assertBlocked('const o = {}; o[[]];', COMPUTED_STRING);
+    assertBlocked('const o = {}; for (const key of Object.keys(o)) o[key];', COMPUTED_STRING);
+    assertBlocked('const o = {}; for (const key in o) o[key];', COMPUTED_STRING);
+  });
+
+  test('a variable later written a string is not number-like', () => {
+    assertBlocked("const o = {}; let i = 0; i = 'x'; o[i];", COMPUTED_STRING);
+    assertBlocked("const o = {}; let i = 0; i += 'x'; o[i];", COMPUTED_STRING);
+    assertBlocked("const o = {}; let i = 0; i ||= 'x'; o[i];", COMPUTED_STRING);
+    assertBlocked("const o = {}; let i = 0; let j = 'x'; i = j; o[i];", COMPUTED_STRING);
+  });
+
+  test('a shadowed number-like global is judged by what it holds', () => {
+    assertBlocked("function f(o) { let Infinity = 'x'; return o[Infinity]; }", COMPUTED_STRING);
+  });
+
+  test('object literal keys are checked the same way', () => {
+    assertBlocked("const key = 'a'; const o = { [key]: 1 };", COMPUTED_STRING);
+    assertBlocked("const o = { ['__proto__']: 1 };", /^Access to '__proto__'$/);
+  });
+
+  test('number-like keys are allowed', () => {
+    assertValid('const a = [1, 2, 3]; a[0]; a[-1]; a[1.5];');
+    assertValid('const a = [1, 2, 3]; for (let i = 0; i < a.length; i++) a[i];');
+    assertValid('const a = [1, 2, 3]; let i = 0; i += 2; a[i * 2 + 1]; a[i++]; a[--i];');
+    assertValid('const a = [1, 2, 3]; const n = a.length; a[n - 1]; a[n > 1 ? 1 : 0];');
+    assertValid('const a = [1, 2, 3]; a[true]; a[null]; a[undefined]; a[NaN]; a[10n];');
+    assertValid("const a = [1, 2, 3]; a['length']; a.at(-1);");
+  });
+});
+
+describe('scope', () => {
+  test('names outside the sandbox scope are blocked', () => {
+    assertBlocked('Function("return this")();', /^'Function' is not defined or not available in scripts$/);
+    assertBlocked('eval("1");', /^'eval' is not defined or not available in scripts$/);
+    assertBlocked('globalThis.x;', /^'globalThis' is not defined or not available in scripts$/);
+    assertBlocked('Reflect.ownKeys({});', /^'Reflect' is not defined or not available in scripts$/);
+  });
+
+  test('only window.__importedManifolds is available', () => {
+    assertValid("window.__importedManifolds['part.stl'];");
+    assertBlocked('window.location;', /^Window access/);
+  });
+
+  test('blocked statements', () => {
+    assertBlocked('debugger;', /^debugger statement$/);
+    assertBlocked("import('x');", /^Dynamic import$/);
+  });
+
+  test('a typical script is valid', () => {
+    assertValid(`
+      const base = Manifold.cube([20, 20, 5], true);
+      const holes = [];
+      for (let i = 0; i < 4; i++) {
+        const angle = i * Math.PI / 2;
+        holes.push(Manifold.cylinder(6, 2, 2, 32).translate([Math.cos(angle) * 6, Math.sin(angle) * 6, -3]));
+      }
+      return base.subtract(Manifold.union(holes));
+    `);
+  });
+});
+
+describe('modules', () => {
+  test('module exports are in scope for scripts that use them', () => {
+    const result = validateScriptWithModules("use('parts'); return plate(10);", [
+      { name: 'parts', source: 'export function plate(size) { return Manifold.cube([size, size, 1]); }' },
+    ]);
+    assert.ok(result.valid, JSON.stringify(result.errors));
+  });
+
+  test('errors in modules name the module', () => {
+    const result = validateScriptWithModules("use('bad'); return 1;", [
+      { name: 'bad', source: 'export const x = [].constructor;' },
+    ]);
+    assert.equal(result.valid, false);
+    assert.equal(result.errors[0].module, 'bad');
+  });
+});